@@ -3,6 +3,8 @@ let agentsStatus = {
     twitter: false,
     contentAnalysis: false
 };
+let rateLimits = {};
+let overdueCount = 0;
 
 // Fonction d'initialisation
 document.addEventListener('DOMContentLoaded', function() {
@@ -17,6 +19,12 @@ document.addEventListener('DOMContentLoaded', function() {
     document.querySelectorAll('.toggle-agent').forEach(button => {
         button.addEventListener('click', toggleAgentStatus);
     });
+    
+    // Mentions et commentaires : relève à la demande, actions sur les éléments, actualisation périodique
+    document.getElementById('engagementRefresh').addEventListener('click', () => fetchEngagementInbox(true));
+    document.getElementById('engagementInbox').addEventListener('click', handleEngagementAction);
+    fetchEngagementInbox();
+    setInterval(fetchEngagementInbox, 30000);
 });
 
 // Requêtes API
@@ -25,8 +33,9 @@ async function fetchAgentsStatus() {
         const response = await fetch('/api/agents/status');
         if (!response.ok) throw new Error('Erreur lors de la récupération du statut des agents');
         
-        const data = await response.json();
-        agentsStatus = data;
+        const { rateLimits: budgets = {}, ...status } = await response.json();
+        agentsStatus = status;
+        rateLimits = budgets;
         updateAgentStatusUI();
     } catch (error) {
         console.error('Erreur:', error);
@@ -76,14 +85,15 @@ async function handleContentAnalysis(event) {
         const response = await fetch('/api/content-analysis/analyze', {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream'
             },
             body: JSON.stringify({ text })
         });
         
         if (!response.ok) throw new Error('Erreur lors de l\'analyse');
         
-        const data = await response.json();
+        const data = await readToolStream(response, (progress) => showProgress('analysisResults', progress));
         displayAnalysisResults(data);
     } catch (error) {
         console.error('Erreur:', error);
@@ -92,6 +102,83 @@ async function handleContentAnalysis(event) {
     }
 }
 
+async function fetchEngagementInbox(refresh = false) {
+    try {
+        const response = await fetch(`/api/engagement/inbox?limit=20${refresh === true ? '&refresh=true' : ''}`);
+        
+        // 400 : agent d'engagement arrêté, le message d'accueil reste affiché
+        if (response.status === 400) return;
+        if (!response.ok) throw new Error('Erreur lors de la récupération des mentions et commentaires');
+        
+        const data = await response.json();
+        if (data.stats.overdue > overdueCount) {
+            showNotification(`${data.stats.overdue} mention(s) ou commentaire(s) en retard de réponse`, 'warning');
+        }
+        overdueCount = data.stats.overdue;
+        
+        // Ne pas écraser un brouillon en cours de modification
+        const editing = document.activeElement && document.activeElement.matches('#engagementInbox textarea');
+        if (!editing) displayEngagementInbox(data);
+    } catch (error) {
+        console.error('Erreur:', error);
+    }
+}
+
+async function handleEngagementAction(event) {
+    const button = event.target.closest('[data-engagement-action]');
+    if (!button) return;
+    
+    const { itemId, engagementAction } = button.dataset;
+    const body = engagementAction === 'approve'
+        ? { text: document.querySelector(`textarea[data-item-id="${itemId}"]`).value.trim() }
+        : { outcome: 'dismissed' };
+    
+    button.disabled = true;
+    
+    try {
+        const response = await fetch(`/api/engagement/items/${encodeURIComponent(itemId)}/${engagementAction === 'approve' ? 'approve' : 'resolve'}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+        
+        showNotification(engagementAction === 'approve' ? 'Réponse envoyée' : 'Élément écarté', 'success');
+        fetchEngagementInbox();
+    } catch (error) {
+        console.error('Erreur:', error);
+        showNotification(error.message, 'danger');
+        button.disabled = false;
+    }
+}
+
+// Lit le flux SSE d'un appel d'outil : affiche la progression et retourne le résultat final
+async function readToolStream(response, onProgress) {
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        
+        buffer += value;
+        const events = buffer.split('\n\n');
+        buffer = events.pop();
+        
+        for (const rawEvent of events) {
+            const event = rawEvent.match(/^event: (.*)$/m)?.[1];
+            const data = JSON.parse(rawEvent.match(/^data: (.*)$/m)?.[1] || 'null');
+            
+            if (event === 'progress') onProgress(data);
+            if (event === 'result') return data;
+            if (event === 'error') throw new Error(data.error);
+        }
+    }
+    
+    throw new Error('Flux interrompu avant la fin de l\'analyse');
+}
+
 async function toggleAgentStatus(event) {
     const agentId = event.target.dataset.agent;
     const action = agentsStatus[agentId] ? 'stop' : 'start';
@@ -118,6 +205,12 @@ async function toggleAgentStatus(event) {
 function updateAgentStatusUI() {
     for (const [agent, status] of Object.entries(agentsStatus)) {
         const card = document.querySelector(`.agent-card[data-agent="${agent}"]`);
+        if (!card) continue;
+        
+        // Les agents optionnels n'apparaissent que s'ils sont créés par le serveur
+        const column = document.querySelector(`[data-agent-column="${agent}"]`);
+        if (column) column.classList.remove('d-none');
+        
         const statusIndicator = card.querySelector('.agent-status');
         const statusText = card.querySelector('.status-text');
         const button = card.querySelector('.toggle-agent');
@@ -141,9 +234,23 @@ function updateAgentStatusUI() {
             button.classList.remove('btn-danger');
             button.classList.add('btn-success');
         }
+        
+        displayRateLimits(card, rateLimits[agent] || []);
     }
 }
 
+function displayRateLimits(card, budgets) {
+    const container = card.querySelector('.rate-limits');
+    if (!container) return;
+    
+    const known = budgets.filter(budget => budget.remaining !== null);
+    container.innerHTML = known.map(budget => {
+        const reset = budget.reset ? new Date(budget.reset * 1000).toLocaleTimeString() : '?';
+        const queued = budget.queued > 0 ? ` · ${budget.queued} en attente` : '';
+        return `<div><code>${budget.endpoint}</code> : ${budget.remaining}/${budget.limit ?? '?'} (réinitialisation ${reset}${queued})</div>`;
+    }).join('');
+}
+
 function displayTweets(tweets) {
     const resultsContainer = document.getElementById('twitterResults');
     
@@ -175,6 +282,48 @@ function displayTweets(tweets) {
     resultsContainer.innerHTML = html;
 }
 
+function displayEngagementInbox({ items, stats }) {
+    const minutes = ms => `${Math.round(ms / 60000)} min`;
+    const response = stats.averageResponseTime !== null
+        ? ` · première réponse en ${minutes(stats.averageResponseTime)} en moyenne, ${Math.round(stats.withinSlaRate * 100)} % dans le délai`
+        : '';
+    document.getElementById('engagementStats').textContent =
+        `${stats.pending} en attente, ${stats.overdue} en retard (délai ${minutes(stats.responseTimeTarget)})${response}`;
+    
+    const container = document.getElementById('engagementInbox');
+    if (items.length === 0) {
+        container.innerHTML = '<div class="alert alert-success">Aucune mention ni aucun commentaire en attente de réponse.</div>';
+        return;
+    }
+    
+    const badges = { high: 'bg-danger', medium: 'bg-warning text-dark', low: 'bg-secondary' };
+    container.innerHTML = items.map(item => `
+        <div class="engagement-item priority-${item.priority.level}${item.overdue ? ' overdue' : ''}">
+            <div class="tweet-user">
+                <span class="badge ${badges[item.priority.level]}">${item.priority.score}</span>
+                ${escapeHtml(item.author.name || item.author.screen_name || 'Inconnu')}
+                <span class="text-muted">· ${item.platform} · ${item.kind === 'mention' ? 'mention' : 'commentaire'}</span>
+                ${item.overdue ? '<span class="badge bg-danger">En retard</span>' : ''}
+            </div>
+            <div class="tweet-text">${escapeHtml(item.text)}</div>
+            <div class="tweet-meta mb-2">
+                ${item.priority.factors.map(escapeHtml).join(' · ') || 'Aucun critère particulier'} ·
+                échéance ${new Date(item.dueAt).toLocaleTimeString()}
+                ${item.url ? ` · <a href="${escapeHtml(item.url)}" target="_blank" rel="noopener">voir</a>` : ''}
+            </div>
+            <textarea class="form-control form-control-sm mb-2 engagement-draft" rows="2" data-item-id="${escapeHtml(item.id)}">${escapeHtml(item.draft ? item.draft.text : '')}</textarea>
+            <button class="btn btn-primary btn-sm" data-engagement-action="approve" data-item-id="${escapeHtml(item.id)}">
+                <i class="bi bi-send"></i> Approuver et envoyer
+            </button>
+            <button class="btn btn-outline-secondary btn-sm" data-engagement-action="dismiss" data-item-id="${escapeHtml(item.id)}">Écarter</button>
+        </div>
+    `).join('');
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
 function displayAnalysisResults(data) {
     const resultsContainer = document.getElementById('analysisResults');
     
@@ -183,6 +332,15 @@ function displayAnalysisResults(data) {
         return;
     }
     
+    // Résultat de l'outil analyze_post : l'analyse du texte est imbriquée
+    const textAnalysis = data.textAnalysis || {};
+    data = {
+        sentiment: textAnalysis.sentiment ? textAnalysis.sentiment.score : 0,
+        entities: textAnalysis.entities,
+        keywords: (data.hashtags || []).map(hashtag => hashtag.hashtag),
+        topics: (textAnalysis.topics || []).map(topic => topic.name)
+    };
+    
     let sentimentClass = 'sentiment-neutral';
     let sentimentIcon = 'bi-emoji-neutral';
     
@@ -284,6 +442,20 @@ function showLoading(elementId) {
     `;
 }
 
+function showProgress(elementId, { progress, total, message }) {
+    const percent = total ? Math.round((progress / total) * 100) : null;
+
+    document.getElementById(elementId).innerHTML = `
+        <div class="my-4">
+            <div class="progress">
+                <div class="progress-bar progress-bar-striped progress-bar-animated" role="progressbar"
+                    style="width: ${percent ?? 100}%">${percent !== null ? `${percent}%` : ''}</div>
+            </div>
+            <p class="mt-2 text-center">${message || 'Traitement en cours...'}</p>
+        </div>
+    `;
+}
+
 function showNotification(message, type = 'info') {
     const notification = document.createElement('div');
     notification.className = `alert alert-${type} alert-dismissible fade show notification-toast`;
@@ -4,6 +4,8 @@
 
 import { EventEmitter } from 'events';
 import logger from '../utils/logger.js';
+import { assertValidToolParams } from '../utils/schema-validator.js';
+import { createToolContext } from '../utils/tool-context.js';
 
 class BaseAgent extends EventEmitter {
   /**
@@ -17,6 +19,11 @@ class BaseAgent extends EventEmitter {
     this.config = config;
     this.tools = [];
     this.resources = [];
+    this.prompts = [];
+    this.messageRouter = null;
+    this.contextManager = null;
+    this.capabilityRegistry = null;
+    this.topicHandlers = new Map();
     this.running = false;
     this.logger = logger.createSubLogger(`Agent-${id}`);
     this.logger.info(`Agent '${id}' créé`);
@@ -75,6 +82,11 @@ class BaseAgent extends EventEmitter {
 
   /**
    * Enregistre un outil fourni par l'agent
+   * Un outil de même nom est remplacé : initialize() est rejouée à chaque redémarrage.
+   * Le gestionnaire reçoit (params, context) : context.reportProgress() et context.signal
+   * permettent aux traitements longs de signaler leur avancement et de détecter l'annulation.
+   * `sideEffects: true` signale un outil qui agit sur une plateforme (publication, suppression...) :
+   * il n'est pas rejoué depuis le journal d'audit
    * @param {object} tool - Définition de l'outil
    */
   registerTool(tool) {
@@ -89,15 +101,60 @@ class BaseAgent extends EventEmitter {
       agentId: this.id
     };
     
-    this.tools.push(toolWithAgent);
+    replaceByName(this.tools, toolWithAgent);
     this.logger.debug(`Outil '${tool.name}' enregistré par l'agent '${this.id}'`);
     this.emit('tool-registered', toolWithAgent);
     
     return toolWithAgent;
   }
 
+  /**
+   * Exécute un outil de l'agent après validation de ses paramètres
+   * @param {string} name - Nom de l'outil
+   * @param {object} params - Paramètres de l'appel
+   * @param {object} context - Contexte d'exécution (avancement, annulation)
+   * @returns {Promise<object>} Résultat du gestionnaire de l'outil
+   * @throws {ValidationError} Si les paramètres ne respectent pas l'inputSchema
+   */
+  async callTool(name, params = {}, context = createToolContext()) {
+    const tool = this.tools.find(t => t.name === name);
+    
+    if (!tool) {
+      throw new Error(`Outil '${name}' non fourni par l'agent '${this.id}'`);
+    }
+    
+    assertValidToolParams(tool, params);
+    return tool.handler(params, context);
+  }
+
+  /**
+   * Donne accès au registre des capacités MCP (appelé par le middleware MCP)
+   * @param {CapabilityRegistry|null} capabilityRegistry - Registre des capacités
+   */
+  setCapabilityRegistry(capabilityRegistry) {
+    this.capabilityRegistry = capabilityRegistry;
+  }
+
+  /**
+   * Exécute un outil du registre MCP : outil d'un autre agent ou d'un serveur fédéré
+   * (ex: `crm__create_contact`)
+   * @param {string} name - Nom de l'outil dans le registre
+   * @param {object} args - Arguments de l'appel
+   * @returns {Promise<object>} Résultat au format CallToolResult
+   */
+  async invokeTool(name, args = {}) {
+    if (!this.capabilityRegistry) {
+      throw new Error(`L'agent '${this.id}' n'a pas accès au registre des capacités`);
+    }
+    
+    this.logger.debug(`Appel de l'outil '${name}' via le registre`);
+    return this.capabilityRegistry.callTool(name, args, { caller: { type: 'agent', id: this.id } });
+  }
+
   /**
    * Enregistre une ressource fournie par l'agent
+   * La ressource peut déclarer une `uri` fixe ou un `uriTemplate` (ex: `analysis://{analysisId}`)
+   * dont les variables sont transmises au gestionnaire
    * @param {object} resource - Définition de la ressource
    */
   registerResource(resource) {
@@ -112,13 +169,48 @@ class BaseAgent extends EventEmitter {
       agentId: this.id
     };
     
-    this.resources.push(resourceWithAgent);
+    replaceByName(this.resources, resourceWithAgent);
     this.logger.debug(`Ressource '${resource.name}' enregistrée par l'agent '${this.id}'`);
     this.emit('resource-registered', resourceWithAgent);
     
     return resourceWithAgent;
   }
 
+  /**
+   * Enregistre un modèle de prompt fourni par l'agent
+   * Le gestionnaire reçoit les arguments (chaînes) et retourne soit un texte,
+   * soit `{ description, messages }` au format MCP
+   * @param {object} prompt - Définition du prompt (name, description, arguments, handler)
+   */
+  registerPrompt(prompt) {
+    // Validation basique
+    if (!prompt.name || !prompt.description || !prompt.handler) {
+      throw new Error('Un prompt doit avoir un nom, une description et un gestionnaire');
+    }
+    
+    // Ajouter l'ID de l'agent au prompt pour le suivi
+    const promptWithAgent = {
+      arguments: [],
+      ...prompt,
+      agentId: this.id
+    };
+    
+    replaceByName(this.prompts, promptWithAgent);
+    this.logger.debug(`Prompt '${prompt.name}' enregistré par l'agent '${this.id}'`);
+    this.emit('prompt-registered', promptWithAgent);
+    
+    return promptWithAgent;
+  }
+
+  /**
+   * Signale qu'une ressource de l'agent a changé
+   * Le middleware MCP relaie l'information aux clients abonnés
+   * @param {string} uri - URI de la ressource mise à jour
+   */
+  notifyResourceUpdated(uri) {
+    this.emit('resource-updated', uri);
+  }
+
   /**
    * Retourne la liste des outils fournis par l'agent
    * @returns {array} Liste des outils
@@ -135,38 +227,199 @@ class BaseAgent extends EventEmitter {
     return this.resources;
   }
 
+  /**
+   * Retourne la liste des prompts fournis par l'agent
+   * @returns {array} Liste des prompts
+   */
+  getPrompts() {
+    return this.prompts;
+  }
+
+  /**
+   * Relie l'agent au bus de messages (appelé par le middleware MCP)
+   * @param {MessageRouter|null} router - Routeur de messages, ou null pour détacher l'agent
+   */
+  setMessageRouter(router) {
+    this.messageRouter = router;
+  }
+
+  /**
+   * Donne accès au contexte partagé (appelé par le middleware MCP)
+   * @param {ContextManager|null} contextManager - Gestionnaire de contexte
+   */
+  setContextManager(contextManager) {
+    this.contextManager = contextManager;
+  }
+
+  /**
+   * Définit une valeur de contexte
+   * @param {string} key - Clé du contexte
+   * @param {any} value - Valeur à stocker
+   * @param {object} options - Options (ttl en millisecondes, scope 'agent' ou 'global')
+   */
+  setContext(key, value, options = {}) {
+    const { scope = 'agent', ttl } = options;
+    this.assertContextManager();
+    this.contextManager.set(this.contextNamespace(scope), key, value, { ttl });
+  }
+
+  /**
+   * Récupère une valeur de contexte
+   * @param {string} key - Clé du contexte
+   * @param {string} scope - 'agent' (défaut) ou 'global'
+   * @returns {any} La valeur stockée ou undefined
+   */
+  getContext(key, scope = 'agent') {
+    this.assertContextManager();
+    return this.contextManager.get(this.contextNamespace(scope), key);
+  }
+
+  /**
+   * Écoute les modifications du contexte
+   * @param {string} scope - 'agent', 'global', ou un espace de noms complet (ex: session:<id>)
+   * @param {Function} listener - Appelé avec { action, namespace, key, value }
+   * @returns {Function} Fonction de désabonnement
+   */
+  onContextChange(scope, listener) {
+    this.assertContextManager();
+    return this.contextManager.subscribe(this.contextNamespace(scope), listener);
+  }
+
+  /**
+   * Résout l'espace de noms correspondant à une portée
+   * @param {string} scope - 'agent', 'global' ou espace de noms complet
+   * @returns {string} Espace de noms
+   * @private
+   */
+  contextNamespace(scope) {
+    if (scope === 'agent') {
+      return `agent:${this.id}`;
+    }
+    
+    return scope;
+  }
+
+  /**
+   * Vérifie que l'agent a accès au contexte partagé
+   * @private
+   */
+  assertContextManager() {
+    if (!this.contextManager) {
+      throw new Error(`L'agent '${this.id}' n'a pas accès au contexte partagé`);
+    }
+  }
+
   /**
    * Gère un message reçu par l'agent
+   * Par défaut, un message publié sur un sujet est confié au gestionnaire passé à subscribe(),
+   * et un message dont le type correspond au nom d'un outil de l'agent exécute cet outil.
+   * Les sous-classes peuvent surcharger cette méthode pour d'autres types de messages.
    * @param {object} message - Message à traiter
    * @returns {Promise<object>} Réponse au message
    */
   async handleMessage(message) {
     this.logger.debug(`Message reçu par l'agent '${this.id}': ${JSON.stringify(message)}`);
-    // À implémenter dans les sous-classes
-    throw new Error('La méthode handleMessage doit être implémentée par les sous-classes');
+    
+    if (message.topic && this.topicHandlers.has(message.topic)) {
+      return this.topicHandlers.get(message.topic)(message.payload, message);
+    }
+    
+    if (this.tools.some(t => t.name === message.type)) {
+      return this.callTool(message.type, message.payload || {});
+    }
+    
+    throw new Error(`Type de message '${message.type}' non géré par l'agent '${this.id}'`);
   }
 
   /**
    * Envoie un message à un autre agent via le middleware
-   * @param {string} targetAgentId - ID de l'agent cible
+   * @param {string} targetAgentId - ID de l'agent cible, ou `*` pour tous les agents
    * @param {string} type - Type de message
    * @param {object} payload - Contenu du message
+   * @returns {Promise<object>} Enveloppe envoyée
    */
   async sendMessage(targetAgentId, type, payload) {
-    const message = {
-      from: this.id,
-      to: targetAgentId,
-      type,
-      payload,
-      timestamp: new Date().toISOString()
-    };
+    this.assertMessageRouter();
     
     this.logger.debug(`Envoi d'un message de type '${type}' à l'agent '${targetAgentId}'`);
+    const message = this.messageRouter.send({ from: this.id, to: targetAgentId, type, payload });
     this.emit('message-sent', message);
     
-    // La logique d'envoi réel sera gérée par le middleware MCP
     return message;
   }
+
+  /**
+   * Envoie une requête à un autre agent et attend sa réponse
+   * @param {string} targetAgentId - ID de l'agent cible
+   * @param {string} type - Type de message (par exemple le nom d'un outil de l'agent cible)
+   * @param {object} payload - Contenu de la requête
+   * @param {object} options - Options (timeout en millisecondes)
+   * @returns {Promise<any>} Réponse de l'agent cible
+   */
+  async request(targetAgentId, type, payload, options = {}) {
+    this.assertMessageRouter();
+    
+    this.logger.debug(`Requête de type '${type}' envoyée à l'agent '${targetAgentId}'`);
+    return this.messageRouter.request({ from: this.id, to: targetAgentId, type, payload }, options);
+  }
+
+  /**
+   * Publie un message sur un sujet du bus
+   * @param {string} topic - Sujet
+   * @param {object} payload - Contenu du message
+   * @returns {object} Enveloppe publiée
+   */
+  publish(topic, payload) {
+    this.assertMessageRouter();
+    return this.messageRouter.publish(this.id, topic, payload);
+  }
+
+  /**
+   * Abonne l'agent à un sujet du bus
+   * @param {string} topic - Sujet
+   * @param {Function} handler - Gestionnaire appelé avec (payload, message)
+   */
+  subscribe(topic, handler) {
+    this.assertMessageRouter();
+    this.topicHandlers.set(topic, handler);
+    this.messageRouter.subscribe(this.id, topic);
+  }
+
+  /**
+   * Désabonne l'agent d'un sujet du bus
+   * @param {string} topic - Sujet
+   */
+  unsubscribe(topic) {
+    this.topicHandlers.delete(topic);
+    
+    if (this.messageRouter) {
+      this.messageRouter.unsubscribe(this.id, topic);
+    }
+  }
+
+  /**
+   * Vérifie que l'agent est relié au bus de messages
+   * @private
+   */
+  assertMessageRouter() {
+    if (!this.messageRouter) {
+      throw new Error(`L'agent '${this.id}' n'est relié à aucun bus de messages`);
+    }
+  }
+}
+
+/**
+ * Ajoute une définition à une liste, en remplaçant celle de même nom
+ * @param {array} list - Liste des définitions (outils, ressources, prompts)
+ * @param {object} definition - Définition à ajouter
+ */
+function replaceByName(list, definition) {
+  const index = list.findIndex(item => item.name === definition.name);
+  if (index === -1) {
+    list.push(definition);
+  } else {
+    list[index] = definition;
+  }
 }
 
 export default BaseAgent; 
\ No newline at end of file
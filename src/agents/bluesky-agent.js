@@ -0,0 +1,683 @@
+/**
+ * Agent Bluesky
+ * Responsable de l'interaction avec Bluesky (AT Protocol) : résolution des handles, fils des
+ * comptes, recherche de posts et publication (texte enrichi, images), avec connexion par mot de
+ * passe d'application.
+ * Les mentions, liens et hashtags d'un post publié sont déclarés en facettes, positionnées en
+ * octets UTF-8 (voir bluesky-richtext.js). Les posts lus sont convertis au format des tweets du
+ * tableau de bord (formatPost), utilisable tel quel par analyze_post.
+ * Chaque publication émet l'événement `published` (et `deleted` pour une suppression),
+ * relayé sur le bus de messages et dans la ressource bluesky://publications.
+ */
+
+import fetch from 'node-fetch';
+import BaseAgent from './base-agent.js';
+import BlueskyClient from '../clients/bluesky-client.js';
+import { buildFacets, graphemeLength } from '../clients/bluesky-richtext.js';
+import config from '../config/config.js';
+import { createToolContext } from '../utils/tool-context.js';
+import { toolResult, toolError, imageContent } from '../utils/tool-result.js';
+
+// Handle (nom de domaine), compte (handle ou DID) et adresse AT d'un post
+const handleSchema = { type: 'string', pattern: '^@?([a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?\\.)+[a-zA-Z]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?$' };
+const actorSchema = {
+  type: 'string',
+  pattern: '^(@?([a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?\\.)+[a-zA-Z]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?|did:[a-z]+:[a-zA-Z0-9._:%-]+)$'
+};
+const postUriSchema = { type: 'string', pattern: '^at://did:[a-z]+:[a-zA-Z0-9._:%-]+/app\\.bsky\\.feed\\.post/[a-zA-Z0-9._~:-]+$' };
+
+// Limites d'un post : 300 graphèmes et 3000 octets de texte, 4 images de 1 Mo au plus
+const MAX_GRAPHEMES = 300;
+const MAX_BYTES = 3000;
+const MAX_IMAGE_BYTES = 1000000;
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Auteur d'un post, au format du tableau de bord
+const userSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    screen_name: { type: 'string' },
+    profile_image_url: { type: ['string', 'null'] },
+    verified: { type: 'boolean' }
+  },
+  required: ['id', 'name', 'screen_name']
+};
+
+// Un post au format des tweets du tableau de bord (id : adresse AT), complété des champs propres à Bluesky
+const postSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    cid: { type: 'string' },
+    text: { type: 'string' },
+    created_at: { type: ['string', 'null'] },
+    lang: { type: ['string', 'null'] },
+    favorite_count: { type: 'integer' },
+    retweet_count: { type: 'integer' },
+    reply_count: { type: 'integer' },
+    quote_count: { type: 'integer' },
+    hashtags: { type: 'array', items: { type: 'string' } },
+    url: { type: 'string' },
+    user: userSchema,
+    mediaUrls: { type: 'array', items: { type: 'string' } },
+    inReplyTo: { type: ['string', 'null'] },
+    repostedBy: { type: ['string', 'null'] }
+  },
+  required: ['id', 'text', 'user', 'url', 'mediaUrls']
+};
+
+const profileSchema = {
+  type: 'object',
+  properties: {
+    did: { type: 'string' },
+    handle: { type: 'string' },
+    name: { type: 'string' },
+    description: { type: 'string' },
+    verified: { type: 'boolean' },
+    followersCount: { type: 'integer' },
+    followsCount: { type: 'integer' },
+    postsCount: { type: 'integer' }
+  },
+  required: ['did', 'handle', 'name', 'followersCount', 'followsCount', 'postsCount']
+};
+
+// Facette d'un post publié : position en octets UTF-8 et élément repéré
+const facetSchema = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['mention', 'link', 'tag'] },
+    value: { type: 'string' },
+    byteStart: { type: 'integer' },
+    byteEnd: { type: 'integer' }
+  },
+  required: ['type', 'value', 'byteStart', 'byteEnd']
+};
+
+// Un post publié (ou simulé en mode dry-run)
+const publicationSchema = {
+  type: 'object',
+  properties: {
+    uri: { type: 'string' },
+    cid: { type: ['string', 'null'] },
+    url: { type: ['string', 'null'] },
+    text: { type: 'string' },
+    facets: { type: 'array', items: facetSchema },
+    imageCount: { type: 'integer' },
+    langs: { type: 'array', items: { type: 'string' } },
+    dryRun: { type: 'boolean' },
+    publishedAt: { type: 'string' }
+  },
+  required: ['uri', 'text', 'facets', 'imageCount', 'dryRun', 'publishedAt']
+};
+
+const deletionSchema = {
+  type: 'object',
+  properties: {
+    uri: { type: 'string' },
+    deleted: { type: 'boolean' },
+    dryRun: { type: 'boolean' }
+  },
+  required: ['uri', 'deleted', 'dryRun']
+};
+
+class BlueskyAgent extends BaseAgent {
+  /**
+   * Constructeur de l'agent Bluesky
+   * @param {object} agentConfig - Identifiants et PDS, par défaut config.socialAPIs.bluesky
+   */
+  constructor(agentConfig = {}) {
+    super('bluesky', { ...config.socialAPIs.bluesky, dryRun: config.publishing.dryRun, ...agentConfig });
+    this.client = new BlueskyClient(this.config);
+    this.publications = [];
+    this.logger.info(`Agent Bluesky créé pour ${this.config.identifier || 'un compte non configuré'} sur ${this.client.serviceUrl}` +
+      `${this.config.dryRun ? ' (publication simulée)' : ''}`);
+  }
+
+  /**
+   * Initialisation de l'agent avec ses outils et ressources
+   */
+  async initialize() {
+    await super.initialize();
+
+    this.registerTool({
+      name: 'resolve_bluesky_handle',
+      description: 'Résout un handle Bluesky (ex: alice.bsky.social ou un nom de domaine) en DID, l\'identifiant permanent du compte',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          handle: handleSchema
+        },
+        required: ['handle']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: { handle: { type: 'string' }, did: { type: 'string' } },
+        required: ['handle', 'did']
+      },
+      handler: this.resolveHandle.bind(this)
+    });
+
+    this.registerTool({
+      name: 'get_bluesky_author_feed',
+      description: 'Profil et posts d\'un compte (celui de l\'agent par défaut), republications comprises, du plus récent au plus ancien',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          actor: { ...actorSchema, description: 'Handle ou DID du compte' },
+          count: { type: 'integer', minimum: 1, maximum: 100 },
+          cursor: { type: 'string', description: 'Page suivante (nextCursor)' },
+          filter: {
+            type: 'string',
+            enum: ['posts_with_replies', 'posts_no_replies', 'posts_with_media', 'posts_and_author_threads'],
+            description: 'posts_with_replies par défaut'
+          }
+        }
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          author: profileSchema,
+          posts: { type: 'array', items: postSchema },
+          resultCount: { type: 'integer' },
+          nextCursor: { type: ['string', 'null'] }
+        },
+        required: ['author', 'posts', 'resultCount', 'nextCursor']
+      },
+      handler: this.getAuthorFeed.bind(this)
+    });
+
+    this.registerTool({
+      name: 'search_bluesky_posts',
+      description: 'Recherche des posts Bluesky (mots, #hashtag, from:handle)',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', minLength: 1 },
+          count: { type: 'integer', minimum: 1, maximum: 100 },
+          cursor: { type: 'string', description: 'Page suivante (nextCursor)' },
+          sort: { type: 'string', enum: ['latest', 'top'], description: 'latest (par défaut) ou top (les plus aimés)' },
+          author: { ...actorSchema, description: 'Limite la recherche aux posts de ce compte' },
+          lang: { type: 'string', pattern: '^[a-z]{2}$' },
+          since: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}', description: 'Posts publiés depuis cette date (ISO 8601)' }
+        },
+        required: ['query']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          query: { type: 'string' },
+          posts: { type: 'array', items: postSchema },
+          resultCount: { type: 'integer' },
+          hitsTotal: { type: ['integer', 'null'] },
+          nextCursor: { type: ['string', 'null'] }
+        },
+        required: ['query', 'posts', 'resultCount', 'nextCursor']
+      },
+      handler: this.searchPosts.bind(this)
+    });
+
+    this.registerTool({
+      name: 'post_bluesky',
+      sideEffects: true,
+      description: 'Publie un post Bluesky (300 caractères au plus) : les mentions, liens et hashtags du texte deviennent ' +
+        'cliquables ; jusqu\'à 4 images (1 Mo chacune) avec texte alternatif',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          text: { type: 'string' },
+          images: {
+            type: 'array',
+            maxItems: 4,
+            items: {
+              type: 'object',
+              properties: {
+                data: { type: 'string', description: 'Image en base64 (brute ou data URI)' },
+                url: { type: 'string', pattern: '^https?://', description: 'URL de l\'image à télécharger' },
+                mimeType: { type: 'string', enum: IMAGE_TYPES },
+                alt: { type: 'string', maxLength: 2000, description: 'Texte alternatif' }
+              },
+              oneOf: [{ required: ['data'] }, { required: ['url'] }]
+            }
+          },
+          langs: { type: 'array', items: { type: 'string', pattern: '^[a-z]{2}$' }, maxItems: 3, description: 'Langues du post (ISO 639-1)' }
+        },
+        anyOf: [{ required: ['text'] }, { required: ['images'] }]
+      },
+      outputSchema: publicationSchema,
+      handler: this.publishPost.bind(this)
+    });
+
+    this.registerTool({
+      name: 'delete_bluesky_post',
+      sideEffects: true,
+      description: 'Supprime un post du compte',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          uri: { ...postUriSchema, description: 'Adresse AT du post (at://did/app.bsky.feed.post/...)' }
+        },
+        required: ['uri']
+      },
+      outputSchema: deletionSchema,
+      handler: this.deletePost.bind(this)
+    });
+
+    this.registerResource({
+      name: 'bluesky_publications',
+      uri: 'bluesky://publications',
+      mimeType: 'application/json',
+      description: 'Posts publiés (ou simulés) par l\'agent, du plus récent au plus ancien',
+      handler: this.getPublications.bind(this)
+    });
+  }
+
+  /**
+   * Résout un handle en DID
+   * @param {object} params - handle
+   * @returns {Promise<object>} Handle et DID
+   */
+  async resolveHandle(params) {
+    const handle = params.handle.replace(/^@/, '').toLowerCase();
+
+    try {
+      const did = await this.client.resolveHandle(handle);
+      return toolResult({ handle, did }, { summary: `@${handle} : ${did}` });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la résolution de @${handle}: ${error.message}`);
+      return toolError(`Erreur lors de la résolution de @${handle}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Récupère le profil et les posts d'un compte
+   * @param {object} params - actor (compte de l'agent par défaut), count (25 par défaut), cursor, filter
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Profil, posts et curseur de la page suivante
+   */
+  async getAuthorFeed(params, context = createToolContext()) {
+    const { count = 25, cursor, filter } = params;
+    const label = params.actor ? `@${params.actor.replace(/^@/, '')}` : 'du compte';
+
+    try {
+      const actor = params.actor ? params.actor.replace(/^@/, '') : (await this.client.getSession()).did;
+      const profile = await this.client.getProfile(actor);
+      const response = await this.client.getAuthorFeed(actor, { limit: count, cursor, filter, signal: context.signal });
+      const posts = response.feed.map(item => formatPost(item.post, item.reason));
+      const result = { author: formatProfile(profile), posts, resultCount: posts.length, nextCursor: response.cursor || null };
+
+      return toolResult(result, {
+        summary: [`@${result.author.handle} (${result.author.name}) : ${result.author.followersCount} abonné(s), ` +
+          `${result.author.postsCount} post(s)`, ...posts.map(summarizePost)].join('\n')
+      });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la récupération des posts ${label}: ${error.message}`);
+      return toolError(`Erreur lors de la récupération des posts ${label}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Recherche des posts
+   * @param {object} params - query, count (25 par défaut), cursor, sort, author, lang, since
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Posts et curseur de la page suivante
+   */
+  async searchPosts(params, context = createToolContext()) {
+    const { query, count = 25, cursor, sort, author, lang, since } = params;
+
+    try {
+      const response = await this.client.searchPosts({
+        q: query,
+        limit: count,
+        cursor,
+        sort,
+        author: author && author.replace(/^@/, ''),
+        lang,
+        since,
+        signal: context.signal
+      });
+      const posts = response.posts.map(post => formatPost(post));
+      const result = {
+        query,
+        posts,
+        resultCount: posts.length,
+        hitsTotal: response.hitsTotal ?? null,
+        nextCursor: response.cursor || null
+      };
+
+      return toolResult(result, {
+        summary: [`${result.resultCount} post(s) Bluesky pour "${query}"${result.hitsTotal !== null ? ` sur ${result.hitsTotal}` : ''}`,
+          ...posts.map(summarizePost)].join('\n')
+      });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la recherche Bluesky: ${error.message}`);
+      return toolError(`Erreur lors de la recherche Bluesky: ${error.message}`);
+    }
+  }
+
+  /**
+   * Publie un post
+   * Les mentions dont le handle ne peut pas être résolu restent du texte simple
+   * @param {object} params - text, images, langs
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Publication
+   */
+  async publishPost(params, context = createToolContext()) {
+    const { text = '', images = [], langs = [] } = params;
+    const graphemes = graphemeLength(text);
+    const bytes = Buffer.byteLength(text, 'utf8');
+
+    if (!text.trim() && images.length === 0) {
+      return toolError('Le post doit contenir un texte ou une image');
+    }
+    if (graphemes > MAX_GRAPHEMES || bytes > MAX_BYTES) {
+      return toolError(`Post trop long : ${graphemes} caractères et ${bytes} octets (${MAX_GRAPHEMES} caractères et ${MAX_BYTES} octets au plus)`);
+    }
+
+    try {
+      const facets = await buildFacets(text, async handle => {
+        try {
+          return await this.client.resolveHandle(handle);
+        } catch (error) {
+          this.logger.warn(`Mention @${handle} non résolue, laissée en texte simple: ${error.message}`);
+          throw error;
+        }
+      });
+      const embed = await this.uploadImages(images, context);
+      const response = await this.client.createPost({
+        text,
+        createdAt: new Date().toISOString(),
+        ...(facets.length > 0 ? { facets } : {}),
+        ...(langs.length > 0 ? { langs } : {}),
+        ...(embed ? { embed } : {})
+      });
+      const { handle } = await this.client.getSession();
+
+      const publication = {
+        uri: response.uri,
+        cid: response.cid || null,
+        url: this.client.dryRun ? null : postUrl(handle, response.uri),
+        text,
+        facets: facets.map(facet => describeFacet(facet)),
+        imageCount: images.length,
+        langs,
+        dryRun: this.client.dryRun,
+        publishedAt: new Date().toISOString()
+      };
+
+      this.publications.push(publication);
+      if (this.publications.length > config.publishing.historyLimit) {
+        this.publications.shift();
+      }
+
+      this.logger.info(`Post ${publication.uri} publié${publication.dryRun ? ' en simulation' : ''}`);
+      this.notifyPublication('published', { platform: 'bluesky', ...publication });
+
+      return toolResult(publication, {
+        summary: `Post publié${publication.dryRun ? ' (simulation)' : ''} : ${publication.uri}` +
+          `${publication.facets.length > 0 ? `\nFacettes : ${publication.facets.map(facet => `${facet.type} ${facet.value} [${facet.byteStart}-${facet.byteEnd}]`).join(', ')}` : ''}` +
+          `${publication.imageCount > 0 ? `\n${publication.imageCount} image(s)` : ''}` +
+          `${publication.url ? `\n${publication.url}` : ''}`
+      });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la publication du post: ${error.message}`);
+      return toolError(`Erreur lors de la publication du post: ${error.message}`);
+    }
+  }
+
+  /**
+   * Supprime un post du compte
+   * @param {object} params - uri
+   * @returns {Promise<object>} Résultat de la suppression
+   */
+  async deletePost(params) {
+    const { uri } = params;
+
+    try {
+      await this.client.deletePost(uri);
+      const result = { uri, deleted: true, dryRun: this.client.dryRun };
+      const publication = this.publications.find(candidate => candidate.uri === uri);
+
+      if (publication) {
+        publication.deletedAt = new Date().toISOString();
+      }
+
+      this.notifyPublication('deleted', { platform: 'bluesky', ...result, deletedAt: new Date().toISOString() });
+
+      return toolResult(result, { summary: `Post ${uri} supprimé${result.dryRun ? ' (simulation)' : ''}` });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la suppression du post ${uri}: ${error.message}`);
+      return toolError(`Erreur lors de la suppression du post ${uri}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retourne les publications récentes de l'agent
+   * @param {object} params - limit (20 par défaut), offset
+   * @returns {Promise<object>} Publications, de la plus récente à la plus ancienne
+   */
+  async getPublications(params = {}) {
+    // Les paramètres peuvent provenir d'une URI de ressource, donc être des chaînes
+    const limit = parseInt(params.limit ?? 20, 10);
+    const offset = parseInt(params.offset ?? 0, 10);
+    const publications = [...this.publications].reverse();
+
+    return {
+      content: {
+        total: publications.length,
+        offset,
+        limit,
+        dryRun: this.client.dryRun,
+        publications: publications.slice(offset, offset + limit)
+      }
+    };
+  }
+
+  /**
+   * Envoie les images d'un post et construit son embed app.bsky.embed.images
+   * @param {Array<object>} images - Images (data ou url, mimeType, alt)
+   * @param {object} context - Contexte d'exécution (progression, annulation)
+   * @returns {Promise<object|null>} Embed, null sans image
+   * @throws {Error} Si une image n'est pas acceptée
+   * @private
+   */
+  async uploadImages(images, context) {
+    if (images.length === 0) {
+      return null;
+    }
+
+    const embedded = [];
+
+    for (const [index, image] of images.entries()) {
+      context.throwIfAborted();
+      const { data, mimeType } = await this.loadMedia(image, context);
+
+      if (!IMAGE_TYPES.includes(mimeType)) {
+        throw new Error(`type d'image non supporté: ${mimeType || 'inconnu'} (acceptés : ${IMAGE_TYPES.join(', ')})`);
+      }
+      if (data.length > MAX_IMAGE_BYTES) {
+        throw new Error(`image trop volumineuse: ${data.length} octets (${MAX_IMAGE_BYTES} au plus)`);
+      }
+
+      const blob = await this.client.uploadBlob(data, mimeType);
+      embedded.push({ alt: image.alt || '', image: blob });
+      this.logger.info(`Image ${blob.ref.$link} envoyée (${mimeType}, ${data.length} octets)`);
+      context.reportProgress(index + 1, images.length, `Image ${index + 1}/${images.length} envoyée`);
+    }
+
+    return { $type: 'app.bsky.embed.images', images: embedded };
+  }
+
+  /**
+   * Signale une publication ou une suppression : événement de l'agent, sujet du bus
+   * de messages (s'il est relié) et mise à jour de la ressource bluesky://publications
+   * @param {string} event - 'published' ou 'deleted'
+   * @param {object} payload - Publication (platform, uri...)
+   * @private
+   */
+  notifyPublication(event, payload) {
+    this.emit(event, payload);
+
+    if (this.messageRouter) {
+      this.publish(`publication.${event}`, payload);
+    }
+
+    this.notifyResourceUpdated('bluesky://publications');
+  }
+
+  /**
+   * Lit le contenu d'une image fournie en base64 ou par URL
+   * @param {object} params - data ou url, mimeType
+   * @param {object} context - Contexte d'exécution (annulation du téléchargement)
+   * @returns {Promise<{data: Buffer, mimeType: string}>} Contenu et type MIME
+   * @private
+   */
+  async loadMedia(params, context) {
+    if (params.data) {
+      const image = imageContent(params.data, params.mimeType);
+      const dataUri = params.data.match(/^data:([\w/.+-]+);base64,(.*)$/s);
+
+      return {
+        data: Buffer.from(dataUri ? dataUri[2] : params.data, 'base64'),
+        mimeType: params.mimeType || (dataUri && dataUri[1]) || (image && image.mimeType)
+      };
+    }
+
+    const response = await fetch(params.url, { signal: context.signal });
+
+    if (!response.ok) {
+      throw new Error(`téléchargement de ${params.url} impossible (HTTP ${response.status})`);
+    }
+
+    return {
+      data: Buffer.from(await response.arrayBuffer()),
+      mimeType: params.mimeType || (response.headers.get('content-type') || '').split(';')[0].trim()
+    };
+  }
+}
+
+/**
+ * Convertit un post au format des tweets du tableau de bord
+ * @param {object} post - Vue du post (app.bsky.feed.defs#postView)
+ * @param {object} reason - Raison de sa présence dans un fil (republication), si fournie
+ * @returns {object} Post formaté
+ */
+function formatPost(post, reason = null) {
+  const record = post.record || {};
+  const tags = (record.facets || [])
+    .flatMap(facet => facet.features)
+    .filter(feature => feature.$type === 'app.bsky.richtext.facet#tag')
+    .map(feature => feature.tag);
+
+  return {
+    id: post.uri,
+    cid: post.cid,
+    text: record.text || '',
+    created_at: record.createdAt || post.indexedAt || null,
+    lang: (record.langs || [])[0] || null,
+    favorite_count: post.likeCount || 0,
+    retweet_count: post.repostCount || 0,
+    reply_count: post.replyCount || 0,
+    quote_count: post.quoteCount || 0,
+    hashtags: [...new Set([...tags, ...(record.tags || [])])],
+    url: postUrl(post.author.handle, post.uri),
+    user: formatUser(post.author),
+    mediaUrls: embeddedImages(post.embed).map(image => image.fullsize),
+    inReplyTo: record.reply ? record.reply.parent.uri : null,
+    repostedBy: reason && reason.$type === 'app.bsky.feed.defs#reasonRepost' ? reason.by.handle : null
+  };
+}
+
+/**
+ * Convertit un compte en auteur au format du tableau de bord
+ * @param {object} author - Profil (app.bsky.actor.defs#profileViewBasic)
+ * @returns {object} Auteur (id : DID, screen_name : handle)
+ */
+function formatUser(author) {
+  return {
+    id: author.did,
+    name: author.displayName || author.handle,
+    screen_name: author.handle,
+    profile_image_url: author.avatar || null,
+    verified: Boolean(author.verification && author.verification.verifiedStatus === 'valid')
+  };
+}
+
+/**
+ * Convertit un profil détaillé
+ * @param {object} profile - Profil (app.bsky.actor.defs#profileViewDetailed)
+ * @returns {object} Profil formaté
+ */
+function formatProfile(profile) {
+  return {
+    did: profile.did,
+    handle: profile.handle,
+    name: profile.displayName || profile.handle,
+    description: profile.description || '',
+    verified: Boolean(profile.verification && profile.verification.verifiedStatus === 'valid'),
+    followersCount: profile.followersCount || 0,
+    followsCount: profile.followsCount || 0,
+    postsCount: profile.postsCount || 0
+  };
+}
+
+/**
+ * Images d'un embed, y compris celles d'une citation avec médias
+ * @param {object} embed - Vue de l'embed du post
+ * @returns {Array<object>} Images (thumb, fullsize, alt)
+ */
+function embeddedImages(embed) {
+  if (!embed) {
+    return [];
+  }
+  if (embed.$type === 'app.bsky.embed.images#view') {
+    return embed.images || [];
+  }
+  if (embed.$type === 'app.bsky.embed.recordWithMedia#view') {
+    return embeddedImages(embed.media);
+  }
+  return [];
+}
+
+/**
+ * Décrit une facette pour le résultat d'une publication
+ * @param {object} facet - Facette (index, features)
+ * @returns {object} type, value, byteStart, byteEnd
+ */
+function describeFacet(facet) {
+  const [feature] = facet.features;
+  const type = feature.$type.split('#')[1];
+
+  return {
+    type,
+    value: type === 'mention' ? feature.did : type === 'link' ? feature.uri : feature.tag,
+    byteStart: facet.index.byteStart,
+    byteEnd: facet.index.byteEnd
+  };
+}
+
+/**
+ * Adresse web d'un post sur bsky.app
+ * @param {string} handle - Handle de l'auteur
+ * @param {string} uri - Adresse AT du post
+ * @returns {string} URL
+ */
+function postUrl(handle, uri) {
+  return `https://bsky.app/profile/${handle}/post/${uri.split('/').pop()}`;
+}
+
+/**
+ * Résumé d'une ligne d'un post
+ * @param {object} post - Post formaté
+ * @returns {string} Résumé
+ */
+function summarizePost(post) {
+  const text = post.text.replace(/\s+/g, ' ');
+
+  return `- @${post.user.screen_name}${post.repostedBy ? ` (republié par @${post.repostedBy})` : ''} ` +
+    `(${post.favorite_count} j'aime, ${post.retweet_count} republication(s)) : ${text.length > 80 ? `${text.slice(0, 79)}…` : text}` +
+    `\n  ${post.id}`;
+}
+
+export default BlueskyAgent;
@@ -6,6 +6,256 @@
 import BaseAgent from './base-agent.js';
 import fetch from 'node-fetch';
 import config from '../config/config.js';
+import { createToolContext } from '../utils/tool-context.js';
+import { toolResult, toolError, imageContent, getResultText } from '../utils/tool-result.js';
+
+// Longueur maximale d'un post par plateforme (réécriture sans LLM)
+const platformLengthLimits = {
+  twitter: 280,
+  instagram: 2200,
+  linkedin: 3000,
+  facebook: 63206,
+  mastodon: 500, // Limite par défaut, chaque instance peut la changer
+  bluesky: 300 // En graphèmes
+};
+
+// Termes de la modération heuristique des textes (mots entiers, en minuscules) et poids de chacun
+const moderationLexicon = {
+  insult: {
+    weight: 0.5,
+    terms: ['idiot', 'idiots', 'imbécile', 'imbéciles', 'crétin', 'crétins', 'abruti', 'abrutis', 'débile', 'débiles',
+      'connard', 'connards', 'connasse', 'salaud', 'salauds', 'ordure', 'ordures', 'minable', 'minables', 'escroc', 'escrocs', 'stupid', 'moron']
+  },
+  threat: {
+    weight: 0.6,
+    terms: ['je vais te', 'on va te', 'tu vas payer', 'vous allez payer', 'crève', 'crevez', 'on sait où tu', 'kill you']
+  },
+  spam: {
+    weight: 0.35,
+    terms: ['cliquez ici', 'gagnez', 'code promo', 'promo', 'bitcoin', 'crypto', 'whatsapp', 'telegram',
+      'investissement garanti', 'revenus passifs', 'dm me', 'follow back']
+  }
+};
+
+// Tournures qui introduisent une question, même sans point d'interrogation (début de phrase)
+const questionOpeners = ['comment', 'pourquoi', 'où', 'combien', 'est-ce que', 'est-ce qu', 'quel', 'quelle', 'quels',
+  'quelles', 'pouvez-vous', 'pourriez-vous', 'savez-vous', 'peut-on', 'faut-il', 'y a-t-il',
+  'how', 'why', 'where', 'what', 'which', 'can you', 'could you', 'do you', 'is there', 'are you'];
+// Demandes d'aide ou d'information, où qu'elles soient dans le texte
+const questionRequests = ['une idée', 'je cherche', 'je me demande', 'besoin d\'aide', 'aidez-moi', 'des infos', 'any idea'];
+
+// Schémas de sortie des outils (structuredContent). Les sections désactivées
+// par les options de l'analyse valent null.
+const scoredItemSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    confidence: { type: 'number' }
+  },
+  required: ['name', 'confidence']
+};
+
+const textAnalysisSchema = {
+  type: 'object',
+  properties: {
+    analysisId: { type: 'string' },
+    textLength: { type: 'integer' },
+    language: { type: 'string' },
+    timestamp: { type: 'string' },
+    engine: { type: 'string', enum: ['sampling', 'heuristic'] },
+    sentiment: {
+      type: ['object', 'null'],
+      properties: {
+        score: { type: 'number', minimum: -1, maximum: 1 },
+        label: { type: 'string', enum: ['positive', 'negative', 'neutral'] },
+        confidence: { type: 'number' }
+      },
+      required: ['score', 'label']
+    },
+    topics: {
+      type: ['array', 'null'],
+      items: {
+        ...scoredItemSchema,
+        properties: { ...scoredItemSchema.properties, matchedKeywords: { type: 'array', items: { type: 'string' } } }
+      }
+    },
+    entities: {
+      type: ['array', 'null'],
+      items: {
+        type: 'object',
+        properties: {
+          text: { type: 'string' },
+          type: { type: 'string', enum: ['PERSON', 'LOCATION', 'ORGANIZATION'] },
+          confidence: { type: 'number' },
+          startChar: { type: 'integer' },
+          endChar: { type: 'integer' }
+        },
+        required: ['text', 'type']
+      }
+    },
+    moderationResult: {
+      type: ['object', 'null'],
+      properties: {
+        flagged: { type: 'boolean' },
+        isOffensive: { type: 'boolean' },
+        isThreatening: { type: 'boolean' },
+        isSpam: { type: 'boolean' },
+        safeScore: { type: 'number' },
+        categories: { type: 'object', additionalProperties: { type: 'number' } }
+      },
+      required: ['flagged', 'safeScore']
+    },
+    question: {
+      type: ['object', 'null'],
+      properties: {
+        isQuestion: { type: 'boolean' },
+        confidence: { type: 'number' },
+        cues: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['isQuestion', 'confidence']
+    }
+  },
+  required: ['analysisId', 'timestamp', 'sentiment', 'topics', 'entities', 'moderationResult']
+};
+
+const imageAnalysisSchema = {
+  type: 'object',
+  properties: {
+    analysisId: { type: 'string' },
+    imageSource: { type: 'string', enum: ['url', 'base64'] },
+    timestamp: { type: 'string' },
+    objects: {
+      type: ['array', 'null'],
+      items: {
+        ...scoredItemSchema,
+        properties: { ...scoredItemSchema.properties, boundingBox: { type: 'object' } }
+      }
+    },
+    scenes: { type: ['array', 'null'], items: scoredItemSchema },
+    textInImage: {
+      type: ['object', 'null'],
+      properties: {
+        text: { type: 'string' },
+        confidence: { type: 'number' },
+        blocks: { type: 'array', items: { type: 'object' } }
+      },
+      required: ['text']
+    },
+    moderationResult: {
+      type: ['object', 'null'],
+      properties: {
+        isAdult: { type: 'boolean' },
+        isViolent: { type: 'boolean' },
+        isOffensive: { type: 'boolean' },
+        safeScore: { type: 'number' },
+        categories: { type: 'object', additionalProperties: { type: 'number' } }
+      },
+      required: ['safeScore']
+    }
+  },
+  required: ['analysisId', 'imageSource', 'timestamp', 'objects', 'scenes', 'textInImage', 'moderationResult']
+};
+
+const summarySchema = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string' },
+    engine: { type: 'string', enum: ['sampling', 'heuristic'] },
+    model: { type: 'string' }
+  },
+  required: ['summary', 'engine']
+};
+
+const rewriteSchema = {
+  type: 'object',
+  properties: {
+    text: { type: 'string' },
+    platform: { type: 'string' },
+    length: { type: 'integer' },
+    engine: { type: 'string', enum: ['sampling', 'heuristic'] },
+    model: { type: 'string' }
+  },
+  required: ['text', 'platform', 'length', 'engine']
+};
+
+// Origine d'un post analysé (ex: flux filtré Twitter)
+const postSourceSchema = {
+  type: 'object',
+  description: 'Origine du post : plateforme, identifiant, URL, auteur et règles du flux qui l\'ont sélectionné',
+  properties: {
+    platform: { type: 'string' },
+    id: { type: 'string' },
+    url: { type: 'string' },
+    author: { type: 'string' },
+    matchingRules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { id: { type: 'string' }, tag: { type: ['string', 'null'] } },
+        required: ['id']
+      }
+    }
+  }
+};
+
+const postAnalysisSchema = {
+  type: 'object',
+  properties: {
+    analysisId: { type: 'string' },
+    platform: { type: 'string' },
+    source: postSourceSchema,
+    timestamp: { type: 'string' },
+    textAnalysis: textAnalysisSchema,
+    mediaAnalysis: { type: 'array', items: imageAnalysisSchema },
+    hashtags: {
+      type: ['array', 'null'],
+      items: {
+        type: 'object',
+        properties: { hashtag: { type: 'string' }, text: { type: 'string' } },
+        required: ['hashtag', 'text']
+      }
+    },
+    engagementPrediction: {
+      type: ['object', 'null'],
+      properties: {
+        overallScore: { type: 'number' },
+        platform: { type: 'string' },
+        predictions: { type: 'object', additionalProperties: { type: 'integer' } },
+        factors: { type: 'object', additionalProperties: { type: 'number' } },
+        suggestedImprovements: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: { type: { type: 'string' }, suggestion: { type: 'string' } },
+            required: ['type', 'suggestion']
+          }
+        }
+      },
+      required: ['overallScore', 'predictions', 'suggestedImprovements']
+    },
+    trendDetection: {
+      type: ['object', 'null'],
+      properties: {
+        matchedTrends: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              trend: { type: 'string' },
+              relevance: { type: 'number' },
+              matchedKeywords: { type: 'array', items: { type: 'string' } }
+            },
+            required: ['trend', 'relevance']
+          }
+        },
+        trendingTopicCount: { type: 'integer' },
+        topTrend: { type: ['object', 'null'] }
+      },
+      required: ['matchedTrends', 'trendingTopicCount']
+    }
+  },
+  required: ['analysisId', 'platform', 'timestamp', 'textAnalysis', 'mediaAnalysis']
+};
 
 class ContentAnalysisAgent extends BaseAgent {
   /**
@@ -19,6 +269,14 @@ class ContentAnalysisAgent extends BaseAgent {
     this.analyzeQueue = [];
     this.processingAnalysis = false;
     this.analysisResults = new Map();
+    // Tendances en cours, publiées par l'agent de tendances (sujet trends.updated)
+    this.liveTrends = [];
+    
+    // Chaque analyse terminée met à jour les ressources analysis://
+    this.on('analysis-completed', ({ type, analysisId }) => {
+      this.notifyResourceUpdated(`analysis://${analysisId}`);
+      this.notifyResourceUpdated(`analysis://recent?type=${type}`);
+    });
     
     this.logger.info('Agent d\'analyse de contenu créé');
   }
@@ -43,12 +301,15 @@ class ContentAnalysisAgent extends BaseAgent {
               extractSentiment: { type: 'boolean' },
               extractTopics: { type: 'boolean' },
               extractEntities: { type: 'boolean' },
+              moderateContent: { type: 'boolean' },
+              detectQuestion: { type: 'boolean', description: 'Repère les questions et demandes qui attendent une réponse' },
               language: { type: 'string' }
             }
           }
         },
         required: ['text']
       },
+      outputSchema: textAnalysisSchema,
       handler: this.analyzeText.bind(this)
     });
     
@@ -75,6 +336,7 @@ class ContentAnalysisAgent extends BaseAgent {
           { required: ['imageBase64'] }
         ]
       },
+      outputSchema: imageAnalysisSchema,
       handler: this.analyzeImage.bind(this)
     });
     
@@ -90,6 +352,7 @@ class ContentAnalysisAgent extends BaseAgent {
             items: { type: 'string' }
           },
           platform: { type: 'string' },
+          source: postSourceSchema,
           options: { 
             type: 'object',
             properties: {
@@ -101,9 +364,41 @@ class ContentAnalysisAgent extends BaseAgent {
         },
         required: ['text']
       },
+      outputSchema: postAnalysisSchema,
       handler: this.analyzePost.bind(this)
     });
     
+    this.registerTool({
+      name: 'summarize_text',
+      description: 'Résume un texte (LLM du client via sampling si disponible, sinon premières phrases)',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          text: { type: 'string', minLength: 1 },
+          maxSentences: { type: 'integer', minimum: 1, maximum: 10 }
+        },
+        required: ['text']
+      },
+      outputSchema: summarySchema,
+      handler: this.summarizeText.bind(this)
+    });
+    
+    this.registerTool({
+      name: 'rewrite_post',
+      description: 'Réécrit un post pour une plateforme (LLM du client via sampling si disponible, sinon mise en forme simple)',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          text: { type: 'string', minLength: 1 },
+          platform: { type: 'string', enum: Object.keys(platformLengthLimits) },
+          tone: { type: 'string' }
+        },
+        required: ['text', 'platform']
+      },
+      outputSchema: rewriteSchema,
+      handler: this.rewritePost.bind(this)
+    });
+    
     // Enregistrement des ressources
     this.registerResource({
       name: 'content_analysis_results',
@@ -111,6 +406,41 @@ class ContentAnalysisAgent extends BaseAgent {
       handler: this.getAnalysisResults.bind(this)
     });
     
+    this.registerResource({
+      name: 'analysis_recent',
+      uriTemplate: 'analysis://recent{?type,tag,limit,offset}',
+      description: 'Analyses les plus récentes, filtrables par type (text, image, post) et par étiquette de règle du flux filtré',
+      handler: this.getAnalysisResults.bind(this)
+    });
+    
+    this.registerResource({
+      name: 'analysis_by_id',
+      uriTemplate: 'analysis://{analysisId}',
+      description: 'Une analyse précédente, désignée par son identifiant',
+      handler: this.getAnalysis.bind(this)
+    });
+    
+    // Enregistrement des prompts
+    this.registerPrompt({
+      name: 'rewrite_for_linkedin',
+      description: 'Réécrit un post pour LinkedIn en s\'appuyant sur son analyse (sujets, sentiment)',
+      arguments: [
+        { name: 'text', description: 'Texte du post à réécrire', required: true },
+        { name: 'audience', description: 'Audience visée (ex: décideurs B2B)', required: false }
+      ],
+      handler: this.buildLinkedInRewritePrompt.bind(this)
+    });
+    
+    this.registerPrompt({
+      name: 'summarize_recent_analyses',
+      description: 'Synthétise les dernières analyses de contenu',
+      arguments: [
+        { name: 'type', description: 'Type d\'analyse (text, image, post)', required: false },
+        { name: 'limit', description: 'Nombre d\'analyses à inclure (10 par défaut)', required: false }
+      ],
+      handler: this.buildAnalysesSummaryPrompt.bind(this)
+    });
+    
     this.logger.info('Agent d\'analyse de contenu initialisé');
   }
 
@@ -123,6 +453,17 @@ class ContentAnalysisAgent extends BaseAgent {
     // Démarrer le traitement des analyses en file d'attente
     this.startQueueProcessor();
     
+    // Les posts des flux (ex: flux filtré Twitter) sont mis en file d'attente d'analyse
+    if (this.messageRouter) {
+      this.subscribe('stream.post', post => this.queuePostAnalysis(post));
+      this.subscribe('trends.updated', update => this.updateLiveTrends(update.trends));
+      
+      // Tendances déjà publiées avant le démarrage de cet agent (sans attendre la prochaine actualisation)
+      this.request('trends', 'get_trends', {})
+        .then(result => this.updateLiveTrends(result.structuredContent.trends))
+        .catch(error => this.logger.debug(`Tendances indisponibles: ${error.message}`));
+    }
+    
     this.logger.info('Agent d\'analyse de contenu démarré');
   }
 
@@ -131,6 +472,8 @@ class ContentAnalysisAgent extends BaseAgent {
    */
   async stop() {
     // Arrêter le traitement des analyses
+    this.unsubscribe('stream.post');
+    this.unsubscribe('trends.updated');
     this.stopQueueProcessor();
     
     await super.stop();
@@ -149,15 +492,8 @@ class ContentAnalysisAgent extends BaseAgent {
           const task = this.analyzeQueue.shift();
           this.logger.debug(`Traitement d'une tâche d'analyse: ${task.type}`);
           
-          // Exécuter l'analyse
+          // Exécuter l'analyse (l'événement analysis-completed est émis par recordAnalysis)
           await task.execute();
-          
-          // Notifier les agents intéressés
-          this.emit('analysis-completed', {
-            type: task.type,
-            taskId: task.id,
-            result: task.result
-          });
         } catch (error) {
           this.logger.error(`Erreur lors du traitement de la file d'analyse: ${error.message}`);
         } finally {
@@ -167,6 +503,46 @@ class ContentAnalysisAgent extends BaseAgent {
     }, 100); // Vérifier la file toutes les 100ms
   }
 
+  /**
+   * Met un post reçu d'un flux en file d'attente pour analyze_post
+   * Au-delà de config.queueLimit, le post le plus ancien est abandonné
+   * @param {object} post - Post (platform, id, text, url, user, mediaUrls, matchingRules)
+   */
+  queuePostAnalysis(post) {
+    if (this.analyzeQueue.length >= this.config.queueLimit) {
+      const dropped = this.analyzeQueue.shift();
+      this.logger.warn(`File d'analyse pleine (${this.config.queueLimit}), tâche ${dropped.type} la plus ancienne abandonnée`);
+    }
+    
+    const source = {
+      platform: post.platform,
+      id: post.id,
+      url: post.url,
+      author: post.user.screen_name,
+      matchingRules: post.matchingRules || []
+    };
+    
+    this.analyzeQueue.push({
+      type: 'post',
+      execute: () => this.callTool('analyze_post', {
+        text: post.text,
+        mediaUrls: post.mediaUrls || [],
+        platform: post.platform,
+        source
+      })
+    });
+  }
+
+  /**
+   * Remplace la liste des tendances utilisée par analyze_post
+   * @param {Array<object>} trends - Tendances (name, keywords, strength)
+   * @private
+   */
+  updateLiveTrends(trends) {
+    this.liveTrends = trends;
+    this.logger.debug(`${trends.length} tendance(s) en cours`);
+  }
+
   /**
    * Arrête le processeur de file d'attente
    * @private
@@ -180,10 +556,13 @@ class ContentAnalysisAgent extends BaseAgent {
 
   /**
    * Analyse un texte pour en extraire des informations
+   * Si le client MCP supporte le sampling, son LLM affine le sentiment et les sujets ;
+   * les heuristiques locales servent sinon de repli
    * @param {object} params - Paramètres de l'analyse
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
    * @returns {Promise<object>} Résultat de l'analyse
    */
-  async analyzeText(params) {
+  async analyzeText(params, context = createToolContext()) {
     const { text, options = {} } = params;
     
     // Valeurs par défaut pour les options
@@ -312,19 +691,46 @@ class ContentAnalysisAgent extends BaseAgent {
         });
       }
       
+      // Modération : insultes, menaces et spam (désactivée par défaut)
+      let moderationResult = null;
+      if (opts.moderateContent) {
+        moderationResult = moderateText(text, this.config.moderationThreshold);
+      }
+      
+      // Détection des questions (désactivée par défaut)
+      let question = null;
+      if (opts.detectQuestion) {
+        question = detectQuestion(text);
+      }
+      
+      // Analyse plus fine par le LLM du client, si disponible
+      let engine = 'heuristic';
+      if (opts.extractSentiment || opts.extractTopics) {
+        const modelAnalysis = await this.askModelForAnalysis(text, opts, context);
+        
+        if (modelAnalysis) {
+          engine = 'sampling';
+          sentiment = opts.extractSentiment ? modelAnalysis.sentiment || sentiment : sentiment;
+          topics = opts.extractTopics ? modelAnalysis.topics || topics : topics;
+        }
+      }
+      
       // Résultat complet
       const result = {
         analysisId,
         textLength: text.length,
         language: opts.language,
         timestamp: new Date().toISOString(),
+        engine,
         sentiment,
         topics,
-        entities
+        entities,
+        moderationResult,
+        question
       };
       
       // Stocker le résultat pour référence future
-      this.analysisResults.set(analysisId, {
+      this.recordAnalysis(analysisId, {
         type: 'text',
         input: { text: text.substring(0, 100) + (text.length > 100 ? '...' : '') },
         options: opts,
@@ -332,18 +738,10 @@ class ContentAnalysisAgent extends BaseAgent {
         timestamp: new Date()
       });
       
-      return {
-        content: result
-      };
+      return toolResult(result, { summary: summarizeTextAnalysis(result) });
     } catch (error) {
       this.logger.error(`Erreur lors de l'analyse de texte: ${error.message}`);
-      return {
-        isError: true,
-        content: {
-          message: `Erreur lors de l'analyse: ${error.message}`,
-          analysisId
-        }
-      };
+      return toolError(`Erreur lors de l'analyse ${analysisId}: ${error.message}`);
     }
   }
 
@@ -441,7 +839,7 @@ class ContentAnalysisAgent extends BaseAgent {
       };
       
       // Stocker le résultat pour référence future
-      this.analysisResults.set(analysisId, {
+      this.recordAnalysis(analysisId, {
         type: 'image',
         input: { imageUrl: imageUrl || '[base64]' },
         options: opts,
@@ -449,28 +847,29 @@ class ContentAnalysisAgent extends BaseAgent {
         timestamp: new Date()
       });
       
-      return {
-        content: result
-      };
+      // L'image transmise en base64 est renvoyée avec l'analyse pour que le client puisse l'afficher
+      const image = imageBase64 && imageContent(imageBase64);
+      
+      return toolResult(result, {
+        summary: summarizeImageAnalysis(result),
+        images: image ? [image] : []
+      });
     } catch (error) {
       this.logger.error(`Erreur lors de l'analyse d'image: ${error.message}`);
-      return {
-        isError: true,
-        content: {
-          message: `Erreur lors de l'analyse: ${error.message}`,
-          analysisId
-        }
-      };
+      return toolError(`Erreur lors de l'analyse ${analysisId}: ${error.message}`);
     }
   }
 
   /**
    * Analyse un post complet des réseaux sociaux
+   * L'avancement est signalé après le texte puis après chaque média ; l'analyse
+   * s'interrompt entre deux étapes si l'appel est annulé
    * @param {object} params - Paramètres de l'analyse
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
    * @returns {Promise<object>} Résultat de l'analyse
    */
-  async analyzePost(params) {
-    const { text, mediaUrls = [], platform = 'unknown', options = {} } = params;
+  async analyzePost(params, context = createToolContext()) {
+    const { text, mediaUrls = [], platform = 'unknown', source, options = {} } = params;
     
     // Valeurs par défaut pour les options
     const opts = {
@@ -495,12 +894,21 @@ class ContentAnalysisAgent extends BaseAgent {
           extractTopics: true, 
           extractEntities: true 
         } 
-      });
+      }, context);
+      
+      if (textAnalysisResult.isError) {
+        throw new Error(getResultText(textAnalysisResult));
+      }
+      
+      const totalSteps = 1 + mediaUrls.length;
+      context.reportProgress(1, totalSteps, 'Texte analysé');
       
       // Analyse des images si présentes
       const imageAnalysisResults = [];
       if (mediaUrls && mediaUrls.length > 0) {
-        for (const imageUrl of mediaUrls) {
+        for (const [index, imageUrl] of mediaUrls.entries()) {
+          context.throwIfAborted();
+          
           const imageAnalysis = await this.analyzeImage({ 
             imageUrl, 
             options: { 
@@ -511,7 +919,12 @@ class ContentAnalysisAgent extends BaseAgent {
             } 
           });
           
-          imageAnalysisResults.push(imageAnalysis.content);
+          if (imageAnalysis.isError) {
+            throw new Error(getResultText(imageAnalysis));
+          }
+          
+          imageAnalysisResults.push(imageAnalysis.structuredContent);
+          context.reportProgress(2 + index, totalSteps, `Média ${index + 1}/${mediaUrls.length} analysé`);
         }
       }
       
@@ -537,9 +950,9 @@ class ContentAnalysisAgent extends BaseAgent {
         const lengthFactor = Math.min(text.length / 200, 1) * 0.8; // Texte optimal ~200 caractères
         const hashtagFactor = hashtags ? Math.min(hashtags.length / 3, 1) * 0.7 : 0; // 2-3 hashtags optimal
         const mediaFactor = mediaUrls.length > 0 ? Math.min(mediaUrls.length, 4) / 4 * 0.9 : 0; // Les médias augmentent l'engagement
-        const topicsFactor = textAnalysisResult.content.topics ? 
-          textAnalysisResult.content.topics.reduce((acc, topic) => acc + topic.confidence, 0) / 
-          Math.max(textAnalysisResult.content.topics.length, 1) * 0.6 : 0;
+        const topicsFactor = textAnalysisResult.structuredContent.topics ? 
+          textAnalysisResult.structuredContent.topics.reduce((acc, topic) => acc + topic.confidence, 0) / 
+          Math.max(textAnalysisResult.structuredContent.topics.length, 1) * 0.6 : 0;
         
         // Score global (0-100)
         const engagementScore = Math.min(
@@ -579,6 +992,20 @@ class ContentAnalysisAgent extends BaseAgent {
               commentEstimate: Math.floor(engagementScore * 0.4)
             };
             break;
+          case 'mastodon':
+            platformPredictions = {
+              favouriteEstimate: Math.floor(engagementScore * 0.5),
+              boostEstimate: Math.floor(engagementScore * 0.25),
+              replyEstimate: Math.floor(engagementScore * 0.15)
+            };
+            break;
+          case 'bluesky':
+            platformPredictions = {
+              likeEstimate: Math.floor(engagementScore * 0.6),
+              repostEstimate: Math.floor(engagementScore * 0.2),
+              replyEstimate: Math.floor(engagementScore * 0.15)
+            };
+            break;
           default:
             platformPredictions = {
               likeEstimate: Math.floor(engagementScore * 1),
@@ -628,26 +1055,17 @@ class ContentAnalysisAgent extends BaseAgent {
       // Détection des tendances
       let trendDetection = null;
       if (opts.detectTrends) {
-        // Simulation d'une analyse de tendances
-        // Un vrai système comparerait avec une base de données de tendances actuelles
-        
-        // Tendances fictives
-        const currentTrends = [
-          { name: 'IA générative', keywords: ['ai', 'ia', 'intelligence artificielle', 'generative', 'génératif', 'gpt', 'chatgpt', 'claude'] },
-          { name: 'Jeux Olympiques', keywords: ['jo', 'olympique', 'olympics', 'médaille', 'paris2025'] },
-          { name: 'Changement climatique', keywords: ['climat', 'réchauffement', 'environnement', 'durable', 'écologie'] },
-          { name: 'Nouvelle technologie blockchain', keywords: ['crypto', 'blockchain', 'nft', 'web3', 'bitcoin', 'ethereum'] }
-        ];
-        
-        const lowerText = text.toLowerCase();
+        // Tendances en cours détectées par l'agent de tendances : un post y correspond s'il en
+        // contient un mot-clé (mot entier, hashtag compris)
+        const words = new Set(text.normalize('NFC').toLowerCase().match(/[\p{L}\p{N}_-]+/gu) || []);
         const matchedTrends = [];
         
-        currentTrends.forEach(trend => {
-          const matchedKeywords = trend.keywords.filter(kw => lowerText.includes(kw));
+        this.liveTrends.forEach(trend => {
+          const matchedKeywords = trend.keywords.filter(keyword => words.has(keyword));
           if (matchedKeywords.length > 0) {
             matchedTrends.push({
               trend: trend.name,
-              relevance: Math.min(matchedKeywords.length / trend.keywords.length * 2, 1),
+              relevance: trend.strength,
               matchedKeywords
             });
           }
@@ -664,8 +1082,9 @@ class ContentAnalysisAgent extends BaseAgent {
       const result = {
         analysisId,
         platform,
+        ...(source ? { source } : {}),
         timestamp: new Date().toISOString(),
-        textAnalysis: textAnalysisResult.content,
+        textAnalysis: textAnalysisResult.structuredContent,
         mediaAnalysis: imageAnalysisResults,
         hashtags,
         engagementPrediction,
@@ -673,31 +1092,273 @@ class ContentAnalysisAgent extends BaseAgent {
       };
       
       // Stocker le résultat pour référence future
-      this.analysisResults.set(analysisId, {
+      this.recordAnalysis(analysisId, {
         type: 'post',
         input: { 
           text: text.substring(0, 100) + (text.length > 100 ? '...' : ''),
           mediaCount: mediaUrls.length,
-          platform
+          platform,
+          source: source || null
         },
         options: opts,
         result,
         timestamp: new Date()
       });
       
-      return {
-        content: result
-      };
+      return toolResult(result, { summary: summarizePostAnalysis(result) });
     } catch (error) {
       this.logger.error(`Erreur lors de l'analyse de post: ${error.message}`);
+      return toolError(`Erreur lors de l'analyse ${analysisId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Résume un texte
+   * @param {object} params - Paramètres (text, maxSentences)
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Résumé
+   */
+  async summarizeText(params, context = createToolContext()) {
+    const { text, maxSentences = 3 } = params;
+    
+    const response = await this.askModel(context, {
+      systemPrompt: 'Tu résumes des contenus de réseaux sociaux en français, de façon factuelle et concise.',
+      prompt: `Résume le texte suivant en ${maxSentences} phrase(s) au maximum. Réponds uniquement par le résumé.\n\n${text}`,
+      maxTokens: 100 * maxSentences
+    });
+    
+    const result = response
+      ? { summary: response.text, engine: 'sampling', model: response.model }
+      : { summary: splitSentences(text).slice(0, maxSentences).join(' '), engine: 'heuristic' };
+    
+    return toolResult(result, { summary: result.summary });
+  }
+
+  /**
+   * Réécrit un post pour une plateforme
+   * @param {object} params - Paramètres (text, platform, tone)
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Post réécrit
+   */
+  async rewritePost(params, context = createToolContext()) {
+    const { text, platform, tone = 'naturel et engageant' } = params;
+    const maxLength = platformLengthLimits[platform];
+    
+    const response = await this.askModel(context, {
+      systemPrompt: 'Tu es community manager. Tu réécris des posts sans en changer le sens ni inventer de faits.',
+      prompt: [
+        `Réécris le post suivant pour ${platform}, avec un ton ${tone}.`,
+        `Le texte doit faire au plus ${maxLength} caractères et comporter au plus 3 hashtags.`,
+        'Réponds uniquement par le post réécrit.',
+        '',
+        text
+      ].join('\n'),
+      maxTokens: Math.min(Math.ceil(maxLength / 2), 1500)
+    });
+    
+    // Sans LLM : espaces normalisés et texte tronqué à la limite de la plateforme
+    const rewritten = truncate(response ? response.text : text.replace(/\s+/g, ' ').trim(), maxLength);
+    const result = {
+      text: rewritten,
+      platform,
+      length: rewritten.length,
+      engine: response ? 'sampling' : 'heuristic',
+      ...(response && { model: response.model })
+    };
+    
+    return toolResult(result, { summary: rewritten });
+  }
+
+  /**
+   * Interroge le LLM du client MCP (sampling/createMessage)
+   * Renvoie null si le client ne supporte pas le sampling ou si la requête échoue,
+   * pour que l'appelant se rabatte sur ses heuristiques
+   * @param {object} context - Contexte d'exécution de l'outil
+   * @param {object} request - systemPrompt, prompt et maxTokens
+   * @returns {Promise<{text: string, model: string}|null>} Réponse du modèle
+   * @private
+   */
+  async askModel(context, request) {
+    if (!context.canSample) {
+      return null;
+    }
+    
+    const { systemPrompt, prompt, maxTokens = 500 } = request;
+    
+    try {
+      const response = await context.createMessage({
+        messages: [{ role: 'user', content: { type: 'text', text: prompt } }],
+        systemPrompt,
+        maxTokens,
+        temperature: 0.2,
+        includeContext: 'none',
+        modelPreferences: {
+          hints: [{ name: this.config.models.text }],
+          intelligencePriority: 0.8
+        }
+      });
+      
+      if (response.content.type !== 'text' || !response.content.text.trim()) {
+        this.logger.warn('Réponse de sampling inexploitable, repli sur l\'analyse locale');
+        return null;
+      }
+      
+      return { text: response.content.text.trim(), model: response.model };
+    } catch (error) {
+      // Une annulation de l'appel doit interrompre l'outil, pas déclencher le repli
+      context.throwIfAborted();
+      this.logger.warn(`Sampling indisponible, repli sur l'analyse locale: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Demande au LLM du client le sentiment et les sujets d'un texte
+   * @param {string} text - Texte à analyser
+   * @param {object} opts - Options de l'analyse (extractSentiment, extractTopics, language)
+   * @param {object} context - Contexte d'exécution de l'outil
+   * @returns {Promise<{sentiment: object|null, topics: Array|null}|null>} Analyse du modèle
+   * @private
+   */
+  async askModelForAnalysis(text, opts, context) {
+    const response = await this.askModel(context, {
+      systemPrompt: 'Tu es un analyste de contenus de réseaux sociaux. Tu réponds uniquement en JSON.',
+      prompt: [
+        'Analyse le texte ci-dessous et réponds avec un objet JSON de la forme :',
+        '{"sentiment": {"score": <-1 à 1>, "label": "positive|negative|neutral", "confidence": <0 à 1>},',
+        ' "topics": [{"name": "<sujet en un ou deux mots, en minuscules>", "confidence": <0 à 1>}]}',
+        'Tiens compte de l\'ironie, des négations et des emojis. Trois sujets au maximum.',
+        '',
+        text
+      ].join('\n'),
+      maxTokens: 300
+    });
+    
+    if (!response) {
+      return null;
+    }
+    
+    const analysis = parseModelAnalysis(response.text);
+    if (!analysis) {
+      this.logger.warn('Réponse de sampling non conforme, repli sur l\'analyse locale');
+    }
+    
+    return analysis;
+  }
+
+  /**
+   * Construit le prompt de réécriture LinkedIn
+   * @param {object} args - Arguments du prompt (text, audience)
+   * @returns {Promise<object>} Messages du prompt
+   */
+  async buildLinkedInRewritePrompt(args) {
+    const { text, audience = 'professionnels de notre secteur' } = args;
+    const analysis = await this.analyzeText({ text, options: { extractEntities: false } });
+    
+    if (analysis.isError) {
+      throw new Error(getResultText(analysis));
+    }
+    
+    const { sentiment, topics } = analysis.structuredContent;
+    
+    return {
+      messages: [{
+        role: 'user',
+        content: {
+          type: 'text',
+          text: [
+            `Réécris le post suivant pour LinkedIn, à destination de : ${audience}.`,
+            'Adopte un ton professionnel, structure le texte en courts paragraphes, termine par une question ouverte',
+            'et limite-toi à 3 hashtags pertinents.',
+            '',
+            `Sujets détectés : ${topics.length > 0 ? topics.map(topic => topic.name).join(', ') : 'aucun'}`,
+            `Sentiment détecté : ${sentiment.label} (score ${sentiment.score.toFixed(2)})`,
+            '',
+            'Post original :',
+            text
+          ].join('\n')
+        }
+      }]
+    };
+  }
+
+  /**
+   * Construit le prompt de synthèse des dernières analyses
+   * Les résultats sont embarqués comme ressource pour que le client dispose des données à jour
+   * @param {object} args - Arguments du prompt (type, limit)
+   * @returns {Promise<object>} Messages du prompt
+   */
+  async buildAnalysesSummaryPrompt(args) {
+    const { type, limit = '10' } = args;
+    const results = await this.getAnalysisResults({ type, limit });
+    const uri = type ? `analysis://recent?type=${type}&limit=${limit}` : `analysis://recent?limit=${limit}`;
+    
+    return {
+      messages: [
+        {
+          role: 'user',
+          content: {
+            type: 'resource',
+            resource: {
+              uri,
+              mimeType: 'application/json',
+              text: JSON.stringify(results.content, null, 2)
+            }
+          }
+        },
+        {
+          role: 'user',
+          content: {
+            type: 'text',
+            text: 'À partir des analyses ci-dessus, rédige une synthèse : tonalité générale, sujets dominants, ' +
+              'tendances détectées et points d\'attention pour l\'équipe social media.'
+          }
+        }
+      ]
+    };
+  }
+
+  /**
+   * Conserve une analyse terminée et notifie les agents intéressés
+   * @param {string} analysisId - Identifiant de l'analyse
+   * @param {object} entry - Type, entrée, options et résultat de l'analyse
+   * @private
+   */
+  recordAnalysis(analysisId, entry) {
+    this.analysisResults.set(analysisId, entry);
+    
+    // Les analyses les plus anciennes sont oubliées au-delà de config.resultsLimit
+    if (this.analysisResults.size > this.config.resultsLimit) {
+      this.analysisResults.delete(this.analysisResults.keys().next().value);
+    }
+    
+    this.emit('analysis-completed', {
+      type: entry.type,
+      analysisId,
+      result: entry.result
+    });
+  }
+
+  /**
+   * Récupère une analyse précédente par son identifiant
+   * @param {object} params - Paramètres de la requête
+   * @returns {Promise<object>} Analyse demandée
+   */
+  async getAnalysis(params = {}) {
+    const { analysisId } = params;
+    
+    if (!this.analysisResults.has(analysisId)) {
       return {
         isError: true,
         content: {
-          message: `Erreur lors de l'analyse: ${error.message}`,
-          analysisId
+          message: `Analyse '${analysisId}' non trouvée`
         }
       };
     }
+    
+    return {
+      content: { id: analysisId, ...this.analysisResults.get(analysisId) }
+    };
   }
 
   /**
@@ -706,7 +1367,10 @@ class ContentAnalysisAgent extends BaseAgent {
    * @returns {Promise<object>} Résultats d'analyse
    */
   async getAnalysisResults(params = {}) {
-    const { type, limit = 10, offset = 0 } = params;
+    const { type, tag } = params;
+    // Les paramètres peuvent provenir d'une URI de ressource, donc être des chaînes
+    const limit = parseInt(params.limit ?? 10, 10);
+    const offset = parseInt(params.offset ?? 0, 10);
     
     try {
       // Filtrer par type si spécifié
@@ -717,6 +1381,12 @@ class ContentAnalysisAgent extends BaseAgent {
         results = results.filter(result => result.type === type);
       }
       
+      // Filtrer par étiquette des règles du flux qui ont sélectionné le post
+      if (tag) {
+        results = results.filter(result => result.input.source &&
+          result.input.source.matchingRules.some(rule => rule.tag === tag));
+      }
+      
       // Trier par date (plus récent d'abord)
       results.sort((a, b) => b.timestamp - a.timestamp);
       
@@ -743,4 +1413,226 @@ class ContentAnalysisAgent extends BaseAgent {
   }
 }
 
+/**
+ * Découpe un texte en phrases
+ * @param {string} text - Texte
+ * @returns {Array<string>} Phrases
+ */
+function splitSentences(text) {
+  return text.replace(/\s+/g, ' ').trim().split(/(?<=[.!?…])\s+/).filter(Boolean);
+}
+
+/**
+ * Tronque un texte à une longueur maximale, sur une fin de mot si possible
+ * @param {string} text - Texte
+ * @param {number} maxLength - Longueur maximale
+ * @returns {string} Texte tronqué
+ */
+function truncate(text, maxLength) {
+  if (text.length <= maxLength) {
+    return text;
+  }
+  
+  const cut = text.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+/**
+ * Modère un texte par mots-clés : chaque terme trouvé (mot entier) ajoute son poids au score
+ * de sa catégorie, les liens comptent pour le spam et un texte entièrement en majuscules
+ * pour les insultes
+ * @param {string} text - Texte à modérer
+ * @param {number} threshold - Score à partir duquel une catégorie signale le texte
+ * @returns {object} Résultat de modération (flagged, isOffensive, isThreatening, isSpam, safeScore, categories)
+ */
+function moderateText(text, threshold) {
+  const lowerText = text.toLowerCase();
+  const letters = text.replace(/[^\p{L}]/gu, '');
+  const links = (text.match(/https?:\/\/\S+/g) || []).length;
+  const extras = {
+    insult: letters.length >= 10 && letters === letters.toUpperCase() ? 0.25 : 0,
+    threat: 0,
+    spam: links * 0.3
+  };
+
+  const categories = Object.fromEntries(Object.entries(moderationLexicon).map(([category, { weight, terms }]) => {
+    const matches = terms.filter(term => new RegExp(`(^|[^\\p{L}])${term}($|[^\\p{L}])`, 'u').test(lowerText)).length;
+    return [category, Math.round(Math.min(matches * weight + extras[category], 1) * 100) / 100];
+  }));
+  const worst = Math.max(...Object.values(categories));
+
+  return {
+    flagged: worst >= threshold,
+    isOffensive: categories.insult >= threshold,
+    isThreatening: categories.threat >= threshold,
+    isSpam: categories.spam >= threshold,
+    safeScore: Math.round((1 - worst) * 100) / 100,
+    categories
+  };
+}
+
+/**
+ * Repère une question ou une demande qui attend une réponse : point d'interrogation, phrase
+ * commençant par une tournure interrogative ou formule de demande d'aide
+ * @param {string} text - Texte à analyser
+ * @returns {{isQuestion: boolean, confidence: number, cues: Array<string>}} Détection et indices trouvés
+ */
+function detectQuestion(text) {
+  const cleaned = text.replace(/https?:\/\/\S+/g, ' ').replace(/(^|\s)[@#][\w.@-]+/g, ' ');
+  const lowerText = cleaned.toLowerCase();
+  const cues = [];
+
+  if (cleaned.includes('?')) {
+    cues.push('?');
+  }
+  for (const sentence of splitSentences(lowerText)) {
+    const opener = questionOpeners.find(term => new RegExp(`^${term}($|[^\\p{L}])`, 'u').test(sentence));
+    if (opener && !cues.includes(opener)) {
+      cues.push(opener);
+    }
+  }
+  cues.push(...questionRequests.filter(term => lowerText.includes(term)));
+
+  // Le point d'interrogation est l'indice le plus sûr, les tournures seules restent moins certaines
+  const otherCues = cues.filter(cue => cue !== '?').length;
+  const confidence = cues.includes('?')
+    ? (otherCues > 0 ? 0.95 : 0.8)
+    : (otherCues > 0 ? Math.min(0.5 + (otherCues - 1) * 0.1, 0.7) : 0);
+
+  return { isQuestion: cues.length > 0, confidence, cues };
+}
+
+/**
+ * Extrait le sentiment et les sujets de la réponse JSON du modèle
+ * @param {string} text - Réponse du modèle (JSON, éventuellement entouré de texte)
+ * @returns {{sentiment: object|null, topics: Array|null}|null} Analyse normalisée, ou null si illisible
+ */
+function parseModelAnalysis(text) {
+  const json = text.match(/\{[\s\S]*\}/);
+  if (!json) {
+    return null;
+  }
+  
+  let data;
+  try {
+    data = JSON.parse(json[0]);
+  } catch (error) {
+    return null;
+  }
+  
+  const clamp = (value, min, max) => Math.min(Math.max(Number(value), min), max);
+  let sentiment = null;
+  let topics = null;
+  
+  if (data.sentiment && Number.isFinite(Number(data.sentiment.score))) {
+    const score = clamp(data.sentiment.score, -1, 1);
+    sentiment = {
+      score,
+      label: ['positive', 'negative', 'neutral'].includes(data.sentiment.label)
+        ? data.sentiment.label
+        : score > 0.2 ? 'positive' : score < -0.2 ? 'negative' : 'neutral',
+      confidence: Number.isFinite(Number(data.sentiment.confidence)) ? clamp(data.sentiment.confidence, 0, 1) : 0.9
+    };
+  }
+  
+  if (Array.isArray(data.topics)) {
+    topics = data.topics
+      .filter(topic => topic && typeof topic.name === 'string')
+      .map(topic => ({
+        name: topic.name.toLowerCase(),
+        confidence: Number.isFinite(Number(topic.confidence)) ? clamp(topic.confidence, 0, 1) : 0.8,
+        matchedKeywords: []
+      }))
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+  
+  return sentiment || topics ? { sentiment, topics } : null;
+}
+
+/**
+ * Résume une analyse de texte pour le bloc texte du résultat
+ * @param {object} result - Analyse de texte
+ * @returns {string} Résumé lisible
+ */
+function summarizeTextAnalysis(result) {
+  const lines = [`Analyse de texte ${result.analysisId} (${result.textLength} caractères, langue ${result.language}, moteur ${result.engine})`];
+  
+  if (result.sentiment) {
+    lines.push(`Sentiment : ${result.sentiment.label} (score ${result.sentiment.score.toFixed(2)})`);
+  }
+  if (result.topics) {
+    lines.push(`Sujets : ${result.topics.length > 0 ? result.topics.map(topic => topic.name).join(', ') : 'aucun'}`);
+  }
+  if (result.entities) {
+    lines.push(`Entités : ${result.entities.length > 0 ? result.entities.map(entity => `${entity.text} (${entity.type})`).join(', ') : 'aucune'}`);
+  }
+  if (result.moderationResult) {
+    const { flagged, isOffensive, isThreatening, isSpam, safeScore } = result.moderationResult;
+    const reasons = [isOffensive && 'insulte', isThreatening && 'menace', isSpam && 'spam'].filter(Boolean);
+    lines.push(`Modération : ${flagged ? `signalé (${reasons.join(', ')})` : 'conforme'}, score de sécurité ${safeScore.toFixed(2)}`);
+  }
+  if (result.question) {
+    lines.push(`Question : ${result.question.isQuestion ? `oui (${result.question.cues.join(', ')})` : 'non'}`);
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Résume une analyse d'image pour le bloc texte du résultat
+ * @param {object} result - Analyse d'image
+ * @returns {string} Résumé lisible
+ */
+function summarizeImageAnalysis(result) {
+  const lines = [`Analyse d'image ${result.analysisId} (source : ${result.imageSource})`];
+  
+  if (result.objects) {
+    lines.push(`Objets : ${result.objects.map(object => object.name).join(', ') || 'aucun'}`);
+  }
+  if (result.scenes) {
+    lines.push(`Scènes : ${result.scenes.map(scene => scene.name).join(', ') || 'aucune'}`);
+  }
+  if (result.textInImage) {
+    lines.push(`Texte détecté : "${result.textInImage.text}"`);
+  }
+  if (result.moderationResult) {
+    lines.push(`Modération : score de sécurité ${result.moderationResult.safeScore.toFixed(2)}`);
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Résume une analyse de post pour le bloc texte du résultat
+ * @param {object} result - Analyse de post
+ * @returns {string} Résumé lisible
+ */
+function summarizePostAnalysis(result) {
+  const { textAnalysis, mediaAnalysis, hashtags, engagementPrediction, trendDetection } = result;
+  const lines = [`Analyse de post ${result.analysisId} (plateforme : ${result.platform})`];
+  
+  if (textAnalysis.sentiment) {
+    lines.push(`Sentiment : ${textAnalysis.sentiment.label} (score ${textAnalysis.sentiment.score.toFixed(2)})`);
+  }
+  if (textAnalysis.topics) {
+    lines.push(`Sujets : ${textAnalysis.topics.map(topic => topic.name).join(', ') || 'aucun'}`);
+  }
+  lines.push(`Médias analysés : ${mediaAnalysis.length}`);
+  if (hashtags) {
+    lines.push(`Hashtags : ${hashtags.map(hashtag => hashtag.hashtag).join(' ') || 'aucun'}`);
+  }
+  if (engagementPrediction) {
+    lines.push(`Engagement prévu : ${Math.round(engagementPrediction.overallScore)}/100`);
+    engagementPrediction.suggestedImprovements.forEach(improvement => {
+      lines.push(`- ${improvement.suggestion}`);
+    });
+  }
+  if (trendDetection && trendDetection.topTrend) {
+    lines.push(`Tendance principale : ${trendDetection.topTrend.trend}`);
+  }
+  
+  return lines.join('\n');
+}
+
 export default ContentAnalysisAgent; 
\ No newline at end of file
@@ -0,0 +1,993 @@
+/**
+ * Agent d'engagement
+ * Rassemble dans une boîte de réception les mentions et les commentaires reçus sur les plateformes :
+ * mentions des flux (sujet `stream.post` du bus, règles étiquetées par mentionRuleTags), notifications
+ * de mention Mastodon et commentaires des publications récentes (Facebook, Instagram, LinkedIn),
+ * relevés auprès des agents des plateformes à chaque pollInterval.
+ * Chaque élément est classé par priorité (sentiment, question et modération d'après l'agent d'analyse
+ * de contenu, audience de l'auteur) et reçoit un brouillon de réponse, envoyé seulement après
+ * approbation (approve_reply). Le délai de première réponse est suivi par rapport à responseTime :
+ * un élément en retard émet l'événement `overdue`, publié sur le sujet `engagement.overdue` du bus
+ * et signalé dans la ressource engagement://inbox.
+ */
+
+import BaseAgent from './base-agent.js';
+import config from '../config/config.js';
+import { toolResult, toolError } from '../utils/tool-result.js';
+import { createToolContext } from '../utils/tool-context.js';
+
+// sending : réponse approuvée en cours d'envoi, l'élément ne peut plus être approuvé une deuxième fois
+const STATUSES = ['pending', 'sending', 'replied', 'responded', 'dismissed'];
+const COMMENTS_PER_POST = 50;
+
+// Poids des critères de priorité (total 1) : question, sentiment négatif, audience de l'auteur
+const PRIORITY_WEIGHTS = { question: 0.4, sentiment: 0.35, reach: 0.25 };
+// Un texte signalé par la modération (spam, insulte) relève de la modération avant la réponse
+const FLAGGED_FACTOR = 0.2;
+
+/**
+ * Relève des mentions et commentaires d'une plateforme auprès de son agent
+ * Chaque fonction reçoit call(outil, paramètres), qui résout le structuredContent de l'outil,
+ * et la configuration de l'agent d'engagement
+ */
+const COLLECTORS = {
+  facebook: async (call, agentConfig) => {
+    const { posts } = await call('get_facebook_posts', { count: agentConfig.recentPosts });
+    const entries = [];
+
+    for (const post of posts.filter(item => item.commentCount > 0)) {
+      const { comments } = await call('get_facebook_comments', { postId: post.id, count: COMMENTS_PER_POST });
+      entries.push(...comments.filter(comment => !comment.isHidden).map(comment => ({
+        kind: 'comment',
+        sourceId: comment.id,
+        parentId: post.id,
+        text: comment.message,
+        url: post.permalink || null,
+        author: { id: comment.authorId, name: comment.author, screen_name: comment.author },
+        createdAt: comment.createdTime
+      })));
+    }
+
+    return entries;
+  },
+
+  instagram: async (call, agentConfig) => {
+    const { media } = await call('get_instagram_media', { count: agentConfig.recentPosts });
+    const entries = [];
+
+    for (const item of media.filter(entry => entry.commentsCount > 0)) {
+      const { comments } = await call('get_instagram_comments', { mediaId: item.id, count: COMMENTS_PER_POST });
+      entries.push(...comments.map(comment => ({
+        kind: 'comment',
+        sourceId: comment.id,
+        parentId: item.id,
+        text: comment.text,
+        url: item.permalink || null,
+        author: { id: comment.username, name: comment.username, screen_name: comment.username },
+        createdAt: comment.timestamp
+      })));
+    }
+
+    return entries;
+  },
+
+  linkedin: async (call, agentConfig) => {
+    const { posts } = await call('get_linkedin_posts', { count: agentConfig.recentPosts });
+    const entries = [];
+
+    for (const post of posts) {
+      const { comments } = await call('get_linkedin_comments', { postId: post.id, count: COMMENTS_PER_POST });
+      entries.push(...comments.map(comment => ({
+        kind: 'comment',
+        sourceId: comment.id,
+        parentId: post.id,
+        text: comment.text,
+        url: post.url,
+        author: { id: comment.author, name: comment.author, screen_name: comment.author },
+        createdAt: comment.createdAt
+      })));
+    }
+
+    return entries;
+  },
+
+  mastodon: async call => {
+    const { notifications } = await call('get_mastodon_notifications', { types: ['mention'], count: 40 });
+
+    return notifications.filter(notification => notification.status).map(notification => ({
+      kind: 'mention',
+      sourceId: notification.status.id,
+      parentId: notification.status.inReplyToId,
+      text: notification.status.text,
+      lang: notification.status.lang,
+      url: notification.status.url,
+      author: notification.account,
+      createdAt: notification.status.created_at || notification.createdAt
+    }));
+  }
+};
+
+/**
+ * Outils de réponse des agents des plateformes : nom de l'outil, paramètres et longueur maximale
+ * Facebook et Bluesky n'ont pas d'outil de réponse : leurs éléments sont traités à la main
+ * (resolve_engagement_item)
+ */
+const REPLY_TOOLS = {
+  twitter: { tool: 'reply_to_tweet', maxLength: 280, params: (item, text) => ({ tweetId: item.sourceId, text }) },
+  mastodon: { tool: 'reply_to_mastodon_status', maxLength: 500, params: (item, text) => ({ statusId: item.sourceId, text }) },
+  instagram: { tool: 'reply_to_instagram_comment', maxLength: 2200, params: (item, text) => ({ commentId: item.sourceId, message: text }) },
+  // LinkedIn ne propose pas de réponse à un commentaire : la réponse est un commentaire de la publication
+  linkedin: { tool: 'comment_on_linkedin_post', maxLength: 1250, params: (item, text) => ({ postId: item.parentId, text }) }
+};
+
+const itemSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string', description: 'plateforme:identifiant du message' },
+    platform: { type: 'string' },
+    kind: { type: 'string', enum: ['mention', 'comment'] },
+    sourceId: { type: 'string' },
+    parentId: { type: ['string', 'null'], description: 'Publication commentée ou statut auquel répond la mention' },
+    text: { type: 'string' },
+    lang: { type: ['string', 'null'], description: 'Langue indiquée par la plateforme, si elle la fournit' },
+    url: { type: ['string', 'null'] },
+    author: {
+      type: 'object',
+      properties: {
+        id: { type: ['string', 'null'] },
+        name: { type: ['string', 'null'] },
+        screen_name: { type: ['string', 'null'] },
+        verified: { type: 'boolean' },
+        followers_count: { type: ['integer', 'null'] }
+      }
+    },
+    createdAt: { type: ['string', 'null'] },
+    receivedAt: { type: 'string' },
+    priority: {
+      type: 'object',
+      properties: {
+        score: { type: 'integer', minimum: 0, maximum: 100 },
+        level: { type: 'string', enum: ['high', 'medium', 'low'] },
+        sentiment: { type: 'number' },
+        isQuestion: { type: 'boolean' },
+        reach: { type: 'number' },
+        flagged: { type: 'boolean' },
+        analyzed: { type: 'boolean', description: 'false si l\'agent d\'analyse de contenu n\'était pas joignable' },
+        factors: { type: 'array', items: { type: 'string' } }
+      },
+      required: ['score', 'level', 'sentiment', 'isQuestion', 'reach', 'flagged', 'analyzed', 'factors']
+    },
+    draft: {
+      type: ['object', 'null'],
+      properties: {
+        text: { type: 'string' },
+        source: { type: 'string', enum: ['template', 'sampling', 'human'] },
+        updatedAt: { type: 'string' }
+      },
+      required: ['text', 'source', 'updatedAt']
+    },
+    status: { type: 'string', enum: STATUSES },
+    slaStartedAt: { type: 'string', description: 'Début du délai de réponse (réception, ou démarrage de l\'agent pour un élément antérieur)' },
+    dueAt: { type: 'string' },
+    overdue: { type: 'boolean' },
+    overdueAt: { type: ['string', 'null'] },
+    respondedAt: { type: ['string', 'null'] },
+    responseTime: { type: ['integer', 'null'], description: 'Délai de première réponse en millisecondes' },
+    reply: {
+      type: ['object', 'null'],
+      properties: { id: { type: 'string' }, url: { type: ['string', 'null'] }, dryRun: { type: 'boolean' } }
+    }
+  },
+  required: ['id', 'platform', 'kind', 'sourceId', 'text', 'author', 'receivedAt', 'priority', 'status', 'dueAt', 'overdue']
+};
+
+const statsSchema = {
+  type: 'object',
+  properties: {
+    responseTimeTarget: { type: 'integer' },
+    total: { type: 'integer' },
+    pending: { type: 'integer' },
+    overdue: { type: 'integer', description: 'Éléments en attente dont le délai est dépassé' },
+    replied: { type: 'integer' },
+    responded: { type: 'integer' },
+    dismissed: { type: 'integer' },
+    averageResponseTime: { type: ['integer', 'null'] },
+    medianResponseTime: { type: ['integer', 'null'] },
+    withinSlaRate: { type: ['number', 'null'], description: 'Part des réponses envoyées dans le délai' },
+    byPlatform: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Éléments en attente par plateforme' },
+    lastPollAt: { type: ['string', 'null'] }
+  },
+  required: ['responseTimeTarget', 'total', 'pending', 'overdue', 'replied', 'responded', 'dismissed',
+    'averageResponseTime', 'medianResponseTime', 'withinSlaRate', 'byPlatform', 'lastPollAt']
+};
+
+const itemIdSchema = { type: 'string', pattern: '^[a-z]+:.+$', description: 'Identifiant d\'un élément de la boîte (plateforme:identifiant)' };
+
+class EngagementAgent extends BaseAgent {
+  /**
+   * Constructeur de l'agent d'engagement
+   * @param {object} agentConfig - Délais, sources et seuils, par défaut config.agents.engagementAgent
+   */
+  constructor(agentConfig = {}) {
+    super('engagement', { ...config.agents.engagementAgent, ...agentConfig });
+
+    // Éléments par identifiant plateforme:id, dans l'ordre de réception
+    this.items = new Map();
+    // Éléments en cours de classement (reçus à la fois du flux et de la relève)
+    this.receiving = new Set();
+    // Réponses envoyées par l'agent, à ne pas reprendre dans la boîte
+    this.replyIds = new Set();
+    this.startedAt = null;
+    this.lastPollAt = null;
+    this.polling = null;
+    this.pollTimer = null;
+    this.slaTimer = null;
+
+    this.logger.info(`Agent d'engagement créé (délai de réponse ${formatDuration(this.config.responseTime)}, ` +
+      `relève toutes les ${formatDuration(this.config.pollInterval)} : ${this.config.sources.join(', ')})`);
+  }
+
+  /**
+   * Initialisation de l'agent avec ses outils et ressources
+   */
+  async initialize() {
+    await super.initialize();
+
+    this.registerTool({
+      name: 'list_engagement_inbox',
+      description: 'Mentions et commentaires reçus, des plus prioritaires aux moins prioritaires, avec leur brouillon de réponse et leur délai',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          status: { type: 'string', enum: ['all', 'overdue', ...STATUSES], description: 'pending par défaut' },
+          platform: { type: 'string' },
+          limit: { type: 'integer', minimum: 1, maximum: 200 },
+          refresh: { type: 'boolean', description: 'Relève les plateformes sans attendre la prochaine relève' }
+        }
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          items: { type: 'array', items: itemSchema },
+          resultCount: { type: 'integer' },
+          stats: statsSchema
+        },
+        required: ['items', 'resultCount', 'stats']
+      },
+      handler: this.listInbox.bind(this)
+    });
+
+    this.registerTool({
+      name: 'draft_reply',
+      description: 'Rédige (LLM du client si disponible, modèle sinon) ou remplace par le texte fourni le brouillon de réponse d\'un élément',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          itemId: itemIdSchema,
+          text: { type: 'string', minLength: 1, description: 'Brouillon rédigé ou corrigé par un humain' },
+          instructions: { type: 'string', description: 'Consignes pour le LLM (ex: proposer un rendez-vous samedi)' }
+        },
+        required: ['itemId']
+      },
+      outputSchema: itemSchema,
+      handler: this.draftReply.bind(this)
+    });
+
+    this.registerTool({
+      name: 'approve_reply',
+      sideEffects: true,
+      description: 'Approuve et envoie la réponse à un élément (le brouillon, ou le texte fourni) par l\'agent de sa plateforme',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          itemId: itemIdSchema,
+          text: { type: 'string', minLength: 1, description: 'Texte envoyé à la place du brouillon' }
+        },
+        required: ['itemId']
+      },
+      outputSchema: itemSchema,
+      handler: this.approveReply.bind(this)
+    });
+
+    this.registerTool({
+      name: 'resolve_engagement_item',
+      description: 'Clôt un élément sans réponse de l\'agent : responded (répondu directement sur la plateforme) ou dismissed (ne demande pas de réponse)',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          itemId: itemIdSchema,
+          outcome: { type: 'string', enum: ['responded', 'dismissed'] }
+        },
+        required: ['itemId', 'outcome']
+      },
+      outputSchema: itemSchema,
+      handler: this.resolveItem.bind(this)
+    });
+
+    this.registerTool({
+      name: 'get_engagement_stats',
+      description: 'Délais de première réponse (moyen, médian, part dans le délai) et éléments en attente ou en retard',
+      inputSchema: { type: 'object', properties: {} },
+      outputSchema: statsSchema,
+      handler: this.getStats.bind(this)
+    });
+
+    this.registerResource({
+      name: 'engagement_inbox',
+      uri: 'engagement://inbox',
+      mimeType: 'application/json',
+      description: 'Éléments en attente de réponse, par priorité, et délais de réponse',
+      handler: this.getInbox.bind(this)
+    });
+  }
+
+  /**
+   * Démarrage de l'agent : abonnement aux mentions des flux, relève périodique et suivi des délais
+   */
+  async start() {
+    await super.start();
+    this.startedAt = Date.now();
+
+    if (this.messageRouter) {
+      this.subscribe('stream.post', post => this.receiveStreamPost(post));
+    } else {
+      this.logger.warn('Agent d\'engagement démarré sans bus de messages : aucune mention ni aucun commentaire ne sera relevé');
+    }
+
+    this.poll();
+    this.pollTimer = setInterval(() => this.poll(), this.config.pollInterval);
+    this.pollTimer.unref();
+    this.slaTimer = setInterval(() => this.checkDeadlines(), this.config.slaCheckInterval);
+    this.slaTimer.unref();
+  }
+
+  /**
+   * Arrêt de l'agent
+   */
+  async stop() {
+    clearInterval(this.pollTimer);
+    clearInterval(this.slaTimer);
+    this.pollTimer = null;
+    this.slaTimer = null;
+    this.unsubscribe('stream.post');
+
+    await super.stop();
+  }
+
+  /**
+   * Liste les éléments de la boîte de réception
+   * @param {object} params - status (pending par défaut), platform, limit, refresh
+   * @returns {Promise<object>} Éléments triés par priorité puis échéance, et statistiques
+   */
+  async listInbox(params = {}) {
+    const { status = 'pending', platform, limit = 50, refresh = false } = params;
+
+    try {
+      if (refresh) {
+        await this.poll();
+      }
+
+      const matching = [...this.items.values()]
+        .filter(item => status === 'all' || (status === 'overdue' ? item.status === 'pending' && item.overdue : item.status === status))
+        .filter(item => !platform || item.platform === platform);
+      const items = sortByPriority(matching).slice(0, limit);
+      const result = { items, resultCount: items.length, stats: this.computeStats() };
+
+      return toolResult(result, { summary: summarizeInbox(result, status) });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la lecture de la boîte de réception: ${error.message}`);
+      return toolError(`Erreur lors de la lecture de la boîte de réception: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rédige ou remplace le brouillon de réponse d'un élément
+   * @param {object} params - itemId, text (brouillon humain) ou instructions (pour le LLM)
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Élément mis à jour
+   */
+  async draftReply(params, context = createToolContext()) {
+    const item = this.items.get(params.itemId);
+
+    if (!item) {
+      return toolError(`Élément ${params.itemId} introuvable dans la boîte de réception`);
+    }
+    if (item.status !== 'pending') {
+      return toolError(`Élément ${item.id} déjà traité (${item.status})`);
+    }
+
+    if (params.text) {
+      item.draft = { text: params.text, source: 'human', updatedAt: new Date().toISOString() };
+    } else {
+      const drafted = await this.askModelForReply(item, params.instructions, context);
+      item.draft = drafted
+        ? { text: drafted, source: 'sampling', updatedAt: new Date().toISOString() }
+        : { text: templateReply(item), source: 'template', updatedAt: new Date().toISOString() };
+    }
+
+    this.notifyResourceUpdated('engagement://inbox');
+    return toolResult(item, { summary: `Brouillon de réponse à ${item.id} (${draftSourceLabel(item.draft.source)}) : ${item.draft.text}` });
+  }
+
+  /**
+   * Envoie la réponse approuvée par l'outil de réponse de l'agent de la plateforme
+   * @param {object} params - itemId, text (remplace le brouillon)
+   * @returns {Promise<object>} Élément répondu
+   */
+  async approveReply(params) {
+    const item = this.items.get(params.itemId);
+
+    if (!item) {
+      return toolError(`Élément ${params.itemId} introuvable dans la boîte de réception`);
+    }
+    if (item.status !== 'pending') {
+      return toolError(`Élément ${item.id} déjà traité (${item.status})`);
+    }
+
+    const replyTool = REPLY_TOOLS[item.platform];
+    if (!replyTool) {
+      return toolError(`Réponse impossible depuis l'agent sur ${item.platform} : répondez sur la plateforme puis ` +
+        'clôturez l\'élément avec resolve_engagement_item (outcome responded)');
+    }
+    if (!this.messageRouter || !this.messageRouter.isAvailable(item.platform)) {
+      return toolError(`Réponse impossible : l'agent ${item.platform} n'est pas démarré`);
+    }
+
+    const text = params.text || (item.draft && item.draft.text);
+    if (!text) {
+      return toolError(`Aucun brouillon pour ${item.id} : fournissez le texte de la réponse`);
+    }
+    if (text.length > replyTool.maxLength) {
+      return toolError(`Réponse trop longue pour ${item.platform} (${text.length} caractères, ${replyTool.maxLength} au plus)`);
+    }
+
+    // Réservé avant l'envoi : une approbation concurrente du même élément est refusée
+    item.status = 'sending';
+
+    try {
+      const result = await this.request(item.platform, replyTool.tool, replyTool.params(item, text));
+      if (result.isError) {
+        item.status = 'pending';
+        return toolError(`Échec de la réponse à ${item.id} : ${result.content[0].text}`);
+      }
+
+      const publication = result.structuredContent;
+      this.replyIds.add(`${item.platform}:${publication.id}`);
+      if (params.text) {
+        item.draft = { text, source: 'human', updatedAt: new Date().toISOString() };
+      }
+      item.reply = { id: publication.id, url: publication.url || null, dryRun: Boolean(publication.dryRun) };
+      this.markResponded(item, 'replied');
+
+      this.logger.info(`Réponse envoyée à ${item.id} en ${formatDuration(item.responseTime)}${item.reply.dryRun ? ' (simulation)' : ''}`);
+      this.emit('replied', item);
+      this.publish('engagement.replied', item);
+      this.notifyResourceUpdated('engagement://inbox');
+
+      return toolResult(item, {
+        summary: `Réponse ${item.reply.dryRun ? 'simulée' : 'envoyée'} à ${item.id} (${replyTool.tool}), ` +
+          `${formatDuration(item.responseTime)} après réception${item.responseTime > this.config.responseTime ? ', hors délai' : ''}`
+      });
+    } catch (error) {
+      item.status = 'pending';
+      this.logger.error(`Erreur lors de la réponse à ${item.id}: ${error.message}`);
+      return toolError(`Erreur lors de la réponse à ${item.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Clôt un élément sans réponse envoyée par l'agent
+   * @param {object} params - itemId, outcome (responded ou dismissed)
+   * @returns {Promise<object>} Élément clos
+   */
+  async resolveItem(params) {
+    const item = this.items.get(params.itemId);
+
+    if (!item) {
+      return toolError(`Élément ${params.itemId} introuvable dans la boîte de réception`);
+    }
+    if (item.status !== 'pending') {
+      return toolError(`Élément ${item.id} déjà traité (${item.status})`);
+    }
+
+    if (params.outcome === 'responded') {
+      this.markResponded(item, 'responded');
+    } else {
+      item.status = 'dismissed';
+    }
+
+    this.notifyResourceUpdated('engagement://inbox');
+    return toolResult(item, {
+      summary: params.outcome === 'responded'
+        ? `${item.id} marqué comme répondu, ${formatDuration(item.responseTime)} après réception`
+        : `${item.id} écarté (pas de réponse nécessaire)`
+    });
+  }
+
+  /**
+   * Retourne les statistiques de délai de réponse
+   * @returns {Promise<object>} Statistiques
+   */
+  async getStats() {
+    const stats = this.computeStats();
+    return toolResult(stats, { summary: summarizeStats(stats) });
+  }
+
+  /**
+   * Retourne les éléments en attente (ressource engagement://inbox)
+   * @returns {Promise<object>} Éléments en attente par priorité et statistiques
+   */
+  async getInbox() {
+    const pending = [...this.items.values()].filter(item => item.status === 'pending');
+    return { content: { items: sortByPriority(pending), stats: this.computeStats() } };
+  }
+
+  /**
+   * Reçoit un post des flux et l'ajoute à la boîte s'il s'agit d'une mention du compte
+   * @param {object} post - Post au format du tableau de bord (platform, matchingRules)
+   * @private
+   */
+  receiveStreamPost(post) {
+    const tags = (post.matchingRules || []).map(rule => rule.tag);
+
+    if (!tags.some(tag => this.config.mentionRuleTags.includes(tag))) {
+      return;
+    }
+
+    this.receive({
+      platform: post.platform,
+      kind: 'mention',
+      sourceId: post.id,
+      parentId: post.inReplyToId || null,
+      text: post.text,
+      lang: post.lang,
+      url: post.url || null,
+      author: post.user,
+      createdAt: post.created_at
+    }).catch(error => this.logger.error(`Erreur lors de la réception de la mention ${post.platform}:${post.id}: ${error.message}`));
+  }
+
+  /**
+   * Relève les mentions et les commentaires auprès des agents des plateformes démarrés
+   * Une relève déjà en cours est attendue plutôt que relancée
+   * @returns {Promise<void>}
+   * @private
+   */
+  poll() {
+    if (!this.polling) {
+      this.polling = this.collect().finally(() => {
+        this.polling = null;
+      });
+    }
+    return this.polling;
+  }
+
+  /**
+   * Relève chaque source disponible ; l'échec d'une plateforme n'interrompt pas les autres
+   * @private
+   */
+  async collect() {
+    if (!this.messageRouter) {
+      return;
+    }
+
+    let received = 0;
+
+    for (const platform of this.config.sources) {
+      const collector = COLLECTORS[platform];
+
+      if (!collector) {
+        this.logger.warn(`Relève impossible : aucune source de mentions connue pour ${platform}`);
+        continue;
+      }
+      if (!this.messageRouter.isAvailable(platform)) {
+        continue;
+      }
+
+      try {
+        const call = async (tool, params) => {
+          const result = await this.request(platform, tool, params);
+          if (result.isError) {
+            throw new Error(result.content[0].text);
+          }
+          return result.structuredContent;
+        };
+
+        for (const entry of await collector(call, this.config)) {
+          received += (await this.receive({ platform, ...entry })) ? 1 : 0;
+        }
+      } catch (error) {
+        this.logger.warn(`Relève des mentions et commentaires ${platform} impossible: ${error.message}`);
+      }
+    }
+
+    this.lastPollAt = new Date().toISOString();
+    this.logger.debug(`Relève terminée : ${received} nouvel(s) élément(s)`);
+  }
+
+  /**
+   * Ajoute un message à la boîte : classement, brouillon, échéance et publication sur le bus
+   * Les doublons, les réponses de l'agent, les messages vides et ceux plus anciens que maxAge sont ignorés
+   * @param {object} entry - platform, kind, sourceId, parentId, text, lang, url, author, createdAt
+   * @returns {Promise<object|null>} Élément ajouté, ou null s'il est ignoré
+   * @private
+   */
+  async receive(entry) {
+    const id = `${entry.platform}:${entry.sourceId}`;
+    const now = Date.now();
+    const createdAt = Date.parse(entry.createdAt);
+    const timestamp = Number.isFinite(createdAt) && createdAt <= now ? createdAt : now;
+
+    if (this.items.has(id) || this.receiving.has(id) || this.replyIds.has(id) || !entry.text || !entry.text.trim()) {
+      return null;
+    }
+    if (now - timestamp > this.config.maxAge) {
+      return null;
+    }
+
+    this.receiving.add(id);
+
+    try {
+      const author = formatAuthor(entry.author);
+      // Un message antérieur au démarrage de l'agent dispose du délai complet à partir du démarrage
+      const slaStartedAt = Math.max(timestamp, this.startedAt || now);
+      const item = {
+        id,
+        platform: entry.platform,
+        kind: entry.kind,
+        sourceId: entry.sourceId,
+        parentId: entry.parentId || null,
+        text: entry.text,
+        lang: entry.lang || null,
+        url: entry.url || null,
+        author,
+        createdAt: entry.createdAt || null,
+        receivedAt: new Date(now).toISOString(),
+        priority: await this.prioritize(entry.text, author),
+        draft: null,
+        status: 'pending',
+        slaStartedAt: new Date(slaStartedAt).toISOString(),
+        dueAt: new Date(slaStartedAt + this.config.responseTime).toISOString(),
+        overdue: false,
+        overdueAt: null,
+        respondedAt: null,
+        responseTime: null,
+        reply: null
+      };
+      item.draft = { text: templateReply(item), source: 'template', updatedAt: item.receivedAt };
+
+      this.items.set(id, item);
+      this.prune();
+
+      this.logger.info(`Nouvel élément ${id} (${item.kind}, priorité ${item.priority.level} ${item.priority.score})`);
+      this.emit('item-received', item);
+      if (this.messageRouter) {
+        this.publish('engagement.item', item);
+      }
+      this.notifyResourceUpdated('engagement://inbox');
+
+      return item;
+    } finally {
+      this.receiving.delete(id);
+    }
+  }
+
+  /**
+   * Calcule la priorité d'un message d'après l'analyse de l'agent d'analyse de contenu
+   * Sans cet agent, le sentiment est neutre et seule la présence d'un « ? » désigne une question
+   * @param {string} text - Texte du message
+   * @param {object} author - Auteur (verified, followers_count)
+   * @returns {Promise<object>} Priorité (score sur 100, niveau, critères)
+   * @private
+   */
+  async prioritize(text, author) {
+    let analysis = null;
+
+    if (this.messageRouter && this.messageRouter.isAvailable('content-analysis')) {
+      try {
+        const result = await this.request('content-analysis', 'analyze_text', {
+          text,
+          options: { extractSentiment: true, extractTopics: false, extractEntities: false, moderateContent: true, detectQuestion: true }
+        });
+        analysis = result.isError ? null : result.structuredContent;
+      } catch (error) {
+        this.logger.warn(`Analyse du message impossible, priorité estimée sans l'agent d'analyse: ${error.message}`);
+      }
+    }
+
+    const sentiment = analysis && analysis.sentiment ? analysis.sentiment.score : 0;
+    const isQuestion = analysis && analysis.question ? analysis.question.isQuestion : text.includes('?');
+    const flagged = Boolean(analysis && analysis.moderationResult && analysis.moderationResult.flagged);
+    const reach = authorReach(author);
+
+    const weighted = PRIORITY_WEIGHTS.question * (isQuestion ? 1 : 0) +
+      PRIORITY_WEIGHTS.sentiment * (1 - sentiment) / 2 +
+      PRIORITY_WEIGHTS.reach * reach;
+    const score = Math.round(100 * weighted * (flagged ? FLAGGED_FACTOR : 1));
+
+    const factors = [
+      isQuestion && 'question',
+      sentiment < -0.2 && 'sentiment négatif',
+      sentiment > 0.2 && 'sentiment positif',
+      reach >= 0.6 && (author.followers_count !== null ? `audience de ${author.followers_count} abonnés` : 'compte vérifié'),
+      flagged && 'signalé par la modération'
+    ].filter(Boolean);
+
+    return {
+      score,
+      level: score >= 60 ? 'high' : score >= 35 ? 'medium' : 'low',
+      sentiment,
+      isQuestion,
+      reach: Math.round(reach * 100) / 100,
+      flagged,
+      analyzed: Boolean(analysis),
+      factors
+    };
+  }
+
+  /**
+   * Marque les éléments en attente dont l'échéance est passée : événement `overdue`, sujet
+   * `engagement.overdue` du bus et mise à jour de la ressource engagement://inbox
+   * @private
+   */
+  checkDeadlines() {
+    const now = Date.now();
+    const overdue = [...this.items.values()]
+      .filter(item => item.status === 'pending' && !item.overdue && Date.parse(item.dueAt) <= now);
+
+    for (const item of overdue) {
+      item.overdue = true;
+      item.overdueAt = new Date(now).toISOString();
+
+      this.logger.warn(`Délai de réponse dépassé pour ${item.id} (priorité ${item.priority.level}, échéance ${item.dueAt})`);
+      this.emit('overdue', item);
+      if (this.messageRouter) {
+        this.publish('engagement.overdue', item);
+      }
+    }
+
+    if (overdue.length > 0) {
+      this.notifyResourceUpdated('engagement://inbox');
+    }
+  }
+
+  /**
+   * Enregistre la première réponse à un élément
+   * @param {object} item - Élément
+   * @param {string} status - replied (par l'agent) ou responded (sur la plateforme)
+   * @private
+   */
+  markResponded(item, status) {
+    const now = Date.now();
+    item.status = status;
+    item.respondedAt = new Date(now).toISOString();
+    item.responseTime = now - Date.parse(item.slaStartedAt);
+  }
+
+  /**
+   * Oublie les éléments clos les plus anciens au-delà de inboxLimit, puis les plus anciens en attente
+   * @private
+   */
+  prune() {
+    for (const status of ['closed', 'pending']) {
+      for (const item of this.items.values()) {
+        if (this.items.size <= this.config.inboxLimit) {
+          return;
+        }
+        // Un élément en cours d'envoi n'est pas clos
+        if ((status === 'pending') === ['pending', 'sending'].includes(item.status)) {
+          this.items.delete(item.id);
+        }
+      }
+    }
+  }
+
+  /**
+   * Calcule les statistiques de délai de réponse
+   * @returns {object} Statistiques
+   * @private
+   */
+  computeStats() {
+    const items = [...this.items.values()];
+    const count = status => items.filter(item => item.status === status).length;
+    const pending = items.filter(item => item.status === 'pending');
+    const times = items.filter(item => item.responseTime !== null).map(item => item.responseTime).sort((a, b) => a - b);
+    const middle = Math.floor(times.length / 2);
+
+    return {
+      responseTimeTarget: this.config.responseTime,
+      total: items.length,
+      pending: pending.length,
+      overdue: pending.filter(item => item.overdue).length,
+      replied: count('replied'),
+      responded: count('responded'),
+      dismissed: count('dismissed'),
+      averageResponseTime: times.length > 0 ? Math.round(times.reduce((sum, time) => sum + time, 0) / times.length) : null,
+      medianResponseTime: times.length > 0
+        ? (times.length % 2 === 1 ? times[middle] : Math.round((times[middle - 1] + times[middle]) / 2))
+        : null,
+      withinSlaRate: times.length > 0
+        ? Math.round(times.filter(time => time <= this.config.responseTime).length / times.length * 100) / 100
+        : null,
+      byPlatform: pending.reduce((counts, item) => ({ ...counts, [item.platform]: (counts[item.platform] || 0) + 1 }), {}),
+      lastPollAt: this.lastPollAt
+    };
+  }
+
+  /**
+   * Demande au LLM du client (sampling) un brouillon de réponse
+   * Renvoie null si le client ne supporte pas le sampling ou si la requête échoue
+   * @param {object} item - Élément auquel répondre
+   * @param {string} instructions - Consignes supplémentaires
+   * @param {object} context - Contexte d'exécution de l'outil
+   * @returns {Promise<string|null>} Brouillon
+   * @private
+   */
+  async askModelForReply(item, instructions, context) {
+    if (!context.canSample) {
+      return null;
+    }
+
+    const maxLength = REPLY_TOOLS[item.platform] ? REPLY_TOOLS[item.platform].maxLength : 500;
+    const analysis = [
+      item.priority.isQuestion && 'pose une question',
+      item.priority.sentiment < -0.2 && 'mécontent',
+      item.priority.sentiment > 0.2 && 'satisfait'
+    ].filter(Boolean);
+
+    try {
+      const response = await context.createMessage({
+        messages: [{
+          role: 'user',
+          content: {
+            type: 'text',
+            text: `${item.kind === 'mention' ? 'Mention' : 'Commentaire'} reçu sur ${item.platform} de ` +
+              `${item.author.name || item.author.screen_name || 'un utilisateur'}${analysis.length > 0 ? ` (${analysis.join(', ')})` : ''} :\n` +
+              `${item.text}${instructions ? `\n\nConsignes : ${instructions}` : ''}`
+          }
+        }],
+        systemPrompt: `Tu rédiges les réponses du community manager d'une marque, sur un ton ${this.config.replyTone}. ` +
+          `Réponds uniquement par le texte de la réponse, sans guillemets ni mention de l'auteur, en ${maxLength} caractères au plus. ` +
+          'N\'invente aucune information (prix, délais, disponibilités) : propose plutôt de poursuivre en message privé.',
+        maxTokens: 300,
+        temperature: 0.4,
+        includeContext: 'none'
+      });
+
+      const text = response.content.type === 'text' ? response.content.text.trim() : '';
+      if (!text || text.length > maxLength) {
+        this.logger.warn('Brouillon du LLM inexploitable, repli sur le modèle de réponse');
+        return null;
+      }
+
+      return text;
+    } catch (error) {
+      // Une annulation de l'appel doit interrompre l'outil, pas déclencher le repli
+      context.throwIfAborted();
+      this.logger.warn(`Sampling indisponible, repli sur le modèle de réponse: ${error.message}`);
+      return null;
+    }
+  }
+}
+
+/**
+ * Auteur au format du tableau de bord, champs absents à null
+ * @param {object} user - Auteur fourni par la plateforme
+ * @returns {object} Auteur (id, name, screen_name, verified, followers_count)
+ */
+function formatAuthor(user = {}) {
+  return {
+    id: user.id || null,
+    name: user.name || null,
+    screen_name: user.screen_name || null,
+    verified: Boolean(user.verified),
+    followers_count: Number.isInteger(user.followers_count) ? user.followers_count : null
+  };
+}
+
+/**
+ * Audience de l'auteur entre 0 et 1 : échelle logarithmique des abonnés (1 pour 100 000 et plus),
+ * ou estimation d'après la vérification du compte si le nombre d'abonnés est inconnu
+ * @param {object} author - Auteur (verified, followers_count)
+ * @returns {number} Audience
+ */
+function authorReach(author) {
+  if (author.followers_count !== null) {
+    return Math.min(Math.log10(author.followers_count + 1) / 5, 1);
+  }
+  return author.verified ? 0.6 : 0.3;
+}
+
+/**
+ * Brouillon de réponse par défaut, selon que le message pose une question, est négatif ou positif
+ * @param {object} item - Élément (author, priority)
+ * @returns {string} Brouillon
+ */
+function templateReply(item) {
+  const name = item.author.name && item.author.name !== item.author.id ? ` ${item.author.name.split(/\s+/)[0]}` : '';
+
+  if (item.priority.flagged) {
+    return `Bonjour${name}, merci pour votre message.`;
+  }
+  if (item.priority.isQuestion) {
+    return `Bonjour${name}, merci pour votre question ! Nous vérifions et revenons vers vous très rapidement.`;
+  }
+  if (item.priority.sentiment < -0.2) {
+    return `Bonjour${name}, merci pour votre retour et désolés pour ce désagrément. ` +
+      'Pouvez-vous nous écrire en message privé pour que nous trouvions une solution ensemble ?';
+  }
+  if (item.priority.sentiment > 0.2) {
+    return `Merci beaucoup${name}, ça nous fait très plaisir !`;
+  }
+  return `Merci${name} pour votre message !`;
+}
+
+/**
+ * Trie les éléments par priorité décroissante, puis par échéance
+ * @param {Array<object>} items - Éléments
+ * @returns {Array<object>} Éléments triés
+ */
+function sortByPriority(items) {
+  return [...items].sort((a, b) => b.priority.score - a.priority.score || a.dueAt.localeCompare(b.dueAt));
+}
+
+/**
+ * Origine d'un brouillon, en clair
+ * @param {string} source - template, sampling ou human
+ * @returns {string} Libellé
+ */
+function draftSourceLabel(source) {
+  return { template: 'modèle', sampling: 'LLM du client', human: 'rédigé à la main' }[source];
+}
+
+/**
+ * Durée lisible (ex: 45 s, 5 min, 2 h)
+ * @param {number} ms - Durée en millisecondes
+ * @returns {string} Durée
+ */
+function formatDuration(ms) {
+  if (ms >= 60 * 60 * 1000) {
+    return `${Math.round(ms / (60 * 60 * 1000) * 10) / 10} h`;
+  }
+  if (ms >= 60 * 1000) {
+    return `${Math.round(ms / (60 * 1000))} min`;
+  }
+  return `${Math.round(ms / 1000)} s`;
+}
+
+/**
+ * Résumé de la boîte de réception
+ * @param {object} result - Éléments et statistiques
+ * @param {string} status - Filtre appliqué
+ * @returns {string} Résumé
+ */
+function summarizeInbox(result, status) {
+  const lines = [`${result.resultCount} élément(s) (${status}) ; ${result.stats.pending} en attente dont ${result.stats.overdue} en retard`];
+
+  for (const item of result.items) {
+    const author = item.author.screen_name || item.author.name || 'inconnu';
+    lines.push(`- [${item.priority.level} ${item.priority.score}] ${item.id} de ${author}${item.overdue && item.status === 'pending' ? ' (en retard)' : ''} : ` +
+      `${item.text.length > 80 ? `${item.text.slice(0, 79)}…` : item.text}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Résumé des statistiques de délai de réponse
+ * @param {object} stats - Statistiques
+ * @returns {string} Résumé
+ */
+function summarizeStats(stats) {
+  const lines = [`${stats.pending} élément(s) en attente dont ${stats.overdue} en retard (délai cible ${formatDuration(stats.responseTimeTarget)})`];
+
+  if (stats.averageResponseTime !== null) {
+    lines.push(`Première réponse : ${formatDuration(stats.averageResponseTime)} en moyenne, ${formatDuration(stats.medianResponseTime)} en médiane, ` +
+      `${Math.round(stats.withinSlaRate * 100)} % dans le délai`);
+  }
+  lines.push(`${stats.replied} réponse(s) envoyée(s) par l'agent, ${stats.responded} sur la plateforme, ${stats.dismissed} écartée(s)`);
+
+  return lines.join('\n');
+}
+
+export default EngagementAgent;
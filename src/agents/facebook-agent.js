@@ -0,0 +1,1085 @@
+/**
+ * Agent Facebook
+ * Responsable de l'interaction avec l'API Graph d'une page Facebook : posts publiés et programmés,
+ * statistiques de la page et des posts, publication (texte, lien ou photo, immédiate ou programmée)
+ * et modération des commentaires (masquage, suppression).
+ * La modération peut s'appuyer sur l'agent d'analyse de contenu, interrogé sur le bus de messages :
+ * les commentaires qu'il signale sont masqués ou supprimés, à la demande ou périodiquement
+ * (config.moderation.autoModerate).
+ * Chaque publication émet l'événement `published` et chaque action de modération l'événement
+ * `comment-moderated`, relayés sur le bus (publication.published, comment.moderated)
+ * et dans les ressources facebook://publications et facebook://moderation.
+ */
+
+import BaseAgent from './base-agent.js';
+import FacebookClient from '../clients/facebook-client.js';
+import config from '../config/config.js';
+import { createToolContext } from '../utils/tool-context.js';
+import { toolResult, toolError } from '../utils/tool-result.js';
+
+// Identifiant d'un post ({page-id}_{post-id}) et d'un commentaire ({post-id}_{comment-id})
+const postIdSchema = { type: 'string', pattern: '^\\d{1,25}_\\d{1,25}$' };
+const commentIdSchema = { type: 'string', pattern: '^\\d{1,25}_\\d{1,25}$' };
+
+// Agent interrogé pour la modération des commentaires
+const CONTENT_ANALYSIS_AGENT = 'content-analysis';
+
+const pageSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    username: { type: ['string', 'null'] },
+    category: { type: ['string', 'null'] },
+    about: { type: ['string', 'null'] },
+    link: { type: ['string', 'null'] },
+    fanCount: { type: 'integer' },
+    followersCount: { type: 'integer' }
+  },
+  required: ['id', 'name', 'fanCount', 'followersCount']
+};
+
+// Un post de la page
+const postSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    message: { type: 'string' },
+    createdTime: { type: ['string', 'null'] },
+    permalink: { type: ['string', 'null'] },
+    picture: { type: ['string', 'null'] },
+    statusType: { type: ['string', 'null'] },
+    reactionCount: { type: 'integer' },
+    commentCount: { type: 'integer' },
+    shareCount: { type: 'integer' }
+  },
+  required: ['id', 'message', 'reactionCount', 'commentCount', 'shareCount']
+};
+
+const postListSchema = {
+  type: 'object',
+  properties: {
+    posts: { type: 'array', items: postSchema },
+    resultCount: { type: 'integer' },
+    nextCursor: { type: ['string', 'null'] }
+  },
+  required: ['posts', 'resultCount', 'nextCursor']
+};
+
+// Un post programmé
+const scheduledPostSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    message: { type: 'string' },
+    scheduledAt: { type: 'string' },
+    picture: { type: ['string', 'null'] }
+  },
+  required: ['id', 'message', 'scheduledAt']
+};
+
+const scheduledPostListSchema = {
+  type: 'object',
+  properties: {
+    posts: { type: 'array', items: scheduledPostSchema },
+    resultCount: { type: 'integer' },
+    nextCursor: { type: ['string', 'null'] }
+  },
+  required: ['posts', 'resultCount', 'nextCursor']
+};
+
+const insightsSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    period: { type: 'string' },
+    // Nombre, ou répartition par type pour les métriques détaillées (ex: post_reactions_by_type_total)
+    metrics: {
+      type: 'object',
+      additionalProperties: { type: ['number', 'object'], additionalProperties: { type: 'number' } }
+    }
+  },
+  required: ['id', 'period', 'metrics']
+};
+
+const commentSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    message: { type: 'string' },
+    author: { type: ['string', 'null'] },
+    authorId: { type: ['string', 'null'] },
+    createdTime: { type: ['string', 'null'] },
+    likeCount: { type: 'integer' },
+    replyCount: { type: 'integer' },
+    isHidden: { type: 'boolean' },
+    canHide: { type: 'boolean' },
+    canRemove: { type: 'boolean' }
+  },
+  required: ['id', 'message', 'isHidden', 'canHide', 'canRemove']
+};
+
+const commentListSchema = {
+  type: 'object',
+  properties: {
+    postId: { type: 'string' },
+    comments: { type: 'array', items: commentSchema },
+    resultCount: { type: 'integer' },
+    nextCursor: { type: ['string', 'null'] }
+  },
+  required: ['postId', 'comments', 'resultCount', 'nextCursor']
+};
+
+// Un post publié ou programmé (ou sa simulation en mode dry-run)
+const publicationSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    action: { type: 'string', enum: ['post', 'photo'] },
+    text: { type: 'string' },
+    url: { type: ['string', 'null'] },
+    link: { type: ['string', 'null'] },
+    imageUrl: { type: ['string', 'null'] },
+    scheduledAt: { type: ['string', 'null'] },
+    dryRun: { type: 'boolean' },
+    publishedAt: { type: 'string' }
+  },
+  required: ['id', 'action', 'text', 'scheduledAt', 'dryRun', 'publishedAt']
+};
+
+// Résultat de l'analyse de modération d'un commentaire (voir analyze_text, option moderateContent)
+const verdictSchema = {
+  type: ['object', 'null'],
+  properties: {
+    flagged: { type: 'boolean' },
+    safeScore: { type: 'number' },
+    categories: { type: 'object', additionalProperties: { type: 'number' } }
+  }
+};
+
+// Une action de modération sur un commentaire (ou sa simulation en mode dry-run)
+const moderationSchema = {
+  type: 'object',
+  properties: {
+    commentId: { type: 'string' },
+    postId: { type: ['string', 'null'] },
+    action: { type: 'string', enum: ['hide', 'unhide', 'delete'] },
+    message: { type: ['string', 'null'] },
+    author: { type: ['string', 'null'] },
+    source: { type: 'string', enum: ['manual', 'content-analysis'] },
+    verdict: verdictSchema,
+    dryRun: { type: 'boolean' },
+    moderatedAt: { type: 'string' }
+  },
+  required: ['commentId', 'action', 'source', 'dryRun', 'moderatedAt']
+};
+
+const moderationRunSchema = {
+  type: 'object',
+  properties: {
+    postIds: { type: 'array', items: { type: 'string' } },
+    scanned: { type: 'integer' },
+    flagged: { type: 'integer' },
+    preview: { type: 'boolean' },
+    comments: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          commentId: { type: 'string' },
+          postId: { type: 'string' },
+          message: { type: 'string' },
+          author: { type: ['string', 'null'] },
+          verdict: verdictSchema,
+          action: { type: ['string', 'null'], enum: ['hide', 'delete', null] },
+          error: { type: ['string', 'null'] }
+        },
+        required: ['commentId', 'postId', 'verdict', 'action']
+      }
+    }
+  },
+  required: ['postIds', 'scanned', 'flagged', 'preview', 'comments']
+};
+
+// Métriques proposées par défaut
+const POST_METRICS = ['post_impressions', 'post_impressions_unique', 'post_clicks', 'post_reactions_by_type_total'];
+const PAGE_METRICS = ['page_impressions', 'page_impressions_unique', 'page_post_engagements', 'page_follows', 'page_views_total'];
+
+// Délais de programmation acceptés par l'API
+const MIN_SCHEDULE_DELAY = 10 * 60 * 1000;
+const MAX_SCHEDULE_DELAY = 30 * 24 * 60 * 60 * 1000;
+
+class FacebookAgent extends BaseAgent {
+  /**
+   * Constructeur de l'agent Facebook
+   * @param {object} agentConfig - Identifiants et URL de l'API, par défaut config.socialAPIs.facebook
+   */
+  constructor(agentConfig = {}) {
+    super('facebook', {
+      ...config.socialAPIs.facebook,
+      dryRun: config.publishing.dryRun,
+      ...agentConfig,
+      moderation: { ...config.socialAPIs.facebook.moderation, ...agentConfig.moderation }
+    });
+    this.client = new FacebookClient(this.config);
+    this.publications = [];
+    this.moderations = [];
+    // Commentaires déjà examinés par la modération automatique
+    this.reviewedComments = new Set();
+    this.moderationTimer = null;
+    this.moderationRun = null;
+    this.logger.info(`Agent Facebook créé${this.config.dryRun ? ' (publication simulée)' : ''}`);
+  }
+
+  /**
+   * Initialisation de l'agent avec ses outils et ressources
+   */
+  async initialize() {
+    await super.initialize();
+
+    this.registerTool({
+      name: 'get_facebook_page',
+      description: 'Informations de la page Facebook administrée (nom, catégorie, mentions J\'aime et abonnés)',
+      inputSchema: { type: 'object', properties: {} },
+      outputSchema: pageSchema,
+      handler: this.getPage.bind(this)
+    });
+
+    this.registerTool({
+      name: 'get_facebook_posts',
+      description: 'Liste les posts publiés par la page, du plus récent au plus ancien, avec leurs réactions, commentaires et partages',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          count: { type: 'integer', minimum: 1, maximum: 100 },
+          after: { type: 'string', description: 'Curseur de la page suivante (nextCursor)' }
+        }
+      },
+      outputSchema: postListSchema,
+      handler: this.getPosts.bind(this)
+    });
+
+    this.registerTool({
+      name: 'get_facebook_scheduled_posts',
+      description: 'Liste les posts programmés de la page, du plus proche au plus lointain',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          count: { type: 'integer', minimum: 1, maximum: 100 },
+          after: { type: 'string', description: 'Curseur de la page suivante (nextCursor)' }
+        }
+      },
+      outputSchema: scheduledPostListSchema,
+      handler: this.getScheduledPosts.bind(this)
+    });
+
+    this.registerTool({
+      name: 'publish_facebook_post',
+      sideEffects: true,
+      description: 'Publie un post sur la page (texte, lien ou photo), immédiatement ou à une date programmée (de 10 minutes à 30 jours)',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          message: { type: 'string', maxLength: 63206 },
+          link: { type: 'string', pattern: '^https?://', description: 'Lien partagé (aperçu généré par Facebook)' },
+          imageUrl: { type: 'string', pattern: '^https?://', description: 'URL de la photo à publier (JPEG, PNG ou GIF)' },
+          scheduledAt: {
+            type: 'string',
+            pattern: '^\\d{4}-\\d{2}-\\d{2}T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:\\d{2})$',
+            description: 'Date de publication programmée (ISO 8601 avec fuseau, ex: 2026-11-02T09:00:00+01:00)'
+          }
+        },
+        anyOf: [{ required: ['message'] }, { required: ['link'] }, { required: ['imageUrl'] }],
+        not: { required: ['link', 'imageUrl'] }
+      },
+      outputSchema: publicationSchema,
+      handler: this.publishPost.bind(this)
+    });
+
+    this.registerTool({
+      name: 'get_facebook_insights',
+      description: 'Statistiques d\'un post (postId) ou, à défaut, de la page sur une période',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          postId: postIdSchema,
+          metrics: { type: 'array', items: { type: 'string' }, minItems: 1 },
+          period: { type: 'string', enum: ['day', 'week', 'days_28'], description: 'Période des statistiques de la page' }
+        }
+      },
+      outputSchema: insightsSchema,
+      handler: this.getInsights.bind(this)
+    });
+
+    this.registerTool({
+      name: 'get_facebook_comments',
+      description: 'Liste les commentaires d\'un post, du plus récent au plus ancien, y compris les réponses et les commentaires masqués',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          postId: postIdSchema,
+          count: { type: 'integer', minimum: 1, maximum: 100 },
+          after: { type: 'string', description: 'Curseur de la page suivante (nextCursor)' }
+        },
+        required: ['postId']
+      },
+      outputSchema: commentListSchema,
+      handler: this.getComments.bind(this)
+    });
+
+    this.registerTool({
+      name: 'hide_facebook_comment',
+      sideEffects: true,
+      description: 'Masque un commentaire (il reste visible de son auteur et de ses amis) ou le réaffiche',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          commentId: commentIdSchema,
+          hidden: { type: 'boolean', description: 'false pour réafficher le commentaire (true par défaut)' }
+        },
+        required: ['commentId']
+      },
+      outputSchema: moderationSchema,
+      handler: this.hideComment.bind(this)
+    });
+
+    this.registerTool({
+      name: 'delete_facebook_comment',
+      sideEffects: true,
+      description: 'Supprime définitivement un commentaire',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          commentId: commentIdSchema
+        },
+        required: ['commentId']
+      },
+      outputSchema: moderationSchema,
+      handler: this.deleteComment.bind(this)
+    });
+
+    this.registerTool({
+      name: 'moderate_facebook_comments',
+      sideEffects: true,
+      description: 'Fait analyser les commentaires visibles par l\'agent d\'analyse de contenu et masque (ou supprime) ceux qu\'il signale ' +
+        '(insultes, menaces, spam). Sans postId, examine les derniers posts de la page',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          postId: postIdSchema,
+          action: { type: 'string', enum: ['hide', 'delete'], description: 'Action sur les commentaires signalés (config.moderation.action par défaut)' },
+          preview: { type: 'boolean', description: 'Signale les commentaires sans les modérer' }
+        }
+      },
+      outputSchema: moderationRunSchema,
+      handler: this.moderateComments.bind(this)
+    });
+
+    this.registerResource({
+      name: 'facebook_publications',
+      uri: 'facebook://publications',
+      mimeType: 'application/json',
+      description: 'Posts publiés ou programmés (ou simulés) par l\'agent, du plus récent au plus ancien',
+      handler: this.getPublications.bind(this)
+    });
+
+    this.registerResource({
+      name: 'facebook_moderation',
+      uri: 'facebook://moderation',
+      mimeType: 'application/json',
+      description: 'Commentaires masqués, réaffichés ou supprimés par l\'agent, du plus récent au plus ancien',
+      handler: this.getModerations.bind(this)
+    });
+  }
+
+  /**
+   * Démarrage de l'agent et, si elle est activée, de la modération automatique
+   */
+  async start() {
+    await super.start();
+
+    if (this.config.moderation.autoModerate) {
+      this.startAutoModeration();
+    }
+  }
+
+  /**
+   * Arrêt de l'agent et de la modération automatique
+   */
+  async stop() {
+    this.stopAutoModeration();
+
+    // Laisser le passage de modération en cours se terminer
+    if (this.moderationRun) {
+      await this.moderationRun.catch(() => {});
+    }
+
+    await super.stop();
+  }
+
+  /**
+   * Récupère les informations de la page
+   * @returns {Promise<object>} Page
+   */
+  async getPage() {
+    try {
+      const page = formatPage(await this.client.getPage());
+
+      return toolResult(page, {
+        summary: `${page.name}${page.username ? ` (@${page.username})` : ''}${page.category ? `, ${page.category}` : ''}\n` +
+          `${page.fanCount} mention(s) J'aime, ${page.followersCount} abonné(s)`
+      });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la récupération de la page: ${error.message}`);
+      return toolError(`Erreur lors de la récupération de la page: ${error.message}`);
+    }
+  }
+
+  /**
+   * Liste les posts publiés de la page
+   * @param {object} params - count (25 par défaut), after
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Posts et curseur de la page suivante
+   */
+  async getPosts(params, context = createToolContext()) {
+    const { count = 25, after } = params;
+
+    try {
+      const response = await this.client.getPosts({ limit: count, after, signal: context.signal });
+      const posts = (response.data || []).map(formatPost);
+      const result = { posts, resultCount: posts.length, nextCursor: nextCursor(response) };
+
+      return toolResult(result, {
+        summary: [`${result.resultCount} post(s) Facebook`,
+          ...posts.map(post => `- ${post.id} (${post.reactionCount} réaction(s), ${post.commentCount} commentaire(s), ` +
+            `${post.shareCount} partage(s)) : ${truncate(post.message, 80)}`)
+        ].join('\n')
+      });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la récupération des posts: ${error.message}`);
+      return toolError(`Erreur lors de la récupération des posts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Liste les posts programmés de la page
+   * @param {object} params - count (25 par défaut), after
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Posts programmés et curseur de la page suivante
+   */
+  async getScheduledPosts(params, context = createToolContext()) {
+    const { count = 25, after } = params;
+
+    try {
+      const response = await this.client.getScheduledPosts({ limit: count, after, signal: context.signal });
+      const posts = (response.data || []).map(formatScheduledPost);
+      const result = { posts, resultCount: posts.length, nextCursor: nextCursor(response) };
+
+      return toolResult(result, {
+        summary: [`${result.resultCount} post(s) programmé(s)`,
+          ...posts.map(post => `- ${post.id} le ${post.scheduledAt} : ${truncate(post.message, 80)}`)
+        ].join('\n')
+      });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la récupération des posts programmés: ${error.message}`);
+      return toolError(`Erreur lors de la récupération des posts programmés: ${error.message}`);
+    }
+  }
+
+  /**
+   * Publie ou programme un post
+   * @param {object} params - message, link ou imageUrl, scheduledAt
+   * @returns {Promise<object>} Publication
+   */
+  async publishPost(params) {
+    const { message = '', link, imageUrl, scheduledAt } = params;
+    let scheduledPublishTime = null;
+
+    if (scheduledAt) {
+      const delay = Date.parse(scheduledAt) - Date.now();
+
+      if (Number.isNaN(delay) || delay < MIN_SCHEDULE_DELAY || delay > MAX_SCHEDULE_DELAY) {
+        return toolError(`Date de programmation invalide (${scheduledAt}) : elle doit se situer entre 10 minutes et 30 jours à venir`);
+      }
+
+      scheduledPublishTime = Math.floor(Date.parse(scheduledAt) / 1000);
+    }
+
+    try {
+      const id = imageUrl
+        ? (await this.client.createPhotoPost({ url: imageUrl, caption: message, scheduledPublishTime })).post_id
+        : (await this.client.createPost({ message, link, scheduledPublishTime })).id;
+      // Le permalien n'est connu qu'une fois le post publié (absent en simulation)
+      const url = this.client.dryRun || scheduledPublishTime ? null : (await this.client.getPost(id, ['permalink_url'])).permalink_url || null;
+      const publication = this.recordPublication({
+        id,
+        action: imageUrl ? 'photo' : 'post',
+        text: message,
+        url,
+        link: link || null,
+        imageUrl: imageUrl || null,
+        scheduledAt: scheduledPublishTime ? new Date(scheduledPublishTime * 1000).toISOString() : null
+      });
+
+      return toolResult(publication, { summary: summarizePublication(publication) });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la publication du post: ${error.message}`);
+      return toolError(`Erreur lors de la publication du post: ${error.message}`);
+    }
+  }
+
+  /**
+   * Récupère les statistiques d'un post ou de la page
+   * @param {object} params - postId (page si absent), metrics, period (day par défaut, page seulement)
+   * @returns {Promise<object>} Valeur de chaque métrique
+   */
+  async getInsights(params) {
+    const { postId, period = 'day' } = params;
+    const metrics = params.metrics || (postId ? POST_METRICS : PAGE_METRICS);
+    const scope = postId ? `du post ${postId}` : 'de la page';
+
+    try {
+      const response = postId
+        ? await this.client.getPostInsights(postId, metrics)
+        : await this.client.getPageInsights({ metrics, period });
+      const data = response.data || [];
+      const result = {
+        id: postId || this.config.pageId,
+        period: data.length > 0 ? data[0].period : period,
+        metrics: Object.fromEntries(data.map(metric => [metric.name, metricValue(metric)]))
+      };
+
+      return toolResult(result, {
+        summary: [`Statistiques ${scope} (${result.period})`,
+          ...Object.entries(result.metrics).map(([name, value]) => `- ${name} : ${typeof value === 'object'
+            ? Object.entries(value).map(([type, count]) => `${type} ${count}`).join(', ') || 0
+            : value}`)].join('\n')
+      });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la récupération des statistiques ${scope}: ${error.message}`);
+      return toolError(`Erreur lors de la récupération des statistiques ${scope}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Liste les commentaires d'un post
+   * @param {object} params - postId, count (25 par défaut), after
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Commentaires et curseur de la page suivante
+   */
+  async getComments(params, context = createToolContext()) {
+    const { postId, count = 25, after } = params;
+
+    try {
+      const response = await this.client.getComments(postId, { limit: count, after, signal: context.signal });
+      const comments = (response.data || []).map(formatComment);
+      const result = { postId, comments, resultCount: comments.length, nextCursor: nextCursor(response) };
+
+      return toolResult(result, {
+        summary: [`${result.resultCount} commentaire(s) sur le post ${postId}`,
+          ...comments.map(comment => `- ${comment.id} ${comment.author || 'inconnu'}${comment.isHidden ? ' [masqué]' : ''} : ${comment.message}`)
+        ].join('\n')
+      });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la récupération des commentaires du post ${postId}: ${error.message}`);
+      return toolError(`Erreur lors de la récupération des commentaires du post ${postId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Masque ou réaffiche un commentaire
+   * @param {object} params - commentId, hidden (true par défaut)
+   * @returns {Promise<object>} Action de modération
+   */
+  async hideComment(params) {
+    const { commentId, hidden = true } = params;
+    const label = hidden ? 'du masquage' : 'du réaffichage';
+
+    try {
+      await this.client.hideComment(commentId, hidden);
+      const moderation = this.recordModeration({ commentId, action: hidden ? 'hide' : 'unhide', source: 'manual' });
+
+      return toolResult(moderation, { summary: summarizeModeration(moderation) });
+    } catch (error) {
+      this.logger.error(`Erreur lors ${label} du commentaire ${commentId}: ${error.message}`);
+      return toolError(`Erreur lors ${label} du commentaire ${commentId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Supprime un commentaire
+   * @param {object} params - commentId
+   * @returns {Promise<object>} Action de modération
+   */
+  async deleteComment(params) {
+    const { commentId } = params;
+
+    try {
+      await this.client.deleteComment(commentId);
+      const moderation = this.recordModeration({ commentId, action: 'delete', source: 'manual' });
+
+      return toolResult(moderation, { summary: summarizeModeration(moderation) });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la suppression du commentaire ${commentId}: ${error.message}`);
+      return toolError(`Erreur lors de la suppression du commentaire ${commentId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Fait analyser les commentaires visibles d'un post (ou des derniers posts) et modère ceux qui sont signalés
+   * @param {object} params - postId, action (config.moderation.action par défaut), preview
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Commentaires examinés, avec l'analyse et l'action appliquée
+   */
+  async moderateComments(params, context = createToolContext()) {
+    const { postId, action = this.config.moderation.action, preview = false } = params;
+
+    if (!this.messageRouter) {
+      return toolError('Modération impossible : l\'agent Facebook n\'est pas relié au bus de messages (agent d\'analyse de contenu injoignable)');
+    }
+
+    try {
+      const result = await this.runModeration({ postId, action, preview, context });
+      const moderated = result.comments.filter(comment => comment.action);
+
+      return toolResult(result, {
+        summary: [`${result.scanned} commentaire(s) examiné(s) sur ${result.postIds.length} post(s), ${result.flagged} signalé(s)` +
+          `${preview ? ' (aperçu, aucune modération)' : ''}`,
+        ...result.comments.filter(comment => comment.verdict && comment.verdict.flagged).map(comment =>
+          `- ${comment.commentId} ${comment.author || 'inconnu'} [${flaggedCategories(comment.verdict).join(', ')}]` +
+            `${comment.action ? ` ${comment.action === 'hide' ? 'masqué' : 'supprimé'}` : ''}` +
+            `${comment.error ? ` (échec : ${comment.error})` : ''} : ${truncate(comment.message, 80)}`),
+        ...(moderated.length === 0 && !preview ? ['Aucun commentaire modéré'] : [])
+        ].join('\n')
+      });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la modération des commentaires: ${error.message}`);
+      return toolError(`Erreur lors de la modération des commentaires: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retourne les publications récentes de l'agent
+   * @param {object} params - limit (20 par défaut), offset
+   * @returns {Promise<object>} Publications, de la plus récente à la plus ancienne
+   */
+  async getPublications(params = {}) {
+    // Les paramètres peuvent provenir d'une URI de ressource, donc être des chaînes
+    const limit = parseInt(params.limit ?? 20, 10);
+    const offset = parseInt(params.offset ?? 0, 10);
+    const publications = [...this.publications].reverse();
+
+    return {
+      content: {
+        total: publications.length,
+        offset,
+        limit,
+        dryRun: this.client.dryRun,
+        publications: publications.slice(offset, offset + limit)
+      }
+    };
+  }
+
+  /**
+   * Retourne les actions de modération récentes et l'état de la modération automatique
+   * @param {object} params - limit (20 par défaut), offset
+   * @returns {Promise<object>} Actions, de la plus récente à la plus ancienne
+   */
+  async getModerations(params = {}) {
+    const limit = parseInt(params.limit ?? 20, 10);
+    const offset = parseInt(params.offset ?? 0, 10);
+    const moderations = [...this.moderations].reverse();
+
+    return {
+      content: {
+        total: moderations.length,
+        offset,
+        limit,
+        dryRun: this.client.dryRun,
+        autoModerate: this.moderationTimer !== null,
+        reviewedComments: this.reviewedComments.size,
+        moderations: moderations.slice(offset, offset + limit)
+      }
+    };
+  }
+
+  /**
+   * Lance l'examen périodique des commentaires des derniers posts
+   * Sans bus de messages, l'agent d'analyse est injoignable et la modération automatique reste désactivée
+   */
+  startAutoModeration() {
+    if (this.moderationTimer) {
+      return;
+    }
+    if (!this.messageRouter) {
+      this.logger.warn('Modération automatique désactivée : l\'agent n\'est pas relié au bus de messages');
+      return;
+    }
+
+    const { interval, action } = this.config.moderation;
+    this.moderationTimer = setInterval(() => this.autoModerate(), interval);
+    this.moderationTimer.unref();
+    this.logger.info(`Modération automatique des commentaires toutes les ${Math.round(interval / 1000)} s (action : ${action})`);
+
+    this.autoModerate();
+  }
+
+  /**
+   * Arrête l'examen périodique des commentaires
+   */
+  stopAutoModeration() {
+    if (this.moderationTimer) {
+      clearInterval(this.moderationTimer);
+      this.moderationTimer = null;
+      this.logger.info('Modération automatique des commentaires arrêtée');
+    }
+  }
+
+  /**
+   * Passage de la modération automatique ; ignoré si le précédent n'est pas terminé
+   * @returns {Promise<void>}
+   * @private
+   */
+  async autoModerate() {
+    if (this.moderationRun) {
+      return;
+    }
+
+    this.moderationRun = this.runModeration({ action: this.config.moderation.action, preview: false, automatic: true });
+
+    try {
+      const result = await this.moderationRun;
+      const moderated = result.comments.filter(comment => comment.action && !comment.error).length;
+
+      if (result.scanned > 0) {
+        this.logger.info(`Modération automatique : ${result.scanned} nouveau(x) commentaire(s), ${result.flagged} signalé(s), ${moderated} modéré(s)`);
+      }
+    } catch (error) {
+      this.logger.error(`Erreur lors de la modération automatique: ${error.message}`);
+    } finally {
+      this.moderationRun = null;
+    }
+  }
+
+  /**
+   * Examine les commentaires visibles, les fait analyser et modère ceux qui sont signalés
+   * En mode automatique, les commentaires déjà examinés sont ignorés
+   * @param {object} options - postId (derniers posts si absent), action, preview, automatic, context
+   * @returns {Promise<object>} Résultat (voir moderationRunSchema)
+   * @private
+   */
+  async runModeration(options) {
+    const { postId, action, preview, automatic = false, context = createToolContext() } = options;
+    const { postsToScan, commentsPerPost } = this.config.moderation;
+    const postIds = postId
+      ? [postId]
+      : ((await this.client.getPosts({ limit: postsToScan, signal: context.signal })).data || []).map(post => post.id);
+    const result = { postIds, scanned: 0, flagged: 0, preview, comments: [] };
+
+    for (const [index, currentPostId] of postIds.entries()) {
+      context.throwIfAborted();
+      const response = await this.client.getComments(currentPostId, { limit: commentsPerPost, signal: context.signal });
+      const comments = (response.data || []).map(formatComment)
+        .filter(comment => !comment.isHidden && comment.message && (!automatic || !this.reviewedComments.has(comment.id)));
+
+      for (const comment of comments) {
+        context.throwIfAborted();
+        const verdict = await this.analyzeComment(comment.message);
+        const entry = {
+          commentId: comment.id,
+          postId: currentPostId,
+          message: comment.message,
+          author: comment.author,
+          verdict,
+          action: null,
+          error: null
+        };
+
+        result.scanned += 1;
+        if (automatic) {
+          this.markReviewed(comment.id);
+        }
+
+        if (verdict.flagged) {
+          result.flagged += 1;
+
+          const allowed = action === 'delete' ? comment.canRemove : comment.canHide;
+          if (!preview && allowed) {
+            try {
+              if (action === 'delete') {
+                await this.client.deleteComment(comment.id);
+              } else {
+                await this.client.hideComment(comment.id, true);
+              }
+
+              entry.action = action;
+              this.recordModeration({
+                commentId: comment.id,
+                postId: currentPostId,
+                action,
+                message: comment.message,
+                author: comment.author,
+                source: 'content-analysis',
+                verdict
+              });
+            } catch (error) {
+              entry.error = error.message;
+              this.logger.warn(`Modération du commentaire ${comment.id} impossible: ${error.message}`);
+            }
+          } else if (!preview) {
+            entry.error = action === 'delete' ? 'suppression non autorisée' : 'masquage non autorisé';
+          }
+        }
+
+        result.comments.push(entry);
+      }
+
+      context.reportProgress(index + 1, postIds.length, `Post ${index + 1}/${postIds.length} examiné`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Fait analyser un commentaire par l'agent d'analyse de contenu (bus de messages)
+   * @param {string} text - Texte du commentaire
+   * @returns {Promise<object>} Verdict (flagged, safeScore, categories)
+   * @throws {Error} Si l'agent d'analyse est injoignable ou renvoie une erreur
+   * @private
+   */
+  async analyzeComment(text) {
+    const response = await this.request(CONTENT_ANALYSIS_AGENT, 'analyze_text', {
+      text,
+      options: { moderateContent: true, extractTopics: false, extractEntities: false }
+    });
+
+    if (!response || response.isError || !response.structuredContent || !response.structuredContent.moderationResult) {
+      const detail = response && response.content && response.content[0] ? response.content[0].text : 'réponse vide';
+      throw new Error(`analyse de modération indisponible (${detail})`);
+    }
+
+    const { flagged, safeScore, categories } = response.structuredContent.moderationResult;
+    return { flagged, safeScore, categories: categories || {} };
+  }
+
+  /**
+   * Mémorise un commentaire examiné, dans la limite de config.moderation.reviewedLimit
+   * @param {string} commentId - Identifiant du commentaire
+   * @private
+   */
+  markReviewed(commentId) {
+    this.reviewedComments.add(commentId);
+
+    if (this.reviewedComments.size > this.config.moderation.reviewedLimit) {
+      this.reviewedComments.delete(this.reviewedComments.values().next().value);
+    }
+  }
+
+  /**
+   * Conserve une publication et la signale : événement de l'agent, sujet du bus
+   * de messages (s'il est relié) et mise à jour de la ressource facebook://publications
+   * @param {object} fields - Champs de la publication, hors dryRun et publishedAt
+   * @returns {object} Publication
+   * @private
+   */
+  recordPublication(fields) {
+    const publication = { ...fields, dryRun: this.client.dryRun, publishedAt: new Date().toISOString() };
+
+    this.publications.push(publication);
+    if (this.publications.length > config.publishing.historyLimit) {
+      this.publications.shift();
+    }
+
+    this.logger.info(`Publication Facebook ${publication.id} (${publication.action})` +
+      `${publication.scheduledAt ? ` programmée le ${publication.scheduledAt}` : ''}${publication.dryRun ? ' simulée' : ''}`);
+    this.emit('published', { platform: 'facebook', ...publication });
+
+    if (this.messageRouter) {
+      this.publish('publication.published', { platform: 'facebook', ...publication });
+    }
+
+    this.notifyResourceUpdated('facebook://publications');
+    return publication;
+  }
+
+  /**
+   * Conserve une action de modération et la signale : événement `comment-moderated`, sujet
+   * comment.moderated du bus de messages (s'il est relié) et ressource facebook://moderation
+   * @param {object} fields - commentId, action, source et, si connus, postId, message, author, verdict
+   * @returns {object} Action de modération
+   * @private
+   */
+  recordModeration(fields) {
+    const moderation = {
+      postId: null,
+      message: null,
+      author: null,
+      verdict: null,
+      ...fields,
+      dryRun: this.client.dryRun,
+      moderatedAt: new Date().toISOString()
+    };
+
+    this.moderations.push(moderation);
+    if (this.moderations.length > config.publishing.historyLimit) {
+      this.moderations.shift();
+    }
+
+    this.logger.info(`Commentaire Facebook ${moderation.commentId} : ${moderation.action} (${moderation.source})${moderation.dryRun ? ' simulé' : ''}`);
+    this.emit('comment-moderated', { platform: 'facebook', ...moderation });
+
+    if (this.messageRouter) {
+      this.publish('comment.moderated', { platform: 'facebook', ...moderation });
+    }
+
+    this.notifyResourceUpdated('facebook://moderation');
+    return moderation;
+  }
+}
+
+/**
+ * Convertit la page renvoyée par l'API Graph
+ * @param {object} page - Page renvoyée par l'API
+ * @returns {object} Page formatée
+ */
+function formatPage(page) {
+  return {
+    id: page.id,
+    name: page.name,
+    username: page.username || null,
+    category: page.category || null,
+    about: page.about || null,
+    link: page.link || null,
+    fanCount: page.fan_count || 0,
+    followersCount: page.followers_count || 0
+  };
+}
+
+/**
+ * Convertit un post de l'API Graph
+ * @param {object} post - Post renvoyé par l'API
+ * @returns {object} Post formaté
+ */
+function formatPost(post) {
+  return {
+    id: post.id,
+    message: post.message || '',
+    createdTime: post.created_time || null,
+    permalink: post.permalink_url || null,
+    picture: post.full_picture || null,
+    statusType: post.status_type || null,
+    reactionCount: summaryCount(post.reactions),
+    commentCount: summaryCount(post.comments),
+    shareCount: post.shares ? post.shares.count : 0
+  };
+}
+
+/**
+ * Convertit un post programmé de l'API Graph
+ * @param {object} post - Post renvoyé par l'API
+ * @returns {object} Post formaté
+ */
+function formatScheduledPost(post) {
+  return {
+    id: post.id,
+    message: post.message || '',
+    scheduledAt: new Date(post.scheduled_publish_time * 1000).toISOString(),
+    picture: post.full_picture || null
+  };
+}
+
+/**
+ * Convertit un commentaire de l'API Graph
+ * @param {object} comment - Commentaire renvoyé par l'API
+ * @returns {object} Commentaire formaté
+ */
+function formatComment(comment) {
+  return {
+    id: comment.id,
+    message: comment.message || '',
+    author: comment.from ? comment.from.name : null,
+    authorId: comment.from ? comment.from.id : null,
+    createdTime: comment.created_time || null,
+    likeCount: comment.like_count || 0,
+    replyCount: comment.comment_count || 0,
+    isHidden: Boolean(comment.is_hidden),
+    canHide: Boolean(comment.can_hide),
+    canRemove: Boolean(comment.can_remove)
+  };
+}
+
+/**
+ * Total d'une connexion résumée (ex: reactions.summary(total_count))
+ * @param {object} connection - Connexion renvoyée par l'API
+ * @returns {number} Total
+ */
+function summaryCount(connection) {
+  return connection && connection.summary ? connection.summary.total_count || 0 : 0;
+}
+
+/**
+ * Dernière valeur d'une métrique (nombre, ou répartition par type)
+ * @param {object} metric - Métrique renvoyée par l'API
+ * @returns {number|object} Valeur
+ */
+function metricValue(metric) {
+  const values = metric.values || [];
+  return values.length > 0 ? values[values.length - 1].value : 0;
+}
+
+/**
+ * Curseur de la page suivante, s'il en existe une
+ * @param {object} response - Réponse paginée de l'API
+ * @returns {string|null} Curseur after
+ */
+function nextCursor(response) {
+  const paging = response.paging || {};
+  return paging.next && paging.cursors ? paging.cursors.after : null;
+}
+
+/**
+ * Catégories pour lesquelles un commentaire a été signalé
+ * @param {object} verdict - Verdict de l'analyse de modération
+ * @returns {Array<string>} Catégories, de la plus à la moins marquée
+ */
+function flaggedCategories(verdict) {
+  return Object.entries(verdict.categories)
+    .filter(([, score]) => score > 0)
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, score]) => `${name} ${score}`);
+}
+
+/**
+ * Tronque un texte pour un résumé
+ * @param {string} text - Texte
+ * @param {number} maxLength - Longueur maximale
+ * @returns {string} Texte tronqué
+ */
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.substring(0, maxLength - 3)}...` : text;
+}
+
+/**
+ * Résume une publication pour le bloc texte du résultat
+ * @param {object} publication - Publication
+ * @returns {string} Résumé lisible
+ */
+function summarizePublication(publication) {
+  const kind = publication.action === 'photo' ? 'Photo' : 'Post';
+  const state = publication.scheduledAt ? `programmé${publication.action === 'photo' ? 'e' : ''} pour le ${publication.scheduledAt}` : `publié${publication.action === 'photo' ? 'e' : ''}`;
+
+  return `${kind} ${state}${publication.dryRun ? ' (simulation)' : ''} : ${publication.url || publication.id}` +
+    `${publication.link ? `\nLien : ${publication.link}` : ''}${publication.text ? `\n${publication.text}` : ''}`;
+}
+
+/**
+ * Résume une action de modération pour le bloc texte du résultat
+ * @param {object} moderation - Action de modération
+ * @returns {string} Résumé lisible
+ */
+function summarizeModeration(moderation) {
+  const actions = { hide: 'masqué', unhide: 'réaffiché', delete: 'supprimé' };
+  return `Commentaire ${moderation.commentId} ${actions[moderation.action]}${moderation.dryRun ? ' (simulation)' : ''}`;
+}
+
+export default FacebookAgent;
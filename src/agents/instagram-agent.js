@@ -0,0 +1,694 @@
+/**
+ * Agent Instagram
+ * Responsable de l'interaction avec l'API Instagram Graph d'un compte professionnel :
+ * médias publiés, commentaires, statistiques, publication d'images, de carrousels et de reels
+ * (flux des conteneurs) et réponses aux commentaires.
+ * Chaque publication émet l'événement `published`, relayé sur le bus de messages
+ * et dans la ressource instagram://publications.
+ */
+
+import BaseAgent from './base-agent.js';
+import InstagramClient from '../clients/instagram-client.js';
+import config from '../config/config.js';
+import { createToolContext } from '../utils/tool-context.js';
+import { toolResult, toolError } from '../utils/tool-result.js';
+
+const igIdSchema = { type: 'string', pattern: '^\\d{1,25}$' };
+
+// URL publique d'un média à publier (l'API le télécharge elle-même)
+const mediaUrlSchema = { type: 'string', pattern: '^https?://' };
+
+const captionSchema = { type: 'string', maxLength: 2200, description: 'Légende (2200 caractères, 30 hashtags et 20 mentions au plus)' };
+
+// Un média du compte
+const mediaSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    caption: { type: 'string' },
+    mediaType: { type: 'string' },
+    productType: { type: ['string', 'null'] },
+    mediaUrl: { type: ['string', 'null'] },
+    thumbnailUrl: { type: ['string', 'null'] },
+    permalink: { type: ['string', 'null'] },
+    timestamp: { type: ['string', 'null'] },
+    likeCount: { type: 'integer' },
+    commentsCount: { type: 'integer' },
+    children: { type: 'array', items: { type: 'object' } }
+  },
+  required: ['id', 'caption', 'mediaType']
+};
+
+const mediaListSchema = {
+  type: 'object',
+  properties: {
+    media: { type: 'array', items: mediaSchema },
+    resultCount: { type: 'integer' },
+    nextCursor: { type: ['string', 'null'] }
+  },
+  required: ['media', 'resultCount', 'nextCursor']
+};
+
+const commentSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    text: { type: 'string' },
+    username: { type: ['string', 'null'] },
+    timestamp: { type: ['string', 'null'] },
+    likeCount: { type: 'integer' },
+    replies: { type: 'array', items: { type: 'object' } }
+  },
+  required: ['id', 'text']
+};
+
+const commentListSchema = {
+  type: 'object',
+  properties: {
+    mediaId: { type: 'string' },
+    comments: { type: 'array', items: commentSchema },
+    resultCount: { type: 'integer' },
+    nextCursor: { type: ['string', 'null'] }
+  },
+  required: ['mediaId', 'comments', 'resultCount', 'nextCursor']
+};
+
+const insightsSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    period: { type: 'string' },
+    metrics: { type: 'object', additionalProperties: { type: 'number' } }
+  },
+  required: ['id', 'period', 'metrics']
+};
+
+// Un média publié ou une réponse à un commentaire (ou sa simulation en mode dry-run)
+const publicationSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    action: { type: 'string', enum: ['image', 'carousel', 'reel', 'reply'] },
+    text: { type: 'string' },
+    url: { type: ['string', 'null'] },
+    inReplyTo: { type: ['string', 'null'] },
+    mediaUrls: { type: 'array', items: { type: 'string' } },
+    containerId: { type: ['string', 'null'] },
+    dryRun: { type: 'boolean' },
+    publishedAt: { type: 'string' }
+  },
+  required: ['id', 'action', 'text', 'dryRun', 'publishedAt']
+};
+
+// Métriques proposées par défaut
+const MEDIA_METRICS = ['reach', 'views', 'likes', 'comments', 'saved', 'shares', 'total_interactions'];
+const ACCOUNT_METRICS = ['reach', 'views', 'accounts_engaged', 'total_interactions', 'follows_and_unfollows'];
+
+// Limites d'une légende
+const MAX_HASHTAGS = 30;
+const MAX_MENTIONS = 20;
+
+class InstagramAgent extends BaseAgent {
+  /**
+   * Constructeur de l'agent Instagram
+   * @param {object} agentConfig - Identifiants et URL de l'API, par défaut config.socialAPIs.instagram
+   */
+  constructor(agentConfig = {}) {
+    super('instagram', { ...config.socialAPIs.instagram, dryRun: config.publishing.dryRun, ...agentConfig });
+    this.client = new InstagramClient(this.config);
+    this.publications = [];
+    this.logger.info(`Agent Instagram créé${this.config.dryRun ? ' (publication simulée)' : ''}`);
+  }
+
+  /**
+   * Initialisation de l'agent avec ses outils et ressources
+   */
+  async initialize() {
+    await super.initialize();
+
+    this.registerTool({
+      name: 'get_instagram_media',
+      description: 'Liste les médias publiés par le compte Instagram professionnel, du plus récent au plus ancien',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          count: { type: 'integer', minimum: 1, maximum: 100 },
+          after: { type: 'string', description: 'Curseur de la page suivante (nextCursor)' }
+        }
+      },
+      outputSchema: mediaListSchema,
+      handler: this.getMedia.bind(this)
+    });
+
+    this.registerTool({
+      name: 'get_instagram_comments',
+      description: 'Liste les commentaires d\'un média, avec leurs réponses',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          mediaId: igIdSchema,
+          count: { type: 'integer', minimum: 1, maximum: 100 },
+          after: { type: 'string', description: 'Curseur de la page suivante (nextCursor)' }
+        },
+        required: ['mediaId']
+      },
+      outputSchema: commentListSchema,
+      handler: this.getComments.bind(this)
+    });
+
+    this.registerTool({
+      name: 'get_instagram_insights',
+      description: 'Statistiques d\'un média (mediaId) ou, à défaut, du compte professionnel sur une période',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          mediaId: igIdSchema,
+          metrics: { type: 'array', items: { type: 'string' }, minItems: 1 },
+          period: { type: 'string', enum: ['day', 'week', 'days_28'], description: 'Période des statistiques du compte' }
+        }
+      },
+      outputSchema: insightsSchema,
+      handler: this.getInsights.bind(this)
+    });
+
+    this.registerTool({
+      name: 'publish_instagram_image',
+      sideEffects: true,
+      description: 'Publie une image (JPEG accessible par URL) avec sa légende',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          imageUrl: mediaUrlSchema,
+          caption: captionSchema
+        },
+        required: ['imageUrl']
+      },
+      outputSchema: publicationSchema,
+      handler: this.publishImage.bind(this)
+    });
+
+    this.registerTool({
+      name: 'publish_instagram_carousel',
+      sideEffects: true,
+      description: 'Publie un carrousel de 2 à 10 images ou vidéos avec une légende commune',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          items: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                imageUrl: mediaUrlSchema,
+                videoUrl: mediaUrlSchema
+              },
+              oneOf: [{ required: ['imageUrl'] }, { required: ['videoUrl'] }]
+            },
+            minItems: 2,
+            maxItems: 10
+          },
+          caption: captionSchema
+        },
+        required: ['items']
+      },
+      outputSchema: publicationSchema,
+      handler: this.publishCarousel.bind(this)
+    });
+
+    this.registerTool({
+      name: 'publish_instagram_reel',
+      sideEffects: true,
+      description: 'Publie un reel (vidéo MP4 ou MOV accessible par URL), attendu le temps de son traitement',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          videoUrl: mediaUrlSchema,
+          caption: captionSchema,
+          coverUrl: mediaUrlSchema,
+          shareToFeed: { type: 'boolean', description: 'Afficher aussi le reel dans le fil (true par défaut)' }
+        },
+        required: ['videoUrl']
+      },
+      outputSchema: publicationSchema,
+      handler: this.publishReel.bind(this)
+    });
+
+    this.registerTool({
+      name: 'reply_to_instagram_comment',
+      sideEffects: true,
+      description: 'Répond à un commentaire publié sur un média du compte',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          commentId: igIdSchema,
+          message: { type: 'string', minLength: 1, maxLength: 2200 }
+        },
+        required: ['commentId', 'message']
+      },
+      outputSchema: publicationSchema,
+      handler: this.replyToComment.bind(this)
+    });
+
+    this.registerResource({
+      name: 'instagram_publications',
+      uri: 'instagram://publications',
+      mimeType: 'application/json',
+      description: 'Médias et réponses publiés (ou simulés) par l\'agent, du plus récent au plus ancien',
+      handler: this.getPublications.bind(this)
+    });
+  }
+
+  /**
+   * Liste les médias du compte
+   * @param {object} params - count (25 par défaut), after
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Médias et curseur de la page suivante
+   */
+  async getMedia(params, context = createToolContext()) {
+    const { count = 25, after } = params;
+
+    try {
+      const response = await this.client.getMedia({ limit: count, after, signal: context.signal });
+      const media = (response.data || []).map(formatMedia);
+      const result = { media, resultCount: media.length, nextCursor: nextCursor(response) };
+
+      return toolResult(result, {
+        summary: [`${result.resultCount} média(s) Instagram`,
+          ...media.map(item => `- ${item.id} (${item.productType || item.mediaType}, ${item.likeCount} j'aime, ${item.commentsCount} commentaire(s)) : ${truncate(item.caption, 80)}`)
+        ].join('\n')
+      });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la récupération des médias: ${error.message}`);
+      return toolError(`Erreur lors de la récupération des médias: ${error.message}`);
+    }
+  }
+
+  /**
+   * Liste les commentaires d'un média
+   * @param {object} params - mediaId, count (25 par défaut), after
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Commentaires et curseur de la page suivante
+   */
+  async getComments(params, context = createToolContext()) {
+    const { mediaId, count = 25, after } = params;
+
+    try {
+      const response = await this.client.getComments(mediaId, { limit: count, after, signal: context.signal });
+      const comments = (response.data || []).map(formatComment);
+      const result = { mediaId, comments, resultCount: comments.length, nextCursor: nextCursor(response) };
+
+      return toolResult(result, {
+        summary: [`${result.resultCount} commentaire(s) sur le média ${mediaId}`,
+          ...comments.map(comment => `- ${comment.id} @${comment.username || 'inconnu'} : ${comment.text}` +
+            `${comment.replies.length > 0 ? ` (${comment.replies.length} réponse(s))` : ''}`)
+        ].join('\n')
+      });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la récupération des commentaires du média ${mediaId}: ${error.message}`);
+      return toolError(`Erreur lors de la récupération des commentaires du média ${mediaId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Récupère les statistiques d'un média ou du compte
+   * @param {object} params - mediaId (compte si absent), metrics, period (day par défaut, compte seulement)
+   * @returns {Promise<object>} Valeur de chaque métrique
+   */
+  async getInsights(params) {
+    const { mediaId, period = 'day' } = params;
+    const metrics = params.metrics || (mediaId ? MEDIA_METRICS : ACCOUNT_METRICS);
+    const scope = mediaId ? `du média ${mediaId}` : 'du compte';
+
+    try {
+      const response = mediaId
+        ? await this.client.getMediaInsights(mediaId, metrics)
+        : await this.client.getAccountInsights({ metrics, period });
+      const data = response.data || [];
+      const result = {
+        id: mediaId || this.config.businessAccountId,
+        period: data.length > 0 ? data[0].period : period,
+        metrics: Object.fromEntries(data.map(metric => [metric.name, metricValue(metric)]))
+      };
+
+      return toolResult(result, {
+        summary: [`Statistiques ${scope} (${result.period})`,
+          ...Object.entries(result.metrics).map(([name, value]) => `- ${name} : ${value}`)].join('\n')
+      });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la récupération des statistiques ${scope}: ${error.message}`);
+      return toolError(`Erreur lors de la récupération des statistiques ${scope}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Publie une image
+   * @param {object} params - imageUrl, caption
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Publication
+   */
+  async publishImage(params, context = createToolContext()) {
+    const { imageUrl, caption = '' } = params;
+    const invalid = validateCaption(caption);
+
+    if (invalid) {
+      return toolError(invalid);
+    }
+
+    try {
+      const { id: containerId } = await this.client.createContainer({ image_url: imageUrl, caption });
+      const publication = await this.publishContainer(containerId, context, { action: 'image', text: caption, mediaUrls: [imageUrl] });
+
+      return toolResult(publication, { summary: summarizePublication(publication) });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la publication de l'image: ${error.message}`);
+      return toolError(`Erreur lors de la publication de l'image: ${error.message}`);
+    }
+  }
+
+  /**
+   * Publie un carrousel : un conteneur par élément, puis le conteneur du carrousel
+   * @param {object} params - items ({ imageUrl } ou { videoUrl }), caption
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Publication
+   */
+  async publishCarousel(params, context = createToolContext()) {
+    const { items, caption = '' } = params;
+    const invalid = validateCaption(caption);
+
+    if (invalid) {
+      return toolError(invalid);
+    }
+
+    try {
+      const children = [];
+
+      for (const [index, item] of items.entries()) {
+        context.throwIfAborted();
+        const { id } = await this.client.createContainer(item.videoUrl
+          ? { media_type: 'VIDEO', video_url: item.videoUrl, is_carousel_item: true }
+          : { image_url: item.imageUrl, is_carousel_item: true });
+        children.push(id);
+        context.reportProgress(index + 1, items.length + 1, `Élément ${index + 1}/${items.length} envoyé`);
+      }
+
+      // Les vidéos du carrousel doivent être traitées avant la création du carrousel
+      for (const childId of children) {
+        await this.waitForContainer(childId, context);
+      }
+
+      const { id: containerId } = await this.client.createContainer({ media_type: 'CAROUSEL', children, caption });
+      const publication = await this.publishContainer(containerId, context, {
+        action: 'carousel',
+        text: caption,
+        mediaUrls: items.map(item => item.imageUrl || item.videoUrl)
+      });
+      context.reportProgress(items.length + 1, items.length + 1, 'Carrousel publié');
+
+      return toolResult(publication, { summary: summarizePublication(publication) });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la publication du carrousel: ${error.message}`);
+      return toolError(`Erreur lors de la publication du carrousel: ${error.message}`);
+    }
+  }
+
+  /**
+   * Publie un reel
+   * @param {object} params - videoUrl, caption, coverUrl, shareToFeed
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Publication
+   */
+  async publishReel(params, context = createToolContext()) {
+    const { videoUrl, caption = '', coverUrl, shareToFeed = true } = params;
+    const invalid = validateCaption(caption);
+
+    if (invalid) {
+      return toolError(invalid);
+    }
+
+    try {
+      const { id: containerId } = await this.client.createContainer({
+        media_type: 'REELS',
+        video_url: videoUrl,
+        caption,
+        share_to_feed: shareToFeed,
+        ...(coverUrl ? { cover_url: coverUrl } : {})
+      });
+      const publication = await this.publishContainer(containerId, context, { action: 'reel', text: caption, mediaUrls: [videoUrl] });
+
+      return toolResult(publication, { summary: summarizePublication(publication) });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la publication du reel: ${error.message}`);
+      return toolError(`Erreur lors de la publication du reel: ${error.message}`);
+    }
+  }
+
+  /**
+   * Répond à un commentaire
+   * @param {object} params - commentId, message
+   * @returns {Promise<object>} Réponse publiée
+   */
+  async replyToComment(params) {
+    const { commentId, message } = params;
+
+    try {
+      const { id } = await this.client.replyToComment(commentId, message);
+      const publication = this.recordPublication({
+        id,
+        action: 'reply',
+        text: message,
+        url: null,
+        inReplyTo: commentId,
+        mediaUrls: [],
+        containerId: null
+      });
+
+      return toolResult(publication, { summary: summarizePublication(publication) });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la réponse au commentaire ${commentId}: ${error.message}`);
+      return toolError(`Erreur lors de la réponse au commentaire ${commentId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retourne les publications récentes de l'agent
+   * @param {object} params - limit (20 par défaut), offset
+   * @returns {Promise<object>} Publications, de la plus récente à la plus ancienne
+   */
+  async getPublications(params = {}) {
+    // Les paramètres peuvent provenir d'une URI de ressource, donc être des chaînes
+    const limit = parseInt(params.limit ?? 20, 10);
+    const offset = parseInt(params.offset ?? 0, 10);
+    const publications = [...this.publications].reverse();
+
+    return {
+      content: {
+        total: publications.length,
+        offset,
+        limit,
+        dryRun: this.client.dryRun,
+        publications: publications.slice(offset, offset + limit)
+      }
+    };
+  }
+
+  /**
+   * Attend la fin du traitement d'un conteneur puis le publie
+   * @param {string} containerId - Identifiant du conteneur
+   * @param {object} context - Contexte d'exécution de l'outil
+   * @param {object} publication - action, text et mediaUrls de la publication
+   * @returns {Promise<object>} Publication
+   * @private
+   */
+  async publishContainer(containerId, context, publication) {
+    await this.waitForContainer(containerId, context);
+    context.throwIfAborted();
+
+    const { id } = await this.client.publishContainer(containerId);
+    // Le permalien n'est connu qu'une fois le média publié (absent en simulation)
+    const url = this.client.dryRun ? null : (await this.client.getMediaObject(id, ['permalink'])).permalink || null;
+
+    return this.recordPublication({ id, ...publication, url, inReplyTo: null, containerId });
+  }
+
+  /**
+   * Attend qu'un conteneur soit prêt à être publié (status_code FINISHED)
+   * @param {string} containerId - Identifiant du conteneur
+   * @param {object} context - Contexte d'exécution de l'outil
+   * @throws {Error} Si le traitement échoue, expire ou dépasse config.containerTimeout
+   * @private
+   */
+  async waitForContainer(containerId, context) {
+    const deadline = Date.now() + this.config.containerTimeout;
+
+    for (;;) {
+      const { status_code: statusCode, status } = await this.client.getContainerStatus(containerId);
+
+      if (statusCode === 'FINISHED') {
+        return;
+      }
+      if (statusCode === 'ERROR' || statusCode === 'EXPIRED') {
+        throw new Error(`conteneur ${containerId} en échec (${statusCode}${status ? ` : ${status}` : ''})`);
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`conteneur ${containerId} toujours en traitement après ${Math.round(this.config.containerTimeout / 1000)} s`);
+      }
+
+      this.logger.debug(`Conteneur ${containerId} en traitement (${statusCode})`);
+      await wait(this.config.containerPollInterval);
+      context.throwIfAborted();
+    }
+  }
+
+  /**
+   * Conserve une publication et la signale : événement de l'agent, sujet du bus
+   * de messages (s'il est relié) et mise à jour de la ressource instagram://publications
+   * @param {object} fields - Champs de la publication, hors dryRun et publishedAt
+   * @returns {object} Publication
+   * @private
+   */
+  recordPublication(fields) {
+    const publication = { ...fields, dryRun: this.client.dryRun, publishedAt: new Date().toISOString() };
+
+    this.publications.push(publication);
+    if (this.publications.length > config.publishing.historyLimit) {
+      this.publications.shift();
+    }
+
+    this.logger.info(`Publication Instagram ${publication.id} (${publication.action})${publication.dryRun ? ' simulée' : ''}`);
+    this.emit('published', { platform: 'instagram', ...publication });
+
+    if (this.messageRouter) {
+      this.publish('publication.published', { platform: 'instagram', ...publication });
+    }
+
+    this.notifyResourceUpdated('instagram://publications');
+    return publication;
+  }
+}
+
+/**
+ * Convertit un média de l'API Graph
+ * @param {object} item - Média renvoyé par l'API
+ * @returns {object} Média formaté
+ */
+function formatMedia(item) {
+  return {
+    id: item.id,
+    caption: item.caption || '',
+    mediaType: item.media_type,
+    productType: item.media_product_type || null,
+    mediaUrl: item.media_url || null,
+    thumbnailUrl: item.thumbnail_url || null,
+    permalink: item.permalink || null,
+    timestamp: item.timestamp || null,
+    likeCount: item.like_count || 0,
+    commentsCount: item.comments_count || 0,
+    children: ((item.children && item.children.data) || []).map(child => ({
+      id: child.id,
+      mediaType: child.media_type,
+      mediaUrl: child.media_url || null
+    }))
+  };
+}
+
+/**
+ * Convertit un commentaire de l'API Graph
+ * @param {object} comment - Commentaire renvoyé par l'API
+ * @returns {object} Commentaire formaté
+ */
+function formatComment(comment) {
+  return {
+    id: comment.id,
+    text: comment.text,
+    username: comment.username || null,
+    timestamp: comment.timestamp || null,
+    likeCount: comment.like_count || 0,
+    replies: ((comment.replies && comment.replies.data) || []).map(reply => ({
+      id: reply.id,
+      text: reply.text,
+      username: reply.username || null,
+      timestamp: reply.timestamp || null
+    }))
+  };
+}
+
+/**
+ * Valeur d'une métrique : total_value (compte) ou dernière valeur de la série (média)
+ * @param {object} metric - Métrique renvoyée par l'API
+ * @returns {number} Valeur
+ */
+function metricValue(metric) {
+  if (metric.total_value) {
+    return metric.total_value.value;
+  }
+
+  const values = metric.values || [];
+  return values.length > 0 ? values[values.length - 1].value : 0;
+}
+
+/**
+ * Curseur de la page suivante, s'il en existe une
+ * @param {object} response - Réponse paginée de l'API
+ * @returns {string|null} Curseur after
+ */
+function nextCursor(response) {
+  const paging = response.paging || {};
+  return paging.next && paging.cursors ? paging.cursors.after : null;
+}
+
+/**
+ * Vérifie une légende : longueur, nombre de hashtags et de mentions
+ * @param {string} caption - Légende
+ * @returns {string|null} Message d'erreur, ou null si la légende est valide
+ */
+function validateCaption(caption) {
+  const hashtags = (caption.match(/#[\p{L}\p{N}_]+/gu) || []).length;
+  const mentions = (caption.match(/@[\w.]+/g) || []).length;
+
+  if (hashtags > MAX_HASHTAGS) {
+    return `Légende invalide : ${hashtags} hashtags (${MAX_HASHTAGS} au plus)`;
+  }
+  if (mentions > MAX_MENTIONS) {
+    return `Légende invalide : ${mentions} mentions (${MAX_MENTIONS} au plus)`;
+  }
+
+  return null;
+}
+
+/**
+ * Tronque un texte pour un résumé
+ * @param {string} text - Texte
+ * @param {number} maxLength - Longueur maximale
+ * @returns {string} Texte tronqué
+ */
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.substring(0, maxLength - 3)}...` : text;
+}
+
+/**
+ * Résume une publication pour le bloc texte du résultat
+ * @param {object} publication - Publication
+ * @returns {string} Résumé lisible
+ */
+function summarizePublication(publication) {
+  const kinds = {
+    image: 'Image publiée',
+    carousel: `Carrousel de ${publication.mediaUrls.length} éléments publié`,
+    reel: 'Reel publié',
+    reply: `Réponse au commentaire ${publication.inReplyTo} publiée`
+  };
+
+  return `${kinds[publication.action]}${publication.dryRun ? ' (simulation)' : ''} : ${publication.url || publication.id}` +
+    `${publication.text ? `\n${publication.text}` : ''}`;
+}
+
+/**
+ * Attend un délai
+ * @param {number} ms - Délai en millisecondes
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default InstagramAgent;
@@ -0,0 +1,856 @@
+/**
+ * Agent LinkedIn
+ * Responsable de l'interaction avec l'API LinkedIn d'une page entreprise : page et abonnés,
+ * posts publiés, statistiques, commentaires, publication de posts texte, image et article,
+ * commentaires et suppression au nom de la page.
+ * Chaque publication émet l'événement `published` (et `deleted` pour une suppression),
+ * relayé sur le bus de messages et dans la ressource linkedin://publications.
+ * L'authentification OAuth 2.0 est portée par le client (voir /api/linkedin/auth).
+ */
+
+import fetch from 'node-fetch';
+import BaseAgent from './base-agent.js';
+import LinkedInClient from '../clients/linkedin-client.js';
+import config from '../config/config.js';
+import { createToolContext } from '../utils/tool-context.js';
+import { toolResult, toolError, imageContent } from '../utils/tool-result.js';
+
+// Post de la page : URN d'un share ou d'un ugcPost
+const postIdSchema = { type: 'string', pattern: '^urn:li:(share|ugcPost):[\\w-]+$' };
+
+const commentarySchema = { type: 'string', maxLength: 3000, description: 'Texte du post (3000 caractères au plus, hashtags compris)' };
+
+const organizationSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    urn: { type: 'string' },
+    name: { type: 'string' },
+    vanityName: { type: ['string', 'null'] },
+    description: { type: ['string', 'null'] },
+    website: { type: ['string', 'null'] },
+    url: { type: ['string', 'null'] },
+    followerCount: { type: 'integer' }
+  },
+  required: ['id', 'urn', 'name', 'followerCount']
+};
+
+const postSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    url: { type: 'string' },
+    text: { type: 'string' },
+    contentType: { type: 'string', enum: ['text', 'image', 'article', 'media'] },
+    article: {
+      type: ['object', 'null'],
+      properties: {
+        url: { type: 'string' },
+        title: { type: ['string', 'null'] },
+        description: { type: ['string', 'null'] }
+      }
+    },
+    mediaId: { type: ['string', 'null'] },
+    visibility: { type: ['string', 'null'] },
+    publishedAt: { type: ['string', 'null'] }
+  },
+  required: ['id', 'url', 'text', 'contentType']
+};
+
+const postListSchema = {
+  type: 'object',
+  properties: {
+    posts: { type: 'array', items: postSchema },
+    resultCount: { type: 'integer' },
+    nextStart: { type: ['integer', 'null'] }
+  },
+  required: ['posts', 'resultCount', 'nextStart']
+};
+
+// Statistiques cumulées d'un post ou de la page
+const metricsSchema = {
+  type: 'object',
+  properties: {
+    impressions: { type: 'integer' },
+    uniqueImpressions: { type: 'integer' },
+    clicks: { type: 'integer' },
+    likes: { type: 'integer' },
+    comments: { type: 'integer' },
+    shares: { type: 'integer' },
+    engagement: { type: 'number' }
+  },
+  required: ['impressions', 'clicks', 'likes', 'comments', 'shares', 'engagement']
+};
+
+const statisticsSchema = {
+  type: 'object',
+  properties: {
+    organization: { type: 'string' },
+    followerCount: { type: 'integer' },
+    totals: metricsSchema,
+    posts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { id: { type: 'string' }, ...metricsSchema.properties },
+        required: ['id', ...metricsSchema.required]
+      }
+    }
+  },
+  required: ['organization', 'followerCount', 'totals', 'posts']
+};
+
+const commentSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    urn: { type: ['string', 'null'] },
+    author: { type: ['string', 'null'] },
+    text: { type: 'string' },
+    createdAt: { type: ['string', 'null'] }
+  },
+  required: ['id', 'text']
+};
+
+const commentListSchema = {
+  type: 'object',
+  properties: {
+    postId: { type: 'string' },
+    comments: { type: 'array', items: commentSchema },
+    resultCount: { type: 'integer' },
+    nextStart: { type: ['integer', 'null'] }
+  },
+  required: ['postId', 'comments', 'resultCount', 'nextStart']
+};
+
+// Un post ou un commentaire publié au nom de la page (ou sa simulation en mode dry-run)
+const publicationSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    action: { type: 'string', enum: ['post', 'image', 'article', 'comment'] },
+    text: { type: 'string' },
+    url: { type: ['string', 'null'] },
+    inReplyTo: { type: ['string', 'null'] },
+    mediaId: { type: ['string', 'null'] },
+    link: { type: ['string', 'null'] },
+    dryRun: { type: 'boolean' },
+    publishedAt: { type: 'string' }
+  },
+  required: ['id', 'action', 'text', 'dryRun', 'publishedAt']
+};
+
+const deletionSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    deleted: { type: 'boolean' },
+    dryRun: { type: 'boolean' }
+  },
+  required: ['id', 'deleted', 'dryRun']
+};
+
+// Formats d'image acceptés par l'API Images
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif'];
+
+// Caractères réservés du format « little text » des posts et commentaires
+const RESERVED_CHARACTERS = /[\\|{}@[\]()<>#*_~]/g;
+
+class LinkedInAgent extends BaseAgent {
+  /**
+   * Constructeur de l'agent LinkedIn
+   * @param {object} agentConfig - Identifiants et URL de l'API, par défaut config.socialAPIs.linkedin
+   */
+  constructor(agentConfig = {}) {
+    super('linkedin', { ...config.socialAPIs.linkedin, dryRun: config.publishing.dryRun, ...agentConfig });
+    this.client = new LinkedInClient(this.config);
+    this.publications = [];
+    this.logger.info(`Agent LinkedIn créé${this.config.dryRun ? ' (publication simulée)' : ''}`);
+  }
+
+  /**
+   * Initialisation de l'agent avec ses outils et ressources
+   */
+  async initialize() {
+    await super.initialize();
+
+    this.registerTool({
+      name: 'get_linkedin_organization',
+      description: 'Récupère la page entreprise LinkedIn administrée et son nombre d\'abonnés',
+      inputSchema: { type: 'object', properties: {} },
+      outputSchema: organizationSchema,
+      handler: this.getOrganization.bind(this)
+    });
+
+    this.registerTool({
+      name: 'get_linkedin_posts',
+      description: 'Liste les posts de la page entreprise, du plus récent au plus ancien',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          count: { type: 'integer', minimum: 1, maximum: 100 },
+          start: { type: 'integer', minimum: 0, description: 'Rang du premier post (nextStart de la page précédente)' }
+        }
+      },
+      outputSchema: postListSchema,
+      handler: this.getPosts.bind(this)
+    });
+
+    this.registerTool({
+      name: 'get_linkedin_statistics',
+      description: 'Statistiques de la page (abonnés, impressions, clics, réactions, commentaires, partages) et, si postIds est fourni, de chacun de ces posts',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          postIds: { type: 'array', items: postIdSchema, minItems: 1, maxItems: 20 }
+        }
+      },
+      outputSchema: statisticsSchema,
+      handler: this.getStatistics.bind(this)
+    });
+
+    this.registerTool({
+      name: 'get_linkedin_comments',
+      description: 'Liste les commentaires d\'un post de la page',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          postId: postIdSchema,
+          count: { type: 'integer', minimum: 1, maximum: 100 },
+          start: { type: 'integer', minimum: 0 }
+        },
+        required: ['postId']
+      },
+      outputSchema: commentListSchema,
+      handler: this.getComments.bind(this)
+    });
+
+    this.registerTool({
+      name: 'publish_linkedin_post',
+      sideEffects: true,
+      description: 'Publie un post texte au nom de la page entreprise',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          text: { ...commentarySchema, minLength: 1 }
+        },
+        required: ['text']
+      },
+      outputSchema: publicationSchema,
+      handler: this.publishPost.bind(this)
+    });
+
+    this.registerTool({
+      name: 'publish_linkedin_image',
+      sideEffects: true,
+      description: 'Publie un post avec une image (JPEG, PNG ou GIF) envoyée au préalable à l\'API Images',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          text: commentarySchema,
+          imageData: { type: 'string', description: 'Contenu de l\'image en base64 (brut ou data URI)' },
+          imageUrl: { type: 'string', pattern: '^https?://', description: 'URL de l\'image à télécharger' },
+          mimeType: { type: 'string', enum: IMAGE_TYPES },
+          altText: { type: 'string', maxLength: 4086 }
+        },
+        oneOf: [{ required: ['imageData'] }, { required: ['imageUrl'] }]
+      },
+      outputSchema: publicationSchema,
+      handler: this.publishImage.bind(this)
+    });
+
+    this.registerTool({
+      name: 'publish_linkedin_article',
+      sideEffects: true,
+      description: 'Publie un post partageant un article (lien avec titre et description)',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          text: commentarySchema,
+          url: { type: 'string', pattern: '^https?://' },
+          title: { type: 'string', minLength: 1, maxLength: 400 },
+          description: { type: 'string', maxLength: 4086 }
+        },
+        required: ['url', 'title']
+      },
+      outputSchema: publicationSchema,
+      handler: this.publishArticle.bind(this)
+    });
+
+    this.registerTool({
+      name: 'comment_on_linkedin_post',
+      sideEffects: true,
+      description: 'Publie un commentaire au nom de la page sous un post',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          postId: postIdSchema,
+          text: { type: 'string', minLength: 1, maxLength: 1250 }
+        },
+        required: ['postId', 'text']
+      },
+      outputSchema: publicationSchema,
+      handler: this.commentOnPost.bind(this)
+    });
+
+    this.registerTool({
+      name: 'delete_linkedin_post',
+      sideEffects: true,
+      description: 'Supprime un post de la page entreprise',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          postId: postIdSchema
+        },
+        required: ['postId']
+      },
+      outputSchema: deletionSchema,
+      handler: this.deletePost.bind(this)
+    });
+
+    this.registerResource({
+      name: 'linkedin_publications',
+      uri: 'linkedin://publications',
+      mimeType: 'application/json',
+      description: 'Posts et commentaires publiés (ou simulés) par l\'agent, du plus récent au plus ancien',
+      handler: this.getPublications.bind(this)
+    });
+  }
+
+  /**
+   * Récupère la page entreprise et son nombre d'abonnés
+   * @returns {Promise<object>} Page entreprise
+   */
+  async getOrganization() {
+    try {
+      const [organization, network] = await Promise.all([this.client.getOrganization(), this.client.getFollowerCount()]);
+      const result = formatOrganization(organization, network.firstDegreeSize);
+
+      return toolResult(result, {
+        summary: `${result.name}${result.vanityName ? ` (linkedin.com/company/${result.vanityName})` : ''}\n` +
+          `${result.description || ''}\n` +
+          `${result.followerCount} abonnés${result.website ? ` · ${result.website}` : ''}`
+      });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la récupération de la page entreprise: ${error.message}`);
+      return toolError(`Erreur lors de la récupération de la page entreprise: ${error.message}`);
+    }
+  }
+
+  /**
+   * Liste les posts de la page
+   * @param {object} params - count (10 par défaut), start
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Posts et rang de la page suivante
+   */
+  async getPosts(params, context = createToolContext()) {
+    const { count = 10, start = 0 } = params;
+
+    try {
+      const response = await this.client.getPosts({ count, start, signal: context.signal });
+      const posts = (response.elements || []).map(formatPost);
+      const result = { posts, resultCount: posts.length, nextStart: nextStart(response) };
+
+      return toolResult(result, {
+        summary: [`${result.resultCount} post(s) LinkedIn`,
+          ...posts.map(post => `- ${post.id} (${post.contentType}${post.publishedAt ? `, ${post.publishedAt.slice(0, 10)}` : ''}) : ${truncate(post.text, 80)}`)
+        ].join('\n')
+      });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la récupération des posts: ${error.message}`);
+      return toolError(`Erreur lors de la récupération des posts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Récupère les statistiques de la page et, si demandé, de certains posts
+   * @param {object} params - postIds (facultatif)
+   * @returns {Promise<object>} Abonnés, cumul de la page et statistiques par post
+   */
+  async getStatistics(params) {
+    const { postIds = [] } = params;
+
+    try {
+      const [network, totals, details] = await Promise.all([
+        this.client.getFollowerCount(),
+        this.client.getShareStatistics(),
+        postIds.length > 0 ? this.client.getShareStatistics(postIds) : { elements: [] }
+      ]);
+      const [aggregate] = totals.elements || [];
+      const result = {
+        organization: this.client.organizationUrn,
+        followerCount: network.firstDegreeSize || 0,
+        totals: formatMetrics(aggregate ? aggregate.totalShareStatistics : {}),
+        posts: (details.elements || []).map(element => ({
+          id: element.share || element.ugcPost,
+          ...formatMetrics(element.totalShareStatistics)
+        }))
+      };
+      const missing = postIds.filter(id => !result.posts.some(post => post.id === id));
+
+      return toolResult(result, {
+        summary: [`Statistiques de la page : ${result.followerCount} abonnés, ${summarizeMetrics(result.totals)}`,
+          ...result.posts.map(post => `- ${post.id} : ${summarizeMetrics(post)}`),
+          ...(missing.length > 0 ? [`Sans statistiques : ${missing.join(', ')}`] : [])
+        ].join('\n')
+      });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la récupération des statistiques: ${error.message}`);
+      return toolError(`Erreur lors de la récupération des statistiques: ${error.message}`);
+    }
+  }
+
+  /**
+   * Liste les commentaires d'un post
+   * @param {object} params - postId, count (10 par défaut), start
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Commentaires et rang de la page suivante
+   */
+  async getComments(params, context = createToolContext()) {
+    const { postId, count = 10, start = 0 } = params;
+
+    try {
+      const response = await this.client.getComments(postId, { count, start, signal: context.signal });
+      const comments = (response.elements || []).map(formatComment);
+      const result = { postId, comments, resultCount: comments.length, nextStart: nextStart(response) };
+
+      return toolResult(result, {
+        summary: [`${result.resultCount} commentaire(s) sur le post ${postId}`,
+          ...comments.map(comment => `- ${comment.id} ${comment.author || 'inconnu'} : ${comment.text}`)
+        ].join('\n')
+      });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la récupération des commentaires du post ${postId}: ${error.message}`);
+      return toolError(`Erreur lors de la récupération des commentaires du post ${postId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Publie un post texte
+   * @param {object} params - text
+   * @returns {Promise<object>} Publication
+   */
+  async publishPost(params) {
+    try {
+      const publication = await this.sendPost({ action: 'post', text: params.text });
+      return toolResult(publication, { summary: summarizePublication(publication) });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la publication du post: ${error.message}`);
+      return toolError(`Erreur lors de la publication du post: ${error.message}`);
+    }
+  }
+
+  /**
+   * Publie un post avec une image : réservation de l'upload, envoi du contenu,
+   * attente du traitement de l'image puis création du post
+   * @param {object} params - text, imageData (base64) ou imageUrl, mimeType, altText
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Publication
+   */
+  async publishImage(params, context = createToolContext()) {
+    const { text = '', altText } = params;
+
+    try {
+      const image = await this.loadImage(params, context);
+
+      if (!IMAGE_TYPES.includes(image.mimeType)) {
+        return toolError(`Type d'image non supporté: ${image.mimeType || 'inconnu'} (acceptés : ${IMAGE_TYPES.join(', ')})`);
+      }
+
+      const { value: upload } = await this.client.initializeImageUpload();
+      await this.client.uploadImage(upload.uploadUrl, image.data);
+      context.reportProgress(1, 3, 'Image envoyée');
+
+      await this.waitForImage(upload.image, context);
+      context.reportProgress(2, 3, 'Image disponible');
+
+      const publication = await this.sendPost({
+        action: 'image',
+        text,
+        content: { media: { id: upload.image, ...(altText ? { altText } : {}) } },
+        mediaId: upload.image
+      });
+      context.reportProgress(3, 3, 'Post publié');
+
+      return toolResult(publication, { summary: summarizePublication(publication) });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la publication de l'image: ${error.message}`);
+      return toolError(`Erreur lors de la publication de l'image: ${error.message}`);
+    }
+  }
+
+  /**
+   * Publie un post partageant un article
+   * @param {object} params - text, url, title, description
+   * @returns {Promise<object>} Publication
+   */
+  async publishArticle(params) {
+    const { text = '', url, title, description } = params;
+
+    try {
+      const publication = await this.sendPost({
+        action: 'article',
+        text,
+        content: { article: { source: url, title, ...(description ? { description } : {}) } },
+        link: url
+      });
+
+      return toolResult(publication, { summary: summarizePublication(publication) });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la publication de l'article: ${error.message}`);
+      return toolError(`Erreur lors de la publication de l'article: ${error.message}`);
+    }
+  }
+
+  /**
+   * Commente un post au nom de la page
+   * @param {object} params - postId, text
+   * @returns {Promise<object>} Commentaire publié
+   */
+  async commentOnPost(params) {
+    const { postId, text } = params;
+
+    try {
+      const comment = await this.client.createComment(postId, escapeCommentary(text));
+      const publication = this.recordPublication({
+        id: comment.commentUrn || comment.id,
+        action: 'comment',
+        text,
+        url: postUrl(postId),
+        inReplyTo: postId,
+        mediaId: null,
+        link: null
+      });
+
+      return toolResult(publication, { summary: summarizePublication(publication) });
+    } catch (error) {
+      this.logger.error(`Erreur lors du commentaire du post ${postId}: ${error.message}`);
+      return toolError(`Erreur lors du commentaire du post ${postId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Supprime un post de la page
+   * @param {object} params - postId
+   * @returns {Promise<object>} Résultat de la suppression
+   */
+  async deletePost(params) {
+    const { postId } = params;
+
+    try {
+      await this.client.deletePost(postId);
+      const result = { id: postId, deleted: true, dryRun: this.client.dryRun };
+      const publication = this.publications.find(candidate => candidate.id === postId);
+
+      if (publication) {
+        publication.deletedAt = new Date().toISOString();
+      }
+
+      this.notifyPublication('deleted', { platform: 'linkedin', ...result, deletedAt: new Date().toISOString() });
+
+      return toolResult(result, { summary: `Post ${postId} supprimé${result.dryRun ? ' (simulation)' : ''}` });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la suppression du post ${postId}: ${error.message}`);
+      return toolError(`Erreur lors de la suppression du post ${postId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retourne les publications récentes de l'agent
+   * @param {object} params - limit (20 par défaut), offset
+   * @returns {Promise<object>} Publications, de la plus récente à la plus ancienne
+   */
+  async getPublications(params = {}) {
+    // Les paramètres peuvent provenir d'une URI de ressource, donc être des chaînes
+    const limit = parseInt(params.limit ?? 20, 10);
+    const offset = parseInt(params.offset ?? 0, 10);
+    const publications = [...this.publications].reverse();
+
+    return {
+      content: {
+        total: publications.length,
+        offset,
+        limit,
+        dryRun: this.client.dryRun,
+        publications: publications.slice(offset, offset + limit)
+      }
+    };
+  }
+
+  /**
+   * Crée un post au nom de la page et l'enregistre
+   * @param {object} post - action, text, content (media ou article), mediaId, link
+   * @returns {Promise<object>} Publication
+   * @private
+   */
+  async sendPost(post) {
+    const { action, text, content, mediaId = null, link = null } = post;
+    const { id } = await this.client.createPost({ commentary: escapeCommentary(text), content });
+
+    return this.recordPublication({ id, action, text, url: postUrl(id), inReplyTo: null, mediaId, link });
+  }
+
+  /**
+   * Charge l'image à publier : contenu base64 ou téléchargement
+   * @param {object} params - imageData ou imageUrl, mimeType
+   * @param {object} context - Contexte d'exécution de l'outil
+   * @returns {Promise<{data: Buffer, mimeType: string}>} Contenu et type MIME
+   * @private
+   */
+  async loadImage(params, context) {
+    if (params.imageData) {
+      const image = imageContent(params.imageData, params.mimeType);
+      const dataUri = params.imageData.match(/^data:([\w/.+-]+);base64,(.*)$/s);
+
+      return {
+        data: Buffer.from(dataUri ? dataUri[2] : params.imageData, 'base64'),
+        mimeType: params.mimeType || (dataUri && dataUri[1]) || (image && image.mimeType)
+      };
+    }
+
+    const response = await fetch(params.imageUrl, { signal: context.signal });
+
+    if (!response.ok) {
+      throw new Error(`téléchargement de ${params.imageUrl} impossible (HTTP ${response.status})`);
+    }
+
+    return {
+      data: Buffer.from(await response.arrayBuffer()),
+      mimeType: params.mimeType || (response.headers.get('content-type') || '').split(';')[0].trim()
+    };
+  }
+
+  /**
+   * Attend qu'une image envoyée soit disponible (status AVAILABLE)
+   * @param {string} imageUrn - URN de l'image
+   * @param {object} context - Contexte d'exécution de l'outil
+   * @throws {Error} Si le traitement échoue ou dépasse config.imageTimeout
+   * @private
+   */
+  async waitForImage(imageUrn, context) {
+    const deadline = Date.now() + this.config.imageTimeout;
+
+    for (;;) {
+      const { status } = await this.client.getImage(imageUrn);
+
+      if (status === 'AVAILABLE') {
+        return;
+      }
+      if (status === 'PROCESSING_FAILED') {
+        throw new Error(`traitement de l'image ${imageUrn} en échec`);
+      }
+      if (Date.now() >= deadline) {
+        throw new Error(`image ${imageUrn} toujours en traitement après ${Math.round(this.config.imageTimeout / 1000)} s`);
+      }
+
+      this.logger.debug(`Image ${imageUrn} en traitement (${status})`);
+      await wait(this.config.imagePollInterval);
+      context.throwIfAborted();
+    }
+  }
+
+  /**
+   * Conserve une publication et la signale
+   * @param {object} fields - Champs de la publication, hors dryRun et publishedAt
+   * @returns {object} Publication
+   * @private
+   */
+  recordPublication(fields) {
+    const publication = { ...fields, dryRun: this.client.dryRun, publishedAt: new Date().toISOString() };
+
+    this.publications.push(publication);
+    if (this.publications.length > config.publishing.historyLimit) {
+      this.publications.shift();
+    }
+
+    this.logger.info(`Publication LinkedIn ${publication.id} (${publication.action})${publication.dryRun ? ' simulée' : ''}`);
+    this.notifyPublication('published', { platform: 'linkedin', ...publication });
+    return publication;
+  }
+
+  /**
+   * Signale une publication ou une suppression : événement de l'agent, sujet du bus
+   * de messages (s'il est relié) et mise à jour de la ressource linkedin://publications
+   * @param {string} event - 'published' ou 'deleted'
+   * @param {object} payload - Publication (platform, id...)
+   * @private
+   */
+  notifyPublication(event, payload) {
+    this.emit(event, payload);
+
+    if (this.messageRouter) {
+      this.publish(`publication.${event}`, payload);
+    }
+
+    this.notifyResourceUpdated('linkedin://publications');
+  }
+}
+
+/**
+ * Convertit la page entreprise renvoyée par l'API
+ * @param {object} organization - Organisation
+ * @param {number} followerCount - Nombre d'abonnés
+ * @returns {object} Page formatée
+ */
+function formatOrganization(organization, followerCount) {
+  return {
+    id: String(organization.id),
+    urn: `urn:li:organization:${organization.id}`,
+    name: organization.localizedName,
+    vanityName: organization.vanityName || null,
+    description: organization.localizedDescription || null,
+    website: organization.localizedWebsite || null,
+    url: organization.vanityName ? `https://www.linkedin.com/company/${organization.vanityName}/` : null,
+    followerCount: followerCount || 0
+  };
+}
+
+/**
+ * Convertit un post de l'API
+ * @param {object} post - Post renvoyé par l'API
+ * @returns {object} Post formaté
+ */
+function formatPost(post) {
+  const content = post.content || {};
+  const mediaId = content.media ? content.media.id : null;
+
+  return {
+    id: post.id,
+    url: postUrl(post.id),
+    text: unescapeCommentary(post.commentary || ''),
+    contentType: content.article ? 'article' : mediaId ? (mediaId.startsWith('urn:li:image:') ? 'image' : 'media') : 'text',
+    article: content.article
+      ? { url: content.article.source, title: content.article.title || null, description: content.article.description || null }
+      : null,
+    mediaId,
+    visibility: post.visibility || null,
+    publishedAt: post.publishedAt ? new Date(post.publishedAt).toISOString() : null
+  };
+}
+
+/**
+ * Convertit un commentaire de l'API
+ * @param {object} comment - Commentaire renvoyé par l'API
+ * @returns {object} Commentaire formaté
+ */
+function formatComment(comment) {
+  return {
+    id: String(comment.id),
+    urn: comment.commentUrn || null,
+    author: comment.actor || null,
+    text: unescapeCommentary((comment.message && comment.message.text) || ''),
+    createdAt: comment.created && comment.created.time ? new Date(comment.created.time).toISOString() : null
+  };
+}
+
+/**
+ * Convertit les statistiques cumulées d'un post ou de la page
+ * @param {object} statistics - totalShareStatistics renvoyé par l'API
+ * @returns {object} Statistiques formatées
+ */
+function formatMetrics(statistics = {}) {
+  return {
+    impressions: statistics.impressionCount || 0,
+    uniqueImpressions: statistics.uniqueImpressionsCount || 0,
+    clicks: statistics.clickCount || 0,
+    likes: statistics.likeCount || 0,
+    comments: statistics.commentCount || 0,
+    shares: statistics.shareCount || 0,
+    engagement: statistics.engagement || 0
+  };
+}
+
+/**
+ * Résume des statistiques sur une ligne
+ * @param {object} metrics - Statistiques formatées
+ * @returns {string} Résumé lisible
+ */
+function summarizeMetrics(metrics) {
+  return `${metrics.impressions} impressions, ${metrics.clicks} clics, ${metrics.likes} réactions, ` +
+    `${metrics.comments} commentaires, ${metrics.shares} partages (engagement ${(metrics.engagement * 100).toFixed(2)} %)`;
+}
+
+/**
+ * Rang du premier élément de la page suivante, s'il en existe une
+ * @param {object} response - Réponse paginée de l'API (paging.start, paging.links)
+ * @returns {number|null} Rang (paramètre start)
+ */
+function nextStart(response) {
+  const paging = response.paging || {};
+  const hasNext = (paging.links || []).some(link => link.rel === 'next');
+  return hasNext ? (paging.start || 0) + (response.elements || []).length : null;
+}
+
+/**
+ * Adresse publique d'un post
+ * @param {string} urn - URN du post
+ * @returns {string} URL
+ */
+function postUrl(urn) {
+  return `https://www.linkedin.com/feed/update/${urn}/`;
+}
+
+/**
+ * Convertit un texte brut au format « little text » des posts : les hashtags deviennent
+ * des entités {hashtag|\#|mot} et les caractères réservés sont échappés (sinon l'API
+ * tronque ou refuse le texte)
+ * @param {string} text - Texte brut
+ * @returns {string} Texte échappé
+ */
+function escapeCommentary(text) {
+  return text.split(/(#[\p{L}\p{N}]+)/u)
+    .map((part, index) => index % 2 === 1
+      ? `{hashtag|\\#|${part.slice(1)}}`
+      : part.replace(RESERVED_CHARACTERS, '\\$&'))
+    .join('');
+}
+
+/**
+ * Convertit un texte au format « little text » en texte brut (hashtags, mentions, échappements)
+ * @param {string} text - Texte de l'API
+ * @returns {string} Texte brut
+ */
+function unescapeCommentary(text) {
+  return text
+    .replace(/\{hashtag\|\\?#\|([^}]*)\}/g, '#$1')
+    .replace(/@\[([^\]]*)\]\(urn:li:[^)]*\)/g, '$1')
+    .replace(/\\([\\|{}@[\]()<>#*_~])/g, '$1');
+}
+
+/**
+ * Tronque un texte pour un résumé
+ * @param {string} text - Texte
+ * @param {number} maxLength - Longueur maximale
+ * @returns {string} Texte tronqué
+ */
+function truncate(text, maxLength) {
+  return text.length > maxLength ? `${text.substring(0, maxLength - 3)}...` : text;
+}
+
+/**
+ * Résume une publication pour le bloc texte du résultat
+ * @param {object} publication - Publication
+ * @returns {string} Résumé lisible
+ */
+function summarizePublication(publication) {
+  const kinds = {
+    post: 'Post publié',
+    image: 'Post avec image publié',
+    article: `Article ${publication.link} partagé`,
+    comment: `Commentaire publié sur le post ${publication.inReplyTo}`
+  };
+
+  return `${kinds[publication.action]}${publication.dryRun ? ' (simulation)' : ''} : ${publication.url || publication.id}` +
+    `${publication.text ? `\n${publication.text}` : ''}`;
+}
+
+/**
+ * Attend un délai
+ * @param {number} ms - Délai en millisecondes
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default LinkedInAgent;
@@ -0,0 +1,1131 @@
+/**
+ * Agent Mastodon
+ * Responsable de l'interaction avec l'API Mastodon d'une instance quelconque : recherche de statuts,
+ * de hashtags et de comptes, fils des hashtags et des comptes, notifications, publication de statuts
+ * (médias, avertissement de contenu, visibilité), réponses et suppressions.
+ * Les statuts sont convertis au format des tweets du tableau de bord (formatStatus).
+ * Chaque publication émet l'événement `published` (et `deleted` pour une suppression),
+ * relayé sur le bus de messages et dans la ressource mastodon://publications.
+ * La veille des hashtags et des mentions émet l'événement `stream-post` pour chaque nouveau statut,
+ * publié sur le sujet `stream.post` du bus (analysé par l'agent d'analyse de contenu), comme le flux filtré Twitter.
+ */
+
+import fetch from 'node-fetch';
+import BaseAgent from './base-agent.js';
+import MastodonClient from '../clients/mastodon-client.js';
+import TimelineWatch from '../clients/mastodon-watch.js';
+import config from '../config/config.js';
+import { createToolContext } from '../utils/tool-context.js';
+import { toolResult, toolError, imageContent } from '../utils/tool-result.js';
+
+// Identifiant d'un statut, adresse d'un compte (user ou user@instance) et nom de hashtag
+const statusIdSchema = { type: 'string', pattern: '^\\d{1,20}$' };
+const acctSchema = { type: 'string', pattern: '^@?\\w{1,30}(@[\\w.-]+\\.\\w+)?$' };
+const hashtagNameSchema = { type: 'string', pattern: '^#?[^\\s#]{1,100}$' };
+
+// Visibilités d'un statut, de la plus large à la plus restreinte
+const VISIBILITIES = ['public', 'unlisted', 'private', 'direct'];
+const NOTIFICATION_TYPES = ['mention', 'status', 'reblog', 'follow', 'follow_request', 'favourite', 'poll', 'update'];
+
+// Auteur d'un statut, au format du tableau de bord
+const userSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    screen_name: { type: 'string' },
+    profile_image_url: { type: ['string', 'null'] },
+    verified: { type: 'boolean' },
+    followers_count: { type: ['integer', 'null'] }
+  },
+  required: ['id', 'name', 'screen_name']
+};
+
+// Un statut au format des tweets du tableau de bord, complété des champs propres à Mastodon
+const statusSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    text: { type: 'string' },
+    created_at: { type: ['string', 'null'] },
+    lang: { type: ['string', 'null'] },
+    favorite_count: { type: 'integer' },
+    retweet_count: { type: 'integer' },
+    reply_count: { type: 'integer' },
+    quote_count: { type: 'integer' },
+    hashtags: { type: 'array', items: { type: 'string' } },
+    url: { type: 'string' },
+    user: userSchema,
+    spoilerText: { type: 'string' },
+    sensitive: { type: 'boolean' },
+    visibility: { type: 'string', enum: VISIBILITIES },
+    inReplyToId: { type: ['string', 'null'] },
+    mediaUrls: { type: 'array', items: { type: 'string' } },
+    rebloggedBy: { type: ['string', 'null'] }
+  },
+  required: ['id', 'text', 'user', 'spoilerText', 'visibility', 'mediaUrls']
+};
+
+const statusListSchema = {
+  type: 'object',
+  properties: {
+    statuses: { type: 'array', items: statusSchema },
+    resultCount: { type: 'integer' },
+    nextMaxId: { type: ['string', 'null'] }
+  },
+  required: ['statuses', 'resultCount', 'nextMaxId']
+};
+
+const accountSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    acct: { type: 'string' },
+    name: { type: 'string' },
+    url: { type: ['string', 'null'] },
+    note: { type: 'string' },
+    bot: { type: 'boolean' },
+    locked: { type: 'boolean' },
+    verified: { type: 'boolean' },
+    followersCount: { type: 'integer' },
+    followingCount: { type: 'integer' },
+    statusesCount: { type: 'integer' }
+  },
+  required: ['id', 'acct', 'name', 'followersCount', 'followingCount', 'statusesCount']
+};
+
+// Un hashtag et son utilisation sur les 7 derniers jours
+const hashtagSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    url: { type: ['string', 'null'] },
+    uses: { type: 'integer' },
+    accounts: { type: 'integer' }
+  },
+  required: ['name', 'uses', 'accounts']
+};
+
+const searchSchema = {
+  type: 'object',
+  properties: {
+    query: { type: 'string' },
+    type: { type: 'string', enum: ['statuses', 'hashtags', 'accounts'] },
+    statuses: { type: 'array', items: statusSchema },
+    hashtags: { type: 'array', items: hashtagSchema },
+    accounts: { type: 'array', items: accountSchema },
+    resultCount: { type: 'integer' }
+  },
+  required: ['query', 'type', 'statuses', 'hashtags', 'accounts', 'resultCount']
+};
+
+const notificationListSchema = {
+  type: 'object',
+  properties: {
+    notifications: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          type: { type: 'string' },
+          createdAt: { type: ['string', 'null'] },
+          account: userSchema,
+          status: { anyOf: [statusSchema, { type: 'null' }] }
+        },
+        required: ['id', 'type', 'account', 'status']
+      }
+    },
+    resultCount: { type: 'integer' },
+    nextMaxId: { type: ['string', 'null'] }
+  },
+  required: ['notifications', 'resultCount', 'nextMaxId']
+};
+
+// Médias joints à un statut : contenu en base64 ou URL à télécharger
+const mediaInputSchema = {
+  type: 'array',
+  maxItems: 4,
+  items: {
+    type: 'object',
+    properties: {
+      data: { type: 'string', description: 'Contenu du média en base64 (brut ou data URI)' },
+      url: { type: 'string', pattern: '^https?://', description: 'URL du média à télécharger' },
+      mimeType: { type: 'string', description: 'Type MIME (déduit des données ou de la réponse sinon)' },
+      description: { type: 'string', maxLength: 1500, description: 'Texte alternatif' }
+    },
+    oneOf: [{ required: ['data'] }, { required: ['url'] }]
+  }
+};
+
+// Champs communs à la publication d'un statut et d'une réponse
+const statusInputProperties = {
+  text: { type: 'string' },
+  visibility: { type: 'string', enum: VISIBILITIES, description: 'public, unlisted (hors fils publics), private (abonnés) ou direct (mentionnés)' },
+  spoilerText: { type: 'string', description: 'Avertissement de contenu, affiché à la place du texte replié' },
+  sensitive: { type: 'boolean', description: 'Masque les médias derrière un avertissement' },
+  language: { type: 'string', pattern: '^[a-z]{2}$', description: 'Langue du statut (ISO 639-1)' },
+  media: mediaInputSchema
+};
+
+// Un statut publié (ou simulé en mode dry-run)
+const publicationSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    action: { type: 'string', enum: ['status', 'reply'] },
+    text: { type: 'string' },
+    url: { type: ['string', 'null'] },
+    visibility: { type: 'string', enum: VISIBILITIES },
+    spoilerText: { type: 'string' },
+    sensitive: { type: 'boolean' },
+    mediaIds: { type: 'array', items: { type: 'string' } },
+    inReplyTo: { type: ['string', 'null'] },
+    dryRun: { type: 'boolean' },
+    publishedAt: { type: 'string' }
+  },
+  required: ['id', 'action', 'text', 'visibility', 'dryRun', 'publishedAt']
+};
+
+const deletionSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    deleted: { type: 'boolean' },
+    dryRun: { type: 'boolean' }
+  },
+  required: ['id', 'deleted', 'dryRun']
+};
+
+// État de la veille des hashtags et des mentions
+const watchStatusSchema = {
+  type: 'object',
+  properties: {
+    running: { type: 'boolean' },
+    hashtags: { type: 'array', items: { type: 'string' } },
+    mentions: { type: 'boolean' },
+    pollInterval: { type: 'integer' },
+    polls: { type: 'integer' },
+    received: { type: 'integer' },
+    lastPollAt: { type: ['string', 'null'] },
+    lastError: { type: ['string', 'null'] }
+  },
+  required: ['running', 'hashtags', 'mentions', 'polls', 'received']
+};
+
+// Limites appliquées si l'instance ne les publie pas (valeurs par défaut de Mastodon)
+const DEFAULT_INSTANCE_LIMITS = {
+  maxCharacters: 500,
+  maxMediaAttachments: 4,
+  urlLength: 23,
+  mimeTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'video/mp4', 'video/webm', 'audio/mpeg'],
+  imageSizeLimit: 16 * 1024 * 1024,
+  videoSizeLimit: 99 * 1024 * 1024
+};
+
+// Intervalle de suivi du traitement asynchrone d'un média
+const MEDIA_POLL_INTERVAL = 1000;
+
+class MastodonAgent extends BaseAgent {
+  /**
+   * Constructeur de l'agent Mastodon
+   * @param {object} agentConfig - Instance et jeton, par défaut config.socialAPIs.mastodon
+   */
+  constructor(agentConfig = {}) {
+    super('mastodon', {
+      ...config.socialAPIs.mastodon,
+      dryRun: config.publishing.dryRun,
+      ...agentConfig,
+      watch: { ...config.socialAPIs.mastodon.watch, ...agentConfig.watch }
+    });
+    this.client = new MastodonClient(this.config);
+    this.publications = [];
+    // Limites de l'instance et compte du jeton, lus à la première utilisation
+    this.instanceLimits = null;
+    this.ownAccount = null;
+
+    // Veille : chaque nouveau statut est relayé, chaque passage met à jour mastodon://watch
+    this.watch = new TimelineWatch(this.client, this.config.watch);
+    this.watch.on('post', entry => this.handleWatchedStatus(entry));
+    ['started', 'polled', 'stopped'].forEach(event => this.watch.on(event, () => this.notifyResourceUpdated('mastodon://watch')));
+    this.logger.info(`Agent Mastodon créé pour ${this.client.instanceUrl}${this.config.dryRun ? ' (publication simulée)' : ''}`);
+  }
+
+  /**
+   * Initialisation de l'agent avec ses outils et ressources
+   */
+  async initialize() {
+    await super.initialize();
+
+    this.registerTool({
+      name: 'search_mastodon',
+      description: 'Recherche des statuts, des hashtags ou des comptes sur l\'instance (la recherche plein texte des statuts dépend de l\'instance)',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', minLength: 1 },
+          type: { type: 'string', enum: ['statuses', 'hashtags', 'accounts'], description: 'Type de résultat (statuses par défaut)' },
+          count: { type: 'integer', minimum: 1, maximum: 40 },
+          offset: { type: 'integer', minimum: 0 },
+          resolve: { type: 'boolean', description: 'Résout les URL et adresses d\'autres instances (WebFinger)' }
+        },
+        required: ['query']
+      },
+      outputSchema: searchSchema,
+      handler: this.search.bind(this)
+    });
+
+    this.registerTool({
+      name: 'get_mastodon_hashtag_timeline',
+      description: 'Statuts publics d\'un hashtag connus de l\'instance, du plus récent au plus ancien',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          hashtag: hashtagNameSchema,
+          count: { type: 'integer', minimum: 1, maximum: 40 },
+          maxId: { ...statusIdSchema, description: 'Page suivante : statuts antérieurs à cet identifiant (nextMaxId)' }
+        },
+        required: ['hashtag']
+      },
+      outputSchema: statusListSchema,
+      handler: this.getHashtagTimeline.bind(this)
+    });
+
+    this.registerTool({
+      name: 'get_mastodon_account_timeline',
+      description: 'Profil et statuts d\'un compte (celui de l\'agent par défaut), du plus récent au plus ancien',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          account: { ...acctSchema, description: 'Adresse du compte (user pour un compte local, user@instance sinon)' },
+          count: { type: 'integer', minimum: 1, maximum: 40 },
+          maxId: { ...statusIdSchema, description: 'Page suivante : statuts antérieurs à cet identifiant (nextMaxId)' },
+          excludeReplies: { type: 'boolean' },
+          excludeReblogs: { type: 'boolean' }
+        }
+      },
+      outputSchema: {
+        type: 'object',
+        properties: { account: accountSchema, ...statusListSchema.properties },
+        required: ['account', ...statusListSchema.required]
+      },
+      handler: this.getAccountTimeline.bind(this)
+    });
+
+    this.registerTool({
+      name: 'get_mastodon_notifications',
+      description: 'Notifications du compte (mentions, partages, favoris, abonnements...), de la plus récente à la plus ancienne',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          types: { type: 'array', items: { type: 'string', enum: NOTIFICATION_TYPES }, minItems: 1 },
+          count: { type: 'integer', minimum: 1, maximum: 80 },
+          maxId: { type: 'string', pattern: '^\\d{1,20}$', description: 'Page suivante (nextMaxId)' }
+        }
+      },
+      outputSchema: notificationListSchema,
+      handler: this.getNotifications.bind(this)
+    });
+
+    this.registerTool({
+      name: 'post_mastodon_status',
+      sideEffects: true,
+      description: 'Publie un statut avec, au besoin, des médias (4 au plus), un avertissement de contenu et une visibilité',
+      inputSchema: {
+        type: 'object',
+        properties: statusInputProperties,
+        anyOf: [{ required: ['text'] }, { required: ['media'] }]
+      },
+      outputSchema: publicationSchema,
+      handler: this.postStatus.bind(this)
+    });
+
+    this.registerTool({
+      name: 'reply_to_mastodon_status',
+      sideEffects: true,
+      description: 'Répond à un statut : son auteur est mentionné, son avertissement de contenu repris et la visibilité ' +
+        'limitée à celle du statut d\'origine',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          statusId: statusIdSchema,
+          ...statusInputProperties
+        },
+        required: ['statusId', 'text']
+      },
+      outputSchema: publicationSchema,
+      handler: this.replyToStatus.bind(this)
+    });
+
+    this.registerTool({
+      name: 'delete_mastodon_status',
+      sideEffects: true,
+      description: 'Supprime un statut du compte',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          statusId: statusIdSchema
+        },
+        required: ['statusId']
+      },
+      outputSchema: deletionSchema,
+      handler: this.deleteStatus.bind(this)
+    });
+
+    this.registerTool({
+      name: 'start_mastodon_watch',
+      description: 'Démarre (ou met à jour) la veille des hashtags et des mentions : chaque nouveau statut est transmis à ' +
+        'l\'agent d\'analyse de contenu, jusqu\'à stop_mastodon_watch',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          hashtags: { type: 'array', items: hashtagNameSchema, maxItems: 20, description: 'Hashtags suivis (config.watch.hashtags par défaut)' },
+          mentions: { type: 'boolean', description: 'Suit aussi les mentions du compte (config.watch.mentions par défaut)' }
+        }
+      },
+      outputSchema: watchStatusSchema,
+      handler: this.startWatch.bind(this)
+    });
+
+    this.registerTool({
+      name: 'stop_mastodon_watch',
+      description: 'Arrête la veille des hashtags et des mentions',
+      inputSchema: { type: 'object', properties: {} },
+      outputSchema: watchStatusSchema,
+      handler: this.stopWatch.bind(this)
+    });
+
+    this.registerResource({
+      name: 'mastodon_watch',
+      uri: 'mastodon://watch',
+      mimeType: 'application/json',
+      description: 'État de la veille des hashtags et des mentions (fils suivis, statuts relayés, dernière erreur)',
+      handler: this.getWatchStatus.bind(this)
+    });
+
+    this.registerResource({
+      name: 'mastodon_publications',
+      uri: 'mastodon://publications',
+      mimeType: 'application/json',
+      description: 'Statuts publiés (ou simulés) par l\'agent, du plus récent au plus ancien',
+      handler: this.getPublications.bind(this)
+    });
+  }
+
+  /**
+   * Démarrage de l'agent et, si elle est activée, de la veille
+   */
+  async start() {
+    await super.start();
+
+    if (this.config.watch.autoStart) {
+      this.watch.start();
+    }
+  }
+
+  /**
+   * Arrêt de l'agent et de la veille
+   */
+  async stop() {
+    await this.watch.stop();
+    await super.stop();
+  }
+
+  /**
+   * Recherche des statuts, des hashtags ou des comptes
+   * @param {object} params - query, type (statuses par défaut), count (20 par défaut), offset, resolve
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Résultats du type demandé
+   */
+  async search(params, context = createToolContext()) {
+    const { query, type = 'statuses', count = 20, offset, resolve = false } = params;
+
+    try {
+      const response = await this.client.search({ q: query, type, limit: count, offset, resolve, signal: context.signal });
+      const result = {
+        query,
+        type,
+        statuses: (response.statuses || []).map(formatStatus),
+        hashtags: (response.hashtags || []).map(formatHashtag),
+        accounts: (response.accounts || []).map(formatAccount)
+      };
+      result.resultCount = result[type].length;
+
+      const lines = {
+        statuses: () => result.statuses.map(summarizeStatus),
+        hashtags: () => result.hashtags.map(hashtag => `- #${hashtag.name} : ${hashtag.uses} utilisation(s) par ${hashtag.accounts} compte(s) sur 7 jours`),
+        accounts: () => result.accounts.map(account => `- @${account.acct} (${account.name}) : ${account.followersCount} abonné(s)`)
+      };
+
+      return toolResult(result, {
+        summary: [`${result.resultCount} résultat(s) Mastodon (${type}) pour "${query}"`, ...lines[type]()].join('\n')
+      });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la recherche Mastodon: ${error.message}`);
+      return toolError(`Erreur lors de la recherche Mastodon: ${error.message}`);
+    }
+  }
+
+  /**
+   * Liste les statuts publics d'un hashtag
+   * @param {object} params - hashtag, count (20 par défaut), maxId
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Statuts et identifiant de la page suivante
+   */
+  async getHashtagTimeline(params, context = createToolContext()) {
+    const { count = 20, maxId } = params;
+    const hashtag = params.hashtag.replace(/^#/, '');
+
+    try {
+      const page = await this.client.getTagTimeline(hashtag, { limit: count, maxId, signal: context.signal });
+      const result = formatStatusList(page);
+
+      return toolResult(result, {
+        summary: [`${result.resultCount} statut(s) pour #${hashtag}`, ...result.statuses.map(summarizeStatus)].join('\n')
+      });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la récupération du fil #${hashtag}: ${error.message}`);
+      return toolError(`Erreur lors de la récupération du fil #${hashtag}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Récupère le profil et les statuts d'un compte
+   * @param {object} params - account (compte de l'agent par défaut), count (20 par défaut), maxId, excludeReplies, excludeReblogs
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Compte, statuts et identifiant de la page suivante
+   */
+  async getAccountTimeline(params, context = createToolContext()) {
+    const { count = 20, maxId, excludeReplies = false, excludeReblogs = false } = params;
+    const acct = params.account ? params.account.replace(/^@/, '') : null;
+    const label = acct ? `@${acct}` : 'du compte';
+
+    try {
+      const account = acct ? await this.client.lookupAccount(acct) : await this.getOwnAccount();
+      const page = await this.client.getAccountStatuses(account.id, {
+        limit: count,
+        maxId,
+        excludeReplies,
+        excludeReblogs,
+        signal: context.signal
+      });
+      const result = { account: formatAccount(account), ...formatStatusList(page) };
+
+      return toolResult(result, {
+        summary: [`@${result.account.acct} (${result.account.name}) : ${result.account.followersCount} abonné(s), ` +
+          `${result.account.statusesCount} statut(s)`, ...result.statuses.map(summarizeStatus)].join('\n')
+      });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la récupération des statuts ${label}: ${error.message}`);
+      return toolError(`Erreur lors de la récupération des statuts ${label}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Liste les notifications du compte
+   * @param {object} params - types (toutes par défaut), count (15 par défaut), maxId
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Notifications et identifiant de la page suivante
+   */
+  async getNotifications(params, context = createToolContext()) {
+    const { types, count = 15, maxId } = params;
+
+    try {
+      const page = await this.client.getNotifications({ types, limit: count, maxId, signal: context.signal });
+      const notifications = page.data.map(notification => ({
+        id: notification.id,
+        type: notification.type,
+        createdAt: notification.created_at || null,
+        account: formatUser(notification.account),
+        status: notification.status ? formatStatus(notification.status) : null
+      }));
+      const result = { notifications, resultCount: notifications.length, nextMaxId: page.nextMaxId };
+
+      return toolResult(result, {
+        summary: [`${result.resultCount} notification(s) Mastodon`,
+          ...notifications.map(notification => `- ${notification.id} ${notification.type} de @${notification.account.screen_name}` +
+            `${notification.status ? ` : ${truncate(notification.status.text, 80)}` : ''}`)
+        ].join('\n')
+      });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la récupération des notifications: ${error.message}`);
+      return toolError(`Erreur lors de la récupération des notifications: ${error.message}`);
+    }
+  }
+
+  /**
+   * Publie un statut
+   * @param {object} params - text, visibility, spoilerText, sensitive, language, media
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Publication
+   */
+  async postStatus(params, context = createToolContext()) {
+    const { text = '' } = params;
+
+    try {
+      const publication = await this.sendStatus({ ...params, text }, { action: 'status' }, context);
+      return toolResult(publication, { summary: summarizePublication(publication) });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la publication du statut: ${error.message}`);
+      return toolError(`Erreur lors de la publication du statut: ${error.message}`);
+    }
+  }
+
+  /**
+   * Répond à un statut
+   * L'auteur du statut est mentionné (sauf s'il s'agit du compte de l'agent), l'avertissement
+   * de contenu est repris par défaut et la visibilité ne peut pas être plus large que celle du statut
+   * @param {object} params - statusId, text, visibility, spoilerText, sensitive, language, media
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Publication
+   */
+  async replyToStatus(params, context = createToolContext()) {
+    const { statusId, text, ...options } = params;
+
+    try {
+      const original = await this.client.getStatus(statusId);
+      const own = await this.getOwnAccount();
+      const author = original.account;
+      const mention = `@${author.acct}`;
+      const alreadyMentioned = new RegExp(`(^|\\s)${escapeRegExp(mention)}(?![\\w@])`, 'i').test(text);
+      const visibility = narrowestVisibility(options.visibility || original.visibility, original.visibility);
+
+      if (options.visibility && visibility !== options.visibility) {
+        this.logger.info(`Visibilité de la réponse limitée à ${visibility} (statut d'origine ${original.visibility})`);
+      }
+
+      const publication = await this.sendStatus({
+        ...options,
+        text: author.id === own.id || alreadyMentioned ? text : `${mention} ${text}`,
+        visibility,
+        spoilerText: options.spoilerText ?? original.spoiler_text ?? ''
+      }, { action: 'reply', inReplyTo: statusId }, context);
+
+      return toolResult(publication, { summary: summarizePublication(publication) });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la réponse au statut ${statusId}: ${error.message}`);
+      return toolError(`Erreur lors de la réponse au statut ${statusId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Supprime un statut du compte
+   * @param {object} params - statusId
+   * @returns {Promise<object>} Résultat de la suppression
+   */
+  async deleteStatus(params) {
+    const { statusId } = params;
+
+    try {
+      await this.client.deleteStatus(statusId);
+      const result = { id: statusId, deleted: true, dryRun: this.client.dryRun };
+      const publication = this.publications.find(candidate => candidate.id === statusId);
+
+      if (publication) {
+        publication.deletedAt = new Date().toISOString();
+      }
+
+      this.notifyPublication('deleted', { platform: 'mastodon', ...result, deletedAt: new Date().toISOString() });
+
+      return toolResult(result, { summary: `Statut ${statusId} supprimé${result.dryRun ? ' (simulation)' : ''}` });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la suppression du statut ${statusId}: ${error.message}`);
+      return toolError(`Erreur lors de la suppression du statut ${statusId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Démarre la veille ou change ses fils
+   * @param {object} params - hashtags, mentions (configuration par défaut)
+   * @returns {Promise<object>} État de la veille
+   */
+  async startWatch(params) {
+    const hashtags = params.hashtags || (this.watch.running ? this.watch.hashtags : this.config.watch.hashtags);
+    const mentions = params.mentions ?? (this.watch.running ? this.watch.mentions : this.config.watch.mentions);
+
+    if (hashtags.length === 0 && !mentions) {
+      return toolError('Veille impossible : aucun hashtag à suivre et mentions désactivées');
+    }
+    if (!this.messageRouter) {
+      this.logger.warn('Veille démarrée sans bus de messages : les statuts ne seront pas analysés');
+    }
+
+    this.watch.start({ hashtags, mentions });
+    const status = this.watch.getStatus();
+
+    return toolResult(status, {
+      summary: `Veille Mastodon démarrée : ${[...status.hashtags.map(hashtag => `#${hashtag}`), ...(status.mentions ? ['mentions'] : [])].join(', ')}`
+    });
+  }
+
+  /**
+   * Arrête la veille
+   * @returns {Promise<object>} État de la veille
+   */
+  async stopWatch() {
+    await this.watch.stop();
+    const status = this.watch.getStatus();
+
+    return toolResult(status, { summary: `Veille Mastodon arrêtée (${status.received} statut(s) relayé(s))` });
+  }
+
+  /**
+   * Retourne l'état de la veille
+   * @returns {Promise<object>} État de la veille
+   */
+  async getWatchStatus() {
+    return { content: this.watch.getStatus() };
+  }
+
+  /**
+   * Retourne les publications récentes de l'agent
+   * @param {object} params - limit (20 par défaut), offset
+   * @returns {Promise<object>} Publications, de la plus récente à la plus ancienne
+   */
+  async getPublications(params = {}) {
+    // Les paramètres peuvent provenir d'une URI de ressource, donc être des chaînes
+    const limit = parseInt(params.limit ?? 20, 10);
+    const offset = parseInt(params.offset ?? 0, 10);
+    const publications = [...this.publications].reverse();
+
+    return {
+      content: {
+        total: publications.length,
+        offset,
+        limit,
+        dryRun: this.client.dryRun,
+        publications: publications.slice(offset, offset + limit)
+      }
+    };
+  }
+
+  /**
+   * Relaie un statut trouvé par la veille : événement `stream-post` et sujet `stream.post` du bus
+   * @param {{status: object, matchingRules: Array<object>}} entry - Statut et fils où il a été trouvé
+   * @private
+   */
+  handleWatchedStatus(entry) {
+    const post = {
+      platform: 'mastodon',
+      ...formatStatus(entry.status),
+      matchingRules: entry.matchingRules,
+      receivedAt: new Date().toISOString()
+    };
+
+    this.logger.debug(`Statut ${post.id} relayé par la veille (${post.matchingRules.map(rule => rule.tag).join(', ')})`);
+    this.emit('stream-post', post);
+
+    if (this.messageRouter) {
+      this.publish('stream.post', post);
+    }
+  }
+
+  /**
+   * Vérifie, envoie les médias puis publie un statut et signale sa publication
+   * @param {object} status - text, visibility, spoilerText, sensitive, language, media
+   * @param {object} options - action ('status' ou 'reply'), inReplyTo
+   * @param {object} context - Contexte d'exécution (progression, annulation)
+   * @returns {Promise<object>} Publication
+   * @throws {Error} Si le statut dépasse les limites de l'instance ou si l'API renvoie une erreur
+   * @private
+   */
+  async sendStatus(status, options, context) {
+    const { text, visibility = 'public', spoilerText = '', sensitive, language, media = [] } = status;
+    const { action, inReplyTo = null } = options;
+    const limits = await this.getInstanceLimits();
+    const length = statusLength(text, limits.urlLength) + [...spoilerText].length;
+
+    if (!text.trim() && media.length === 0) {
+      throw new Error('le statut doit contenir un texte ou un média');
+    }
+    if (length > limits.maxCharacters) {
+      throw new Error(`statut trop long : ${length} caractères (${limits.maxCharacters} au plus sur cette instance, avertissement compris)`);
+    }
+    if (media.length > limits.maxMediaAttachments) {
+      throw new Error(`${media.length} médias joints (${limits.maxMediaAttachments} au plus sur cette instance)`);
+    }
+
+    const mediaIds = await this.uploadMedia(media, limits, context);
+    const response = await this.client.createStatus({
+      status: text,
+      mediaIds,
+      spoilerText,
+      sensitive,
+      visibility,
+      inReplyToId: inReplyTo,
+      language
+    });
+
+    const publication = {
+      id: response.id,
+      action,
+      text,
+      url: response.url || null,
+      visibility: response.visibility || visibility,
+      spoilerText: response.spoiler_text ?? spoilerText,
+      sensitive: Boolean(response.sensitive),
+      mediaIds,
+      inReplyTo,
+      dryRun: this.client.dryRun,
+      publishedAt: new Date().toISOString()
+    };
+
+    this.publications.push(publication);
+    if (this.publications.length > config.publishing.historyLimit) {
+      this.publications.shift();
+    }
+
+    this.logger.info(`Statut ${publication.id} publié (${action}, ${publication.visibility})${publication.dryRun ? ' en simulation' : ''}`);
+    this.notifyPublication('published', { platform: 'mastodon', ...publication });
+
+    return publication;
+  }
+
+  /**
+   * Envoie les médias d'un statut et attend la fin de leur traitement
+   * @param {Array<object>} media - Médias (data ou url, mimeType, description)
+   * @param {object} limits - Limites de l'instance (voir getInstanceLimits)
+   * @param {object} context - Contexte d'exécution (progression, annulation)
+   * @returns {Promise<Array<string>>} Identifiants des médias, dans l'ordre
+   * @throws {Error} Si un média n'est pas accepté par l'instance ou si son traitement échoue
+   * @private
+   */
+  async uploadMedia(media, limits, context) {
+    const mediaIds = [];
+
+    for (const [index, item] of media.entries()) {
+      context.throwIfAborted();
+      const { data, mimeType } = await this.loadMedia(item, context);
+      const sizeLimit = mimeType && mimeType.startsWith('image/') ? limits.imageSizeLimit : limits.videoSizeLimit;
+
+      if (!limits.mimeTypes.includes(mimeType)) {
+        throw new Error(`type de média non supporté par l'instance: ${mimeType || 'inconnu'} (acceptés : ${limits.mimeTypes.join(', ')})`);
+      }
+      if (data.length > sizeLimit) {
+        throw new Error(`média trop volumineux: ${data.length} octets (${sizeLimit} au plus pour ${mimeType})`);
+      }
+
+      let uploaded = await this.client.uploadMedia({
+        data,
+        mimeType,
+        fileName: `media-${index + 1}.${mimeType.split('/')[1]}`,
+        description: item.description
+      });
+
+      // Les GIF, vidéos et sons sont traités après l'upload : l'URL reste nulle jusque-là
+      const deadline = Date.now() + this.config.mediaTimeout;
+      while (!this.client.dryRun && !uploaded.url) {
+        if (Date.now() > deadline) {
+          throw new Error(`traitement du média ${uploaded.id} trop long (plus de ${Math.round(this.config.mediaTimeout / 1000)} s)`);
+        }
+
+        context.reportProgress(index, media.length, `Traitement du média ${index + 1}/${media.length}`);
+        await wait(MEDIA_POLL_INTERVAL);
+        context.throwIfAborted();
+        uploaded = await this.client.getMedia(uploaded.id);
+      }
+
+      mediaIds.push(uploaded.id);
+      this.logger.info(`Média ${uploaded.id} envoyé (${mimeType}, ${data.length} octets)`);
+      context.reportProgress(index + 1, media.length, `Média ${index + 1}/${media.length} prêt`);
+    }
+
+    return mediaIds;
+  }
+
+  /**
+   * Retourne les limites de l'instance (longueur des statuts, médias acceptés)
+   * Les limites par défaut de Mastodon s'appliquent si l'instance ne répond pas ; elles seront
+   * redemandées à la publication suivante
+   * @returns {Promise<object>} Limites (voir DEFAULT_INSTANCE_LIMITS)
+   * @private
+   */
+  async getInstanceLimits() {
+    if (this.instanceLimits) {
+      return this.instanceLimits;
+    }
+
+    try {
+      const { configuration = {} } = await this.client.getInstance();
+      const statuses = configuration.statuses || {};
+      const media = configuration.media_attachments || {};
+
+      this.instanceLimits = {
+        maxCharacters: statuses.max_characters || DEFAULT_INSTANCE_LIMITS.maxCharacters,
+        maxMediaAttachments: statuses.max_media_attachments || DEFAULT_INSTANCE_LIMITS.maxMediaAttachments,
+        urlLength: statuses.characters_reserved_per_url || DEFAULT_INSTANCE_LIMITS.urlLength,
+        mimeTypes: media.supported_mime_types || DEFAULT_INSTANCE_LIMITS.mimeTypes,
+        imageSizeLimit: media.image_size_limit || DEFAULT_INSTANCE_LIMITS.imageSizeLimit,
+        videoSizeLimit: media.video_size_limit || DEFAULT_INSTANCE_LIMITS.videoSizeLimit
+      };
+      return this.instanceLimits;
+    } catch (error) {
+      this.logger.warn(`Limites de l'instance indisponibles (${error.message}), limites par défaut de Mastodon appliquées`);
+      return DEFAULT_INSTANCE_LIMITS;
+    }
+  }
+
+  /**
+   * Retourne le compte associé au jeton (lu une seule fois)
+   * @returns {Promise<object>} Compte renvoyé par l'API
+   * @private
+   */
+  async getOwnAccount() {
+    if (!this.ownAccount) {
+      this.ownAccount = await this.client.verifyCredentials();
+    }
+
+    return this.ownAccount;
+  }
+
+  /**
+   * Signale une publication ou une suppression : événement de l'agent, sujet du bus
+   * de messages (s'il est relié) et mise à jour de la ressource mastodon://publications
+   * @param {string} event - 'published' ou 'deleted'
+   * @param {object} payload - Publication (platform, id...)
+   * @private
+   */
+  notifyPublication(event, payload) {
+    this.emit(event, payload);
+
+    if (this.messageRouter) {
+      this.publish(`publication.${event}`, payload);
+    }
+
+    this.notifyResourceUpdated('mastodon://publications');
+  }
+
+  /**
+   * Lit le contenu d'un média fourni en base64 ou par URL
+   * @param {object} params - data ou url, mimeType
+   * @param {object} context - Contexte d'exécution (annulation du téléchargement)
+   * @returns {Promise<{data: Buffer, mimeType: string}>} Contenu et type MIME
+   * @private
+   */
+  async loadMedia(params, context) {
+    if (params.data) {
+      const image = imageContent(params.data, params.mimeType);
+      const dataUri = params.data.match(/^data:([\w/.+-]+);base64,(.*)$/s);
+
+      return {
+        data: Buffer.from(dataUri ? dataUri[2] : params.data, 'base64'),
+        mimeType: params.mimeType || (dataUri && dataUri[1]) || (image && image.mimeType)
+      };
+    }
+
+    const response = await fetch(params.url, { signal: context.signal });
+
+    if (!response.ok) {
+      throw new Error(`téléchargement de ${params.url} impossible (HTTP ${response.status})`);
+    }
+
+    return {
+      data: Buffer.from(await response.arrayBuffer()),
+      mimeType: params.mimeType || (response.headers.get('content-type') || '').split(';')[0].trim()
+    };
+  }
+}
+
+/**
+ * Convertit une page de statuts de l'API
+ * @param {{data: Array<object>, nextMaxId: string|null}} page - Statuts et pagination
+ * @returns {{statuses: Array<object>, resultCount: number, nextMaxId: string|null}} Liste de statuts
+ */
+function formatStatusList(page) {
+  const statuses = page.data.map(formatStatus);
+  return { statuses, resultCount: statuses.length, nextMaxId: page.nextMaxId };
+}
+
+/**
+ * Convertit un statut au format des tweets du tableau de bord
+ * Un partage (reblog) est remplacé par le statut partagé, avec l'adresse du compte qui l'a partagé
+ * @param {object} status - Statut renvoyé par l'API
+ * @returns {object} Statut formaté
+ */
+function formatStatus(status) {
+  const original = status.reblog || status;
+
+  return {
+    id: original.id,
+    text: htmlToText(original.content),
+    created_at: original.created_at || null,
+    lang: original.language || null,
+    favorite_count: original.favourites_count || 0,
+    retweet_count: original.reblogs_count || 0,
+    reply_count: original.replies_count || 0,
+    quote_count: 0,
+    hashtags: (original.tags || []).map(tag => tag.name),
+    url: original.url || original.uri,
+    user: formatUser(original.account),
+    spoilerText: original.spoiler_text || '',
+    sensitive: Boolean(original.sensitive),
+    visibility: original.visibility,
+    inReplyToId: original.in_reply_to_id || null,
+    mediaUrls: (original.media_attachments || []).map(media => media.url || media.preview_url).filter(Boolean),
+    rebloggedBy: status.reblog ? fullAcct(status.account) : null
+  };
+}
+
+/**
+ * Convertit un compte en auteur au format du tableau de bord
+ * @param {object} account - Compte renvoyé par l'API
+ * @returns {object} Auteur (screen_name : adresse complète user@instance)
+ */
+function formatUser(account) {
+  return {
+    id: account.id,
+    name: account.display_name || account.username,
+    screen_name: fullAcct(account),
+    profile_image_url: account.avatar || null,
+    verified: (account.fields || []).some(field => field.verified_at),
+    followers_count: Number.isInteger(account.followers_count) ? account.followers_count : null
+  };
+}
+
+/**
+ * Convertit un compte (profil)
+ * @param {object} account - Compte renvoyé par l'API
+ * @returns {object} Profil formaté
+ */
+function formatAccount(account) {
+  return {
+    id: account.id,
+    acct: fullAcct(account),
+    name: account.display_name || account.username,
+    url: account.url || null,
+    note: htmlToText(account.note),
+    bot: Boolean(account.bot),
+    locked: Boolean(account.locked),
+    verified: (account.fields || []).some(field => field.verified_at),
+    followersCount: account.followers_count || 0,
+    followingCount: account.following_count || 0,
+    statusesCount: account.statuses_count || 0
+  };
+}
+
+/**
+ * Convertit un hashtag et cumule son utilisation sur les 7 derniers jours
+ * @param {object} tag - Hashtag renvoyé par l'API (history : utilisation par jour)
+ * @returns {object} Hashtag formaté
+ */
+function formatHashtag(tag) {
+  const history = tag.history || [];
+
+  return {
+    name: tag.name,
+    url: tag.url || null,
+    uses: history.reduce((total, day) => total + parseInt(day.uses, 10), 0),
+    // Approximation : un même compte actif plusieurs jours est compté chaque jour
+    accounts: history.reduce((total, day) => total + parseInt(day.accounts, 10), 0)
+  };
+}
+
+/**
+ * Adresse complète d'un compte : les comptes locaux n'ont que leur nom dans acct,
+ * le domaine est repris de l'URL de leur profil
+ * @param {object} account - Compte renvoyé par l'API
+ * @returns {string} Adresse (user@instance)
+ */
+function fullAcct(account) {
+  if (account.acct.includes('@') || !account.url) {
+    return account.acct;
+  }
+
+  return `${account.acct}@${new URL(account.url).host}`;
+}
+
+/**
+ * Convertit le contenu HTML d'un statut en texte : paragraphes et sauts de ligne conservés,
+ * liens réduits à leur texte (URL complète, mention ou hashtag), entités décodées
+ * @param {string} html - Contenu HTML
+ * @returns {string} Texte
+ */
+function htmlToText(html = '') {
+  const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: '\u00a0' };
+
+  return html
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>\s*<p[^>]*>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        return String.fromCodePoint(entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+      }
+      return named[entity.toLowerCase()] ?? match;
+    })
+    .trim();
+}
+
+/**
+ * Longueur d'un statut selon les règles de Mastodon : une URL compte pour un nombre fixe
+ * de caractères, une mention distante pour son seul nom d'utilisateur
+ * @param {string} text - Texte du statut
+ * @param {number} urlLength - Longueur comptée pour une URL
+ * @returns {number} Longueur
+ */
+function statusLength(text, urlLength) {
+  return [...text
+    .replace(/https?:\/\/[^\s<]*[^\s<.,!?;:)]/g, 'x'.repeat(urlLength))
+    .replace(/@(\w+)@[\w.-]+\.\w+/g, '@$1')].length;
+}
+
+/**
+ * Visibilité la plus restreinte de deux visibilités
+ * @param {string} a - Visibilité
+ * @param {string} b - Visibilité
+ * @returns {string} Visibilité la plus restreinte
+ */
+function narrowestVisibility(a, b) {
+  return VISIBILITIES[Math.max(VISIBILITIES.indexOf(a), VISIBILITIES.indexOf(b))];
+}
+
+/**
+ * Résumé d'une ligne d'un statut
+ * @param {object} status - Statut formaté
+ * @returns {string} Résumé
+ */
+function summarizeStatus(status) {
+  return `- ${status.id} @${status.user.screen_name}${status.rebloggedBy ? ` (partagé par @${status.rebloggedBy})` : ''} ` +
+    `(${status.favorite_count} favori(s), ${status.retweet_count} partage(s)) : ` +
+    `${status.spoilerText ? `[CW ${status.spoilerText}] ` : ''}${truncate(status.text, 80)}`;
+}
+
+/**
+ * Résumé d'une publication
+ * @param {object} publication - Publication
+ * @returns {string} Résumé
+ */
+function summarizePublication(publication) {
+  const label = publication.action === 'reply' ? `Réponse au statut ${publication.inReplyTo} publiée` : 'Statut publié';
+
+  return `${label}${publication.dryRun ? ' (simulation)' : ''} : ${publication.id} (${publication.visibility})` +
+    `${publication.spoilerText ? `, avertissement « ${publication.spoilerText} »` : ''}` +
+    `${publication.mediaIds.length > 0 ? `, ${publication.mediaIds.length} média(s)` : ''}` +
+    `${publication.url ? `\n${publication.url}` : ''}`;
+}
+
+/**
+ * Tronque un texte pour les résumés
+ * @param {string} text - Texte
+ * @param {number} length - Longueur maximale
+ * @returns {string} Texte tronqué
+ */
+function truncate(text, length) {
+  const singleLine = text.replace(/\s+/g, ' ');
+  return singleLine.length > length ? `${singleLine.slice(0, length - 1)}…` : singleLine;
+}
+
+/**
+ * Échappe un texte pour l'inclure dans une expression régulière
+ * @param {string} text - Texte
+ * @returns {string} Texte échappé
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+export default MastodonAgent;
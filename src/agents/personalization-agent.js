@@ -0,0 +1,918 @@
+/**
+ * Agent de personnalisation
+ * Construit des segments d'audience à partir des membres connus : interlocuteurs des mentions et
+ * commentaires (sujet `engagement.item` du bus, publié par l'agent d'engagement) et abonnés ou
+ * interlocuteurs transmis par l'outil ingest_audience avec leurs messages.
+ * Chaque message est analysé par l'agent d'analyse de contenu (sujets d'analyze_text) ; un membre est
+ * rattaché à son sujet principal et à sa langue, et ses heures d'activité caractérisent son segment.
+ * À partir d'un brouillon, generate_post_variants produit une variante par segment (ton, hashtags et
+ * appel à l'action adaptés, horaire de publication suggéré), réécrite par le LLM du client si le
+ * sampling est disponible. Segments et variantes sont exposés dans les ressources
+ * personalization://segments et personalization://variants.
+ */
+
+import BaseAgent from './base-agent.js';
+import config from '../config/config.js';
+import { toolResult, toolError } from '../utils/tool-result.js';
+import { createToolContext } from '../utils/tool-context.js';
+
+const HOUR = 60 * 60 * 1000;
+const SAMPLE_MEMBERS = 5;
+const TOP_HASHTAGS = 5;
+
+// Longueur maximale d'un post par plateforme (comme rewrite_post)
+const platformLengthLimits = {
+  twitter: 280,
+  instagram: 2200,
+  linkedin: 3000,
+  facebook: 63206,
+  mastodon: 500,
+  bluesky: 300
+};
+
+// Ton et appel à l'action par sujet d'analyze_text ; general s'applique aux membres sans sujet dominant
+const topicStyles = {
+  sport: {
+    tone: 'énergique et motivant',
+    cta: { fr: 'Qui relève le défi ? Dites-le-nous en commentaire !', en: 'Who\'s up for the challenge? Tell us in the comments!' }
+  },
+  technologie: {
+    tone: 'précis et pédagogique',
+    cta: { fr: 'Vos questions techniques sont les bienvenues en commentaire.', en: 'Technical questions are welcome in the comments.' }
+  },
+  santé: {
+    tone: 'bienveillant et rassurant',
+    cta: { fr: 'Partagez vos conseils bien-être en commentaire.', en: 'Share your wellbeing tips in the comments.' }
+  },
+  politique: {
+    tone: 'factuel et mesuré',
+    cta: { fr: 'Donnez-nous votre avis, dans le respect de chacun.', en: 'Share your view, respectfully.' }
+  },
+  divertissement: {
+    tone: 'décontracté et complice',
+    cta: { fr: 'Identifiez la personne avec qui vous y allez !', en: 'Tag who you\'re going with!' }
+  },
+  general: {
+    tone: 'cordial et naturel',
+    cta: { fr: 'Dites-nous ce que vous en pensez !', en: 'Let us know what you think!' }
+  }
+};
+
+// Mots fréquents servant à deviner la langue d'un message que la plateforme ne précise pas
+const languageMarkers = {
+  fr: ['le', 'la', 'les', 'des', 'est', 'et', 'pour', 'vous', 'nous', 'une', 'avec', 'dans', 'pas', 'merci', 'bonjour', 'je', 'sur'],
+  en: ['the', 'and', 'is', 'you', 'for', 'with', 'this', 'that', 'are', 'thanks', 'to', 'of', 'my', 'we', 'on']
+};
+
+const languageNames = { fr: 'français', en: 'anglais', es: 'espagnol', de: 'allemand', it: 'italien' };
+
+// Tranches de la journée (heures locales de début et de fin exclue)
+const periods = [
+  { name: 'night', label: 'la nuit', start: 0, end: 6 },
+  { name: 'morning', label: 'le matin', start: 6, end: 12 },
+  { name: 'afternoon', label: 'l\'après-midi', start: 12, end: 18 },
+  { name: 'evening', label: 'le soir', start: 18, end: 24 }
+];
+
+const frequencySchema = {
+  type: 'object',
+  properties: { name: { type: 'string' }, count: { type: 'integer' } },
+  required: ['name', 'count']
+};
+
+const segmentSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    topic: { type: ['string', 'null'], description: 'Sujet principal des membres (null : audience générale)' },
+    language: { type: 'string' },
+    description: { type: 'string' },
+    size: { type: 'integer' },
+    followers: { type: 'integer', description: 'Membres connus comme abonnés' },
+    engagers: { type: 'integer', description: 'Membres ayant mentionné ou commenté le compte' },
+    reach: { type: 'integer', description: 'Total des abonnés des membres, quand il est connu' },
+    platforms: { type: 'object', additionalProperties: { type: 'integer' } },
+    topHashtags: { type: 'array', items: frequencySchema },
+    activity: {
+      type: 'object',
+      properties: {
+        interactions: { type: 'integer' },
+        distribution: { type: 'object', additionalProperties: { type: 'number' } },
+        peakPeriod: { type: ['string', 'null'], enum: [...periods.map(period => period.name), null] },
+        peakHours: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 23 } }
+      },
+      required: ['interactions', 'distribution', 'peakPeriod', 'peakHours']
+    },
+    sampleMembers: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['id', 'name', 'topic', 'language', 'description', 'size', 'followers', 'engagers', 'platforms', 'topHashtags', 'activity']
+};
+
+const segmentListSchema = {
+  type: 'object',
+  properties: {
+    generatedAt: { type: 'string' },
+    memberCount: { type: 'integer' },
+    segments: { type: 'array', items: segmentSchema }
+  },
+  required: ['generatedAt', 'memberCount', 'segments']
+};
+
+const variantSetSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    createdAt: { type: 'string' },
+    draft: { type: 'string' },
+    platform: { type: ['string', 'null'] },
+    variants: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          segmentId: { type: 'string' },
+          segmentName: { type: 'string' },
+          target: { type: 'string', description: 'Segment visé par la variante, en clair' },
+          language: { type: 'string' },
+          tone: { type: 'string' },
+          hashtags: { type: 'array', items: { type: 'string' } },
+          cta: { type: 'string' },
+          text: { type: 'string' },
+          length: { type: 'integer' },
+          suggestedTime: { type: ['string', 'null'], description: 'Prochaine heure de pointe d\'activité du segment' },
+          engine: { type: 'string', enum: ['sampling', 'heuristic'] }
+        },
+        required: ['segmentId', 'segmentName', 'target', 'language', 'tone', 'hashtags', 'cta', 'text', 'engine']
+      }
+    }
+  },
+  required: ['id', 'createdAt', 'draft', 'variants']
+};
+
+// Membre de l'audience transmis à ingest_audience, avec ses messages
+const audienceMemberSchema = {
+  type: 'object',
+  properties: {
+    platform: { type: 'string' },
+    id: { type: 'string' },
+    name: { type: 'string' },
+    screen_name: { type: 'string' },
+    lang: { type: 'string' },
+    followers_count: { type: 'integer', minimum: 0 },
+    posts: {
+      type: 'array',
+      maxItems: 100,
+      items: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          text: { type: 'string' },
+          created_at: { type: ['string', 'null'] },
+          lang: { type: ['string', 'null'] }
+        },
+        required: ['text']
+      }
+    }
+  },
+  required: ['id']
+};
+
+class PersonalizationAgent extends BaseAgent {
+  /**
+   * Constructeur de l'agent de personnalisation
+   * @param {object} agentConfig - Seuils et fuseau horaire, par défaut config.agents.personalizationAgent
+   */
+  constructor(agentConfig = {}) {
+    super('personalization', { ...config.agents.personalizationAgent, ...agentConfig });
+
+    // Membres par clé plateforme:identifiant, du moins au plus récemment actif
+    this.members = new Map();
+    // Messages déjà comptés (plateforme:identifiant), du plus ancien au plus récent
+    this.interactionIds = new Set();
+    // Derniers jeux de variantes, du plus récent au plus ancien
+    this.variantSets = [];
+    // Analyses des messages reçus par le bus, traitées dans l'ordre
+    this.pending = Promise.resolve();
+    this.hourFormat = new Intl.DateTimeFormat('en-GB', { hour: 'numeric', hourCycle: 'h23', timeZone: this.config.timeZone });
+
+    this.logger.info(`Agent de personnalisation créé (segments de ${this.config.minSegmentSize} membres au moins, fuseau ${this.config.timeZone})`);
+  }
+
+  /**
+   * Initialisation de l'agent avec ses outils et ressources
+   */
+  async initialize() {
+    await super.initialize();
+
+    this.registerTool({
+      name: 'get_audience_segments',
+      description: 'Segments d\'audience (sujet principal et langue des membres), avec leurs hashtags et leurs heures d\'activité',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: 50 }
+        }
+      },
+      outputSchema: segmentListSchema,
+      handler: this.getSegments.bind(this)
+    });
+
+    this.registerTool({
+      name: 'ingest_audience',
+      description: 'Ajoute à l\'audience des membres (ex: abonnés récupérés sur une plateforme) et leurs messages, analysés pour la segmentation',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          members: { type: 'array', items: audienceMemberSchema, minItems: 1, maxItems: 500 },
+          relation: { type: 'string', enum: ['follower', 'engager'], description: 'follower par défaut' },
+          platform: { type: 'string', description: 'Plateforme des membres qui ne la précisent pas' }
+        },
+        required: ['members']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          added: { type: 'integer' },
+          updated: { type: 'integer' },
+          interactions: { type: 'integer', description: 'Nouveaux messages analysés' },
+          trackedMembers: { type: 'integer' }
+        },
+        required: ['added', 'updated', 'interactions', 'trackedMembers']
+      },
+      handler: this.ingestAudience.bind(this)
+    });
+
+    this.registerTool({
+      name: 'generate_post_variants',
+      description: 'Produit, à partir d\'un brouillon, une variante par segment d\'audience (ton, hashtags, appel à l\'action, horaire suggéré)',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          text: { type: 'string', minLength: 1 },
+          platform: { type: 'string', enum: Object.keys(platformLengthLimits) },
+          segmentIds: { type: 'array', items: { type: 'string' }, minItems: 1, description: 'Tous les segments par défaut' },
+          maxVariants: { type: 'integer', minimum: 1, maximum: 20 }
+        },
+        required: ['text']
+      },
+      outputSchema: variantSetSchema,
+      handler: this.generateVariants.bind(this)
+    });
+
+    this.registerResource({
+      name: 'audience_segments',
+      uri: 'personalization://segments',
+      mimeType: 'application/json',
+      description: 'Segments d\'audience, recalculés à chaque ajout de membres ou de messages',
+      handler: this.getSegmentsResource.bind(this)
+    });
+
+    this.registerResource({
+      name: 'post_variants',
+      uri: 'personalization://variants',
+      mimeType: 'application/json',
+      description: 'Derniers jeux de variantes produits par generate_post_variants',
+      handler: this.getVariantsResource.bind(this)
+    });
+  }
+
+  /**
+   * Démarrage de l'agent : abonnement aux interlocuteurs relevés par l'agent d'engagement
+   */
+  async start() {
+    await super.start();
+
+    if (!this.messageRouter) {
+      this.logger.warn('Agent de personnalisation démarré sans bus de messages : seuls les membres transmis par ingest_audience seront segmentés');
+      return;
+    }
+
+    this.subscribe('engagement.item', item => this.enqueue(() => this.ingestEngagementItem(item)));
+
+    // Mentions et commentaires déjà relevés avant le démarrage de cet agent
+    if (this.messageRouter.isAvailable('engagement')) {
+      this.request('engagement', 'list_engagement_inbox', { status: 'all', limit: 200 })
+        .then(result => {
+          if (!result.isError) {
+            result.structuredContent.items.forEach(item => this.enqueue(() => this.ingestEngagementItem(item)));
+          }
+        })
+        .catch(error => this.logger.debug(`Boîte de réception de l'agent d'engagement indisponible: ${error.message}`));
+    }
+  }
+
+  /**
+   * Arrêt de l'agent
+   */
+  async stop() {
+    this.unsubscribe('engagement.item');
+    await super.stop();
+  }
+
+  /**
+   * Retourne les segments d'audience
+   * @param {object} params - limit (maxSegments par défaut)
+   * @returns {Promise<object>} Segments, du plus grand au plus petit
+   */
+  async getSegments(params = {}) {
+    try {
+      await this.pending;
+
+      const result = this.computeSegments();
+      result.segments = result.segments.slice(0, params.limit || this.config.maxSegments);
+
+      return toolResult(result, { summary: summarizeSegments(result) });
+    } catch (error) {
+      this.logger.error(`Erreur lors du calcul des segments: ${error.message}`);
+      return toolError(`Erreur lors du calcul des segments: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ajoute des membres et leurs messages à l'audience
+   * @param {object} params - members, relation (follower par défaut), platform
+   * @returns {Promise<object>} Membres ajoutés ou mis à jour, messages analysés
+   */
+  async ingestAudience(params) {
+    const { members, relation = 'follower', platform = 'unknown' } = params;
+    const counts = { added: 0, updated: 0, interactions: 0 };
+
+    try {
+      await this.pending;
+
+      for (const entry of members) {
+        const { member, created } = this.addMember(entry.platform || platform, entry, relation);
+        counts[created ? 'added' : 'updated']++;
+
+        for (const post of entry.posts || []) {
+          const counted = await this.ingestInteraction(member, {
+            id: post.id,
+            text: post.text,
+            createdAt: post.created_at,
+            lang: post.lang || entry.lang
+          });
+          counts.interactions += counted ? 1 : 0;
+        }
+      }
+
+      this.notifyResourceUpdated('personalization://segments');
+      const result = { ...counts, trackedMembers: this.members.size };
+
+      return toolResult(result, {
+        summary: `${result.added} membre(s) ajouté(s), ${result.updated} mis à jour, ${result.interactions} message(s) analysé(s) ; ` +
+          `${result.trackedMembers} membre(s) suivis`
+      });
+    } catch (error) {
+      this.logger.error(`Erreur lors de l'ajout de membres: ${error.message}`);
+      return toolError(`Erreur lors de l'ajout de membres: ${error.message}`);
+    }
+  }
+
+  /**
+   * Produit une variante du brouillon pour chaque segment
+   * Sans sampling, la variante garde le texte du brouillon (dans sa langue) et y ajoute l'appel à
+   * l'action et les hashtags du segment
+   * @param {object} params - text, platform, segmentIds, maxVariants
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Jeu de variantes
+   */
+  async generateVariants(params, context = createToolContext()) {
+    const { text, platform = null, segmentIds, maxVariants = this.config.maxSegments } = params;
+    const maxLength = platform ? platformLengthLimits[platform] : platformLengthLimits.facebook;
+
+    try {
+      await this.pending;
+
+      const { segments } = this.computeSegments();
+      const selected = segments.filter(segment => !segmentIds || segmentIds.includes(segment.id)).slice(0, maxVariants);
+
+      if (selected.length === 0) {
+        return toolError(segmentIds
+          ? `Segment(s) introuvable(s) : ${segmentIds.join(', ')}`
+          : 'Aucun segment d\'audience : ajoutez des membres (ingest_audience) ou démarrez l\'agent d\'engagement');
+      }
+
+      const draftLanguage = guessLanguage(text) || this.config.defaultLanguage;
+      const draftHashtags = new Set(extractHashtags(text));
+      const variants = [];
+
+      for (const segment of selected) {
+        context.throwIfAborted();
+        context.reportProgress(variants.length, selected.length, `Variante pour le segment ${segment.name}`);
+
+        const style = topicStyles[segment.topic] || topicStyles.general;
+        const learned = segment.topHashtags.map(hashtag => hashtag.name);
+        const hashtags = [...new Set(learned.length > 0 ? learned : [segment.topic].filter(Boolean))]
+          .filter(hashtag => !draftHashtags.has(hashtag))
+          .slice(0, this.config.maxHashtags);
+        const request = { segment, tone: style.tone, hashtags, maxLength };
+
+        const rewritten = await this.askModelForVariant(text, { ...request, cta: ctaFor(style, segment.language) }, context);
+        const language = rewritten ? segment.language : draftLanguage;
+        const cta = ctaFor(style, language);
+        const variantText = rewritten || composeVariant(text, cta, hashtags, maxLength);
+
+        variants.push({
+          segmentId: segment.id,
+          segmentName: segment.name,
+          target: segment.description,
+          language,
+          tone: style.tone,
+          hashtags,
+          cta,
+          text: variantText,
+          length: variantText.length,
+          suggestedTime: segment.activity.peakHours.length > 0 ? this.nextOccurrence(segment.activity.peakHours[0]) : null,
+          engine: rewritten ? 'sampling' : 'heuristic'
+        });
+      }
+
+      const variantSet = {
+        id: `variants_${Date.now()}_${Math.random().toString(36).substring(2, 9)}`,
+        createdAt: new Date().toISOString(),
+        draft: text,
+        platform,
+        variants
+      };
+
+      this.variantSets.unshift(variantSet);
+      this.variantSets.splice(this.config.variantSetsLimit);
+      this.emit('variants-generated', variantSet);
+      this.notifyResourceUpdated('personalization://variants');
+
+      return toolResult(variantSet, { summary: summarizeVariants(variantSet) });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la génération des variantes: ${error.message}`);
+      return toolError(`Erreur lors de la génération des variantes: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retourne les segments (ressource personalization://segments)
+   * @returns {Promise<object>} Segments
+   */
+  async getSegmentsResource() {
+    await this.pending;
+    return { content: this.computeSegments() };
+  }
+
+  /**
+   * Retourne les derniers jeux de variantes (ressource personalization://variants)
+   * @returns {Promise<object>} Jeux de variantes, du plus récent au plus ancien
+   */
+  async getVariantsResource() {
+    return { content: { total: this.variantSets.length, variantSets: this.variantSets } };
+  }
+
+  /**
+   * Met une tâche en file : les messages reçus du bus sont analysés un par un, dans l'ordre
+   * @param {Function} task - Tâche asynchrone
+   * @private
+   */
+  enqueue(task) {
+    this.pending = this.pending
+      .then(task)
+      .catch(error => this.logger.error(`Erreur lors de l'ajout d'un interlocuteur: ${error.message}`));
+  }
+
+  /**
+   * Ajoute l'auteur d'une mention ou d'un commentaire relevé par l'agent d'engagement
+   * @param {object} item - Élément de la boîte de réception (platform, sourceId, text, lang, author, createdAt)
+   * @private
+   */
+  async ingestEngagementItem(item) {
+    if (!item.author || !(item.author.id || item.author.screen_name)) {
+      return;
+    }
+
+    const { member } = this.addMember(item.platform, item.author, 'engager');
+    const counted = await this.ingestInteraction(member, { id: item.sourceId, text: item.text, createdAt: item.createdAt, lang: item.lang });
+
+    if (counted) {
+      this.notifyResourceUpdated('personalization://segments');
+    }
+  }
+
+  /**
+   * Retourne le membre d'une plateforme, créé au besoin, et le marque comme le plus récemment actif
+   * @param {string} platform - Plateforme
+   * @param {object} user - Auteur au format du tableau de bord (id, name, screen_name, lang, followers_count)
+   * @param {string} relation - follower ou engager
+   * @returns {{member: object, created: boolean}} Membre
+   * @private
+   */
+  addMember(platform, user, relation) {
+    const key = `${platform}:${user.id || user.screen_name}`;
+    const existing = this.members.get(key);
+    const member = existing || {
+      key,
+      platform,
+      id: user.id || user.screen_name,
+      name: null,
+      screen_name: null,
+      followers_count: null,
+      relations: new Set(),
+      interactions: 0,
+      languages: {},
+      topics: {},
+      hashtags: {},
+      hours: new Array(24).fill(0),
+      lastActiveAt: null
+    };
+
+    member.name = user.name || member.name;
+    member.screen_name = user.screen_name || member.screen_name;
+    member.followers_count = Number.isInteger(user.followers_count) ? user.followers_count : member.followers_count;
+    member.relations.add(relation);
+    if (user.lang) {
+      member.languages[user.lang] = (member.languages[user.lang] || 0) + 1;
+    }
+
+    this.members.delete(key);
+    this.members.set(key, member);
+    if (this.members.size > this.config.membersLimit) {
+      this.members.delete(this.members.keys().next().value);
+    }
+
+    return { member, created: !existing };
+  }
+
+  /**
+   * Compte un message d'un membre : langue, heure d'activité, hashtags et sujets
+   * @param {object} member - Membre
+   * @param {object} interaction - id, text, createdAt, lang
+   * @returns {Promise<boolean>} false pour un message déjà compté ou vide
+   * @private
+   */
+  async ingestInteraction(member, interaction) {
+    const text = (interaction.text || '').trim();
+    const interactionKey = interaction.id ? `${member.platform}:${interaction.id}` : null;
+
+    if (!text || (interactionKey && this.interactionIds.has(interactionKey))) {
+      return false;
+    }
+    if (interactionKey) {
+      this.interactionIds.add(interactionKey);
+      if (this.interactionIds.size > this.config.interactionIdsLimit) {
+        this.interactionIds.delete(this.interactionIds.values().next().value);
+      }
+    }
+
+    const language = interaction.lang || guessLanguage(text);
+    if (language) {
+      member.languages[language] = (member.languages[language] || 0) + 1;
+    }
+
+    const createdAt = new Date(interaction.createdAt || Date.now());
+    if (Number.isFinite(createdAt.getTime())) {
+      member.hours[this.hourOf(createdAt)]++;
+      member.lastActiveAt = !member.lastActiveAt || createdAt.toISOString() > member.lastActiveAt ? createdAt.toISOString() : member.lastActiveAt;
+    }
+
+    for (const hashtag of extractHashtags(text)) {
+      member.hashtags[hashtag] = (member.hashtags[hashtag] || 0) + 1;
+    }
+    for (const topic of await this.analyzeTopics(text)) {
+      member.topics[topic.name] = (member.topics[topic.name] || 0) + topic.confidence;
+    }
+
+    member.interactions++;
+    return true;
+  }
+
+  /**
+   * Sujets d'un message d'après l'agent d'analyse de contenu (analyze_text)
+   * @param {string} text - Texte du message
+   * @returns {Promise<Array<{name: string, confidence: number}>>} Sujets, vide si l'agent n'est pas joignable
+   * @private
+   */
+  async analyzeTopics(text) {
+    if (!this.messageRouter || !this.messageRouter.isAvailable('content-analysis')) {
+      return [];
+    }
+
+    try {
+      const result = await this.request('content-analysis', 'analyze_text', {
+        text,
+        options: { extractSentiment: false, extractTopics: true, extractEntities: false }
+      });
+      return result.isError ? [] : result.structuredContent.topics || [];
+    } catch (error) {
+      this.logger.warn(`Analyse des sujets impossible: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Regroupe les membres par sujet principal et par langue
+   * Un groupe thématique de moins de minSegmentSize membres rejoint le segment général de sa langue
+   * @returns {object} Segments, du plus grand au plus petit
+   * @private
+   */
+  computeSegments() {
+    const groups = new Map();
+    const groupOf = (topic, language) => {
+      const key = `${topic || 'general'}:${language}`;
+      if (!groups.has(key)) {
+        groups.set(key, { topic, language, members: [] });
+      }
+      return groups.get(key);
+    };
+
+    for (const member of this.members.values()) {
+      groupOf(topEntry(member.topics), topEntry(member.languages) || this.config.defaultLanguage).members.push(member);
+    }
+
+    for (const [key, group] of groups) {
+      if (group.topic && group.members.length < this.config.minSegmentSize) {
+        groupOf(null, group.language).members.push(...group.members);
+        groups.delete(key);
+      }
+    }
+
+    const segments = [...groups.values()]
+      .map(group => this.describeSegment(group))
+      .sort((a, b) => b.size - a.size || a.id.localeCompare(b.id));
+
+    return { generatedAt: new Date().toISOString(), memberCount: this.members.size, segments };
+  }
+
+  /**
+   * Décrit un segment : composition, hashtags les plus cités et heures d'activité
+   * @param {{topic: string|null, language: string, members: Array<object>}} group - Membres du segment
+   * @returns {object} Segment
+   * @private
+   */
+  describeSegment({ topic, language, members }) {
+    const hours = new Array(24).fill(0);
+    const hashtags = {};
+    const platforms = {};
+
+    for (const member of members) {
+      member.hours.forEach((count, hour) => {
+        hours[hour] += count;
+      });
+      Object.entries(member.hashtags).forEach(([name, count]) => {
+        hashtags[name] = (hashtags[name] || 0) + count;
+      });
+      platforms[member.platform] = (platforms[member.platform] || 0) + 1;
+    }
+
+    const interactions = hours.reduce((sum, count) => sum + count, 0);
+    const distribution = Object.fromEntries(periods.map(period => [
+      period.name,
+      interactions > 0 ? round(hours.slice(period.start, period.end).reduce((sum, count) => sum + count, 0) / interactions) : 0
+    ]));
+    const peakPeriod = interactions > 0 ? periods.reduce((best, period) => distribution[period.name] > distribution[best.name] ? period : best) : null;
+    const topicName = topic ? `${topic.charAt(0).toUpperCase()}${topic.slice(1)}` : 'Audience générale';
+    const languageName = languageNames[language] || language;
+    const segment = {
+      id: `${slugify(topic || 'general')}-${language}`,
+      name: `${topicName} (${language})`,
+      topic,
+      language,
+      size: members.length,
+      followers: members.filter(member => member.relations.has('follower')).length,
+      engagers: members.filter(member => member.relations.has('engager')).length,
+      reach: members.reduce((sum, member) => sum + (member.followers_count || 0), 0),
+      platforms,
+      topHashtags: Object.entries(hashtags)
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, TOP_HASHTAGS)
+        .map(([name, count]) => ({ name, count })),
+      activity: {
+        interactions,
+        distribution,
+        peakPeriod: peakPeriod ? peakPeriod.name : null,
+        peakHours: hours
+          .map((count, hour) => ({ hour, count }))
+          .filter(entry => entry.count > 0)
+          .sort((a, b) => b.count - a.count || a.hour - b.hour)
+          .slice(0, 3)
+          .map(entry => entry.hour)
+      },
+      sampleMembers: members.slice(-SAMPLE_MEMBERS).reverse().map(member => `${member.platform}:${member.screen_name || member.id}`)
+    };
+
+    segment.description = `${segment.size} membre(s)${topic ? ` intéressé(s) par ${topic}` : ' sans sujet dominant'}, ` +
+      `en ${languageName}${peakPeriod ? `, actif(s) surtout ${peakPeriod.label}` : ''}`;
+
+    return segment;
+  }
+
+  /**
+   * Demande au LLM du client (sampling) la variante d'un brouillon pour un segment
+   * Renvoie null si le client ne supporte pas le sampling, si la requête échoue ou si la réponse
+   * dépasse la longueur permise
+   * @param {string} text - Brouillon
+   * @param {object} request - segment, tone, cta, hashtags, maxLength
+   * @param {object} context - Contexte d'exécution de l'outil
+   * @returns {Promise<string|null>} Variante
+   * @private
+   */
+  async askModelForVariant(text, request, context) {
+    if (!context.canSample) {
+      return null;
+    }
+
+    const { segment, tone, cta, hashtags, maxLength } = request;
+
+    try {
+      const response = await context.createMessage({
+        messages: [{
+          role: 'user',
+          content: {
+            type: 'text',
+            text: [
+              `Adapte ce post pour ce segment d'audience : ${segment.description}.`,
+              `Langue : ${languageNames[segment.language] || segment.language}. Ton : ${tone}.`,
+              `Termine par cet appel à l'action : ${cta}`,
+              hashtags.length > 0 ? `Ajoute ces hashtags : ${hashtags.map(hashtag => `#${hashtag}`).join(' ')}` : 'N\'ajoute pas de hashtag.',
+              `Au plus ${maxLength} caractères. Réponds uniquement par le post.`,
+              '',
+              text
+            ].join('\n')
+          }
+        }],
+        systemPrompt: 'Tu es community manager. Tu adaptes un post à un segment d\'audience sans en changer le sens ni inventer de faits.',
+        maxTokens: Math.min(Math.ceil(maxLength / 2), 1500),
+        temperature: 0.4,
+        includeContext: 'none'
+      });
+
+      const variant = response.content.type === 'text' ? response.content.text.trim() : '';
+      if (!variant || variant.length > maxLength) {
+        this.logger.warn(`Variante du LLM inexploitable pour le segment ${segment.id}, repli sur la mise en forme simple`);
+        return null;
+      }
+
+      return variant;
+    } catch (error) {
+      // Une annulation de l'appel doit interrompre l'outil, pas déclencher le repli
+      context.throwIfAborted();
+      this.logger.warn(`Sampling indisponible, repli sur la mise en forme simple: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Heure locale (fuseau timeZone) d'une date
+   * @param {Date} date - Date
+   * @returns {number} Heure de 0 à 23
+   * @private
+   */
+  hourOf(date) {
+    return parseInt(this.hourFormat.format(date), 10);
+  }
+
+  /**
+   * Prochaine occurrence d'une heure locale, à l'heure pile
+   * @param {number} hour - Heure locale de 0 à 23
+   * @returns {string} Date ISO
+   * @private
+   */
+  nextOccurrence(hour) {
+    const start = Math.ceil(Date.now() / HOUR) * HOUR;
+
+    for (let index = 0; index < 48; index++) {
+      const candidate = new Date(start + index * HOUR);
+      if (this.hourOf(candidate) === hour) {
+        return candidate.toISOString();
+      }
+    }
+    return new Date(start).toISOString();
+  }
+}
+
+/**
+ * Devine la langue d'un texte d'après ses mots les plus fréquents
+ * @param {string} text - Texte
+ * @returns {string|null} Code de langue (fr, en), ou null si rien ne permet de trancher
+ */
+function guessLanguage(text) {
+  const words = text.toLowerCase().match(/\p{L}+/gu) || [];
+  const scores = Object.entries(languageMarkers)
+    .map(([language, markers]) => [language, words.filter(word => markers.includes(word)).length])
+    .sort((a, b) => b[1] - a[1]);
+
+  return scores[0][1] > 0 && scores[0][1] > scores[1][1] ? scores[0][0] : null;
+}
+
+/**
+ * Hashtags d'un texte, en minuscules et sans #
+ * @param {string} text - Texte
+ * @returns {Array<string>} Hashtags distincts
+ */
+function extractHashtags(text) {
+  return [...new Set([...text.normalize('NFC').matchAll(/#([\p{L}\p{N}_]+)/gu)].map(match => match[1].toLowerCase()))];
+}
+
+/**
+ * Clé de la plus grande valeur d'un décompte
+ * @param {object} counts - Décompte par clé
+ * @returns {string|null} Clé, ou null si le décompte est vide
+ */
+function topEntry(counts) {
+  const entries = Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  return entries.length > 0 ? entries[0][0] : null;
+}
+
+/**
+ * Appel à l'action d'un style dans une langue (anglais pour une langue sans traduction)
+ * @param {object} style - Style du sujet (cta par langue)
+ * @param {string} language - Code de langue
+ * @returns {string} Appel à l'action
+ */
+function ctaFor(style, language) {
+  return style.cta[language] || style.cta.en;
+}
+
+/**
+ * Compose une variante sans LLM : brouillon, appel à l'action puis hashtags ; le brouillon est
+ * raccourci si l'ensemble dépasse la longueur permise
+ * @param {string} text - Brouillon
+ * @param {string} cta - Appel à l'action
+ * @param {Array<string>} hashtags - Hashtags (sans #)
+ * @param {number} maxLength - Longueur maximale
+ * @returns {string} Variante
+ */
+function composeVariant(text, cta, hashtags, maxLength) {
+  const body = text.replace(/[ \t]+/g, ' ').trim();
+  const suffix = [cta, hashtags.map(hashtag => `#${hashtag}`).join(' ')].filter(Boolean).join('\n');
+  const room = maxLength - suffix.length - 2;
+
+  // Trop peu de place pour l'appel à l'action : le brouillon seul
+  if (room < Math.min(body.length, 40)) {
+    return truncate(body, maxLength);
+  }
+  return `${truncate(body, room)}\n\n${suffix}`;
+}
+
+/**
+ * Tronque un texte à une longueur maximale, sur une fin de mot si possible
+ * @param {string} text - Texte
+ * @param {number} maxLength - Longueur maximale
+ * @returns {string} Texte tronqué
+ */
+function truncate(text, maxLength) {
+  if (text.length <= maxLength) {
+    return text;
+  }
+
+  const cut = text.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+/**
+ * Identifiant lisible : minuscules sans accents, tirets à la place des autres caractères
+ * @param {string} text - Texte
+ * @returns {string} Identifiant
+ */
+function slugify(text) {
+  return text.normalize('NFD').replace(/\p{M}/gu, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Arrondit à deux décimales
+ * @param {number} value - Valeur
+ * @returns {number} Valeur arrondie
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Résumé des segments
+ * @param {object} result - Segments
+ * @returns {string} Résumé
+ */
+function summarizeSegments(result) {
+  const lines = [`${result.segments.length} segment(s) pour ${result.memberCount} membre(s)`];
+
+  for (const segment of result.segments) {
+    const hashtags = segment.topHashtags.length > 0 ? ` ; ${segment.topHashtags.map(hashtag => `#${hashtag.name}`).join(' ')}` : '';
+    lines.push(`- ${segment.id} : ${segment.description}${hashtags}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Résumé d'un jeu de variantes
+ * @param {object} variantSet - Jeu de variantes
+ * @returns {string} Résumé
+ */
+function summarizeVariants(variantSet) {
+  const lines = [`${variantSet.variants.length} variante(s)${variantSet.platform ? ` pour ${variantSet.platform}` : ''}`];
+
+  for (const variant of variantSet.variants) {
+    lines.push(`- ${variant.segmentName} (ton ${variant.tone}${variant.suggestedTime ? `, à publier vers ${variant.suggestedTime}` : ''}) :`);
+    lines.push(`  ${variant.text.replace(/\n+/g, ' ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+export default PersonalizationAgent;
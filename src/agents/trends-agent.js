@@ -0,0 +1,593 @@
+/**
+ * Agent de tendances
+ * Détecte les sujets émergents dans les posts ingérés : ceux des flux des agents des plateformes
+ * (sujet `stream.post` du bus : flux filtré Twitter, veille Mastodon) et ceux transmis par l'outil
+ * ingest_posts (ex: résultats d'une recherche).
+ * Les fréquences des termes et des hashtags sont comptées sur une fenêtre glissante et comparées à
+ * celles de l'historique (la référence) : un terme dont la fréquence courante dépasse nettement sa
+ * fréquence de référence est en pic. La liste des tendances est recalculée à chaque refreshInterval,
+ * publiée sur le sujet `trends.updated` du bus (utilisée par analyze_post) et dans la ressource
+ * trends://current.
+ */
+
+import BaseAgent from './base-agent.js';
+import config from '../config/config.js';
+import { toolResult, toolError } from '../utils/tool-result.js';
+
+// Mots vides (français et anglais) ignorés dans le décompte des termes
+const STOPWORDS = new Set([
+  'les', 'des', 'une', 'pour', 'avec', 'dans', 'sur', 'sous', 'par', 'pas', 'que', 'qui', 'quoi', 'est', 'sont', 'était',
+  'été', 'être', 'avoir', 'ont', 'avons', 'avez', 'mais', 'plus', 'moins', 'tout', 'tous', 'toute', 'toutes', 'nous',
+  'vous', 'ils', 'elle', 'elles', 'lui', 'leur', 'leurs', 'aux', 'cette', 'ces', 'cet', 'son', 'ses', 'mes', 'tes',
+  'nos', 'vos', 'notre', 'votre', 'fait', 'faire', 'comme', 'très', 'bien', 'aussi', 'encore', 'déjà', 'quand', 'donc',
+  'car', 'alors', 'sans', 'chez', 'entre', 'vers', 'depuis', 'avant', 'après', 'peu', 'trop', 'rien', 'ici', 'là',
+  'oui', 'non', 'merci', 'bonjour', 'the', 'and', 'for', 'with', 'this', 'that', 'are', 'was', 'were', 'you', 'your',
+  'our', 'from', 'have', 'has', 'had', 'not', 'but', 'all', 'can', 'will', 'just', 'about', 'more', 'they', 'their',
+  'them', 'what', 'when', 'who', 'how', 'out', 'its', 'into', 'than', 'then', 'there', 'here', 'been', 'would', 'could'
+]);
+const MIN_TERM_LENGTH = 3;
+const SAMPLE_POSTS = 3;
+
+// Post ingéré, au format des tweets du tableau de bord (platform en plus)
+const ingestedPostSchema = {
+  type: 'object',
+  properties: {
+    platform: { type: 'string' },
+    id: { type: 'string' },
+    text: { type: 'string' },
+    created_at: { type: ['string', 'null'] },
+    hashtags: { type: 'array', items: { type: 'string' } },
+    url: { type: 'string' },
+    user: {
+      type: 'object',
+      properties: { id: { type: 'string' }, screen_name: { type: 'string' } }
+    }
+  },
+  required: ['id', 'text']
+};
+
+// Une tendance : terme ou hashtag en pic dans la fenêtre courante
+const trendSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', description: 'Terme, ou hashtag précédé de #' },
+    type: { type: 'string', enum: ['term', 'hashtag'] },
+    keywords: { type: 'array', items: { type: 'string' } },
+    count: { type: 'integer', description: 'Posts de la fenêtre courante' },
+    authors: { type: 'integer', description: 'Auteurs distincts de ces posts' },
+    baselineCount: { type: 'integer', description: 'Posts de l\'historique de référence' },
+    expected: { type: 'number', description: 'Posts attendus sur une fenêtre d\'après la référence' },
+    ratio: { type: 'number' },
+    strength: { type: 'number', minimum: 0, maximum: 1 },
+    status: { type: 'string', enum: ['emerging', 'rising'], description: 'emerging : absent de la référence' },
+    platforms: { type: 'object', additionalProperties: { type: 'integer' } },
+    samplePosts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: { platform: { type: 'string' }, id: { type: 'string' }, url: { type: ['string', 'null'] } },
+        required: ['platform', 'id']
+      }
+    },
+    detectedAt: { type: 'string' }
+  },
+  required: ['name', 'type', 'keywords', 'count', 'authors', 'baselineCount', 'expected', 'ratio', 'strength', 'status']
+};
+
+const frequencySchema = {
+  type: 'object',
+  properties: { name: { type: 'string' }, count: { type: 'integer' } },
+  required: ['name', 'count']
+};
+
+const trendsSchema = {
+  type: 'object',
+  properties: {
+    generatedAt: { type: ['string', 'null'] },
+    window: { type: 'integer' },
+    baselineWindow: { type: 'integer' },
+    postCount: { type: 'integer', description: 'Posts de la fenêtre courante' },
+    trackedPosts: { type: 'integer', description: 'Posts conservés (fenêtre courante et référence)' },
+    trends: { type: 'array', items: trendSchema },
+    topTerms: { type: 'array', items: frequencySchema },
+    topHashtags: { type: 'array', items: frequencySchema }
+  },
+  required: ['generatedAt', 'window', 'baselineWindow', 'postCount', 'trackedPosts', 'trends', 'topTerms', 'topHashtags']
+};
+
+class TrendsAgent extends BaseAgent {
+  /**
+   * Constructeur de l'agent de tendances
+   * @param {object} agentConfig - Fenêtres et seuils, par défaut config.agents.trendsAgent
+   */
+  constructor(agentConfig = {}) {
+    super('trends', { ...config.agents.trendsAgent, ...agentConfig });
+
+    // Posts ingérés par clé platform:id, dans l'ordre d'ingestion
+    this.posts = new Map();
+    this.snapshot = emptySnapshot(this.config);
+    this.detectedAt = new Map();
+    this.refreshTimer = null;
+
+    this.logger.info(`Agent de tendances créé (fenêtre de ${formatDuration(this.config.window)}, ` +
+      `référence de ${formatDuration(this.config.baselineWindow)}, actualisation toutes les ${formatDuration(this.config.refreshInterval)})`);
+  }
+
+  /**
+   * Initialisation de l'agent avec ses outils et ressources
+   */
+  async initialize() {
+    await super.initialize();
+
+    this.registerTool({
+      name: 'get_trends',
+      description: 'Tendances en cours : termes et hashtags dont la fréquence dans les posts récents dépasse nettement leur fréquence habituelle',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          limit: { type: 'integer', minimum: 1, maximum: 100 },
+          type: { type: 'string', enum: ['all', 'term', 'hashtag'], description: 'all par défaut' },
+          refresh: { type: 'boolean', description: 'Recalcule les tendances sans attendre la prochaine actualisation' }
+        }
+      },
+      outputSchema: trendsSchema,
+      handler: this.getTrends.bind(this)
+    });
+
+    this.registerTool({
+      name: 'get_term_frequency',
+      description: 'Fréquence d\'un terme ou d\'un hashtag (#...) par tranche de la fenêtre courante, sur tout l\'historique conservé',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          term: { type: 'string', minLength: 1 }
+        },
+        required: ['term']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          type: { type: 'string', enum: ['term', 'hashtag'] },
+          total: { type: 'integer' },
+          buckets: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: { start: { type: 'string' }, end: { type: 'string' }, count: { type: 'integer' } },
+              required: ['start', 'end', 'count']
+            }
+          }
+        },
+        required: ['name', 'type', 'total', 'buckets']
+      },
+      handler: this.getTermFrequency.bind(this)
+    });
+
+    this.registerTool({
+      name: 'ingest_posts',
+      description: 'Ajoute des posts (ex: résultats d\'une recherche sur une plateforme) aux données de détection des tendances',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          posts: { type: 'array', items: ingestedPostSchema, minItems: 1, maxItems: 500 },
+          platform: { type: 'string', description: 'Plateforme des posts qui ne la précisent pas' }
+        },
+        required: ['posts']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          ingested: { type: 'integer' },
+          duplicates: { type: 'integer' },
+          outdated: { type: 'integer', description: 'Posts plus anciens que l\'historique de référence' },
+          trackedPosts: { type: 'integer' }
+        },
+        required: ['ingested', 'duplicates', 'outdated', 'trackedPosts']
+      },
+      handler: this.ingestPosts.bind(this)
+    });
+
+    this.registerResource({
+      name: 'current_trends',
+      uri: 'trends://current',
+      mimeType: 'application/json',
+      description: 'Tendances en cours, actualisées à chaque refreshInterval',
+      handler: this.getCurrentTrends.bind(this)
+    });
+  }
+
+  /**
+   * Démarrage de l'agent : abonnement aux posts des flux et actualisation périodique
+   */
+  async start() {
+    await super.start();
+
+    if (this.messageRouter) {
+      this.subscribe('stream.post', post => this.ingest(post));
+    } else {
+      this.logger.warn('Agent de tendances démarré sans bus de messages : seuls les posts transmis par ingest_posts seront comptés');
+    }
+
+    this.refresh();
+    this.refreshTimer = setInterval(() => this.refresh(), this.config.refreshInterval);
+    this.refreshTimer.unref();
+  }
+
+  /**
+   * Arrêt de l'agent
+   */
+  async stop() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+    this.unsubscribe('stream.post');
+
+    await super.stop();
+  }
+
+  /**
+   * Retourne les tendances en cours
+   * @param {object} params - limit, type (all par défaut), refresh
+   * @returns {Promise<object>} Tendances et fréquences de la fenêtre courante
+   */
+  async getTrends(params = {}) {
+    const { limit = this.config.maxTrends, type = 'all', refresh = false } = params;
+
+    try {
+      if (refresh) {
+        this.refresh();
+      }
+
+      const trends = this.snapshot.trends.filter(trend => type === 'all' || trend.type === type).slice(0, limit);
+      const result = { ...this.snapshot, trends };
+
+      return toolResult(result, { summary: summarizeTrends(result) });
+    } catch (error) {
+      this.logger.error(`Erreur lors du calcul des tendances: ${error.message}`);
+      return toolError(`Erreur lors du calcul des tendances: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retourne la fréquence d'un terme par tranche de la fenêtre courante
+   * @param {object} params - term (un hashtag commence par #)
+   * @returns {Promise<object>} Décompte par tranche, de la plus ancienne à la plus récente
+   */
+  async getTermFrequency(params) {
+    const type = params.term.trim().startsWith('#') ? 'hashtag' : 'term';
+    const keyword = normalizeTerm(params.term.trim().replace(/^#/, ''));
+    const name = type === 'hashtag' ? `#${keyword}` : keyword;
+    const now = Date.now();
+    const bucketCount = Math.ceil(this.config.baselineWindow / this.config.window);
+    const counts = new Array(bucketCount).fill(0);
+
+    for (const post of this.posts.values()) {
+      const terms = type === 'hashtag' ? post.hashtags : post.terms;
+      const index = Math.floor((now - post.timestamp) / this.config.window);
+
+      if (index >= 0 && index < bucketCount && terms.includes(keyword)) {
+        counts[bucketCount - 1 - index]++;
+      }
+    }
+
+    const buckets = counts.map((count, index) => {
+      const end = now - (bucketCount - 1 - index) * this.config.window;
+      return { start: new Date(end - this.config.window).toISOString(), end: new Date(end).toISOString(), count };
+    });
+    const total = counts.reduce((sum, count) => sum + count, 0);
+
+    return toolResult({ name, type, total, buckets }, {
+      summary: `${name} : ${total} post(s) sur ${formatDuration(this.config.baselineWindow)}, ` +
+        `${counts[bucketCount - 1]} dans la dernière tranche de ${formatDuration(this.config.window)}`
+    });
+  }
+
+  /**
+   * Ajoute des posts aux données de détection
+   * @param {object} params - posts, platform
+   * @returns {Promise<object>} Posts ajoutés, doublons et posts trop anciens
+   */
+  async ingestPosts(params) {
+    const counts = { ingested: 0, duplicates: 0, outdated: 0 };
+
+    for (const post of params.posts) {
+      counts[this.ingest({ platform: params.platform || 'unknown', ...post })]++;
+    }
+
+    const result = { ...counts, trackedPosts: this.posts.size };
+
+    return toolResult(result, {
+      summary: `${result.ingested} post(s) ajouté(s), ${result.duplicates} doublon(s), ${result.outdated} trop ancien(s) ; ` +
+        `${result.trackedPosts} post(s) suivis`
+    });
+  }
+
+  /**
+   * Retourne les tendances en cours (ressource trends://current)
+   * @returns {Promise<object>} Dernière liste publiée
+   */
+  async getCurrentTrends() {
+    return { content: this.snapshot };
+  }
+
+  /**
+   * Ajoute un post aux données de détection
+   * @param {object} post - Post au format du tableau de bord (platform, id, text, created_at, hashtags, user)
+   * @returns {string} 'ingested', 'duplicates' ou 'outdated'
+   * @private
+   */
+  ingest(post) {
+    const key = `${post.platform}:${post.id}`;
+    const now = Date.now();
+    const createdAt = Date.parse(post.created_at);
+    // Un post sans date (ou daté du futur) est compté à son arrivée
+    const timestamp = Number.isFinite(createdAt) && createdAt <= now ? createdAt : now;
+
+    if (this.posts.has(key)) {
+      return 'duplicates';
+    }
+    if (now - timestamp > this.config.baselineWindow) {
+      return 'outdated';
+    }
+
+    const { terms, hashtags } = extractTerms(post.text || '', post.hashtags || []);
+
+    this.posts.set(key, {
+      platform: post.platform,
+      id: post.id,
+      url: post.url || null,
+      author: (post.user && (post.user.id || post.user.screen_name)) || null,
+      timestamp,
+      terms,
+      hashtags
+    });
+
+    if (this.posts.size > this.config.postsLimit) {
+      this.posts.delete(this.posts.keys().next().value);
+    }
+
+    return 'ingested';
+  }
+
+  /**
+   * Recalcule les tendances et les publie : événement `trends-updated`, sujet `trends.updated`
+   * du bus (s'il est relié) et mise à jour de la ressource trends://current
+   * @private
+   */
+  refresh() {
+    const now = Date.now();
+    this.prune(now);
+
+    const previous = new Set(this.snapshot.trends.map(trend => trend.name));
+    this.snapshot = this.computeSnapshot(now);
+    const emerging = this.snapshot.trends.filter(trend => !previous.has(trend.name)).map(trend => trend.name);
+
+    if (emerging.length > 0) {
+      this.logger.info(`Nouvelle(s) tendance(s) : ${emerging.join(', ')}`);
+    }
+    this.logger.debug(`Tendances actualisées : ${this.snapshot.trends.length} sur ${this.snapshot.postCount} post(s) récents`);
+
+    const update = { ...this.snapshot, emerging };
+    this.emit('trends-updated', update);
+
+    if (this.messageRouter) {
+      this.publish('trends.updated', update);
+    }
+
+    this.notifyResourceUpdated('trends://current');
+  }
+
+  /**
+   * Oublie les posts sortis de l'historique de référence
+   * @param {number} now - Instant du calcul
+   * @private
+   */
+  prune(now) {
+    for (const [key, post] of this.posts) {
+      if (now - post.timestamp > this.config.baselineWindow) {
+        this.posts.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Compte les termes et les hashtags de la fenêtre courante et de la référence, puis repère les pics
+   * La fréquence attendue d'un terme sur une fenêtre est celle de la référence ramenée à la durée de
+   * la fenêtre ; la référence ne couvre que la période réellement observée (démarrage récent)
+   * @param {number} now - Instant du calcul
+   * @returns {object} Tendances et fréquences
+   * @private
+   */
+  computeSnapshot(now) {
+    const { window, baselineWindow, minCount, minAuthors, burstRatio, maxTrends } = this.config;
+    const windowStart = now - window;
+    const stats = new Map();
+    let postCount = 0;
+    let oldest = now;
+
+    for (const post of this.posts.values()) {
+      const current = post.timestamp >= windowStart;
+      oldest = Math.min(oldest, post.timestamp);
+      postCount += current ? 1 : 0;
+
+      for (const [type, keywords] of [['term', post.terms], ['hashtag', post.hashtags]]) {
+        for (const keyword of keywords) {
+          const name = type === 'hashtag' ? `#${keyword}` : keyword;
+          let stat = stats.get(name);
+
+          if (!stat) {
+            stat = { name, type, keyword, count: 0, baselineCount: 0, authors: new Set(), platforms: {}, posts: [] };
+            stats.set(name, stat);
+          }
+
+          if (current) {
+            stat.count++;
+            stat.authors.add(post.author || `${post.platform}:${post.id}`);
+            stat.platforms[post.platform] = (stat.platforms[post.platform] || 0) + 1;
+            stat.posts.push(post);
+          } else {
+            stat.baselineCount++;
+          }
+        }
+      }
+    }
+
+    const baselineSpan = Math.min(Math.max(windowStart - oldest, 0), baselineWindow - window);
+    const ranked = [...stats.values()].map(stat => {
+      const expected = baselineSpan > 0 ? stat.baselineCount * window / baselineSpan : 0;
+      // Lissage : un terme absent de la référence n'est pas en pic infini
+      const ratio = (stat.count + 1) / (expected + 1);
+      return { ...stat, expected, ratio, score: (stat.count - expected) / Math.sqrt(expected + 1) };
+    });
+
+    const trends = ranked
+      .filter(stat => stat.count >= minCount && stat.authors.size >= minAuthors && stat.ratio >= burstRatio)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, maxTrends)
+      .map(stat => {
+        if (!this.detectedAt.has(stat.name)) {
+          this.detectedAt.set(stat.name, new Date(now).toISOString());
+        }
+
+        return {
+          name: stat.name,
+          type: stat.type,
+          keywords: [stat.keyword],
+          count: stat.count,
+          authors: stat.authors.size,
+          baselineCount: stat.baselineCount,
+          expected: round(stat.expected),
+          ratio: round(stat.ratio),
+          strength: round(1 - 1 / stat.ratio),
+          status: stat.baselineCount === 0 ? 'emerging' : 'rising',
+          platforms: stat.platforms,
+          samplePosts: stat.posts.slice(-SAMPLE_POSTS).reverse().map(post => ({ platform: post.platform, id: post.id, url: post.url })),
+          detectedAt: this.detectedAt.get(stat.name)
+        };
+      });
+
+    // Une tendance retombée sera datée à nouveau si elle revient
+    const names = new Set(trends.map(trend => trend.name));
+    for (const name of this.detectedAt.keys()) {
+      if (!names.has(name)) {
+        this.detectedAt.delete(name);
+      }
+    }
+
+    const top = type => ranked
+      .filter(stat => stat.type === type && stat.count > 0)
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+      .slice(0, 10)
+      .map(stat => ({ name: stat.name, count: stat.count }));
+
+    return {
+      generatedAt: new Date(now).toISOString(),
+      window,
+      baselineWindow,
+      postCount,
+      trackedPosts: this.posts.size,
+      trends,
+      topTerms: top('term'),
+      topHashtags: top('hashtag')
+    };
+  }
+}
+
+/**
+ * Liste vide, avant le premier calcul
+ * @param {object} agentConfig - Configuration de l'agent (window, baselineWindow)
+ * @returns {object} Tendances
+ */
+function emptySnapshot(agentConfig) {
+  return {
+    generatedAt: null,
+    window: agentConfig.window,
+    baselineWindow: agentConfig.baselineWindow,
+    postCount: 0,
+    trackedPosts: 0,
+    trends: [],
+    topTerms: [],
+    topHashtags: []
+  };
+}
+
+/**
+ * Extrait les termes et les hashtags distincts d'un post
+ * Les liens et les mentions sont ignorés, ainsi que les mots vides, les nombres et les mots de moins de 3 lettres
+ * @param {string} text - Texte du post
+ * @param {Array<string>} hashtags - Hashtags déjà extraits par la plateforme (avec ou sans #)
+ * @returns {{terms: Array<string>, hashtags: Array<string>}} Termes et hashtags (sans #), normalisés
+ */
+function extractTerms(text, hashtags) {
+  const cleaned = text
+    .normalize('NFC')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/(^|\s)@[\w.@-]+/g, ' ');
+  const tags = new Set(hashtags.map(hashtag => normalizeTerm(hashtag.replace(/^#/, ''))));
+
+  for (const match of cleaned.matchAll(/#([\p{L}\p{N}_]+)/gu)) {
+    tags.add(normalizeTerm(match[1]));
+  }
+
+  const terms = new Set(
+    (cleaned.replace(/#[\p{L}\p{N}_]+/gu, ' ').match(/\p{L}[\p{L}\p{N}-]*/gu) || [])
+      .map(normalizeTerm)
+      .filter(term => term.length >= MIN_TERM_LENGTH && !STOPWORDS.has(term))
+  );
+
+  return { terms: [...terms], hashtags: [...tags].filter(Boolean) };
+}
+
+/**
+ * Normalise un terme : minuscules, forme NFC, tirets de début et de fin retirés
+ * @param {string} term - Terme
+ * @returns {string} Terme normalisé
+ */
+function normalizeTerm(term) {
+  return term.normalize('NFC').toLowerCase().replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Arrondit à deux décimales
+ * @param {number} value - Valeur
+ * @returns {number} Valeur arrondie
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Durée lisible (ex: 15 min, 24 h)
+ * @param {number} ms - Durée en millisecondes
+ * @returns {string} Durée
+ */
+function formatDuration(ms) {
+  if (ms >= 60 * 60 * 1000 && ms % (60 * 60 * 1000) === 0) {
+    return `${ms / (60 * 60 * 1000)} h`;
+  }
+  if (ms >= 60 * 1000) {
+    return `${Math.round(ms / (60 * 1000))} min`;
+  }
+  return `${Math.round(ms / 1000)} s`;
+}
+
+/**
+ * Résumé des tendances
+ * @param {object} result - Tendances
+ * @returns {string} Résumé
+ */
+function summarizeTrends(result) {
+  const lines = [`${result.trends.length} tendance(s) sur ${result.postCount} post(s) de la dernière fenêtre de ${formatDuration(result.window)}`];
+
+  for (const trend of result.trends) {
+    lines.push(`- ${trend.name} (${trend.status === 'emerging' ? 'émergente' : 'en hausse'}) : ${trend.count} post(s), ` +
+      `${trend.authors} auteur(s), ${trend.expected} attendu(s), x${trend.ratio}`);
+  }
+  if (result.trends.length === 0 && result.topHashtags.length > 0) {
+    lines.push(`Hashtags les plus cités : ${result.topHashtags.slice(0, 5).map(hashtag => `${hashtag.name} (${hashtag.count})`).join(', ')}`);
+  }
+
+  return lines.join('\n');
+}
+
+export default TrendsAgent;
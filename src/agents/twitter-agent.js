@@ -1,29 +1,1254 @@
 /**
  * Agent Twitter
- * Responsable de l'interaction avec l'API Twitter
+ * Responsable de l'interaction avec l'API Twitter/X v2 : recherche récente,
+ * profils et timelines des utilisateurs, publication de tweets, réponses, fils et médias.
+ * Chaque publication émet l'événement `published` (et `deleted` pour une suppression),
+ * relayé sur le bus de messages et dans la ressource twitter://publications.
+ * Gère aussi les règles et la connexion du flux filtré : chaque post reçu émet l'événement
+ * `stream-post`, publié sur le sujet `stream.post` du bus (analysé par l'agent d'analyse de contenu).
  */
 
+import fetch from 'node-fetch';
 import BaseAgent from './base-agent.js';
+import TwitterClient from '../clients/twitter-client.js';
+import FilteredStream from '../clients/twitter-stream.js';
 import config from '../config/config.js';
+import { createToolContext } from '../utils/tool-context.js';
+import { toolResult, toolError, getResultText, imageContent } from '../utils/tool-result.js';
+
+// Sélection des champs et expansions de l'API v2, commune aux outils
+const fieldsSchema = {
+  type: 'object',
+  description: 'Champs et expansions à demander à l\'API v2 (tweet.fields, user.fields, expansions)',
+  properties: {
+    tweet: { type: 'array', items: { type: 'string' } },
+    user: { type: 'array', items: { type: 'string' } },
+    expansions: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+const usernameSchema = { type: 'string', pattern: '^@?\\w{1,15}$' };
+
+// Un tweet tel que l'affiche le tableau de bord (displayTweets)
+const tweetSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    text: { type: 'string' },
+    created_at: { type: ['string', 'null'] },
+    lang: { type: ['string', 'null'] },
+    favorite_count: { type: 'integer' },
+    retweet_count: { type: 'integer' },
+    reply_count: { type: 'integer' },
+    quote_count: { type: 'integer' },
+    hashtags: { type: 'array', items: { type: 'string' } },
+    url: { type: 'string' },
+    user: {
+      type: 'object',
+      properties: {
+        id: { type: 'string' },
+        name: { type: 'string' },
+        screen_name: { type: 'string' },
+        profile_image_url: { type: ['string', 'null'] },
+        verified: { type: 'boolean' },
+        followers_count: { type: ['integer', 'null'] }
+      },
+      required: ['id', 'name', 'screen_name']
+    }
+  },
+  required: ['id', 'text', 'user']
+};
+
+const tweetListSchema = {
+  type: 'object',
+  properties: {
+    tweets: { type: 'array', items: tweetSchema },
+    resultCount: { type: 'integer' },
+    nextToken: { type: ['string', 'null'] }
+  },
+  required: ['tweets', 'resultCount', 'nextToken']
+};
+
+const userSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    screen_name: { type: 'string' },
+    description: { type: ['string', 'null'] },
+    profile_image_url: { type: ['string', 'null'] },
+    verified: { type: 'boolean' },
+    created_at: { type: ['string', 'null'] },
+    followers_count: { type: ['integer', 'null'] },
+    following_count: { type: ['integer', 'null'] },
+    tweet_count: { type: ['integer', 'null'] }
+  },
+  required: ['id', 'name', 'screen_name']
+};
+
+const tweetIdSchema = { type: 'string', pattern: '^\\d{1,19}$' };
+
+const mediaIdsSchema = {
+  type: 'array',
+  description: 'Identifiants de médias renvoyés par upload_media (4 au plus)',
+  items: { type: 'string' },
+  minItems: 1,
+  maxItems: 4
+};
+
+// Un tweet publié (ou simulé en mode dry-run)
+const publicationSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    action: { type: 'string', enum: ['tweet', 'reply', 'thread'] },
+    text: { type: 'string' },
+    url: { type: 'string' },
+    inReplyTo: { type: ['string', 'null'] },
+    mediaIds: { type: 'array', items: { type: 'string' } },
+    threadId: { type: ['string', 'null'] },
+    dryRun: { type: 'boolean' },
+    publishedAt: { type: 'string' }
+  },
+  required: ['id', 'action', 'text', 'url', 'dryRun', 'publishedAt']
+};
+
+const threadSchema = {
+  type: 'object',
+  properties: {
+    threadId: { type: 'string' },
+    tweets: { type: 'array', items: publicationSchema },
+    dryRun: { type: 'boolean' }
+  },
+  required: ['threadId', 'tweets', 'dryRun']
+};
+
+const deletionSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    deleted: { type: 'boolean' },
+    dryRun: { type: 'boolean' }
+  },
+  required: ['id', 'deleted', 'dryRun']
+};
+
+const mediaSchema = {
+  type: 'object',
+  properties: {
+    mediaId: { type: 'string' },
+    mimeType: { type: 'string' },
+    category: { type: 'string' },
+    size: { type: 'integer' },
+    segments: { type: 'integer' },
+    altText: { type: ['string', 'null'] },
+    dryRun: { type: 'boolean' }
+  },
+  required: ['mediaId', 'mimeType', 'category', 'size', 'segments', 'dryRun']
+};
+
+// Une règle du flux filtré
+const streamRuleSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    value: { type: 'string' },
+    tag: { type: ['string', 'null'] }
+  },
+  required: ['id', 'value']
+};
+
+const streamRulesSchema = {
+  type: 'object',
+  properties: {
+    rules: { type: 'array', items: streamRuleSchema },
+    count: { type: 'integer' }
+  },
+  required: ['rules', 'count']
+};
+
+const streamRulesChangeSchema = {
+  type: 'object',
+  properties: {
+    created: { type: 'array', items: streamRuleSchema },
+    errors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          value: { type: ['string', 'null'] },
+          id: { type: ['string', 'null'] },
+          title: { type: 'string' },
+          detail: { type: ['string', 'null'] }
+        },
+        required: ['title']
+      }
+    },
+    deleted: { type: 'integer' },
+    notDeleted: { type: 'integer' }
+  }
+};
+
+// État de la connexion au flux filtré
+const streamStatusSchema = {
+  type: 'object',
+  properties: {
+    running: { type: 'boolean' },
+    connected: { type: 'boolean' },
+    connectedAt: { type: ['string', 'null'] },
+    disconnectedAt: { type: ['string', 'null'] },
+    received: { type: 'integer' },
+    reconnects: { type: 'integer' },
+    lastError: { type: ['string', 'null'] }
+  },
+  required: ['running', 'connected', 'received', 'reconnects']
+};
+
+// Types de médias acceptés : catégorie d'upload et taille maximale
+const mediaTypes = {
+  'image/jpeg': { category: 'tweet_image', maxBytes: 5 * 1024 * 1024 },
+  'image/png': { category: 'tweet_image', maxBytes: 5 * 1024 * 1024 },
+  'image/webp': { category: 'tweet_image', maxBytes: 5 * 1024 * 1024 },
+  'image/gif': { category: 'tweet_gif', maxBytes: 15 * 1024 * 1024 },
+  'video/mp4': { category: 'tweet_video', maxBytes: 512 * 1024 * 1024 },
+  'video/quicktime': { category: 'tweet_video', maxBytes: 512 * 1024 * 1024 }
+};
+
+// Longueur pondérée maximale d'un tweet (règles de twitter-text v3)
+const MAX_TWEET_LENGTH = 280;
+const TWEET_URL_LENGTH = 23;
 
 class TwitterAgent extends BaseAgent {
+  /**
+   * Constructeur de l'agent Twitter
+   * @param {object} agentConfig - Identifiants et URL de l'API, par défaut config.socialAPIs.twitter
+   */
   constructor(agentConfig = {}) {
-    super('twitter', { ...config.socialAPIs.twitter, ...agentConfig });
-    this.logger.info('Agent Twitter créé');
+    super('twitter', {
+      ...config.socialAPIs.twitter,
+      dryRun: config.publishing.dryRun,
+      ...agentConfig,
+      stream: { ...config.socialAPIs.twitter.stream, ...agentConfig.stream }
+    });
+    this.client = new TwitterClient(this.config);
+    this.publications = [];
+    
+    // Flux filtré : chaque post reçu est relayé, chaque changement de connexion met à jour twitter://stream
+    this.stream = new FilteredStream(this.client, this.config.stream);
+    this.stream.on('post', message => this.handleStreamPost(message));
+    this.stream.on('connected', () => this.notifyResourceUpdated('twitter://stream'));
+    this.stream.on('disconnected', () => this.notifyResourceUpdated('twitter://stream'));
+    this.logger.info(`Agent Twitter créé${this.config.dryRun ? ' (publication simulée)' : ''}`);
   }
 
+  /**
+   * Initialisation de l'agent avec ses outils et prompts
+   */
   async initialize() {
     await super.initialize();
     this.registerTool({
       name: 'search_tweets',
-      description: 'Recherche des tweets',
+      description: 'Recherche les tweets des 7 derniers jours (syntaxe de recherche de l\'API v2)',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', minLength: 1 },
+          count: { type: 'integer', minimum: 10, maximum: 500 },
+          nextToken: { type: 'string' },
+          fields: fieldsSchema
+        },
+        required: ['query']
+      },
+      outputSchema: tweetListSchema,
       handler: this.searchTweets.bind(this)
     });
+    
+    this.registerTool({
+      name: 'get_user_profile',
+      description: 'Récupère le profil public d\'un utilisateur Twitter',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          username: usernameSchema,
+          fields: fieldsSchema
+        },
+        required: ['username']
+      },
+      outputSchema: userSchema,
+      handler: this.getUserProfile.bind(this)
+    });
+    
+    this.registerTool({
+      name: 'get_user_timeline',
+      description: 'Récupère les derniers tweets publiés par un utilisateur',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          username: usernameSchema,
+          count: { type: 'integer', minimum: 1, maximum: 500 },
+          paginationToken: { type: 'string' },
+          fields: fieldsSchema
+        },
+        required: ['username']
+      },
+      outputSchema: tweetListSchema,
+      handler: this.getUserTimeline.bind(this)
+    });
+    
+    this.registerTool({
+      name: 'post_tweet',
+      sideEffects: true,
+      description: 'Publie un tweet, avec jusqu\'à 4 médias envoyés au préalable par upload_media',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          text: { type: 'string', minLength: 1 },
+          mediaIds: mediaIdsSchema
+        },
+        required: ['text']
+      },
+      outputSchema: publicationSchema,
+      handler: this.postTweet.bind(this)
+    });
+    
+    this.registerTool({
+      name: 'reply_to_tweet',
+      sideEffects: true,
+      description: 'Publie une réponse à un tweet',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tweetId: tweetIdSchema,
+          text: { type: 'string', minLength: 1 },
+          mediaIds: mediaIdsSchema
+        },
+        required: ['tweetId', 'text']
+      },
+      outputSchema: publicationSchema,
+      handler: this.replyToTweet.bind(this)
+    });
+    
+    this.registerTool({
+      name: 'post_thread',
+      sideEffects: true,
+      description: 'Publie un fil : chaque tweet répond au précédent. Tous les tweets sont validés avant l\'envoi du premier',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tweets: {
+            type: 'array',
+            minItems: 2,
+            maxItems: 25,
+            items: {
+              type: 'object',
+              properties: {
+                text: { type: 'string', minLength: 1 },
+                mediaIds: mediaIdsSchema
+              },
+              required: ['text']
+            }
+          }
+        },
+        required: ['tweets']
+      },
+      outputSchema: threadSchema,
+      handler: this.postThread.bind(this)
+    });
+    
+    this.registerTool({
+      name: 'delete_tweet',
+      sideEffects: true,
+      description: 'Supprime un tweet publié par le compte authentifié',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          tweetId: tweetIdSchema
+        },
+        required: ['tweetId']
+      },
+      outputSchema: deletionSchema,
+      handler: this.deleteTweet.bind(this)
+    });
+    
+    this.registerTool({
+      name: 'upload_media',
+      sideEffects: true,
+      description: 'Envoie une image, un GIF ou une vidéo par segments (INIT/APPEND/FINALIZE) et renvoie l\'identifiant du média à joindre à un tweet',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          data: { type: 'string', description: 'Contenu du média en base64 (brut ou data URI)' },
+          url: { type: 'string', pattern: '^https?://', description: 'URL du média à télécharger' },
+          mimeType: { type: 'string', enum: Object.keys(mediaTypes) },
+          altText: { type: 'string', maxLength: 1000 }
+        },
+        oneOf: [{ required: ['data'] }, { required: ['url'] }]
+      },
+      outputSchema: mediaSchema,
+      handler: this.uploadMedia.bind(this)
+    });
+    
+    this.registerTool({
+      name: 'add_stream_rules',
+      sideEffects: true,
+      description: 'Ajoute des règles au flux filtré (syntaxe de la recherche, 512 caractères au plus) avec une étiquette facultative',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          rules: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                value: { type: 'string', minLength: 1, maxLength: 512 },
+                tag: { type: 'string' }
+              },
+              required: ['value']
+            },
+            minItems: 1,
+            maxItems: 25
+          }
+        },
+        required: ['rules']
+      },
+      outputSchema: streamRulesChangeSchema,
+      handler: this.addStreamRules.bind(this)
+    });
+    
+    this.registerTool({
+      name: 'list_stream_rules',
+      description: 'Liste les règles du flux filtré',
+      inputSchema: { type: 'object', properties: {} },
+      outputSchema: streamRulesSchema,
+      handler: this.listStreamRules.bind(this)
+    });
+    
+    this.registerTool({
+      name: 'delete_stream_rules',
+      sideEffects: true,
+      description: 'Supprime des règles du flux filtré',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          ids: { type: 'array', items: tweetIdSchema, minItems: 1 }
+        },
+        required: ['ids']
+      },
+      outputSchema: streamRulesChangeSchema,
+      handler: this.deleteStreamRules.bind(this)
+    });
+    
+    this.registerTool({
+      name: 'start_stream',
+      description: 'Se connecte au flux filtré ; la connexion est maintenue (reconnexion, rattrapage) jusqu\'à stop_stream',
+      inputSchema: { type: 'object', properties: {} },
+      outputSchema: streamStatusSchema,
+      handler: this.startStream.bind(this)
+    });
+    
+    this.registerTool({
+      name: 'stop_stream',
+      description: 'Ferme la connexion au flux filtré',
+      inputSchema: { type: 'object', properties: {} },
+      outputSchema: streamStatusSchema,
+      handler: this.stopStream.bind(this)
+    });
+    
+    this.registerResource({
+      name: 'twitter_stream',
+      uri: 'twitter://stream',
+      mimeType: 'application/json',
+      description: 'État de la connexion au flux filtré (posts reçus, reconnexions, dernière erreur)',
+      handler: this.getStreamStatus.bind(this)
+    });
+    
+    this.registerResource({
+      name: 'twitter_publications',
+      uri: 'twitter://publications',
+      mimeType: 'application/json',
+      description: 'Tweets publiés (ou simulés) par l\'agent, du plus récent au plus ancien',
+      handler: this.getPublications.bind(this)
+    });
+    
+    this.registerPrompt({
+      name: 'draft_tweet_reply',
+      description: 'Rédige une réponse à un tweet dans la voix de la marque',
+      arguments: [
+        { name: 'tweet', description: 'Texte du tweet auquel répondre', required: true },
+        { name: 'brandVoice', description: 'Description de la voix de la marque', required: false }
+      ],
+      handler: this.buildReplyPrompt.bind(this)
+    });
+    
+    this.registerPrompt({
+      name: 'summarize_hashtag_sentiment',
+      description: 'Résume le sentiment exprimé autour d\'un hashtag à partir des tweets récents',
+      arguments: [
+        { name: 'hashtag', description: 'Hashtag à étudier (avec ou sans #)', required: true },
+        { name: 'count', description: 'Nombre de tweets à inclure (20 par défaut)', required: false }
+      ],
+      handler: this.buildHashtagSentimentPrompt.bind(this)
+    });
+  }
+  
+  /**
+   * Démarrage de l'agent, et du flux filtré si config.stream.autoStart
+   */
+  async start() {
+    await super.start();
+    
+    if (this.config.stream.autoStart) {
+      this.stream.start();
+    }
+  }
+
+  /**
+   * Arrêt de l'agent et de la connexion au flux filtré
+   */
+  async stop() {
+    await this.stream.stop();
+    await super.stop();
+  }
+  
+  /**
+   * Recherche des tweets récents, sur plusieurs pages si nécessaire
+   * @param {object} params - query, count (10 par défaut), nextToken, fields
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Tweets trouvés et curseur de la page suivante
+   */
+  async searchTweets(params, context = createToolContext()) {
+    const { query, count = 10, nextToken, fields } = params;
+    
+    try {
+      const page = await this.collectPages(context, count, 10, (cursor, maxResults) =>
+        this.client.searchRecent({ query, maxResults, nextToken: cursor || nextToken, fields, signal: context.signal }));
+      const result = formatTweetList(page);
+      
+      this.logger.info(`Recherche '${query}': ${result.resultCount} tweet(s)`);
+      return toolResult(result, { summary: summarizeTweets(result, `pour « ${query} »`) });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la recherche de tweets: ${error.message}`);
+      return toolError(`Erreur lors de la recherche de tweets: ${error.message}`);
+    }
+  }
+
+  /**
+   * Récupère le profil d'un utilisateur
+   * @param {object} params - username, fields
+   * @returns {Promise<object>} Profil de l'utilisateur
+   */
+  async getUserProfile(params) {
+    const username = params.username.replace(/^@/, '');
+    
+    try {
+      const response = await this.client.getUserByUsername(username, params.fields);
+      const user = formatUser(response.data);
+      
+      return toolResult(user, {
+        summary: `${user.name} (@${user.screen_name})${user.verified ? ' ✓' : ''}\n` +
+          `${user.description || ''}\n` +
+          `${user.followers_count ?? '?'} abonnés · ${user.following_count ?? '?'} abonnements · ${user.tweet_count ?? '?'} tweets`
+      });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la récupération du profil de @${username}: ${error.message}`);
+      return toolError(`Erreur lors de la récupération du profil de @${username}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Récupère les derniers tweets d'un utilisateur
+   * @param {object} params - username, count (10 par défaut), paginationToken, fields
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Tweets de l'utilisateur et curseur de la page suivante
+   */
+  async getUserTimeline(params, context = createToolContext()) {
+    const username = params.username.replace(/^@/, '');
+    const { count = 10, paginationToken, fields } = params;
+    
+    try {
+      const { data: user } = await this.client.getUserByUsername(username);
+      const page = await this.collectPages(context, count, 5, (cursor, maxResults) =>
+        this.client.getUserTweets(user.id, { maxResults, paginationToken: cursor || paginationToken, fields, signal: context.signal }));
+      const result = formatTweetList(page);
+      
+      return toolResult(result, { summary: summarizeTweets(result, `de @${username}`) });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la récupération de la timeline de @${username}: ${error.message}`);
+      return toolError(`Erreur lors de la récupération de la timeline de @${username}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parcourt les pages d'un point d'accès en signalant l'avancement
+   * @param {object} context - Contexte d'exécution de l'outil
+   * @param {number} count - Nombre de tweets voulu
+   * @param {number} minPageSize - Taille minimale d'une page pour ce point d'accès
+   * @param {Function} fetchPage - Appelée avec (curseur, taille de page)
+   * @returns {Promise<{data: Array, includes: object, nextToken: string|null}>} Tweets cumulés
+   * @private
+   */
+  async collectPages(context, count, minPageSize, fetchPage) {
+    let collected = 0;
+    
+    return this.client.paginate(async (cursor, maxResults) => {
+      context.throwIfAborted();
+      const page = await fetchPage(cursor, maxResults);
+      
+      collected += (page.data || []).length;
+      context.reportProgress(Math.min(collected, count), count, `${Math.min(collected, count)}/${count} tweets récupérés`);
+      return page;
+    }, { count, minPageSize });
+  }
+
+  /**
+   * Publie un tweet
+   * @param {object} params - text, mediaIds
+   * @returns {Promise<object>} Tweet publié
+   */
+  async postTweet(params) {
+    const invalid = validateTweet(params);
+    
+    if (invalid) {
+      return toolError(invalid);
+    }
+    
+    try {
+      const publication = await this.sendTweet(params, { action: 'tweet' });
+      return toolResult(publication, { summary: summarizePublication(publication) });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la publication du tweet: ${error.message}`);
+      return toolError(`Erreur lors de la publication du tweet: ${error.message}`);
+    }
+  }
+
+  /**
+   * Publie une réponse à un tweet
+   * @param {object} params - tweetId, text, mediaIds
+   * @returns {Promise<object>} Réponse publiée
+   */
+  async replyToTweet(params) {
+    const { tweetId, ...tweet } = params;
+    const invalid = validateTweet(tweet);
+    
+    if (invalid) {
+      return toolError(invalid);
+    }
+    
+    try {
+      const publication = await this.sendTweet(tweet, { action: 'reply', inReplyTo: tweetId });
+      return toolResult(publication, { summary: summarizePublication(publication) });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la réponse au tweet ${tweetId}: ${error.message}`);
+      return toolError(`Erreur lors de la réponse au tweet ${tweetId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Publie un fil de tweets, chacun en réponse au précédent
+   * Si un envoi échoue, les tweets déjà publiés sont signalés dans le message d'erreur
+   * @param {object} params - tweets ({ text, mediaIds })
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Tweets du fil
+   */
+  async postThread(params, context = createToolContext()) {
+    const { tweets } = params;
+    const invalid = tweets
+      .map((tweet, index) => {
+        const error = validateTweet(tweet);
+        return error && `Tweet ${index + 1} : ${error}`;
+      })
+      .find(Boolean);
+    
+    if (invalid) {
+      return toolError(invalid);
+    }
+    
+    const published = [];
+    
+    try {
+      for (const tweet of tweets) {
+        context.throwIfAborted();
+        const previous = published[published.length - 1];
+        published.push(await this.sendTweet(tweet, {
+          action: 'thread',
+          inReplyTo: previous ? previous.id : null,
+          threadId: published.length > 0 ? published[0].id : null
+        }));
+        context.reportProgress(published.length, tweets.length, `${published.length}/${tweets.length} tweets publiés`);
+      }
+    } catch (error) {
+      const publishedIds = published.map(publication => publication.id).join(', ');
+      this.logger.error(`Fil interrompu après ${published.length} tweet(s): ${error.message}`);
+      return toolError(`Fil interrompu après ${published.length}/${tweets.length} tweet(s) publié(s)` +
+        `${publishedIds ? ` (${publishedIds})` : ''} : ${error.message}`);
+    }
+    
+    const thread = { threadId: published[0].id, tweets: published, dryRun: this.client.dryRun };
+    
+    return toolResult(thread, {
+      summary: [`Fil de ${published.length} tweets publié${thread.dryRun ? ' (simulation)' : ''} : ${published[0].url}`,
+        ...published.map((publication, index) => `${index + 1}. ${publication.text}`)].join('\n')
+    });
+  }
+
+  /**
+   * Supprime un tweet
+   * @param {object} params - tweetId
+   * @returns {Promise<object>} Résultat de la suppression
+   */
+  async deleteTweet(params) {
+    const { tweetId } = params;
+    
+    try {
+      const response = await this.client.deleteTweet(tweetId);
+      const result = { id: tweetId, deleted: Boolean(response.data && response.data.deleted), dryRun: this.client.dryRun };
+      
+      if (result.deleted) {
+        const publication = this.publications.find(candidate => candidate.id === tweetId);
+        if (publication) {
+          publication.deletedAt = new Date().toISOString();
+        }
+        
+        this.notifyPublication('deleted', { platform: 'twitter', ...result, deletedAt: new Date().toISOString() });
+      }
+      
+      return toolResult(result, {
+        summary: result.deleted
+          ? `Tweet ${tweetId} supprimé${result.dryRun ? ' (simulation)' : ''}`
+          : `Le tweet ${tweetId} n'a pas été supprimé`
+      });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la suppression du tweet ${tweetId}: ${error.message}`);
+      return toolError(`Erreur lors de la suppression du tweet ${tweetId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Envoie un média par segments : INIT, APPEND pour chaque segment, FINALIZE,
+   * puis STATUS tant que le traitement (vidéos, GIF) n'est pas terminé
+   * @param {object} params - data (base64) ou url, mimeType, altText
+   * @param {object} context - Contexte d'exécution (voir createToolContext)
+   * @returns {Promise<object>} Identifiant du média à joindre à un tweet
+   */
+  async uploadMedia(params, context = createToolContext()) {
+    const { altText = null } = params;
+    
+    try {
+      const media = await this.loadMedia(params, context);
+      const mediaType = mediaTypes[media.mimeType];
+      
+      if (!mediaType) {
+        return toolError(`Type de média non supporté: ${media.mimeType || 'inconnu'} (acceptés : ${Object.keys(mediaTypes).join(', ')})`);
+      }
+      if (media.data.length > mediaType.maxBytes) {
+        return toolError(`Média trop volumineux: ${media.data.length} octets (${mediaType.maxBytes} au plus pour ${media.mimeType})`);
+      }
+      
+      const chunkSize = config.publishing.mediaChunkSize;
+      const segments = Math.max(Math.ceil(media.data.length / chunkSize), 1);
+      const steps = segments + 1;
+      
+      const init = await this.client.initMediaUpload({
+        totalBytes: media.data.length,
+        mediaType: media.mimeType,
+        mediaCategory: mediaType.category
+      });
+      const mediaId = init.media_id_string;
+      
+      for (let index = 0; index < segments; index++) {
+        context.throwIfAborted();
+        await this.client.appendMediaSegment(mediaId, index, media.data.subarray(index * chunkSize, (index + 1) * chunkSize));
+        context.reportProgress(index + 1, steps, `Segment ${index + 1}/${segments} envoyé`);
+      }
+      
+      let { processing_info: processing } = await this.client.finalizeMediaUpload(mediaId);
+      
+      while (processing && ['pending', 'in_progress'].includes(processing.state)) {
+        context.reportProgress(segments, steps, `Traitement du média${processing.progress_percent !== undefined ? ` (${processing.progress_percent} %)` : ''}`);
+        await wait((processing.check_after_secs || 1) * 1000);
+        context.throwIfAborted();
+        ({ processing_info: processing } = await this.client.getMediaStatus(mediaId));
+      }
+      
+      if (processing && processing.state === 'failed') {
+        throw new Error(`traitement du média en échec${processing.error ? ` : ${processing.error.message}` : ''}`);
+      }
+      
+      if (altText) {
+        await this.client.createMediaMetadata(mediaId, altText);
+      }
+      
+      context.reportProgress(steps, steps, 'Média prêt');
+      
+      const result = {
+        mediaId,
+        mimeType: media.mimeType,
+        category: mediaType.category,
+        size: media.data.length,
+        segments,
+        altText,
+        dryRun: this.client.dryRun
+      };
+      
+      this.logger.info(`Média ${mediaId} envoyé (${result.mimeType}, ${result.size} octets, ${segments} segment(s))`);
+      return toolResult(result, {
+        summary: `Média ${mediaId} prêt${result.dryRun ? ' (simulation)' : ''} : ${result.mimeType}, ${result.size} octets en ${segments} segment(s)`
+      });
+    } catch (error) {
+      this.logger.error(`Erreur lors de l'envoi du média: ${error.message}`);
+      return toolError(`Erreur lors de l'envoi du média: ${error.message}`);
+    }
   }
+
+  /**
+   * Retourne les publications récentes de l'agent
+   * @param {object} params - limit (20 par défaut), offset
+   * @returns {Promise<object>} Publications, de la plus récente à la plus ancienne
+   */
+  async getPublications(params = {}) {
+    // Les paramètres peuvent provenir d'une URI de ressource, donc être des chaînes
+    const limit = parseInt(params.limit ?? 20, 10);
+    const offset = parseInt(params.offset ?? 0, 10);
+    const publications = [...this.publications].reverse();
+    
+    return {
+      content: {
+        total: publications.length,
+        offset,
+        limit,
+        dryRun: this.client.dryRun,
+        publications: publications.slice(offset, offset + limit)
+      }
+    };
+  }
+
+  /**
+   * Ajoute des règles au flux filtré
+   * Les règles refusées (doublon, syntaxe) sont renvoyées dans errors sans faire échouer les autres
+   * @param {object} params - rules ({ value, tag })
+   * @returns {Promise<object>} Règles créées et règles refusées
+   */
+  async addStreamRules(params) {
+    const { rules } = params;
+    
+    try {
+      const response = await this.client.addStreamRules(rules);
+      const result = {
+        created: (response.data || []).map(formatStreamRule),
+        errors: (response.errors || []).map(error => ({
+          value: error.value ?? null,
+          id: error.id ?? null,
+          title: error.title,
+          detail: (error.details && error.details.join(' ')) || error.detail || null
+        }))
+      };
+      
+      this.logger.info(`${result.created.length} règle(s) ajoutée(s) au flux filtré, ${result.errors.length} refusée(s)`);
+      return toolResult(result, {
+        summary: [`${result.created.length} règle(s) ajoutée(s) au flux filtré`,
+          ...result.created.map(rule => `- ${rule.id} : ${rule.value}${rule.tag ? ` [${rule.tag}]` : ''}`),
+          ...result.errors.map(error => `- refusée (${error.title}) : ${error.value}`)].join('\n')
+      });
+    } catch (error) {
+      this.logger.error(`Erreur lors de l'ajout des règles du flux: ${error.message}`);
+      return toolError(`Erreur lors de l'ajout des règles du flux: ${error.message}`);
+    }
+  }
+
+  /**
+   * Liste les règles du flux filtré
+   * @returns {Promise<object>} Règles
+   */
+  async listStreamRules() {
+    try {
+      const response = await this.client.getStreamRules();
+      const rules = (response.data || []).map(formatStreamRule);
+      
+      return toolResult({ rules, count: rules.length }, {
+        summary: [`${rules.length} règle(s) dans le flux filtré`,
+          ...rules.map(rule => `- ${rule.id} : ${rule.value}${rule.tag ? ` [${rule.tag}]` : ''}`)].join('\n')
+      });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la lecture des règles du flux: ${error.message}`);
+      return toolError(`Erreur lors de la lecture des règles du flux: ${error.message}`);
+    }
+  }
+
+  /**
+   * Supprime des règles du flux filtré
+   * @param {object} params - ids
+   * @returns {Promise<object>} Nombre de règles supprimées et introuvables
+   */
+  async deleteStreamRules(params) {
+    const { ids } = params;
+    
+    try {
+      const response = await this.client.deleteStreamRules(ids);
+      const summary = (response.meta && response.meta.summary) || {};
+      const result = { deleted: summary.deleted || 0, notDeleted: summary.not_deleted || 0 };
+      
+      this.logger.info(`${result.deleted} règle(s) supprimée(s) du flux filtré`);
+      return toolResult(result, {
+        summary: `${result.deleted} règle(s) supprimée(s) du flux filtré${result.notDeleted ? `, ${result.notDeleted} introuvable(s)` : ''}`
+      });
+    } catch (error) {
+      this.logger.error(`Erreur lors de la suppression des règles du flux: ${error.message}`);
+      return toolError(`Erreur lors de la suppression des règles du flux: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ouvre la connexion au flux filtré (sans effet si elle est déjà ouverte)
+   * @returns {Promise<object>} État de la connexion
+   */
+  async startStream() {
+    this.stream.start();
+    const status = this.stream.getStatus();
+    
+    return toolResult(status, { summary: 'Connexion au flux filtré démarrée' });
+  }
+
+  /**
+   * Ferme la connexion au flux filtré
+   * @returns {Promise<object>} État de la connexion
+   */
+  async stopStream() {
+    await this.stream.stop();
+    const status = this.stream.getStatus();
+    
+    return toolResult(status, { summary: `Flux filtré fermé (${status.received} post(s) reçu(s))` });
+  }
+
+  /**
+   * Retourne l'état de la connexion au flux filtré
+   * @returns {Promise<object>} État de la connexion
+   */
+  async getStreamStatus() {
+    return { content: this.stream.getStatus() };
+  }
+
+  /**
+   * Relaie un post reçu sur le flux filtré : événement `stream-post` et sujet `stream.post` du bus
+   * @param {object} message - Message du flux (data, includes, matching_rules)
+   * @private
+   */
+  handleStreamPost(message) {
+    const { data, includes = {}, matching_rules: matchingRules = [] } = message;
+    const author = (includes.users || []).find(user => user.id === data.author_id);
+    const mediaByKey = new Map((includes.media || []).map(media => [media.media_key, media]));
+    const mediaUrls = ((data.attachments && data.attachments.media_keys) || [])
+      .map(key => mediaByKey.get(key))
+      .map(media => media && (media.url || media.preview_image_url))
+      .filter(Boolean);
+    
+    const post = {
+      platform: 'twitter',
+      ...formatTweet(data, author),
+      mediaUrls,
+      matchingRules: matchingRules.map(rule => ({ id: rule.id, tag: rule.tag || null })),
+      receivedAt: new Date().toISOString()
+    };
+    
+    this.logger.debug(`Post ${post.id} reçu sur le flux filtré (règles : ${post.matchingRules.map(rule => rule.tag || rule.id).join(', ')})`);
+    this.emit('stream-post', post);
+    
+    if (this.messageRouter) {
+      this.publish('stream.post', post);
+    }
+  }
+
+  /**
+   * Envoie un tweet puis signale sa publication
+   * @param {object} tweet - text, mediaIds
+   * @param {object} options - action ('tweet', 'reply' ou 'thread'), inReplyTo, threadId
+   * @returns {Promise<object>} Publication
+   * @private
+   */
+  async sendTweet(tweet, options) {
+    const { action, inReplyTo = null, threadId = null } = options;
+    const payload = { text: tweet.text };
+    
+    if (inReplyTo) {
+      payload.reply = { in_reply_to_tweet_id: inReplyTo };
+    }
+    if (tweet.mediaIds && tweet.mediaIds.length > 0) {
+      payload.media = { media_ids: tweet.mediaIds };
+    }
+    
+    const { data } = await this.client.createTweet(payload);
+    const publication = {
+      id: data.id,
+      action,
+      text: data.text ?? tweet.text,
+      url: `https://x.com/i/web/status/${data.id}`,
+      inReplyTo,
+      mediaIds: tweet.mediaIds || [],
+      threadId: action === 'thread' ? threadId || data.id : null,
+      dryRun: this.client.dryRun,
+      publishedAt: new Date().toISOString()
+    };
+    
+    this.publications.push(publication);
+    if (this.publications.length > config.publishing.historyLimit) {
+      this.publications.shift();
+    }
+    
+    this.logger.info(`Tweet ${publication.id} publié${publication.dryRun ? ' (simulation)' : ''}`);
+    this.notifyPublication('published', { platform: 'twitter', ...publication });
+    return publication;
+  }
+
+  /**
+   * Signale une publication ou une suppression : événement de l'agent, sujet du bus
+   * de messages (s'il est relié) et mise à jour de la ressource twitter://publications
+   * @param {string} event - 'published' ou 'deleted'
+   * @param {object} payload - Publication (platform, id...)
+   * @private
+   */
+  notifyPublication(event, payload) {
+    this.emit(event, payload);
+    
+    if (this.messageRouter) {
+      this.publish(`publication.${event}`, payload);
+    }
+    
+    this.notifyResourceUpdated('twitter://publications');
+  }
+
+  /**
+   * Lit le contenu d'un média fourni en base64 ou par URL
+   * @param {object} params - data ou url, mimeType
+   * @param {object} context - Contexte d'exécution (annulation du téléchargement)
+   * @returns {Promise<{data: Buffer, mimeType: string}>} Contenu et type MIME
+   * @private
+   */
+  async loadMedia(params, context) {
+    if (params.data) {
+      const image = imageContent(params.data, params.mimeType);
+      const dataUri = params.data.match(/^data:([\w/.+-]+);base64,(.*)$/s);
+      
+      return {
+        data: Buffer.from(dataUri ? dataUri[2] : params.data, 'base64'),
+        mimeType: params.mimeType || (dataUri && dataUri[1]) || (image && image.mimeType)
+      };
+    }
+    
+    const response = await fetch(params.url, { signal: context.signal });
+    
+    if (!response.ok) {
+      throw new Error(`téléchargement de ${params.url} impossible (HTTP ${response.status})`);
+    }
+    
+    return {
+      data: Buffer.from(await response.arrayBuffer()),
+      mimeType: params.mimeType || (response.headers.get('content-type') || '').split(';')[0].trim()
+    };
+  }
+
+  /**
+   * Construit le prompt de réponse à un tweet
+   * @param {object} args - Arguments du prompt (tweet, brandVoice)
+   * @returns {string} Texte du prompt
+   */
+  buildReplyPrompt(args) {
+    const { tweet, brandVoice = 'chaleureuse, concise et professionnelle' } = args;
+    
+    return [
+      `Rédige une réponse au tweet ci-dessous. Voix de la marque : ${brandVoice}.`,
+      'La réponse doit tenir en 280 caractères, ne pas contenir plus d\'un hashtag',
+      'et inviter à poursuivre l\'échange si le tweet pose une question ou exprime un problème.',
+      '',
+      'Tweet :',
+      tweet
+    ].join('\n');
+  }
+
+  /**
+   * Construit le prompt de synthèse du sentiment autour d'un hashtag
+   * Les tweets récents sont embarqués dans le prompt
+   * @param {object} args - Arguments du prompt (hashtag, count)
+   * @returns {Promise<object>} Messages du prompt
+   */
+  async buildHashtagSentimentPrompt(args) {
+    const hashtag = args.hashtag.replace(/^#/, '');
+    const count = parseInt(args.count || '20', 10);
+    const result = await this.searchTweets({ query: `#${hashtag}`, count });
+    
+    if (result.isError) {
+      throw new Error(getResultText(result));
+    }
+    
+    const { tweets } = result.structuredContent;
+    
+    return {
+      messages: [{
+        role: 'user',
+        content: {
+          type: 'text',
+          text: [
+            `Voici les ${tweets.length} tweets les plus récents contenant #${hashtag} (JSON) :`,
+            JSON.stringify(tweets.map(tweet => ({
+              user: tweet.user.screen_name,
+              text: tweet.text,
+              likes: tweet.favorite_count,
+              retweets: tweet.retweet_count
+            })), null, 2),
+            '',
+            'Résume le sentiment général (positif, négatif, neutre) avec sa répartition approximative,',
+            'les thèmes récurrents et les tweets les plus représentatifs.'
+          ].join('\n')
+        }
+      }]
+    };
+  }
+}
+
+/**
+ * Convertit une réponse paginée de l'API v2 en liste de tweets affichable
+ * @param {{data: Array, includes: object, nextToken: string|null}} page - Tweets et expansions cumulés
+ * @returns {{tweets: Array<object>, resultCount: number, nextToken: string|null}} Liste de tweets
+ */
+function formatTweetList(page) {
+  const usersById = new Map((page.includes.users || []).map(user => [user.id, user]));
+  const tweets = page.data.map(tweet => formatTweet(tweet, usersById.get(tweet.author_id)));
   
-  async searchTweets(params) {
-    return { success: true, content: [] };
+  return { tweets, resultCount: tweets.length, nextToken: page.nextToken };
+}
+
+/**
+ * Convertit un tweet v2 au format du tableau de bord (champs hérités de l'API v1.1)
+ * @param {object} tweet - Tweet renvoyé par l'API v2
+ * @param {object} author - Auteur du tweet (expansion author_id), si disponible
+ * @returns {object} Tweet formaté
+ */
+function formatTweet(tweet, author) {
+  const metrics = tweet.public_metrics || {};
+  const user = author
+    ? {
+      id: author.id,
+      name: author.name,
+      screen_name: author.username,
+      profile_image_url: author.profile_image_url || null,
+      verified: Boolean(author.verified),
+      followers_count: author.public_metrics ? author.public_metrics.followers_count : null
+    }
+    : { id: tweet.author_id || 'inconnu', name: 'Utilisateur inconnu', screen_name: tweet.author_id || 'inconnu', profile_image_url: null, verified: false, followers_count: null };
+  
+  return {
+    id: tweet.id,
+    text: tweet.text,
+    created_at: tweet.created_at || null,
+    lang: tweet.lang || null,
+    favorite_count: metrics.like_count || 0,
+    retweet_count: metrics.retweet_count || 0,
+    reply_count: metrics.reply_count || 0,
+    quote_count: metrics.quote_count || 0,
+    hashtags: ((tweet.entities && tweet.entities.hashtags) || []).map(hashtag => hashtag.tag),
+    url: `https://x.com/${user.screen_name}/status/${tweet.id}`,
+    user
+  };
+}
+
+/**
+ * Convertit une règle du flux filtré
+ * @param {object} rule - Règle renvoyée par l'API
+ * @returns {{id: string, value: string, tag: string|null}} Règle
+ */
+function formatStreamRule(rule) {
+  return { id: rule.id, value: rule.value, tag: rule.tag || null };
+}
+
+/**
+ * Convertit un utilisateur v2 au format du tableau de bord
+ * @param {object} user - Utilisateur renvoyé par l'API v2
+ * @returns {object} Profil formaté
+ */
+function formatUser(user) {
+  const metrics = user.public_metrics || {};
+  
+  return {
+    id: user.id,
+    name: user.name,
+    screen_name: user.username,
+    description: user.description ?? null,
+    profile_image_url: user.profile_image_url || null,
+    verified: Boolean(user.verified),
+    created_at: user.created_at || null,
+    followers_count: metrics.followers_count ?? null,
+    following_count: metrics.following_count ?? null,
+    tweet_count: metrics.tweet_count ?? null
+  };
+}
+
+/**
+ * Résume une liste de tweets pour le bloc texte du résultat
+ * @param {object} result - Liste de tweets
+ * @param {string} scope - Origine des tweets (ex: « pour « #IA » »)
+ * @returns {string} Résumé lisible
+ */
+function summarizeTweets(result, scope) {
+  const lines = [`${result.resultCount} tweet(s) ${scope}`];
+  
+  result.tweets.forEach(tweet => {
+    lines.push(`- @${tweet.user.screen_name} : ${tweet.text.replace(/\s+/g, ' ')} (♥ ${tweet.favorite_count}, ↻ ${tweet.retweet_count})`);
+  });
+  
+  if (result.nextToken) {
+    lines.push(`Page suivante : nextToken=${result.nextToken}`);
   }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Vérifie qu'un tweet peut être publié, avant tout envoi
+ * @param {object} tweet - text, mediaIds
+ * @returns {string|null} Message d'erreur, ou null si le tweet est valide
+ */
+function validateTweet(tweet) {
+  const length = tweetLength(tweet.text);
+  
+  if (length > MAX_TWEET_LENGTH) {
+    return `Tweet trop long : ${length} caractères pondérés (${MAX_TWEET_LENGTH} au plus)`;
+  }
+  
+  return null;
+}
+
+/**
+ * Calcule la longueur pondérée d'un tweet : une URL compte pour 23 caractères,
+ * les caractères hors des plages latines courantes (CJK, emoji...) comptent double
+ * @param {string} text - Texte du tweet
+ * @returns {number} Longueur pondérée
+ */
+function tweetLength(text) {
+  const urls = text.match(/https?:\/\/\S+/g) || [];
+  const rest = text.replace(/https?:\/\/\S+/g, '');
+  
+  return urls.length * TWEET_URL_LENGTH + [...rest].reduce((length, char) => {
+    const code = char.codePointAt(0);
+    const light = code <= 4351 || (code >= 8192 && code <= 8205) || (code >= 8208 && code <= 8223) || (code >= 8242 && code <= 8247);
+    return length + (light ? 1 : 2);
+  }, 0);
+}
+
+/**
+ * Résume une publication pour le bloc texte du résultat
+ * @param {object} publication - Publication
+ * @returns {string} Résumé lisible
+ */
+function summarizePublication(publication) {
+  const kind = publication.action === 'reply' ? `Réponse au tweet ${publication.inReplyTo} publiée` : 'Tweet publié';
+  return `${kind}${publication.dryRun ? ' (simulation)' : ''} : ${publication.url}\n${publication.text}`;
+}
+
+/**
+ * Attend un délai
+ * @param {number} ms - Délai en millisecondes
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 export default TwitterAgent;
\ No newline at end of file
@@ -0,0 +1,336 @@
+/**
+ * Client de l'API Bluesky (AT Protocol, méthodes XRPC)
+ * Connexion par mot de passe d'application (com.atproto.server.createSession) : le jeton d'accès,
+ * de courte durée, est renouvelé avec le jeton de rafraîchissement quand le serveur répond
+ * ExpiredToken, ou par une nouvelle connexion si le jeton de rafraîchissement a expiré lui aussi.
+ * Les méthodes app.bsky.* sont servies par le PDS du compte, qui les relaie à l'AppView.
+ * Pagination par curseur. Les images sont envoyées comme blobs (com.atproto.repo.uploadBlob)
+ * puis référencées dans l'enregistrement du post.
+ * En mode simulation (dryRun), l'envoi des blobs et l'écriture des enregistrements sont
+ * journalisés sans être envoyés.
+ * Les requêtes passent par le planificateur partagé (en-têtes ratelimit-*) : la connexion a son
+ * propre budget, les autres méthodes partagent le budget global du compte.
+ */
+
+import fetch from 'node-fetch';
+import requestScheduler, { credentialId, readRateLimitPolicyHeaders } from './request-scheduler.js';
+import loggerModule from '../utils/logger.js';
+
+const logger = loggerModule.createSubLogger('Bluesky-Client');
+
+// Budgets de l'API : les méthodes absentes partagent le budget global du compte
+const RATE_LIMIT_BUCKETS = {
+  'com.atproto.server.createSession': 'POST com.atproto.server.createSession'
+};
+const GLOBAL_BUCKET = '* /xrpc';
+
+// Collection des posts dans le dépôt du compte
+const POST_COLLECTION = 'app.bsky.feed.post';
+
+/**
+ * Erreur renvoyée par l'API Bluesky
+ */
+export class BlueskyApiError extends Error {
+  /**
+   * @param {string} message - Message d'erreur
+   * @param {number} status - Statut HTTP
+   * @param {object} details - error (ex: ExpiredToken, InvalidRequest) renvoyé par l'API
+   */
+  constructor(message, status, details = {}) {
+    super(message);
+    this.name = 'BlueskyApiError';
+    this.status = status;
+    this.error = details.error || null;
+  }
+}
+
+class BlueskyClient {
+  /**
+   * @param {object} credentials - Identifiants et serveur
+   * @param {string} credentials.identifier - Handle ou e-mail du compte
+   * @param {string} credentials.appPassword - Mot de passe d'application
+   * @param {string} credentials.serviceUrl - URL du PDS (ex: https://bsky.social ou serveur simulé)
+   * @param {boolean} credentials.dryRun - Journalise les requêtes d'écriture au lieu de les envoyer
+   */
+  constructor(credentials = {}) {
+    this.credentials = credentials;
+    this.serviceUrl = (credentials.serviceUrl || 'https://bsky.social').replace(/\/$/, '');
+    this.dryRun = Boolean(credentials.dryRun);
+    this.dryRunSequence = 0;
+    this.scheduler = requestScheduler;
+    // Session ouverte : { did, handle, accessJwt, refreshJwt }
+    this.session = null;
+    this.authenticating = null;
+  }
+
+  /**
+   * Ouvre la session si nécessaire et retourne le compte connecté
+   * @returns {Promise<{did: string, handle: string}>} Compte
+   */
+  async getSession() {
+    await this.ensureSession();
+    return { did: this.session.did, handle: this.session.handle };
+  }
+
+  /**
+   * Résout un handle en DID
+   * @param {string} handle - Handle (ex: alice.bsky.social)
+   * @returns {Promise<string>} DID (ex: did:plc:...)
+   */
+  async resolveHandle(handle) {
+    const { did } = await this.request('GET', 'com.atproto.identity.resolveHandle', { params: { handle } });
+    return did;
+  }
+
+  /**
+   * Récupère le profil d'un compte
+   * @param {string} actor - Handle ou DID
+   * @returns {Promise<object>} Profil détaillé (app.bsky.actor.defs#profileViewDetailed)
+   */
+  async getProfile(actor) {
+    return this.request('GET', 'app.bsky.actor.getProfile', { params: { actor } });
+  }
+
+  /**
+   * Liste les posts et republications d'un compte, du plus récent au plus ancien
+   * @param {string} actor - Handle ou DID
+   * @param {object} params - limit (100 au plus), cursor, filter (posts_with_replies, posts_no_replies,
+   *   posts_with_media, posts_and_author_threads), signal
+   * @returns {Promise<{feed: Array<object>, cursor: string}>} Éléments du fil (post, reason) et curseur suivant
+   */
+  async getAuthorFeed(actor, params = {}) {
+    const { limit = 50, cursor, filter, signal } = params;
+
+    return this.request('GET', 'app.bsky.feed.getAuthorFeed', { params: { actor, limit, cursor, filter }, signal });
+  }
+
+  /**
+   * Recherche des posts
+   * @param {object} params - q, limit (100 au plus), cursor, sort (top ou latest), author, lang, since, signal
+   * @returns {Promise<{posts: Array<object>, cursor: string, hitsTotal: number}>} Posts et curseur suivant
+   */
+  async searchPosts(params) {
+    const { q, limit = 25, cursor, sort, author, lang, since, signal } = params;
+
+    return this.request('GET', 'app.bsky.feed.searchPosts', { params: { q, limit, cursor, sort, author, lang, since }, signal });
+  }
+
+  /**
+   * Envoie un blob (image) dans le dépôt du compte
+   * Le blob n'est conservé que s'il est référencé par un enregistrement peu après
+   * @param {Buffer} data - Contenu
+   * @param {string} mimeType - Type MIME
+   * @returns {Promise<object>} Référence du blob ({ $type: 'blob', ref, mimeType, size })
+   */
+  async uploadBlob(data, mimeType) {
+    const { blob } = await this.request('POST', 'com.atproto.repo.uploadBlob', {
+      file: { data, mimeType },
+      dryRunResponse: () => ({
+        blob: { $type: 'blob', ref: { $link: this.nextDryRunId('blob') }, mimeType, size: data.length }
+      })
+    });
+
+    return blob;
+  }
+
+  /**
+   * Publie un post
+   * @param {object} record - Enregistrement app.bsky.feed.post (text, facets, embed, langs, createdAt)
+   * @returns {Promise<{uri: string, cid: string|null}>} Adresse AT et CID du post
+   */
+  async createPost(record) {
+    const { did } = await this.getSession();
+
+    return this.request('POST', 'com.atproto.repo.createRecord', {
+      body: { repo: did, collection: POST_COLLECTION, record: { $type: POST_COLLECTION, ...record } },
+      dryRunResponse: () => ({ uri: `at://${did}/${POST_COLLECTION}/${this.nextDryRunId('post')}`, cid: null })
+    });
+  }
+
+  /**
+   * Supprime un post du compte
+   * @param {string} uri - Adresse AT du post (at://<did>/app.bsky.feed.post/<rkey>)
+   * @returns {Promise<object>} Réponse vide
+   */
+  async deletePost(uri) {
+    const { did } = await this.getSession();
+    const [, repo, collection, rkey] = uri.match(/^at:\/\/([^/]+)\/([^/]+)\/([^/]+)$/) || [];
+
+    if (collection !== POST_COLLECTION || repo !== did) {
+      throw new BlueskyApiError(`${uri} n'est pas un post du compte`, 400, { error: 'InvalidRequest' });
+    }
+
+    return this.request('POST', 'com.atproto.repo.deleteRecord', {
+      body: { repo, collection, rkey },
+      dryRunResponse: () => ({})
+    });
+  }
+
+  /**
+   * Retourne les dernières limites de débit connues pour le compte du client, par budget
+   * @returns {object} { limit, remaining, reset, queued } indexé par budget (* /xrpc : budget global du compte)
+   */
+  getRateLimits() {
+    const credentials = this.credentials.identifier ? [credentialId('user', this.credentials.identifier)] : [];
+
+    return Object.fromEntries(this.scheduler.getBudgets({ platform: 'bluesky', credentials })
+      .map(({ endpoint, limit, remaining, reset, queued }) => [endpoint, { limit, remaining, reset, queued }]));
+  }
+
+  /**
+   * Ouvre la session si aucune n'est ouverte
+   * Les appels concurrents partagent la même connexion
+   * @returns {Promise<void>}
+   * @private
+   */
+  async ensureSession() {
+    if (this.session) {
+      return;
+    }
+
+    if (!this.authenticating) {
+      this.authenticating = this.createSession().finally(() => {
+        this.authenticating = null;
+      });
+    }
+
+    await this.authenticating;
+  }
+
+  /**
+   * Se connecte avec le mot de passe d'application
+   * @returns {Promise<void>}
+   * @throws {BlueskyApiError} Si les identifiants manquent ou sont refusés
+   * @private
+   */
+  async createSession() {
+    const { identifier, appPassword } = this.credentials;
+
+    if (!identifier || !appPassword) {
+      throw new BlueskyApiError('Identifiants Bluesky manquants (BLUESKY_IDENTIFIER, BLUESKY_APP_PASSWORD)', 401);
+    }
+
+    const body = await this.request('POST', 'com.atproto.server.createSession', {
+      body: { identifier, password: appPassword },
+      auth: false
+    });
+
+    this.session = { did: body.did, handle: body.handle, accessJwt: body.accessJwt, refreshJwt: body.refreshJwt };
+    logger.info(`Session Bluesky ouverte pour ${body.handle} (${body.did})`);
+  }
+
+  /**
+   * Renouvelle le jeton d'accès avec le jeton de rafraîchissement, ou se reconnecte si
+   * celui-ci est refusé. Les appels concurrents partagent le même renouvellement
+   * @returns {Promise<void>}
+   * @private
+   */
+  async refreshSession() {
+    if (!this.authenticating) {
+      const { refreshJwt } = this.session;
+
+      this.authenticating = this.request('POST', 'com.atproto.server.refreshSession', { auth: false, token: refreshJwt })
+        .then(body => {
+          this.session = { did: body.did, handle: body.handle, accessJwt: body.accessJwt, refreshJwt: body.refreshJwt };
+          logger.info('Jeton d\'accès Bluesky renouvelé');
+        })
+        .catch(error => {
+          logger.warn(`Renouvellement de la session Bluesky refusé (${error.message}), nouvelle connexion`);
+          this.session = null;
+          return this.createSession();
+        })
+        .finally(() => {
+          this.authenticating = null;
+        });
+    }
+
+    await this.authenticating;
+  }
+
+  /**
+   * Exécute une méthode XRPC
+   * En mode simulation, les requêtes qui fournissent options.dryRunResponse sont journalisées
+   * telles qu'elles seraient envoyées, et dryRunResponse() fournit la réponse.
+   * Après une réponse ExpiredToken, la session est renouvelée et la requête renvoyée une fois
+   * @param {string} method - Méthode HTTP (GET pour les requêtes, POST pour les procédures)
+   * @param {string} nsid - Identifiant de la méthode XRPC (ex: app.bsky.feed.searchPosts)
+   * @param {object} options - params (query string, valeurs undefined ignorées), body (corps JSON),
+   *   file (corps brut : data, mimeType), signal, auth (false : sans session), token (jeton imposé), dryRunResponse
+   * @returns {Promise<object>} Corps JSON de la réponse
+   * @throws {BlueskyApiError} Si l'API renvoie une erreur
+   * @private
+   */
+  async request(method, nsid, options = {}) {
+    const { params = {}, body: payload, file, signal, auth = true, token, dryRunResponse } = options;
+    const search = new URLSearchParams(
+      Object.entries(params)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => [key, String(value)])
+    ).toString();
+    const url = `${this.serviceUrl}/xrpc/${nsid}`;
+
+    if (this.dryRun && dryRunResponse) {
+      const detail = payload ? ` ${JSON.stringify(payload)}` : file ? ` (${file.mimeType}, ${file.data.length} octets)` : '';
+      logger.info(`[simulation] ${method} ${url}${detail}`);
+      return dryRunResponse();
+    }
+
+    if (auth) {
+      await this.ensureSession();
+    }
+
+    logger.debug(`${method} ${nsid}${search ? `?${search}` : ''}`);
+
+    const send = () => this.scheduler.schedule({
+      platform: 'bluesky',
+      endpoint: RATE_LIMIT_BUCKETS[nsid] || GLOBAL_BUCKET,
+      method,
+      credential: credentialId('user', this.credentials.identifier),
+      signal,
+      readRateLimit: readRateLimitPolicyHeaders
+    }, () => {
+      const bearer = token || (auth ? this.session.accessJwt : null);
+      const headers = bearer ? { Authorization: `Bearer ${bearer}` } : {};
+      let requestBody;
+
+      if (payload) {
+        headers['Content-Type'] = 'application/json';
+        requestBody = JSON.stringify(payload);
+      } else if (file) {
+        headers['Content-Type'] = file.mimeType;
+        requestBody = file.data;
+      }
+
+      return fetch(search ? `${url}?${search}` : url, { method, headers, body: requestBody, signal });
+    });
+
+    let response = await send();
+    let body = await response.json().catch(() => ({}));
+
+    if (auth && !token && body.error === 'ExpiredToken') {
+      await this.refreshSession();
+      response = await send();
+      body = await response.json().catch(() => ({}));
+    }
+
+    if (!response.ok) {
+      throw new BlueskyApiError(`API Bluesky (${response.status}) : ${body.message || body.error || `Erreur HTTP ${response.status}`}`,
+        response.status, { error: body.error });
+    }
+
+    return body;
+  }
+
+  /**
+   * Identifiant attribué à un objet créé en mode simulation
+   * @param {string} kind - 'post' ou 'blob'
+   * @returns {string} Identifiant (ex: dry-run-post-3)
+   * @private
+   */
+  nextDryRunId(kind) {
+    this.dryRunSequence += 1;
+    return `dry-run-${kind}-${this.dryRunSequence}`;
+  }
+}
+
+export default BlueskyClient;
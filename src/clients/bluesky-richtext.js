@@ -0,0 +1,117 @@
+/**
+ * Texte enrichi Bluesky : détection des mentions, liens et hashtags d'un post et construction
+ * de ses facettes (app.bsky.richtext.facet)
+ * Les positions des facettes sont des offsets en octets dans le texte encodé en UTF-8, et non
+ * des indices de caractères JavaScript (UTF-16) : un accent compte pour 2 octets, un emoji pour 4.
+ * Les règles de détection suivent celles de l'application Bluesky (mentions de handles valides,
+ * liens http(s), hashtags de 64 caractères au plus, ponctuation finale exclue).
+ */
+
+// Mention : @ suivi d'un handle, en début de texte ou après un espace ou une parenthèse
+const MENTION_REGEX = /(^|\s|\()@([a-zA-Z0-9.-]+)(\b)/g;
+const HANDLE_REGEX = /^([a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?\.)+[a-zA-Z]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?$/;
+// Lien : URL http(s) complète, en début de texte ou après un espace ou une parenthèse
+const LINK_REGEX = /(^|\s|\()(https?:\/\/\S+)/gi;
+// Hashtag : # suivi d'au moins un caractère qui n'est ni un chiffre, ni un espace, ni une ponctuation
+const TAG_REGEX = /(^|\s)[#\uFF03]((?!\uFE0F)[^\s\u00AD\u2060\u200A\u200B\u200C\u200D\u20E2]*[^\d\s\p{P}\u00AD\u2060\u200A\u200B\u200C\u200D\u20E2]+[^\s\u00AD\u2060\u200A\u200B\u200C\u200D\u20E2]*)?/gu;
+const MAX_TAG_LENGTH = 64;
+
+/**
+ * Construit les facettes d'un post
+ * Les mentions dont le handle ne peut pas être résolu restent du texte simple
+ * @param {string} text - Texte du post
+ * @param {Function} resolveHandle - Résout un handle en DID (rejette si le handle est inconnu)
+ * @returns {Promise<Array<object>>} Facettes, dans l'ordre du texte
+ */
+export async function buildFacets(text, resolveHandle) {
+  const segments = detectSegments(text);
+  const facets = [];
+
+  for (const segment of segments) {
+    let feature;
+
+    if (segment.type === 'mention') {
+      try {
+        feature = { $type: 'app.bsky.richtext.facet#mention', did: await resolveHandle(segment.value) };
+      } catch (error) {
+        continue;
+      }
+    } else if (segment.type === 'link') {
+      feature = { $type: 'app.bsky.richtext.facet#link', uri: segment.value };
+    } else {
+      feature = { $type: 'app.bsky.richtext.facet#tag', tag: segment.value };
+    }
+
+    facets.push({ index: byteRange(text, segment.start, segment.end), features: [feature] });
+  }
+
+  return facets;
+}
+
+/**
+ * Repère les mentions, liens et hashtags d'un texte
+ * @param {string} text - Texte du post
+ * @returns {Array<{type: string, value: string, start: number, end: number}>} Segments (indices UTF-16),
+ *   dans l'ordre du texte : value est le handle (sans @), l'URL ou le hashtag (sans #)
+ */
+export function detectSegments(text) {
+  const segments = [];
+
+  for (const match of text.matchAll(MENTION_REGEX)) {
+    const handle = match[2].replace(/\.+$/, '');
+
+    if (HANDLE_REGEX.test(handle)) {
+      const start = match.index + match[1].length;
+      segments.push({ type: 'mention', value: handle.toLowerCase(), start, end: start + handle.length + 1 });
+    }
+  }
+
+  for (const match of text.matchAll(LINK_REGEX)) {
+    let uri = match[2].replace(/[.,;:!?"']+$/, '');
+
+    // Parenthèse fermante sans parenthèse ouvrante dans l'URL : elle appartient au texte
+    if (uri.endsWith(')') && !uri.includes('(')) {
+      uri = uri.slice(0, -1);
+    }
+
+    const start = match.index + match[1].length;
+    segments.push({ type: 'link', value: uri, start, end: start + uri.length });
+  }
+
+  for (const match of text.matchAll(TAG_REGEX)) {
+    const tag = (match[2] || '').trim().replace(/\p{P}+$/gu, '');
+
+    if (tag && tag.length <= MAX_TAG_LENGTH) {
+      const start = match.index + match[1].length;
+      segments.push({ type: 'tag', value: tag, start, end: start + tag.length + 1 });
+    }
+  }
+
+  // Un hashtag ou une mention à l'intérieur d'un lien (ancre, paramètre) n'est pas une facette
+  return segments
+    .sort((a, b) => a.start - b.start)
+    .filter((segment, index, sorted) => !sorted.some((other, otherIndex) => otherIndex !== index
+      && other.type === 'link' && segment.type !== 'link' && segment.start >= other.start && segment.start < other.end));
+}
+
+/**
+ * Longueur d'un texte en graphèmes (caractères perçus : un emoji composé compte pour un)
+ * C'est l'unité de la limite de 300 caractères d'un post
+ * @param {string} text - Texte
+ * @returns {number} Nombre de graphèmes
+ */
+export function graphemeLength(text) {
+  return [...new Intl.Segmenter().segment(text)].length;
+}
+
+/**
+ * Convertit des indices UTF-16 en offsets en octets UTF-8
+ * @param {string} text - Texte
+ * @param {number} start - Indice de début
+ * @param {number} end - Indice de fin (exclu)
+ * @returns {{byteStart: number, byteEnd: number}} Offsets
+ */
+function byteRange(text, start, end) {
+  const byteStart = Buffer.byteLength(text.slice(0, start), 'utf8');
+  return { byteStart, byteEnd: byteStart + Buffer.byteLength(text.slice(start, end), 'utf8') };
+}
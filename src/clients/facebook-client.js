@@ -0,0 +1,332 @@
+/**
+ * Client de l'API Graph pour les pages Facebook
+ * Authentification par jeton de page (en-tête Authorization) avec, si le secret de l'application
+ * est fourni, la preuve appsecret_proof. Pagination par curseur (paging.cursors.after).
+ * Les posts sont publiés immédiatement ou programmés (published=false et scheduled_publish_time).
+ * En mode simulation (dryRun), les requêtes de publication et de modération sont journalisées
+ * sans être envoyées.
+ * Les requêtes passent par le planificateur partagé ; le budget est lu dans l'en-tête
+ * x-business-use-case-usage (pourcentages d'utilisation).
+ */
+
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import requestScheduler, { credentialId, readBusinessUseCaseUsage } from './request-scheduler.js';
+import loggerModule from '../utils/logger.js';
+
+const logger = loggerModule.createSubLogger('Facebook-Client');
+
+// Champs demandés par défaut pour la page, un post et un commentaire
+const PAGE_FIELDS = ['id', 'name', 'username', 'category', 'about', 'link', 'fan_count', 'followers_count'];
+const POST_FIELDS = ['id', 'message', 'created_time', 'permalink_url', 'full_picture', 'status_type', 'shares',
+  'reactions.summary(total_count).limit(0)', 'comments.summary(total_count).limit(0)'];
+const SCHEDULED_POST_FIELDS = ['id', 'message', 'created_time', 'scheduled_publish_time', 'permalink_url', 'full_picture'];
+const COMMENT_FIELDS = ['id', 'message', 'from', 'created_time', 'like_count', 'comment_count', 'is_hidden', 'can_hide', 'can_remove'];
+
+/**
+ * Erreur renvoyée par l'API Graph
+ */
+export class FacebookApiError extends Error {
+  /**
+   * @param {string} message - Message d'erreur
+   * @param {number} status - Statut HTTP
+   * @param {object} details - code, subcode, type et fbtraceId renvoyés par l'API
+   */
+  constructor(message, status, details = {}) {
+    super(message);
+    this.name = 'FacebookApiError';
+    this.status = status;
+    this.code = details.code ?? null;
+    this.subcode = details.subcode ?? null;
+    this.type = details.type || null;
+    this.fbtraceId = details.fbtraceId || null;
+  }
+}
+
+class FacebookClient {
+  /**
+   * @param {object} credentials - Identifiants et point d'accès
+   * @param {string} credentials.accessToken - Jeton de la page, avec les permissions pages_* et read_insights
+   * @param {string} credentials.apiSecret - Secret de l'application, pour appsecret_proof (facultatif)
+   * @param {string} credentials.pageId - Identifiant de la page
+   * @param {string} credentials.baseUrl - URL de l'API (https://graph.facebook.com/v21.0 ou serveur simulé)
+   * @param {boolean} credentials.dryRun - Journalise les requêtes d'écriture au lieu de les envoyer
+   */
+  constructor(credentials = {}) {
+    this.credentials = credentials;
+    this.baseUrl = (credentials.baseUrl || 'https://graph.facebook.com/v21.0').replace(/\/$/, '');
+    this.dryRun = Boolean(credentials.dryRun);
+    this.dryRunSequence = 0;
+    this.scheduler = requestScheduler;
+  }
+
+  /**
+   * Récupère les informations de la page
+   * @param {Array<string>} fields - Champs à demander (PAGE_FIELDS par défaut)
+   * @returns {Promise<object>} Page
+   */
+  async getPage(fields = PAGE_FIELDS) {
+    return this.request('GET', '/:pageId', { pageId: this.pageId() }, { fields: fields.join(',') });
+  }
+
+  /**
+   * Liste les posts publiés par la page, du plus récent au plus ancien
+   * @param {object} params - limit (100 au plus), after (curseur), signal (annule l'attente du budget)
+   * @returns {Promise<object>} Réponse de l'API (data, paging)
+   */
+  async getPosts(params = {}) {
+    const { limit = 25, after, signal } = params;
+
+    return this.request('GET', '/:pageId/posts', { pageId: this.pageId() }, {
+      fields: POST_FIELDS.join(','),
+      limit,
+      after
+    }, { signal });
+  }
+
+  /**
+   * Récupère un post par son identifiant
+   * @param {string} postId - Identifiant du post ({page-id}_{post-id})
+   * @param {Array<string>} fields - Champs à demander (POST_FIELDS par défaut)
+   * @returns {Promise<object>} Post
+   */
+  async getPost(postId, fields = POST_FIELDS) {
+    return this.request('GET', '/:postId', { postId }, { fields: fields.join(',') });
+  }
+
+  /**
+   * Liste les posts programmés de la page
+   * @param {object} params - limit, after (curseur), signal
+   * @returns {Promise<object>} Réponse de l'API (data, paging)
+   */
+  async getScheduledPosts(params = {}) {
+    const { limit = 25, after, signal } = params;
+
+    return this.request('GET', '/:pageId/scheduled_posts', { pageId: this.pageId() }, {
+      fields: SCHEDULED_POST_FIELDS.join(','),
+      limit,
+      after
+    }, { signal });
+  }
+
+  /**
+   * Récupère les statistiques de la page
+   * @param {object} params - metrics, period (day, week, days_28), since et until (secondes epoch)
+   * @returns {Promise<object>} Réponse de l'API (data : { name, period, values })
+   */
+  async getPageInsights(params) {
+    const { metrics, period = 'day', since, until } = params;
+
+    return this.request('GET', '/:pageId/insights', { pageId: this.pageId() }, {
+      metric: metrics.join(','),
+      period,
+      since,
+      until
+    });
+  }
+
+  /**
+   * Récupère les statistiques d'un post
+   * @param {string} postId - Identifiant du post ({page-id}_{post-id})
+   * @param {Array<string>} metrics - Métriques (ex: post_impressions, post_clicks, post_reactions_by_type_total)
+   * @returns {Promise<object>} Réponse de l'API (data : { name, period, values })
+   */
+  async getPostInsights(postId, metrics) {
+    return this.request('GET', '/:postId/insights', { postId }, { metric: metrics.join(','), period: 'lifetime' });
+  }
+
+  /**
+   * Liste les commentaires d'un post, y compris les réponses et les commentaires masqués
+   * @param {string} postId - Identifiant du post
+   * @param {object} params - limit, after (curseur), signal
+   * @returns {Promise<object>} Réponse de l'API (data, paging)
+   */
+  async getComments(postId, params = {}) {
+    const { limit = 25, after, signal } = params;
+
+    return this.request('GET', '/:postId/comments', { postId }, {
+      fields: COMMENT_FIELDS.join(','),
+      filter: 'stream',
+      order: 'reverse_chronological',
+      limit,
+      after
+    }, { signal });
+  }
+
+  /**
+   * Publie ou programme un post sur la page
+   * @param {object} payload - message, link, scheduledPublishTime (secondes epoch : post programmé)
+   * @returns {Promise<object>} Réponse de l'API ({ id } du post)
+   */
+  async createPost(payload) {
+    const { message, link, scheduledPublishTime } = payload;
+
+    return this.request('POST', '/:pageId/feed', { pageId: this.pageId() }, {}, {
+      body: {
+        message,
+        ...(link ? { link } : {}),
+        ...(scheduledPublishTime ? { published: false, scheduled_publish_time: scheduledPublishTime } : {})
+      },
+      dryRunResponse: () => ({ id: this.nextDryRunId('post') })
+    });
+  }
+
+  /**
+   * Publie ou programme une photo (téléchargée par l'API depuis son URL) sur la page
+   * @param {object} payload - url, caption, scheduledPublishTime (secondes epoch : post programmé)
+   * @returns {Promise<object>} Réponse de l'API ({ id } de la photo, post_id du post)
+   */
+  async createPhotoPost(payload) {
+    const { url, caption, scheduledPublishTime } = payload;
+
+    return this.request('POST', '/:pageId/photos', { pageId: this.pageId() }, {}, {
+      body: {
+        url,
+        ...(caption ? { caption } : {}),
+        ...(scheduledPublishTime ? { published: false, scheduled_publish_time: scheduledPublishTime } : {})
+      },
+      dryRunResponse: () => ({ id: this.nextDryRunId('photo'), post_id: this.nextDryRunId('post') })
+    });
+  }
+
+  /**
+   * Masque ou réaffiche un commentaire (un commentaire masqué reste visible de son auteur et de ses amis)
+   * @param {string} commentId - Identifiant du commentaire
+   * @param {boolean} hidden - true pour masquer, false pour réafficher
+   * @returns {Promise<object>} Réponse de l'API ({ success })
+   */
+  async hideComment(commentId, hidden = true) {
+    return this.request('POST', '/:commentId', { commentId }, {}, {
+      body: { is_hidden: hidden },
+      dryRunResponse: () => ({ success: true })
+    });
+  }
+
+  /**
+   * Supprime un commentaire
+   * @param {string} commentId - Identifiant du commentaire
+   * @returns {Promise<object>} Réponse de l'API ({ success })
+   */
+  async deleteComment(commentId) {
+    return this.request('DELETE', '/:commentId', { commentId }, {}, {
+      dryRunResponse: () => ({ success: true })
+    });
+  }
+
+  /**
+   * Retourne les dernières limites de débit connues pour le jeton du client, par point d'accès
+   * @returns {object} { limit, remaining, reset, queued } indexé par point d'accès (en pourcentage d'utilisation)
+   */
+  getRateLimits() {
+    const credentials = this.credentials.accessToken ? [credentialId('page', this.credentials.accessToken)] : [];
+
+    return Object.fromEntries(this.scheduler.getBudgets({ platform: 'facebook', credentials })
+      .map(({ endpoint, limit, remaining, reset, queued }) => [endpoint, { limit, remaining, reset, queued }]));
+  }
+
+  /**
+   * Identifiant de la page configurée
+   * @returns {string} Identifiant
+   * @throws {FacebookApiError} Si la page n'est pas configurée
+   * @private
+   */
+  pageId() {
+    if (!this.credentials.pageId) {
+      throw new FacebookApiError('Page Facebook non configurée (FACEBOOK_PAGE_ID)', 400);
+    }
+
+    return this.credentials.pageId;
+  }
+
+  /**
+   * Exécute une requête authentifiée
+   * En mode simulation, les requêtes qui fournissent options.dryRunResponse sont journalisées
+   * telles qu'elles seraient envoyées, et dryRunResponse() fournit la réponse
+   * @param {string} method - Méthode HTTP
+   * @param {string} route - Route relative à l'URL de l'API (ex: /:postId/comments)
+   * @param {object} pathParams - Valeurs des paramètres de la route
+   * @param {object} query - Paramètres de la query string (les valeurs undefined sont ignorées)
+   * @param {object} options - body (corps JSON), signal (annule l'attente du budget), dryRunResponse
+   * @returns {Promise<object>} Corps JSON de la réponse
+   * @throws {FacebookApiError} Si l'API renvoie une erreur
+   * @private
+   */
+  async request(method, route, pathParams = {}, query = {}, options = {}) {
+    const { body: payload, signal, dryRunResponse } = options;
+    const { accessToken, apiSecret } = this.credentials;
+    const endpoint = route.replace(/:(\w+)/g, (match, name) => encodeURIComponent(pathParams[name]));
+    const params = Object.fromEntries(
+      Object.entries(query)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => [key, String(value)])
+    );
+    const url = `${this.baseUrl}${endpoint}`;
+
+    if (this.dryRun && dryRunResponse) {
+      logger.info(`[simulation] ${method} ${url}${payload ? ` ${JSON.stringify(payload)}` : ''}`);
+      return dryRunResponse();
+    }
+
+    if (!accessToken) {
+      throw new FacebookApiError('Jeton d\'accès de la page Facebook manquant (FACEBOOK_PAGE_ACCESS_TOKEN)', 401);
+    }
+
+    // appsecret_proof : HMAC-SHA256 du jeton avec le secret de l'application
+    if (apiSecret) {
+      params.appsecret_proof = crypto.createHmac('sha256', apiSecret).update(accessToken).digest('hex');
+    }
+
+    const search = new URLSearchParams(params).toString();
+    logger.debug(`${method} ${endpoint}`);
+
+    const response = await this.scheduler.schedule({
+      platform: 'facebook',
+      endpoint: `${method} ${route}`,
+      method,
+      credential: credentialId('page', accessToken),
+      signal,
+      readRateLimit: readBusinessUseCaseUsage
+    }, () => {
+      const headers = { Authorization: `Bearer ${accessToken}` };
+
+      if (payload) {
+        headers['Content-Type'] = 'application/json';
+      }
+
+      return fetch(search ? `${url}?${search}` : url, {
+        method,
+        headers,
+        body: payload ? JSON.stringify(payload) : undefined,
+        signal
+      });
+    });
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok || body.error) {
+      const error = body.error || {};
+      throw new FacebookApiError(`API Facebook (${response.status}) : ${error.error_user_msg || error.message || `Erreur HTTP ${response.status}`}`,
+        response.status, {
+          code: error.code,
+          subcode: error.error_subcode,
+          type: error.type,
+          fbtraceId: error.fbtrace_id
+        });
+    }
+
+    return body;
+  }
+
+  /**
+   * Identifiant attribué à un objet créé en mode simulation
+   * @param {string} kind - 'post' ou 'photo'
+   * @returns {string} Identifiant (ex: dry-run-post-3)
+   * @private
+   */
+  nextDryRunId(kind) {
+    this.dryRunSequence += 1;
+    return `dry-run-${kind}-${this.dryRunSequence}`;
+  }
+}
+
+export default FacebookClient;
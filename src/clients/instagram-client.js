@@ -0,0 +1,294 @@
+/**
+ * Client de l'API Instagram Graph (comptes professionnels)
+ * Authentification par jeton d'accès (en-tête Authorization) avec, si le secret de l'application
+ * est fourni, la preuve appsecret_proof. Pagination par curseur (paging.cursors.after).
+ * La publication suit le flux des conteneurs : création du conteneur, attente de son traitement
+ * (status_code FINISHED), puis publication. En mode simulation (dryRun), les requêtes de publication
+ * sont journalisées sans être envoyées.
+ * Les requêtes passent par le planificateur partagé ; le budget est lu dans l'en-tête
+ * x-business-use-case-usage (pourcentages d'utilisation).
+ */
+
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import requestScheduler, { credentialId, readBusinessUseCaseUsage } from './request-scheduler.js';
+import loggerModule from '../utils/logger.js';
+
+const logger = loggerModule.createSubLogger('Instagram-Client');
+
+// Champs demandés par défaut pour un média et pour un commentaire
+const MEDIA_FIELDS = ['id', 'caption', 'media_type', 'media_product_type', 'media_url', 'thumbnail_url', 'permalink',
+  'timestamp', 'like_count', 'comments_count', 'children{id,media_type,media_url}'];
+const COMMENT_FIELDS = ['id', 'text', 'username', 'timestamp', 'like_count', 'replies{id,text,username,timestamp}'];
+
+/**
+ * Erreur renvoyée par l'API Graph
+ */
+export class InstagramApiError extends Error {
+  /**
+   * @param {string} message - Message d'erreur
+   * @param {number} status - Statut HTTP
+   * @param {object} details - code, subcode, type et fbtraceId renvoyés par l'API
+   */
+  constructor(message, status, details = {}) {
+    super(message);
+    this.name = 'InstagramApiError';
+    this.status = status;
+    this.code = details.code ?? null;
+    this.subcode = details.subcode ?? null;
+    this.type = details.type || null;
+    this.fbtraceId = details.fbtraceId || null;
+  }
+}
+
+class InstagramClient {
+  /**
+   * @param {object} credentials - Identifiants et point d'accès
+   * @param {string} credentials.accessToken - Jeton d'accès (utilisateur ou système) avec les permissions instagram_*
+   * @param {string} credentials.apiSecret - Secret de l'application, pour appsecret_proof (facultatif)
+   * @param {string} credentials.businessAccountId - Identifiant du compte Instagram professionnel
+   * @param {string} credentials.baseUrl - URL de l'API (https://graph.facebook.com/v21.0 ou serveur simulé)
+   * @param {boolean} credentials.dryRun - Journalise les requêtes de publication au lieu de les envoyer
+   */
+  constructor(credentials = {}) {
+    this.credentials = credentials;
+    this.baseUrl = (credentials.baseUrl || 'https://graph.facebook.com/v21.0').replace(/\/$/, '');
+    this.dryRun = Boolean(credentials.dryRun);
+    this.dryRunSequence = 0;
+    this.scheduler = requestScheduler;
+  }
+
+  /**
+   * Liste les médias du compte professionnel, du plus récent au plus ancien
+   * @param {object} params - limit (100 au plus), after (curseur), fields, signal (annule l'attente du budget)
+   * @returns {Promise<object>} Réponse de l'API (data, paging)
+   */
+  async getMedia(params = {}) {
+    const { limit = 25, after, fields = MEDIA_FIELDS, signal } = params;
+
+    return this.request('GET', '/:accountId/media', { accountId: this.accountId() }, {
+      fields: fields.join(','),
+      limit,
+      after
+    }, { signal });
+  }
+
+  /**
+   * Récupère un média par son identifiant
+   * @param {string} mediaId - Identifiant du média
+   * @param {Array<string>} fields - Champs à demander (MEDIA_FIELDS par défaut)
+   * @returns {Promise<object>} Média
+   */
+  async getMediaObject(mediaId, fields = MEDIA_FIELDS) {
+    return this.request('GET', '/:mediaId', { mediaId }, { fields: fields.join(',') });
+  }
+
+  /**
+   * Liste les commentaires d'un média, avec leurs réponses
+   * @param {string} mediaId - Identifiant du média
+   * @param {object} params - limit, after (curseur), signal
+   * @returns {Promise<object>} Réponse de l'API (data, paging)
+   */
+  async getComments(mediaId, params = {}) {
+    const { limit = 25, after, signal } = params;
+
+    return this.request('GET', '/:mediaId/comments', { mediaId }, {
+      fields: COMMENT_FIELDS.join(','),
+      limit,
+      after
+    }, { signal });
+  }
+
+  /**
+   * Récupère les statistiques d'un média
+   * @param {string} mediaId - Identifiant du média
+   * @param {Array<string>} metrics - Métriques (ex: reach, likes, comments, saved, shares, views)
+   * @returns {Promise<object>} Réponse de l'API (data : { name, period, values | total_value })
+   */
+  async getMediaInsights(mediaId, metrics) {
+    return this.request('GET', '/:mediaId/insights', { mediaId }, { metric: metrics.join(',') });
+  }
+
+  /**
+   * Récupère les statistiques du compte professionnel
+   * @param {object} params - metrics, period (day, week, days_28), since et until (secondes epoch)
+   * @returns {Promise<object>} Réponse de l'API (data : { name, period, values | total_value })
+   */
+  async getAccountInsights(params) {
+    const { metrics, period = 'day', since, until } = params;
+
+    return this.request('GET', '/:accountId/insights', { accountId: this.accountId() }, {
+      metric: metrics.join(','),
+      period,
+      metric_type: 'total_value',
+      since,
+      until
+    });
+  }
+
+  /**
+   * Crée un conteneur de publication
+   * @param {object} payload - Corps de POST /{ig-user-id}/media (image_url, video_url, media_type,
+   *   caption, children, is_carousel_item, cover_url, share_to_feed...)
+   * @returns {Promise<object>} Réponse de l'API ({ id } du conteneur)
+   */
+  async createContainer(payload) {
+    return this.request('POST', '/:accountId/media', { accountId: this.accountId() }, {}, {
+      body: payload,
+      dryRunResponse: () => ({ id: this.nextDryRunId('container') })
+    });
+  }
+
+  /**
+   * Consulte l'état du traitement d'un conteneur
+   * @param {string} containerId - Identifiant du conteneur
+   * @returns {Promise<object>} Réponse de l'API (status_code : IN_PROGRESS, FINISHED, ERROR, EXPIRED ou PUBLISHED)
+   */
+  async getContainerStatus(containerId) {
+    return this.request('GET', '/:containerId', { containerId }, { fields: 'id,status_code,status' }, {
+      dryRunResponse: () => ({ id: containerId, status_code: 'FINISHED' })
+    });
+  }
+
+  /**
+   * Publie un conteneur terminé
+   * @param {string} containerId - Identifiant du conteneur (creation_id)
+   * @returns {Promise<object>} Réponse de l'API ({ id } du média publié)
+   */
+  async publishContainer(containerId) {
+    return this.request('POST', '/:accountId/media_publish', { accountId: this.accountId() }, {}, {
+      body: { creation_id: containerId },
+      dryRunResponse: () => ({ id: this.nextDryRunId('media') })
+    });
+  }
+
+  /**
+   * Répond à un commentaire
+   * @param {string} commentId - Identifiant du commentaire
+   * @param {string} message - Texte de la réponse
+   * @returns {Promise<object>} Réponse de l'API ({ id } de la réponse)
+   */
+  async replyToComment(commentId, message) {
+    return this.request('POST', '/:commentId/replies', { commentId }, {}, {
+      body: { message },
+      dryRunResponse: () => ({ id: this.nextDryRunId('comment') })
+    });
+  }
+
+  /**
+   * Retourne les dernières limites de débit connues pour le jeton du client, par point d'accès
+   * @returns {object} { limit, remaining, reset, queued } indexé par point d'accès (en pourcentage d'utilisation)
+   */
+  getRateLimits() {
+    const credentials = this.credentials.accessToken ? [credentialId('user', this.credentials.accessToken)] : [];
+
+    return Object.fromEntries(this.scheduler.getBudgets({ platform: 'instagram', credentials })
+      .map(({ endpoint, limit, remaining, reset, queued }) => [endpoint, { limit, remaining, reset, queued }]));
+  }
+
+  /**
+   * Identifiant du compte professionnel configuré
+   * @returns {string} Identifiant
+   * @throws {InstagramApiError} Si le compte n'est pas configuré
+   * @private
+   */
+  accountId() {
+    if (!this.credentials.businessAccountId) {
+      throw new InstagramApiError('Compte Instagram professionnel non configuré (INSTAGRAM_BUSINESS_ACCOUNT_ID)', 400);
+    }
+
+    return this.credentials.businessAccountId;
+  }
+
+  /**
+   * Exécute une requête authentifiée
+   * En mode simulation, les requêtes qui fournissent options.dryRunResponse sont journalisées
+   * telles qu'elles seraient envoyées, et dryRunResponse() fournit la réponse
+   * @param {string} method - Méthode HTTP
+   * @param {string} route - Route relative à l'URL de l'API (ex: /:mediaId/comments)
+   * @param {object} pathParams - Valeurs des paramètres de la route
+   * @param {object} query - Paramètres de la query string (les valeurs undefined sont ignorées)
+   * @param {object} options - body (corps JSON), signal (annule l'attente du budget), dryRunResponse
+   * @returns {Promise<object>} Corps JSON de la réponse
+   * @throws {InstagramApiError} Si l'API renvoie une erreur
+   * @private
+   */
+  async request(method, route, pathParams = {}, query = {}, options = {}) {
+    const { body: payload, signal, dryRunResponse } = options;
+    const { accessToken, apiSecret } = this.credentials;
+    const endpoint = route.replace(/:(\w+)/g, (match, name) => encodeURIComponent(pathParams[name]));
+    const params = Object.fromEntries(
+      Object.entries(query)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => [key, String(value)])
+    );
+    const url = `${this.baseUrl}${endpoint}`;
+
+    if (this.dryRun && dryRunResponse) {
+      logger.info(`[simulation] ${method} ${url}${payload ? ` ${JSON.stringify(payload)}` : ''}`);
+      return dryRunResponse();
+    }
+
+    if (!accessToken) {
+      throw new InstagramApiError('Jeton d\'accès Instagram manquant (INSTAGRAM_ACCESS_TOKEN)', 401);
+    }
+
+    // appsecret_proof : HMAC-SHA256 du jeton avec le secret de l'application
+    if (apiSecret) {
+      params.appsecret_proof = crypto.createHmac('sha256', apiSecret).update(accessToken).digest('hex');
+    }
+
+    const search = new URLSearchParams(params).toString();
+    logger.debug(`${method} ${endpoint}`);
+
+    const response = await this.scheduler.schedule({
+      platform: 'instagram',
+      endpoint: `${method} ${route}`,
+      method,
+      credential: credentialId('user', accessToken),
+      signal,
+      readRateLimit: readBusinessUseCaseUsage
+    }, () => {
+      const headers = { Authorization: `Bearer ${accessToken}` };
+
+      if (payload) {
+        headers['Content-Type'] = 'application/json';
+      }
+
+      return fetch(search ? `${url}?${search}` : url, {
+        method,
+        headers,
+        body: payload ? JSON.stringify(payload) : undefined,
+        signal
+      });
+    });
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok || body.error) {
+      const error = body.error || {};
+      throw new InstagramApiError(`API Instagram (${response.status}) : ${error.error_user_msg || error.message || `Erreur HTTP ${response.status}`}`,
+        response.status, {
+          code: error.code,
+          subcode: error.error_subcode,
+          type: error.type,
+          fbtraceId: error.fbtrace_id
+        });
+    }
+
+    return body;
+  }
+
+  /**
+   * Identifiant attribué à un objet créé en mode simulation
+   * @param {string} kind - 'container', 'media' ou 'comment'
+   * @returns {string} Identifiant (ex: dry-run-media-3)
+   * @private
+   */
+  nextDryRunId(kind) {
+    this.dryRunSequence += 1;
+    return `dry-run-${kind}-${this.dryRunSequence}`;
+  }
+}
+
+export default InstagramClient;
@@ -0,0 +1,527 @@
+/**
+ * Client de l'API LinkedIn (API REST versionnée, pages entreprise)
+ * Authentification OAuth 2.0 : autorisation de l'administrateur de la page (code d'autorisation),
+ * échange du code contre un jeton d'accès, puis renouvellement par le jeton de rafraîchissement
+ * à l'expiration du jeton ou après une réponse 401.
+ * Chaque requête porte les en-têtes LinkedIn-Version et X-Restli-Protocol-Version (Rest.li 2.0).
+ * En mode simulation (dryRun), les requêtes de publication sont journalisées sans être envoyées.
+ * Les requêtes passent par le planificateur partagé ; l'API ne publie pas ses limites dans les
+ * en-têtes, seules les réponses 429 suspendent le point d'accès.
+ */
+
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import requestScheduler, { credentialId } from './request-scheduler.js';
+import loggerModule from '../utils/logger.js';
+
+const logger = loggerModule.createSubLogger('LinkedIn-Client');
+
+// Validité d'une demande d'autorisation (paramètre state) en attente du retour de LinkedIn
+const AUTHORIZATION_TTL = 10 * 60 * 1000;
+
+// Marge avant l'expiration du jeton d'accès au-delà de laquelle il est renouvelé
+const TOKEN_EXPIRY_MARGIN = 60 * 1000;
+
+/**
+ * Erreur renvoyée par l'API LinkedIn ou son serveur OAuth
+ */
+export class LinkedInApiError extends Error {
+  /**
+   * @param {string} message - Message d'erreur
+   * @param {number} status - Statut HTTP
+   * @param {object} details - code (ex: ACCESS_DENIED, invalid_grant) et serviceErrorCode renvoyés par l'API
+   */
+  constructor(message, status, details = {}) {
+    super(message);
+    this.name = 'LinkedInApiError';
+    this.status = status;
+    this.code = details.code || null;
+    this.serviceErrorCode = details.serviceErrorCode ?? null;
+  }
+}
+
+class LinkedInClient {
+  /**
+   * @param {object} credentials - Identifiants et points d'accès
+   * @param {string} credentials.apiKey - Client ID de l'application LinkedIn
+   * @param {string} credentials.apiSecret - Client secret de l'application
+   * @param {string} credentials.accessToken - Jeton d'accès OAuth 2.0 (facultatif si l'autorisation passe par getAuthorizationUrl)
+   * @param {string} credentials.refreshToken - Jeton de rafraîchissement (facultatif)
+   * @param {string} credentials.organizationId - Identifiant de la page entreprise
+   * @param {string} credentials.redirectUri - URL de retour déclarée dans l'application
+   * @param {Array<string>} credentials.scopes - Permissions demandées à l'autorisation
+   * @param {string} credentials.baseUrl - URL de l'API (https://api.linkedin.com/rest ou serveur simulé)
+   * @param {string} credentials.authBaseUrl - URL du serveur OAuth (https://www.linkedin.com/oauth/v2)
+   * @param {string} credentials.apiVersion - Version de l'API (en-tête LinkedIn-Version, AAAAMM)
+   * @param {boolean} credentials.dryRun - Journalise les requêtes de publication au lieu de les envoyer
+   */
+  constructor(credentials = {}) {
+    this.credentials = credentials;
+    this.baseUrl = (credentials.baseUrl || 'https://api.linkedin.com/rest').replace(/\/$/, '');
+    this.authBaseUrl = (credentials.authBaseUrl || 'https://www.linkedin.com/oauth/v2').replace(/\/$/, '');
+    this.dryRun = Boolean(credentials.dryRun);
+    this.dryRunSequence = 0;
+    this.scheduler = requestScheduler;
+    // Jetons courants : ceux de la configuration, remplacés après une autorisation ou un renouvellement
+    this.tokens = {
+      accessToken: credentials.accessToken || null,
+      refreshToken: credentials.refreshToken || null,
+      expiresAt: null,
+      refreshExpiresAt: null,
+      scope: null
+    };
+    this.pendingStates = new Map();
+    this.refreshing = null;
+  }
+
+  /**
+   * URN de la page entreprise configurée
+   * @returns {string} URN (urn:li:organization:<id>)
+   * @throws {LinkedInApiError} Si la page n'est pas configurée
+   */
+  get organizationUrn() {
+    if (!this.credentials.organizationId) {
+      throw new LinkedInApiError('Page entreprise LinkedIn non configurée (LINKEDIN_ORGANIZATION_ID)', 400);
+    }
+
+    return `urn:li:organization:${this.credentials.organizationId}`;
+  }
+
+  /**
+   * Construit l'URL d'autorisation vers laquelle rediriger l'administrateur de la page
+   * @returns {{url: string, state: string}} URL et valeur du paramètre state à retrouver au retour
+   */
+  getAuthorizationUrl() {
+    const { apiKey, redirectUri, scopes = [] } = this.credentials;
+
+    if (!apiKey || !redirectUri) {
+      throw new LinkedInApiError('Application LinkedIn non configurée (LINKEDIN_API_KEY, LINKEDIN_REDIRECT_URI)', 400);
+    }
+
+    const now = Date.now();
+    for (const [pending, expiresAt] of this.pendingStates) {
+      if (expiresAt <= now) {
+        this.pendingStates.delete(pending);
+      }
+    }
+
+    const state = crypto.randomBytes(16).toString('hex');
+    this.pendingStates.set(state, now + AUTHORIZATION_TTL);
+
+    const search = new URLSearchParams({
+      response_type: 'code',
+      client_id: apiKey,
+      redirect_uri: redirectUri,
+      state,
+      scope: scopes.join(' ')
+    });
+
+    return { url: `${this.authBaseUrl}/authorization?${search}`, state };
+  }
+
+  /**
+   * Échange le code d'autorisation reçu au retour de LinkedIn contre les jetons
+   * @param {string} code - Code d'autorisation
+   * @param {string} state - Paramètre state renvoyé par LinkedIn
+   * @returns {Promise<object>} État de l'authentification (voir getAuthStatus)
+   * @throws {LinkedInApiError} Si state est inconnu ou expiré, ou si l'échange échoue
+   */
+  async exchangeAuthorizationCode(code, state) {
+    const expiresAt = this.pendingStates.get(state);
+    this.pendingStates.delete(state);
+
+    if (!expiresAt || expiresAt <= Date.now()) {
+      throw new LinkedInApiError('Demande d\'autorisation LinkedIn inconnue ou expirée (paramètre state)', 400);
+    }
+
+    await this.requestToken({ grant_type: 'authorization_code', code, redirect_uri: this.credentials.redirectUri });
+    logger.info('Autorisation LinkedIn obtenue');
+    return this.getAuthStatus();
+  }
+
+  /**
+   * Renouvelle le jeton d'accès avec le jeton de rafraîchissement
+   * Les appels concurrents partagent le même renouvellement
+   * @returns {Promise<void>}
+   * @throws {LinkedInApiError} Si aucun jeton de rafraîchissement n'est disponible ou si LinkedIn le refuse
+   */
+  async refreshAccessToken() {
+    if (!this.tokens.refreshToken) {
+      throw new LinkedInApiError('Jeton d\'accès LinkedIn expiré et aucun jeton de rafraîchissement (LINKEDIN_REFRESH_TOKEN)', 401);
+    }
+
+    if (!this.refreshing) {
+      this.refreshing = this.requestToken({ grant_type: 'refresh_token', refresh_token: this.tokens.refreshToken })
+        .then(() => logger.info('Jeton d\'accès LinkedIn renouvelé'))
+        .finally(() => {
+          this.refreshing = null;
+        });
+    }
+
+    return this.refreshing;
+  }
+
+  /**
+   * État de l'authentification, sans les jetons
+   * @returns {object} authenticated, refreshable, expiresAt et refreshExpiresAt (ISO, si connus), scope
+   */
+  getAuthStatus() {
+    const { accessToken, refreshToken, expiresAt, refreshExpiresAt, scope } = this.tokens;
+
+    return {
+      authenticated: Boolean(accessToken) && !(expiresAt && expiresAt <= Date.now()),
+      refreshable: Boolean(refreshToken),
+      expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+      refreshExpiresAt: refreshExpiresAt ? new Date(refreshExpiresAt).toISOString() : null,
+      scope
+    };
+  }
+
+  /**
+   * Récupère la page entreprise
+   * @returns {Promise<object>} Organisation (localizedName, vanityName, localizedDescription, localizedWebsite...)
+   */
+  async getOrganization() {
+    return this.request('GET', '/organizations/:id', { id: this.organizationUrn.split(':').pop() });
+  }
+
+  /**
+   * Récupère le nombre d'abonnés de la page
+   * @returns {Promise<object>} Réponse de l'API ({ firstDegreeSize })
+   */
+  async getFollowerCount() {
+    return this.request('GET', '/networkSizes/:urn', { urn: this.organizationUrn }, { edgeType: 'COMPANY_FOLLOWED_BY_MEMBER' });
+  }
+
+  /**
+   * Liste les posts de la page, du plus récent au plus ancien
+   * @param {object} params - count (100 au plus), start, signal (annule l'attente du budget)
+   * @returns {Promise<object>} Réponse de l'API (elements, paging)
+   */
+  async getPosts(params = {}) {
+    const { count = 10, start = 0, signal } = params;
+
+    return this.request('GET', '/posts', {}, {
+      q: 'author',
+      author: this.organizationUrn,
+      count,
+      start,
+      sortBy: 'LAST_MODIFIED'
+    }, { signal });
+  }
+
+  /**
+   * Récupère les statistiques de la page : cumul de tous ses posts, ou détail des posts demandés
+   * @param {Array<string>} postUrns - URN des posts (urn:li:share:... ou urn:li:ugcPost:...), cumul si vide
+   * @returns {Promise<object>} Réponse de l'API (elements : { share | ugcPost, totalShareStatistics })
+   */
+  async getShareStatistics(postUrns = []) {
+    const shares = postUrns.filter(urn => urn.startsWith('urn:li:share:'));
+    const ugcPosts = postUrns.filter(urn => urn.startsWith('urn:li:ugcPost:'));
+
+    return this.request('GET', '/organizationalEntityShareStatistics', {}, {
+      q: 'organizationalEntity',
+      organizationalEntity: this.organizationUrn,
+      shares: shares.length > 0 ? shares : undefined,
+      ugcPosts: ugcPosts.length > 0 ? ugcPosts : undefined
+    });
+  }
+
+  /**
+   * Liste les commentaires d'un post
+   * @param {string} postUrn - URN du post
+   * @param {object} params - count, start, signal
+   * @returns {Promise<object>} Réponse de l'API (elements, paging)
+   */
+  async getComments(postUrn, params = {}) {
+    const { count = 10, start = 0, signal } = params;
+
+    return this.request('GET', '/socialActions/:urn/comments', { urn: postUrn }, { count, start }, { signal });
+  }
+
+  /**
+   * Commente un post au nom de la page
+   * @param {string} postUrn - URN du post
+   * @param {string} text - Texte du commentaire
+   * @returns {Promise<object>} Commentaire créé (id, commentUrn)
+   */
+  async createComment(postUrn, text) {
+    return this.request('POST', '/socialActions/:urn/comments', { urn: postUrn }, {}, {
+      body: { actor: this.organizationUrn, object: postUrn, message: { text } },
+      dryRunResponse: () => {
+        const id = this.nextDryRunId('comment');
+        return { id, commentUrn: `urn:li:comment:(${postUrn},${id})` };
+      }
+    });
+  }
+
+  /**
+   * Publie un post au nom de la page
+   * @param {object} post - commentary (déjà échappé) et content facultatif (media ou article)
+   * @returns {Promise<object>} Réponse de l'API ({ id } : URN du post, lu dans l'en-tête x-restli-id)
+   */
+  async createPost(post) {
+    return this.request('POST', '/posts', {}, {}, {
+      body: {
+        author: this.organizationUrn,
+        commentary: post.commentary,
+        visibility: 'PUBLIC',
+        distribution: { feedDistribution: 'MAIN_FEED', targetEntities: [], thirdPartyDistributionChannels: [] },
+        ...(post.content ? { content: post.content } : {}),
+        lifecycleState: 'PUBLISHED',
+        isReshareDisabledByAuthor: false
+      },
+      dryRunResponse: () => ({ id: `urn:li:share:${this.nextDryRunId('post')}` })
+    });
+  }
+
+  /**
+   * Supprime un post de la page
+   * @param {string} postUrn - URN du post
+   * @returns {Promise<object>} Réponse vide
+   */
+  async deletePost(postUrn) {
+    return this.request('DELETE', '/posts/:urn', { urn: postUrn }, {}, {
+      dryRunResponse: () => ({})
+    });
+  }
+
+  /**
+   * Réserve l'upload d'une image pour la page
+   * @returns {Promise<object>} Réponse de l'API ({ value: { uploadUrl, image, uploadUrlExpiresAt } })
+   */
+  async initializeImageUpload() {
+    return this.request('POST', '/images', {}, { action: 'initializeUpload' }, {
+      body: { initializeUploadRequest: { owner: this.organizationUrn } },
+      dryRunResponse: () => ({
+        value: { uploadUrl: null, image: `urn:li:image:${this.nextDryRunId('image')}`, uploadUrlExpiresAt: null }
+      })
+    });
+  }
+
+  /**
+   * Envoie le contenu d'une image à l'URL réservée par initializeImageUpload
+   * @param {string} uploadUrl - URL d'upload (absolue)
+   * @param {Buffer} data - Contenu de l'image
+   * @returns {Promise<void>}
+   * @throws {LinkedInApiError} Si l'upload est refusé
+   */
+  async uploadImage(uploadUrl, data) {
+    if (this.dryRun) {
+      logger.info(`[simulation] PUT ${uploadUrl || 'upload'} (${data.length} octets)`);
+      return;
+    }
+
+    await this.ensureAccessToken();
+    const { accessToken } = this.tokens;
+
+    const response = await this.scheduler.schedule({
+      platform: 'linkedin',
+      endpoint: 'PUT /images/upload',
+      method: 'PUT',
+      credential: credentialId('user', accessToken)
+    }, () => fetch(uploadUrl, {
+      method: 'PUT',
+      headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/octet-stream' },
+      body: data
+    }));
+
+    if (!response.ok) {
+      throw new LinkedInApiError(`API LinkedIn (${response.status}) : upload de l'image refusé`, response.status);
+    }
+  }
+
+  /**
+   * Consulte l'état d'une image envoyée
+   * @param {string} imageUrn - URN de l'image
+   * @returns {Promise<object>} Image (status : WAITING_UPLOAD, PROCESSING, AVAILABLE ou PROCESSING_FAILED)
+   */
+  async getImage(imageUrn) {
+    return this.request('GET', '/images/:urn', { urn: imageUrn }, {}, {
+      dryRunResponse: () => ({ id: imageUrn, status: 'AVAILABLE' })
+    });
+  }
+
+  /**
+   * Retourne les dernières limites de débit connues pour le jeton du client, par point d'accès
+   * @returns {object} { limit, remaining, reset, queued } indexé par point d'accès (connues après une réponse 429)
+   */
+  getRateLimits() {
+    const credentials = this.tokens.accessToken ? [credentialId('user', this.tokens.accessToken)] : [];
+
+    return Object.fromEntries(this.scheduler.getBudgets({ platform: 'linkedin', credentials })
+      .map(({ endpoint, limit, remaining, reset, queued }) => [endpoint, { limit, remaining, reset, queued }]));
+  }
+
+  /**
+   * Renouvelle le jeton d'accès s'il a expiré (ou expire dans moins d'une minute)
+   * @returns {Promise<void>}
+   * @throws {LinkedInApiError} Si aucun jeton n'est disponible
+   * @private
+   */
+  async ensureAccessToken() {
+    const { accessToken, refreshToken, expiresAt } = this.tokens;
+
+    if (!accessToken && !refreshToken) {
+      throw new LinkedInApiError('Jeton d\'accès LinkedIn manquant (LINKEDIN_ACCESS_TOKEN ou autorisation via /api/linkedin/auth)', 401);
+    }
+
+    if (!accessToken || (expiresAt && expiresAt - TOKEN_EXPIRY_MARGIN <= Date.now())) {
+      await this.refreshAccessToken();
+    }
+  }
+
+  /**
+   * Demande des jetons au serveur OAuth et les conserve
+   * @param {object} params - grant_type et paramètres propres au type d'autorisation
+   * @returns {Promise<void>}
+   * @throws {LinkedInApiError} Si LinkedIn refuse la demande
+   * @private
+   */
+  async requestToken(params) {
+    const { apiKey, apiSecret } = this.credentials;
+
+    if (!apiKey || !apiSecret) {
+      throw new LinkedInApiError('Application LinkedIn non configurée (LINKEDIN_API_KEY, LINKEDIN_API_SECRET)', 400);
+    }
+
+    const response = await this.scheduler.schedule({
+      platform: 'linkedin',
+      endpoint: 'POST /oauth/v2/accessToken',
+      method: 'POST',
+      credential: credentialId('app', apiKey)
+    }, () => fetch(`${this.authBaseUrl}/accessToken`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ ...params, client_id: apiKey, client_secret: apiSecret }).toString()
+    }));
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok || !body.access_token) {
+      throw new LinkedInApiError(`OAuth LinkedIn (${response.status}) : ${body.error_description || body.error || `Erreur HTTP ${response.status}`}`,
+        response.status, { code: body.error });
+    }
+
+    const now = Date.now();
+    this.tokens = {
+      accessToken: body.access_token,
+      // Le jeton de rafraîchissement n'est pas toujours renvoyé lors d'un renouvellement : garder le précédent
+      refreshToken: body.refresh_token || this.tokens.refreshToken,
+      expiresAt: body.expires_in ? now + body.expires_in * 1000 : null,
+      refreshExpiresAt: body.refresh_token_expires_in ? now + body.refresh_token_expires_in * 1000 : this.tokens.refreshExpiresAt,
+      scope: body.scope || this.tokens.scope
+    };
+  }
+
+  /**
+   * Exécute une requête authentifiée
+   * En mode simulation, les requêtes qui fournissent options.dryRunResponse sont journalisées
+   * telles qu'elles seraient envoyées, et dryRunResponse() fournit la réponse.
+   * Après une réponse 401, le jeton est renouvelé (s'il peut l'être) et la requête renvoyée une fois
+   * @param {string} method - Méthode HTTP
+   * @param {string} route - Route relative à l'URL de l'API (ex: /socialActions/:urn/comments)
+   * @param {object} pathParams - Valeurs des paramètres de la route (URN encodées)
+   * @param {object} query - Paramètres de la query string (tableaux : listes Rest.li List(...) ;
+   *   les valeurs undefined sont ignorées)
+   * @param {object} options - body (corps JSON), signal (annule l'attente du budget), dryRunResponse
+   * @returns {Promise<object>} Corps JSON de la réponse, avec id lu dans l'en-tête x-restli-id à la création
+   * @throws {LinkedInApiError} Si l'API renvoie une erreur
+   * @private
+   */
+  async request(method, route, pathParams = {}, query = {}, options = {}) {
+    const { body: payload, signal, dryRunResponse } = options;
+    const endpoint = route.replace(/:(\w+)/g, (match, name) => encodeURIComponent(pathParams[name]));
+    const search = Object.entries(query)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([key, value]) => `${key}=${Array.isArray(value)
+        ? `List(${value.map(item => encodeURIComponent(item)).join(',')})`
+        : encodeURIComponent(String(value))}`)
+      .join('&');
+    const url = `${this.baseUrl}${endpoint}${search ? `?${search}` : ''}`;
+
+    if (this.dryRun && dryRunResponse) {
+      logger.info(`[simulation] ${method} ${url}${payload ? ` ${JSON.stringify(payload)}` : ''}`);
+      return dryRunResponse();
+    }
+
+    await this.ensureAccessToken();
+    logger.debug(`${method} ${endpoint}`);
+
+    let response = await this.send(method, route, url, payload, signal);
+
+    if (response.status === 401 && this.tokens.refreshToken) {
+      await response.arrayBuffer().catch(() => null);
+      await this.refreshAccessToken();
+      response = await this.send(method, route, url, payload, signal);
+    }
+
+    const text = await response.text();
+    let body = {};
+    try {
+      body = text ? JSON.parse(text) : {};
+    } catch (error) {
+      body = {};
+    }
+
+    if (!response.ok) {
+      throw new LinkedInApiError(`API LinkedIn (${response.status}) : ${body.message || `Erreur HTTP ${response.status}`}`,
+        response.status, { code: body.code, serviceErrorCode: body.serviceErrorCode });
+    }
+
+    const createdId = response.headers.get('x-restli-id');
+    return createdId && body.id === undefined ? { ...body, id: createdId } : body;
+  }
+
+  /**
+   * Envoie une requête par le planificateur avec le jeton d'accès courant
+   * @param {string} method - Méthode HTTP
+   * @param {string} route - Route, pour le suivi du budget
+   * @param {string} url - URL complète
+   * @param {object} payload - Corps JSON, si présent
+   * @param {AbortSignal} signal - Signal d'annulation
+   * @returns {Promise<Response>} Réponse
+   * @private
+   */
+  send(method, route, url, payload, signal) {
+    const { accessToken } = this.tokens;
+
+    return this.scheduler.schedule({
+      platform: 'linkedin',
+      endpoint: `${method} ${route}`,
+      method,
+      credential: credentialId('user', accessToken),
+      signal
+    }, () => {
+      const headers = {
+        Authorization: `Bearer ${accessToken}`,
+        'LinkedIn-Version': this.credentials.apiVersion || '202509',
+        'X-Restli-Protocol-Version': '2.0.0'
+      };
+
+      if (payload) {
+        headers['Content-Type'] = 'application/json';
+      }
+
+      return fetch(url, {
+        method,
+        headers,
+        body: payload ? JSON.stringify(payload) : undefined,
+        signal
+      });
+    });
+  }
+
+  /**
+   * Identifiant attribué à un objet créé en mode simulation
+   * @param {string} kind - 'post', 'image' ou 'comment'
+   * @returns {string} Identifiant (ex: dry-run-post-3)
+   * @private
+   */
+  nextDryRunId(kind) {
+    this.dryRunSequence += 1;
+    return `dry-run-${kind}-${this.dryRunSequence}`;
+  }
+}
+
+export default LinkedInClient;
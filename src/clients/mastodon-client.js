@@ -0,0 +1,346 @@
+/**
+ * Client de l'API Mastodon, utilisable avec n'importe quelle instance
+ * Authentification par jeton OAuth de l'application (portées read et write). Pagination par
+ * identifiant (max_id, since_id, min_id) lue dans l'en-tête Link. Les médias sont envoyés en
+ * multipart sur /api/v2/media ; les vidéos et GIF sont traités de façon asynchrone (url nulle
+ * jusqu'à la fin du traitement).
+ * En mode simulation (dryRun), les requêtes de publication et de suppression sont journalisées
+ * sans être envoyées.
+ * Les requêtes passent par le planificateur partagé : le budget du compte est commun à toutes
+ * les routes, sauf l'upload des médias et la suppression des statuts qui ont le leur.
+ */
+
+import crypto from 'crypto';
+import fetch, { Blob, FormData } from 'node-fetch';
+import requestScheduler, { credentialId, readRateLimitResetDate } from './request-scheduler.js';
+import loggerModule from '../utils/logger.js';
+
+const logger = loggerModule.createSubLogger('Mastodon-Client');
+
+// Budgets de l'API : les routes absentes partagent le budget global du compte
+const RATE_LIMIT_BUCKETS = {
+  'POST /api/v2/media': 'POST /api/v2/media',
+  'DELETE /api/v1/statuses/:id': 'DELETE /api/v1/statuses/:id'
+};
+const GLOBAL_BUCKET = '* /api';
+
+/**
+ * Erreur renvoyée par l'API Mastodon
+ */
+export class MastodonApiError extends Error {
+  /**
+   * @param {string} message - Message d'erreur
+   * @param {number} status - Statut HTTP
+   * @param {object} details - error et error_description renvoyés par l'API
+   */
+  constructor(message, status, details = {}) {
+    super(message);
+    this.name = 'MastodonApiError';
+    this.status = status;
+    this.error = details.error || null;
+    this.description = details.description || null;
+  }
+}
+
+class MastodonClient {
+  /**
+   * @param {object} credentials - Identifiants et instance
+   * @param {string} credentials.instanceUrl - URL de l'instance (ex: https://mastodon.social ou serveur simulé)
+   * @param {string} credentials.accessToken - Jeton d'accès de l'application
+   * @param {boolean} credentials.dryRun - Journalise les requêtes d'écriture au lieu de les envoyer
+   */
+  constructor(credentials = {}) {
+    this.credentials = credentials;
+    this.instanceUrl = (credentials.instanceUrl || 'https://mastodon.social').replace(/\/$/, '');
+    this.dryRun = Boolean(credentials.dryRun);
+    this.dryRunSequence = 0;
+    this.scheduler = requestScheduler;
+  }
+
+  /**
+   * Récupère la description de l'instance (limites des statuts et des médias)
+   * @returns {Promise<object>} Instance (domain, title, configuration)
+   */
+  async getInstance() {
+    return this.request('GET', '/api/v2/instance');
+  }
+
+  /**
+   * Récupère le compte associé au jeton
+   * @returns {Promise<object>} Compte
+   */
+  async verifyCredentials() {
+    return this.request('GET', '/api/v1/accounts/verify_credentials');
+  }
+
+  /**
+   * Cherche un compte par son adresse
+   * @param {string} acct - Adresse (user pour un compte local, user@instance sinon)
+   * @returns {Promise<object>} Compte
+   */
+  async lookupAccount(acct) {
+    return this.request('GET', '/api/v1/accounts/lookup', {}, { acct });
+  }
+
+  /**
+   * Liste les statuts d'un compte, du plus récent au plus ancien
+   * @param {string} accountId - Identifiant du compte
+   * @param {object} params - limit (40 au plus), maxId, sinceId, minId, excludeReplies, excludeReblogs, signal
+   * @returns {Promise<{data: Array<object>, nextMaxId: string|null, prevMinId: string|null}>} Statuts et pagination
+   */
+  async getAccountStatuses(accountId, params = {}) {
+    const { limit = 20, maxId, sinceId, minId, excludeReplies, excludeReblogs, signal } = params;
+
+    return this.request('GET', '/api/v1/accounts/:id/statuses', { id: accountId }, {
+      limit,
+      max_id: maxId,
+      since_id: sinceId,
+      min_id: minId,
+      exclude_replies: excludeReplies,
+      exclude_reblogs: excludeReblogs
+    }, { signal, paginated: true });
+  }
+
+  /**
+   * Recherche des statuts, des hashtags ou des comptes
+   * La recherche plein texte des statuts dépend de l'instance (index de recherche activé)
+   * @param {object} params - q, type (statuses, hashtags, accounts), limit (40 au plus), offset, resolve, signal
+   * @returns {Promise<object>} Résultats (accounts, statuses, hashtags)
+   */
+  async search(params) {
+    const { q, type, limit = 20, offset, resolve, signal } = params;
+
+    return this.request('GET', '/api/v2/search', {}, { q, type, limit, offset, resolve }, { signal });
+  }
+
+  /**
+   * Liste les statuts publics d'un hashtag, du plus récent au plus ancien
+   * @param {string} hashtag - Hashtag, sans #
+   * @param {object} params - limit (40 au plus), maxId, sinceId, minId, signal
+   * @returns {Promise<{data: Array<object>, nextMaxId: string|null, prevMinId: string|null}>} Statuts et pagination
+   */
+  async getTagTimeline(hashtag, params = {}) {
+    const { limit = 20, maxId, sinceId, minId, signal } = params;
+
+    return this.request('GET', '/api/v1/timelines/tag/:hashtag', { hashtag }, {
+      limit,
+      max_id: maxId,
+      since_id: sinceId,
+      min_id: minId
+    }, { signal, paginated: true });
+  }
+
+  /**
+   * Liste les notifications du compte, de la plus récente à la plus ancienne
+   * @param {object} params - types (ex: ['mention']), limit (40 au plus), maxId, sinceId, minId, signal
+   * @returns {Promise<{data: Array<object>, nextMaxId: string|null, prevMinId: string|null}>} Notifications et pagination
+   */
+  async getNotifications(params = {}) {
+    const { types, limit = 15, maxId, sinceId, minId, signal } = params;
+
+    return this.request('GET', '/api/v1/notifications', {}, {
+      'types[]': types,
+      limit,
+      max_id: maxId,
+      since_id: sinceId,
+      min_id: minId
+    }, { signal, paginated: true });
+  }
+
+  /**
+   * Récupère un statut
+   * @param {string} statusId - Identifiant du statut
+   * @returns {Promise<object>} Statut
+   */
+  async getStatus(statusId) {
+    return this.request('GET', '/api/v1/statuses/:id', { id: statusId });
+  }
+
+  /**
+   * Publie un statut
+   * La clé d'idempotence évite un doublon si la requête est relancée après une erreur réseau
+   * @param {object} payload - status, mediaIds, spoilerText, sensitive, visibility, inReplyToId, language
+   * @param {string} idempotencyKey - Clé d'idempotence (générée par défaut)
+   * @returns {Promise<object>} Statut créé
+   */
+  async createStatus(payload, idempotencyKey = crypto.randomUUID()) {
+    const { status, mediaIds = [], spoilerText, sensitive, visibility, inReplyToId, language } = payload;
+
+    return this.request('POST', '/api/v1/statuses', {}, {}, {
+      body: {
+        status,
+        ...(mediaIds.length > 0 ? { media_ids: mediaIds } : {}),
+        ...(spoilerText ? { spoiler_text: spoilerText } : {}),
+        ...(sensitive !== undefined ? { sensitive } : {}),
+        ...(visibility ? { visibility } : {}),
+        ...(inReplyToId ? { in_reply_to_id: inReplyToId } : {}),
+        ...(language ? { language } : {})
+      },
+      headers: { 'Idempotency-Key': idempotencyKey },
+      dryRunResponse: () => {
+        const id = this.nextDryRunId('status');
+        return {
+          id,
+          url: null,
+          content: status,
+          visibility: visibility || 'public',
+          spoiler_text: spoilerText || '',
+          sensitive: Boolean(sensitive),
+          in_reply_to_id: inReplyToId || null,
+          media_attachments: mediaIds.map(mediaId => ({ id: mediaId }))
+        };
+      }
+    });
+  }
+
+  /**
+   * Supprime un statut du compte
+   * @param {string} statusId - Identifiant du statut
+   * @returns {Promise<object>} Statut supprimé (avec son texte source, text)
+   */
+  async deleteStatus(statusId) {
+    return this.request('DELETE', '/api/v1/statuses/:id', { id: statusId }, {}, {
+      dryRunResponse: () => ({ id: statusId })
+    });
+  }
+
+  /**
+   * Envoie un média (image, GIF, vidéo ou audio)
+   * @param {object} media - data (Buffer), mimeType, fileName, description (texte alternatif)
+   * @returns {Promise<object>} Média (url nulle tant que le traitement asynchrone n'est pas terminé)
+   */
+  async uploadMedia(media) {
+    const { data, mimeType, fileName = 'media', description } = media;
+
+    return this.request('POST', '/api/v2/media', {}, {}, {
+      file: { field: 'file', data, mimeType, fileName },
+      fields: description ? { description } : {},
+      dryRunResponse: () => ({ id: this.nextDryRunId('media'), type: mimeType.split('/')[0], url: null, description: description || null })
+    });
+  }
+
+  /**
+   * Récupère un média envoyé, pour suivre son traitement
+   * @param {string} mediaId - Identifiant du média
+   * @returns {Promise<object>} Média (url renseignée une fois le traitement terminé)
+   */
+  async getMedia(mediaId) {
+    return this.request('GET', '/api/v1/media/:id', { id: mediaId });
+  }
+
+  /**
+   * Retourne les dernières limites de débit connues pour le jeton du client, par budget
+   * @returns {object} { limit, remaining, reset, queued } indexé par budget (* /api : budget global du compte)
+   */
+  getRateLimits() {
+    const credentials = this.credentials.accessToken ? [credentialId('user', this.credentials.accessToken)] : [];
+
+    return Object.fromEntries(this.scheduler.getBudgets({ platform: 'mastodon', credentials })
+      .map(({ endpoint, limit, remaining, reset, queued }) => [endpoint, { limit, remaining, reset, queued }]));
+  }
+
+  /**
+   * Exécute une requête authentifiée
+   * En mode simulation, les requêtes qui fournissent options.dryRunResponse sont journalisées
+   * telles qu'elles seraient envoyées, et dryRunResponse() fournit la réponse
+   * @param {string} method - Méthode HTTP
+   * @param {string} route - Route relative à l'instance (ex: /api/v1/statuses/:id)
+   * @param {object} pathParams - Valeurs des paramètres de la route
+   * @param {object} query - Paramètres de la query string (valeurs undefined ignorées, tableaux répétés)
+   * @param {object} options - body (corps JSON), file et fields (corps multipart), headers, signal,
+   *   paginated (renvoie aussi la pagination de l'en-tête Link), dryRunResponse
+   * @returns {Promise<object>} Corps JSON de la réponse, ou { data, nextMaxId, prevMinId } si paginated
+   * @throws {MastodonApiError} Si l'API renvoie une erreur
+   * @private
+   */
+  async request(method, route, pathParams = {}, query = {}, options = {}) {
+    const { body: payload, file, fields = {}, headers: extraHeaders = {}, signal, paginated = false, dryRunResponse } = options;
+    const { accessToken } = this.credentials;
+    const endpoint = route.replace(/:(\w+)/g, (match, name) => encodeURIComponent(pathParams[name]));
+    const search = new URLSearchParams(
+      Object.entries(query)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .flatMap(([key, value]) => (Array.isArray(value) ? value : [value]).map(item => [key, String(item)]))
+    ).toString();
+    const url = `${this.instanceUrl}${endpoint}`;
+
+    if (this.dryRun && dryRunResponse) {
+      const detail = payload ? ` ${JSON.stringify(payload)}` : file ? ` (${file.mimeType}, ${file.data.length} octets)` : '';
+      logger.info(`[simulation] ${method} ${url}${detail}`);
+      return dryRunResponse();
+    }
+
+    if (!accessToken) {
+      throw new MastodonApiError('Jeton d\'accès Mastodon manquant (MASTODON_ACCESS_TOKEN)', 401);
+    }
+
+    logger.debug(`${method} ${endpoint}${search ? `?${search}` : ''}`);
+
+    // Le corps multipart est reconstruit à chaque essai
+    const response = await this.scheduler.schedule({
+      platform: 'mastodon',
+      endpoint: RATE_LIMIT_BUCKETS[`${method} ${route}`] || GLOBAL_BUCKET,
+      method,
+      credential: credentialId('user', accessToken),
+      signal,
+      readRateLimit: readRateLimitResetDate
+    }, () => {
+      const headers = { Authorization: `Bearer ${accessToken}`, ...extraHeaders };
+      let requestBody;
+
+      if (payload) {
+        headers['Content-Type'] = 'application/json';
+        requestBody = JSON.stringify(payload);
+      } else if (file) {
+        requestBody = new FormData();
+        requestBody.append(file.field, new Blob([file.data], { type: file.mimeType }), file.fileName);
+        Object.entries(fields).forEach(([name, value]) => requestBody.append(name, value));
+      }
+
+      return fetch(search ? `${url}?${search}` : url, { method, headers, body: requestBody, signal });
+    });
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new MastodonApiError(`API Mastodon (${response.status}) : ${body.error || `Erreur HTTP ${response.status}`}`,
+        response.status, { error: body.error, description: body.error_description });
+    }
+
+    if (!paginated) {
+      return body;
+    }
+
+    const links = parseLinkHeader(response.headers.get('link'));
+    return {
+      data: body,
+      nextMaxId: links.next ? new URL(links.next).searchParams.get('max_id') : null,
+      prevMinId: links.prev ? new URL(links.prev).searchParams.get('min_id') || new URL(links.prev).searchParams.get('since_id') : null
+    };
+  }
+
+  /**
+   * Identifiant attribué à un objet créé en mode simulation
+   * @param {string} kind - 'status' ou 'media'
+   * @returns {string} Identifiant (ex: dry-run-status-3)
+   * @private
+   */
+  nextDryRunId(kind) {
+    this.dryRunSequence += 1;
+    return `dry-run-${kind}-${this.dryRunSequence}`;
+  }
+}
+
+/**
+ * Lit l'en-tête Link de pagination (<url>; rel="next", <url>; rel="prev")
+ * @param {string|null} header - En-tête Link
+ * @returns {object} URL indexées par relation
+ */
+function parseLinkHeader(header) {
+  return Object.fromEntries((header || '').split(',')
+    .map(part => part.match(/<([^>]+)>\s*;\s*rel="(\w+)"/))
+    .filter(Boolean)
+    .map(([, url, rel]) => [rel, url]));
+}
+
+export default MastodonClient;
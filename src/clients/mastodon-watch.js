@@ -0,0 +1,264 @@
+/**
+ * Veille Mastodon : interrogation périodique des fils de hashtags et des mentions du compte
+ * Au premier passage, le statut le plus récent de chaque fil sert de point de départ (l'historique
+ * n'est pas relayé) ; ensuite, seuls les nouveaux statuts sont lus, page par page (min_id).
+ * Un statut présent dans plusieurs fils n'est relayé qu'une fois, avec toutes les règles qu'il remplit.
+ *
+ * Événements émis : `post` ({ status, matchingRules }), `polled` (fin d'un passage), `started`, `stopped`.
+ */
+
+import { EventEmitter } from 'events';
+import loggerModule from '../utils/logger.js';
+
+const logger = loggerModule.createSubLogger('Mastodon-Watch');
+
+// Statuts lus par page, et pages lues au plus par fil et par passage
+const PAGE_SIZE = 40;
+const MAX_PAGES_PER_POLL = 5;
+
+class TimelineWatch extends EventEmitter {
+  /**
+   * @param {MastodonClient} client - Client de l'API
+   * @param {object} options - Options (voir config.socialAPIs.mastodon.watch)
+   */
+  constructor(client, options = {}) {
+    super();
+    this.client = client;
+    this.options = options;
+    this.hashtags = normalizeHashtags(options.hashtags || []);
+    this.mentions = options.mentions !== false;
+    this.running = false;
+    this.polls = 0;
+    this.received = 0;
+    this.lastPollAt = null;
+    this.lastError = null;
+    // Dernier identifiant lu par fil (hashtag:<nom> ou mentions)
+    this.cursors = new Map();
+    this.recentIds = new Set();
+    this.controller = null;
+    this.loop = null;
+  }
+
+  /**
+   * Démarre la veille, ou change ses fils si elle est déjà démarrée
+   * @param {object} targets - hashtags et mentions (options de construction par défaut)
+   */
+  start(targets = {}) {
+    if (targets.hashtags) {
+      this.hashtags = normalizeHashtags(targets.hashtags);
+    }
+    if (targets.mentions !== undefined) {
+      this.mentions = targets.mentions;
+    }
+
+    if (this.running) {
+      logger.info(`Fils de la veille mis à jour : ${this.describe()}`);
+      return;
+    }
+
+    this.running = true;
+    logger.info(`Veille démarrée (${this.describe()}, toutes les ${Math.round(this.options.pollInterval / 1000)} s)`);
+    this.emit('started', this.getStatus());
+    this.loop = this.run();
+  }
+
+  /**
+   * Arrête la veille
+   */
+  async stop() {
+    if (!this.running) {
+      return;
+    }
+
+    this.running = false;
+
+    if (this.controller) {
+      this.controller.abort();
+    }
+
+    await this.loop;
+    this.loop = null;
+    logger.info('Veille arrêtée');
+    this.emit('stopped', this.getStatus());
+  }
+
+  /**
+   * Retourne l'état de la veille
+   * @returns {object} running, hashtags, mentions, pollInterval, polls, received, lastPollAt, lastError
+   */
+  getStatus() {
+    return {
+      running: this.running,
+      hashtags: this.hashtags,
+      mentions: this.mentions,
+      pollInterval: this.options.pollInterval,
+      polls: this.polls,
+      received: this.received,
+      lastPollAt: this.lastPollAt && new Date(this.lastPollAt).toISOString(),
+      lastError: this.lastError
+    };
+  }
+
+  /**
+   * Boucle de la veille : un passage, puis une pause, jusqu'à stop()
+   * @private
+   */
+  async run() {
+    while (this.running) {
+      this.controller = new AbortController();
+
+      try {
+        await this.poll(this.controller.signal);
+        this.lastError = null;
+      } catch (error) {
+        if (!this.running) {
+          break;
+        }
+
+        this.lastError = error.message;
+        logger.warn(`Passage de la veille en échec: ${error.message}`);
+      }
+
+      this.polls += 1;
+      this.lastPollAt = Date.now();
+      this.emit('polled', this.getStatus());
+      await this.pause(this.options.pollInterval);
+    }
+  }
+
+  /**
+   * Lit les nouveaux statuts de chaque fil et les relaie dans l'ordre chronologique
+   * @param {AbortSignal} signal - Signal d'annulation (arrêt de la veille)
+   * @private
+   */
+  async poll(signal) {
+    const found = new Map();
+    const collect = (status, rule) => {
+      const entry = found.get(status.id) || { status, matchingRules: [] };
+      entry.matchingRules.push(rule);
+      found.set(status.id, entry);
+    };
+
+    for (const hashtag of this.hashtags) {
+      const statuses = await this.readNew(`hashtag:${hashtag}`, params => this.client.getTagTimeline(hashtag, { ...params, signal }));
+      statuses.forEach(status => collect(status, { id: `hashtag:${hashtag}`, tag: `#${hashtag}` }));
+    }
+
+    if (this.mentions) {
+      const notifications = await this.readNew('mentions', params => this.client.getNotifications({ ...params, types: ['mention'], signal }));
+      notifications.filter(notification => notification.status).forEach(notification => collect(notification.status, { id: 'mentions', tag: 'mention' }));
+    }
+
+    [...found.values()]
+      .sort((a, b) => compareIds(a.status.id, b.status.id))
+      .forEach(entry => this.handleStatus(entry));
+  }
+
+  /**
+   * Lit les éléments d'un fil plus récents que le dernier lu
+   * @param {string} key - Fil (hashtag:<nom> ou mentions)
+   * @param {Function} fetchPage - Lit une page ({ limit, minId }) et renvoie { data }
+   * @returns {Promise<Array<object>>} Nouveaux éléments (vide au premier passage)
+   * @private
+   */
+  async readNew(key, fetchPage) {
+    if (!this.cursors.has(key)) {
+      const page = await fetchPage({ limit: 1 });
+      this.cursors.set(key, page.data.length > 0 ? page.data[0].id : null);
+      return [];
+    }
+
+    const items = [];
+
+    for (let index = 0; index < MAX_PAGES_PER_POLL; index++) {
+      const minId = this.cursors.get(key);
+      const page = await fetchPage({ limit: PAGE_SIZE, minId: minId || undefined });
+
+      if (page.data.length === 0) {
+        break;
+      }
+
+      items.push(...page.data);
+      // Les pages sont triées du plus récent au plus ancien
+      this.cursors.set(key, page.data[0].id);
+
+      if (page.data.length < PAGE_SIZE) {
+        break;
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * Relaie un nouveau statut, sauf s'il a déjà été relayé par un passage précédent
+   * @param {{status: object, matchingRules: Array<object>}} entry - Statut et fils où il a été trouvé
+   * @private
+   */
+  handleStatus(entry) {
+    if (this.recentIds.has(entry.status.id)) {
+      logger.debug(`Statut ${entry.status.id} déjà relayé, ignoré`);
+      return;
+    }
+
+    this.recentIds.add(entry.status.id);
+    if (this.recentIds.size > this.options.dedupeSize) {
+      this.recentIds.delete(this.recentIds.values().next().value);
+    }
+
+    this.received += 1;
+    this.emit('post', entry);
+  }
+
+  /**
+   * Fils suivis, pour les journaux
+   * @returns {string} Description
+   * @private
+   */
+  describe() {
+    const parts = [...this.hashtags.map(hashtag => `#${hashtag}`), ...(this.mentions ? ['mentions'] : [])];
+    return parts.length > 0 ? parts.join(', ') : 'aucun fil';
+  }
+
+  /**
+   * Attend avant le passage suivant, sauf si la veille est arrêtée entre-temps
+   * @param {number} ms - Délai en millisecondes
+   * @private
+   */
+  pause(ms) {
+    const { signal } = this.controller;
+
+    return new Promise(resolve => {
+      if (signal.aborted) {
+        return resolve();
+      }
+
+      const timer = setTimeout(resolve, ms);
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    });
+  }
+}
+
+/**
+ * Normalise une liste de hashtags (sans #, en minuscules, sans doublon)
+ * @param {Array<string>} hashtags - Hashtags
+ * @returns {Array<string>} Hashtags normalisés
+ */
+function normalizeHashtags(hashtags) {
+  return [...new Set(hashtags.map(hashtag => hashtag.replace(/^#/, '').toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Compare deux identifiants Mastodon (entiers en chaîne, trop grands pour Number)
+ * @param {string} a - Identifiant
+ * @param {string} b - Identifiant
+ * @returns {number} Négatif si a est plus ancien que b
+ */
+function compareIds(a, b) {
+  return a.length - b.length || a.localeCompare(b);
+}
+
+export default TimelineWatch;
@@ -0,0 +1,431 @@
+/**
+ * Planificateur des requêtes sortantes vers les API des réseaux sociaux
+ * Partagé par les clients des plateformes : il suit le budget de chaque point d'accès
+ * pour chaque identifiant (en-têtes de limite de débit), met en file d'attente les appels
+ * dont le budget est épuisé jusqu'à la réinitialisation de la fenêtre, et relance les
+ * réponses 429/5xx et les erreurs réseau avec un délai exponentiel aléatoire (jitter).
+ * Les requêtes non idempotentes (POST, DELETE...) ne sont relancées qu'après un 429, que
+ * l'API n'a pas traité : après une erreur réseau ou un 5xx, elle a pu publier le contenu.
+ */
+
+import crypto from 'crypto';
+import config from '../config/config.js';
+import loggerModule from '../utils/logger.js';
+
+const logger = loggerModule.createSubLogger('Scheduler');
+
+// Méthodes qu'un nouvel essai ne peut pas exécuter deux fois
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'OPTIONS', 'PUT']);
+
+export class RequestScheduler {
+  /**
+   * @param {object} options - Options (voir config.scheduler)
+   */
+  constructor(options = config.scheduler) {
+    this.options = options;
+    this.buckets = new Map();
+  }
+
+  /**
+   * Exécute une requête dès que le budget de son point d'accès le permet
+   * `execute` peut être appelée plusieurs fois (nouvel essai) : elle doit reconstruire
+   * sa requête à chaque appel (signature OAuth, corps multipart...)
+   * @param {object} request - Description de la requête
+   * @param {string} request.platform - Plateforme (ex: twitter)
+   * @param {string} request.endpoint - Point d'accès (ex: GET /tweets/search/recent)
+   * @param {string} request.method - Méthode HTTP (ex: GET, POST)
+   * @param {boolean} request.retryable - Relancer aussi après une erreur réseau ou un 5xx ; par défaut,
+   *   seulement pour les méthodes idempotentes (GET, HEAD, OPTIONS, PUT)
+   * @param {string} request.credential - Identifiant non secret des identifiants utilisés (voir credentialId)
+   * @param {AbortSignal} request.signal - Annule l'attente et les nouveaux essais
+   * @param {Function} request.readRateLimit - Lit les limites dans les en-têtes (readRateLimitHeaders par défaut)
+   * @param {Function} execute - Envoie la requête et renvoie la réponse fetch
+   * @returns {Promise<Response>} Dernière réponse obtenue
+   */
+  async schedule(request, execute) {
+    const { platform, endpoint, method, credential = 'anonyme', signal, readRateLimit = readRateLimitHeaders } = request;
+    const { retryable = IDEMPOTENT_METHODS.has(method) } = request;
+    const bucket = this.bucket(platform, credential, endpoint);
+    const { maxRetries } = this.options;
+
+    for (let attempt = 0; ; attempt++) {
+      await this.acquire(bucket, signal);
+
+      let response;
+      try {
+        response = await execute();
+      } catch (error) {
+        this.release(bucket);
+        if (error.name === 'AbortError' || !retryable || attempt >= maxRetries) {
+          throw error;
+        }
+
+        const delay = this.backoffDelay(attempt);
+        logger.warn(`${platform} ${endpoint} : ${error.message}, nouvel essai ${attempt + 1}/${maxRetries} dans ${delay} ms`);
+        await sleep(delay, signal);
+        continue;
+      }
+
+      const rateLimit = readRateLimit(response.headers);
+      // Après un 429, le budget est épuisé pour tous les appels de ce point d'accès : ils attendront la réinitialisation
+      this.release(bucket, response.status === 429 ? this.exhaustedLimit(rateLimit, response.headers, attempt) : rateLimit);
+
+      if (!isRetryable(response.status, retryable) || attempt >= maxRetries) {
+        return response;
+      }
+
+      // Libérer la connexion avant de relancer
+      await response.arrayBuffer().catch(() => null);
+
+      if (response.status === 429) {
+        logger.warn(`${platform} ${endpoint} : limite de débit atteinte, nouvel essai ${attempt + 1}/${maxRetries} ` +
+          `après réinitialisation (${new Date(bucket.reset * 1000).toISOString()})`);
+        continue;
+      }
+
+      const delay = this.backoffDelay(attempt);
+      logger.warn(`${platform} ${endpoint} : statut ${response.status}, nouvel essai ${attempt + 1}/${maxRetries} dans ${delay} ms`);
+      await sleep(delay, signal);
+    }
+  }
+
+  /**
+   * Retourne les budgets connus
+   * @param {object} filters - platform, credentials (tableau d'identifiants)
+   * @returns {Array<object>} Budgets : platform, endpoint, credential, limit, remaining, reset, queued, inFlight
+   */
+  getBudgets(filters = {}) {
+    const { platform, credentials } = filters;
+
+    return Array.from(this.buckets.values())
+      .filter(bucket => (!platform || bucket.platform === platform) &&
+        (!credentials || credentials.includes(bucket.credential)))
+      .map(bucket => ({
+        platform: bucket.platform,
+        endpoint: bucket.endpoint,
+        credential: bucket.credential,
+        limit: bucket.limit,
+        remaining: bucket.remaining,
+        reset: bucket.reset,
+        queued: bucket.queue.length,
+        inFlight: bucket.inFlight
+      }));
+  }
+
+  /**
+   * Retourne les budgets regroupés par plateforme (statut des agents)
+   * @returns {object} Budgets indexés par plateforme
+   */
+  getStatus() {
+    return this.getBudgets().reduce((status, budget) => {
+      const { platform, ...rest } = budget;
+      (status[platform] = status[platform] || []).push(rest);
+      return status;
+    }, {});
+  }
+
+  /**
+   * Retourne (en la créant au besoin) la file d'un point d'accès pour un identifiant
+   * @private
+   */
+  bucket(platform, credential, endpoint) {
+    const key = `${platform}|${credential}|${endpoint}`;
+
+    if (!this.buckets.has(key)) {
+      this.buckets.set(key, {
+        platform,
+        credential,
+        endpoint,
+        limit: null,
+        remaining: null,
+        reset: null,
+        inFlight: 0,
+        queue: [],
+        timer: null
+      });
+    }
+
+    return this.buckets.get(key);
+  }
+
+  /**
+   * Attend son tour dans la file d'un point d'accès
+   * @param {object} bucket - File du point d'accès
+   * @param {AbortSignal} signal - Retire l'appel de la file s'il est annulé
+   * @returns {Promise<void>}
+   * @private
+   */
+  acquire(bucket, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        return reject(abortError(signal));
+      }
+
+      const onAbort = () => {
+        bucket.queue.splice(bucket.queue.indexOf(waiter), 1);
+        reject(abortError(signal));
+      };
+      const waiter = {
+        start: () => {
+          if (signal) {
+            signal.removeEventListener('abort', onAbort);
+          }
+          resolve();
+        }
+      };
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      bucket.queue.push(waiter);
+      this.pump(bucket);
+    });
+  }
+
+  /**
+   * Enregistre la fin d'un appel et les limites renvoyées par l'API
+   * @param {object} bucket - File du point d'accès
+   * @param {object|null} rateLimit - { limit, remaining, reset } lus dans la réponse
+   * @private
+   */
+  release(bucket, rateLimit = null) {
+    bucket.inFlight -= 1;
+
+    if (rateLimit) {
+      Object.assign(bucket, rateLimit);
+    }
+
+    this.pump(bucket);
+  }
+
+  /**
+   * Limites à retenir après une réponse 429 : budget nul jusqu'à la réinitialisation indiquée
+   * par les en-têtes, par Retry-After ou, à défaut, par le délai exponentiel
+   * @param {object|null} rateLimit - Limites lues dans la réponse
+   * @param {Headers} headers - En-têtes de la réponse
+   * @param {number} attempt - Rang de l'essai
+   * @returns {object} Limites
+   * @private
+   */
+  exhaustedLimit(rateLimit, headers, attempt) {
+    const now = Date.now() / 1000;
+    const retryAfter = parseInt(headers.get('retry-after'), 10);
+    const reset = rateLimit && rateLimit.reset > now
+      ? rateLimit.reset
+      : Math.ceil(now + (retryAfter >= 0 ? retryAfter : this.backoffDelay(attempt) / 1000));
+
+    return { ...rateLimit, remaining: 0, reset };
+  }
+
+  /**
+   * Démarre les appels en attente tant que le budget le permet, sinon programme
+   * un nouvel essai à la réinitialisation de la fenêtre
+   * @param {object} bucket - File du point d'accès
+   * @private
+   */
+  pump(bucket) {
+    clearTimeout(bucket.timer);
+    bucket.timer = null;
+
+    while (bucket.queue.length > 0) {
+      const delay = this.delayBeforeNext(bucket);
+
+      if (delay > 0) {
+        logger.info(`${bucket.platform} ${bucket.endpoint} : budget épuisé, ${bucket.queue.length} appel(s) en attente pendant ${Math.ceil(delay / 1000)} s`);
+        bucket.timer = setTimeout(() => this.pump(bucket), delay);
+        return;
+      }
+
+      bucket.inFlight += 1;
+      bucket.queue.shift().start();
+    }
+  }
+
+  /**
+   * Délai avant de pouvoir démarrer un nouvel appel
+   * @param {object} bucket - File du point d'accès
+   * @returns {number} Délai en millisecondes (0 : l'appel peut partir)
+   * @private
+   */
+  delayBeforeNext(bucket) {
+    if (bucket.remaining === null || bucket.remaining - bucket.inFlight > 0) {
+      return 0;
+    }
+
+    const untilReset = (bucket.reset || 0) * 1000 + this.options.resetMargin - Date.now();
+
+    if (untilReset <= 0) {
+      // Nouvelle fenêtre : le budget sera connu à la prochaine réponse
+      bucket.remaining = null;
+      return 0;
+    }
+
+    return untilReset;
+  }
+
+  /**
+   * Délai exponentiel avec jitter (entre la moitié et la totalité du délai nominal)
+   * @param {number} attempt - Rang de l'essai, à partir de 0
+   * @returns {number} Délai en millisecondes
+   * @private
+   */
+  backoffDelay(attempt) {
+    const nominal = Math.min(this.options.baseDelay * 2 ** attempt, this.options.maxDelay);
+    return Math.round(nominal / 2 + Math.random() * nominal / 2);
+  }
+}
+
+/**
+ * Construit un identifiant non secret pour des identifiants d'API
+ * @param {string} type - Type d'identifiant (ex: app, user)
+ * @param {string} secret - Jeton identifiant le compte (ex: bearer token, access token)
+ * @returns {string} Identifiant (ex: app:3f2a9c01)
+ */
+export function credentialId(type, secret) {
+  return `${type}:${crypto.createHash('sha256').update(String(secret)).digest('hex').slice(0, 8)}`;
+}
+
+/**
+ * Lit les en-têtes x-rate-limit-* (API Twitter/X)
+ * @param {Headers} headers - En-têtes de la réponse
+ * @returns {{limit: number, remaining: number, reset: number}|null} Limites (reset en secondes epoch), si présentes
+ */
+export function readRateLimitHeaders(headers) {
+  if (!headers.has('x-rate-limit-remaining')) {
+    return null;
+  }
+
+  return {
+    limit: parseInt(headers.get('x-rate-limit-limit'), 10),
+    remaining: parseInt(headers.get('x-rate-limit-remaining'), 10),
+    reset: parseInt(headers.get('x-rate-limit-reset'), 10)
+  };
+}
+
+/**
+ * Lit les en-têtes x-ratelimit-* (API Mastodon)
+ * Contrairement à Twitter/X, x-ratelimit-reset est une date ISO 8601
+ * @param {Headers} headers - En-têtes de la réponse
+ * @returns {{limit: number, remaining: number, reset: number}|null} Limites (reset en secondes epoch), si présentes
+ */
+export function readRateLimitResetDate(headers) {
+  const reset = Date.parse(headers.get('x-ratelimit-reset'));
+
+  if (!headers.has('x-ratelimit-remaining') || Number.isNaN(reset)) {
+    return null;
+  }
+
+  return {
+    limit: parseInt(headers.get('x-ratelimit-limit'), 10),
+    remaining: parseInt(headers.get('x-ratelimit-remaining'), 10),
+    reset: Math.ceil(reset / 1000)
+  };
+}
+
+/**
+ * Lit les en-têtes ratelimit-* (AT Protocol : Bluesky)
+ * Mêmes valeurs que pour Twitter/X mais sans le préfixe x- ; ratelimit-policy (ex: 3000;w=300)
+ * décrit la fenêtre et n'est pas utilisé
+ * @param {Headers} headers - En-têtes de la réponse
+ * @returns {{limit: number, remaining: number, reset: number}|null} Limites (reset en secondes epoch), si présentes
+ */
+export function readRateLimitPolicyHeaders(headers) {
+  if (!headers.has('ratelimit-remaining')) {
+    return null;
+  }
+
+  return {
+    limit: parseInt(headers.get('ratelimit-limit'), 10),
+    remaining: parseInt(headers.get('ratelimit-remaining'), 10),
+    reset: parseInt(headers.get('ratelimit-reset'), 10)
+  };
+}
+
+/**
+ * Lit l'en-tête x-business-use-case-usage (API Graph de Meta : Instagram, pages Facebook)
+ * L'utilisation est exprimée en pourcentage : le budget restant est 100 moins le plus élevé
+ * des pourcentages (appels, temps CPU, temps total)
+ * @param {Headers} headers - En-têtes de la réponse
+ * @returns {{limit: number, remaining: number, reset: number}|null} Limites (reset en secondes epoch), si présentes
+ */
+export function readBusinessUseCaseUsage(headers) {
+  const header = headers.get('x-business-use-case-usage');
+  if (!header) {
+    return null;
+  }
+
+  try {
+    const usages = Object.values(JSON.parse(header)).flat();
+    if (usages.length === 0) {
+      return null;
+    }
+
+    const used = Math.max(...usages.map(usage => Math.max(usage.call_count || 0, usage.total_cputime || 0, usage.total_time || 0)));
+    const regainMinutes = Math.max(...usages.map(usage => usage.estimated_time_to_regain_access || 0));
+
+    return {
+      limit: 100,
+      remaining: Math.max(100 - used, 0),
+      // Fenêtre glissante d'une heure : sans blocage en cours, le budget se reconstitue progressivement
+      reset: Math.ceil(Date.now() / 1000 + (regainMinutes > 0 ? regainMinutes * 60 : 3600))
+    };
+  } catch (error) {
+    logger.warn(`En-tête x-business-use-case-usage illisible: ${header}`);
+    return null;
+  }
+}
+
+/**
+ * Indique si une réponse justifie un nouvel essai
+ * @param {number} status - Statut HTTP
+ * @param {boolean} retryable - La requête peut être relancée après une erreur serveur
+ * @returns {boolean} true pour 429, et pour les erreurs serveur si la requête peut être relancée
+ */
+function isRetryable(status, retryable) {
+  return status === 429 || (retryable && status >= 500);
+}
+
+/**
+ * Erreur levée quand un appel en attente est annulé
+ * @param {AbortSignal} signal - Signal annulé
+ * @returns {Error} Erreur nommée AbortError
+ */
+function abortError(signal) {
+  const error = new Error(`Appel annulé${typeof signal.reason === 'string' ? `: ${signal.reason}` : ''}`);
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Attend un délai, interrompu par l'annulation
+ * @param {number} ms - Délai en millisecondes
+ * @param {AbortSignal} signal - Signal d'annulation
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(abortError(signal));
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError(signal));
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+// Exporter une instance singleton, partagée par les clients des plateformes
+const requestScheduler = new RequestScheduler();
+export default requestScheduler;
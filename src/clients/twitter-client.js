@@ -0,0 +1,490 @@
+/**
+ * Client de l'API Twitter/X v2
+ * Authentification par bearer token (lecture seule) ou OAuth 1.0a (contexte utilisateur),
+ * pagination par curseur et sélection des champs/expansions.
+ * La publication passe par l'API v2 (tweets) et l'API v1.1 d'upload (médias, par segments).
+ * En mode simulation (dryRun), les requêtes d'écriture sont journalisées sans être envoyées.
+ * Les requêtes passent par le planificateur partagé, qui suit les limites de débit de chaque
+ * point d'accès par identifiant et relance les réponses 429/5xx.
+ */
+
+import crypto from 'crypto';
+import fetch, { Blob, FormData } from 'node-fetch';
+import requestScheduler, { credentialId, readRateLimitHeaders } from './request-scheduler.js';
+import loggerModule from '../utils/logger.js';
+
+const logger = loggerModule.createSubLogger('Twitter-Client');
+
+// Champs demandés par défaut : de quoi afficher un tweet avec son auteur et ses compteurs
+const DEFAULT_FIELDS = {
+  tweet: ['created_at', 'public_metrics', 'author_id', 'entities', 'lang', 'conversation_id'],
+  user: ['name', 'username', 'description', 'profile_image_url', 'public_metrics', 'verified', 'created_at'],
+  expansions: ['author_id']
+};
+
+// Champs demandés sur le flux filtré : auteur et médias de chaque post
+const STREAM_FIELDS = {
+  ...DEFAULT_FIELDS,
+  tweet: [...DEFAULT_FIELDS.tweet, 'attachments'],
+  expansions: ['author_id', 'attachments.media_keys'],
+  media: ['type', 'url', 'preview_image_url']
+};
+
+/**
+ * Erreur renvoyée par l'API Twitter
+ */
+export class TwitterApiError extends Error {
+  /**
+   * @param {string} message - Message d'erreur
+   * @param {number} status - Statut HTTP
+   * @param {object} details - Erreurs détaillées renvoyées par l'API et limites de débit
+   */
+  constructor(message, status, details = {}) {
+    super(message);
+    this.name = 'TwitterApiError';
+    this.status = status;
+    this.errors = details.errors || [];
+    this.rateLimit = details.rateLimit || null;
+  }
+}
+
+class TwitterClient {
+  /**
+   * @param {object} credentials - Identifiants et point d'accès
+   * @param {string} credentials.apiKey - Clé d'API (consumer key, OAuth 1.0a)
+   * @param {string} credentials.apiSecret - Secret d'API (consumer secret, OAuth 1.0a)
+   * @param {string} credentials.accessToken - Jeton d'accès utilisateur (OAuth 1.0a)
+   * @param {string} credentials.accessTokenSecret - Secret du jeton d'accès (OAuth 1.0a)
+   * @param {string} credentials.bearerToken - Bearer token d'application, prioritaire s'il est fourni
+   * @param {string} credentials.baseUrl - URL de l'API (https://api.twitter.com/2 ou serveur simulé)
+   * @param {string} credentials.uploadBaseUrl - URL de l'API d'upload (https://upload.twitter.com/1.1)
+   * @param {boolean} credentials.dryRun - Journalise les requêtes d'écriture au lieu de les envoyer
+   */
+  constructor(credentials = {}) {
+    this.credentials = credentials;
+    this.baseUrl = (credentials.baseUrl || 'https://api.twitter.com/2').replace(/\/$/, '');
+    this.uploadBaseUrl = (credentials.uploadBaseUrl || 'https://upload.twitter.com/1.1').replace(/\/$/, '');
+    this.dryRun = Boolean(credentials.dryRun);
+    this.dryRunSequence = 0;
+    this.scheduler = requestScheduler;
+  }
+
+  /**
+   * Recherche les tweets des 7 derniers jours
+   * @param {object} params - query, maxResults (10 à 100), nextToken, fields, signal (annule l'attente du budget)
+   * @returns {Promise<object>} Réponse de l'API (data, includes, meta)
+   */
+  async searchRecent(params) {
+    const { query, maxResults = 10, nextToken, fields, signal } = params;
+
+    return this.request('GET', '/tweets/search/recent', {}, {
+      query,
+      max_results: maxResults,
+      next_token: nextToken,
+      ...fieldParams(fields)
+    }, { signal });
+  }
+
+  /**
+   * Récupère un utilisateur par son nom d'utilisateur
+   * @param {string} username - Nom d'utilisateur, sans @
+   * @param {object} fields - Champs à demander (user, tweet, expansions)
+   * @returns {Promise<object>} Réponse de l'API (data, includes)
+   */
+  async getUserByUsername(username, fields = {}) {
+    return this.request('GET', '/users/by/username/:username', { username }, {
+      'user.fields': (fields.user || DEFAULT_FIELDS.user).join(',')
+    });
+  }
+
+  /**
+   * Récupère les tweets publiés par un utilisateur
+   * @param {string} userId - Identifiant de l'utilisateur
+   * @param {object} params - maxResults (5 à 100), paginationToken, fields, signal (annule l'attente du budget)
+   * @returns {Promise<object>} Réponse de l'API (data, includes, meta)
+   */
+  async getUserTweets(userId, params = {}) {
+    const { maxResults = 10, paginationToken, fields, signal } = params;
+
+    return this.request('GET', '/users/:id/tweets', { id: userId }, {
+      max_results: maxResults,
+      pagination_token: paginationToken,
+      ...fieldParams(fields)
+    }, { signal });
+  }
+
+  /**
+   * Publie un tweet
+   * @param {object} payload - Corps de POST /2/tweets (text, reply.in_reply_to_tweet_id, media.media_ids...)
+   * @returns {Promise<object>} Réponse de l'API ({ data: { id, text } })
+   */
+  async createTweet(payload) {
+    return this.request('POST', '/tweets', {}, {}, {
+      body: payload,
+      dryRunResponse: () => ({ data: { id: this.nextDryRunId('tweet'), text: payload.text || '' } })
+    });
+  }
+
+  /**
+   * Supprime un tweet de l'utilisateur authentifié
+   * @param {string} tweetId - Identifiant du tweet
+   * @returns {Promise<object>} Réponse de l'API ({ data: { deleted } })
+   */
+  async deleteTweet(tweetId) {
+    return this.request('DELETE', '/tweets/:id', { id: tweetId }, {}, {
+      dryRunResponse: () => ({ data: { deleted: true } })
+    });
+  }
+
+  /**
+   * Ouvre un upload de média par segments (commande INIT)
+   * @param {object} params - totalBytes, mediaType (type MIME), mediaCategory (tweet_image, tweet_gif, tweet_video)
+   * @returns {Promise<object>} Réponse de l'API (media_id_string, expires_after_secs)
+   */
+  async initMediaUpload(params) {
+    return this.upload('POST', {
+      command: 'INIT',
+      total_bytes: params.totalBytes,
+      media_type: params.mediaType,
+      media_category: params.mediaCategory
+    }, {
+      dryRunResponse: () => ({ media_id_string: this.nextDryRunId('media'), expires_after_secs: 86400 })
+    });
+  }
+
+  /**
+   * Envoie un segment du média (commande APPEND, multipart/form-data)
+   * @param {string} mediaId - Identifiant renvoyé par INIT
+   * @param {number} segmentIndex - Rang du segment, à partir de 0
+   * @param {Buffer} chunk - Contenu du segment (5 Mo au plus)
+   * @returns {Promise<object>} Réponse de l'API (vide)
+   */
+  async appendMediaSegment(mediaId, segmentIndex, chunk) {
+    return this.upload('POST', { command: 'APPEND', media_id: mediaId, segment_index: segmentIndex }, {
+      file: { field: 'media', data: chunk },
+      dryRunResponse: () => ({})
+    });
+  }
+
+  /**
+   * Termine l'upload d'un média (commande FINALIZE)
+   * @param {string} mediaId - Identifiant renvoyé par INIT
+   * @returns {Promise<object>} Réponse de l'API (media_id_string, size, processing_info pour les vidéos)
+   */
+  async finalizeMediaUpload(mediaId) {
+    return this.upload('POST', { command: 'FINALIZE', media_id: mediaId }, {
+      dryRunResponse: () => ({ media_id_string: mediaId })
+    });
+  }
+
+  /**
+   * Consulte l'état du traitement d'un média après FINALIZE (commande STATUS)
+   * @param {string} mediaId - Identifiant du média
+   * @returns {Promise<object>} Réponse de l'API (processing_info)
+   */
+  async getMediaStatus(mediaId) {
+    return this.upload('GET', { command: 'STATUS', media_id: mediaId });
+  }
+
+  /**
+   * Associe un texte alternatif à un média
+   * @param {string} mediaId - Identifiant du média
+   * @param {string} altText - Texte alternatif (1000 caractères au plus)
+   * @returns {Promise<object>} Réponse de l'API (vide)
+   */
+  async createMediaMetadata(mediaId, altText) {
+    return this.request('POST', '/media/metadata/create.json', {}, {}, {
+      baseUrl: this.uploadBaseUrl,
+      body: { media_id: mediaId, alt_text: { text: altText } },
+      dryRunResponse: () => ({})
+    });
+  }
+
+  /**
+   * Liste les règles du flux filtré (authentification d'application)
+   * @returns {Promise<object>} Réponse de l'API (data : règles { id, value, tag }, meta)
+   */
+  async getStreamRules() {
+    return this.request('GET', '/tweets/search/stream/rules', {}, {}, { userContext: false });
+  }
+
+  /**
+   * Ajoute des règles au flux filtré
+   * @param {Array<{value: string, tag: string}>} rules - Règles à ajouter
+   * @returns {Promise<object>} Réponse de l'API (data : règles créées, errors : règles refusées, meta.summary)
+   */
+  async addStreamRules(rules) {
+    return this.request('POST', '/tweets/search/stream/rules', {}, {}, { body: { add: rules }, userContext: false });
+  }
+
+  /**
+   * Supprime des règles du flux filtré
+   * @param {Array<string>} ids - Identifiants des règles
+   * @returns {Promise<object>} Réponse de l'API (meta.summary : deleted, not_deleted)
+   */
+  async deleteStreamRules(ids) {
+    return this.request('POST', '/tweets/search/stream/rules', {}, {}, { body: { delete: { ids } }, userContext: false });
+  }
+
+  /**
+   * Ouvre la connexion au flux filtré
+   * Le corps de la réponse est un flux de JSON délimités par des retours à la ligne,
+   * entrecoupés de lignes vides (heartbeat)
+   * @param {object} params - fields, backfillMinutes (posts manqués à rejouer, 5 au plus), signal (ferme la connexion)
+   * @returns {Promise<Response>} Réponse dont le corps reste ouvert
+   */
+  async connectStream(params = {}) {
+    const { fields = STREAM_FIELDS, backfillMinutes, signal } = params;
+
+    return this.request('GET', '/tweets/search/stream', {}, {
+      ...fieldParams(fields),
+      backfill_minutes: backfillMinutes
+    }, { userContext: false, signal, raw: true });
+  }
+
+  /**
+   * Parcourt les pages d'un point d'accès jusqu'à obtenir le nombre de tweets voulu
+   * @param {Function} fetchPage - Appelée avec (curseur, taille de page), renvoie une réponse paginée
+   * @param {object} options - count (nombre total voulu), pageSize (taille maximale d'une page), minPageSize
+   * @returns {Promise<{data: Array, includes: object, nextToken: string|null}>} Tweets et expansions cumulés
+   */
+  async paginate(fetchPage, options) {
+    const { count, pageSize = 100, minPageSize = 10 } = options;
+    const data = [];
+    const includes = { users: [] };
+    let cursor;
+
+    do {
+      const remaining = count - data.length;
+      const page = await fetchPage(cursor, Math.max(Math.min(remaining, pageSize), minPageSize));
+
+      data.push(...(page.data || []).slice(0, remaining));
+      includes.users.push(...((page.includes && page.includes.users) || []));
+      cursor = page.meta && page.meta.next_token;
+    } while (cursor && data.length < count);
+
+    return { data, includes, nextToken: cursor || null };
+  }
+
+  /**
+   * Retourne les dernières limites de débit connues pour les identifiants du client, par point d'accès
+   * @returns {object} { limit, remaining, reset, queued } indexé par point d'accès (ex: GET /users/:id/tweets)
+   */
+  getRateLimits() {
+    const { apiKey, accessToken, bearerToken } = this.credentials;
+    const credentials = [
+      bearerToken && credentialId('app', bearerToken),
+      apiKey && accessToken && credentialId('user', accessToken)
+    ].filter(Boolean);
+
+    return Object.fromEntries(this.scheduler.getBudgets({ platform: 'twitter', credentials })
+      .map(({ endpoint, limit, remaining, reset, queued }) => [endpoint, { limit, remaining, reset, queued }]));
+  }
+
+  /**
+   * Exécute une commande de l'API d'upload des médias
+   * Les paramètres passent par la query string : ils sont ainsi couverts par la signature OAuth,
+   * le segment éventuel étant seul dans le corps multipart
+   * @param {string} method - Méthode HTTP
+   * @param {object} query - Paramètres de la commande (command, media_id...)
+   * @param {object} options - Options de request()
+   * @returns {Promise<object>} Corps JSON de la réponse
+   * @private
+   */
+  async upload(method, query, options = {}) {
+    return this.request(method, '/media/upload.json', {}, query, { ...options, baseUrl: this.uploadBaseUrl, userContext: true });
+  }
+
+  /**
+   * Exécute une requête authentifiée
+   * En mode simulation, les requêtes de publication (celles qui fournissent options.dryRunResponse)
+   * sont journalisées telles qu'elles seraient envoyées, et dryRunResponse() fournit la réponse
+   * @param {string} method - Méthode HTTP
+   * @param {string} route - Route relative à l'URL de l'API (ex: /users/:id/tweets)
+   * @param {object} pathParams - Valeurs des paramètres de la route
+   * @param {object} query - Paramètres de la query string (les valeurs undefined sont ignorées)
+   * @param {object} options - body (corps JSON), file ({ field, data } envoyé en multipart),
+   *   baseUrl (URL de l'API, this.baseUrl par défaut), userContext (requête au nom de l'utilisateur,
+   *   par défaut pour les écritures), signal (annule l'attente du budget), raw (renvoie la réponse
+   *   sans lire son corps), dryRunResponse (réponse simulée : seules les publications sont concernées par dryRun)
+   * @returns {Promise<object>} Corps JSON de la réponse
+   * @throws {TwitterApiError} Si l'API renvoie une erreur
+   * @private
+   */
+  async request(method, route, pathParams = {}, query = {}, options = {}) {
+    const { body: payload, file, baseUrl = this.baseUrl, userContext = method !== 'GET', signal, raw, dryRunResponse } = options;
+    const endpoint = route.replace(/:(\w+)/g, (match, name) => encodeURIComponent(pathParams[name]));
+    const params = Object.fromEntries(
+      Object.entries(query)
+        .filter(([, value]) => value !== undefined && value !== null && value !== '')
+        .map(([key, value]) => [key, String(value)])
+    );
+    const url = `${baseUrl}${endpoint}`;
+    const search = new URLSearchParams(params).toString();
+    const target = search ? `${url}?${search}` : url;
+
+    if (this.dryRun && dryRunResponse) {
+      const content = payload ? ` ${JSON.stringify(payload)}` : file ? ` [${file.field}: ${file.data.length} octets]` : '';
+      logger.info(`[simulation] ${method} ${target}${content}`);
+      return dryRunResponse();
+    }
+
+    logger.debug(`${method} ${endpoint}${search ? `?${search}` : ''}`);
+
+    const auth = this.authMode(userContext);
+    const credential = auth === 'bearer'
+      ? credentialId('app', this.credentials.bearerToken)
+      : credentialId('user', this.credentials.accessToken);
+
+    // La requête est reconstruite à chaque essai : nouvelle signature OAuth et nouveau corps multipart
+    const response = await this.scheduler.schedule({ platform: 'twitter', endpoint: `${method} ${route}`, method, credential, signal }, () => {
+      const headers = {
+        Authorization: auth === 'bearer' ? `Bearer ${this.credentials.bearerToken}` : this.signRequest(method, url, params)
+      };
+      let requestBody;
+
+      if (payload) {
+        headers['Content-Type'] = 'application/json';
+        requestBody = JSON.stringify(payload);
+      } else if (file) {
+        requestBody = new FormData();
+        requestBody.append(file.field, new Blob([file.data]));
+      }
+
+      return fetch(target, { method, headers, body: requestBody, signal });
+    });
+
+    const rateLimit = readRateLimitHeaders(response.headers);
+
+    if (raw && response.ok) {
+      return response;
+    }
+
+    const body = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const message = body.detail || body.title || (body.errors && body.errors[0] && body.errors[0].message)
+        || body.error || `Erreur HTTP ${response.status}`;
+      throw new TwitterApiError(`API Twitter (${response.status}) : ${message}`, response.status, {
+        errors: body.errors,
+        rateLimit
+      });
+    }
+
+    // Les erreurs partielles (ex: utilisateur introuvable, règle en double) arrivent avec un statut 200 et sans data
+    if (!body.data && body.errors && body.errors.length > 0) {
+      const notFound = /resource-not-found$/.test(body.errors[0].type || '');
+      throw new TwitterApiError(`API Twitter : ${body.errors[0].detail || body.errors[0].title}`, notFound ? 404 : 400, {
+        errors: body.errors,
+        rateLimit
+      });
+    }
+
+    return body;
+  }
+
+  /**
+   * Choisit l'authentification : bearer token s'il est configuré, sinon OAuth 1.0a
+   * Les requêtes en contexte utilisateur (publication) utilisent OAuth 1.0a dès que les clés sont fournies
+   * @param {boolean} userContext - La requête agit au nom de l'utilisateur
+   * @returns {string} 'bearer' ou 'oauth1'
+   * @throws {TwitterApiError} Si aucun identifiant n'est configuré
+   * @private
+   */
+  authMode(userContext) {
+    const { apiKey, apiSecret, accessToken, accessTokenSecret, bearerToken } = this.credentials;
+    const hasOAuth1 = Boolean(apiKey && apiSecret && accessToken && accessTokenSecret);
+
+    if (bearerToken && !(userContext && hasOAuth1)) {
+      return 'bearer';
+    }
+
+    if (!hasOAuth1) {
+      throw new TwitterApiError('Identifiants Twitter manquants : bearer token ou clés OAuth 1.0a requis', 401);
+    }
+
+    return 'oauth1';
+  }
+
+  /**
+   * Signe une requête avec les clés OAuth 1.0a du client
+   * @param {string} method - Méthode HTTP
+   * @param {string} url - URL sans query string
+   * @param {object} params - Paramètres de la query string
+   * @returns {string} En-tête Authorization
+   * @private
+   */
+  signRequest(method, url, params) {
+    const { apiKey, apiSecret, accessToken, accessTokenSecret } = this.credentials;
+    return signOAuth1(method, url, params, { apiKey, apiSecret, accessToken, accessTokenSecret });
+  }
+
+  /**
+   * Identifiant attribué à un objet créé en mode simulation
+   * @param {string} kind - 'tweet' ou 'media'
+   * @returns {string} Identifiant (ex: dry-run-tweet-3)
+   * @private
+   */
+  nextDryRunId(kind) {
+    this.dryRunSequence += 1;
+    return `dry-run-${kind}-${this.dryRunSequence}`;
+  }
+}
+
+/**
+ * Signe une requête selon OAuth 1.0a (HMAC-SHA1)
+ * @param {string} method - Méthode HTTP
+ * @param {string} url - URL sans query string
+ * @param {object} params - Paramètres de la query string
+ * @param {object} credentials - apiKey, apiSecret, accessToken, accessTokenSecret
+ * @param {object} overrides - nonce et timestamp imposés (vérification de signature)
+ * @returns {string} En-tête Authorization OAuth
+ */
+export function signOAuth1(method, url, params, credentials, overrides = {}) {
+  const oauthParams = {
+    oauth_consumer_key: credentials.apiKey,
+    oauth_nonce: overrides.nonce || crypto.randomBytes(16).toString('hex'),
+    oauth_signature_method: 'HMAC-SHA1',
+    oauth_timestamp: overrides.timestamp || Math.floor(Date.now() / 1000).toString(),
+    oauth_token: credentials.accessToken,
+    oauth_version: '1.0'
+  };
+
+  const parameterString = Object.entries({ ...params, ...oauthParams })
+    .map(([key, value]) => [percentEncode(key), percentEncode(value)])
+    .sort(([keyA, valueA], [keyB, valueB]) => (keyA === keyB ? valueA.localeCompare(valueB) : keyA < keyB ? -1 : 1))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&');
+  const baseString = [method.toUpperCase(), percentEncode(url), percentEncode(parameterString)].join('&');
+  const signingKey = `${percentEncode(credentials.apiSecret)}&${percentEncode(credentials.accessTokenSecret)}`;
+  const signature = crypto.createHmac('sha1', signingKey).update(baseString).digest('base64');
+
+  return 'OAuth ' + Object.entries({ ...oauthParams, oauth_signature: signature })
+    .map(([key, value]) => `${percentEncode(key)}="${percentEncode(value)}"`)
+    .join(', ');
+}
+
+/**
+ * Encode une valeur selon la RFC 3986, comme l'exige OAuth 1.0a
+ * @param {string} value - Valeur à encoder
+ * @returns {string} Valeur encodée
+ */
+function percentEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Convertit une sélection de champs en paramètres de l'API
+ * @param {object} fields - tweet, user, expansions et media (tableaux), par défaut DEFAULT_FIELDS
+ * @returns {object} Paramètres tweet.fields, user.fields, expansions et media.fields
+ */
+function fieldParams(fields = {}) {
+  return {
+    'tweet.fields': (fields.tweet || DEFAULT_FIELDS.tweet).join(','),
+    'user.fields': (fields.user || DEFAULT_FIELDS.user).join(','),
+    expansions: (fields.expansions || DEFAULT_FIELDS.expansions).join(','),
+    'media.fields': fields.media && fields.media.join(',')
+  };
+}
+
+export default TwitterClient;
@@ -0,0 +1,240 @@
+/**
+ * Connexion au flux filtré de l'API Twitter/X v2
+ * Maintient la connexion ouverte : découpe le flux en posts, surveille les heartbeats,
+ * se reconnecte avec un délai exponentiel et, si l'offre de l'API le permet, rejoue les
+ * posts manqués pendant la coupure (backfill_minutes). Les posts rejoués déjà reçus sont ignorés.
+ *
+ * Événements émis : `post` (message { data, includes, matching_rules }), `connected`, `disconnected`.
+ */
+
+import { EventEmitter } from 'events';
+import loggerModule from '../utils/logger.js';
+
+const logger = loggerModule.createSubLogger('Twitter-Stream');
+
+class FilteredStream extends EventEmitter {
+  /**
+   * @param {TwitterClient} client - Client de l'API
+   * @param {object} options - Options (voir config.socialAPIs.twitter.stream)
+   */
+  constructor(client, options = {}) {
+    super();
+    this.client = client;
+    this.options = options;
+    this.running = false;
+    this.connected = false;
+    this.connectedAt = null;
+    this.disconnectedAt = null;
+    this.received = 0;
+    this.reconnects = 0;
+    this.lastError = null;
+    this.recentIds = new Set();
+    this.controller = null;
+    this.loop = null;
+  }
+
+  /**
+   * Ouvre la connexion et la maintient jusqu'à stop()
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.loop = this.run();
+  }
+
+  /**
+   * Ferme la connexion
+   */
+  async stop() {
+    this.running = false;
+
+    if (this.controller) {
+      this.controller.abort();
+    }
+
+    await this.loop;
+    this.loop = null;
+  }
+
+  /**
+   * Retourne l'état de la connexion
+   * @returns {object} running, connected, connectedAt, disconnectedAt, received, reconnects, lastError
+   */
+  getStatus() {
+    return {
+      running: this.running,
+      connected: this.connected,
+      connectedAt: this.connectedAt && new Date(this.connectedAt).toISOString(),
+      disconnectedAt: this.disconnectedAt && new Date(this.disconnectedAt).toISOString(),
+      received: this.received,
+      reconnects: this.reconnects,
+      lastError: this.lastError
+    };
+  }
+
+  /**
+   * Boucle de connexion : se reconnecte tant que le flux n'est pas arrêté
+   * @private
+   */
+  async run() {
+    let failures = 0;
+
+    while (this.running) {
+      this.controller = new AbortController();
+
+      try {
+        const backfillMinutes = this.backfillMinutes();
+        const response = await this.client.connectStream({ backfillMinutes, signal: this.controller.signal });
+
+        this.connected = true;
+        this.connectedAt = Date.now();
+        failures = 0;
+        logger.info(`Connecté au flux filtré${backfillMinutes ? ` (rattrapage de ${backfillMinutes} min)` : ''}`);
+        this.emit('connected', { backfillMinutes: backfillMinutes || 0 });
+
+        await this.consume(response.body);
+        throw new Error('connexion fermée par le serveur');
+      } catch (error) {
+        if (this.connected) {
+          this.connected = false;
+          this.disconnectedAt = Date.now();
+        }
+
+        if (!this.running) {
+          break;
+        }
+
+        failures += 1;
+        this.reconnects += 1;
+        this.lastError = error.message;
+
+        const delay = this.reconnectDelay(failures);
+        logger.warn(`Flux filtré interrompu (${error.message}), reconnexion dans ${delay} ms`);
+        this.emit('disconnected', { error: error.message, delay });
+        await this.pause(delay);
+      }
+    }
+
+    logger.info('Flux filtré fermé');
+    this.emit('disconnected', { error: null, delay: null });
+  }
+
+  /**
+   * Lit le flux jusqu'à sa fermeture, en surveillant les heartbeats
+   * @param {ReadableStream} body - Corps de la réponse
+   * @private
+   */
+  async consume(body) {
+    let buffer = '';
+    let watchdog = null;
+    // Décodage en continu : un caractère multioctet (accent, emoji) peut être coupé entre deux segments
+    const decoder = new TextDecoder('utf-8');
+    const { controller } = this;
+    const armWatchdog = () => {
+      clearTimeout(watchdog);
+      watchdog = setTimeout(() => {
+        logger.warn(`Aucun heartbeat depuis ${this.options.heartbeatTimeout} ms`);
+        controller.abort();
+      }, this.options.heartbeatTimeout);
+    };
+
+    armWatchdog();
+
+    try {
+      for await (const chunk of body) {
+        armWatchdog();
+        buffer += decoder.decode(chunk, { stream: true });
+
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop();
+        lines.filter(line => line.trim()).forEach(line => this.handleLine(line));
+      }
+    } catch (error) {
+      throw controller.signal.aborted && this.running ? new Error('heartbeat manquant') : error;
+    } finally {
+      clearTimeout(watchdog);
+    }
+  }
+
+  /**
+   * Traite un message du flux
+   * @param {string} line - Ligne JSON
+   * @private
+   */
+  handleLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      logger.warn(`Message du flux illisible: ${line.slice(0, 100)}`);
+      return;
+    }
+
+    if (!message.data) {
+      // Erreurs opérationnelles (ex: déconnexion imposée par l'API), suivies de la fermeture du flux
+      const error = (message.errors && message.errors[0]) || {};
+      logger.warn(`Message d'erreur du flux: ${error.detail || error.title || line.slice(0, 100)}`);
+      return;
+    }
+
+    if (this.recentIds.has(message.data.id)) {
+      logger.debug(`Post ${message.data.id} déjà reçu, ignoré`);
+      return;
+    }
+
+    this.recentIds.add(message.data.id);
+    if (this.recentIds.size > this.options.dedupeSize) {
+      this.recentIds.delete(this.recentIds.values().next().value);
+    }
+
+    this.received += 1;
+    this.emit('post', message);
+  }
+
+  /**
+   * Minutes de posts à rejouer après une coupure (0 : pas de rattrapage)
+   * @returns {number|undefined} Minutes demandées à l'API
+   * @private
+   */
+  backfillMinutes() {
+    if (!this.disconnectedAt || !(this.options.backfillMinutes > 0)) {
+      return undefined;
+    }
+
+    return Math.min(this.options.backfillMinutes, Math.ceil((Date.now() - this.disconnectedAt) / 60000), 5);
+  }
+
+  /**
+   * Délai exponentiel avec jitter avant une nouvelle connexion
+   * @param {number} failures - Échecs consécutifs
+   * @returns {number} Délai en millisecondes
+   * @private
+   */
+  reconnectDelay(failures) {
+    const nominal = Math.min(this.options.reconnectDelay * 2 ** (failures - 1), this.options.maxReconnectDelay);
+    return Math.round(nominal / 2 + Math.random() * nominal / 2);
+  }
+
+  /**
+   * Attend avant une nouvelle connexion, sauf si le flux est arrêté entre-temps
+   * @param {number} ms - Délai en millisecondes
+   * @private
+   */
+  pause(ms) {
+    // Le contrôleur de la connexion précédente peut déjà être déclenché (heartbeat manquant)
+    this.controller = new AbortController();
+
+    return new Promise(resolve => {
+      const timer = setTimeout(resolve, ms);
+      this.controller.signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        resolve();
+      }, { once: true });
+    });
+  }
+}
+
+export default FilteredStream;
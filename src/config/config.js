@@ -19,21 +19,47 @@ const config = {
       models: {
         text: 'gpt-4',
         image: 'vision-model'
-      }
+      },
+      queueLimit: 1000, // Posts en attente d'analyse (flux) au-delà desquels les plus anciens sont abandonnés
+      resultsLimit: 5000, // Analyses conservées en mémoire
+      moderationThreshold: 0.5, // Score d'une catégorie (insulte, menace, spam) à partir duquel un texte est signalé
     },
     trendsAgent: {
       name: 'agent-tendances',
       description: 'Surveille et identifie les tendances sur les réseaux sociaux',
       refreshInterval: 15 * 60 * 1000, // 15 minutes en millisecondes
+      window: 60 * 60 * 1000, // Fenêtre glissante (1 heure) sur laquelle les fréquences courantes sont comptées
+      baselineWindow: 24 * 60 * 60 * 1000, // Historique (24 heures) qui sert de référence à la détection des pics
+      minCount: 3, // Posts de la fenêtre courante citant un terme pour qu'il puisse être une tendance
+      minAuthors: 2, // Auteurs distincts requis : un seul compte ne fait pas une tendance
+      burstRatio: 3, // Fréquence courante rapportée à celle de référence à partir de laquelle un terme est en pic
+      maxTrends: 20, // Tendances publiées, des plus fortes aux plus faibles
+      postsLimit: 10000, // Posts conservés en mémoire (les plus anciens sont oubliés au-delà)
     },
     engagementAgent: {
       name: 'agent-engagement',
       description: 'Optimise les interactions et les réponses',
       responseTime: 5 * 60 * 1000, // 5 minutes en millisecondes
+      pollInterval: 2 * 60 * 1000, // Relève des mentions et commentaires auprès des agents des plateformes (2 minutes)
+      slaCheckInterval: 30 * 1000, // Recherche des éléments dont le délai de réponse est dépassé (30 secondes)
+      sources: ['facebook', 'instagram', 'linkedin', 'mastodon'], // Agents relevés ; les mentions Twitter arrivent par le flux filtré
+      recentPosts: 5, // Publications récentes dont les commentaires sont relevés, par plateforme
+      mentionRuleTags: ['mention'], // Étiquettes des règles de flux (sujet stream.post) qui désignent une mention du compte
+      maxAge: 7 * 24 * 60 * 60 * 1000, // Mentions et commentaires plus anciens ignorés (7 jours)
+      inboxLimit: 500, // Éléments conservés (les plus anciens déjà traités sont oubliés au-delà)
+      replyTone: 'cordial et professionnel, tutoiement exclu', // Ton demandé au LLM du client pour les brouillons de réponse
     },
     personalizationAgent: {
       name: 'agent-personnalisation',
       description: 'Adapte le contenu aux préférences individuelles',
+      minSegmentSize: 3, // Membres requis pour un segment thématique ; les autres rejoignent le segment général de leur langue
+      maxSegments: 10, // Segments proposés, des plus grands aux plus petits
+      defaultLanguage: 'fr', // Langue supposée d'un membre dont aucun message n'indique la langue
+      timeZone: 'Europe/Paris', // Fuseau des heures d'activité et des horaires de publication suggérés
+      maxHashtags: 3, // Hashtags du segment ajoutés à une variante
+      membersLimit: 5000, // Membres de l'audience conservés en mémoire (les moins récemment actifs sont oubliés au-delà)
+      interactionIdsLimit: 50000, // Identifiants de messages déjà comptés gardés pour ignorer les doublons (les plus anciens sont oubliés au-delà)
+      variantSetsLimit: 20, // Jeux de variantes conservés dans la ressource personalization://variants
     },
     planningAgent: {
       name: 'agent-planification',
@@ -48,9 +74,52 @@ const config = {
 
   // Configuration MCP
   mcp: {
-    port: process.env.MCP_PORT || 3000,
-    host: process.env.MCP_HOST || 'localhost',
-    transport: process.env.MCP_TRANSPORT || 'stdio', // stdio ou sse
+    path: process.env.MCP_PATH || '/mcp', // Streamable HTTP et SSE servis par l'application principale
+    transport: process.env.MCP_TRANSPORT || 'http', // http ou stdio (stdio s'ajoute au transport HTTP)
+    maxBodySize: process.env.MCP_MAX_BODY_SIZE || '25mb', // Taille maximale d'une requête MCP en HTTP (médias en base64)
+    federation: {
+      // Serveurs MCP externes, en JSON : [{ "name": "crm", "transport": "http", "url": "http://..." },
+      // { "name": "assets", "transport": "stdio", "command": "node", "args": ["server.js"] }]
+      servers: parseFederatedServers(process.env.MCP_FEDERATED_SERVERS),
+      separator: '__', // Les capacités importées sont nommées <préfixe>__<nom>
+      reconnectDelay: 10 * 1000, // 10 secondes en millisecondes
+    },
+  },
+
+  // Bus de messages entre agents
+  messaging: {
+    requestTimeout: 30 * 1000, // 30 secondes en millisecondes
+    deadLetterLimit: 100, // Nombre de messages non remis conservés
+  },
+
+  // Contexte partagé entre agents et sessions MCP
+  context: {
+    persistPath: process.env.CONTEXT_PERSIST_PATH || null, // ex: data/context.json, désactivé par défaut
+    sweepInterval: 60 * 1000, // Purge des valeurs expirées, en millisecondes
+  },
+
+  // Journal d'audit des appels d'outils et de ressources
+  audit: {
+    path: process.env.AUDIT_LOG_PATH || 'logs/audit.jsonl', // Fichier JSON Lines, en ajout seul
+    memoryLimit: 5000, // Enregistrements gardés en mémoire pour les requêtes
+    maxStringLength: 1000, // Au-delà, les chaînes sont tronquées dans le journal
+    redactKeys: /pass(word)?|secret|token|api[-_]?key|authorization|cookie|credential/i, // Arguments masqués
+    adminToken: process.env.ADMIN_API_TOKEN, // Jeton (Authorization: Bearer) exigé par /api/audit ; sans jeton, ces routes sont fermées
+  },
+
+  // Publication sur les réseaux sociaux
+  publishing: {
+    dryRun: process.env.PUBLISH_DRY_RUN === 'true', // Valide et journalise les requêtes sans les envoyer
+    mediaChunkSize: 4 * 1024 * 1024, // Taille des segments d'upload des médias, en octets (5 Mo au plus)
+    historyLimit: 100, // Publications récentes conservées par agent
+  },
+
+  // Planification des requêtes sortantes vers les API des réseaux sociaux
+  scheduler: {
+    maxRetries: 3, // Nouveaux essais après une réponse 429/5xx ou une erreur réseau
+    baseDelay: 1000, // Délai du premier nouvel essai, doublé à chaque essai (avec jitter), en millisecondes
+    maxDelay: 60 * 1000, // Délai maximal entre deux essais, en millisecondes
+    resetMargin: 1000, // Marge après la réinitialisation d'une fenêtre de limite de débit, en millisecondes
   },
 
   // Configuration des API des réseaux sociaux
@@ -60,22 +129,81 @@ const config = {
       apiKey: process.env.TWITTER_API_KEY,
       apiSecret: process.env.TWITTER_API_SECRET,
       accessToken: process.env.TWITTER_ACCESS_TOKEN,
-      accessTokenSecret: process.env.TWITTER_ACCESS_TOKEN_SECRET
+      accessTokenSecret: process.env.TWITTER_ACCESS_TOKEN_SECRET,
+      bearerToken: process.env.TWITTER_BEARER_TOKEN, // Prioritaire sur OAuth 1.0a s'il est défini
+      baseUrl: process.env.TWITTER_API_BASE_URL || 'https://api.twitter.com/2', // ex: serveur simulé (npm run mock:twitter)
+      uploadBaseUrl: process.env.TWITTER_UPLOAD_BASE_URL || 'https://upload.twitter.com/1.1', // Upload des médias (API v1.1)
+      // Flux filtré : connexion permanente, reconnexion et rattrapage des posts manqués
+      stream: {
+        autoStart: process.env.TWITTER_STREAM_AUTOSTART === 'true', // Connexion au démarrage de l'agent
+        backfillMinutes: parseInt(process.env.TWITTER_STREAM_BACKFILL_MINUTES || '0', 10), // 0 à 5, selon l'offre de l'API
+        heartbeatTimeout: 30 * 1000, // L'API envoie un heartbeat toutes les 20 secondes
+        reconnectDelay: 1000, // Premier délai de reconnexion, doublé à chaque échec (avec jitter)
+        maxReconnectDelay: 5 * 60 * 1000, // Délai maximal de reconnexion
+        dedupeSize: 1000 // Identifiants récents gardés pour ignorer les posts rejoués
+      }
     },
     instagram: {
-      enabled: false,
-      apiKey: process.env.INSTAGRAM_API_KEY,
-      apiSecret: process.env.INSTAGRAM_API_SECRET
+      enabled: process.env.INSTAGRAM_ENABLED === 'true', // L'agent n'est créé que si l'intégration est activée
+      apiKey: process.env.INSTAGRAM_API_KEY, // Identifiant de l'application Meta
+      apiSecret: process.env.INSTAGRAM_API_SECRET, // Secret de l'application, pour appsecret_proof
+      accessToken: process.env.INSTAGRAM_ACCESS_TOKEN, // Jeton avec les permissions instagram_basic, instagram_content_publish, instagram_manage_comments et instagram_manage_insights
+      businessAccountId: process.env.INSTAGRAM_BUSINESS_ACCOUNT_ID, // Compte Instagram professionnel lié à une page Facebook
+      baseUrl: process.env.INSTAGRAM_API_BASE_URL || 'https://graph.facebook.com/v21.0', // ex: serveur simulé (npm run mock:instagram)
+      containerPollInterval: 5000, // Intervalle de consultation d'un conteneur en traitement, en millisecondes
+      containerTimeout: 5 * 60 * 1000 // Durée maximale du traitement d'un conteneur (vidéos)
     },
     linkedin: {
-      enabled: false,
-      apiKey: process.env.LINKEDIN_API_KEY,
-      apiSecret: process.env.LINKEDIN_API_SECRET
+      enabled: process.env.LINKEDIN_ENABLED === 'true', // L'agent n'est créé que si l'intégration est activée
+      apiKey: process.env.LINKEDIN_API_KEY, // Client ID de l'application LinkedIn (OAuth 2.0)
+      apiSecret: process.env.LINKEDIN_API_SECRET, // Client secret de l'application
+      accessToken: process.env.LINKEDIN_ACCESS_TOKEN, // Facultatif : sinon, autoriser l'application via /api/linkedin/auth
+      refreshToken: process.env.LINKEDIN_REFRESH_TOKEN, // Renouvelle le jeton d'accès à son expiration (60 jours)
+      organizationId: process.env.LINKEDIN_ORGANIZATION_ID, // Page entreprise administrée (urn:li:organization:<id>)
+      redirectUri: process.env.LINKEDIN_REDIRECT_URI || 'http://localhost:3000/api/linkedin/auth/callback', // Déclarée dans l'application
+      scopes: ['r_organization_social', 'w_organization_social', 'rw_organization_admin'], // Permissions demandées à l'autorisation
+      baseUrl: process.env.LINKEDIN_API_BASE_URL || 'https://api.linkedin.com/rest', // ex: serveur simulé (npm run mock:linkedin)
+      authBaseUrl: process.env.LINKEDIN_AUTH_BASE_URL || 'https://www.linkedin.com/oauth/v2', // Serveur OAuth
+      apiVersion: process.env.LINKEDIN_API_VERSION || '202509', // En-tête LinkedIn-Version (AAAAMM), une version reste servie un an
+      imagePollInterval: 1000, // Intervalle de consultation d'une image en traitement, en millisecondes
+      imageTimeout: 60 * 1000 // Durée maximale du traitement d'une image
     },
     facebook: {
-      enabled: false,
-      apiKey: process.env.FACEBOOK_API_KEY,
-      apiSecret: process.env.FACEBOOK_API_SECRET
+      enabled: process.env.FACEBOOK_ENABLED === 'true', // L'agent n'est créé que si l'intégration est activée
+      apiKey: process.env.FACEBOOK_API_KEY, // Identifiant de l'application Meta
+      apiSecret: process.env.FACEBOOK_API_SECRET, // Secret de l'application, pour appsecret_proof
+      accessToken: process.env.FACEBOOK_PAGE_ACCESS_TOKEN, // Jeton de page avec les permissions pages_manage_posts, pages_read_engagement, pages_manage_engagement et read_insights
+      pageId: process.env.FACEBOOK_PAGE_ID, // Page administrée
+      baseUrl: process.env.FACEBOOK_API_BASE_URL || 'https://graph.facebook.com/v21.0', // ex: serveur simulé (npm run mock:facebook)
+      // Modération des commentaires à partir de l'analyse de contenu (agent d'analyse sur le bus de messages)
+      moderation: {
+        autoModerate: process.env.FACEBOOK_AUTO_MODERATE === 'true', // Examen périodique des commentaires des derniers posts
+        action: process.env.FACEBOOK_MODERATION_ACTION || 'hide', // hide (masqué sauf pour son auteur et ses amis) ou delete
+        interval: 5 * 60 * 1000, // Intervalle entre deux examens, en millisecondes
+        postsToScan: 5, // Posts récents examinés à chaque passage
+        commentsPerPost: 50, // Commentaires examinés par post
+        reviewedLimit: 5000 // Commentaires déjà examinés mémorisés, pour ne pas les analyser deux fois
+      }
+    },
+    mastodon: {
+      enabled: process.env.MASTODON_ENABLED === 'true', // L'agent n'est créé que si l'intégration est activée
+      instanceUrl: process.env.MASTODON_INSTANCE_URL || 'https://mastodon.social', // Instance du compte (ex: serveur simulé, npm run mock:mastodon)
+      accessToken: process.env.MASTODON_ACCESS_TOKEN, // Jeton de l'application, avec les portées read et write
+      mediaTimeout: 60 * 1000, // Attente maximale du traitement asynchrone d'un média (GIF, vidéo, son)
+      // Veille des hashtags et des mentions : chaque nouveau statut est relayé à l'agent d'analyse de contenu
+      watch: {
+        autoStart: process.env.MASTODON_WATCH_AUTOSTART === 'true', // Démarrage de la veille avec l'agent
+        hashtags: (process.env.MASTODON_WATCH_HASHTAGS || '').split(',').map(hashtag => hashtag.trim()).filter(Boolean), // ex: velo,velotaf
+        mentions: process.env.MASTODON_WATCH_MENTIONS !== 'false', // Relaie aussi les mentions du compte
+        pollInterval: 60 * 1000, // Intervalle entre deux passages, en millisecondes
+        dedupeSize: 1000 // Identifiants récents gardés pour ne pas relayer deux fois un statut
+      }
+    },
+    bluesky: {
+      enabled: process.env.BLUESKY_ENABLED === 'true', // L'agent n'est créé que si l'intégration est activée
+      identifier: process.env.BLUESKY_IDENTIFIER, // Handle (ex: fabriqueavelos.bsky.social) ou e-mail du compte
+      appPassword: process.env.BLUESKY_APP_PASSWORD, // Mot de passe d'application (Réglages > Confidentialité et sécurité), jamais celui du compte
+      serviceUrl: process.env.BLUESKY_SERVICE_URL || 'https://bsky.social' // PDS du compte (ex: serveur simulé, npm run mock:bluesky)
     }
   },
 
@@ -86,4 +214,28 @@ const config = {
   }
 };
 
+/**
+ * Lit la liste des serveurs MCP fédérés (MCP_FEDERATED_SERVERS)
+ * Une valeur illisible ne doit pas empêcher le démarrage : elle est signalée puis ignorée.
+ * Le logger dépend de cette configuration, d'où console.warn
+ * @param {string|undefined} value - Tableau JSON des définitions de serveurs
+ * @returns {Array<object>} Définitions des serveurs, vide par défaut
+ */
+function parseFederatedServers(value) {
+  if (!value) {
+    return [];
+  }
+
+  try {
+    const servers = JSON.parse(value);
+    if (!Array.isArray(servers)) {
+      throw new Error('un tableau JSON est attendu');
+    }
+    return servers;
+  } catch (error) {
+    console.warn(`MCP_FEDERATED_SERVERS ignoré (${error.message}) : aucun serveur MCP fédéré`);
+    return [];
+  }
+}
+
 export default config; 
\ No newline at end of file
@@ -8,10 +8,25 @@ import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import crypto from 'crypto';
+import config from './config/config.js';
 import logger from './utils/logger.js';
+import { ValidationError } from './utils/schema-validator.js';
+import { createToolContext } from './utils/tool-context.js';
+import { getResultText } from './utils/tool-result.js';
+import auditLog from './utils/audit-log.js';
+import requestScheduler from './clients/request-scheduler.js';
 import mcpMiddleware from './middleware/mcp-middleware.js';
 import ContentAnalysisAgent from './agents/content-analysis-agent.js';
+import TrendsAgent from './agents/trends-agent.js';
+import EngagementAgent from './agents/engagement-agent.js';
+import PersonalizationAgent from './agents/personalization-agent.js';
 import TwitterAgent from './agents/twitter-agent.js';
+import InstagramAgent from './agents/instagram-agent.js';
+import LinkedInAgent from './agents/linkedin-agent.js';
+import FacebookAgent from './agents/facebook-agent.js';
+import MastodonAgent from './agents/mastodon-agent.js';
+import BlueskyAgent from './agents/bluesky-agent.js';
 // Importer les autres agents à mesure qu'ils sont implémentés
 
 // Charger les variables d'environnement
@@ -29,6 +44,10 @@ app.use((req, res, next) => {
   next();
 });
 
+// Transport HTTP MCP, avant le parser JSON de l'application : il accepte des corps plus volumineux
+// (médias en base64, voir config.mcp.maxBodySize) ; les agents sont enregistrés plus bas
+app.use(config.mcp.path, mcpMiddleware.router());
+
 // Middleware pour parser le JSON
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -39,19 +58,35 @@ app.use(express.static(path.join(__dirname, '../public')));
 // Initialisation des agents
 const agents = {
   contentAnalysis: new ContentAnalysisAgent(),
-  twitter: new TwitterAgent({
-    apiKey: process.env.TWITTER_API_KEY,
-    apiSecretKey: process.env.TWITTER_API_SECRET_KEY,
-    accessToken: process.env.TWITTER_ACCESS_TOKEN,
-    accessTokenSecret: process.env.TWITTER_ACCESS_TOKEN_SECRET
-  })
+  // Tendances détectées dans les posts des flux, utilisées par analyze_post
+  trends: new TrendsAgent(),
+  // Mentions et commentaires relevés auprès des agents des plateformes démarrés
+  engagement: new EngagementAgent(),
+  // Segments d'audience (abonnés et interlocuteurs) et variantes de posts par segment
+  personalization: new PersonalizationAgent(),
+  // Identifiants lus dans config.socialAPIs.twitter (TWITTER_* dans l'environnement)
+  twitter: new TwitterAgent()
 };
 
+// Agents des intégrations optionnelles, créés seulement si elles sont activées
+if (config.socialAPIs.instagram.enabled) {
+  agents.instagram = new InstagramAgent();
+}
+if (config.socialAPIs.linkedin.enabled) {
+  agents.linkedin = new LinkedInAgent();
+}
+if (config.socialAPIs.facebook.enabled) {
+  agents.facebook = new FacebookAgent();
+}
+if (config.socialAPIs.mastodon.enabled) {
+  agents.mastodon = new MastodonAgent();
+}
+if (config.socialAPIs.bluesky.enabled) {
+  agents.bluesky = new BlueskyAgent();
+}
+
 // Stockage des états des agents
-let agentStatus = {
-  contentAnalysis: false,
-  twitter: false
-};
+let agentStatus = Object.fromEntries(Object.keys(agents).map(name => [name, false]));
 
 // Démarrer les agents
 async function startAgent(name) {
@@ -87,21 +122,78 @@ async function stopAgent(name) {
   return false;
 }
 
-// Intégration du middleware MCP
-// app.use('/mcp', mcpMiddleware(agents));
+// Intégration du middleware MCP : les sessions MCP partagent les instances d'agents du tableau de bord
+Object.values(agents).forEach(agent => mcpMiddleware.registerAgent(agent.id, agent));
 
 // Routes pour les API
 
-// Statut des agents
+// Statut des agents, avec les budgets de limite de débit connus par plateforme
+// (point d'accès, identifiant, requêtes restantes, réinitialisation, appels en attente)
 app.get('/api/agents/status', (req, res) => {
-  res.json(agentStatus);
+  res.json({ ...agentStatus, rateLimits: requestScheduler.getStatus() });
+});
+
+// Réponse d'erreur commune aux routes appelant des outils d'agents
+// Les paramètres invalides sont signalés comme en MCP (-32602) avec le détail des champs
+function sendRouteError(res, error, context) {
+  if (error instanceof ValidationError) {
+    return res.status(400).json({ error: error.message, code: -32602, errors: error.errors });
+  }
+  
+  logger.error(`${context}: ${error.message}`);
+  res.status(500).json({ error: error.message });
+}
+
+/**
+ * Lit un paramètre de requête entier positif ou nul (limit, offset...)
+ * @param {object} query - Paramètres de la requête
+ * @param {string} name - Nom du paramètre
+ * @returns {number|undefined} Valeur, ou undefined si le paramètre est absent
+ * @throws {ValidationError} Si la valeur n'est pas un entier positif ou nul
+ */
+function parseQueryInteger(query, name) {
+  const value = query[name];
+  
+  if (value === undefined) {
+    return undefined;
+  }
+  if (typeof value !== 'string' || !/^\d+$/.test(value)) {
+    throw new ValidationError(`Paramètre '${name}' invalide : entier positif ou nul attendu`, [
+      { field: name, message: 'doit être un entier positif ou nul' }
+    ]);
+  }
+  
+  return parseInt(value, 10);
+}
+
+/**
+ * Exécute l'outil d'un agent pour une route REST en l'inscrivant au journal d'audit
+ * @param {express.Request} req - Requête à l'origine de l'appel
+ * @param {BaseAgent} agent - Agent propriétaire de l'outil
+ * @param {string} toolName - Nom de l'outil
+ * @param {object} params - Paramètres de l'outil
+ * @param {object} context - Contexte d'exécution (voir createToolContext)
+ * @returns {Promise<object>} Résultat de l'outil
+ */
+function callAgentTool(req, agent, toolName, params, context) {
+  const caller = { type: 'rest', id: req.ip, route: `${req.method} ${req.path}`, userAgent: req.get('user-agent') || null };
+  
+  return auditLog.track(
+    { kind: 'tool', name: toolName, arguments: params, caller },
+    () => agent.callTool(toolName, params, context)
+  );
+}
+
+// Statut des serveurs MCP fédérés
+app.get('/api/mcp/federation', (req, res) => {
+  res.json(mcpMiddleware.federation.getStatus());
 });
 
 // Gestion des agents (démarrage/arrêt)
 app.post('/api/agents/:agent/:action', async (req, res) => {
   const { agent, action } = req.params;
   
-  if (!['twitter', 'contentAnalysis'].includes(agent)) {
+  if (!agents[agent]) {
     return res.status(404).json({ error: `Agent ${agent} non trouvé` });
   }
   
@@ -128,25 +220,20 @@ app.post('/api/agents/:agent/:action', async (req, res) => {
 app.get('/api/twitter/search', async (req, res) => {
   const { q, count = 10 } = req.query;
   
-  if (!q) {
-    return res.status(400).json({ error: 'Un terme de recherche est requis' });
-  }
-  
   try {
     if (!agentStatus.twitter) {
       return res.status(400).json({ error: 'L\'agent Twitter n\'est pas actif' });
     }
     
-    const result = await agents.twitter.searchTweets({ query: q, count: parseInt(count, 10) });
+    const result = await callAgentTool(req, agents.twitter, 'search_tweets', { query: q, count: parseInt(count, 10) });
     
-    if (!result.success) {
-      return res.status(500).json({ error: result.error });
+    if (result.isError) {
+      return res.status(500).json({ error: getResultText(result) });
     }
     
-    res.json(result.content);
+    res.json(result.structuredContent.tweets);
   } catch (error) {
-    logger.error(`Erreur lors de la recherche de tweets: ${error.message}`);
-    res.status(500).json({ error: error.message });
+    sendRouteError(res, error, 'Erreur lors de la recherche de tweets');
   }
 });
 
@@ -158,16 +245,15 @@ app.get('/api/twitter/user/:username', async (req, res) => {
       return res.status(400).json({ error: 'L\'agent Twitter n\'est pas actif' });
     }
     
-    const result = await agents.twitter.getUserProfile({ username });
+    const result = await callAgentTool(req, agents.twitter, 'get_user_profile', { username });
     
-    if (!result.success) {
-      return res.status(500).json({ error: result.error });
+    if (result.isError) {
+      return res.status(500).json({ error: getResultText(result) });
     }
     
-    res.json(result.content);
+    res.json(result.structuredContent);
   } catch (error) {
-    logger.error(`Erreur lors de la récupération du profil utilisateur: ${error.message}`);
-    res.status(500).json({ error: error.message });
+    sendRouteError(res, error, 'Erreur lors de la récupération du profil utilisateur');
   }
 });
 
@@ -180,52 +266,654 @@ app.get('/api/twitter/timeline/:username', async (req, res) => {
       return res.status(400).json({ error: 'L\'agent Twitter n\'est pas actif' });
     }
     
-    const result = await agents.twitter.getUserTimeline({ 
+    const result = await callAgentTool(req, agents.twitter, 'get_user_timeline', { 
       username, 
       count: parseInt(count, 10) 
     });
     
-    if (!result.success) {
-      return res.status(500).json({ error: result.error });
+    if (result.isError) {
+      return res.status(500).json({ error: getResultText(result) });
     }
     
+    res.json(result.structuredContent.tweets);
+  } catch (error) {
+    sendRouteError(res, error, 'Erreur lors de la récupération de la timeline');
+  }
+});
+
+// Tweets publiés (ou simulés en mode dry-run) par l'agent, du plus récent au plus ancien
+app.get('/api/twitter/publications', async (req, res) => {
+  try {
+    const result = await agents.twitter.getPublications({
+      limit: parseQueryInteger(req.query, 'limit'),
+      offset: parseQueryInteger(req.query, 'offset')
+    });
+
     res.json(result.content);
   } catch (error) {
-    logger.error(`Erreur lors de la récupération de la timeline: ${error.message}`);
-    res.status(500).json({ error: error.message });
+    sendRouteError(res, error, 'Erreur lors de la récupération des publications Twitter');
   }
 });
 
-// Routes pour l'agent d'analyse de contenu
-app.post('/api/content-analysis/analyze', async (req, res) => {
-  const { text, platform } = req.body;
+// Routes pour l'agent Instagram (si l'intégration est activée)
+app.get('/api/instagram/media', async (req, res) => {
+  const { count = 25, after } = req.query;
+  
+  try {
+    if (!agentStatus.instagram) {
+      return res.status(400).json({ error: 'L\'agent Instagram n\'est pas actif' });
+    }
+    
+    const result = await callAgentTool(req, agents.instagram, 'get_instagram_media', { count: parseInt(count, 10), after });
+    
+    if (result.isError) {
+      return res.status(500).json({ error: getResultText(result) });
+    }
+    
+    res.json(result.structuredContent);
+  } catch (error) {
+    sendRouteError(res, error, 'Erreur lors de la récupération des médias Instagram');
+  }
+});
+
+// Routes pour l'agent LinkedIn (si l'intégration est activée)
+// Autorisation OAuth 2.0 : redirige l'administrateur de la page vers LinkedIn, qui revient sur /api/linkedin/auth/callback
+app.get('/api/linkedin/auth', (req, res) => {
+  if (!agents.linkedin) {
+    return res.status(404).json({ error: 'Agent linkedin non trouvé' });
+  }
+  
+  try {
+    const { url } = agents.linkedin.client.getAuthorizationUrl();
+    res.redirect(url);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    sendRouteError(res, error, 'Erreur lors de l\'autorisation LinkedIn');
+  }
+});
+
+app.get('/api/linkedin/auth/callback', async (req, res) => {
+  const { code, state, error: denied, error_description: description } = req.query;
+  
+  if (!agents.linkedin) {
+    return res.status(404).json({ error: 'Agent linkedin non trouvé' });
+  }
+  
+  // Autorisation refusée par l'administrateur
+  if (denied) {
+    return res.status(400).json({ error: `Autorisation LinkedIn refusée : ${description || denied}` });
+  }
+  
+  try {
+    const status = await agents.linkedin.client.exchangeAuthorizationCode(code, state);
+    res.json(status);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+    sendRouteError(res, error, 'Erreur lors de l\'autorisation LinkedIn');
+  }
+});
+
+app.get('/api/linkedin/auth/status', (req, res) => {
+  if (!agents.linkedin) {
+    return res.status(404).json({ error: 'Agent linkedin non trouvé' });
+  }
+  
+  res.json(agents.linkedin.client.getAuthStatus());
+});
+
+app.get('/api/linkedin/organization', async (req, res) => {
+  try {
+    if (!agentStatus.linkedin) {
+      return res.status(400).json({ error: 'L\'agent LinkedIn n\'est pas actif' });
+    }
+    
+    const result = await callAgentTool(req, agents.linkedin, 'get_linkedin_organization', {});
+    
+    if (result.isError) {
+      return res.status(500).json({ error: getResultText(result) });
+    }
+    
+    res.json(result.structuredContent);
+  } catch (error) {
+    sendRouteError(res, error, 'Erreur lors de la récupération de la page LinkedIn');
+  }
+});
+
+app.get('/api/linkedin/posts', async (req, res) => {
+  const { count = 10, start = 0 } = req.query;
+  
+  try {
+    if (!agentStatus.linkedin) {
+      return res.status(400).json({ error: 'L\'agent LinkedIn n\'est pas actif' });
+    }
+    
+    const result = await callAgentTool(req, agents.linkedin, 'get_linkedin_posts', {
+      count: parseInt(count, 10),
+      start: parseInt(start, 10)
+    });
+    
+    if (result.isError) {
+      return res.status(500).json({ error: getResultText(result) });
+    }
+    
+    res.json(result.structuredContent.posts);
+  } catch (error) {
+    sendRouteError(res, error, 'Erreur lors de la récupération des posts LinkedIn');
+  }
+});
+
+// Statistiques de la page et, avec ?postIds=urn1,urn2, de ces posts
+app.get('/api/linkedin/statistics', async (req, res) => {
+  const postIds = req.query.postIds ? String(req.query.postIds).split(',').filter(Boolean) : undefined;
+  
+  try {
+    if (!agentStatus.linkedin) {
+      return res.status(400).json({ error: 'L\'agent LinkedIn n\'est pas actif' });
+    }
+    
+    const result = await callAgentTool(req, agents.linkedin, 'get_linkedin_statistics', postIds ? { postIds } : {});
+    
+    if (result.isError) {
+      return res.status(500).json({ error: getResultText(result) });
+    }
+    
+    res.json(result.structuredContent);
+  } catch (error) {
+    sendRouteError(res, error, 'Erreur lors de la récupération des statistiques LinkedIn');
+  }
+});
+
+// Posts et commentaires publiés (ou simulés en mode dry-run) par l'agent, du plus récent au plus ancien
+app.get('/api/linkedin/publications', async (req, res) => {
+  if (!agents.linkedin) {
+    return res.status(404).json({ error: 'Agent linkedin non trouvé' });
+  }
+  
+  const { limit, offset } = req.query;
+  const result = await agents.linkedin.getPublications({ limit, offset });
+
+  res.json(result.content);
+});
+
+// Routes pour l'agent Facebook (si l'intégration est activée)
+app.get('/api/facebook/page', async (req, res) => {
+  try {
+    if (!agentStatus.facebook) {
+      return res.status(400).json({ error: 'L\'agent Facebook n\'est pas actif' });
+    }
+    
+    const result = await callAgentTool(req, agents.facebook, 'get_facebook_page', {});
+    
+    if (result.isError) {
+      return res.status(500).json({ error: getResultText(result) });
+    }
+    
+    res.json(result.structuredContent);
+  } catch (error) {
+    sendRouteError(res, error, 'Erreur lors de la récupération de la page Facebook');
+  }
+});
+
+app.get('/api/facebook/posts', async (req, res) => {
+  const { count = 25, after } = req.query;
+  
+  try {
+    if (!agentStatus.facebook) {
+      return res.status(400).json({ error: 'L\'agent Facebook n\'est pas actif' });
+    }
+    
+    const result = await callAgentTool(req, agents.facebook, 'get_facebook_posts', { count: parseInt(count, 10), after });
+    
+    if (result.isError) {
+      return res.status(500).json({ error: getResultText(result) });
+    }
+    
+    res.json(result.structuredContent);
+  } catch (error) {
+    sendRouteError(res, error, 'Erreur lors de la récupération des posts Facebook');
+  }
+});
+
+// Posts publiés ou programmés (ou simulés en mode dry-run) par l'agent, du plus récent au plus ancien
+app.get('/api/facebook/publications', async (req, res) => {
+  if (!agents.facebook) {
+    return res.status(404).json({ error: 'Agent facebook non trouvé' });
+  }
+  
+  const { limit, offset } = req.query;
+  const result = await agents.facebook.getPublications({ limit, offset });
+
+  res.json(result.content);
+});
+
+// Commentaires masqués, réaffichés ou supprimés par l'agent, du plus récent au plus ancien
+app.get('/api/facebook/moderation', async (req, res) => {
+  if (!agents.facebook) {
+    return res.status(404).json({ error: 'Agent facebook non trouvé' });
+  }
+  
+  const { limit, offset } = req.query;
+  const result = await agents.facebook.getModerations({ limit, offset });
+
+  res.json(result.content);
+});
+
+// Routes pour l'agent Mastodon (si l'intégration est activée)
+app.get('/api/mastodon/search', async (req, res) => {
+  const { q, type = 'statuses', count = 20, offset } = req.query;
+  
+  if (!q) {
+    return res.status(400).json({ error: 'Le paramètre q est requis' });
+  }
+  
+  try {
+    if (!agentStatus.mastodon) {
+      return res.status(400).json({ error: 'L\'agent Mastodon n\'est pas actif' });
+    }
+    
+    const result = await callAgentTool(req, agents.mastodon, 'search_mastodon', {
+      query: q,
+      type,
+      count: parseInt(count, 10),
+      offset: offset === undefined ? undefined : parseInt(offset, 10)
+    });
+    
+    if (result.isError) {
+      return res.status(500).json({ error: getResultText(result) });
+    }
+    
+    res.json(result.structuredContent);
+  } catch (error) {
+    sendRouteError(res, error, 'Erreur lors de la recherche Mastodon');
+  }
+});
+
+app.get('/api/mastodon/notifications', async (req, res) => {
+  const { count = 15, maxId } = req.query;
+  
+  try {
+    if (!agentStatus.mastodon) {
+      return res.status(400).json({ error: 'L\'agent Mastodon n\'est pas actif' });
+    }
+    
+    const result = await callAgentTool(req, agents.mastodon, 'get_mastodon_notifications', { count: parseInt(count, 10), maxId });
+    
+    if (result.isError) {
+      return res.status(500).json({ error: getResultText(result) });
+    }
+    
+    res.json(result.structuredContent);
+  } catch (error) {
+    sendRouteError(res, error, 'Erreur lors de la récupération des notifications Mastodon');
+  }
+});
+
+// Statuts publiés (ou simulés en mode dry-run) par l'agent, du plus récent au plus ancien
+app.get('/api/mastodon/publications', async (req, res) => {
+  if (!agents.mastodon) {
+    return res.status(404).json({ error: 'Agent mastodon non trouvé' });
+  }
   
-  if (!text) {
-    return res.status(400).json({ error: 'Un texte est requis pour l\'analyse' });
+  const { limit, offset } = req.query;
+  const result = await agents.mastodon.getPublications({ limit, offset });
+
+  res.json(result.content);
+});
+
+// État de la veille des hashtags et des mentions
+app.get('/api/mastodon/watch', async (req, res) => {
+  if (!agents.mastodon) {
+    return res.status(404).json({ error: 'Agent mastodon non trouvé' });
+  }
+  
+  const result = await agents.mastodon.getWatchStatus();
+
+  res.json(result.content);
+});
+
+// Routes pour l'agent Bluesky (si l'intégration est activée)
+app.get('/api/bluesky/search', async (req, res) => {
+  const { q, count = 25, cursor, sort, lang } = req.query;
+  
+  if (!q) {
+    return res.status(400).json({ error: 'Le paramètre q est requis' });
+  }
+  
+  try {
+    if (!agentStatus.bluesky) {
+      return res.status(400).json({ error: 'L\'agent Bluesky n\'est pas actif' });
+    }
+    
+    const result = await callAgentTool(req, agents.bluesky, 'search_bluesky_posts', {
+      query: q,
+      count: parseInt(count, 10),
+      cursor,
+      sort,
+      lang
+    });
+    
+    if (result.isError) {
+      return res.status(500).json({ error: getResultText(result) });
+    }
+    
+    res.json(result.structuredContent);
+  } catch (error) {
+    sendRouteError(res, error, 'Erreur lors de la recherche Bluesky');
+  }
+});
+
+app.get('/api/bluesky/feed', async (req, res) => {
+  const { actor, count = 25, cursor, filter } = req.query;
+  
+  try {
+    if (!agentStatus.bluesky) {
+      return res.status(400).json({ error: 'L\'agent Bluesky n\'est pas actif' });
+    }
+    
+    const result = await callAgentTool(req, agents.bluesky, 'get_bluesky_author_feed', {
+      actor,
+      count: parseInt(count, 10),
+      cursor,
+      filter
+    });
+    
+    if (result.isError) {
+      return res.status(500).json({ error: getResultText(result) });
+    }
+    
+    res.json(result.structuredContent);
+  } catch (error) {
+    sendRouteError(res, error, 'Erreur lors de la récupération du fil Bluesky');
+  }
+});
+
+// Posts publiés (ou simulés en mode dry-run) par l'agent, du plus récent au plus ancien
+app.get('/api/bluesky/publications', async (req, res) => {
+  if (!agents.bluesky) {
+    return res.status(404).json({ error: 'Agent bluesky non trouvé' });
   }
   
+  const { limit, offset } = req.query;
+  const result = await agents.bluesky.getPublications({ limit, offset });
+
+  res.json(result.content);
+});
+
+// Routes pour l'agent d'analyse de contenu
+app.post('/api/content-analysis/analyze', async (req, res) => {
   try {
     if (!agentStatus.contentAnalysis) {
       return res.status(400).json({ error: 'L\'agent d\'analyse de contenu n\'est pas actif' });
     }
     
-    const analysis = await agents.contentAnalysis.analyzeContent(text, platform);
-    res.json(analysis);
+    // Le tableau de bord demande un flux SSE pour suivre la progression de l'analyse
+    if (req.accepts(['json', 'text/event-stream']) === 'text/event-stream') {
+      return streamToolCall(req, res, agents.contentAnalysis, 'analyze_post', req.body);
+    }
+    
+    // Le corps de la requête suit l'inputSchema de l'outil analyze_post (text, mediaUrls, platform, options)
+    const result = await callAgentTool(req, agents.contentAnalysis, 'analyze_post', req.body);
+    
+    if (result.isError) {
+      return res.status(500).json({ error: getResultText(result) });
+    }
+    
+    res.json(result.structuredContent);
   } catch (error) {
-    logger.error(`Erreur lors de l'analyse de contenu: ${error.message}`);
-    res.status(500).json({ error: error.message });
+    sendRouteError(res, error, 'Erreur lors de l\'analyse de contenu');
+  }
+});
+
+// Routes pour l'agent de tendances
+app.get('/api/trends', async (req, res) => {
+  const { limit, type, refresh } = req.query;
+  
+  try {
+    if (!agentStatus.trends) {
+      return res.status(400).json({ error: 'L\'agent de tendances n\'est pas actif' });
+    }
+    
+    const result = await callAgentTool(req, agents.trends, 'get_trends', {
+      limit: limit === undefined ? undefined : parseInt(limit, 10),
+      type,
+      refresh: refresh === 'true'
+    });
+    
+    if (result.isError) {
+      return res.status(500).json({ error: getResultText(result) });
+    }
+    
+    res.json(result.structuredContent);
+  } catch (error) {
+    sendRouteError(res, error, 'Erreur lors de la récupération des tendances');
+  }
+});
+
+// Routes pour l'agent d'engagement
+app.get('/api/engagement/inbox', async (req, res) => {
+  const { status, platform, limit, refresh } = req.query;
+  
+  try {
+    if (!agentStatus.engagement) {
+      return res.status(400).json({ error: 'L\'agent d\'engagement n\'est pas actif' });
+    }
+    
+    const result = await callAgentTool(req, agents.engagement, 'list_engagement_inbox', {
+      status,
+      platform,
+      limit: limit === undefined ? undefined : parseInt(limit, 10),
+      refresh: refresh === 'true'
+    });
+    
+    if (result.isError) {
+      return res.status(500).json({ error: getResultText(result) });
+    }
+    
+    res.json(result.structuredContent);
+  } catch (error) {
+    sendRouteError(res, error, 'Erreur lors de la récupération des mentions et commentaires');
+  }
+});
+
+// Approbation (envoi du brouillon, ou du texte fourni) ou clôture d'un élément depuis le tableau de bord
+app.post('/api/engagement/items/:itemId/:action', async (req, res) => {
+  const { itemId, action } = req.params;
+  const tools = { approve: 'approve_reply', resolve: 'resolve_engagement_item' };
+  
+  try {
+    if (!agentStatus.engagement) {
+      return res.status(400).json({ error: 'L\'agent d\'engagement n\'est pas actif' });
+    }
+    if (!tools[action]) {
+      return res.status(404).json({ error: `Action inconnue: ${action}` });
+    }
+    
+    // Le corps suit l'inputSchema de l'outil : text pour approve, outcome pour resolve
+    const result = await callAgentTool(req, agents.engagement, tools[action], { ...req.body, itemId });
+    
+    if (result.isError) {
+      return res.status(400).json({ error: getResultText(result) });
+    }
+    
+    res.json(result.structuredContent);
+  } catch (error) {
+    sendRouteError(res, error, 'Erreur lors du traitement de l\'élément');
+  }
+});
+
+// Routes pour l'agent de personnalisation
+app.get('/api/personalization/segments', async (req, res) => {
+  const { limit } = req.query;
+  
+  try {
+    if (!agentStatus.personalization) {
+      return res.status(400).json({ error: 'L\'agent de personnalisation n\'est pas actif' });
+    }
+    
+    const result = await callAgentTool(req, agents.personalization, 'get_audience_segments', {
+      limit: limit === undefined ? undefined : parseInt(limit, 10)
+    });
+    
+    if (result.isError) {
+      return res.status(500).json({ error: getResultText(result) });
+    }
+    
+    res.json(result.structuredContent);
+  } catch (error) {
+    sendRouteError(res, error, 'Erreur lors de la récupération des segments d\'audience');
+  }
+});
+
+app.post('/api/personalization/variants', async (req, res) => {
+  const { text, platform, segmentIds, maxVariants } = req.body;
+  
+  try {
+    if (!agentStatus.personalization) {
+      return res.status(400).json({ error: 'L\'agent de personnalisation n\'est pas actif' });
+    }
+    
+    const result = await callAgentTool(req, agents.personalization, 'generate_post_variants', { text, platform, segmentIds, maxVariants });
+    
+    if (result.isError) {
+      return res.status(400).json({ error: getResultText(result) });
+    }
+    
+    res.json(result.structuredContent);
+  } catch (error) {
+    sendRouteError(res, error, 'Erreur lors de la génération des variantes');
+  }
+});
+
+/**
+ * Exécute un outil en diffusant sa progression au format Server-Sent Events
+ * Événements émis : `progress`, puis `result` ou `error`. La fermeture de la connexion annule l'appel.
+ * @param {express.Request} req - Requête
+ * @param {express.Response} res - Réponse
+ * @param {BaseAgent} agent - Agent propriétaire de l'outil
+ * @param {string} toolName - Nom de l'outil
+ * @param {object} params - Paramètres de l'outil
+ */
+async function streamToolCall(req, res, agent, toolName, params) {
+  const controller = new AbortController();
+  const sendEvent = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  try {
+    const context = createToolContext({
+      signal: controller.signal,
+      onProgress: (progress) => sendEvent('progress', progress)
+    });
+    const result = await callAgentTool(req, agent, toolName, params, context);
+
+    if (result.isError) {
+      sendEvent('error', { error: getResultText(result) });
+    } else {
+      sendEvent('result', result.structuredContent);
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      logger.info(`Appel de l'outil ${toolName} annulé par le client`);
+      return;
+    }
+
+    logger.error(`Erreur lors de l'appel de l'outil ${toolName}: ${error.message}`);
+    sendEvent('error', error instanceof ValidationError
+      ? { error: error.message, code: -32602, errors: error.errors }
+      : { error: error.message });
+  }
+
+  res.end();
+}
+
+/**
+ * Réserve une route à l'administrateur : jeton config.audit.adminToken dans l'en-tête Authorization
+ * @param {express.Request} req - Requête
+ * @param {express.Response} res - Réponse
+ * @param {Function} next - Suite de la chaîne
+ */
+function requireAdminToken(req, res, next) {
+  const { adminToken } = config.audit;
+  
+  if (!adminToken) {
+    return res.status(403).json({ error: 'Accès administrateur désactivé : définissez ADMIN_API_TOKEN' });
+  }
+  
+  const [scheme, token = ''] = (req.get('authorization') || '').split(' ');
+  const expected = crypto.createHash('sha256').update(adminToken).digest();
+  const received = crypto.createHash('sha256').update(token).digest();
+  
+  if (scheme !== 'Bearer' || !crypto.timingSafeEqual(expected, received)) {
+    logger.warn(`Accès refusé à ${req.method} ${req.originalUrl} depuis ${req.ip}`);
+    return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'Jeton d\'administration manquant ou invalide' });
+  }
+  
+  next();
+}
+
+// Journal d'audit des appels d'outils et de ressources : arguments enregistrés et rejeu réservés à l'administrateur
+app.use('/api/audit', requireAdminToken);
+
+app.get('/api/audit', (req, res) => {
+  res.json(auditLog.query(req.query));
+});
+
+app.get('/api/audit/:id', (req, res) => {
+  const record = auditLog.get(req.params.id);
+  
+  if (!record) {
+    return res.status(404).json({ error: `Enregistrement d'audit ${req.params.id} non trouvé` });
+  }
+  
+  res.json(record);
+});
+
+// Rejoue un appel enregistré sur les agents actuels ; le corps peut fournir { arguments }
+// pour remplacer les valeurs masquées dans le journal. Les outils qui publient ne sont pas rejoués
+app.post('/api/audit/:id/replay', async (req, res) => {
+  const record = auditLog.get(req.params.id);
+  
+  if (!record) {
+    return res.status(404).json({ error: `Enregistrement d'audit ${req.params.id} non trouvé` });
+  }
+  if (!mcpMiddleware.isReplayable(record)) {
+    return res.status(403).json({ error: `L'outil '${record.name}' agit sur une plateforme : l'appel ne peut pas être rejoué` });
+  }
+  
+  try {
+    const result = await mcpMiddleware.replay(record, req.body?.arguments);
+    res.json({ original: record, result });
+  } catch (error) {
+    sendRouteError(res, error, `Erreur lors du rejeu de l'appel ${record.id}`);
   }
 });
 
 // Route par défaut pour servir l'application React
-app.get('*', (req, res) => {
+app.get('/{*splat}', (req, res) => {
   res.sendFile(path.join(__dirname, '../public/index.html'));
 });
 
 // Démarrer le serveur
+await mcpMiddleware.initialize();
+
 app.listen(PORT, () => {
   logger.info(`Serveur démarré sur le port ${PORT}`);
   logger.info(`Accédez à l'application à l'adresse: http://localhost:${PORT}`);
+  logger.info(`Point d'accès MCP: http://localhost:${PORT}${config.mcp.path}`);
 });
 
 export default app; 
\ No newline at end of file
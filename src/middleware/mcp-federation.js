@@ -0,0 +1,380 @@
+/**
+ * Fédération de serveurs MCP externes
+ * Le hub se connecte en client aux serveurs configurés (stdio, Streamable HTTP ou SSE)
+ * et importe leurs outils, ressources et prompts dans le registre des capacités,
+ * préfixés par le nom du serveur (ex: `crm__create_contact`). Les URI des ressources
+ * reçoivent le préfixe en tête de schéma (ex: `crm+context://global`) pour ne pas masquer
+ * les ressources locales ni celles des autres serveurs.
+ */
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport, getDefaultEnvironment } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import {
+  PromptListChangedNotificationSchema,
+  ResourceListChangedNotificationSchema,
+  ToolListChangedNotificationSchema
+} from '@modelcontextprotocol/sdk/types.js';
+import config from '../config/config.js';
+import loggerModule from '../utils/logger.js';
+
+const logger = loggerModule.createSubLogger('MCP-Federation');
+
+class FederationManager {
+  /**
+   * @param {CapabilityRegistry} capabilityRegistry - Registre dans lequel importer les capacités
+   */
+  constructor(capabilityRegistry) {
+    this.capabilityRegistry = capabilityRegistry;
+    this.servers = new Map();
+    this.stopped = false;
+  }
+
+  /**
+   * Se connecte à tous les serveurs configurés
+   * Un serveur indisponible n'empêche pas le démarrage : la connexion est retentée plus tard
+   * @param {Array<object>} serverConfigs - Définitions des serveurs (config.mcp.federation.servers)
+   */
+  async initialize(serverConfigs = config.mcp.federation.servers) {
+    this.stopped = false;
+
+    serverConfigs.forEach(serverConfig => {
+      if (!serverConfig.name) {
+        throw new Error('Un serveur fédéré doit avoir un nom');
+      }
+
+      this.servers.set(serverConfig.name, {
+        config: serverConfig,
+        prefix: serverConfig.prefix || serverConfig.name,
+        client: null,
+        connected: false,
+        imported: { tools: [], resources: [], prompts: [] },
+        reconnectTimer: null,
+        configError: null
+      });
+    });
+
+    await Promise.all(Array.from(this.servers.keys()).map(name => this.connect(name)));
+  }
+
+  /**
+   * Se connecte à un serveur fédéré et importe ses capacités
+   * @param {string} name - Nom du serveur
+   */
+  async connect(name) {
+    const server = this.servers.get(name);
+
+    // Configuration invalide : une nouvelle tentative échouerait de la même façon, le serveur est écarté
+    let transport;
+    try {
+      transport = createTransport(server.config);
+    } catch (error) {
+      server.configError = error.message;
+      logger.error(`Serveur fédéré '${name}' ignoré, configuration invalide: ${error.message}`);
+      return;
+    }
+
+    const client = new Client({ name: config.app.name, version: config.app.version });
+
+    client.setNotificationHandler(ToolListChangedNotificationSchema, () => this.refresh(name));
+    client.setNotificationHandler(ResourceListChangedNotificationSchema, () => this.refresh(name));
+    client.setNotificationHandler(PromptListChangedNotificationSchema, () => this.refresh(name));
+
+    try {
+      await client.connect(transport);
+    } catch (error) {
+      logger.error(`Connexion au serveur fédéré '${name}' impossible: ${error.message}`);
+      this.scheduleReconnect(name);
+      return;
+    }
+
+    // Posé après connect() : un échec de connexion ne doit pas déclencher deux reconnexions
+    client.onclose = () => this.handleDisconnect(name, client);
+
+    server.client = client;
+    server.connected = true;
+    logger.info(`Connecté au serveur fédéré '${name}'`);
+
+    await this.refresh(name);
+  }
+
+  /**
+   * Réimporte les capacités d'un serveur (connexion ou notification list_changed)
+   * @param {string} name - Nom du serveur
+   */
+  async refresh(name) {
+    const server = this.servers.get(name);
+    if (!server || !server.connected) {
+      return;
+    }
+
+    const { client, prefix } = server;
+    const capabilities = client.getServerCapabilities() || {};
+
+    try {
+      const tools = capabilities.tools ? await listAll(cursor => client.listTools({ cursor }), 'tools') : [];
+      const resources = capabilities.resources ? await listAll(cursor => client.listResources({ cursor }), 'resources') : [];
+      const templates = capabilities.resources
+        ? await listAll(cursor => client.listResourceTemplates({ cursor }), 'resourceTemplates')
+        : [];
+      const prompts = capabilities.prompts ? await listAll(cursor => client.listPrompts({ cursor }), 'prompts') : [];
+
+      this.removeImported(name);
+
+      tools.forEach(tool => {
+        const toolName = prefixName(prefix, tool.name);
+        this.capabilityRegistry.registerTool({
+          name: toolName,
+          description: `[${name}] ${tool.description || tool.name}`,
+          inputSchema: tool.inputSchema,
+          outputSchema: tool.outputSchema,
+          federatedFrom: name,
+          // Seuls les outils déclarés en lecture seule par leur serveur peuvent être rejoués
+          sideEffects: tool.annotations?.readOnlyHint !== true,
+          // Progression et annulation sont relayées au serveur d'origine
+          handler: (args, context) => this.getClient(name).callTool({ name: tool.name, arguments: args }, undefined, {
+            signal: context.signal,
+            onprogress: ({ progress, total, message }) => context.reportProgress(progress, total, message),
+            resetTimeoutOnProgress: true
+          })
+        });
+        server.imported.tools.push(toolName);
+      });
+
+      [...resources, ...templates].forEach(resource => {
+        const resourceName = prefixName(prefix, resource.name);
+        this.capabilityRegistry.registerResource({
+          name: resourceName,
+          uri: resource.uri && prefixUri(prefix, resource.uri),
+          uriTemplate: resource.uriTemplate && prefixUri(prefix, resource.uriTemplate),
+          description: `[${name}] ${resource.description || resource.name}`,
+          mimeType: resource.mimeType,
+          federatedFrom: name,
+          // Lue sous son URI d'origine, renvoyée sous l'URI préfixée
+          handler: async (params, extra) => {
+            const result = await this.getClient(name).readResource({ uri: unprefixUri(prefix, extra.uri) });
+            return { ...result, contents: result.contents.map(content => ({ ...content, uri: prefixUri(prefix, content.uri) })) };
+          }
+        });
+        server.imported.resources.push(resourceName);
+      });
+
+      prompts.forEach(prompt => {
+        const promptName = prefixName(prefix, prompt.name);
+        this.capabilityRegistry.registerPrompt({
+          name: promptName,
+          description: `[${name}] ${prompt.description || prompt.name}`,
+          arguments: prompt.arguments || [],
+          federatedFrom: name,
+          handler: (args) => this.getClient(name).getPrompt({ name: prompt.name, arguments: args })
+        });
+        server.imported.prompts.push(promptName);
+      });
+
+      this.capabilityRegistry.notifyListChanged();
+      logger.info(`Serveur fédéré '${name}': ${tools.length} outil(s), ${resources.length + templates.length} ressource(s), ${prompts.length} prompt(s) importés`);
+    } catch (error) {
+      logger.error(`Import des capacités du serveur fédéré '${name}' impossible: ${error.message}`);
+    }
+  }
+
+  /**
+   * Retourne le client d'un serveur connecté
+   * @param {string} name - Nom du serveur
+   * @returns {Client} Client MCP
+   */
+  getClient(name) {
+    const server = this.servers.get(name);
+
+    if (!server || !server.connected) {
+      throw new Error(`Le serveur fédéré '${name}' n'est pas connecté`);
+    }
+
+    return server.client;
+  }
+
+  /**
+   * Retourne l'état des serveurs fédérés
+   * @returns {object} État indexé par nom de serveur (configError : serveur écarté, sans reconnexion)
+   */
+  getStatus() {
+    const status = {};
+
+    this.servers.forEach((server, name) => {
+      status[name] = {
+        connected: server.connected,
+        configError: server.configError,
+        prefix: server.prefix,
+        tools: server.imported.tools.length,
+        resources: server.imported.resources.length,
+        prompts: server.imported.prompts.length
+      };
+    });
+
+    return status;
+  }
+
+  /**
+   * Ferme les connexions aux serveurs fédérés
+   */
+  async shutdown() {
+    this.stopped = true;
+
+    await Promise.all(Array.from(this.servers.entries()).map(async ([name, server]) => {
+      clearTimeout(server.reconnectTimer);
+      this.removeImported(name);
+
+      if (server.client) {
+        server.connected = false;
+        await server.client.close().catch(() => {});
+      }
+    }));
+
+    this.servers.clear();
+  }
+
+  /**
+   * Retire les capacités d'un serveur déconnecté et planifie la reconnexion
+   * @param {string} name - Nom du serveur
+   * @param {Client} client - Client dont la connexion s'est fermée
+   * @private
+   */
+  handleDisconnect(name, client) {
+    const server = this.servers.get(name);
+    if (!server || server.client !== client || !server.connected) {
+      return;
+    }
+
+    logger.warn(`Serveur fédéré '${name}' déconnecté`);
+    server.connected = false;
+    server.client = null;
+
+    this.removeImported(name);
+    this.capabilityRegistry.notifyListChanged();
+    this.scheduleReconnect(name);
+  }
+
+  /**
+   * Planifie une nouvelle tentative de connexion
+   * @param {string} name - Nom du serveur
+   * @private
+   */
+  scheduleReconnect(name) {
+    const server = this.servers.get(name);
+    if (this.stopped || !server) {
+      return;
+    }
+
+    clearTimeout(server.reconnectTimer);
+    server.reconnectTimer = setTimeout(() => this.connect(name), config.mcp.federation.reconnectDelay);
+    server.reconnectTimer.unref();
+  }
+
+  /**
+   * Retire du registre les capacités importées d'un serveur
+   * @param {string} name - Nom du serveur
+   * @private
+   */
+  removeImported(name) {
+    const { imported } = this.servers.get(name);
+
+    imported.tools.forEach(toolName => this.capabilityRegistry.unregisterTool(toolName));
+    imported.resources.forEach(resourceName => this.capabilityRegistry.unregisterResource(resourceName));
+    imported.prompts.forEach(promptName => this.capabilityRegistry.unregisterPrompt(promptName));
+
+    imported.tools = [];
+    imported.resources = [];
+    imported.prompts = [];
+  }
+}
+
+/**
+ * Crée le transport client correspondant à la configuration d'un serveur
+ * @param {object} serverConfig - Configuration du serveur (transport, command/args/env ou url/headers)
+ * @returns {Transport} Transport client MCP
+ * @throws {Error} Si la configuration est incomplète ou le transport non supporté
+ */
+function createTransport(serverConfig) {
+  const { transport = 'stdio', command, args = [], env = {}, url, headers = {} } = serverConfig;
+
+  if (transport === 'stdio' && !command) {
+    throw new Error(`Commande manquante pour le serveur fédéré '${serverConfig.name}' (transport stdio)`);
+  }
+  if (['http', 'sse'].includes(transport) && !URL.canParse(url)) {
+    throw new Error(`URL invalide pour le serveur fédéré '${serverConfig.name}' (transport ${transport}): ${url}`);
+  }
+
+  switch (transport) {
+    case 'stdio':
+      return new StdioClientTransport({ command, args, env: { ...getDefaultEnvironment(), ...env } });
+    case 'http':
+      return new StreamableHTTPClientTransport(new URL(url), { requestInit: { headers } });
+    case 'sse':
+      return new SSEClientTransport(new URL(url), { requestInit: { headers } });
+    default:
+      throw new Error(`Transport '${transport}' non supporté pour le serveur fédéré '${serverConfig.name}'`);
+  }
+}
+
+/**
+ * Préfixe le nom d'une capacité importée
+ * @param {string} prefix - Préfixe du serveur
+ * @param {string} name - Nom d'origine
+ * @returns {string} Nom préfixé
+ */
+function prefixName(prefix, name) {
+  return `${prefix}${config.mcp.federation.separator}${name}`;
+}
+
+/**
+ * Préfixe l'URI (ou le modèle d'URI) d'une ressource importée : le préfixe, réduit aux caractères
+ * permis dans un schéma d'URI, est ajouté en tête du schéma (ex: `crm+context://global`)
+ * @param {string} prefix - Préfixe du serveur
+ * @param {string} uri - URI d'origine
+ * @returns {string} URI préfixée
+ */
+function prefixUri(prefix, uri) {
+  return `${uriScheme(prefix)}+${uri}`;
+}
+
+/**
+ * Retrouve l'URI d'origine d'une ressource importée
+ * @param {string} prefix - Préfixe du serveur
+ * @param {string} uri - URI préfixée (voir prefixUri)
+ * @returns {string} URI d'origine
+ */
+function unprefixUri(prefix, uri) {
+  return uri.slice(uriScheme(prefix).length + 1);
+}
+
+/**
+ * Préfixe réduit aux caractères permis dans un schéma d'URI, hors `+` qui sert de séparateur
+ * @param {string} prefix - Préfixe du serveur
+ * @returns {string} Préfixe utilisable en tête de schéma
+ */
+function uriScheme(prefix) {
+  const scheme = prefix.toLowerCase().replace(/[^a-z0-9.-]/g, '-');
+  return /^[a-z]/.test(scheme) ? scheme : `mcp-${scheme}`;
+}
+
+/**
+ * Parcourt toutes les pages d'une liste MCP
+ * @param {Function} fetchPage - Appelée avec le curseur de la page
+ * @param {string} key - Clé de la liste dans le résultat (tools, resources...)
+ * @returns {Promise<Array<object>>} Éléments de toutes les pages
+ */
+async function listAll(fetchPage, key) {
+  const items = [];
+  let cursor;
+
+  do {
+    const page = await fetchPage(cursor);
+    items.push(...page[key]);
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  return items;
+}
+
+export default FederationManager;
@@ -5,22 +5,49 @@
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import {
+  CallToolRequestSchema,
+  CreateMessageResultSchema,
+  ErrorCode,
+  GetPromptRequestSchema,
+  isInitializeRequest,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ListToolsRequestSchema,
+  McpError,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
+import { UriTemplate } from '@modelcontextprotocol/sdk/shared/uriTemplate.js';
 import express from 'express';
+import { randomUUID } from 'crypto';
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import FederationManager from './mcp-federation.js';
 import config from '../config/config.js';
+import { assertValidToolParams, ValidationError } from '../utils/schema-validator.js';
+import { createToolContext } from '../utils/tool-context.js';
+import { toCallToolResult } from '../utils/tool-result.js';
+import auditLog from '../utils/audit-log.js';
 import loggerModule from '../utils/logger.js';
 
 const logger = loggerModule.createSubLogger('MCP-Middleware');
 
 class McpMiddleware {
   constructor() {
-    this.server = null;
-    this.transport = null;
-    this.app = express();
+    this.stdioServer = null;
+    this.sessions = new Map();
     this.agents = new Map();
+    this.agentListeners = new Map();
     this.initialized = false;
     this.contextManager = new ContextManager();
     this.messageRouter = new MessageRouter();
     this.capabilityRegistry = new CapabilityRegistry();
+    this.federation = new FederationManager(this.capabilityRegistry);
   }
 
   /**
@@ -34,68 +61,290 @@ class McpMiddleware {
 
     logger.info('Initialisation du middleware MCP');
 
-    // Création du serveur MCP
-    this.server = new McpServer({
+    // Initialisation des gestionnaires
+    await auditLog.initialize();
+    await this.contextManager.initialize();
+    this.messageRouter.initialize();
+    this.registerContextResources();
+    
+    // Import des capacités des serveurs MCP externes configurés
+    await this.federation.initialize();
+
+    // Le transport stdio est optionnel : le transport HTTP est toujours servi par router()
+    if (config.mcp.transport === 'stdio') {
+      this.stdioServer = this.createServer();
+      await this.stdioServer.connect(new StdioServerTransport());
+      logger.info('Transport stdio initialisé');
+    }
+
+    this.initialized = true;
+    logger.info('Middleware MCP initialisé avec succès');
+  }
+
+  /**
+   * Crée un serveur MCP relié au registre des capacités
+   * Un serveur est créé par session : tous partagent les mêmes agents
+   * @returns {McpServer} Serveur MCP prêt à être connecté à un transport
+   */
+  createServer() {
+    const server = new McpServer({
       name: config.app.name,
       version: config.app.version
     }, {
       capabilities: {
-        tools: true,
-        resources: true,
+        tools: { listChanged: true },
+        resources: { subscribe: true, listChanged: true },
+        prompts: { listChanged: true },
       }
     });
 
-    // Initialisation des gestionnaires
-    this.contextManager.initialize();
-    this.messageRouter.initialize(this.server);
-    this.capabilityRegistry.initialize(this.server);
+    this.capabilityRegistry.attach(server);
+    return server;
+  }
 
-    // Configuration de l'express pour SSE si nécessaire
-    if (config.mcp.transport === 'sse') {
-      this.app.use(express.json());
-      
-      this.app.get('/sse', async (req, res) => {
-        logger.info('Nouvelle connexion SSE reçue');
-        this.transport = new SSEServerTransport('/messages', res);
-        await this.server.connect(this.transport);
-      });
-      
-      this.app.post('/messages', async (req, res) => {
-        if (this.transport) {
-          await this.transport.handlePostMessage(req, res);
-        } else {
-          res.status(500).json({ error: 'Transport non initialisé' });
+  /**
+   * Construit le routeur Express exposant MCP en HTTP
+   * - POST/GET/DELETE / : transport Streamable HTTP (une session par en-tête mcp-session-id)
+   * - GET /sse et POST /messages : ancien transport SSE, conservé pour les clients existants
+   * Le routeur parse lui-même le corps JSON, jusqu'à config.mcp.maxBodySize (médias en base64) :
+   * il doit être monté avant express.json() de l'application
+   * @returns {express.Router} Routeur à monter, par exemple sur /mcp
+   */
+  router() {
+    const router = express.Router();
+
+    router.use(express.json({ limit: config.mcp.maxBodySize }));
+
+    router.post('/', async (req, res) => {
+      const sessionId = req.headers['mcp-session-id'];
+
+      try {
+        if (sessionId) {
+          const session = this.sessions.get(sessionId);
+          if (!session || session.type !== 'streamable') {
+            return sendJsonRpcError(res, 404, `Session '${sessionId}' inconnue`);
+          }
+          return await session.transport.handleRequest(req, res, req.body);
         }
+
+        if (!isInitializeRequest(req.body)) {
+          return sendJsonRpcError(res, 400, 'Aucun identifiant de session fourni');
+        }
+
+        const server = this.createServer();
+        const transport = new StreamableHTTPServerTransport({
+          sessionIdGenerator: () => randomUUID(),
+          onsessioninitialized: (id) => {
+            this.sessions.set(id, { type: 'streamable', transport, server, createdAt: new Date() });
+            logger.info(`Session MCP '${id}' ouverte (Streamable HTTP)`);
+          }
+        });
+        transport.onclose = () => {
+          if (transport.sessionId) {
+            this.closeSession(transport.sessionId);
+          }
+        };
+
+        await server.connect(transport);
+        await transport.handleRequest(req, res, req.body);
+      } catch (error) {
+        logger.error(`Erreur lors du traitement d'une requête MCP: ${error.message}`);
+        if (!res.headersSent) {
+          sendJsonRpcError(res, 500, 'Erreur interne du serveur', ErrorCode.InternalError);
+        }
+      }
+    });
+
+    // Flux de notifications (GET) et fermeture de session (DELETE)
+    const handleSessionRequest = async (req, res) => {
+      const sessionId = req.headers['mcp-session-id'];
+      const session = sessionId && this.sessions.get(sessionId);
+
+      if (!session || session.type !== 'streamable') {
+        return sendJsonRpcError(res, 400, 'Identifiant de session invalide ou manquant');
+      }
+
+      await session.transport.handleRequest(req, res);
+    };
+
+    router.get('/', handleSessionRequest);
+    router.delete('/', handleSessionRequest);
+
+    // Transport SSE historique (protocole 2024-11-05)
+    router.get('/sse', async (req, res) => {
+      const server = this.createServer();
+      const transport = new SSEServerTransport(`${req.baseUrl}/messages`, res);
+
+      this.sessions.set(transport.sessionId, { type: 'sse', transport, server, createdAt: new Date() });
+      logger.info(`Session MCP '${transport.sessionId}' ouverte (SSE)`);
+
+      res.on('close', () => {
+        this.closeSession(transport.sessionId);
       });
-      
-      // Démarrage du serveur HTTP
-      this.app.listen(config.mcp.port, config.mcp.host, () => {
-        logger.info(`Serveur MCP démarré sur http://${config.mcp.host}:${config.mcp.port}`);
-      });
-    } else {
-      // Transport stdio par défaut
-      this.transport = new StdioServerTransport();
-      await this.server.connect(this.transport);
-      logger.info('Transport stdio initialisé');
+
+      await server.connect(transport);
+    });
+
+    router.post('/messages', async (req, res) => {
+      const session = this.sessions.get(req.query.sessionId);
+
+      if (!session || session.type !== 'sse') {
+        return res.status(404).json({ error: `Session '${req.query.sessionId}' inconnue` });
+      }
+
+      await session.transport.handlePostMessage(req, res, req.body);
+    });
+
+    // Corps illisible ou trop volumineux : erreur JSON-RPC plutôt que la page d'erreur d'Express
+    router.use((error, req, res, next) => {
+      if (res.headersSent) {
+        return next(error);
+      }
+
+      if (error.type === 'entity.too.large') {
+        logger.warn(`Requête MCP refusée : corps de ${error.length} octets, limite ${error.limit} octets`);
+        return sendJsonRpcError(res, 413, `Corps de la requête trop volumineux (limite : ${config.mcp.maxBodySize})`);
+      }
+      if (error.type === 'entity.parse.failed') {
+        return sendJsonRpcError(res, 400, `JSON invalide : ${error.message}`, ErrorCode.ParseError);
+      }
+
+      logger.error(`Erreur lors de la lecture d'une requête MCP: ${error.message}`);
+      sendJsonRpcError(res, error.status || 500, 'Erreur interne du serveur', ErrorCode.InternalError);
+    });
+
+    return router;
+  }
+
+  /**
+   * Ferme et oublie une session MCP
+   * @param {string} sessionId - Identifiant de la session
+   */
+  async closeSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      return;
     }
 
-    this.initialized = true;
-    logger.info('Middleware MCP initialisé avec succès');
+    // Supprimer avant de fermer : la fermeture du transport rappelle onclose
+    this.sessions.delete(sessionId);
+    this.capabilityRegistry.detach(session.server);
+    this.contextManager.clearNamespace(ContextManager.session(sessionId));
+
+    try {
+      await session.server.close();
+    } catch (error) {
+      logger.warn(`Erreur lors de la fermeture de la session '${sessionId}': ${error.message}`);
+    }
+
+    logger.info(`Session MCP '${sessionId}' fermée`);
+  }
+
+  /**
+   * Expose le contexte partagé aux clients MCP sous forme de ressources
+   * - context://global : contexte global
+   * - context://session : contexte de la session MCP courante
+   * - context://agent/{agentId} : contexte propre à un agent
+   */
+  registerContextResources() {
+    this.capabilityRegistry.registerResource({
+      name: 'context_global',
+      uri: 'context://global',
+      description: 'Contexte partagé global (campagne en cours, voix de la marque...)',
+      handler: async () => ({ content: this.contextManager.entries(ContextManager.GLOBAL) })
+    });
+    
+    this.capabilityRegistry.registerResource({
+      name: 'context_session',
+      uri: 'context://session',
+      description: 'Contexte propre à la session MCP courante',
+      handler: async (params, extra) => ({
+        content: this.contextManager.entries(ContextManager.session(extra.sessionId || 'stdio'))
+      })
+    });
+    
+    this.capabilityRegistry.registerResource({
+      name: 'context_agent',
+      uriTemplate: 'context://agent/{agentId}',
+      description: 'Contexte propre à un agent',
+      handler: async ({ agentId }) => ({ content: this.contextManager.entries(ContextManager.agent(agentId)) })
+    });
+    
+    // Les abonnés sont prévenus des modifications ; un contexte de session ne concerne que sa session
+    this.contextManager.subscribe('*', ({ namespace }) => {
+      if (namespace === ContextManager.GLOBAL) {
+        this.capabilityRegistry.notifyResourceUpdated('context://global');
+      } else if (namespace.startsWith('agent:')) {
+        this.capabilityRegistry.notifyResourceUpdated(`context://agent/${namespace.slice('agent:'.length)}`);
+      } else if (namespace.startsWith('session:')) {
+        this.capabilityRegistry.notifyResourceUpdated('context://session', namespace.slice('session:'.length));
+      }
+    });
   }
 
   /**
    * Enregistre un agent dans le middleware
+   * Ses capacités ne sont exposées aux clients MCP que lorsqu'il est démarré
    * @param {string} id - Identifiant unique de l'agent
    * @param {object} agent - Instance de l'agent à enregistrer
    */
   registerAgent(id, agent) {
     if (this.agents.has(id)) {
       logger.warn(`Agent avec l'ID ${id} déjà enregistré, sera remplacé`);
+      this.hideAgentCapabilities(id);
+      this.removeAgentListeners(id);
     }
     
     this.agents.set(id, agent);
+    this.messageRouter.registerAgent(id, agent);
+    if (typeof agent.setContextManager === 'function') {
+      agent.setContextManager(this.contextManager);
+    }
+    if (typeof agent.setCapabilityRegistry === 'function') {
+      agent.setCapabilityRegistry(this.capabilityRegistry);
+    }
+    
+    // Relais des événements de l'agent vers les clients MCP
+    const listeners = {
+      'started': () => this.exposeAgentCapabilities(id),
+      'stopped': () => this.hideAgentCapabilities(id),
+      'resource-updated': (uri) => this.capabilityRegistry.notifyResourceUpdated(uri)
+    };
+    Object.entries(listeners).forEach(([event, listener]) => agent.on(event, listener));
+    this.agentListeners.set(id, listeners);
+    
+    if (agent.running) {
+      this.exposeAgentCapabilities(id);
+    }
+    
+    logger.info(`Agent '${id}' enregistré avec succès`);
+  }
+
+  /**
+   * Désenregistre un agent du middleware
+   * @param {string} id - Identifiant de l'agent à désenregistrer
+   */
+  unregisterAgent(id) {
+    if (!this.agents.has(id)) {
+      logger.warn(`Aucun agent trouvé avec l'ID ${id}`);
+      return;
+    }
+    
+    this.hideAgentCapabilities(id);
+    this.removeAgentListeners(id);
+    this.messageRouter.unregisterAgent(id);
+    this.agents.delete(id);
+    logger.info(`Agent '${id}' désenregistré avec succès`);
+  }
+
+  /**
+   * Ajoute les outils, ressources et prompts d'un agent au registre
+   * et prévient les clients connectés
+   * @param {string} id - Identifiant de l'agent
+   */
+  exposeAgentCapabilities(id) {
+    const agent = this.agents.get(id);
     
-    // Enregistrement des capacités de l'agent
     if (agent.getTools && typeof agent.getTools === 'function') {
       const tools = agent.getTools();
       tools.forEach(tool => {
@@ -110,22 +359,25 @@ class McpMiddleware {
       });
     }
     
-    logger.info(`Agent '${id}' enregistré avec succès`);
+    if (agent.getPrompts && typeof agent.getPrompts === 'function') {
+      const prompts = agent.getPrompts();
+      prompts.forEach(prompt => {
+        this.capabilityRegistry.registerPrompt(prompt);
+      });
+    }
+    
+    this.capabilityRegistry.notifyListChanged();
+    logger.debug(`Capacités de l'agent '${id}' exposées`);
   }
 
   /**
-   * Désenregistre un agent du middleware
-   * @param {string} id - Identifiant de l'agent à désenregistrer
+   * Retire les outils, ressources et prompts d'un agent du registre
+   * et prévient les clients connectés
+   * @param {string} id - Identifiant de l'agent
    */
-  unregisterAgent(id) {
-    if (!this.agents.has(id)) {
-      logger.warn(`Aucun agent trouvé avec l'ID ${id}`);
-      return;
-    }
-    
+  hideAgentCapabilities(id) {
     const agent = this.agents.get(id);
     
-    // Désenregistrement des capacités de l'agent
     if (agent.getTools && typeof agent.getTools === 'function') {
       const tools = agent.getTools();
       tools.forEach(tool => {
@@ -140,8 +392,77 @@ class McpMiddleware {
       });
     }
     
-    this.agents.delete(id);
-    logger.info(`Agent '${id}' désenregistré avec succès`);
+    if (agent.getPrompts && typeof agent.getPrompts === 'function') {
+      const prompts = agent.getPrompts();
+      prompts.forEach(prompt => {
+        this.capabilityRegistry.unregisterPrompt(prompt.name);
+      });
+    }
+    
+    this.capabilityRegistry.notifyListChanged();
+    logger.debug(`Capacités de l'agent '${id}' retirées`);
+  }
+
+  /**
+   * Retire les écouteurs posés sur un agent par registerAgent()
+   * @param {string} id - Identifiant de l'agent
+   */
+  removeAgentListeners(id) {
+    const agent = this.agents.get(id);
+    const listeners = this.agentListeners.get(id);
+    
+    if (agent && listeners) {
+      Object.entries(listeners).forEach(([event, listener]) => agent.off(event, listener));
+    }
+    
+    this.agentListeners.delete(id);
+  }
+
+  /**
+   * Indique si un appel du journal d'audit peut être rejoué : les lectures de ressources le peuvent,
+   * pas les outils qui publient, suppriment ou modifient sur une plateforme (`sideEffects`)
+   * @param {object} record - Enregistrement du journal d'audit
+   * @returns {boolean} true si l'appel peut être rejoué
+   */
+  isReplayable(record) {
+    if (record.kind === 'resource') {
+      return true;
+    }
+    
+    const tool = this.capabilityRegistry.tools.get(record.name);
+    return !(tool && tool.sideEffects);
+  }
+
+  /**
+   * Rejoue un appel du journal d'audit sur les agents actuels (débogage)
+   * Les arguments masqués ou tronqués dans le journal doivent être fournis par l'appelant
+   * @param {object} record - Enregistrement du journal d'audit
+   * @param {object} overrides - Arguments remplaçant ceux de l'enregistrement
+   * @returns {Promise<object>} Résultat de l'appel rejoué
+   * @throws {ValidationError} Si des arguments masqués n'ont pas été fournis
+   * @throws {Error} Si l'outil a des effets sur une plateforme (voir isReplayable)
+   */
+  async replay(record, overrides = {}) {
+    if (!this.isReplayable(record)) {
+      throw new Error(`L'outil '${record.name}' agit sur une plateforme : l'appel ${record.id} ne peut pas être rejoué`);
+    }
+    
+    const missing = record.redacted.filter(field => getFieldValue(overrides, field) === undefined);
+    
+    if (missing.length > 0) {
+      throw new ValidationError(
+        `Arguments masqués dans le journal, à fournir pour rejouer l'appel: ${missing.join(', ')}`,
+        missing.map(field => ({ field, message: 'valeur masquée dans le journal d\'audit' }))
+      );
+    }
+    
+    const args = mergeArguments(record.arguments, overrides);
+    const extra = { caller: { type: 'replay', id: record.id }, sessionId: record.sessionId };
+    logger.info(`Rejeu de l'appel ${record.id} (${record.kind} '${record.name}')`);
+    
+    return record.kind === 'resource'
+      ? this.capabilityRegistry.readResource(args.uri, extra)
+      : this.capabilityRegistry.callTool(record.name, args, extra);
   }
 
   /**
@@ -150,16 +471,20 @@ class McpMiddleware {
   async shutdown() {
     logger.info('Arrêt du middleware MCP');
     
-    // Fermeture du serveur MCP
-    if (this.server) {
-      await this.server.shutdown();
-    }
+    // Fermeture de toutes les sessions HTTP/SSE
+    await Promise.all(Array.from(this.sessions.keys()).map(id => this.closeSession(id)));
     
-    // Fermeture du transport
-    if (this.transport) {
-      await this.transport.close();
+    // Fermeture du serveur stdio (ferme également son transport)
+    if (this.stdioServer) {
+      this.capabilityRegistry.detach(this.stdioServer);
+      await this.stdioServer.close();
+      this.stdioServer = null;
     }
     
+    await this.federation.shutdown();
+    await this.contextManager.shutdown();
+    await auditLog.shutdown();
+    
     this.initialized = false;
     logger.info('Middleware MCP arrêté avec succès');
   }
@@ -167,167 +492,918 @@ class McpMiddleware {
 
 /**
  * Gestionnaire de contexte pour le middleware MCP
+ * Le contexte est découpé en espaces de noms : `global`, `agent:<id>` et `session:<id>`.
+ * Chaque valeur peut expirer (ttl), chaque modification émet un événement `change`
+ * et les espaces hors sessions peuvent être persistés sur disque.
  */
-class ContextManager {
+class ContextManager extends EventEmitter {
   constructor() {
-    this.sharedContext = {};
+    super();
+    this.namespaces = new Map();
+    this.sweepInterval = null;
+    this.persistTimer = null;
     this.logger = loggerModule.createSubLogger('ContextManager');
   }
 
-  initialize() {
+  /**
+   * Charge le contexte persisté et démarre la purge des valeurs expirées
+   */
+  async initialize() {
+    if (config.context.persistPath) {
+      await this.load();
+    }
+    
+    this.sweepInterval = setInterval(() => this.sweep(), config.context.sweepInterval);
+    this.sweepInterval.unref();
+    
     this.logger.info('Gestionnaire de contexte initialisé');
   }
 
   /**
-   * Définit une valeur dans le contexte partagé
+   * Arrête la purge et écrit le contexte sur disque si la persistance est active
+   */
+  async shutdown() {
+    clearInterval(this.sweepInterval);
+    this.sweepInterval = null;
+    
+    if (this.persistTimer) {
+      clearTimeout(this.persistTimer);
+      this.persistTimer = null;
+      await this.save();
+    }
+  }
+
+  /**
+   * Définit une valeur dans un espace de noms
+   * @param {string} namespace - Espace de noms (voir ContextManager.agent/session/GLOBAL)
+   * @param {string} key - Clé du contexte
+   * @param {any} value - Valeur à stocker (sérialisable en JSON)
+   * @param {object} options - Options (ttl en millisecondes)
+   */
+  set(namespace, key, value, options = {}) {
+    const { ttl = null } = options;
+    
+    if (!this.namespaces.has(namespace)) {
+      this.namespaces.set(namespace, new Map());
+    }
+    
+    this.namespaces.get(namespace).set(key, {
+      value,
+      updatedAt: new Date().toISOString(),
+      expiresAt: ttl ? Date.now() + ttl : null
+    });
+    
+    this.logger.debug(`Contexte '${namespace}/${key}' défini`);
+    this.notifyChange('set', namespace, key, value);
+  }
+
+  /**
+   * Récupère une valeur d'un espace de noms
+   * @param {string} namespace - Espace de noms
+   * @param {string} key - Clé du contexte
+   * @returns {any} La valeur stockée ou undefined si absente ou expirée
+   */
+  get(namespace, key) {
+    const entry = this.namespaces.get(namespace)?.get(key);
+    
+    if (!entry) {
+      return undefined;
+    }
+    
+    if (isExpired(entry)) {
+      this.remove(namespace, key, 'expire');
+      return undefined;
+    }
+    
+    return entry.value;
+  }
+
+  /**
+   * Supprime une valeur d'un espace de noms
+   * @param {string} namespace - Espace de noms
+   * @param {string} key - Clé du contexte à supprimer
+   */
+  delete(namespace, key) {
+    this.remove(namespace, key, 'delete');
+  }
+
+  /**
+   * Retourne toutes les valeurs valides d'un espace de noms
+   * @param {string} namespace - Espace de noms
+   * @returns {object} Valeurs indexées par clé, avec leurs dates de mise à jour et d'expiration
+   */
+  entries(namespace) {
+    const values = {};
+    
+    Array.from(this.namespaces.get(namespace)?.keys() || []).forEach(key => {
+      const value = this.get(namespace, key);
+      const entry = this.namespaces.get(namespace)?.get(key);
+      
+      if (entry) {
+        values[key] = {
+          value,
+          updatedAt: entry.updatedAt,
+          expiresAt: entry.expiresAt ? new Date(entry.expiresAt).toISOString() : null
+        };
+      }
+    });
+    
+    return values;
+  }
+
+  /**
+   * Supprime tout un espace de noms (par exemple à la fermeture d'une session)
+   * @param {string} namespace - Espace de noms
+   */
+  clearNamespace(namespace) {
+    Array.from(this.namespaces.get(namespace)?.keys() || []).forEach(key => {
+      this.remove(namespace, key, 'delete');
+    });
+    
+    this.namespaces.delete(namespace);
+  }
+
+  /**
+   * Écoute les modifications d'un espace de noms
+   * @param {string} namespace - Espace de noms, ou `*` pour tous
+   * @param {Function} listener - Appelé avec { action, namespace, key, value }
+   * @returns {Function} Fonction de désabonnement
+   */
+  subscribe(namespace, listener) {
+    const filtered = (change) => {
+      if (namespace === '*' || change.namespace === namespace) {
+        listener(change);
+      }
+    };
+    
+    this.on('change', filtered);
+    return () => this.off('change', filtered);
+  }
+
+  /**
+   * Définit une valeur dans le contexte global (compatibilité)
    * @param {string} key - Clé du contexte
    * @param {any} value - Valeur à stocker
    */
   setContext(key, value) {
-    this.sharedContext[key] = value;
-    this.logger.debug(`Contexte '${key}' défini`);
+    this.set(ContextManager.GLOBAL, key, value);
   }
 
   /**
-   * Récupère une valeur du contexte partagé
+   * Récupère une valeur du contexte global (compatibilité)
    * @param {string} key - Clé du contexte
    * @returns {any} La valeur stockée ou undefined
    */
   getContext(key) {
-    return this.sharedContext[key];
+    return this.get(ContextManager.GLOBAL, key);
   }
 
   /**
-   * Supprime une valeur du contexte partagé
+   * Supprime une valeur du contexte global (compatibilité)
    * @param {string} key - Clé du contexte à supprimer
    */
   deleteContext(key) {
-    delete this.sharedContext[key];
-    this.logger.debug(`Contexte '${key}' supprimé`);
+    this.delete(ContextManager.GLOBAL, key);
   }
-}
 
-/**
- * Routeur de messages pour le middleware MCP
- */
-class MessageRouter {
-  constructor() {
-    this.routes = new Map();
-    this.logger = loggerModule.createSubLogger('MessageRouter');
+  /**
+   * Supprime une entrée et émet l'événement correspondant
+   * @param {string} namespace - Espace de noms
+   * @param {string} key - Clé
+   * @param {string} action - 'delete' ou 'expire'
+   * @private
+   */
+  remove(namespace, key, action) {
+    const values = this.namespaces.get(namespace);
+    
+    if (values && values.delete(key)) {
+      this.logger.debug(`Contexte '${namespace}/${key}' supprimé (${action})`);
+      this.notifyChange(action, namespace, key, undefined);
+    }
   }
 
-  initialize(server) {
-    this.server = server;
-    this.logger.info('Routeur de messages initialisé');
+  /**
+   * Supprime les valeurs expirées de tous les espaces de noms
+   * @private
+   */
+  sweep() {
+    this.namespaces.forEach((values, namespace) => {
+      Array.from(values.entries())
+        .filter(([, entry]) => isExpired(entry))
+        .forEach(([key]) => this.remove(namespace, key, 'expire'));
+    });
   }
 
   /**
-   * Enregistre une route pour un type de message
-   * @param {string} method - Méthode JSON-RPC
-   * @param {Function} handler - Gestionnaire de la route
+   * Émet un événement de modification et planifie la persistance
+   * @private
    */
-  registerRoute(method, handler) {
-    this.routes.set(method, handler);
-    this.logger.debug(`Route '${method}' enregistrée`);
+  notifyChange(action, namespace, key, value) {
+    this.emit('change', { action, namespace, key, value });
+    
+    if (config.context.persistPath && !namespace.startsWith('session:') && !this.persistTimer) {
+      // Regroupe les écritures rapprochées en une seule
+      this.persistTimer = setTimeout(() => {
+        this.persistTimer = null;
+        this.save();
+      }, 500);
+    }
   }
 
   /**
-   * Achemine un message vers son gestionnaire approprié
-   * @param {Object} message - Message JSON-RPC
-   * @returns {Promise<Object>} Réponse au message
+   * Charge le contexte depuis le fichier de persistance
+   * @private
    */
-  async routeMessage(message) {
-    const { method } = message;
-    
-    if (!this.routes.has(method)) {
-      this.logger.warn(`Aucune route trouvée pour la méthode '${method}'`);
-      return {
-        jsonrpc: '2.0',
-        id: message.id,
-        error: {
-          code: -32601,
-          message: `Méthode '${method}' non trouvée`
-        }
-      };
+  async load() {
+    try {
+      const data = JSON.parse(await fs.readFile(config.context.persistPath, 'utf8'));
+      
+      Object.entries(data.namespaces || {}).forEach(([namespace, values]) => {
+        const entries = Object.entries(values).filter(([, entry]) => !isExpired(entry));
+        this.namespaces.set(namespace, new Map(entries));
+      });
+      
+      this.logger.info(`Contexte chargé depuis ${config.context.persistPath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.error(`Impossible de charger le contexte: ${error.message}`);
+      }
     }
+  }
+
+  /**
+   * Écrit le contexte (hors sessions) dans le fichier de persistance
+   * @private
+   */
+  async save() {
+    const namespaces = {};
+    this.namespaces.forEach((values, namespace) => {
+      if (!namespace.startsWith('session:')) {
+        namespaces[namespace] = Object.fromEntries(values);
+      }
+    });
     
-    const handler = this.routes.get(method);
     try {
-      return await handler(message);
+      await fs.mkdir(path.dirname(config.context.persistPath), { recursive: true });
+      await fs.writeFile(config.context.persistPath, JSON.stringify({ namespaces }, null, 2));
     } catch (error) {
-      this.logger.error(`Erreur lors du traitement de la méthode '${method}': ${error.message}`);
-      return {
-        jsonrpc: '2.0',
-        id: message.id,
-        error: {
-          code: -32000,
-          message: `Erreur interne: ${error.message}`
-        }
-      };
+      this.logger.error(`Impossible d'écrire le contexte: ${error.message}`);
     }
   }
+
+  /**
+   * Espace de noms d'un agent
+   * @param {string} agentId - Identifiant de l'agent
+   * @returns {string} Espace de noms
+   */
+  static agent(agentId) {
+    return `agent:${agentId}`;
+  }
+
+  /**
+   * Espace de noms d'une session MCP
+   * @param {string} sessionId - Identifiant de la session
+   * @returns {string} Espace de noms
+   */
+  static session(sessionId) {
+    return `session:${sessionId}`;
+  }
 }
 
+ContextManager.GLOBAL = 'global';
+
 /**
- * Registre des capacités pour le middleware MCP
+ * Routeur de messages pour le middleware MCP
+ * Bus de messages entre agents : envoi direct, requête/réponse corrélée,
+ * diffusion, publication/abonnement par sujet et lettres mortes
  */
-class CapabilityRegistry {
+class MessageRouter extends EventEmitter {
+  constructor() {
+    super();
+    this.agents = new Map();
+    this.topics = new Map();
+    this.pendingRequests = new Map();
+    this.deadLetters = [];
+    this.logger = loggerModule.createSubLogger('MessageRouter');
+  }
+
+  initialize() {
+    this.logger.info('Routeur de messages initialisé');
+  }
+
+  /**
+   * Rend un agent joignable par le bus
+   * @param {string} id - Identifiant de l'agent
+   * @param {object} agent - Instance de l'agent
+   */
+  registerAgent(id, agent) {
+    this.agents.set(id, agent);
+    if (typeof agent.setMessageRouter === 'function') {
+      agent.setMessageRouter(this);
+    }
+    this.logger.debug(`Agent '${id}' relié au bus de messages`);
+  }
+
+  /**
+   * Retire un agent du bus et de tous ses abonnements
+   * @param {string} id - Identifiant de l'agent
+   */
+  unregisterAgent(id) {
+    const agent = this.agents.get(id);
+    if (agent && typeof agent.setMessageRouter === 'function') {
+      agent.setMessageRouter(null);
+    }
+    
+    this.agents.delete(id);
+    this.topics.forEach(subscribers => subscribers.delete(id));
+    this.logger.debug(`Agent '${id}' retiré du bus de messages`);
+  }
+
+  /**
+   * Indique si un agent est relié au bus et démarré, donc en mesure de répondre à une requête
+   * @param {string} id - Identifiant de l'agent
+   * @returns {boolean} true si l'agent est joignable
+   */
+  isAvailable(id) {
+    const agent = this.agents.get(id);
+    return Boolean(agent && agent.running);
+  }
+
+  /**
+   * Abonne un agent à un sujet
+   * @param {string} agentId - Identifiant de l'agent abonné
+   * @param {string} topic - Sujet
+   */
+  subscribe(agentId, topic) {
+    if (!this.topics.has(topic)) {
+      this.topics.set(topic, new Set());
+    }
+    
+    this.topics.get(topic).add(agentId);
+    this.logger.debug(`Agent '${agentId}' abonné au sujet '${topic}'`);
+  }
+
+  /**
+   * Désabonne un agent d'un sujet
+   * @param {string} agentId - Identifiant de l'agent
+   * @param {string} topic - Sujet
+   */
+  unsubscribe(agentId, topic) {
+    if (this.topics.has(topic)) {
+      this.topics.get(topic).delete(agentId);
+    }
+  }
+
+  /**
+   * Envoie un message sans attendre de réponse
+   * Le destinataire `*` diffuse le message à tous les agents sauf l'émetteur
+   * @param {object} message - Enveloppe (from, to, type, payload)
+   * @returns {object} Enveloppe complétée (id, timestamp)
+   */
+  send(message) {
+    const envelope = createEnvelope(message);
+    
+    if (envelope.to === '*') {
+      this.agents.forEach((agent, id) => {
+        if (id !== envelope.from) {
+          this.deliver({ ...envelope, to: id });
+        }
+      });
+    } else {
+      this.deliver(envelope);
+    }
+    
+    return envelope;
+  }
+
+  /**
+   * Envoie une requête et attend la réponse corrélée
+   * @param {object} message - Enveloppe (from, to, type, payload)
+   * @param {object} options - Options (timeout en millisecondes)
+   * @returns {Promise<any>} Contenu de la réponse
+   */
+  request(message, options = {}) {
+    const { timeout = config.messaging.requestTimeout } = options;
+    const envelope = createEnvelope({ ...message, expectsReply: true });
+    
+    if (envelope.to === '*') {
+      return Promise.reject(new Error('Une requête ne peut pas être diffusée à tous les agents'));
+    }
+    
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(envelope.id);
+        reject(new Error(`Pas de réponse de l'agent '${envelope.to}' à '${envelope.type}' après ${timeout}ms`));
+      }, timeout);
+      
+      this.pendingRequests.set(envelope.id, { resolve, reject, timer });
+      this.deliver(envelope);
+    });
+  }
+
+  /**
+   * Publie un message sur un sujet
+   * @param {string} from - Identifiant de l'agent émetteur
+   * @param {string} topic - Sujet
+   * @param {object} payload - Contenu du message
+   * @returns {object} Enveloppe publiée
+   */
+  publish(from, topic, payload) {
+    const envelope = createEnvelope({ from, to: null, type: topic, topic, payload });
+    const subscribers = this.topics.get(topic) || new Set();
+    
+    subscribers.forEach(id => {
+      if (id !== from) {
+        this.deliver({ ...envelope, to: id });
+      }
+    });
+    
+    this.logger.debug(`Sujet '${topic}' publié par '${from}' à ${subscribers.size} abonné(s)`);
+    return envelope;
+  }
+
+  /**
+   * Remet un message à son destinataire de façon asynchrone
+   * Une réponse (correlationId) est rendue à la requête en attente
+   * @param {object} envelope - Enveloppe à remettre
+   * @private
+   */
+  deliver(envelope) {
+    if (envelope.correlationId && this.pendingRequests.has(envelope.correlationId)) {
+      const pending = this.pendingRequests.get(envelope.correlationId);
+      this.pendingRequests.delete(envelope.correlationId);
+      clearTimeout(pending.timer);
+      
+      if (envelope.error) {
+        pending.reject(new Error(envelope.error));
+      } else {
+        pending.resolve(envelope.payload);
+      }
+      return;
+    }
+    
+    if (envelope.correlationId) {
+      this.logger.debug(`Réponse '${envelope.type}' ignorée : la requête a expiré`);
+      return;
+    }
+    
+    const agent = this.agents.get(envelope.to);
+    if (!agent) {
+      this.deadLetter(envelope, `Agent '${envelope.to}' inconnu`);
+      return;
+    }
+    
+    if (!agent.running) {
+      this.deadLetter(envelope, `Agent '${envelope.to}' arrêté`);
+      return;
+    }
+    
+    Promise.resolve()
+      .then(() => agent.handleMessage(envelope))
+      .then(response => {
+        if (envelope.expectsReply) {
+          this.send({
+            from: envelope.to,
+            to: envelope.from,
+            type: `${envelope.type}:reply`,
+            correlationId: envelope.id,
+            payload: response
+          });
+        }
+      })
+      .catch(error => {
+        this.logger.error(`Erreur lors du traitement du message '${envelope.type}' par '${envelope.to}': ${error.message}`);
+        this.deadLetter(envelope, error.message);
+      });
+  }
+
+  /**
+   * Conserve un message non remis et fait échouer la requête associée
+   * @param {object} envelope - Enveloppe non remise
+   * @param {string} reason - Raison de l'échec
+   * @private
+   */
+  deadLetter(envelope, reason) {
+    this.logger.warn(`Message '${envelope.type}' de '${envelope.from}' vers '${envelope.to}' non remis: ${reason}`);
+    
+    const letter = { ...envelope, reason, failedAt: new Date().toISOString() };
+    this.deadLetters.push(letter);
+    if (this.deadLetters.length > config.messaging.deadLetterLimit) {
+      this.deadLetters.shift();
+    }
+    this.emit('dead-letter', letter);
+    
+    // Une requête non remise est rejetée immédiatement plutôt qu'à l'expiration du délai
+    if (envelope.expectsReply) {
+      this.deliver({
+        from: envelope.to,
+        to: envelope.from,
+        type: `${envelope.type}:reply`,
+        correlationId: envelope.id,
+        error: reason
+      });
+    }
+  }
+
+  /**
+   * Retourne les derniers messages non remis
+   * @returns {Array<object>} Lettres mortes, de la plus ancienne à la plus récente
+   */
+  getDeadLetters() {
+    return [...this.deadLetters];
+  }
+}
+
+/**
+ * Registre des capacités pour le middleware MCP
+ */
+class CapabilityRegistry {
   constructor() {
     this.tools = new Map();
     this.resources = new Map();
+    this.prompts = new Map();
+    this.servers = new Set();
+    this.subscriptions = new Map();
     this.logger = loggerModule.createSubLogger('CapabilityRegistry');
   }
 
-  initialize(server) {
-    this.server = server;
+  /**
+   * Installe les gestionnaires tools/* et resources/* sur un serveur MCP
+   * Le registre est partagé : chaque session possède son propre serveur
+   * @param {McpServer} server - Serveur MCP du SDK
+   */
+  attach(server) {
+    this.servers.add(server);
     
-    // Enregistrement des gestionnaires pour les capacités en utilisant les méthodes disponibles
-    this.server.setToolRequestHandlers({
-      list: async () => {
-        return { tools: Array.from(this.tools.values()) };
-      },
-      call: async (params) => {
-        const { name, params: toolParams } = params;
-        if (!this.tools.has(name)) {
-          throw new Error(`Outil '${name}' non trouvé`);
-        }
-        
-        const tool = this.tools.get(name);
-        try {
-          return await tool.handler(toolParams);
-        } catch (error) {
-          this.logger.error(`Erreur lors de l'exécution de l'outil '${name}': ${error.message}`);
-          return {
-            isError: true,
-            content: {
-              message: `Erreur: ${error.message}`
-            }
-          };
-        }
+    // Les définitions des agents utilisent des schémas JSON et non des schémas zod :
+    // on passe donc par le serveur bas niveau plutôt que par McpServer.tool()
+    const lowLevelServer = server.server;
+    
+    lowLevelServer.setRequestHandler(ListToolsRequestSchema, async () => {
+      return { tools: this.listTools() };
+    });
+    
+    lowLevelServer.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
+      const { name, arguments: toolArgs = {} } = request.params;
+      return this.callTool(name, toolArgs, withClientInfo(lowLevelServer, extra));
+    });
+    
+    lowLevelServer.setRequestHandler(ListResourcesRequestSchema, async () => {
+      return { resources: this.listResources() };
+    });
+    
+    lowLevelServer.setRequestHandler(ListResourceTemplatesRequestSchema, async () => {
+      return { resourceTemplates: this.listResourceTemplates() };
+    });
+    
+    lowLevelServer.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+      return this.readResource(request.params.uri, withClientInfo(lowLevelServer, extra));
+    });
+    
+    lowLevelServer.setRequestHandler(ListPromptsRequestSchema, async () => {
+      return { prompts: this.listPrompts() };
+    });
+    
+    lowLevelServer.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const { name, arguments: promptArgs = {} } = request.params;
+      return this.getPrompt(name, promptArgs);
+    });
+    
+    // Abonnements : propres à chaque serveur, donc à chaque session
+    this.subscriptions.set(server, new Set());
+    
+    lowLevelServer.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      const { uri } = request.params;
+      if (!this.findResource(uri)) {
+        throw new McpError(ErrorCode.InvalidParams, `Ressource '${uri}' non trouvée`);
       }
+      
+      this.subscriptions.get(server).add(uri);
+      this.logger.debug(`Abonnement à la ressource '${uri}'`);
+      return {};
     });
     
-    this.server.setResourceRequestHandlers({
-      list: async () => {
-        return { resources: Array.from(this.resources.values()) };
+    lowLevelServer.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      this.subscriptions.get(server).delete(request.params.uri);
+      this.logger.debug(`Désabonnement de la ressource '${request.params.uri}'`);
+      return {};
+    });
+    
+    this.logger.debug('Registre des capacités attaché à un serveur MCP');
+  }
+
+  /**
+   * Oublie un serveur MCP dont la session est terminée
+   * @param {McpServer} server - Serveur MCP du SDK
+   */
+  detach(server) {
+    this.servers.delete(server);
+    this.subscriptions.delete(server);
+  }
+
+  /**
+   * Retourne les outils au format attendu par tools/list
+   * @returns {Array<object>} Descriptions MCP des outils
+   */
+  listTools() {
+    return Array.from(this.tools.values()).map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: tool.inputSchema || { type: 'object', properties: {} },
+      ...(tool.outputSchema && { outputSchema: tool.outputSchema })
+    }));
+  }
+
+  /**
+   * Exécute un outil enregistré
+   * Les arguments sont validés contre l'inputSchema de l'outil : en cas d'échec,
+   * une erreur JSON-RPC -32602 détaillant les champs invalides est renvoyée.
+   * Le gestionnaire reçoit un contexte relié aux notifications MCP de progression
+   * (si le client a fourni un progressToken) et d'annulation, ainsi qu'au sampling
+   * si le client déclare cette capacité
+   * @param {string} name - Nom de l'outil
+   * @param {object} toolArgs - Arguments de l'appel
+   * @param {object} extra - Informations de la requête MCP (signal, _meta, sendNotification,
+   *   sendRequest, clientCapabilities, caller...)
+   * @returns {Promise<object>} Résultat au format CallToolResult
+   */
+  async callTool(name, toolArgs = {}, extra = {}) {
+    return auditLog.track(
+      { kind: 'tool', name, arguments: toolArgs, caller: extra.caller, sessionId: extra.sessionId },
+      () => this.executeTool(name, toolArgs, extra)
+    );
+  }
+
+  /**
+   * Exécute un outil (voir callTool, qui journalise l'appel)
+   * @param {string} name - Nom de l'outil
+   * @param {object} toolArgs - Arguments de l'appel
+   * @param {object} extra - Informations de la requête MCP
+   * @returns {Promise<object>} Résultat au format CallToolResult
+   * @private
+   */
+  async executeTool(name, toolArgs, extra) {
+    if (!this.tools.has(name)) {
+      throw new McpError(ErrorCode.InvalidParams, `Outil '${name}' non trouvé`);
+    }
+    
+    const tool = this.tools.get(name);
+    try {
+      // Les outils fédérés sont validés par leur serveur d'origine
+      if (!tool.federatedFrom) {
+        assertValidToolParams(tool, toolArgs);
+      }
+    } catch (error) {
+      this.logger.warn(error.message);
+      throw new McpError(ErrorCode.InvalidParams, error.message, { errors: error.errors });
+    }
+    
+    const progressToken = extra._meta?.progressToken;
+    const context = createToolContext({
+      signal: extra.signal,
+      sessionId: extra.sessionId,
+      onProgress: progressToken === undefined ? null : (progress) => {
+        extra.sendNotification({
+          method: 'notifications/progress',
+          params: { progressToken, ...progress }
+        }).catch(error => {
+          this.logger.warn(`Impossible d'envoyer la progression de l'outil '${name}': ${error.message}`);
+        });
       },
-      get: async (params) => {
-        const { name, params: resourceParams } = params;
-        if (!this.resources.has(name)) {
-          throw new Error(`Ressource '${name}' non trouvée`);
+      createMessage: extra.clientCapabilities?.sampling ? (params) => extra.sendRequest(
+        { method: 'sampling/createMessage', params },
+        CreateMessageResultSchema,
+        { signal: extra.signal }
+      ) : null
+    });
+    
+    try {
+      const result = await tool.handler(toolArgs, context);
+      return toCallToolResult(result);
+    } catch (error) {
+      this.logger.error(`Erreur lors de l'exécution de l'outil '${name}': ${error.message}`);
+      return {
+        isError: true,
+        content: [{ type: 'text', text: `Erreur: ${error.message}` }]
+      };
+    }
+  }
+
+  /**
+   * Retourne les ressources au format attendu par resources/list
+   * @returns {Array<object>} Descriptions MCP des ressources
+   */
+  listResources() {
+    return Array.from(this.resources.values())
+      .filter(resource => !resource.uriTemplate)
+      .map(resource => ({
+        uri: resource.uri,
+        name: resource.name,
+        description: resource.description,
+        mimeType: resource.mimeType
+      }));
+  }
+
+  /**
+   * Retourne les modèles d'URI au format attendu par resources/templates/list
+   * @returns {Array<object>} Descriptions MCP des modèles de ressources
+   */
+  listResourceTemplates() {
+    return Array.from(this.resources.values())
+      .filter(resource => resource.uriTemplate)
+      .map(resource => ({
+        uriTemplate: resource.uriTemplate,
+        name: resource.name,
+        description: resource.description,
+        mimeType: resource.mimeType
+      }));
+  }
+
+  /**
+   * Trouve la ressource correspondant à une URI
+   * Les ressources fixes sont prioritaires, puis les modèles les plus spécifiques
+   * (par exemple `analysis://recent` avant `analysis://{analysisId}`)
+   * @param {string} uri - URI demandée
+   * @returns {{resource: object, params: object}|null} Ressource et paramètres extraits
+   */
+  findResource(uri) {
+    let parsedUri;
+    try {
+      parsedUri = new URL(uri);
+    } catch (error) {
+      return null;
+    }
+    
+    const baseUri = `${parsedUri.protocol}//${parsedUri.host}${parsedUri.pathname}`;
+    const queryParams = Object.fromEntries(parsedUri.searchParams.entries());
+    const resources = Array.from(this.resources.values());
+    
+    const fixed = resources.find(r => !r.uriTemplate && r.uri === baseUri);
+    if (fixed) {
+      return { resource: fixed, params: queryParams };
+    }
+    
+    const templates = resources
+      .filter(r => r.uriTemplate)
+      .sort((a, b) => a.pathTemplate.variableNames.length - b.pathTemplate.variableNames.length);
+    
+    for (const resource of templates) {
+      const variables = resource.pathTemplate.match(baseUri);
+      if (variables) {
+        return { resource, params: { ...queryParams, ...variables } };
+      }
+    }
+    
+    return null;
+  }
+
+  /**
+   * Lit une ressource à partir de son URI
+   * Les paramètres de la query string et les variables du modèle sont transmis au gestionnaire,
+   * accompagnés des informations de la requête MCP (sessionId...) et de l'URI demandée.
+   * Un gestionnaire peut renvoyer directement `{ contents }` (ressources fédérées)
+   * @param {string} uri - URI de la ressource
+   * @param {object} extra - Informations de la requête MCP
+   * @returns {Promise<object>} Résultat au format ReadResourceResult
+   */
+  async readResource(uri, extra = {}) {
+    return auditLog.track(
+      { kind: 'resource', name: uri, arguments: { uri }, caller: extra.caller, sessionId: extra.sessionId },
+      () => this.fetchResource(uri, extra)
+    );
+  }
+
+  /**
+   * Lit une ressource (voir readResource, qui journalise la lecture)
+   * @param {string} uri - URI de la ressource
+   * @param {object} extra - Informations de la requête MCP
+   * @returns {Promise<object>} Résultat au format ReadResourceResult
+   * @private
+   */
+  async fetchResource(uri, extra) {
+    const match = this.findResource(uri);
+    
+    if (!match) {
+      throw new McpError(ErrorCode.InvalidParams, `Ressource '${uri}' non trouvée`);
+    }
+    
+    const { resource, params: resourceParams } = match;
+    try {
+      const result = await resource.handler(resourceParams, { ...extra, uri });
+      if (result && result.isError) {
+        throw new Error(result.content && result.content.message);
+      }
+      
+      if (result && Array.isArray(result.contents)) {
+        return result;
+      }
+      
+      return {
+        contents: [{
+          uri,
+          mimeType: resource.mimeType,
+          text: JSON.stringify(result ? result.content : null, null, 2)
+        }]
+      };
+    } catch (error) {
+      this.logger.error(`Erreur lors de la récupération de la ressource '${resource.name}': ${error.message}`);
+      throw new McpError(ErrorCode.InternalError, error.message);
+    }
+  }
+
+  /**
+   * Retourne les prompts au format attendu par prompts/list
+   * @returns {Array<object>} Descriptions MCP des prompts
+   */
+  listPrompts() {
+    return Array.from(this.prompts.values()).map(prompt => ({
+      name: prompt.name,
+      description: prompt.description,
+      arguments: prompt.arguments
+    }));
+  }
+
+  /**
+   * Construit un prompt à partir de ses arguments
+   * @param {string} name - Nom du prompt
+   * @param {object} promptArgs - Arguments fournis par le client
+   * @returns {Promise<object>} Résultat au format GetPromptResult
+   */
+  async getPrompt(name, promptArgs = {}) {
+    if (!this.prompts.has(name)) {
+      throw new McpError(ErrorCode.InvalidParams, `Prompt '${name}' non trouvé`);
+    }
+    
+    const prompt = this.prompts.get(name);
+    const missing = prompt.arguments
+      .filter(arg => arg.required && !promptArgs[arg.name])
+      .map(arg => arg.name);
+    
+    if (missing.length > 0) {
+      throw new McpError(ErrorCode.InvalidParams, `Arguments manquants pour le prompt '${name}': ${missing.join(', ')}`);
+    }
+    
+    try {
+      const result = await prompt.handler(promptArgs);
+      if (typeof result === 'string') {
+        return {
+          description: prompt.description,
+          messages: [{ role: 'user', content: { type: 'text', text: result } }]
+        };
+      }
+      
+      return { description: prompt.description, ...result };
+    } catch (error) {
+      this.logger.error(`Erreur lors de la construction du prompt '${name}': ${error.message}`);
+      throw new McpError(ErrorCode.InternalError, error.message);
+    }
+  }
+
+  /**
+   * Prévient tous les clients connectés que les listes d'outils, de ressources
+   * et de prompts ont changé
+   */
+  notifyListChanged() {
+    this.servers.forEach(server => {
+      // Les sessions dont l'initialisation n'est pas terminée récupéreront la liste à jour
+      if (!server.isConnected() || !server.server.getClientCapabilities()) {
+        return;
+      }
+      
+      Promise.all([
+        server.server.sendToolListChanged(),
+        server.server.sendResourceListChanged(),
+        server.server.sendPromptListChanged()
+      ]).catch(error => {
+        this.logger.warn(`Impossible de notifier le changement des capacités: ${error.message}`);
+      });
+    });
+  }
+
+  /**
+   * Notifie les sessions abonnées qu'une ressource a changé
+   * Un abonnement est concerné s'il porte sur la même ressource et que ses paramètres
+   * de query string ne contredisent pas ceux de l'URI mise à jour
+   * (`analysis://recent?type=post` est notifié pour `analysis://recent?type=post`, pas pour `?type=image`)
+   * @param {string} uri - URI de la ressource mise à jour
+   * @param {string} sessionId - Limite la notification à une session MCP (optionnel)
+   */
+  notifyResourceUpdated(uri, sessionId = null) {
+    this.subscriptions.forEach((uris, server) => {
+      if (sessionId && (server.server.transport?.sessionId || 'stdio') !== sessionId) {
+        return;
+      }
+      
+      uris.forEach(subscribedUri => {
+        if (!uriMatchesSubscription(subscribedUri, uri)) {
+          return;
         }
         
-        const resource = this.resources.get(name);
-        try {
-          return await resource.handler(resourceParams);
-        } catch (error) {
-          this.logger.error(`Erreur lors de la récupération de la ressource '${name}': ${error.message}`);
-          throw error;
-        }
-      }
+        server.server.sendResourceUpdated({ uri: subscribedUri }).catch(error => {
+          this.logger.warn(`Impossible de notifier la mise à jour de '${subscribedUri}': ${error.message}`);
+        });
+      });
     });
-    
-    this.logger.info('Registre des capacités initialisé');
   }
 
   /**
@@ -356,6 +1432,8 @@ class CapabilityRegistry {
 
   /**
    * Enregistre une ressource dans le registre
+   * Une ressource est soit fixe (`uri`), soit paramétrée (`uriTemplate`, RFC 6570).
+   * Une URI `<agentId>://<nom>` est attribuée si la définition ne fournit ni l'une ni l'autre
    * @param {Object} resource - Définition de la ressource
    */
   registerResource(resource) {
@@ -363,7 +1441,15 @@ class CapabilityRegistry {
       throw new Error('Une ressource doit avoir un nom et un gestionnaire');
     }
     
-    this.resources.set(resource.name, resource);
+    const entry = { mimeType: 'application/json', ...resource };
+    if (resource.uriTemplate) {
+      // La partie query ({?a,b}) est gérée à part : ses paramètres sont tous optionnels
+      entry.pathTemplate = new UriTemplate(resource.uriTemplate.replace(/\{\?[^}]*\}$/, ''));
+    } else {
+      entry.uri = resource.uri || `${resource.agentId || 'agent'}://${resource.name}`;
+    }
+    
+    this.resources.set(resource.name, entry);
     this.logger.debug(`Ressource '${resource.name}' enregistrée`);
   }
 
@@ -377,6 +1463,150 @@ class CapabilityRegistry {
       this.logger.debug(`Ressource '${name}' désenregistrée`);
     }
   }
+
+  /**
+   * Enregistre un prompt dans le registre
+   * @param {Object} prompt - Définition du prompt
+   */
+  registerPrompt(prompt) {
+    if (!prompt.name || !prompt.handler) {
+      throw new Error('Un prompt doit avoir un nom et un gestionnaire');
+    }
+    
+    this.prompts.set(prompt.name, { arguments: [], ...prompt });
+    this.logger.debug(`Prompt '${prompt.name}' enregistré`);
+  }
+
+  /**
+   * Supprime un prompt du registre
+   * @param {string} name - Nom du prompt à supprimer
+   */
+  unregisterPrompt(name) {
+    if (this.prompts.has(name)) {
+      this.prompts.delete(name);
+      this.logger.debug(`Prompt '${name}' désenregistré`);
+    }
+  }
+}
+
+/**
+ * Répond à une requête HTTP par une erreur JSON-RPC
+ * @param {express.Response} res - Réponse Express
+ * @param {number} status - Code HTTP
+ * @param {string} message - Message d'erreur
+ * @param {number} code - Code d'erreur JSON-RPC
+ */
+function sendJsonRpcError(res, status, message, code = ErrorCode.InvalidRequest) {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null
+  });
+}
+
+/**
+ * Complète les informations d'une requête MCP avec celles du client connecté
+ * (capacités pour le sampling, identité pour le journal d'audit)
+ * @param {Server} lowLevelServer - Serveur MCP bas niveau ayant reçu la requête
+ * @param {object} extra - Informations de la requête MCP
+ * @returns {object} Informations complétées
+ */
+function withClientInfo(lowLevelServer, extra) {
+  const clientInfo = lowLevelServer.getClientVersion();
+  
+  return {
+    ...extra,
+    clientCapabilities: lowLevelServer.getClientCapabilities(),
+    caller: {
+      type: 'mcp',
+      id: clientInfo ? clientInfo.name : null,
+      version: clientInfo ? clientInfo.version : null
+    }
+  };
+}
+
+/**
+ * Lit une valeur à partir de son chemin (ex: `options.apiKey`, `mediaUrls[0]`)
+ * @param {object} data - Objet à parcourir
+ * @param {string} fieldPath - Chemin de la valeur
+ * @returns {any} Valeur, ou undefined si absente
+ */
+function getFieldValue(data, fieldPath) {
+  return fieldPath
+    .split(/\.|\[(\d+)\]/)
+    .filter(Boolean)
+    .reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+/**
+ * Fusionne récursivement des arguments de remplacement dans les arguments enregistrés
+ * @param {any} base - Arguments enregistrés
+ * @param {any} overrides - Arguments de remplacement
+ * @returns {any} Arguments fusionnés
+ */
+function mergeArguments(base, overrides) {
+  const isPlainObject = value => value && typeof value === 'object' && !Array.isArray(value);
+  
+  if (!isPlainObject(base) || !isPlainObject(overrides)) {
+    return overrides === undefined ? base : overrides;
+  }
+  
+  const merged = { ...base };
+  Object.entries(overrides).forEach(([key, value]) => {
+    merged[key] = mergeArguments(base[key], value);
+  });
+  
+  return merged;
+}
+
+/**
+ * Indique si une entrée de contexte a expiré
+ * @param {object} entry - Entrée de contexte
+ * @returns {boolean} true si la date d'expiration est dépassée
+ */
+function isExpired(entry) {
+  return Boolean(entry.expiresAt) && entry.expiresAt <= Date.now();
+}
+
+/**
+ * Complète une enveloppe de message inter-agents
+ * @param {object} message - Champs fournis par l'émetteur
+ * @returns {object} Enveloppe avec identifiant et horodatage
+ */
+function createEnvelope(message) {
+  return {
+    id: randomUUID(),
+    timestamp: new Date().toISOString(),
+    ...message
+  };
+}
+
+/**
+ * Indique si une mise à jour de ressource concerne un abonnement
+ * @param {string} subscribedUri - URI à laquelle le client s'est abonné
+ * @param {string} updatedUri - URI de la ressource mise à jour
+ * @returns {boolean} true si l'abonné doit être notifié
+ */
+function uriMatchesSubscription(subscribedUri, updatedUri) {
+  if (subscribedUri === updatedUri) {
+    return true;
+  }
+  
+  try {
+    const subscribed = new URL(subscribedUri);
+    const updated = new URL(updatedUri);
+    
+    if (`${subscribed.protocol}//${subscribed.host}${subscribed.pathname}` !==
+        `${updated.protocol}//${updated.host}${updated.pathname}`) {
+      return false;
+    }
+    
+    return Array.from(updated.searchParams.entries()).every(([key, value]) =>
+      !subscribed.searchParams.has(key) || subscribed.searchParams.get(key) === value
+    );
+  } catch (error) {
+    return false;
+  }
 }
 
 // Exporter une instance singleton du middleware
@@ -0,0 +1,668 @@
+/**
+ * Serveur XRPC simulé d'un PDS Bluesky (AT Protocol)
+ * Rejoue les données enregistrées dans fixtures/bluesky pour utiliser l'agent Bluesky hors ligne :
+ * sessions par mot de passe d'application (jetons d'accès de courte durée, renouvellement),
+ * résolution des handles, profils, fils des comptes (republications comprises, pagination par
+ * curseur), recherche de posts, envoi de blobs et écriture des posts, avec la validation des
+ * enregistrements (longueur en graphèmes et en octets, offsets des facettes, images) et les
+ * en-têtes ratelimit-* (budget global du compte, budget propre à la connexion).
+ * Les facettes des posts des fixtures sont calculées à partir de leur texte.
+ *
+ * Lancement autonome : `npm run mock:bluesky` (port BLUESKY_MOCK_PORT, 4015 par défaut),
+ * puis démarrer l'application avec BLUESKY_ENABLED=true, BLUESKY_SERVICE_URL=http://localhost:4015
+ * et les identifiants de MOCK_CREDENTIALS.
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { buildFacets, graphemeLength } from '../clients/bluesky-richtext.js';
+import loggerModule from '../utils/logger.js';
+
+const logger = loggerModule.createSubLogger('Bluesky-Mock');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const fixturesDir = path.join(__dirname, 'fixtures', 'bluesky');
+
+// Identifiants acceptés par le serveur simulé (compte fabriqueavelos.bsky.social)
+export const MOCK_CREDENTIALS = {
+  identifier: 'fabriqueavelos.bsky.social',
+  appPassword: 'mk4p-7xq2-bl5s-v9te'
+};
+
+const POST_COLLECTION = 'app.bsky.feed.post';
+const FEED_FILTERS = ['posts_with_replies', 'posts_no_replies', 'posts_with_media', 'posts_and_author_threads'];
+
+// Limites d'un post (lexique app.bsky.feed.post et app.bsky.embed.images)
+const MAX_GRAPHEMES = 300;
+const MAX_BYTES = 3000;
+const MAX_IMAGES = 4;
+const MAX_IMAGE_BYTES = 1000000;
+const MAX_BLOB_BYTES = 50 * 1024 * 1024;
+
+// Alphabet base32 des CID et des identifiants d'enregistrement (TID)
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+const TID_ALPHABET = '234567abcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Charge une fixture JSON
+ * @param {string} name - Nom du fichier, sans extension
+ * @returns {any} Contenu de la fixture
+ */
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(fixturesDir, `${name}.json`), 'utf8'));
+}
+
+/**
+ * Crée l'application Express du serveur simulé
+ * @param {object} options - Options
+ * @param {object} options.credentials - Identifiants acceptés (MOCK_CREDENTIALS par défaut)
+ * @param {number} options.callLimit - Appels autorisés par fenêtre de 5 minutes (budget global)
+ * @param {number} options.sessionLimit - Connexions autorisées par fenêtre de 5 minutes
+ * @param {number} options.accessTokenTtl - Durée de validité d'un jeton d'accès, en millisecondes (2 heures par défaut)
+ * @returns {Promise<express.Application>} Application
+ */
+export async function createBlueskyMockApp(options = {}) {
+  const { credentials = MOCK_CREDENTIALS, callLimit = 3000, sessionLimit = 30, accessTokenTtl = 2 * 60 * 60 * 1000 } = options;
+  const actors = loadFixture('actors');
+  const [ownActor] = actors;
+  const blobs = new Map();
+  const accessTokens = new Map();
+  const refreshTokens = new Set();
+  const rateLimits = {
+    global: { limit: callLimit, period: 5 * 60 * 1000, windows: new Map() },
+    session: { limit: sessionLimit, period: 5 * 60 * 1000, windows: new Map() }
+  };
+  let lastTid = 0;
+  const posts = await loadPosts();
+  const app = express();
+
+  // Limites de débit : fenêtres fixes, budget propre à la connexion
+  app.use('/xrpc', (req, res, next) => {
+    const bucket = req.path === '/com.atproto.server.createSession' ? rateLimits.session : rateLimits.global;
+    const start = Math.floor(Date.now() / bucket.period) * bucket.period;
+    const used = bucket.windows.get(start) || 0;
+
+    bucket.windows.clear();
+    bucket.windows.set(start, used + 1);
+    res.set({
+      'RateLimit-Limit': String(bucket.limit),
+      'RateLimit-Remaining': String(Math.max(bucket.limit - used - 1, 0)),
+      'RateLimit-Reset': String(Math.floor((start + bucket.period) / 1000)),
+      'RateLimit-Policy': `${bucket.limit};w=${bucket.period / 1000}`
+    });
+
+    if (used >= bucket.limit) {
+      return xrpcError(res, 429, 'RateLimitExceeded', 'Rate Limit Exceeded');
+    }
+
+    next();
+  });
+
+  app.post('/xrpc/com.atproto.server.createSession', express.json(), (req, res) => {
+    const { identifier = '', password } = req.body || {};
+    const normalized = identifier.toLowerCase();
+    const matches = [ownActor.handle, ownActor.email, ownActor.did].includes(normalized) ||
+      normalized === credentials.identifier.toLowerCase();
+
+    if (!matches || password !== credentials.appPassword) {
+      return xrpcError(res, 401, 'AuthenticationRequired', 'Invalid identifier or password');
+    }
+
+    res.json({ ...openSession(), email: ownActor.email, emailConfirmed: true, active: true });
+  });
+
+  app.post('/xrpc/com.atproto.server.refreshSession', (req, res) => {
+    const token = (req.get('authorization') || '').replace(/^Bearer /, '');
+
+    if (!refreshTokens.has(token)) {
+      return xrpcError(res, 400, 'ExpiredToken', 'Token has been revoked');
+    }
+
+    // Le jeton de rafraîchissement n'est utilisable qu'une fois
+    refreshTokens.delete(token);
+    res.json({ ...openSession(), active: true });
+  });
+
+  // Résolution des handles (publique)
+  app.get('/xrpc/com.atproto.identity.resolveHandle', (req, res) => {
+    const actor = findActor(req.query.handle || '');
+
+    if (!actor || actor.did === req.query.handle) {
+      return xrpcError(res, 400, 'InvalidRequest', 'Unable to resolve handle');
+    }
+
+    res.json({ did: actor.did });
+  });
+
+  // Authentification : jeton d'accès de la session en en-tête
+  app.use('/xrpc', (req, res, next) => {
+    const header = req.get('authorization');
+
+    if (!header || !header.startsWith('Bearer ')) {
+      return xrpcError(res, 401, 'AuthenticationRequired', 'Authentication Required');
+    }
+
+    const expiresAt = accessTokens.get(header.slice(7));
+    if (expiresAt === undefined) {
+      return xrpcError(res, 400, 'InvalidToken', 'Token could not be verified');
+    }
+    if (expiresAt <= Date.now()) {
+      return xrpcError(res, 400, 'ExpiredToken', 'Token has expired');
+    }
+
+    next();
+  });
+
+  app.get('/xrpc/app.bsky.actor.getProfile', (req, res) => {
+    const actor = findActor(req.query.actor || '');
+
+    if (!actor) {
+      return xrpcError(res, 400, 'InvalidRequest', 'Profile not found');
+    }
+
+    res.json({
+      ...formatActor(actor),
+      description: actor.description,
+      followersCount: actor.followersCount,
+      followsCount: actor.followsCount,
+      postsCount: actor.postsCount,
+      indexedAt: actor.createdAt
+    });
+  });
+
+  app.get('/xrpc/app.bsky.feed.getAuthorFeed', (req, res) => {
+    const actor = findActor(req.query.actor || '');
+    const filter = req.query.filter || 'posts_with_replies';
+    const limit = parseLimit(req.query.limit, 50);
+
+    if (!req.query.actor) {
+      return xrpcError(res, 400, 'InvalidRequest', 'Error: Params must have the property "actor"');
+    }
+    if (!actor) {
+      return xrpcError(res, 400, 'InvalidRequest', 'Profile not found');
+    }
+    if (!FEED_FILTERS.includes(filter)) {
+      return xrpcError(res, 400, 'InvalidRequest', `Error: Params/filter must be one of ${FEED_FILTERS.join(', ')}`);
+    }
+    if (limit === null) {
+      return xrpcError(res, 400, 'InvalidRequest', 'Error: Params/limit must be between 1 and 100');
+    }
+
+    // Posts du compte et republications, triés par date d'indexation ; le curseur est la date du dernier élément
+    const items = posts
+      .filter(post => post.author === actor && !post.deleted)
+      .filter(post => {
+        const original = post.repostOf ? findPost(post.repostOf) : post;
+        if (!original || original.deleted) {
+          return false;
+        }
+
+        const parent = original.record.reply && findPost(original.record.reply.parent.uri);
+        switch (filter) {
+          case 'posts_no_replies':
+            return post.repostOf || !original.record.reply;
+          case 'posts_with_media':
+            return !post.repostOf && Boolean(original.record.embed);
+          case 'posts_and_author_threads':
+            return post.repostOf || !original.record.reply || (parent && parent.author === actor);
+          default:
+            return true;
+        }
+      })
+      .filter(post => !req.query.cursor || post.indexedAt < req.query.cursor)
+      .sort((a, b) => b.indexedAt.localeCompare(a.indexedAt));
+    const page = items.slice(0, limit);
+
+    res.json({
+      feed: page.map(post => {
+        if (post.repostOf) {
+          return {
+            post: renderPost(findPost(post.repostOf)),
+            reason: { $type: 'app.bsky.feed.defs#reasonRepost', by: formatActor(post.author), indexedAt: post.indexedAt }
+          };
+        }
+
+        const parent = post.record.reply && findPost(post.record.reply.parent.uri);
+        return parent
+          ? { post: renderPost(post), reply: { root: renderPost(findPost(post.record.reply.root.uri) || parent), parent: renderPost(parent) } }
+          : { post: renderPost(post) };
+      }),
+      ...(items.length > limit ? { cursor: page[page.length - 1].indexedAt } : {})
+    });
+  });
+
+  app.get('/xrpc/app.bsky.feed.searchPosts', (req, res) => {
+    const { q, sort = 'latest', author, lang, since } = req.query;
+    const limit = parseLimit(req.query.limit, 25);
+    const offset = parseInt(req.query.cursor || '0', 10) || 0;
+
+    if (!q) {
+      return xrpcError(res, 400, 'InvalidRequest', 'Error: Params must have the property "q"');
+    }
+    if (!['latest', 'top'].includes(sort)) {
+      return xrpcError(res, 400, 'InvalidRequest', 'Error: Params/sort must be one of latest, top');
+    }
+    if (limit === null) {
+      return xrpcError(res, 400, 'InvalidRequest', 'Error: Params/limit must be between 1 and 100');
+    }
+
+    // Syntaxe de la recherche : mots (tous présents), #hashtag, from:handle
+    const terms = q.toLowerCase().split(/\s+/).filter(Boolean);
+    const authorFilter = [author, ...terms.filter(term => term.startsWith('from:')).map(term => term.slice(5))]
+      .filter(Boolean).map(findActor);
+    const matches = posts
+      .filter(post => !post.deleted && !post.repostOf)
+      .filter(post => authorFilter.every(actor => post.author === actor))
+      .filter(post => !lang || (post.record.langs || []).includes(lang))
+      .filter(post => !since || post.record.createdAt >= since)
+      .filter(post => terms.filter(term => !term.startsWith('from:')).every(term => (term.startsWith('#')
+        ? tagsOf(post).includes(term.slice(1))
+        : post.record.text.toLowerCase().includes(term))))
+      .sort((a, b) => (sort === 'top' ? b.likeCount - a.likeCount : 0) || b.indexedAt.localeCompare(a.indexedAt));
+    const page = matches.slice(offset, offset + limit);
+
+    res.json({
+      posts: page.map(renderPost),
+      hitsTotal: matches.length,
+      ...(offset + limit < matches.length ? { cursor: String(offset + limit) } : {})
+    });
+  });
+
+  app.post('/xrpc/com.atproto.repo.uploadBlob', express.raw({ type: () => true, limit: '60mb' }), (req, res) => {
+    const mimeType = (req.get('content-type') || '').split(';')[0].trim();
+    const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+    if (!mimeType || data.length === 0) {
+      return xrpcError(res, 400, 'InvalidRequest', 'Request encoding (Content-Type) required but not provided');
+    }
+    if (data.length > MAX_BLOB_BYTES) {
+      return xrpcError(res, 400, 'BlobTooLarge', `This file is too large. It is ${data.length} bytes but the maximum size is ${MAX_BLOB_BYTES} bytes.`);
+    }
+
+    const cid = computeCid('bafkrei', data);
+    blobs.set(cid, { mimeType, size: data.length });
+    res.json({ blob: { $type: 'blob', ref: { $link: cid }, mimeType, size: data.length } });
+  });
+
+  app.post('/xrpc/com.atproto.repo.createRecord', express.json({ limit: '1mb' }), (req, res) => {
+    const { repo, collection, record } = req.body || {};
+
+    if (![ownActor.did, ownActor.handle].includes(repo)) {
+      return xrpcError(res, 400, 'InvalidRequest', 'Input/repo must be the authenticated account');
+    }
+    if (collection !== POST_COLLECTION) {
+      return xrpcError(res, 400, 'InvalidRequest', `Collection non prise en charge par le serveur simulé: ${collection}`);
+    }
+
+    const invalid = validatePost(record);
+    if (invalid) {
+      return xrpcError(res, 400, 'InvalidRequest', `Invalid ${POST_COLLECTION} record: ${invalid}`);
+    }
+
+    const post = storePost(ownActor, nextTid(), record);
+    const parent = record.reply && findPost(record.reply.parent.uri);
+    if (parent) {
+      parent.replyCount += 1;
+    }
+
+    res.json({ uri: post.uri, cid: post.cid, commit: { cid: computeCid('bafyrei', post.uri), rev: nextTid() }, validationStatus: 'valid' });
+  });
+
+  app.post('/xrpc/com.atproto.repo.deleteRecord', express.json(), (req, res) => {
+    const { repo, collection, rkey } = req.body || {};
+
+    if (![ownActor.did, ownActor.handle].includes(repo)) {
+      return xrpcError(res, 400, 'InvalidRequest', 'Input/repo must be the authenticated account');
+    }
+
+    // La suppression d'un enregistrement absent réussit aussi
+    const post = findPost(`at://${ownActor.did}/${collection}/${rkey}`);
+    if (post) {
+      post.deleted = true;
+    }
+
+    res.json({ commit: { cid: computeCid('bafyrei', `${repo}/${rkey}`), rev: nextTid() } });
+  });
+
+  app.use((req, res) => {
+    xrpcError(res, 501, 'MethodNotImplemented', 'Method Not Implemented');
+  });
+
+  /**
+   * Ouvre une session : nouveaux jetons d'accès et de rafraîchissement
+   * @returns {object} did, handle, accessJwt, refreshJwt
+   */
+  function openSession() {
+    const accessJwt = `mock-access-${crypto.randomUUID()}`;
+    const refreshJwt = `mock-refresh-${crypto.randomUUID()}`;
+
+    accessTokens.set(accessJwt, Date.now() + accessTokenTtl);
+    refreshTokens.add(refreshJwt);
+
+    return { did: ownActor.did, handle: ownActor.handle, accessJwt, refreshJwt };
+  }
+
+  /**
+   * Construit les posts des fixtures : facettes calculées à partir du texte, images, réponses et republications
+   * @returns {Promise<Array<object>>} Posts enregistrés
+   */
+  async function loadPosts() {
+    const stored = [];
+    const resolve = async handle => {
+      const actor = findActor(handle);
+      if (!actor) {
+        throw new Error(`Handle inconnu: ${handle}`);
+      }
+      return actor.did;
+    };
+
+    for (const fixture of loadFixture('posts').reverse()) {
+      const author = findActor(fixture.author);
+
+      if (fixture.repostOf) {
+        const original = stored.find(post => post.uri && post.uri.endsWith(`/${fixture.repostOf}`));
+        stored.push({ author, repostOf: original.uri, indexedAt: fixture.indexedAt });
+        continue;
+      }
+
+      const parent = fixture.replyTo && stored.find(post => post.uri && post.uri.endsWith(`/${fixture.replyTo}`));
+      const facets = await buildFacets(fixture.text, resolve);
+      const record = {
+        $type: POST_COLLECTION,
+        text: fixture.text,
+        createdAt: fixture.createdAt,
+        langs: fixture.langs,
+        ...(facets.length > 0 ? { facets } : {}),
+        ...(parent ? { reply: { root: { uri: parent.uri, cid: parent.cid }, parent: { uri: parent.uri, cid: parent.cid } } } : {}),
+        ...(fixture.images ? {
+          embed: {
+            $type: 'app.bsky.embed.images',
+            images: fixture.images.map((image, index) => {
+              const cid = computeCid('bafkrei', `${fixture.rkey}-${index}`);
+              blobs.set(cid, { mimeType: image.mimeType, size: image.size });
+              return {
+                alt: image.alt,
+                image: { $type: 'blob', ref: { $link: cid }, mimeType: image.mimeType, size: image.size },
+                aspectRatio: image.aspectRatio
+              };
+            })
+          }
+        } : {})
+      };
+
+      stored.push({
+        ...storePostEntry(author, fixture.rkey, record),
+        replyCount: fixture.replyCount,
+        repostCount: fixture.repostCount,
+        likeCount: fixture.likeCount,
+        quoteCount: fixture.quoteCount,
+        indexedAt: fixture.createdAt
+      });
+    }
+
+    return stored;
+  }
+
+  /**
+   * Enregistre un nouveau post
+   * @param {object} author - Compte auteur
+   * @param {string} rkey - Clé de l'enregistrement
+   * @param {object} record - Enregistrement app.bsky.feed.post
+   * @returns {object} Post enregistré
+   */
+  function storePost(author, rkey, record) {
+    const post = { ...storePostEntry(author, rkey, record), replyCount: 0, repostCount: 0, likeCount: 0, quoteCount: 0, indexedAt: new Date().toISOString() };
+    posts.push(post);
+    return post;
+  }
+
+  /**
+   * Identité d'un post : adresse AT et CID de l'enregistrement
+   * @param {object} author - Compte auteur
+   * @param {string} rkey - Clé de l'enregistrement
+   * @param {object} record - Enregistrement
+   * @returns {object} author, uri, cid, record
+   */
+  function storePostEntry(author, rkey, record) {
+    return { author, uri: `at://${author.did}/${POST_COLLECTION}/${rkey}`, cid: computeCid('bafyrei', JSON.stringify(record)), record };
+  }
+
+  /**
+   * Vérifie un enregistrement de post selon le lexique app.bsky.feed.post
+   * @param {object} record - Enregistrement
+   * @returns {string|null} Erreur de validation, null si l'enregistrement est valide
+   */
+  function validatePost(record) {
+    if (!record || typeof record.text !== 'string') {
+      return 'Record must have the property "text"';
+    }
+    if (!record.createdAt || Number.isNaN(Date.parse(record.createdAt))) {
+      return 'Record/createdAt must be an valid atproto datetime';
+    }
+    if (graphemeLength(record.text) > MAX_GRAPHEMES) {
+      return `Record/text must not be longer than ${MAX_GRAPHEMES} graphemes`;
+    }
+
+    const bytes = Buffer.byteLength(record.text, 'utf8');
+    if (bytes > MAX_BYTES) {
+      return `Record/text must not be longer than ${MAX_BYTES} characters`;
+    }
+
+    for (const [index, facet] of (record.facets || []).entries()) {
+      const { byteStart, byteEnd } = facet.index || {};
+      if (!Number.isInteger(byteStart) || !Number.isInteger(byteEnd) || byteStart < 0 || byteEnd > bytes || byteStart >= byteEnd) {
+        return `Record/facets/${index}/index is out of range`;
+      }
+      if (!Array.isArray(facet.features) || facet.features.length === 0) {
+        return `Record/facets/${index}/features must not be empty`;
+      }
+
+      const unknownDid = facet.features.find(feature => feature.$type === 'app.bsky.richtext.facet#mention' &&
+        !actors.some(actor => actor.did === feature.did));
+      if (unknownDid) {
+        return `Record/facets/${index}/features/0/did is not a known account`;
+      }
+    }
+
+    if (!record.embed) {
+      return record.text.trim() ? null : 'Record/text must not be empty without embed';
+    }
+    if (record.embed.$type !== 'app.bsky.embed.images') {
+      return `Record/embed type non pris en charge par le serveur simulé: ${record.embed.$type}`;
+    }
+
+    const { images = [] } = record.embed;
+    if (images.length === 0 || images.length > MAX_IMAGES) {
+      return `Record/embed/images must contain between 1 and ${MAX_IMAGES} items`;
+    }
+
+    for (const [index, image] of images.entries()) {
+      const blob = image.image && image.image.ref && blobs.get(image.image.ref.$link);
+      if (typeof image.alt !== 'string') {
+        return `Record/embed/images/${index} must have the property "alt"`;
+      }
+      if (!blob) {
+        return `Could not find blob: ${image.image && image.image.ref ? image.image.ref.$link : 'inconnu'}`;
+      }
+      if (!blob.mimeType.startsWith('image/')) {
+        return `Record/embed/images/${index}/image mime type (${blob.mimeType}) does not match accepted types image/*`;
+      }
+      if (blob.size > MAX_IMAGE_BYTES) {
+        return `Record/embed/images/${index}/image file too large (${blob.size} bytes, maximum ${MAX_IMAGE_BYTES})`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Post tel que l'API le renvoie (app.bsky.feed.defs#postView)
+   * @param {object} post - Post enregistré
+   * @returns {object} Vue du post
+   */
+  function renderPost(post) {
+    const { embed } = post.record;
+
+    return {
+      uri: post.uri,
+      cid: post.cid,
+      author: formatActor(post.author),
+      record: post.record,
+      ...(embed ? {
+        embed: {
+          $type: 'app.bsky.embed.images#view',
+          images: embed.images.map(image => ({
+            thumb: `https://cdn.bsky.app/img/feed_thumbnail/plain/${post.author.did}/${image.image.ref.$link}@jpeg`,
+            fullsize: `https://cdn.bsky.app/img/feed_fullsize/plain/${post.author.did}/${image.image.ref.$link}@jpeg`,
+            alt: image.alt,
+            ...(image.aspectRatio ? { aspectRatio: image.aspectRatio } : {})
+          }))
+        }
+      } : {}),
+      replyCount: post.replyCount,
+      repostCount: post.repostCount,
+      likeCount: post.likeCount,
+      quoteCount: post.quoteCount,
+      indexedAt: post.indexedAt,
+      labels: []
+    };
+  }
+
+  /**
+   * Hashtags d'un post (facettes #tag), en minuscules
+   * @param {object} post - Post enregistré
+   * @returns {Array<string>} Hashtags
+   */
+  function tagsOf(post) {
+    return (post.record.facets || [])
+      .flatMap(facet => facet.features)
+      .filter(feature => feature.$type === 'app.bsky.richtext.facet#tag')
+      .map(feature => feature.tag.toLowerCase());
+  }
+
+  /**
+   * Cherche un compte par handle ou DID
+   * @param {string} actor - Handle (avec ou sans @) ou DID
+   * @returns {object|undefined} Compte
+   */
+  function findActor(actor) {
+    const normalized = actor.replace(/^@/, '').toLowerCase();
+    return actors.find(candidate => candidate.handle === normalized || candidate.did === normalized);
+  }
+
+  /**
+   * Cherche un post par son adresse AT
+   * @param {string} uri - Adresse AT
+   * @returns {object|undefined} Post enregistré
+   */
+  function findPost(uri) {
+    return posts.find(post => post.uri === uri);
+  }
+
+  /**
+   * Identifiant d'enregistrement (TID) : horodatage en microsecondes, croissant, en base32 triable
+   * @returns {string} TID de 13 caractères
+   */
+  function nextTid() {
+    const candidate = Date.now() * 1000;
+    lastTid = candidate > lastTid ? candidate : lastTid + 1;
+
+    let value = BigInt(lastTid) << 10n;
+    let tid = '';
+    for (let index = 0; index < 13; index++) {
+      tid = TID_ALPHABET[Number(value & 31n)] + tid;
+      value >>= 5n;
+    }
+    return tid;
+  }
+
+  return app;
+}
+
+/**
+ * Démarre le serveur simulé
+ * @param {object} options - Options de createBlueskyMockApp, plus port (0 : port libre)
+ * @returns {Promise<{url: string, close: Function}>} Adresse du serveur (à utiliser comme serviceUrl) et arrêt
+ */
+export async function startBlueskyMockServer(options = {}) {
+  const { port = 0, ...appOptions } = options;
+  const app = await createBlueskyMockApp(appOptions);
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      logger.info(`PDS Bluesky simulé sur ${url}`);
+      resolve({ url, close: () => new Promise(done => server.close(done)) });
+    });
+    server.on('error', reject);
+  });
+}
+
+/**
+ * Renvoie une erreur XRPC
+ * @param {express.Response} res - Réponse
+ * @param {number} status - Statut HTTP
+ * @param {string} error - Code de l'erreur (ex: InvalidRequest)
+ * @param {string} message - Message
+ */
+function xrpcError(res, status, error, message) {
+  res.status(status).json({ error, message });
+}
+
+/**
+ * Lit le paramètre limit d'une requête
+ * @param {string} value - Valeur reçue
+ * @param {number} defaultLimit - Valeur par défaut
+ * @returns {number|null} Limite, null si elle sort de l'intervalle 1-100
+ */
+function parseLimit(value, defaultLimit) {
+  const limit = value === undefined ? defaultLimit : parseInt(value, 10);
+  return limit >= 1 && limit <= 100 ? limit : null;
+}
+
+/**
+ * Profil résumé tel que l'API le renvoie (app.bsky.actor.defs#profileViewBasic)
+ * @param {object} actor - Compte des fixtures
+ * @returns {object} Profil
+ */
+function formatActor(actor) {
+  return {
+    did: actor.did,
+    handle: actor.handle,
+    displayName: actor.displayName,
+    avatar: actor.avatar,
+    createdAt: actor.createdAt,
+    labels: [],
+    ...(actor.verification ? { verification: actor.verification } : {})
+  };
+}
+
+/**
+ * CID simulé : empreinte SHA-256 du contenu en base32, avec le préfixe du type de contenu
+ * (bafkrei pour un blob, bafyrei pour un enregistrement)
+ * @param {string} prefix - Préfixe
+ * @param {Buffer|string} content - Contenu
+ * @returns {string} CID
+ */
+function computeCid(prefix, content) {
+  const digest = crypto.createHash('sha256').update(content).digest();
+  let bits = '';
+  for (const byte of digest) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  return prefix + (bits.match(/.{1,5}/g) || []).slice(0, 52).map(chunk => BASE32_ALPHABET[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+}
+
+// Lancement autonome
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startBlueskyMockServer({ port: parseInt(process.env.BLUESKY_MOCK_PORT || '4015', 10) })
+    .catch(error => {
+      logger.error(`Démarrage du serveur simulé impossible: ${error.message}`);
+      process.exit(1);
+    });
+}
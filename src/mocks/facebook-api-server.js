@@ -0,0 +1,530 @@
+/**
+ * Serveur simulé de l'API Graph pour les pages Facebook
+ * Rejoue les données enregistrées dans fixtures/facebook pour utiliser l'agent Facebook hors ligne :
+ * page, posts et commentaires (pagination par curseur), statistiques de la page et des posts,
+ * avec l'en-tête x-business-use-case-usage et la vérification du jeton de page
+ * (et d'appsecret_proof s'il est fourni).
+ * Les posts sont publiés immédiatement ou programmés (de 10 minutes à 30 jours à l'avance) ; un post
+ * programmé passe dans les posts publiés à son heure. Les commentaires peuvent être masqués
+ * ou supprimés ; app.locals.addComment() en ajoute un, comme le ferait un visiteur.
+ *
+ * Lancement autonome : `npm run mock:facebook` (port FACEBOOK_MOCK_PORT, 4013 par défaut),
+ * puis démarrer l'application avec FACEBOOK_ENABLED=true, FACEBOOK_API_BASE_URL=http://localhost:4013/v21.0
+ * et les identifiants de MOCK_CREDENTIALS.
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import loggerModule from '../utils/logger.js';
+
+const logger = loggerModule.createSubLogger('Facebook-Mock');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const fixturesDir = path.join(__dirname, 'fixtures', 'facebook');
+
+const API_VERSION = 'v21.0';
+
+// Identifiants acceptés par le serveur simulé
+export const MOCK_CREDENTIALS = {
+  accessToken: 'mock-facebook-page-access-token',
+  apiSecret: 'mock-facebook-app-secret',
+  pageId: '104729385610247'
+};
+
+// Fenêtre glissante des limites de débit de l'API Graph
+const RATE_LIMIT_WINDOW = 60 * 60 * 1000;
+
+// Délais de programmation acceptés par l'API, en secondes
+const MIN_SCHEDULE_DELAY = 10 * 60;
+const MAX_SCHEDULE_DELAY = 30 * 24 * 60 * 60;
+
+// Métriques acceptées pour la page et pour un post
+const PAGE_METRICS = ['page_impressions', 'page_impressions_unique', 'page_post_engagements', 'page_follows',
+  'page_views_total', 'page_daily_follows_unique'];
+const POST_METRICS = ['post_impressions', 'post_impressions_unique', 'post_clicks', 'post_reactions_by_type_total'];
+
+/**
+ * Charge une fixture JSON
+ * @param {string} name - Nom du fichier, sans extension
+ * @returns {any} Contenu de la fixture
+ */
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(fixturesDir, `${name}.json`), 'utf8'));
+}
+
+/**
+ * Crée l'application Express du serveur simulé
+ * @param {object} options - Options
+ * @param {object} options.credentials - Identifiants acceptés (MOCK_CREDENTIALS par défaut)
+ * @param {number} options.callLimit - Appels autorisés par fenêtre d'une heure
+ * @returns {express.Application} Application (app.locals.addComment(postId, { message, from }) ajoute un commentaire)
+ */
+export function createFacebookMockApp(options = {}) {
+  const { credentials = MOCK_CREDENTIALS, callLimit = 200 } = options;
+  const { insights: pageInsights, ...page } = loadFixture('page');
+  const posts = loadFixture('posts');
+  const comments = loadFixture('comments');
+  const postInsights = loadFixture('post-insights');
+  const scheduled = [];
+  const calls = [];
+  let nextId = 813000000000000n;
+  const app = express();
+  const api = express.Router();
+
+  app.locals.addComment = (postId, { message, from }) => {
+    const comment = {
+      id: `${postId.split('_').pop()}_${nextId++}`,
+      message,
+      from,
+      created_time: graphTime(new Date()),
+      like_count: 0,
+      comment_count: 0
+    };
+
+    comments[postId] = comments[postId] || [];
+    comments[postId].unshift(comment);
+    return comment.id;
+  };
+
+  // Authentification : jeton de page en en-tête (ou paramètre access_token) et appsecret_proof s'il est fourni
+  api.use((req, res, next) => {
+    const header = req.get('authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : req.query.access_token;
+
+    if (token !== credentials.accessToken) {
+      return res.status(400).json(graphError('Invalid OAuth access token - Cannot parse access token', 'OAuthException', 190));
+    }
+
+    if (req.query.appsecret_proof !== undefined) {
+      const expected = crypto.createHmac('sha256', credentials.apiSecret).update(token).digest('hex');
+      if (req.query.appsecret_proof !== expected) {
+        return res.status(400).json(graphError('Invalid appsecret_proof provided in the API argument', 'GraphMethodException', 100));
+      }
+    }
+
+    next();
+  });
+
+  // Limite de débit : pourcentage d'appels consommés sur l'heure glissante
+  api.use((req, res, next) => {
+    const now = Date.now();
+    while (calls.length > 0 && calls[0] <= now - RATE_LIMIT_WINDOW) {
+      calls.shift();
+    }
+
+    const blocked = calls.length >= callLimit;
+    const regainMinutes = blocked ? Math.ceil((calls[0] + RATE_LIMIT_WINDOW - now) / 60000) : 0;
+
+    if (!blocked) {
+      calls.push(now);
+    }
+
+    res.set('x-business-use-case-usage', JSON.stringify({
+      [page.id]: [{
+        type: 'pages',
+        call_count: Math.min(Math.round(calls.length / callLimit * 100), 100),
+        total_cputime: 1,
+        total_time: 1,
+        estimated_time_to_regain_access: regainMinutes
+      }]
+    }));
+
+    if (blocked) {
+      return res.status(400).json(graphError('(#32) Page request limit reached', 'OAuthException', 32));
+    }
+
+    next();
+  });
+
+  // Les posts programmés dont l'heure est passée sont publiés
+  api.use((req, res, next) => {
+    const now = Date.now() / 1000;
+
+    for (const post of scheduled.filter(candidate => candidate.scheduled_publish_time <= now)) {
+      scheduled.splice(scheduled.indexOf(post), 1);
+      const { scheduled_publish_time: publishTime, ...published } = post;
+      posts.unshift({ ...published, created_time: graphTime(new Date(publishTime * 1000)) });
+      postInsights[post.id] = emptyPostInsights();
+    }
+
+    next();
+  });
+
+  api.get('/:id/posts', (req, res) => {
+    if (req.params.id !== page.id) {
+      return res.status(400).json(unknownObject(req.params.id));
+    }
+
+    res.json(pageOf(req, posts.map(post => selectFields(withCommentSummary(post), req.query.fields))));
+  });
+
+  api.get('/:id/scheduled_posts', (req, res) => {
+    if (req.params.id !== page.id) {
+      return res.status(400).json(unknownObject(req.params.id));
+    }
+
+    const upcoming = [...scheduled].sort((a, b) => a.scheduled_publish_time - b.scheduled_publish_time);
+    res.json(pageOf(req, upcoming.map(post => selectFields(post, req.query.fields))));
+  });
+
+  api.get('/:id/comments', (req, res) => {
+    if (!posts.some(post => post.id === req.params.id)) {
+      return res.status(400).json(unknownObject(req.params.id));
+    }
+
+    const list = (comments[req.params.id] || []).filter(comment => !comment.removed).map(formatComment);
+    const ordered = req.query.order === 'reverse_chronological'
+      ? [...list].sort((a, b) => b.created_time.localeCompare(a.created_time))
+      : [...list].sort((a, b) => a.created_time.localeCompare(b.created_time));
+
+    res.json(pageOf(req, ordered.map(comment => selectFields(comment, req.query.fields))));
+  });
+
+  api.get('/:id/insights', (req, res) => {
+    const isPage = req.params.id === page.id;
+    const allowed = isPage ? PAGE_METRICS : POST_METRICS;
+    const period = isPage ? req.query.period || 'day' : 'lifetime';
+    const values = isPage ? pageInsights[period] : postInsights[req.params.id];
+    const metrics = (req.query.metric || '').split(',').filter(Boolean);
+
+    if (!isPage && !posts.some(post => post.id === req.params.id)) {
+      return res.status(400).json(unknownObject(req.params.id));
+    }
+    if (!values) {
+      return res.status(400).json(graphError(`(#100) The value must be a valid insights period: ${period}`, 'OAuthException', 100));
+    }
+
+    const invalid = metrics.find(metric => !allowed.includes(metric));
+    if (metrics.length === 0 || invalid) {
+      return res.status(400).json(graphError(`(#100) The value must be a valid insights metric: ${invalid || ''}`, 'OAuthException', 100));
+    }
+
+    res.json({
+      data: metrics.map(name => ({
+        name,
+        period,
+        values: [{ value: values[name] ?? 0, ...(isPage ? { end_time: graphTime(new Date()) } : {}) }],
+        title: name,
+        id: `${req.params.id}/insights/${name}/${period}`
+      }))
+    });
+  });
+
+  api.post('/:id/feed', express.json(), (req, res) => {
+    if (req.params.id !== page.id) {
+      return res.status(400).json(unknownObject(req.params.id));
+    }
+
+    const { message, link } = req.body || {};
+
+    if (!message && !link) {
+      return res.status(400).json(graphError('(#100) Missing message or attachment', 'OAuthException', 100));
+    }
+    if (link && !URL.canParse(link)) {
+      return res.status(400).json(graphError('(#100) The link is not a valid URL', 'OAuthException', 100));
+    }
+
+    const schedule = scheduling(req.body);
+    if (schedule.error) {
+      return res.status(400).json(schedule.error);
+    }
+
+    const id = `${page.id}_${nextId++}`;
+    const post = {
+      id,
+      message: message || '',
+      created_time: graphTime(new Date()),
+      permalink_url: `${page.link}/posts/${id.split('_').pop()}`,
+      status_type: link ? 'shared_story' : 'mobile_status_update',
+      reactions: { data: [], summary: { total_count: 0 } }
+    };
+
+    publishOrSchedule(post, schedule.time);
+    res.json({ id });
+  });
+
+  api.post('/:id/photos', express.json(), (req, res) => {
+    if (req.params.id !== page.id) {
+      return res.status(400).json(unknownObject(req.params.id));
+    }
+
+    const { url, caption = '' } = req.body || {};
+
+    if (!isImageUrl(url)) {
+      return res.status(400).json({
+        error: {
+          ...graphError('(#324) Missing or invalid image file', 'OAuthException', 324).error,
+          error_user_msg: 'The image could not be fetched from this URL. Only JPEG, PNG and GIF images reachable over HTTP(S) are accepted.'
+        }
+      });
+    }
+
+    const schedule = scheduling(req.body);
+    if (schedule.error) {
+      return res.status(400).json(schedule.error);
+    }
+
+    const photoId = String(nextId++);
+    const id = `${page.id}_${photoId}`;
+
+    publishOrSchedule({
+      id,
+      message: caption,
+      created_time: graphTime(new Date()),
+      permalink_url: `${page.link}/photos/${photoId}`,
+      full_picture: url,
+      status_type: 'added_photos',
+      reactions: { data: [], summary: { total_count: 0 } }
+    }, schedule.time);
+    res.json({ id: photoId, post_id: id });
+  });
+
+  // Objet seul : page, post (publié ou programmé) ou commentaire
+  api.get('/:id', (req, res) => {
+    const object = req.params.id === page.id
+      ? page
+      : posts.find(post => post.id === req.params.id) || scheduled.find(post => post.id === req.params.id) || findComment(req.params.id);
+
+    if (!object || object.removed) {
+      return res.status(400).json(unknownObject(req.params.id));
+    }
+
+    res.json(selectFields(object.from ? formatComment(object) : withCommentSummary(object), req.query.fields));
+  });
+
+  // Masquer ou réafficher un commentaire
+  api.post('/:id', express.json(), (req, res) => {
+    const comment = findComment(req.params.id);
+
+    if (!comment || comment.removed) {
+      return res.status(400).json(unknownObject(req.params.id));
+    }
+    if (typeof (req.body || {}).is_hidden !== 'boolean') {
+      return res.status(400).json(graphError('(#100) The parameter is_hidden is required', 'OAuthException', 100));
+    }
+    if (comment.from.id === page.id) {
+      return res.status(400).json(graphError('(#10) The page cannot hide its own comments', 'OAuthException', 10));
+    }
+
+    comment.is_hidden = req.body.is_hidden;
+    res.json({ success: true });
+  });
+
+  api.delete('/:id', (req, res) => {
+    const comment = findComment(req.params.id);
+
+    if (!comment || comment.removed) {
+      return res.status(400).json(unknownObject(req.params.id));
+    }
+
+    comment.removed = true;
+    res.json({ success: true });
+  });
+
+  app.use(`/${API_VERSION}`, api);
+
+  app.use((req, res) => {
+    res.status(404).json(graphError(`Unknown path components: ${req.path}`, 'OAuthException', 2500));
+  });
+
+  /**
+   * Cherche un commentaire dans tous les posts
+   * @param {string} id - Identifiant du commentaire
+   * @returns {object|undefined} Commentaire enregistré
+   */
+  function findComment(id) {
+    return Object.values(comments).flat().find(comment => comment.id === id);
+  }
+
+  /**
+   * Ajoute le nombre de commentaires visibles d'un post (comments.summary)
+   * @param {object} post - Post enregistré
+   * @returns {object} Post avec comments
+   */
+  function withCommentSummary(post) {
+    const total = (comments[post.id] || []).filter(comment => !comment.removed).length;
+    return { ...post, comments: { data: [], summary: { total_count: total, can_comment: true } } };
+  }
+
+  /**
+   * Champs d'un commentaire tels que l'API les renvoie à l'administrateur de la page
+   * @param {object} comment - Commentaire enregistré
+   * @returns {object} Commentaire
+   */
+  function formatComment(comment) {
+    const { removed, ...fields } = comment;
+    const own = comment.from.id === page.id;
+    return { ...fields, is_hidden: Boolean(comment.is_hidden), can_hide: !own, can_remove: true };
+  }
+
+  /**
+   * Publie un post, ou le met de côté jusqu'à son heure de publication
+   * @param {object} post - Post créé
+   * @param {number|null} time - Heure de publication programmée (secondes epoch)
+   */
+  function publishOrSchedule(post, time) {
+    if (time) {
+      scheduled.push({ ...post, scheduled_publish_time: time });
+    } else {
+      posts.unshift(post);
+      postInsights[post.id] = emptyPostInsights();
+    }
+  }
+
+  return app;
+}
+
+/**
+ * Démarre le serveur simulé
+ * @param {object} options - Options de createFacebookMockApp, plus port (0 : port libre)
+ * @returns {Promise<{url: string, baseUrl: string, addComment: Function, close: Function}>}
+ *   Adresses du serveur, ajout d'un commentaire et arrêt
+ */
+export function startFacebookMockServer(options = {}) {
+  const { port = 0, ...appOptions } = options;
+  const app = createFacebookMockApp(appOptions);
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      logger.info(`API Facebook simulée sur ${url}/${API_VERSION}`);
+      resolve({
+        url,
+        baseUrl: `${url}/${API_VERSION}`,
+        addComment: app.locals.addComment,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+/**
+ * Vérifie les paramètres de programmation d'un post (published, scheduled_publish_time)
+ * @param {object} body - Corps de la requête
+ * @returns {{time: number|null, error: object|null}} Heure de publication (secondes epoch) ou erreur
+ */
+function scheduling(body = {}) {
+  if (body.published !== false) {
+    return { time: null, error: null };
+  }
+
+  const time = Number(body.scheduled_publish_time);
+  const delay = time - Date.now() / 1000;
+
+  if (!Number.isFinite(time) || delay < MIN_SCHEDULE_DELAY || delay > MAX_SCHEDULE_DELAY) {
+    return {
+      time: null,
+      error: graphError('(#100) The specified scheduled publish time is invalid. It must be between 10 minutes and 30 days from the time of the API request.',
+        'OAuthException', 100)
+    };
+  }
+
+  return { time, error: null };
+}
+
+/**
+ * Statistiques d'un post qui vient d'être publié
+ * @returns {object} Valeur de chaque métrique
+ */
+function emptyPostInsights() {
+  return Object.fromEntries(POST_METRICS.map(metric => [metric, metric === 'post_reactions_by_type_total' ? {} : 0]));
+}
+
+/**
+ * Découpe une liste en pages avec des curseurs before/after, comme l'API Graph
+ * @param {express.Request} req - Requête (limit, after)
+ * @param {Array<object>} items - Éléments
+ * @returns {object} Page (data, paging)
+ */
+function pageOf(req, items) {
+  const limit = Math.min(parseInt(req.query.limit || '25', 10), 100);
+  const start = req.query.after ? parseInt(Buffer.from(req.query.after, 'base64url').toString(), 10) : 0;
+  const data = items.slice(start, start + limit);
+  const cursor = index => Buffer.from(String(index)).toString('base64url');
+  const hasNext = start + limit < items.length;
+
+  return {
+    data,
+    paging: {
+      ...(data.length > 0 ? { cursors: { before: cursor(start), after: cursor(start + data.length) } } : {}),
+      ...(hasNext ? { next: `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}?limit=${limit}&after=${cursor(start + data.length)}` } : {})
+    }
+  };
+}
+
+/**
+ * Ne garde que les champs demandés (premier niveau ; les sous-champs et modificateurs sont ignorés)
+ * @param {object} item - Objet enregistré
+ * @param {string} fields - Paramètre fields (ex: id,message,reactions.summary(total_count).limit(0))
+ * @returns {object} Objet restreint (id toujours renvoyé)
+ */
+function selectFields(item, fields) {
+  if (!fields) {
+    return { id: item.id };
+  }
+
+  const names = fields.replace(/\{[^}]*\}/g, '').split(',').map(name => name.trim().split('.')[0]).filter(Boolean);
+  return Object.fromEntries(Object.entries(item).filter(([key]) => key === 'id' || names.includes(key)));
+}
+
+/**
+ * Indique si une URL d'image est téléchargeable par l'API (http(s) et extension JPEG, PNG ou GIF)
+ * @param {string} url - URL
+ * @returns {boolean} true si l'URL est acceptée
+ */
+function isImageUrl(url) {
+  return URL.canParse(url) && /^https?:$/.test(new URL(url).protocol) && /\.(jpe?g|png|gif)$/i.test(new URL(url).pathname);
+}
+
+/**
+ * Date au format de l'API Graph (2026-10-18T08:30:00+0000)
+ * @param {Date} date - Date
+ * @returns {string} Date formatée
+ */
+function graphTime(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, '+0000');
+}
+
+/**
+ * Corps d'erreur de l'API Graph
+ * @param {string} message - Message
+ * @param {string} type - Type (OAuthException, GraphMethodException)
+ * @param {number} code - Code d'erreur
+ * @param {number} subcode - Sous-code, si pertinent
+ * @returns {object} Corps de la réponse
+ */
+function graphError(message, type, code, subcode) {
+  return {
+    error: {
+      message,
+      type,
+      code,
+      ...(subcode ? { error_subcode: subcode } : {}),
+      fbtrace_id: crypto.randomBytes(8).toString('base64url')
+    }
+  };
+}
+
+/**
+ * Erreur renvoyée pour un objet inconnu
+ * @param {string} id - Identifiant demandé
+ * @returns {object} Corps de la réponse
+ */
+function unknownObject(id) {
+  return graphError(`Unsupported request - method type: get. Object with ID '${id}' does not exist, cannot be loaded due to missing permissions, or does not support this operation`,
+    'GraphMethodException', 100, 33);
+}
+
+// Lancement autonome
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startFacebookMockServer({ port: parseInt(process.env.FACEBOOK_MOCK_PORT || '4013', 10) })
+    .catch(error => {
+      logger.error(`Démarrage du serveur simulé impossible: ${error.message}`);
+      process.exit(1);
+    });
+}
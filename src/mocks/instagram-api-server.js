@@ -0,0 +1,423 @@
+/**
+ * Serveur simulé de l'API Instagram Graph
+ * Rejoue les données enregistrées dans fixtures/instagram pour utiliser l'agent Instagram hors ligne :
+ * médias du compte professionnel et commentaires (pagination par curseur), statistiques des médias
+ * et du compte, avec l'en-tête x-business-use-case-usage et la vérification du jeton d'accès
+ * (et d'appsecret_proof s'il est fourni).
+ * La publication suit le flux des conteneurs : les images sont prêtes immédiatement, les vidéos
+ * (reels, éléments de carrousel) passent par IN_PROGRESS avant FINISHED. Les médias publiés et les
+ * réponses aux commentaires sont conservés en mémoire.
+ *
+ * Lancement autonome : `npm run mock:instagram` (port INSTAGRAM_MOCK_PORT, 4011 par défaut),
+ * puis démarrer l'application avec INSTAGRAM_ENABLED=true, INSTAGRAM_API_BASE_URL=http://localhost:4011/v21.0
+ * et les identifiants de MOCK_CREDENTIALS.
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import loggerModule from '../utils/logger.js';
+
+const logger = loggerModule.createSubLogger('Instagram-Mock');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const fixturesDir = path.join(__dirname, 'fixtures', 'instagram');
+
+const API_VERSION = 'v21.0';
+
+// Identifiants acceptés par le serveur simulé
+export const MOCK_CREDENTIALS = {
+  accessToken: 'mock-instagram-access-token',
+  apiSecret: 'mock-instagram-app-secret',
+  businessAccountId: '17841400000000001'
+};
+
+// Fenêtre glissante des limites de débit de l'API Graph
+const RATE_LIMIT_WINDOW = 60 * 60 * 1000;
+
+// Métriques acceptées pour un média et pour le compte
+const MEDIA_METRICS = ['reach', 'views', 'likes', 'comments', 'saved', 'shares', 'total_interactions', 'ig_reels_avg_watch_time'];
+const ACCOUNT_METRICS = ['reach', 'views', 'accounts_engaged', 'total_interactions', 'likes', 'comments', 'shares', 'saves',
+  'profile_links_taps', 'follows_and_unfollows'];
+
+/**
+ * Charge une fixture JSON
+ * @param {string} name - Nom du fichier, sans extension
+ * @returns {any} Contenu de la fixture
+ */
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(fixturesDir, `${name}.json`), 'utf8'));
+}
+
+/**
+ * Crée l'application Express du serveur simulé
+ * @param {object} options - Options
+ * @param {object} options.credentials - Identifiants acceptés (MOCK_CREDENTIALS par défaut)
+ * @param {number} options.callLimit - Appels autorisés par fenêtre d'une heure
+ * @param {number} options.processingChecks - Consultations d'un conteneur vidéo avant qu'il soit prêt
+ * @returns {express.Application} Application
+ */
+export function createInstagramMockApp(options = {}) {
+  const { credentials = MOCK_CREDENTIALS, callLimit = 200, processingChecks = 1 } = options;
+  const account = loadFixture('account');
+  const media = loadFixture('media');
+  const comments = loadFixture('comments');
+  const insights = loadFixture('insights');
+  const containers = new Map();
+  const calls = [];
+  let nextId = 17950000000000000n;
+  const app = express();
+  const api = express.Router();
+
+  // Authentification : jeton d'accès en en-tête (ou paramètre access_token) et appsecret_proof s'il est fourni
+  api.use((req, res, next) => {
+    const header = req.get('authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : req.query.access_token;
+
+    if (token !== credentials.accessToken) {
+      return res.status(400).json(graphError('Invalid OAuth access token - Cannot parse access token', 'OAuthException', 190));
+    }
+
+    if (req.query.appsecret_proof !== undefined) {
+      const expected = crypto.createHmac('sha256', credentials.apiSecret).update(token).digest('hex');
+      if (req.query.appsecret_proof !== expected) {
+        return res.status(400).json(graphError('Invalid appsecret_proof provided in the API argument', 'GraphMethodException', 100));
+      }
+    }
+
+    next();
+  });
+
+  // Limite de débit : pourcentage d'appels consommés sur l'heure glissante
+  api.use((req, res, next) => {
+    const now = Date.now();
+    while (calls.length > 0 && calls[0] <= now - RATE_LIMIT_WINDOW) {
+      calls.shift();
+    }
+
+    const blocked = calls.length >= callLimit;
+    const regainMinutes = blocked ? Math.ceil((calls[0] + RATE_LIMIT_WINDOW - now) / 60000) : 0;
+
+    if (!blocked) {
+      calls.push(now);
+    }
+
+    res.set('x-business-use-case-usage', JSON.stringify({
+      [account.id]: [{
+        type: 'instagram',
+        call_count: Math.min(Math.round(calls.length / callLimit * 100), 100),
+        total_cputime: 1,
+        total_time: 1,
+        estimated_time_to_regain_access: regainMinutes
+      }]
+    }));
+
+    if (blocked) {
+      return res.status(400).json(graphError('(#80002) There have been too many calls to this Instagram account. Wait a bit and try again.',
+        'OAuthException', 80002));
+    }
+
+    next();
+  });
+
+  api.get('/:id/media', (req, res) => {
+    if (req.params.id !== account.id) {
+      return res.status(400).json(unknownObject(req.params.id));
+    }
+
+    res.json(page(req, media.map(item => selectFields(item, req.query.fields))));
+  });
+
+  api.get('/:id/comments', (req, res) => {
+    if (!media.some(item => item.id === req.params.id)) {
+      return res.status(400).json(unknownObject(req.params.id));
+    }
+
+    res.json(page(req, comments[req.params.id] || []));
+  });
+
+  api.get('/:id/insights', (req, res) => {
+    const isAccount = req.params.id === account.id;
+    const values = isAccount ? account.insights : insights[req.params.id];
+    const allowed = isAccount ? ACCOUNT_METRICS : MEDIA_METRICS;
+    const metrics = (req.query.metric || '').split(',').filter(Boolean);
+
+    if (!values) {
+      return res.status(400).json(unknownObject(req.params.id));
+    }
+
+    const invalid = metrics.find(metric => !allowed.includes(metric));
+    if (metrics.length === 0 || invalid) {
+      return res.status(400).json(graphError(`(#100) metric[${Math.max(metrics.indexOf(invalid), 0)}] must be one of the following values: ${allowed.join(', ')}`,
+        'OAuthException', 100));
+    }
+
+    const period = isAccount ? req.query.period || 'day' : 'lifetime';
+    res.json({
+      data: metrics.map(name => ({
+        name,
+        period,
+        ...(isAccount ? { total_value: { value: values[name] ?? 0 } } : { values: [{ value: values[name] ?? 0 }] }),
+        title: name,
+        id: `${req.params.id}/insights/${name}/${period}`
+      }))
+    });
+  });
+
+  api.post('/:id/media', express.json(), (req, res) => {
+    if (req.params.id !== account.id) {
+      return res.status(400).json(unknownObject(req.params.id));
+    }
+
+    const { media_type: mediaType, image_url: imageUrl, video_url: videoUrl, caption = '', children, is_carousel_item: carouselItem } = req.body || {};
+
+    if (caption.length > 2200) {
+      return res.status(400).json(graphError('The caption is too long', 'OAuthException', 100, 2207015));
+    }
+
+    let kind;
+    if (mediaType === 'CAROUSEL') {
+      const items = (children || []).map(id => containers.get(String(id)));
+      if (items.length < 2 || items.length > 10 || items.some(item => !item || !item.carouselItem)) {
+        return res.status(400).json(graphError('(#100) The carousel must contain between 2 and 10 carousel item containers', 'OAuthException', 100, 2207035));
+      }
+      kind = 'carousel';
+    } else if (mediaType === 'REELS' || mediaType === 'VIDEO') {
+      if (!isMediaUrl(videoUrl, /\.(mp4|mov)$/i) || (mediaType === 'VIDEO' && !carouselItem)) {
+        return res.status(400).json(mediaDownloadError());
+      }
+      kind = 'video';
+    } else if (isMediaUrl(imageUrl, /\.jpe?g$/i)) {
+      kind = 'image';
+    } else {
+      return res.status(400).json(mediaDownloadError());
+    }
+
+    const id = String(nextId++);
+    containers.set(id, {
+      id,
+      kind,
+      carouselItem: Boolean(carouselItem),
+      payload: req.body,
+      checks: 0,
+      status: kind === 'video' ? 'IN_PROGRESS' : 'FINISHED'
+    });
+
+    res.json({ id });
+  });
+
+  api.post('/:id/media_publish', express.json(), (req, res) => {
+    const container = containers.get(String((req.body || {}).creation_id));
+
+    if (req.params.id !== account.id) {
+      return res.status(400).json(unknownObject(req.params.id));
+    }
+    if (!container || container.carouselItem) {
+      return res.status(400).json(graphError('Media ID is not available', 'OAuthException', 9007, 2207006));
+    }
+    if (container.status !== 'FINISHED') {
+      return res.status(400).json(graphError('The media is not ready for publishing, please wait for a moment', 'OAuthException', 9007, 2207027));
+    }
+
+    const id = String(nextId++);
+    const { payload } = container;
+    const children = container.kind === 'carousel'
+      ? payload.children.map(childId => containers.get(String(childId)))
+      : [];
+
+    media.unshift({
+      id,
+      caption: payload.caption || '',
+      media_type: { image: 'IMAGE', video: 'VIDEO', carousel: 'CAROUSEL_ALBUM' }[container.kind],
+      media_product_type: container.kind === 'video' ? 'REELS' : 'FEED',
+      media_url: payload.image_url || payload.video_url || (children[0] && (children[0].payload.image_url || children[0].payload.video_url)),
+      permalink: `https://www.instagram.com/${container.kind === 'video' ? 'reel' : 'p'}/${BigInt(id).toString(36)}/`,
+      timestamp: new Date().toISOString().replace('Z', '+0000').replace(/\.\d{3}/, ''),
+      like_count: 0,
+      comments_count: 0,
+      ...(children.length > 0 ? {
+        children: { data: children.map(child => ({ id: child.id, media_type: child.kind === 'video' ? 'VIDEO' : 'IMAGE', media_url: child.payload.image_url || child.payload.video_url })) }
+      } : {})
+    });
+    insights[id] = Object.fromEntries(MEDIA_METRICS.map(metric => [metric, 0]));
+    container.status = 'PUBLISHED';
+
+    res.json({ id });
+  });
+
+  api.post('/:id/replies', express.json(), (req, res) => {
+    const { message } = req.body || {};
+    const comment = Object.values(comments).flat().find(candidate => candidate.id === req.params.id);
+
+    if (!comment) {
+      return res.status(400).json(unknownObject(req.params.id));
+    }
+    if (!message) {
+      return res.status(400).json(graphError('(#100) The parameter message is required', 'OAuthException', 100));
+    }
+
+    const id = String(nextId++);
+    comment.replies = comment.replies || { data: [] };
+    comment.replies.data.push({ id, text: message, username: account.username, timestamp: new Date().toISOString() });
+
+    res.json({ id });
+  });
+
+  // Objet seul : état d'un conteneur ou média publié
+  api.get('/:id', (req, res) => {
+    const container = containers.get(req.params.id);
+
+    if (container) {
+      container.checks += 1;
+      if (container.status === 'IN_PROGRESS' && container.checks > processingChecks) {
+        container.status = 'FINISHED';
+      }
+
+      return res.json(selectFields({
+        id: container.id,
+        status_code: container.status,
+        status: container.status === 'IN_PROGRESS' ? 'In Progress' : 'Finished'
+      }, req.query.fields || 'id,status_code'));
+    }
+
+    const item = media.find(candidate => candidate.id === req.params.id);
+    if (!item) {
+      return res.status(400).json(unknownObject(req.params.id));
+    }
+
+    res.json(selectFields(item, req.query.fields));
+  });
+
+  app.use(`/${API_VERSION}`, api);
+
+  app.use((req, res) => {
+    res.status(404).json(graphError(`Unknown path components: ${req.path}`, 'OAuthException', 2500));
+  });
+
+  return app;
+}
+
+/**
+ * Démarre le serveur simulé
+ * @param {object} options - Options de createInstagramMockApp, plus port (0 : port libre)
+ * @returns {Promise<{url: string, baseUrl: string, close: Function}>} Adresses du serveur et arrêt
+ */
+export function startInstagramMockServer(options = {}) {
+  const { port = 0, ...appOptions } = options;
+  const app = createInstagramMockApp(appOptions);
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      logger.info(`API Instagram simulée sur ${url}/${API_VERSION}`);
+      resolve({
+        url,
+        baseUrl: `${url}/${API_VERSION}`,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+/**
+ * Découpe une liste en pages avec des curseurs before/after, comme l'API Graph
+ * @param {express.Request} req - Requête (limit, after)
+ * @param {Array<object>} items - Éléments
+ * @returns {object} Page (data, paging)
+ */
+function page(req, items) {
+  const limit = Math.min(parseInt(req.query.limit || '25', 10), 100);
+  const start = req.query.after ? parseInt(Buffer.from(req.query.after, 'base64url').toString(), 10) : 0;
+  const data = items.slice(start, start + limit);
+  const cursor = index => Buffer.from(String(index)).toString('base64url');
+  const hasNext = start + limit < items.length;
+
+  return {
+    data,
+    paging: {
+      ...(data.length > 0 ? { cursors: { before: cursor(start), after: cursor(start + data.length) } } : {}),
+      ...(hasNext ? { next: `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}?limit=${limit}&after=${cursor(start + data.length)}` } : {})
+    }
+  };
+}
+
+/**
+ * Ne garde que les champs demandés (premier niveau ; les sous-champs entre accolades sont ignorés)
+ * @param {object} item - Objet enregistré
+ * @param {string} fields - Paramètre fields (ex: id,caption,children{id,media_url})
+ * @returns {object} Objet restreint (id toujours renvoyé)
+ */
+function selectFields(item, fields) {
+  if (!fields) {
+    return { id: item.id };
+  }
+
+  const names = fields.replace(/\{[^}]*\}/g, '').split(',').map(name => name.trim()).filter(Boolean);
+  return Object.fromEntries(Object.entries(item).filter(([key]) => key === 'id' || names.includes(key)));
+}
+
+/**
+ * Indique si une URL de média est téléchargeable par l'API (http(s) et extension attendue)
+ * @param {string} url - URL
+ * @param {RegExp} extension - Extensions acceptées
+ * @returns {boolean} true si l'URL est acceptée
+ */
+function isMediaUrl(url, extension) {
+  return URL.canParse(url) && /^https?:$/.test(new URL(url).protocol) && extension.test(new URL(url).pathname);
+}
+
+/**
+ * Corps d'erreur de l'API Graph
+ * @param {string} message - Message
+ * @param {string} type - Type (OAuthException, GraphMethodException)
+ * @param {number} code - Code d'erreur
+ * @param {number} subcode - Sous-code, si pertinent
+ * @returns {object} Corps de la réponse
+ */
+function graphError(message, type, code, subcode) {
+  return {
+    error: {
+      message,
+      type,
+      code,
+      ...(subcode ? { error_subcode: subcode } : {}),
+      fbtrace_id: crypto.randomBytes(8).toString('base64url')
+    }
+  };
+}
+
+/**
+ * Erreur renvoyée pour un objet inconnu
+ * @param {string} id - Identifiant demandé
+ * @returns {object} Corps de la réponse
+ */
+function unknownObject(id) {
+  return graphError(`Unsupported request - method type: get. Object with ID '${id}' does not exist, cannot be loaded due to missing permissions, or does not support this operation`,
+    'GraphMethodException', 100, 33);
+}
+
+/**
+ * Erreur renvoyée pour un média que l'API ne peut pas télécharger (URL invalide, format non JPEG/MP4)
+ * @returns {object} Corps de la réponse
+ */
+function mediaDownloadError() {
+  return {
+    error: {
+      ...graphError('Media download has failed.', 'OAuthException', 9004, 2207052).error,
+      error_user_msg: 'The media could not be fetched from this URI. Only JPEG images and MP4/MOV videos reachable over HTTP(S) are accepted.'
+    }
+  };
+}
+
+// Lancement autonome
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startInstagramMockServer({ port: parseInt(process.env.INSTAGRAM_MOCK_PORT || '4011', 10) })
+    .catch(error => {
+      logger.error(`Démarrage du serveur simulé impossible: ${error.message}`);
+      process.exit(1);
+    });
+}
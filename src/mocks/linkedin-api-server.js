@@ -0,0 +1,518 @@
+/**
+ * Serveur simulé de l'API LinkedIn
+ * Rejoue les données enregistrées dans fixtures/linkedin pour utiliser l'agent LinkedIn hors ligne :
+ * page entreprise et nombre d'abonnés, posts de la page et commentaires (pagination start/count),
+ * statistiques des posts (listes Rest.li 2.0), avec vérification du jeton d'accès et de l'en-tête
+ * LinkedIn-Version, et limite quotidienne signalée par une réponse 429 sans en-têtes.
+ * Le serveur OAuth 2.0 (/oauth/v2) délivre des codes d'autorisation, des jetons d'accès à durée
+ * limitée et les renouvelle par jeton de rafraîchissement. La publication des posts (texte, image,
+ * article), l'upload des images et les commentaires sont conservés en mémoire.
+ *
+ * Lancement autonome : `npm run mock:linkedin` (port LINKEDIN_MOCK_PORT, 4012 par défaut),
+ * puis démarrer l'application avec LINKEDIN_ENABLED=true, LINKEDIN_API_BASE_URL=http://localhost:4012/rest,
+ * LINKEDIN_AUTH_BASE_URL=http://localhost:4012/oauth/v2 et les identifiants de MOCK_CREDENTIALS.
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import loggerModule from '../utils/logger.js';
+
+const logger = loggerModule.createSubLogger('LinkedIn-Mock');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const fixturesDir = path.join(__dirname, 'fixtures', 'linkedin');
+
+// Identifiants acceptés par le serveur simulé
+export const MOCK_CREDENTIALS = {
+  apiKey: 'mock-linkedin-client-id',
+  apiSecret: 'mock-linkedin-client-secret',
+  accessToken: 'mock-linkedin-access-token',
+  refreshToken: 'mock-linkedin-refresh-token',
+  organizationId: '10485760'
+};
+
+// Fenêtre de la limite quotidienne de l'API
+const RATE_LIMIT_WINDOW = 24 * 60 * 60 * 1000;
+
+// Durée de validité d'un jeton de rafraîchissement, en secondes
+const REFRESH_TOKEN_LIFETIME = 365 * 24 * 60 * 60;
+
+// Longueur maximale du texte d'un post et d'un commentaire
+const MAX_COMMENTARY_LENGTH = 3000;
+const MAX_COMMENT_LENGTH = 1250;
+
+// Signatures des formats d'image acceptés
+const IMAGE_SIGNATURES = [
+  Buffer.from([0xff, 0xd8, 0xff]),
+  Buffer.from([0x89, 0x50, 0x4e, 0x47]),
+  Buffer.from('GIF8')
+];
+
+/**
+ * Charge une fixture JSON
+ * @param {string} name - Nom du fichier, sans extension
+ * @returns {any} Contenu de la fixture
+ */
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(fixturesDir, `${name}.json`), 'utf8'));
+}
+
+/**
+ * Crée l'application Express du serveur simulé
+ * @param {object} options - Options
+ * @param {object} options.credentials - Identifiants acceptés (MOCK_CREDENTIALS par défaut)
+ * @param {number} options.tokenLifetime - Durée de validité d'un jeton d'accès, en secondes (60 jours par défaut)
+ * @param {number} options.callLimit - Appels autorisés par jour
+ * @param {number} options.processingChecks - Consultations d'une image envoyée avant qu'elle soit disponible
+ * @returns {express.Application} Application (app.locals.expireAccessTokens() fait expirer les jetons délivrés)
+ */
+export function createLinkedInMockApp(options = {}) {
+  const { credentials = MOCK_CREDENTIALS, tokenLifetime = 60 * 24 * 60 * 60, callLimit = 500, processingChecks = 1 } = options;
+  const organization = loadFixture('organization');
+  const organizationUrn = `urn:li:organization:${organization.id}`;
+  const posts = loadFixture('posts');
+  const comments = loadFixture('comments');
+  const statistics = loadFixture('statistics');
+  // Jetons d'accès délivrés (expiration en millisecondes), codes d'autorisation et images envoyées
+  const accessTokens = new Map([[credentials.accessToken, Date.now() + tokenLifetime * 1000]]);
+  const refreshTokens = new Set([credentials.refreshToken]);
+  const authorizationCodes = new Map();
+  const images = new Map();
+  const calls = [];
+  let nextId = 7390000000000000000n;
+  const app = express();
+  const api = express.Router();
+
+  /**
+   * Délivre un jeton d'accès
+   * @param {string} refreshToken - Jeton de rafraîchissement à renvoyer avec lui
+   * @returns {object} Corps de la réponse OAuth
+   */
+  const issueToken = (refreshToken) => {
+    const accessToken = crypto.randomBytes(24).toString('base64url');
+    accessTokens.set(accessToken, Date.now() + tokenLifetime * 1000);
+
+    return {
+      access_token: accessToken,
+      expires_in: tokenLifetime,
+      refresh_token: refreshToken,
+      refresh_token_expires_in: REFRESH_TOKEN_LIFETIME,
+      scope: 'r_organization_social,rw_organization_admin,w_organization_social'
+    };
+  };
+
+  app.locals.expireAccessTokens = () => {
+    for (const token of accessTokens.keys()) {
+      accessTokens.set(token, 0);
+    }
+  };
+
+  // Autorisation : l'administrateur accepte toujours, LinkedIn redirige vers l'application avec un code
+  app.get('/oauth/v2/authorization', (req, res) => {
+    const { client_id: clientId, redirect_uri: redirectUri, state, response_type: responseType } = req.query;
+
+    if (clientId !== credentials.apiKey || responseType !== 'code' || !redirectUri) {
+      return res.status(400).json(oauthError('invalid_request', 'The client_id, redirect_uri or response_type parameter is invalid'));
+    }
+
+    const code = crypto.randomBytes(16).toString('base64url');
+    authorizationCodes.set(code, redirectUri);
+
+    const location = new URL(redirectUri);
+    location.searchParams.set('code', code);
+    if (state) {
+      location.searchParams.set('state', state);
+    }
+    res.redirect(location.toString());
+  });
+
+  app.post('/oauth/v2/accessToken', express.urlencoded({ extended: false }), (req, res) => {
+    const { grant_type: grantType, client_id: clientId, client_secret: clientSecret } = req.body || {};
+
+    if (clientId !== credentials.apiKey || clientSecret !== credentials.apiSecret) {
+      return res.status(401).json(oauthError('invalid_client', 'Client authentication failed'));
+    }
+
+    if (grantType === 'authorization_code') {
+      const redirectUri = authorizationCodes.get(req.body.code);
+      authorizationCodes.delete(req.body.code);
+
+      if (!redirectUri || redirectUri !== req.body.redirect_uri) {
+        return res.status(400).json(oauthError('invalid_grant', 'The authorization code is invalid, expired or does not match the redirect_uri'));
+      }
+
+      const refreshToken = crypto.randomBytes(24).toString('base64url');
+      refreshTokens.add(refreshToken);
+      return res.json(issueToken(refreshToken));
+    }
+
+    if (grantType === 'refresh_token') {
+      if (!refreshTokens.has(req.body.refresh_token)) {
+        return res.status(400).json(oauthError('invalid_grant', 'The provided refresh token is invalid or has been revoked'));
+      }
+
+      return res.json(issueToken(req.body.refresh_token));
+    }
+
+    res.status(400).json(oauthError('unsupported_grant_type', `Grant type ${grantType} is not supported`));
+  });
+
+  /**
+   * Vérifie le jeton d'accès de l'en-tête Authorization
+   * @type {express.RequestHandler}
+   */
+  const authenticated = (req, res, next) => {
+    const header = req.get('authorization') || '';
+    const expiresAt = accessTokens.get(header.startsWith('Bearer ') ? header.slice('Bearer '.length) : '');
+
+    if (expiresAt === undefined) {
+      return res.status(401).json(apiError(401, 'Invalid access token', 'INVALID_ACCESS_TOKEN', 65600));
+    }
+    if (expiresAt <= Date.now()) {
+      return res.status(401).json(apiError(401, 'The token used in the request has expired', 'EXPIRED_ACCESS_TOKEN', 65601));
+    }
+
+    next();
+  };
+
+  // Upload des images : URL renvoyée par initializeUpload, hors de l'API versionnée
+  app.put('/mock-upload/images/:imageId', authenticated, express.raw({ type: () => true, limit: '40mb' }), (req, res) => {
+    const image = images.get(req.params.imageId);
+
+    if (!image || image.status !== 'WAITING_UPLOAD') {
+      return res.status(400).json(apiError(400, 'Upload URL is invalid or has already been used', 'INVALID_UPLOAD'));
+    }
+
+    const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    image.status = IMAGE_SIGNATURES.some(signature => data.subarray(0, signature.length).equals(signature)) ? 'PROCESSING' : 'PROCESSING_FAILED';
+    image.size = data.length;
+    res.status(201).end();
+  });
+
+  api.use(authenticated);
+
+  // En-tête de version obligatoire sur l'API versionnée
+  api.use((req, res, next) => {
+    if (!/^\d{6}(\.\d{2})?$/.test(req.get('linkedin-version') || '')) {
+      return res.status(400).json(apiError(400, 'A version must be present. Please specify a version by adding the LinkedIn-Version header.', 'VERSION_MISSING'));
+    }
+
+    next();
+  });
+
+  // Limite quotidienne de l'application : LinkedIn ne publie pas de budget, seulement des réponses 429
+  api.use((req, res, next) => {
+    const now = Date.now();
+    while (calls.length > 0 && calls[0] <= now - RATE_LIMIT_WINDOW) {
+      calls.shift();
+    }
+
+    if (calls.length >= callLimit) {
+      return res.status(429).json(apiError(429, 'Resource level throttle APPLICATION DAY limit for calls to this resource is reached.', 'TOO_MANY_REQUESTS'));
+    }
+
+    calls.push(now);
+    next();
+  });
+
+  api.get('/organizations/:id', (req, res) => {
+    if (req.params.id !== String(organization.id)) {
+      return res.status(404).json(notFound(`urn:li:organization:${req.params.id}`));
+    }
+
+    const { followerCount, statistics: totals, ...fields } = organization;
+    res.json(fields);
+  });
+
+  api.get('/networkSizes/:urn', (req, res) => {
+    if (req.params.urn !== organizationUrn || req.query.edgeType !== 'COMPANY_FOLLOWED_BY_MEMBER') {
+      return res.status(400).json(apiError(400, 'Invalid edgeType or organization', 'INVALID_PARAMS'));
+    }
+
+    res.json({ firstDegreeSize: organization.followerCount });
+  });
+
+  api.get('/posts', (req, res) => {
+    if (req.query.q !== 'author' || !req.query.author) {
+      return res.status(400).json(apiError(400, 'Finder "author" requires the author parameter', 'INVALID_PARAMS'));
+    }
+    if (req.query.author !== organizationUrn) {
+      return res.status(403).json(apiError(403, `Not enough permissions to access posts of ${req.query.author}`, 'ACCESS_DENIED', 100));
+    }
+
+    res.json(page(req, posts));
+  });
+
+  api.get('/posts/:urn', (req, res) => {
+    const post = posts.find(candidate => candidate.id === req.params.urn);
+    return post ? res.json(post) : res.status(404).json(notFound(req.params.urn));
+  });
+
+  api.post('/posts', express.json(), (req, res) => {
+    const { author, commentary = '', content, lifecycleState, visibility } = req.body || {};
+
+    if (author !== organizationUrn) {
+      return res.status(403).json(apiError(403, `Not enough permissions to post as ${author}`, 'ACCESS_DENIED', 100));
+    }
+    if (lifecycleState !== 'PUBLISHED' || !['PUBLIC', 'CONNECTIONS', 'LOGGED_IN'].includes(visibility)) {
+      return res.status(422).json(apiError(422, 'lifecycleState and visibility are required', 'UNPROCESSABLE_ENTITY'));
+    }
+    if (commentary.length > MAX_COMMENTARY_LENGTH) {
+      return res.status(422).json(apiError(422, `/commentary :: length ${commentary.length} exceeds ${MAX_COMMENTARY_LENGTH}`, 'UNPROCESSABLE_ENTITY'));
+    }
+
+    if (content && content.media) {
+      const image = images.get(String(content.media.id).replace('urn:li:image:', ''));
+      if (!image || image.status !== 'AVAILABLE') {
+        return res.status(400).json(apiError(400, `Media ${content.media.id} is not available`, 'MEDIA_ASSET_NOT_AVAILABLE'));
+      }
+    } else if (content && content.article) {
+      if (!URL.canParse(content.article.source || '') || !content.article.title) {
+        return res.status(422).json(apiError(422, '/content/article :: source must be a valid URL and title is required', 'UNPROCESSABLE_ENTITY'));
+      }
+    } else if (!commentary) {
+      return res.status(422).json(apiError(422, '/commentary :: a post without content requires a commentary', 'UNPROCESSABLE_ENTITY'));
+    }
+
+    const id = `urn:li:share:${nextId++}`;
+    const now = Date.now();
+    posts.unshift({ id, ...req.body, createdAt: now, publishedAt: now, lastModifiedAt: now });
+    logger.debug(`Post publié: ${id}`);
+
+    res.status(201).set('x-restli-id', id).end();
+  });
+
+  api.delete('/posts/:urn', (req, res) => {
+    const index = posts.findIndex(post => post.id === req.params.urn);
+
+    if (index === -1) {
+      return res.status(404).json(notFound(req.params.urn));
+    }
+
+    posts.splice(index, 1);
+    res.status(204).end();
+  });
+
+  api.post('/images', express.json(), (req, res) => {
+    const owner = req.body && req.body.initializeUploadRequest && req.body.initializeUploadRequest.owner;
+
+    if (req.query.action !== 'initializeUpload') {
+      return res.status(400).json(apiError(400, `Unknown action ${req.query.action}`, 'INVALID_PARAMS'));
+    }
+    if (owner !== organizationUrn) {
+      return res.status(403).json(apiError(403, `Not enough permissions to upload images for ${owner}`, 'ACCESS_DENIED', 100));
+    }
+
+    const imageId = `D4E10AQ${crypto.randomBytes(6).toString('hex')}`;
+    images.set(imageId, { status: 'WAITING_UPLOAD', checks: 0, size: 0 });
+
+    res.json({
+      value: {
+        uploadUrlExpiresAt: Date.now() + 60 * 60 * 1000,
+        uploadUrl: `${req.protocol}://${req.get('host')}/mock-upload/images/${imageId}`,
+        image: `urn:li:image:${imageId}`
+      }
+    });
+  });
+
+  api.get('/images/:urn', (req, res) => {
+    const image = images.get(req.params.urn.replace('urn:li:image:', ''));
+
+    if (!image) {
+      return res.status(404).json(notFound(req.params.urn));
+    }
+
+    if (image.status === 'PROCESSING') {
+      image.checks += 1;
+      if (image.checks > processingChecks) {
+        image.status = 'AVAILABLE';
+      }
+    }
+
+    res.json({
+      id: req.params.urn,
+      owner: organizationUrn,
+      status: image.status,
+      ...(image.status === 'AVAILABLE' ? { downloadUrl: `https://media.licdn.com/dms/image/${req.params.urn.split(':').pop()}` } : {})
+    });
+  });
+
+  api.get('/organizationalEntityShareStatistics', (req, res) => {
+    if (req.query.q !== 'organizationalEntity' || req.query.organizationalEntity !== organizationUrn) {
+      return res.status(403).json(apiError(403, 'Not enough permissions to access statistics of this organization', 'ACCESS_DENIED', 100));
+    }
+
+    const shares = parseList(req.query.shares);
+    const ugcPosts = parseList(req.query.ugcPosts);
+
+    if (shares === null || ugcPosts === null) {
+      return res.status(400).json(apiError(400, 'shares and ugcPosts must use the List(...) syntax', 'INVALID_PARAMS'));
+    }
+
+    // Sans liste de posts : cumul de la page
+    if (shares.length === 0 && ugcPosts.length === 0) {
+      return res.json({ elements: [{ organizationalEntity: organizationUrn, totalShareStatistics: organization.statistics }] });
+    }
+
+    const entries = [...shares.map(urn => ['share', urn]), ...ugcPosts.map(urn => ['ugcPost', urn])]
+      .filter(([, urn]) => posts.some(post => post.id === urn));
+
+    res.json({
+      elements: entries.map(([kind, urn]) => ({
+        organizationalEntity: organizationUrn,
+        [kind]: urn,
+        totalShareStatistics: statistics[urn] || {
+          impressionCount: 0, uniqueImpressionsCount: 0, clickCount: 0, likeCount: 0, commentCount: 0, shareCount: 0, engagement: 0
+        }
+      }))
+    });
+  });
+
+  api.get('/socialActions/:urn/comments', (req, res) => {
+    if (!posts.some(post => post.id === req.params.urn)) {
+      return res.status(404).json(notFound(req.params.urn));
+    }
+
+    res.json(page(req, comments[req.params.urn] || []));
+  });
+
+  api.post('/socialActions/:urn/comments', express.json(), (req, res) => {
+    const { actor, object, message } = req.body || {};
+    const text = (message && message.text) || '';
+
+    if (!posts.some(post => post.id === req.params.urn)) {
+      return res.status(404).json(notFound(req.params.urn));
+    }
+    if (actor !== organizationUrn) {
+      return res.status(403).json(apiError(403, `Not enough permissions to comment as ${actor}`, 'ACCESS_DENIED', 100));
+    }
+    if (object !== req.params.urn || !text || text.length > MAX_COMMENT_LENGTH) {
+      return res.status(422).json(apiError(422, `/message/text :: required, ${MAX_COMMENT_LENGTH} characters at most`, 'UNPROCESSABLE_ENTITY'));
+    }
+
+    const id = String(nextId++);
+    const now = Date.now();
+    const comment = {
+      id,
+      commentUrn: `urn:li:comment:(${req.params.urn},${id})`,
+      actor,
+      object,
+      message: { text },
+      created: { actor, time: now },
+      lastModified: { actor, time: now }
+    };
+    comments[req.params.urn] = [...(comments[req.params.urn] || []), comment];
+
+    res.status(201).set('x-restli-id', id).json(comment);
+  });
+
+  app.use('/rest', api);
+
+  // Route inconnue : même format d'erreur que l'API
+  app.use((req, res) => {
+    res.status(404).json(apiError(404, `No virtual resource found for ${req.method} ${req.path}`, 'NOT_FOUND'));
+  });
+
+  return app;
+}
+
+/**
+ * Démarre le serveur simulé
+ * @param {object} options - Options de createLinkedInMockApp, plus port (0 : port libre)
+ * @returns {Promise<{url: string, baseUrl: string, authBaseUrl: string, expireAccessTokens: Function, close: Function}>}
+ *   Adresses du serveur, expiration des jetons délivrés et arrêt
+ */
+export function startLinkedInMockServer(options = {}) {
+  const { port = 0, ...appOptions } = options;
+  const app = createLinkedInMockApp(appOptions);
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      logger.info(`API LinkedIn simulée sur ${url}/rest`);
+      resolve({
+        url,
+        baseUrl: `${url}/rest`,
+        authBaseUrl: `${url}/oauth/v2`,
+        expireAccessTokens: app.locals.expireAccessTokens,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+/**
+ * Découpe une liste en pages start/count, comme l'API Rest.li
+ * @param {express.Request} req - Requête (start, count)
+ * @param {Array<object>} items - Éléments
+ * @returns {object} Page (elements, paging)
+ */
+function page(req, items) {
+  const count = Math.min(parseInt(req.query.count || '10', 10), 100);
+  const start = parseInt(req.query.start || '0', 10);
+  const elements = items.slice(start, start + count);
+  const links = start + count < items.length
+    ? [{ rel: 'next', type: 'application/json', href: `${req.baseUrl}${req.path}?start=${start + count}&count=${count}` }]
+    : [];
+
+  return { paging: { start, count, total: items.length, links }, elements };
+}
+
+/**
+ * Lit une liste Rest.li 2.0 (List(urn1,urn2)) après décodage de la query string
+ * @param {string} value - Valeur du paramètre
+ * @returns {Array<string>|null} Éléments (vide si absent), null si la syntaxe est invalide
+ */
+function parseList(value) {
+  if (value === undefined) {
+    return [];
+  }
+
+  const match = typeof value === 'string' && value.match(/^List\((.*)\)$/);
+  return match ? match[1].split(',').filter(Boolean) : null;
+}
+
+/**
+ * Corps d'erreur de l'API LinkedIn
+ * @param {number} status - Statut HTTP
+ * @param {string} message - Message
+ * @param {string} code - Code (ex: ACCESS_DENIED)
+ * @param {number} serviceErrorCode - Code du service, si pertinent
+ * @returns {object} Corps de la réponse
+ */
+function apiError(status, message, code, serviceErrorCode) {
+  return { status, ...(serviceErrorCode ? { serviceErrorCode } : {}), code, message };
+}
+
+/**
+ * Erreur renvoyée pour une entité inconnue
+ * @param {string} urn - URN demandée
+ * @returns {object} Corps de la réponse
+ */
+function notFound(urn) {
+  return apiError(404, `Not Found: ${urn}`, 'NOT_FOUND');
+}
+
+/**
+ * Corps d'erreur du serveur OAuth
+ * @param {string} error - Code (ex: invalid_grant)
+ * @param {string} description - Description
+ * @returns {object} Corps de la réponse
+ */
+function oauthError(error, description) {
+  return { error, error_description: description };
+}
+
+// Lancement autonome
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startLinkedInMockServer({ port: parseInt(process.env.LINKEDIN_MOCK_PORT || '4012', 10) })
+    .catch(error => {
+      logger.error(`Démarrage du serveur simulé impossible: ${error.message}`);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,699 @@
+/**
+ * Serveur simulé de l'API Mastodon
+ * Rejoue les données enregistrées dans fixtures/mastodon pour utiliser l'agent Mastodon hors ligne :
+ * comptes, statuts (contenu HTML généré comme par une instance : mentions, hashtags, liens),
+ * recherche, fils de hashtags et notifications, avec la pagination par identifiant (en-tête Link),
+ * les en-têtes x-ratelimit-* (budget global du compte, budgets de l'upload des médias et de la
+ * suppression des statuts) et la vérification du jeton.
+ * Les statuts publiés tiennent compte de la clé d'idempotence ; les images sont traitées
+ * immédiatement, les GIF, vidéos et sons de façon asynchrone. app.locals.addStatus() publie un
+ * statut au nom d'un autre compte, comme le ferait un utilisateur de l'instance.
+ *
+ * Lancement autonome : `npm run mock:mastodon` (port MASTODON_MOCK_PORT, 4014 par défaut),
+ * puis démarrer l'application avec MASTODON_ENABLED=true, MASTODON_INSTANCE_URL=http://localhost:4014
+ * et le jeton de MOCK_CREDENTIALS.
+ */
+
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import loggerModule from '../utils/logger.js';
+
+const logger = loggerModule.createSubLogger('Mastodon-Mock');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const fixturesDir = path.join(__dirname, 'fixtures', 'mastodon');
+
+// Domaine de l'instance simulée (adresses des comptes locaux et URL publiques)
+const MOCK_DOMAIN = 'mastodon.example';
+
+// Identifiants acceptés par le serveur simulé (jeton du compte @fabriqueavelos)
+export const MOCK_CREDENTIALS = {
+  accessToken: 'mock-mastodon-access-token'
+};
+
+const VISIBILITIES = ['public', 'unlisted', 'private', 'direct'];
+const NOTIFICATION_TYPES = ['mention', 'status', 'reblog', 'follow', 'follow_request', 'favourite', 'poll', 'update'];
+
+// Types de médias acceptés, type d'attachement et taille maximale
+const MEDIA_TYPES = {
+  'image/jpeg': { type: 'image', maxBytes: 16 * 1024 * 1024 },
+  'image/png': { type: 'image', maxBytes: 16 * 1024 * 1024 },
+  'image/webp': { type: 'image', maxBytes: 16 * 1024 * 1024 },
+  'image/gif': { type: 'gifv', maxBytes: 16 * 1024 * 1024 },
+  'video/mp4': { type: 'video', maxBytes: 99 * 1024 * 1024 },
+  'video/webm': { type: 'video', maxBytes: 99 * 1024 * 1024 },
+  'audio/mpeg': { type: 'audio', maxBytes: 99 * 1024 * 1024 }
+};
+
+// Durée du traitement asynchrone des GIF, vidéos et sons
+const PROCESSING_DELAY = 500;
+
+// Longueur comptée pour une URL, quelle que soit sa longueur réelle
+const URL_LENGTH = 23;
+const URL_PATTERN = /https?:\/\/[^\s<]*[^\s<.,!?;:)]/g;
+
+/**
+ * Charge une fixture JSON
+ * @param {string} name - Nom du fichier, sans extension
+ * @returns {any} Contenu de la fixture
+ */
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(fixturesDir, `${name}.json`), 'utf8'));
+}
+
+/**
+ * Crée l'application Express du serveur simulé
+ * @param {object} options - Options
+ * @param {object} options.credentials - Identifiants acceptés (MOCK_CREDENTIALS par défaut)
+ * @param {number} options.callLimit - Appels autorisés par fenêtre de 5 minutes (budget global)
+ * @param {number} options.mediaLimit - Uploads de médias autorisés par fenêtre de 30 minutes
+ * @param {number} options.deleteLimit - Suppressions de statuts autorisées par fenêtre de 30 minutes
+ * @param {number} options.maxCharacters - Longueur maximale d'un statut
+ * @returns {express.Application} Application (app.locals.addStatus({ acct, text, visibility, spoilerText, inReplyToId })
+ *   publie un statut au nom d'un compte des fixtures)
+ */
+export function createMastodonMockApp(options = {}) {
+  const { credentials = MOCK_CREDENTIALS, callLimit = 300, mediaLimit = 30, deleteLimit = 30, maxCharacters = 500 } = options;
+  const accounts = new Map(loadFixture('accounts').map(account => [account.id, account]));
+  const statuses = loadFixture('statuses');
+  const notifications = loadFixture('notifications');
+  const [ownAccount] = accounts.values();
+  const media = new Map();
+  const idempotencyKeys = new Map();
+  const rateLimits = {
+    global: { limit: callLimit, period: 5 * 60 * 1000, windows: new Map() },
+    media: { limit: mediaLimit, period: 30 * 60 * 1000, windows: new Map() },
+    delete: { limit: deleteLimit, period: 30 * 60 * 1000, windows: new Map() }
+  };
+  let lastId = 0n;
+  const app = express();
+
+  app.locals.addStatus = ({ acct, text, visibility = 'public', spoilerText = '', inReplyToId = null }) => {
+    const account = findAccount(acct);
+    if (!account) {
+      throw new Error(`Compte inconnu: ${acct}`);
+    }
+
+    return createStatus(account, { text, visibility, spoiler_text: spoilerText, in_reply_to_id: inReplyToId }).id;
+  };
+
+  // Description de l'instance (publique)
+  app.get('/api/v2/instance', (req, res) => {
+    res.json({
+      domain: MOCK_DOMAIN,
+      title: 'Mastodon simulé',
+      version: '4.3.0',
+      source_url: 'https://github.com/mastodon/mastodon',
+      languages: ['fr', 'en'],
+      configuration: {
+        statuses: { max_characters: maxCharacters, max_media_attachments: 4, characters_reserved_per_url: URL_LENGTH },
+        media_attachments: {
+          supported_mime_types: Object.keys(MEDIA_TYPES),
+          image_size_limit: 16 * 1024 * 1024,
+          video_size_limit: 99 * 1024 * 1024,
+          description_limit: 1500
+        }
+      }
+    });
+  });
+
+  // Authentification : jeton de l'application en en-tête
+  app.use('/api', (req, res, next) => {
+    if (req.get('authorization') !== `Bearer ${credentials.accessToken}`) {
+      return res.status(401).json({ error: 'The access token is invalid' });
+    }
+
+    next();
+  });
+
+  // Limites de débit : fenêtres fixes, budget propre à l'upload des médias et à la suppression des statuts
+  app.use('/api', (req, res, next) => {
+    const bucket = req.method === 'POST' && req.path === '/v2/media'
+      ? rateLimits.media
+      : req.method === 'DELETE' && /^\/v1\/statuses\/[^/]+$/.test(req.path) ? rateLimits.delete : rateLimits.global;
+    const start = Math.floor(Date.now() / bucket.period) * bucket.period;
+    const used = bucket.windows.get(start) || 0;
+    const remaining = Math.max(bucket.limit - used - 1, 0);
+
+    bucket.windows.clear();
+    bucket.windows.set(start, used + 1);
+    res.set({
+      'X-RateLimit-Limit': String(bucket.limit),
+      'X-RateLimit-Remaining': String(remaining),
+      'X-RateLimit-Reset': new Date(start + bucket.period).toISOString()
+    });
+
+    if (used >= bucket.limit) {
+      return res.status(429).json({ error: 'Too many requests' });
+    }
+
+    next();
+  });
+
+  app.get('/api/v1/accounts/verify_credentials', (req, res) => {
+    res.json({
+      ...formatAccount(ownAccount),
+      source: { privacy: 'public', sensitive: false, language: 'fr', note: '', fields: [] }
+    });
+  });
+
+  app.get('/api/v1/accounts/lookup', (req, res) => {
+    const account = findAccount(req.query.acct || '');
+
+    if (!account) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+
+    res.json(formatAccount(account));
+  });
+
+  app.get('/api/v1/accounts/:id/statuses', (req, res) => {
+    const account = accounts.get(req.params.id);
+
+    if (!account) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+
+    // Les statuts réservés aux abonnés ne sont visibles que de leur auteur
+    const allowed = account === ownAccount ? VISIBILITIES : ['public', 'unlisted'];
+    const list = statuses.filter(status => status.account === account.id && !status.deleted && allowed.includes(status.visibility) &&
+      !(req.query.exclude_replies === 'true' && status.in_reply_to_id) &&
+      !(req.query.exclude_reblogs === 'true' && status.reblog));
+
+    sendPage(req, res, list, 20, 40, renderStatus);
+  });
+
+  app.get('/api/v1/timelines/tag/:hashtag', (req, res) => {
+    const hashtag = req.params.hashtag.toLowerCase();
+    const list = statuses.filter(status => isPublic(status) && !status.reblog &&
+      tagsOf(status.text).some(tag => tag.toLowerCase() === hashtag));
+
+    sendPage(req, res, list, 20, 40, renderStatus);
+  });
+
+  app.get('/api/v1/notifications', (req, res) => {
+    const types = [].concat(req.query['types[]'] || []);
+    const excluded = [].concat(req.query['exclude_types[]'] || []);
+    const unknown = [...types, ...excluded].find(type => !NOTIFICATION_TYPES.includes(type));
+
+    if (unknown) {
+      return res.status(422).json({ error: `Validation failed: unknown notification type ${unknown}` });
+    }
+
+    const list = notifications.filter(notification => (types.length === 0 || types.includes(notification.type)) &&
+      !excluded.includes(notification.type) &&
+      (!notification.status || !findStatus(notification.status).deleted));
+
+    sendPage(req, res, list, 40, 80, notification => ({
+      id: notification.id,
+      type: notification.type,
+      created_at: notification.created_at,
+      account: formatAccount(accounts.get(notification.account)),
+      status: notification.status ? renderStatus(findStatus(notification.status)) : null
+    }));
+  });
+
+  app.get('/api/v2/search', (req, res) => {
+    const query = (req.query.q || '').trim().toLowerCase();
+    const { type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit || '20', 10), 40);
+    const offset = parseInt(req.query.offset || '0', 10);
+    const wanted = kind => query && (!type || type === kind);
+
+    if (type && !['accounts', 'statuses', 'hashtags'].includes(type)) {
+      return res.status(400).json({ error: 'Invalid type' });
+    }
+
+    const found = {
+      accounts: wanted('accounts')
+        ? [...accounts.values()].filter(account => account.acct.toLowerCase().includes(query.replace(/^@/, '')) ||
+          account.display_name.toLowerCase().includes(query)).map(formatAccount)
+        : [],
+      statuses: wanted('statuses')
+        ? statuses.filter(status => (isPublic(status) || status.account === ownAccount.id) && !status.deleted && !status.reblog &&
+          `${status.spoiler_text || ''} ${status.text}`.toLowerCase().includes(query)).map(renderStatus)
+        : [],
+      hashtags: wanted('hashtags') ? searchTags(query.replace(/^#/, '')) : []
+    };
+
+    res.json(Object.fromEntries(Object.entries(found).map(([kind, items]) => [kind, items.slice(offset, offset + limit)])));
+  });
+
+  app.get('/api/v1/statuses/:id', (req, res) => {
+    const status = findStatus(req.params.id);
+
+    if (!status || status.deleted) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+
+    res.json(renderStatus(status));
+  });
+
+  app.post('/api/v1/statuses', express.json(), (req, res) => {
+    const key = req.get('idempotency-key');
+    if (key && idempotencyKeys.has(key)) {
+      return res.json(renderStatus(findStatus(idempotencyKeys.get(key))));
+    }
+
+    const { status: text = '', media_ids: mediaIds = [], spoiler_text: spoilerText = '', sensitive = false,
+      visibility = 'public', in_reply_to_id: inReplyToId = null, language = null } = req.body || {};
+
+    if (!text.trim() && mediaIds.length === 0) {
+      return res.status(422).json({ error: 'Validation failed: Text can\'t be blank' });
+    }
+    if (!VISIBILITIES.includes(visibility)) {
+      return res.status(422).json({ error: 'Validation failed: Visibility is not included in the list' });
+    }
+    if (statusLength(text) + [...spoilerText].length > maxCharacters) {
+      return res.status(422).json({ error: `Validation failed: Text character limit of ${maxCharacters} exceeded` });
+    }
+    if (mediaIds.length > 4) {
+      return res.status(422).json({ error: 'Validation failed: You cannot attach more than 4 files' });
+    }
+
+    const attachments = mediaIds.map(id => media.get(String(id)));
+    if (attachments.some(attachment => !attachment || attachment.statusId)) {
+      return res.status(422).json({ error: 'Validation failed: Media attachments are invalid or already attached' });
+    }
+    if (attachments.some(attachment => attachment.readyAt > Date.now())) {
+      return res.status(422).json({ error: 'Cannot attach files that have not finished processing. Try again in a moment!' });
+    }
+    if (inReplyToId && !(findStatus(inReplyToId) && !findStatus(inReplyToId).deleted)) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+
+    const status = createStatus(ownAccount, {
+      text,
+      visibility,
+      spoiler_text: spoilerText,
+      sensitive: Boolean(sensitive) || attachments.length > 0 && Boolean(spoilerText),
+      in_reply_to_id: inReplyToId,
+      language,
+      media_attachments: attachments.map(attachment => attachment.entity)
+    });
+    attachments.forEach(attachment => {
+      attachment.statusId = status.id;
+    });
+
+    if (key) {
+      idempotencyKeys.set(key, status.id);
+    }
+
+    res.json(renderStatus(status));
+  });
+
+  app.delete('/api/v1/statuses/:id', (req, res) => {
+    const status = findStatus(req.params.id);
+
+    if (!status || status.deleted) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+    if (status.account !== ownAccount.id) {
+      return res.status(403).json({ error: 'This action is not allowed' });
+    }
+
+    status.deleted = true;
+    const parent = status.in_reply_to_id && findStatus(status.in_reply_to_id);
+    if (parent) {
+      parent.replies_count = Math.max((parent.replies_count || 0) - 1, 0);
+    }
+
+    // Le texte source est renvoyé pour permettre de republier le statut corrigé
+    res.json({ ...renderStatus(status), text: status.text });
+  });
+
+  app.post('/api/v2/media', express.raw({ type: 'multipart/form-data', limit: '100mb' }), async (req, res) => {
+    const form = await new Response(req.body, { headers: { 'content-type': req.get('content-type') || '' } })
+      .formData()
+      .catch(() => null);
+    const file = form && form.get('file');
+
+    if (!file || typeof file === 'string') {
+      return res.status(422).json({ error: 'Validation failed: File can\'t be blank' });
+    }
+
+    const mediaType = MEDIA_TYPES[file.type];
+    if (!mediaType) {
+      return res.status(422).json({ error: `Validation failed: File content type is invalid (${file.type || 'inconnu'})` });
+    }
+    if (file.size > mediaType.maxBytes) {
+      return res.status(422).json({ error: `Validation failed: File file size must be less than ${mediaType.maxBytes} bytes` });
+    }
+
+    const description = form.get('description') || null;
+    if (description && description.length > 1500) {
+      return res.status(422).json({ error: 'Validation failed: Description is too long (maximum is 1500 characters)' });
+    }
+
+    const id = nextId();
+    const fileUrl = `${req.protocol}://${req.get('host')}/system/media_attachments/files/${id}`;
+    const processing = mediaType.type !== 'image';
+    const attachment = {
+      readyAt: processing ? Date.now() + PROCESSING_DELAY : 0,
+      statusId: null,
+      entity: {
+        id,
+        type: mediaType.type,
+        url: `${fileUrl}/original/${encodeURIComponent(file.name || 'media')}`,
+        preview_url: `${fileUrl}/small/${encodeURIComponent(file.name || 'media')}`,
+        remote_url: null,
+        description,
+        blurhash: null,
+        meta: { size: file.size }
+      }
+    };
+
+    media.set(id, attachment);
+    res.status(processing ? 202 : 200).json(formatMedia(attachment));
+  });
+
+  app.get('/api/v1/media/:id', (req, res) => {
+    const attachment = media.get(req.params.id);
+
+    if (!attachment) {
+      return res.status(404).json({ error: 'Record not found' });
+    }
+
+    // 206 tant que le traitement n'est pas terminé
+    res.status(attachment.readyAt > Date.now() ? 206 : 200).json(formatMedia(attachment));
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Not Found' });
+  });
+
+  /**
+   * Identifiant d'un nouvel objet, croissant comme ceux de Mastodon (horodatage décalé de 16 bits)
+   * @returns {string} Identifiant
+   */
+  function nextId() {
+    const candidate = BigInt(Date.now()) << 16n;
+    lastId = candidate > lastId ? candidate : lastId + 1n;
+    return String(lastId);
+  }
+
+  /**
+   * Enregistre un statut et notifie le compte de l'agent s'il y est mentionné
+   * @param {object} account - Auteur
+   * @param {object} fields - text, visibility, spoiler_text, sensitive, in_reply_to_id, language, media_attachments
+   * @returns {object} Statut enregistré
+   */
+  function createStatus(account, fields) {
+    const status = {
+      id: nextId(),
+      account: account.id,
+      created_at: new Date().toISOString(),
+      replies_count: 0,
+      reblogs_count: 0,
+      favourites_count: 0,
+      ...fields
+    };
+    const parent = status.in_reply_to_id && findStatus(status.in_reply_to_id);
+
+    if (parent) {
+      parent.replies_count = (parent.replies_count || 0) + 1;
+    }
+
+    statuses.unshift(status);
+
+    if (account !== ownAccount && mentionsOf(status.text).includes(ownAccount)) {
+      notifications.unshift({ id: nextId(), type: 'mention', created_at: status.created_at, account: account.id, status: status.id });
+    }
+
+    return status;
+  }
+
+  /**
+   * Cherche un compte par son adresse (user, user@instance ou @user@instance)
+   * @param {string} acct - Adresse
+   * @returns {object|undefined} Compte
+   */
+  function findAccount(acct) {
+    const normalized = acct.replace(/^@/, '').replace(new RegExp(`@${MOCK_DOMAIN.replace(/\./g, '\\.')}$`), '').toLowerCase();
+    return [...accounts.values()].find(account => account.acct.toLowerCase() === normalized);
+  }
+
+  /**
+   * Cherche un statut par son identifiant
+   * @param {string} id - Identifiant
+   * @returns {object|undefined} Statut enregistré
+   */
+  function findStatus(id) {
+    return statuses.find(status => status.id === id);
+  }
+
+  /**
+   * Comptes connus mentionnés dans un texte
+   * @param {string} text - Texte du statut
+   * @returns {Array<object>} Comptes
+   */
+  function mentionsOf(text = '') {
+    const mentioned = [...text.replace(URL_PATTERN, '').matchAll(/(?:^|[^\w/])@(\w+(?:@[\w.-]+\.\w+)?)/g)]
+      .map(match => findAccount(match[1]))
+      .filter(Boolean);
+    return [...new Set(mentioned)];
+  }
+
+  /**
+   * Statut tel que l'API le renvoie : contenu HTML, auteur, mentions, hashtags et médias
+   * @param {object} status - Statut enregistré
+   * @returns {object} Statut
+   */
+  function renderStatus(status) {
+    const account = accounts.get(status.account);
+    const original = status.reblog ? findStatus(status.reblog) : null;
+    const parent = status.in_reply_to_id ? findStatus(status.in_reply_to_id) : null;
+    const domain = new URL(account.url).host;
+
+    return {
+      id: status.id,
+      created_at: status.created_at,
+      in_reply_to_id: status.in_reply_to_id || null,
+      in_reply_to_account_id: parent ? parent.account : null,
+      sensitive: Boolean(status.sensitive || status.spoiler_text),
+      spoiler_text: status.spoiler_text || '',
+      visibility: status.visibility,
+      language: status.language || null,
+      uri: `https://${domain}/users/${account.username}/statuses/${status.id}`,
+      url: original ? null : `${account.url}/${status.id}`,
+      replies_count: status.replies_count || 0,
+      reblogs_count: status.reblogs_count || 0,
+      favourites_count: status.favourites_count || 0,
+      edited_at: null,
+      content: original ? '' : renderContent(status.text),
+      reblog: original ? renderStatus(original) : null,
+      account: formatAccount(account),
+      media_attachments: status.media_attachments || [],
+      mentions: original ? [] : mentionsOf(status.text).map(mentioned => ({
+        id: mentioned.id,
+        username: mentioned.username,
+        url: mentioned.url,
+        acct: mentioned.acct
+      })),
+      tags: original ? [] : tagsOf(status.text).map(tag => ({ name: tag.toLowerCase(), url: `https://${MOCK_DOMAIN}/tags/${tag.toLowerCase()}` })),
+      emojis: [],
+      card: null,
+      poll: null
+    };
+  }
+
+  /**
+   * Contenu HTML d'un statut, balisé comme par Mastodon : paragraphes, liens raccourcis,
+   * mentions (h-card) et hashtags
+   * @param {string} text - Texte source
+   * @returns {string} Contenu HTML
+   */
+  function renderContent(text = '') {
+    const linkify = paragraph => paragraph.replace(
+      /(https?:\/\/[^\s<]*[^\s<.,!?;:)])|(^|[^\w/])@(\w+(?:@[\w.-]+\.\w+)?)|(^|[^\w&/])#([\p{L}\p{N}_]+)/gu,
+      (match, url, mentionPrefix, acct, tagPrefix, tag) => {
+        if (url) {
+          const [, scheme, rest] = url.match(/^(https?:\/\/)(.*)$/);
+          return `<a href="${url}" target="_blank" rel="nofollow noopener noreferrer" translate="no">` +
+            `<span class="invisible">${scheme}</span><span class="${rest.length > 30 ? 'ellipsis' : ''}">${rest.slice(0, 30)}</span>` +
+            `<span class="invisible">${rest.slice(30)}</span></a>`;
+        }
+
+        if (acct) {
+          const account = findAccount(acct);
+          return account
+            ? `${mentionPrefix}<span class="h-card" translate="no"><a href="${account.url}" class="u-url mention">@<span>${account.username}</span></a></span>`
+            : match;
+        }
+
+        return `${tagPrefix}<a href="https://${MOCK_DOMAIN}/tags/${tag.toLowerCase()}" class="mention hashtag" rel="tag">#<span>${tag}</span></a>`;
+      });
+
+    return escapeHtml(text).split(/\n{2,}/)
+      .map(paragraph => `<p>${linkify(paragraph).replace(/\n/g, '<br />')}</p>`)
+      .join('');
+  }
+
+  /**
+   * Hashtags dont le nom commence par la requête, avec leur utilisation des 7 derniers jours
+   * @param {string} query - Début du nom, en minuscules
+   * @returns {Array<object>} Hashtags (name, url, history)
+   */
+  function searchTags(query) {
+    const names = new Map();
+    statuses.filter(status => isPublic(status) && !status.reblog)
+      .flatMap(status => tagsOf(status.text).map(tag => ({ tag, status })))
+      .filter(({ tag }) => tag.toLowerCase().startsWith(query))
+      .forEach(({ tag, status }) => {
+        const entry = names.get(tag.toLowerCase()) || { name: tag.toLowerCase(), statuses: [] };
+        entry.statuses.push(status);
+        names.set(tag.toLowerCase(), entry);
+      });
+
+    const today = Math.floor(Date.now() / 86400000) * 86400000;
+
+    return [...names.values()].map(({ name, statuses: tagged }) => ({
+      name,
+      url: `https://${MOCK_DOMAIN}/tags/${name}`,
+      history: Array.from({ length: 7 }, (value, index) => {
+        const day = today - index * 86400000;
+        const used = tagged.filter(status => {
+          const time = Date.parse(status.created_at);
+          return time >= day && time < day + 86400000;
+        });
+        return { day: String(day / 1000), uses: String(used.length), accounts: String(new Set(used.map(status => status.account)).size) };
+      })
+    }));
+  }
+
+  return app;
+}
+
+/**
+ * Démarre le serveur simulé
+ * @param {object} options - Options de createMastodonMockApp, plus port (0 : port libre)
+ * @returns {Promise<{url: string, instanceUrl: string, addStatus: Function, close: Function}>}
+ *   Adresses du serveur, publication d'un statut par un autre compte et arrêt
+ */
+export function startMastodonMockServer(options = {}) {
+  const { port = 0, ...appOptions } = options;
+  const app = createMastodonMockApp(appOptions);
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      logger.info(`API Mastodon simulée sur ${url}`);
+      resolve({
+        url,
+        instanceUrl: url,
+        addStatus: app.locals.addStatus,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+/**
+ * Renvoie une page d'éléments triés du plus récent au plus ancien, avec l'en-tête Link
+ * max_id : éléments plus anciens ; since_id : les plus récents après l'identifiant ;
+ * min_id : ceux qui suivent immédiatement l'identifiant
+ * @param {express.Request} req - Requête (limit, max_id, since_id, min_id)
+ * @param {express.Response} res - Réponse
+ * @param {Array<object>} items - Éléments enregistrés, du plus récent au plus ancien
+ * @param {number} defaultLimit - Taille de page par défaut
+ * @param {number} maxLimit - Taille de page maximale
+ * @param {Function} format - Convertit un élément enregistré
+ */
+function sendPage(req, res, items, defaultLimit, maxLimit, format) {
+  const limit = Math.min(parseInt(req.query.limit || String(defaultLimit), 10) || defaultLimit, maxLimit);
+  const { max_id: maxId, since_id: sinceId, min_id: minId } = req.query;
+  const sorted = [...items].sort((a, b) => compareIds(b.id, a.id))
+    .filter(item => (!maxId || compareIds(item.id, maxId) < 0) && (!sinceId || compareIds(item.id, sinceId) > 0) &&
+      (!minId || compareIds(item.id, minId) > 0));
+  const page = minId ? sorted.slice(-limit) : sorted.slice(0, limit);
+
+  if (page.length > 0) {
+    const base = `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path}`;
+    const extra = new URLSearchParams(Object.entries(req.query)
+      .filter(([key]) => !['limit', 'max_id', 'since_id', 'min_id'].includes(key))
+      .flatMap(([key, value]) => [].concat(value).map(item => [key, item]))).toString();
+    const link = (param, id) => `<${base}?limit=${limit}&${param}=${id}${extra ? `&${extra}` : ''}>`;
+
+    res.set('Link', `${link('max_id', page[page.length - 1].id)}; rel="next", ${link('min_id', page[0].id)}; rel="prev"`);
+  }
+
+  res.json(page.map(format));
+}
+
+/**
+ * Indique si un statut apparaît dans les fils publics et la recherche
+ * @param {object} status - Statut enregistré
+ * @returns {boolean} true pour un statut public non supprimé
+ */
+function isPublic(status) {
+  return status.visibility === 'public' && !status.deleted;
+}
+
+/**
+ * Hashtags d'un texte, dans leur casse d'origine
+ * @param {string} text - Texte source
+ * @returns {Array<string>} Hashtags, sans #
+ */
+function tagsOf(text = '') {
+  return [...new Set([...text.replace(URL_PATTERN, '').matchAll(/(?:^|[^\w&/])#([\p{L}\p{N}_]+)/gu)].map(match => match[1]))];
+}
+
+/**
+ * Longueur d'un statut selon les règles de Mastodon : une URL compte pour 23 caractères,
+ * une mention distante pour son seul nom d'utilisateur
+ * @param {string} text - Texte source
+ * @returns {number} Longueur
+ */
+function statusLength(text) {
+  return [...text.replace(URL_PATTERN, 'x'.repeat(URL_LENGTH)).replace(/@(\w+)@[\w.-]+\.\w+/g, '@$1')].length;
+}
+
+/**
+ * Compte tel que l'API le renvoie
+ * @param {object} account - Compte des fixtures
+ * @returns {object} Compte
+ */
+function formatAccount(account) {
+  return { ...account, avatar_static: account.avatar, emojis: [] };
+}
+
+/**
+ * Média tel que l'API le renvoie : url nulle tant que le traitement n'est pas terminé
+ * @param {object} attachment - Média enregistré
+ * @returns {object} Média
+ */
+function formatMedia(attachment) {
+  return attachment.readyAt > Date.now() ? { ...attachment.entity, url: null } : attachment.entity;
+}
+
+/**
+ * Compare deux identifiants (entiers en chaîne, trop grands pour Number)
+ * @param {string} a - Identifiant
+ * @param {string} b - Identifiant
+ * @returns {number} Négatif si a est plus ancien que b
+ */
+function compareIds(a, b) {
+  return a.length - b.length || a.localeCompare(b);
+}
+
+/**
+ * Échappe un texte pour l'inclure dans du HTML
+ * @param {string} text - Texte
+ * @returns {string} Texte échappé
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// Lancement autonome
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startMastodonMockServer({ port: parseInt(process.env.MASTODON_MOCK_PORT || '4014', 10) })
+    .catch(error => {
+      logger.error(`Démarrage du serveur simulé impossible: ${error.message}`);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,600 @@
+/**
+ * Serveur simulé de l'API Twitter/X v2
+ * Rejoue les réponses enregistrées dans fixtures/twitter pour utiliser l'agent Twitter hors ligne :
+ * recherche récente, recherche d'utilisateur et timeline, avec pagination par curseur,
+ * en-têtes de limite de débit et vérification de l'authentification (bearer token ou OAuth 1.0a).
+ * La publication (POST/DELETE /2/tweets) et l'upload des médias (/1.1/media/upload.json) sont
+ * simulés en mémoire et exigent le contexte utilisateur (OAuth 1.0a), comme l'API réelle.
+ * Le flux filtré (/2/tweets/search/stream) est une réponse HTTP chunked : les tweets enregistrés
+ * qui correspondent aux règles sont diffusés à intervalle régulier, avec heartbeats et rattrapage
+ * (backfill_minutes) des posts émis pendant une coupure.
+ *
+ * Lancement autonome : `npm run mock:twitter` (port TWITTER_MOCK_PORT, 4010 par défaut),
+ * puis démarrer l'application avec TWITTER_API_BASE_URL=http://localhost:4010/2,
+ * TWITTER_UPLOAD_BASE_URL=http://localhost:4010/1.1 et les identifiants de MOCK_CREDENTIALS.
+ */
+
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { signOAuth1 } from '../clients/twitter-client.js';
+import loggerModule from '../utils/logger.js';
+
+const logger = loggerModule.createSubLogger('Twitter-Mock');
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const fixturesDir = path.join(__dirname, 'fixtures', 'twitter');
+
+// Identifiants acceptés par le serveur simulé
+export const MOCK_CREDENTIALS = {
+  apiKey: 'mock-api-key',
+  apiSecret: 'mock-api-secret',
+  accessToken: 'mock-access-token',
+  accessTokenSecret: 'mock-access-token-secret',
+  bearerToken: 'mock-bearer-token'
+};
+
+// Fenêtre des limites de débit de l'API v2
+const RATE_LIMIT_WINDOW = 15 * 60 * 1000;
+
+/**
+ * Charge une fixture JSON
+ * @param {string} name - Nom du fichier, sans extension
+ * @returns {any} Contenu de la fixture
+ */
+function loadFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(fixturesDir, `${name}.json`), 'utf8'));
+}
+
+/**
+ * Crée l'application Express du serveur simulé
+ * @param {object} options - Options
+ * @param {object} options.credentials - Identifiants acceptés (MOCK_CREDENTIALS par défaut)
+ * @param {number} options.rateLimit - Requêtes autorisées par route et par fenêtre de 15 minutes
+ * @param {number} options.streamInterval - Intervalle entre deux posts du flux filtré, en millisecondes
+ * @param {number} options.heartbeatInterval - Intervalle des heartbeats du flux filtré, en millisecondes
+ * @returns {express.Application} Application (app.locals.dropStreams() coupe les connexions au flux)
+ */
+export function createTwitterMockApp(options = {}) {
+  const { credentials = MOCK_CREDENTIALS, rateLimit = 180, streamInterval = 2000, heartbeatInterval = 20 * 1000 } = options;
+  const users = loadFixture('users');
+  const searchPages = loadFixture('search-recent');
+  const userTweetPages = loadFixture('user-tweets');
+  const rateLimits = new Map();
+  // Tweets publiés et médias envoyés pendant la vie du serveur
+  const publishedTweets = new Map();
+  const uploads = new Map();
+  const knownTweetIds = new Set([...searchPages, ...Object.values(userTweetPages).flat()]
+    .flatMap(page => (page.data || []).map(tweet => tweet.id)));
+  let nextId = 1900000000000000000n;
+  // Flux filtré : règles, connexions ouvertes et posts émis (pour le rattrapage)
+  const streamRules = [];
+  const streamConnections = new Set();
+  const streamHistory = [];
+  const streamSource = [...searchPages, ...Object.values(userTweetPages).flat()]
+    .flatMap(page => (page.data || []).map(tweet => ({ tweet, includes: page.includes })));
+  let streamCursor = 0;
+  let streamTimer = null;
+  const app = express();
+
+  // Authentification : bearer token ou signature OAuth 1.0a recalculée avec les identifiants attendus
+  app.use((req, res, next) => {
+    if (!isAuthorized(req, credentials)) {
+      return res.status(401).json(problem(401, 'Unauthorized', 'Unauthorized'));
+    }
+    next();
+  });
+
+  /**
+   * Applique la limite de débit d'une route et pose les en-têtes x-rate-limit-*
+   * @param {string} route - Route concernée
+   * @returns {express.RequestHandler} Middleware
+   */
+  const limited = (route) => (req, res, next) => {
+    const now = Date.now();
+    let window = rateLimits.get(route);
+
+    if (!window || window.reset * 1000 <= now) {
+      window = { remaining: rateLimit, reset: Math.ceil((now + RATE_LIMIT_WINDOW) / 1000) };
+      rateLimits.set(route, window);
+    }
+
+    res.set({
+      'x-rate-limit-limit': String(rateLimit),
+      'x-rate-limit-remaining': String(Math.max(window.remaining - 1, 0)),
+      'x-rate-limit-reset': String(window.reset)
+    });
+
+    if (window.remaining <= 0) {
+      return res.status(429).json(problem(429, 'Too Many Requests', 'Too Many Requests'));
+    }
+
+    window.remaining -= 1;
+    next();
+  };
+
+  app.get('/2/tweets/search/recent', limited('/tweets/search/recent'), (req, res) => {
+    const { query, next_token: nextToken } = req.query;
+    const maxResults = parseInt(req.query.max_results || '10', 10);
+
+    if (!query) {
+      return res.status(400).json(invalidRequest('query', 'The `query` query parameter can not be empty'));
+    }
+    if (!(maxResults >= 10 && maxResults <= 100)) {
+      return res.status(400).json(invalidRequest('max_results', `The \`max_results\` query parameter value [${req.query.max_results}] is not between 10 and 100`));
+    }
+
+    replayPage(req, res, searchPages, nextToken, maxResults);
+  });
+
+  app.get('/2/users/by/username/:username', limited('/users/by/username/:username'), (req, res) => {
+    const user = users.find(candidate => candidate.username.toLowerCase() === req.params.username.toLowerCase());
+
+    if (!user) {
+      return res.json(notFound('username', req.params.username, `Could not find user with username: [${req.params.username}].`));
+    }
+
+    res.json({ data: selectUserFields(user, req.query['user.fields']) });
+  });
+
+  app.get('/2/users/:id/tweets', limited('/users/:id/tweets'), (req, res) => {
+    const { id } = req.params;
+    const maxResults = parseInt(req.query.max_results || '10', 10);
+
+    if (!users.some(user => user.id === id)) {
+      return res.json(notFound('id', id, `Could not find user with id: [${id}].`));
+    }
+    if (!(maxResults >= 5 && maxResults <= 100)) {
+      return res.status(400).json(invalidRequest('max_results', `The \`max_results\` query parameter value [${req.query.max_results}] is not between 5 and 100`));
+    }
+
+    replayPage(req, res, userTweetPages[id] || [{ meta: { result_count: 0 } }], req.query.pagination_token, maxResults);
+  });
+
+  app.post('/2/tweets', userContext, limited('/tweets'), express.json(), (req, res) => {
+    const { text = '', reply, media } = req.body || {};
+    const mediaIds = (media && media.media_ids) || [];
+
+    if (!text && mediaIds.length === 0) {
+      return res.status(400).json(invalidRequest('text', 'Tweet text or media is required'));
+    }
+    if ([...text].length > 280) {
+      return res.status(403).json(problem(403, 'Forbidden', 'You are not permitted to perform this action. Your Tweet text is too long.'));
+    }
+    if (reply && !knownTweetIds.has(reply.in_reply_to_tweet_id)) {
+      return res.status(403).json(problem(403, 'Forbidden', 'You attempted to reply to a Tweet that is deleted or not visible to you.'));
+    }
+    const unknownMedia = mediaIds.find(mediaId => !(uploads.has(mediaId) && uploads.get(mediaId).finalized));
+    if (unknownMedia) {
+      return res.status(400).json(invalidRequest('media.media_ids', `Your media IDs are invalid: [${unknownMedia}]`));
+    }
+
+    const id = String(nextId++);
+    publishedTweets.set(id, { id, text, reply, media });
+    knownTweetIds.add(id);
+    res.status(201).json({ data: { id, text, edit_history_tweet_ids: [id] } });
+  });
+
+  app.delete('/2/tweets/:id', userContext, limited('/tweets/:id'), (req, res) => {
+    const { id } = req.params;
+
+    if (!publishedTweets.has(id)) {
+      return res.status(403).json(problem(403, 'Forbidden', 'You are not allowed to delete a Tweet you did not create.'));
+    }
+
+    publishedTweets.delete(id);
+    knownTweetIds.delete(id);
+    res.json({ data: { deleted: true } });
+  });
+
+  // API d'upload v1.1 : les paramètres de commande arrivent dans la query string
+  const mediaUpload = async (req, res) => {
+    const { command, media_id: mediaId } = req.query;
+    const upload = uploads.get(mediaId);
+
+    if (command === 'INIT') {
+      const totalBytes = parseInt(req.query.total_bytes, 10);
+      if (!(totalBytes > 0) || !req.query.media_type) {
+        return res.status(400).json(uploadError(38, 'total_bytes and media_type parameters are required.'));
+      }
+
+      const id = String(nextId++);
+      uploads.set(id, { totalBytes, mediaType: req.query.media_type, category: req.query.media_category, segments: new Map(), finalized: false });
+      return res.status(202).json({ media_id: Number(id), media_id_string: id, expires_after_secs: 86400 });
+    }
+
+    if (!upload) {
+      return res.status(400).json(uploadError(324, 'Invalid media_id.'));
+    }
+
+    if (command === 'APPEND') {
+      const form = await new Response(req.body, { headers: { 'content-type': req.get('content-type') || '' } })
+        .formData()
+        .catch(() => null);
+      const media = form && form.get('media');
+      if (!media) {
+        return res.status(400).json(uploadError(38, 'media parameter is missing.'));
+      }
+
+      upload.segments.set(parseInt(req.query.segment_index, 10), media.size);
+      return res.status(204).end();
+    }
+
+    if (command === 'FINALIZE') {
+      const received = [...upload.segments.values()].reduce((total, size) => total + size, 0);
+      if (received !== upload.totalBytes) {
+        return res.status(400).json(uploadError(324, `File size mismatch: received ${received} of ${upload.totalBytes} bytes.`));
+      }
+
+      upload.finalized = true;
+      // Les vidéos et GIF passent par un traitement asynchrone, terminé au premier STATUS
+      const processing = upload.category !== 'tweet_image';
+      return res.json({
+        media_id: Number(mediaId),
+        media_id_string: mediaId,
+        size: upload.totalBytes,
+        expires_after_secs: 86400,
+        ...(processing ? { processing_info: { state: 'pending', check_after_secs: 1 } } : {})
+      });
+    }
+
+    if (command === 'STATUS') {
+      return res.json({ media_id: Number(mediaId), media_id_string: mediaId, processing_info: { state: 'succeeded', progress_percent: 100 } });
+    }
+
+    res.status(400).json(uploadError(38, `Unknown command: ${command}`));
+  };
+
+  app.post('/1.1/media/upload.json', userContext, limited('/media/upload.json'),
+    express.raw({ type: 'multipart/form-data', limit: '6mb' }), mediaUpload);
+  app.get('/1.1/media/upload.json', userContext, limited('/media/upload.json'), mediaUpload);
+
+  app.post('/1.1/media/metadata/create.json', userContext, express.json(), (req, res) => {
+    const { media_id: mediaId, alt_text: altText } = req.body || {};
+
+    if (!uploads.has(mediaId)) {
+      return res.status(400).json(uploadError(324, 'Invalid media_id.'));
+    }
+    if (!altText || !altText.text || altText.text.length > 1000) {
+      return res.status(400).json(uploadError(38, 'alt_text.text must be between 1 and 1000 characters.'));
+    }
+
+    uploads.get(mediaId).altText = altText.text;
+    res.status(200).end();
+  });
+
+  app.get('/2/tweets/search/stream/rules', appOnly, limited('/tweets/search/stream/rules'), (req, res) => {
+    res.json({
+      ...(streamRules.length > 0 ? { data: streamRules } : {}),
+      meta: { sent: new Date().toISOString(), result_count: streamRules.length }
+    });
+  });
+
+  app.post('/2/tweets/search/stream/rules', appOnly, limited('/tweets/search/stream/rules'), express.json(), (req, res) => {
+    const { add, delete: remove } = req.body || {};
+    const sent = new Date().toISOString();
+
+    if (add) {
+      const created = [];
+      const errors = [];
+
+      add.forEach(rule => {
+        if (!rule.value || rule.value.length > 512) {
+          errors.push({ value: rule.value, title: 'InvalidRule', details: ['Rule must be between 1 and 512 characters'], type: 'https://api.twitter.com/2/problems/invalid-rules' });
+        } else if (streamRules.some(existing => existing.value === rule.value)) {
+          errors.push({ value: rule.value, id: streamRules.find(existing => existing.value === rule.value).id, title: 'DuplicateRule', type: 'https://api.twitter.com/2/problems/duplicate-rules' });
+        } else {
+          const createdRule = { id: String(nextId++), value: rule.value, ...(rule.tag ? { tag: rule.tag } : {}) };
+          streamRules.push(createdRule);
+          created.push(createdRule);
+        }
+      });
+
+      return res.status(created.length > 0 ? 201 : 200).json({
+        ...(created.length > 0 ? { data: created } : {}),
+        ...(errors.length > 0 ? { errors } : {}),
+        meta: { sent, summary: { created: created.length, not_created: errors.length, valid: created.length, invalid: errors.length } }
+      });
+    }
+
+    if (remove && Array.isArray(remove.ids)) {
+      const before = streamRules.length;
+      remove.ids.forEach(id => {
+        const index = streamRules.findIndex(rule => rule.id === id);
+        if (index >= 0) {
+          streamRules.splice(index, 1);
+        }
+      });
+      const deleted = before - streamRules.length;
+      return res.json({ meta: { sent, summary: { deleted, not_deleted: remove.ids.length - deleted } } });
+    }
+
+    res.status(400).json(invalidRequest('add', 'One of add or delete is required'));
+  });
+
+  app.get('/2/tweets/search/stream', appOnly, limited('/tweets/search/stream'), (req, res) => {
+    if (streamConnections.size > 0) {
+      return res.status(429).json(problem(429, 'ConnectionException', 'This stream is currently at the maximum allowed connection limit.'));
+    }
+
+    res.status(200).set({ 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' });
+    res.flushHeaders();
+    streamConnections.add(res);
+
+    // Rattrapage : posts émis pendant les dernières minutes demandées
+    const backfillMinutes = Math.min(parseInt(req.query.backfill_minutes || '0', 10), 5);
+    if (backfillMinutes > 0) {
+      const since = Date.now() - backfillMinutes * 60 * 1000;
+      streamHistory.filter(entry => entry.emittedAt >= since).forEach(entry => res.write(`${JSON.stringify(entry.message)}\r\n`));
+    }
+
+    const heartbeat = setInterval(() => res.write('\r\n'), heartbeatInterval);
+    startStreamTimer();
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      streamConnections.delete(res);
+    });
+  });
+
+  app.use((req, res) => {
+    res.status(404).json(problem(404, 'Not Found', `Route ${req.method} ${req.path} non simulée`));
+  });
+
+  /**
+   * Démarre l'émission des posts du flux ; elle se poursuit pendant les coupures
+   * pour que les posts manqués puissent être rattrapés
+   */
+  function startStreamTimer() {
+    if (streamTimer) {
+      return;
+    }
+
+    streamTimer = setInterval(emitStreamPost, streamInterval);
+    streamTimer.unref();
+  }
+
+  /**
+   * Émet le prochain tweet enregistré qui correspond à au moins une règle
+   * Chaque émission reçoit un nouvel identifiant, comme un nouveau post
+   */
+  function emitStreamPost() {
+    for (let tried = 0; tried < streamSource.length; tried++) {
+      const { tweet, includes } = streamSource[streamCursor];
+      streamCursor = (streamCursor + 1) % streamSource.length;
+
+      const matchingRules = streamRules.filter(rule => ruleMatches(rule.value, tweet.text));
+      if (matchingRules.length === 0) {
+        continue;
+      }
+
+      const id = String(nextId++);
+      const author = includes && includes.users && includes.users.find(user => user.id === tweet.author_id);
+      const message = {
+        data: { ...tweet, id, created_at: new Date().toISOString() },
+        ...(author ? { includes: { users: [author] } } : {}),
+        matching_rules: matchingRules.map(rule => ({ id: rule.id, ...(rule.tag ? { tag: rule.tag } : {}) }))
+      };
+
+      knownTweetIds.add(id);
+      streamHistory.push({ emittedAt: Date.now(), message });
+      if (streamHistory.length > 500) {
+        streamHistory.shift();
+      }
+
+      streamConnections.forEach(connection => connection.write(`${JSON.stringify(message)}\r\n`));
+      return;
+    }
+  }
+
+  // Coupe les connexions au flux (tests de reconnexion) et arrête l'émission à la fermeture du serveur
+  app.locals.dropStreams = () => streamConnections.forEach(connection => connection.destroy());
+  app.locals.stopStreams = () => {
+    clearInterval(streamTimer);
+    streamTimer = null;
+    app.locals.dropStreams();
+  };
+
+  /**
+   * Renvoie la page enregistrée désignée par un curseur
+   * @param {express.Request} req - Requête
+   * @param {express.Response} res - Réponse
+   * @param {Array<object>} pages - Pages enregistrées
+   * @param {string} token - Curseur (next_token de la page précédente)
+   * @param {number} maxResults - Nombre maximal de tweets renvoyés
+   */
+  function replayPage(req, res, pages, token, maxResults) {
+    const index = token ? pages.findIndex((page, i) => i > 0 && pages[i - 1].meta.next_token === token) : 0;
+
+    if (index < 0) {
+      return res.status(400).json(invalidRequest(req.query.next_token ? 'next_token' : 'pagination_token', 'Invalid pagination token'));
+    }
+
+    const page = pages[index];
+    const data = (page.data || []).slice(0, maxResults);
+    const body = { meta: { ...page.meta, result_count: data.length } };
+
+    if (data.length > 0) {
+      body.data = data;
+      if (page.includes && (req.query.expansions || '').split(',').includes('author_id')) {
+        body.includes = page.includes;
+      }
+    }
+
+    res.json(body);
+  }
+
+  return app;
+}
+
+/**
+ * Démarre le serveur simulé
+ * @param {object} options - Options de createTwitterMockApp, plus port (0 : port libre)
+ * @returns {Promise<{url: string, baseUrl: string, uploadBaseUrl: string, dropStreams: Function, close: Function}>}
+ *   Adresses du serveur, coupure des connexions au flux et arrêt
+ */
+export function startTwitterMockServer(options = {}) {
+  const { port = 0, ...appOptions } = options;
+  const app = createTwitterMockApp(appOptions);
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, '127.0.0.1', () => {
+      const url = `http://127.0.0.1:${server.address().port}`;
+      logger.info(`API Twitter simulée sur ${url}/2`);
+      resolve({
+        url,
+        baseUrl: `${url}/2`,
+        uploadBaseUrl: `${url}/1.1`,
+        dropStreams: app.locals.dropStreams,
+        close: () => {
+          app.locals.stopStreams();
+          return new Promise(done => server.close(done));
+        }
+      });
+    });
+    server.on('error', reject);
+  });
+}
+
+/**
+ * Vérifie l'en-tête Authorization d'une requête
+ * @param {express.Request} req - Requête
+ * @param {object} credentials - Identifiants attendus
+ * @returns {boolean} true si la requête est authentifiée
+ */
+function isAuthorized(req, credentials) {
+  const header = req.get('authorization') || '';
+
+  if (header.startsWith('Bearer ')) {
+    return header.slice('Bearer '.length) === credentials.bearerToken;
+  }
+
+  if (!header.startsWith('OAuth ')) {
+    return false;
+  }
+
+  const oauth = Object.fromEntries(
+    [...header.matchAll(/(\w+)="([^"]*)"/g)].map(([, key, value]) => [key, decodeURIComponent(value)])
+  );
+  if (oauth.oauth_consumer_key !== credentials.apiKey || oauth.oauth_token !== credentials.accessToken) {
+    return false;
+  }
+
+  const url = `${req.protocol}://${req.get('host')}${req.originalUrl.split('?')[0]}`;
+  const expected = signOAuth1(req.method, url, req.query, credentials, {
+    nonce: oauth.oauth_nonce,
+    timestamp: oauth.oauth_timestamp
+  });
+
+  return expected === header;
+}
+
+/**
+ * Refuse les requêtes authentifiées par bearer token d'application sur les routes
+ * qui agissent au nom d'un utilisateur (publication, upload)
+ * @param {express.Request} req - Requête
+ * @param {express.Response} res - Réponse
+ * @param {Function} next - Suite de la chaîne
+ */
+function userContext(req, res, next) {
+  if (!(req.get('authorization') || '').startsWith('OAuth ')) {
+    return res.status(403).json(problem(403, 'Unsupported Authentication',
+      'Authenticating with OAuth 2.0 Application-Only is forbidden for this endpoint. Supported authentication types are [OAuth 1.0a User Context, OAuth 2.0 User Context].'));
+  }
+  next();
+}
+
+/**
+ * Refuse les requêtes qui ne sont pas authentifiées par bearer token d'application
+ * (flux filtré et règles), comme l'API réelle
+ * @param {express.Request} req - Requête
+ * @param {express.Response} res - Réponse
+ * @param {Function} next - Suite de la chaîne
+ */
+function appOnly(req, res, next) {
+  if (!(req.get('authorization') || '').startsWith('Bearer ')) {
+    return res.status(403).json(problem(403, 'Unsupported Authentication',
+      'Authenticating with OAuth 1.0a User Context is forbidden for this endpoint. Supported authentication types are [OAuth 2.0 Application-Only].'));
+  }
+  next();
+}
+
+/**
+ * Indique si un texte correspond à une règle du flux filtré
+ * Simplification : les termes de la règle sont combinés en OU et les opérateurs (lang:, is:, -terme...) ignorés
+ * @param {string} value - Valeur de la règle
+ * @param {string} text - Texte du tweet
+ * @returns {boolean} true si un terme de la règle apparaît dans le texte
+ */
+function ruleMatches(value, text) {
+  const terms = value.replace(/[()"]/g, ' ').split(/\s+/)
+    .filter(term => term && term !== 'OR' && !term.startsWith('-') && !term.includes(':'));
+  const lowerText = text.toLowerCase();
+
+  return terms.some(term => lowerText.includes(term.toLowerCase()));
+}
+
+/**
+ * Ne garde que les champs utilisateur demandés (id, name et username sont toujours renvoyés)
+ * @param {object} user - Utilisateur enregistré
+ * @param {string} requested - Valeur du paramètre user.fields
+ * @returns {object} Utilisateur
+ */
+function selectUserFields(user, requested = '') {
+  const fields = ['id', 'name', 'username', ...requested.split(',').filter(Boolean)];
+  return Object.fromEntries(Object.entries(user).filter(([key]) => fields.includes(key)));
+}
+
+/**
+ * Corps d'erreur au format « problem » de l'API v2
+ */
+function problem(status, title, detail) {
+  return { title, detail, type: 'about:blank', status };
+}
+
+/**
+ * Corps d'erreur d'une requête invalide (400)
+ */
+function invalidRequest(parameter, message) {
+  return {
+    errors: [{ parameters: { [parameter]: [] }, message }],
+    title: 'Invalid Request',
+    detail: 'One or more parameters to your request was invalid.',
+    type: 'https://api.twitter.com/2/problems/invalid-request'
+  };
+}
+
+/**
+ * Corps d'erreur de l'API d'upload v1.1
+ */
+function uploadError(code, message) {
+  return { errors: [{ code, message }] };
+}
+
+/**
+ * Corps d'une ressource introuvable : l'API v2 répond 200 avec une erreur partielle
+ */
+function notFound(parameter, value, detail) {
+  return {
+    errors: [{
+      value,
+      detail,
+      title: 'Not Found Error',
+      resource_type: 'user',
+      parameter,
+      resource_id: value,
+      type: 'https://api.twitter.com/2/problems/resource-not-found'
+    }]
+  };
+}
+
+// Lancement autonome
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startTwitterMockServer({ port: parseInt(process.env.TWITTER_MOCK_PORT || '4010', 10) })
+    .catch(error => {
+      logger.error(`Démarrage du serveur simulé impossible: ${error.message}`);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,245 @@
+/**
+ * Journal d'audit des appels d'outils et de ressources
+ * Chaque appel (client MCP, route REST, agent ou rejeu) produit un enregistrement :
+ * appelant, session, arguments masqués, résumé du résultat, erreur et durée.
+ * Les enregistrements sont ajoutés à un fichier JSON Lines (jamais réécrit) ; les plus
+ * récents sont gardés en mémoire pour les requêtes.
+ */
+
+import { randomUUID } from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import config from '../config/config.js';
+import loggerModule from './logger.js';
+
+const logger = loggerModule.createSubLogger('Audit');
+
+// Valeur enregistrée à la place des arguments sensibles
+const REDACTED = '[MASQUÉ]';
+
+export class AuditLog {
+  /**
+   * @param {object} options - Options (voir config.audit)
+   */
+  constructor(options = config.audit) {
+    this.options = options;
+    this.records = [];
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Charge les enregistrements les plus récents du fichier d'audit
+   */
+  async initialize() {
+    if (!this.options.path) {
+      return;
+    }
+
+    try {
+      const data = await fs.readFile(this.options.path, 'utf8');
+      const records = [];
+      let invalid = 0;
+
+      // Une ligne illisible (écriture interrompue, fichier modifié à la main) est ignorée seule
+      for (const line of data.split('\n')) {
+        if (!line.trim()) {
+          continue;
+        }
+
+        try {
+          records.push(JSON.parse(line));
+        } catch {
+          invalid++;
+        }
+      }
+
+      if (invalid > 0) {
+        logger.warn(`${invalid} ligne(s) illisible(s) ignorée(s) dans le journal d'audit ${this.options.path}`);
+      }
+
+      // Ligne finale tronquée : la terminer pour que le prochain enregistrement ne s'y colle pas
+      if (data && !data.endsWith('\n')) {
+        await fs.appendFile(this.options.path, '\n');
+      }
+
+      this.records = records.slice(-this.options.memoryLimit);
+      logger.info(`${this.records.length} enregistrement(s) d'audit chargé(s) depuis ${this.options.path}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Chargement du journal d'audit impossible: ${error.message}`);
+      }
+    }
+
+    await fs.mkdir(path.dirname(this.options.path), { recursive: true });
+  }
+
+  /**
+   * Exécute un appel et l'enregistre, qu'il réussisse ou échoue
+   * @param {object} call - kind ('tool' ou 'resource'), name, arguments, caller, sessionId
+   * @param {Function} execute - Exécute l'appel
+   * @returns {Promise<any>} Résultat de l'appel
+   */
+  async track(call, execute) {
+    const startedAt = Date.now();
+
+    try {
+      const result = await execute();
+      this.record({ ...call, result, durationMs: Date.now() - startedAt });
+      return result;
+    } catch (error) {
+      this.record({ ...call, error, durationMs: Date.now() - startedAt });
+      throw error;
+    }
+  }
+
+  /**
+   * Ajoute un enregistrement au journal
+   * @param {object} call - kind, name, arguments, caller, sessionId, result, error, durationMs
+   * @returns {object} Enregistrement créé
+   */
+  record(call) {
+    const { kind, name, caller = { type: 'internal' }, sessionId = null, result, error, durationMs } = call;
+    const redacted = [];
+    const resultSummary = result === undefined ? null : summarizeResult(result, this.options.maxStringLength);
+    const failed = Boolean(error || (resultSummary && resultSummary.isError));
+
+    const record = {
+      id: randomUUID(),
+      timestamp: new Date().toISOString(),
+      kind,
+      name,
+      caller,
+      sessionId,
+      arguments: this.redact(call.arguments, '', redacted),
+      redacted,
+      status: failed ? 'error' : 'success',
+      result: resultSummary,
+      error: error ? error.message : failed ? resultSummary.summary : null,
+      durationMs
+    };
+
+    this.records.push(record);
+    if (this.records.length > this.options.memoryLimit) {
+      this.records.shift();
+    }
+
+    if (this.options.path) {
+      const line = `${JSON.stringify(record)}\n`;
+      this.writing = this.writing
+        .then(() => fs.appendFile(this.options.path, line))
+        .catch(writeError => logger.error(`Écriture du journal d'audit impossible: ${writeError.message}`));
+    }
+
+    return record;
+  }
+
+  /**
+   * Recherche des enregistrements, du plus récent au plus ancien
+   * @param {object} filters - kind, name, callerType, callerId, sessionId, status, since, until, limit, offset
+   * @returns {{total: number, offset: number, limit: number, records: Array<object>}} Enregistrements trouvés
+   */
+  query(filters = {}) {
+    const { kind, name, callerType, callerId, sessionId, status, since, until } = filters;
+    const limit = parseInt(filters.limit ?? 50, 10);
+    const offset = parseInt(filters.offset ?? 0, 10);
+    const sinceTime = since ? Date.parse(since) : null;
+    const untilTime = until ? Date.parse(until) : null;
+
+    const matching = this.records.filter(record =>
+      (!kind || record.kind === kind) &&
+      (!name || record.name === name) &&
+      (!callerType || record.caller.type === callerType) &&
+      (!callerId || record.caller.id === callerId) &&
+      (!sessionId || record.sessionId === sessionId) &&
+      (!status || record.status === status) &&
+      (sinceTime === null || Date.parse(record.timestamp) >= sinceTime) &&
+      (untilTime === null || Date.parse(record.timestamp) <= untilTime)
+    ).reverse();
+
+    return {
+      total: matching.length,
+      offset,
+      limit,
+      records: matching.slice(offset, offset + limit)
+    };
+  }
+
+  /**
+   * Retourne un enregistrement par son identifiant
+   * @param {string} id - Identifiant de l'enregistrement
+   * @returns {object|null} Enregistrement
+   */
+  get(id) {
+    return this.records.find(record => record.id === id) || null;
+  }
+
+  /**
+   * Attend la fin des écritures en cours
+   */
+  async shutdown() {
+    await this.writing;
+  }
+
+  /**
+   * Copie des arguments sans les valeurs sensibles ni les chaînes trop longues
+   * @param {any} value - Valeur à copier
+   * @param {string} fieldPath - Chemin de la valeur (ex: options.apiKey)
+   * @param {Array<string>} redacted - Reçoit les chemins des valeurs masquées ou tronquées
+   * @returns {any} Copie masquée
+   * @private
+   */
+  redact(value, fieldPath, redacted) {
+    if (Array.isArray(value)) {
+      return value.map((item, index) => this.redact(item, `${fieldPath}[${index}]`, redacted));
+    }
+
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+        const itemPath = fieldPath ? `${fieldPath}.${key}` : key;
+
+        if (this.options.redactKeys.test(key)) {
+          redacted.push(itemPath);
+          return [key, REDACTED];
+        }
+
+        return [key, this.redact(item, itemPath, redacted)];
+      }));
+    }
+
+    if (typeof value === 'string' && value.length > this.options.maxStringLength) {
+      redacted.push(fieldPath);
+      return `${value.slice(0, this.options.maxStringLength)}… [tronqué, ${value.length} caractères]`;
+    }
+
+    return value;
+  }
+}
+
+/**
+ * Résume le résultat d'un appel d'outil ou de lecture de ressource
+ * @param {object} result - CallToolResult, ReadResourceResult ou retour d'agent
+ * @param {number} maxLength - Longueur maximale du résumé
+ * @returns {{isError: boolean, summary: string}} Résumé
+ */
+function summarizeResult(result, maxLength) {
+  let summary;
+
+  if (result && Array.isArray(result.content)) {
+    summary = result.content
+      .map(block => (block.type === 'text' ? block.text : `[${block.type}${block.mimeType ? ` ${block.mimeType}` : ''}]`))
+      .join('\n');
+  } else if (result && Array.isArray(result.contents)) {
+    summary = result.contents.map(content => `${content.uri} (${content.mimeType || 'inconnu'})`).join(', ');
+  } else {
+    summary = JSON.stringify(result) ?? '';
+  }
+
+  return {
+    isError: Boolean(result && result.isError),
+    summary: summary.length > maxLength ? `${summary.slice(0, maxLength)}…` : summary
+  };
+}
+
+// Exporter une instance singleton du journal d'audit
+const auditLog = new AuditLog();
+export default auditLog;
@@ -0,0 +1,99 @@
+/**
+ * Validation des paramètres des outils à partir de leur inputSchema (JSON Schema)
+ * Utilisée à la fois par le registre MCP et par les routes REST
+ */
+
+import Ajv from 'ajv';
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+// Schémas compilés, indexés par objet schéma
+const compiledSchemas = new WeakMap();
+
+// Messages des erreurs les plus courantes
+const messages = {
+  required: () => 'champ requis',
+  type: (params) => `doit être de type ${params.type}`,
+  enum: (params) => `doit valoir ${params.allowedValues.join(', ')}`,
+  oneOf: () => 'doit correspondre à exactement une des variantes autorisées',
+  anyOf: () => 'doit correspondre à au moins une des variantes autorisées',
+  minimum: (params) => `doit être supérieur ou égal à ${params.limit}`,
+  maximum: (params) => `doit être inférieur ou égal à ${params.limit}`,
+  minLength: (params) => `doit contenir au moins ${params.limit} caractère(s)`,
+  maxLength: (params) => `doit contenir au plus ${params.limit} caractère(s)`,
+  minItems: (params) => `doit contenir au moins ${params.limit} élément(s)`,
+  maxItems: (params) => `doit contenir au plus ${params.limit} élément(s)`,
+  additionalProperties: () => 'propriété non autorisée'
+};
+
+/**
+ * Erreur levée lorsque des paramètres ne respectent pas le schéma d'un outil
+ */
+export class ValidationError extends Error {
+  /**
+   * @param {string} message - Message général
+   * @param {Array<{field: string, message: string}>} errors - Détail des champs invalides
+   */
+  constructor(message, errors) {
+    super(message);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Valide des paramètres par rapport à un schéma JSON
+ * @param {object} schema - Schéma JSON (inputSchema de l'outil)
+ * @param {any} data - Paramètres à valider
+ * @returns {{valid: boolean, errors: Array<{field: string, message: string}>}} Résultat de la validation
+ */
+export function validate(schema, data) {
+  if (!schema) {
+    return { valid: true, errors: [] };
+  }
+
+  if (!compiledSchemas.has(schema)) {
+    compiledSchemas.set(schema, ajv.compile(schema));
+  }
+
+  const validateFn = compiledSchemas.get(schema);
+  if (validateFn(data)) {
+    return { valid: true, errors: [] };
+  }
+
+  return { valid: false, errors: validateFn.errors.map(formatError) };
+}
+
+/**
+ * Valide les paramètres d'un outil et lève une ValidationError s'ils sont invalides
+ * @param {object} tool - Définition de l'outil (name, inputSchema)
+ * @param {any} params - Paramètres de l'appel
+ */
+export function assertValidToolParams(tool, params) {
+  const { valid, errors } = validate(tool.inputSchema, params);
+
+  if (!valid) {
+    const details = errors.map(error => `${error.field}: ${error.message}`).join('; ');
+    throw new ValidationError(`Paramètres invalides pour l'outil '${tool.name}': ${details}`, errors);
+  }
+}
+
+/**
+ * Convertit une erreur Ajv en { field, message }
+ * @param {object} error - Erreur Ajv
+ * @returns {{field: string, message: string}} Erreur lisible
+ */
+function formatError(error) {
+  const path = error.instancePath.slice(1).replace(/\//g, '.');
+  const field = error.keyword === 'required'
+    ? [path, error.params.missingProperty].filter(Boolean).join('.')
+    : error.keyword === 'additionalProperties'
+      ? [path, error.params.additionalProperty].filter(Boolean).join('.')
+      : path || '(paramètres)';
+  const format = messages[error.keyword];
+
+  return {
+    field,
+    message: format ? format(error.params) : error.message
+  };
+}
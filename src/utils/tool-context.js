@@ -0,0 +1,65 @@
+/**
+ * Contexte d'exécution transmis aux gestionnaires d'outils
+ * Permet de signaler l'avancement d'un traitement long, de détecter son annulation
+ * et, si le client MCP le permet, de lui emprunter son LLM (sampling), que l'appel
+ * vienne d'un client MCP, d'une route REST ou d'un autre agent.
+ */
+
+/**
+ * Crée le contexte d'exécution d'un outil
+ * @param {object} options - Options
+ * @param {AbortSignal} options.signal - Signal d'annulation (notifications/cancelled, déconnexion HTTP...)
+ * @param {Function} options.onProgress - Appelée avec { progress, total, message }
+ * @param {string} options.sessionId - Identifiant de la session MCP à l'origine de l'appel
+ * @param {Function} options.createMessage - Envoie une requête sampling/createMessage au client, si supporté
+ * @returns {{signal: AbortSignal, sessionId: string|null, canSample: boolean, reportProgress: Function,
+ *   throwIfAborted: Function, createMessage: Function}} Contexte
+ */
+export function createToolContext(options = {}) {
+  const { signal = new AbortController().signal, onProgress = null, sessionId = null, createMessage = null } = options;
+
+  return {
+    signal,
+    sessionId,
+    canSample: Boolean(createMessage),
+
+    /**
+     * Signale l'avancement du traitement
+     * @param {number} progress - Quantité de travail effectuée
+     * @param {number} total - Quantité totale de travail, si connue
+     * @param {string} message - Description de l'étape en cours
+     */
+    reportProgress(progress, total, message) {
+      if (onProgress) {
+        onProgress({ progress, total, message });
+      }
+    },
+
+    /**
+     * Interrompt le traitement si l'appel a été annulé
+     * @throws {Error} AbortError si le signal est déclenché
+     */
+    throwIfAborted() {
+      if (signal.aborted) {
+        // La raison fournie par le SDK peut être une simple chaîne
+        const error = new Error(`Appel annulé${typeof signal.reason === 'string' ? `: ${signal.reason}` : ''}`);
+        error.name = 'AbortError';
+        throw error;
+      }
+    },
+
+    /**
+     * Demande une génération au LLM du client MCP (sampling/createMessage)
+     * @param {object} params - Paramètres de la requête (messages, systemPrompt, maxTokens...)
+     * @returns {Promise<object>} Réponse du client (role, content, model)
+     * @throws {Error} Si le client ne supporte pas le sampling
+     */
+    async createMessage(params) {
+      if (!createMessage) {
+        throw new Error('Le client ne supporte pas le sampling');
+      }
+
+      return createMessage(params);
+    }
+  };
+}
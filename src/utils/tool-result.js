@@ -0,0 +1,100 @@
+/**
+ * Mise en forme des résultats d'outils au format MCP (CallToolResult)
+ * Un résultat contient un résumé lisible (bloc texte), éventuellement des blocs image,
+ * et l'objet complet dans structuredContent, conforme à l'outputSchema déclaré par l'outil.
+ */
+
+// Signatures base64 des formats d'image courants
+const imageSignatures = [
+  { prefix: 'iVBORw0KGgo', mimeType: 'image/png' },
+  { prefix: '/9j/', mimeType: 'image/jpeg' },
+  { prefix: 'R0lGOD', mimeType: 'image/gif' },
+  { prefix: 'UklGR', mimeType: 'image/webp' }
+];
+
+/**
+ * Construit le résultat d'un outil
+ * @param {object} data - Résultat complet, transmis dans structuredContent
+ * @param {object} options - Options
+ * @param {string} options.summary - Résumé lisible (JSON indenté par défaut)
+ * @param {Array<object>} options.images - Blocs image à joindre (voir imageContent)
+ * @returns {object} Résultat conforme à CallToolResult
+ */
+export function toolResult(data, options = {}) {
+  const { summary = JSON.stringify(data, null, 2), images = [] } = options;
+
+  return {
+    content: [{ type: 'text', text: summary }, ...images],
+    structuredContent: data
+  };
+}
+
+/**
+ * Construit le résultat d'un outil en échec
+ * @param {string} message - Message d'erreur présenté au client
+ * @returns {object} Résultat conforme à CallToolResult, marqué isError
+ */
+export function toolError(message) {
+  return {
+    isError: true,
+    content: [{ type: 'text', text: message }]
+  };
+}
+
+/**
+ * Construit un bloc image à partir de données base64 (brutes ou data URI)
+ * @param {string} base64 - Image encodée en base64
+ * @param {string} mimeType - Type MIME, déduit des données s'il n'est pas fourni
+ * @returns {object|null} Bloc image, ou null si le format n'est pas reconnu
+ */
+export function imageContent(base64, mimeType) {
+  const dataUri = base64.match(/^data:(image\/[\w.+-]+);base64,(.*)$/s);
+  const data = dataUri ? dataUri[2] : base64;
+  const type = mimeType || (dataUri && dataUri[1])
+    || imageSignatures.find(signature => data.startsWith(signature.prefix))?.mimeType;
+
+  return type ? { type: 'image', data, mimeType: type } : null;
+}
+
+/**
+ * Retourne le texte d'un résultat d'outil (blocs texte concaténés)
+ * Utile pour remonter le message d'un résultat isError
+ * @param {object} result - Résultat conforme à CallToolResult
+ * @returns {string} Texte du résultat
+ */
+export function getResultText(result) {
+  return result.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n');
+}
+
+/**
+ * Convertit le retour d'un gestionnaire d'outil en CallToolResult
+ * Les retours déjà conformes (tableau de blocs) sont conservés ; les anciens retours
+ * `{ content: objet }` sont sérialisés dans un bloc texte et exposés en structuredContent
+ * @param {object} result - Retour du gestionnaire
+ * @returns {object} Résultat conforme à CallToolResult
+ */
+export function toCallToolResult(result) {
+  if (result && Array.isArray(result.content)) {
+    return result;
+  }
+
+  const payload = result && typeof result === 'object' && 'content' in result ? result.content : result;
+
+  if (result && result.isError) {
+    return toolError(typeof payload === 'string' ? payload : (payload && payload.message) || JSON.stringify(payload));
+  }
+
+  if (payload && typeof payload === 'object' && !Array.isArray(payload)) {
+    return toolResult(payload);
+  }
+
+  return {
+    content: [{
+      type: 'text',
+      text: typeof payload === 'string' ? payload : JSON.stringify(payload, null, 2)
+    }]
+  };
+}
@@ -0,0 +1,126 @@
+/**
+ * Script de test du journal d'audit, hors ligne : chargement d'un fichier terminé par une ligne
+ * tronquée (écriture interrompue), masquage des arguments sensibles, puis rejeu refusé pour un
+ * outil qui agit sur une plateforme et accepté pour une lecture une fois les valeurs masquées fournies
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import BaseAgent from './src/agents/base-agent.js';
+import mcpMiddleware from './src/middleware/mcp-middleware.js';
+import { AuditLog } from './src/utils/audit-log.js';
+import { toolResult } from './src/utils/tool-result.js';
+import config from './src/config/config.js';
+import logger from './src/utils/logger.js';
+
+/**
+ * Agent fictif : un outil de lecture et un outil de publication
+ */
+class NotesAgent extends BaseAgent {
+  constructor() {
+    super('notes', {});
+  }
+
+  async initialize() {
+    this.registerTool({
+      name: 'read_note',
+      description: 'Lit une note',
+      inputSchema: { type: 'object', properties: { id: { type: 'string' }, apiKey: { type: 'string' } }, required: ['id', 'apiKey'] },
+      handler: async ({ id }) => toolResult({ id, text: `Note ${id}` }, { summary: `Note ${id}` })
+    });
+
+    this.registerTool({
+      name: 'publish_note',
+      description: 'Publie une note',
+      inputSchema: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] },
+      handler: async ({ text }) => toolResult({ id: 'n-1', text }, { summary: 'Note publiée' }),
+      sideEffects: true
+    });
+  }
+}
+
+async function testAuditLog() {
+  logger.info('Démarrage du test du journal d\'audit');
+
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'audit-'));
+  const file = path.join(directory, 'audit.jsonl');
+
+  try {
+    // Chargement : trois enregistrements valides, une ligne illisible, puis une ligne tronquée
+    const writer = new AuditLog({ ...config.audit, path: null });
+    const records = ['a', 'b', 'c'].map(id => writer.record({ kind: 'tool', name: 'read_note', arguments: { id, apiKey: 'secret' } }));
+    const lines = records.map(record => JSON.stringify(record));
+    lines.splice(2, 0, '{pas du json');
+    await fs.writeFile(file, `${lines.join('\n')}\n${JSON.stringify(records[0]).slice(0, 40)}`);
+
+    const loaded = new AuditLog({ ...config.audit, path: file });
+    await loaded.initialize();
+    logger.info('Enregistrements chargés:', { ids: loaded.records.map(record => record.arguments.id) });
+    assert(loaded.records.length === 3, `3 enregistrements attendus, ${loaded.records.length} chargés`);
+    assert(loaded.records.map(record => record.id).join() === records.map(record => record.id).join(), 'les enregistrements valides doivent être gardés dans l\'ordre');
+    assert(loaded.get(records[2].id) !== null, 'l\'enregistrement suivant la ligne illisible doit être chargé');
+
+    // La limite mémoire garde les plus récents
+    const limited = new AuditLog({ ...config.audit, path: file, memoryLimit: 2 });
+    await limited.initialize();
+    assert(limited.records.length === 2 && limited.records[0].id === records[1].id, 'seuls les 2 enregistrements les plus récents doivent être gardés');
+
+    // Les nouveaux enregistrements sont ajoutés à la suite du fichier
+    loaded.record({ kind: 'tool', name: 'read_note', arguments: { id: 'd', apiKey: 'secret' } });
+    await loaded.shutdown();
+    const reloaded = new AuditLog({ ...config.audit, path: file });
+    await reloaded.initialize();
+    assert(reloaded.records.length === 4 && reloaded.records[3].arguments.id === 'd', 'l\'enregistrement ajouté après une ligne tronquée doit être lisible');
+
+    // Masquage des arguments sensibles et troncature des chaînes longues
+    const masked = writer.record({
+      kind: 'tool',
+      name: 'read_note',
+      arguments: { id: 'e', options: { password: 'p4ss', accounts: [{ token: 't0k' }] }, text: 'x'.repeat(config.audit.maxStringLength + 10) }
+    });
+    logger.info('Enregistrement masqué:', { arguments: masked.arguments, redacted: masked.redacted });
+    assert(masked.arguments.options.password === '[MASQUÉ]' && masked.arguments.options.accounts[0].token === '[MASQUÉ]', 'les secrets doivent être masqués');
+    assert(masked.arguments.id === 'e', 'les autres arguments doivent être gardés');
+    assert(masked.arguments.text.includes('[tronqué'), 'les chaînes trop longues doivent être tronquées');
+    assert(['options.password', 'options.accounts[0].token', 'text'].every(field => masked.redacted.includes(field)), 'les chemins masqués doivent être listés');
+    assert(!JSON.stringify(masked).includes('p4ss') && !JSON.stringify(masked).includes('t0k'), 'aucun secret ne doit rester dans l\'enregistrement');
+
+    // Rejeu : refusé pour un outil qui publie, accepté pour une lecture avec les valeurs masquées fournies
+    const agent = new NotesAgent();
+    mcpMiddleware.registerAgent(agent.id, agent);
+    await agent.start();
+
+    const publish = writer.record({ kind: 'tool', name: 'publish_note', arguments: { text: 'Bonjour' } });
+    assert(!mcpMiddleware.isReplayable(publish), 'un outil à effets ne doit pas être rejouable');
+    const refused = await mcpMiddleware.replay(publish).then(() => null, error => error);
+    assert(refused && refused.message.includes('ne peut pas être rejoué'), 'le rejeu d\'un outil à effets doit être refusé');
+
+    const read = loaded.records[0];
+    assert(mcpMiddleware.isReplayable(read), 'un outil de lecture doit être rejouable');
+    const missing = await mcpMiddleware.replay(read).then(() => null, error => error);
+    assert(missing && missing.name === 'ValidationError' && missing.message.includes('apiKey'), 'les valeurs masquées doivent être exigées');
+
+    const replayed = await mcpMiddleware.replay(read, { apiKey: 'secret' });
+    logger.info('Rejeu:', { result: replayed.content[0].text });
+    assert(!replayed.isError && replayed.structuredContent.id === 'a', 'le rejeu doit appeler l\'outil avec les arguments enregistrés');
+
+    await agent.stop();
+    mcpMiddleware.unregisterAgent(agent.id);
+    logger.info('Test terminé avec succès');
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Échec : ${message}`);
+  }
+}
+
+// Exécuter le test
+testAuditLog().catch(error => {
+  logger.error('Erreur non gérée:', { error: error.message, stack: error.stack });
+  process.exit(1);
+});
@@ -0,0 +1,159 @@
+/**
+ * Script de test pour l'agent Bluesky, hors ligne, contre le PDS simulé :
+ * résolution de handles, fils de comptes, recherche, publication (facettes en octets
+ * UTF-8, images), suppression, renouvellement de session et analyse d'un post
+ */
+
+import BlueskyAgent from './src/agents/bluesky-agent.js';
+import ContentAnalysisAgent from './src/agents/content-analysis-agent.js';
+import { startBlueskyMockServer, MOCK_CREDENTIALS } from './src/mocks/bluesky-api-server.js';
+import logger from './src/utils/logger.js';
+
+// Plus petite image PNG valide (1x1 pixel transparent)
+const PIXEL_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+async function testBlueskyAgent() {
+  // Jetons d'accès de courte durée pour vérifier le renouvellement de session
+  const mockServer = await startBlueskyMockServer({ accessTokenTtl: 1000 });
+
+  try {
+    logger.info('Démarrage du test de l\'agent Bluesky');
+
+    const agent = new BlueskyAgent({ ...MOCK_CREDENTIALS, serviceUrl: mockServer.url, dryRun: false });
+    const contentAgent = new ContentAnalysisAgent();
+    await contentAgent.start();
+    await agent.start();
+
+    // Résolution de handles
+    const resolved = await agent.callTool('resolve_bluesky_handle', { handle: '@Velotaf-Lyon.fr' });
+    logger.info('Handle résolu:', { result: resolved.content[0].text });
+
+    const unknown = await agent.callTool('resolve_bluesky_handle', { handle: 'inconnu.bsky.social' });
+    logger.info('Handle inconnu:', { isError: unknown.isError, result: unknown.content[0].text });
+
+    // Fil du compte de l'agent sur deux pages, fil d'un autre compte (republication comprise)
+    const feed = await agent.callTool('get_bluesky_author_feed', { count: 2 });
+    logger.info('Fil du compte:', { result: feed.content[0].text });
+
+    const nextFeed = await agent.callTool('get_bluesky_author_feed', { count: 2, cursor: feed.structuredContent.nextCursor });
+    logger.info('Fil du compte (page suivante):', { result: nextFeed.content[0].text });
+
+    const media = await agent.callTool('get_bluesky_author_feed', { filter: 'posts_with_media' });
+    logger.info('Posts avec images:', { result: media.content[0].text, mediaUrls: media.structuredContent.posts.map(post => post.mediaUrls) });
+
+    const velotaf = await agent.callTool('get_bluesky_author_feed', { actor: resolved.structuredContent.did });
+    logger.info('Fil de velotaf-lyon.fr:', { result: velotaf.content[0].text });
+
+    // Recherche : hashtag, auteur, tri par popularité, langue
+    const tagged = await agent.callTool('search_bluesky_posts', { query: '#velo', count: 3 });
+    logger.info('Recherche #velo:', { result: tagged.content[0].text, hashtags: tagged.structuredContent.posts.map(post => post.hashtags) });
+
+    const nextTagged = await agent.callTool('search_bluesky_posts', { query: '#velo', count: 3, cursor: tagged.structuredContent.nextCursor });
+    logger.info('Recherche #velo (page suivante):', { result: nextTagged.content[0].text });
+
+    const fromAuthor = await agent.callTool('search_bluesky_posts', { query: 'from:camille-durand.bsky.social vélo', sort: 'top' });
+    logger.info('Recherche from: triée par popularité:', { result: fromAuthor.content[0].text });
+
+    const english = await agent.callTool('search_bluesky_posts', { query: 'bike', lang: 'en' });
+    logger.info('Recherche en anglais:', { result: english.content[0].text });
+
+    // Renouvellement de session : le jeton d'accès a expiré entre deux appels
+    await wait(1200);
+    const afterExpiry = await agent.callTool('search_bluesky_posts', { query: 'atelier', count: 2 });
+    logger.info('Recherche après expiration du jeton:', { isError: afterExpiry.isError, result: afterExpiry.content[0].text });
+
+    // Publication : accents et emoji avant les facettes (offsets en octets), mention, lien avec ancre,
+    // hashtag suivi d'une ponctuation, hashtag en dièse pleine largeur, image
+    agent.on('published', publication => logger.info(`Événement published: ${publication.uri} (${publication.facets.length} facette(s))`));
+
+    const text = 'Éclairage réglé 🚲✨ avec @velotaf-lyon.fr : détails sur https://www.lafabriqueavelos.fr/atelier#horaires. #vélo! ＃réparation';
+    const post = await agent.callTool('post_bluesky', {
+      text,
+      langs: ['fr'],
+      images: [{ data: PIXEL_PNG, alt: 'Phare avant réglé sur l\'établi' }]
+    });
+    logger.info('Post avec facettes et image:', { result: post.content[0].text });
+
+    // Chaque facette doit désigner exactement le texte attendu une fois le post encodé en UTF-8
+    const bytes = Buffer.from(text, 'utf8');
+    const segments = post.structuredContent.facets.map(facet => `${facet.type}: ${bytes.subarray(facet.byteStart, facet.byteEnd).toString('utf8')}`);
+    logger.info('Texte désigné par les facettes:', { segments });
+    assertEqual(segments, [
+      'mention: @velotaf-lyon.fr',
+      'link: https://www.lafabriqueavelos.fr/atelier#horaires',
+      'tag: #vélo',
+      'tag: ＃réparation'
+    ], 'facettes du post (le # de l\'ancre du lien n\'est pas un hashtag, la ponctuation finale est exclue)');
+    assertEqual(post.structuredContent.facets.filter(facet => facet.type === 'tag').map(facet => facet.value), ['vélo', 'réparation'], 'valeurs des hashtags');
+    assert(post.structuredContent.facets[0].value === resolved.structuredContent.did, 'la mention doit désigner le DID résolu');
+
+    const unresolved = await agent.callTool('post_bluesky', { text: 'Merci @inconnu.bsky.social et @camille-durand.bsky.social !' });
+    logger.info('Mention non résolue (texte simple):', { result: unresolved.content[0].text });
+    const mentionBytes = Buffer.from('Merci @inconnu.bsky.social et @camille-durand.bsky.social !', 'utf8');
+    assertEqual(unresolved.structuredContent.facets.map(facet => mentionBytes.subarray(facet.byteStart, facet.byteEnd).toString('utf8')),
+      ['@camille-durand.bsky.social'], 'seule la mention résolue doit être une facette');
+
+    const tooLong = await agent.callTool('post_bluesky', { text: 'Pédalons ! '.repeat(30) });
+    logger.info('Post trop long:', { isError: tooLong.isError, result: tooLong.content[0].text });
+
+    const tooBig = await agent.callTool('post_bluesky', {
+      text: 'Photo haute définition',
+      images: [{ data: Buffer.alloc(1000001).toString('base64'), mimeType: 'image/jpeg' }]
+    });
+    logger.info('Image trop volumineuse:', { isError: tooBig.isError, result: tooBig.content[0].text });
+
+    // Le post publié est relu dans le fil, puis analysé comme un tweet
+    const published = await agent.callTool('search_bluesky_posts', { query: 'from:fabriqueavelos.bsky.social Éclairage' });
+    logger.info('Post publié relu:', { post: published.structuredContent.posts[0] });
+
+    const { text: publishedText, mediaUrls } = published.structuredContent.posts[0];
+    const analysis = await contentAgent.callTool('analyze_post', { text: publishedText, mediaUrls, platform: 'bluesky' });
+    logger.info('Analyse du post:', { isError: analysis.isError, result: analysis.content[0].text });
+
+    // Suppression
+    agent.on('deleted', deletion => logger.info(`Événement deleted: ${deletion.uri}`));
+    const deleted = await agent.callTool('delete_bluesky_post', { uri: unresolved.structuredContent.uri });
+    logger.info('Suppression:', { result: deleted.content[0].text });
+
+    const notOwn = await agent.callTool('delete_bluesky_post', { uri: velotaf.structuredContent.posts.find(item => !item.repostedBy).id });
+    logger.info('Suppression d\'un post d\'un autre compte:', { isError: notOwn.isError, result: notOwn.content[0].text });
+
+    const publications = await agent.getPublications();
+    logger.info(`Publications: ${publications.content.total}`);
+    await agent.stop();
+
+    // Simulation : les écritures sont journalisées sans être envoyées
+    const dryRunAgent = new BlueskyAgent({ ...MOCK_CREDENTIALS, serviceUrl: mockServer.url, dryRun: true });
+    await dryRunAgent.start();
+    const simulated = await dryRunAgent.callTool('post_bluesky', { text: 'Simulation #velo', images: [{ data: PIXEL_PNG }] });
+    logger.info('Post simulé:', { result: simulated.content[0].text });
+    const simulatedDeletion = await dryRunAgent.callTool('delete_bluesky_post', { uri: post.structuredContent.uri });
+    logger.info('Suppression simulée:', { result: simulatedDeletion.content[0].text });
+    await dryRunAgent.stop();
+
+    await contentAgent.stop();
+    logger.info('Test terminé avec succès');
+  } finally {
+    await mockServer.close();
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Échec : ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  assert(JSON.stringify(actual) === JSON.stringify(expected), `${message} : ${JSON.stringify(actual)} au lieu de ${JSON.stringify(expected)}`);
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Exécuter le test
+testBlueskyAgent().catch(error => {
+  logger.error('Erreur non gérée:', { error: error.message, stack: error.stack });
+  process.exit(1);
+});
@@ -0,0 +1,129 @@
+/**
+ * Script de test pour l'agent d'engagement, hors ligne, contre les API simulées Mastodon et Facebook :
+ * relève des mentions et des commentaires, mention reçue par la veille (bus de messages), priorités
+ * calculées par l'agent d'analyse de contenu, brouillons, délais dépassés, approbation et statistiques
+ */
+
+import EngagementAgent from './src/agents/engagement-agent.js';
+import ContentAnalysisAgent from './src/agents/content-analysis-agent.js';
+import MastodonAgent from './src/agents/mastodon-agent.js';
+import FacebookAgent from './src/agents/facebook-agent.js';
+import mcpMiddleware from './src/middleware/mcp-middleware.js';
+import { startMastodonMockServer, MOCK_CREDENTIALS as MASTODON_CREDENTIALS } from './src/mocks/mastodon-api-server.js';
+import { startFacebookMockServer, MOCK_CREDENTIALS as FACEBOOK_CREDENTIALS } from './src/mocks/facebook-api-server.js';
+import logger from './src/utils/logger.js';
+
+async function testEngagementAgent() {
+  const mastodonServer = await startMastodonMockServer();
+  const facebookServer = await startFacebookMockServer();
+
+  try {
+    logger.info('Démarrage du test de l\'agent d\'engagement');
+
+    // Délai de réponse très court pour observer les retards
+    const agent = new EngagementAgent({ responseTime: 1500, slaCheckInterval: 200, pollInterval: 60000 });
+    const contentAgent = new ContentAnalysisAgent();
+    const mastodon = new MastodonAgent({ ...MASTODON_CREDENTIALS, instanceUrl: mastodonServer.instanceUrl, dryRun: false, watch: { pollInterval: 300 } });
+    const facebook = new FacebookAgent({ ...FACEBOOK_CREDENTIALS, baseUrl: facebookServer.baseUrl, dryRun: false });
+
+    [agent, contentAgent, mastodon, facebook].forEach(registered => mcpMiddleware.registerAgent(registered.id, registered));
+    await contentAgent.start();
+    await mastodon.start();
+    await facebook.start();
+    await agent.start();
+
+    agent.on('overdue', item => logger.info(`Événement overdue : ${item.id} (échéance ${item.dueAt})`));
+    agent.on('item-received', item => logger.info(`Événement item-received : ${item.id} (${item.priority.level})`));
+
+    // Relève : mentions Mastodon de la semaine et commentaires des publications Facebook récentes
+    const inbox = await agent.callTool('list_engagement_inbox', { refresh: true });
+    logger.info('Boîte de réception:', { result: inbox.content[0].text });
+
+    const spam = inbox.structuredContent.items.find(item => item.priority.flagged);
+    logger.info('Commentaire signalé par la modération:', { id: spam && spam.id, priority: spam && spam.priority });
+
+    // Mention reçue par la veille : transmise sur le bus puis retrouvée par la relève sans doublon
+    await mastodon.callTool('start_mastodon_watch', { hashtags: [], mentions: true });
+    await wait(400);
+    mastodonServer.addStatus({ acct: 'cyclonews', text: '@fabriqueavelos Pourquoi l\'atelier est-il fermé samedi ? Nos lecteurs demandent.' });
+    await wait(800);
+
+    const question = (await agent.callTool('list_engagement_inbox', { platform: 'mastodon', limit: 1, refresh: true })).structuredContent.items[0];
+    logger.info('Mention la plus prioritaire:', { id: question.id, priority: question.priority, draft: question.draft });
+
+    // Délai dépassé pour les éléments sans réponse
+    await wait(1800);
+    const overdue = await agent.callTool('list_engagement_inbox', { status: 'overdue' });
+    logger.info('Éléments en retard:', { result: overdue.content[0].text });
+
+    // Brouillon corrigé à la main, puis approuvé : réponse envoyée par l'agent Mastodon
+    const drafted = await agent.callTool('draft_reply', { itemId: question.id, text: 'L\'atelier rouvre samedi prochain, merci de relayer !' });
+    logger.info('Brouillon:', { result: drafted.content[0].text });
+
+    const approved = await agent.callTool('approve_reply', { itemId: question.id });
+    logger.info('Réponse approuvée:', { result: approved.content[0].text, reply: approved.structuredContent.reply });
+
+    const again = await agent.callTool('approve_reply', { itemId: question.id });
+    logger.info('Deuxième approbation:', { isError: again.isError, result: again.content[0].text });
+
+    // Deux approbations simultanées du même élément : une seule réponse est envoyée
+    const concurrent = inbox.structuredContent.items.find(item => item.platform === 'mastodon' && item.id !== question.id);
+    let sent = 0;
+    mastodon.on('published', () => sent++);
+    const approvals = await Promise.all([
+      agent.callTool('approve_reply', { itemId: concurrent.id, text: 'Merci pour votre message !' }),
+      agent.callTool('approve_reply', { itemId: concurrent.id, text: 'Merci pour votre message !' })
+    ]);
+    logger.info('Approbations simultanées:', { results: approvals.map(approval => approval.content[0].text), sent });
+    if (approvals.filter(approval => !approval.isError).length !== 1 || sent !== 1) {
+      throw new Error(`Approbations simultanées : ${sent} réponse(s) envoyée(s) au lieu d'une`);
+    }
+
+    // Facebook n'a pas d'outil de réponse : l'élément est clos à la main
+    const comment = inbox.structuredContent.items.find(item => item.platform === 'facebook' && !item.priority.flagged);
+    const unsupported = await agent.callTool('approve_reply', { itemId: comment.id });
+    logger.info('Réponse Facebook:', { isError: unsupported.isError, result: unsupported.content[0].text });
+
+    const resolved = await agent.callTool('resolve_engagement_item', { itemId: comment.id, outcome: 'responded' });
+    logger.info('Répondu sur la plateforme:', { result: resolved.content[0].text });
+
+    const dismissed = await agent.callTool('resolve_engagement_item', { itemId: spam.id, outcome: 'dismissed' });
+    logger.info('Spam écarté:', { result: dismissed.content[0].text });
+
+    // La réponse publiée par l'agent n'apparaît pas comme une nouvelle mention
+    const afterReply = await agent.callTool('list_engagement_inbox', { status: 'all', platform: 'mastodon', refresh: true });
+    logger.info('Mentions Mastodon après la réponse:', { ids: afterReply.structuredContent.items.map(item => `${item.id} (${item.status})`) });
+
+    // Sans agent d'analyse de contenu, la priorité est estimée localement
+    await contentAgent.stop();
+    facebookServer.addComment('104729385610247_812000000000005', { message: 'Vous livrez à Villeurbanne ?', from: { id: '3051000000000099', name: 'Noé Martin' } });
+    const fallback = (await agent.callTool('list_engagement_inbox', { platform: 'facebook', refresh: true })).structuredContent.items
+      .find(item => item.text.includes('Villeurbanne'));
+    logger.info('Priorité sans agent d\'analyse:', { priority: fallback.priority });
+
+    const stats = await agent.callTool('get_engagement_stats', {});
+    logger.info('Statistiques:', { result: stats.content[0].text });
+
+    const resource = await agent.getInbox();
+    logger.info(`Ressource engagement://inbox : ${resource.content.items.length} élément(s) en attente`);
+
+    await agent.stop();
+    await facebook.stop();
+    await mastodon.stop();
+    [agent, contentAgent, mastodon, facebook].forEach(stopped => mcpMiddleware.unregisterAgent(stopped.id));
+    logger.info('Test terminé avec succès');
+  } finally {
+    await facebookServer.close();
+    await mastodonServer.close();
+  }
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Exécuter le test
+testEngagementAgent().catch(error => {
+  logger.error('Erreur non gérée:', { error: error.message, stack: error.stack });
+  process.exit(1);
+});
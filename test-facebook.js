@@ -0,0 +1,182 @@
+/**
+ * Script de test pour l'agent Facebook, hors ligne, contre l'API simulée :
+ * lecture de la page, publication et programmation, statistiques, commentaires
+ * et modération à partir de l'analyse de contenu (bus de messages)
+ */
+
+import FacebookAgent from './src/agents/facebook-agent.js';
+import ContentAnalysisAgent from './src/agents/content-analysis-agent.js';
+import mcpMiddleware from './src/middleware/mcp-middleware.js';
+import { startFacebookMockServer, MOCK_CREDENTIALS } from './src/mocks/facebook-api-server.js';
+import logger from './src/utils/logger.js';
+
+async function testFacebookAgent() {
+  const mockServer = await startFacebookMockServer();
+
+  try {
+    logger.info('Démarrage du test de l\'agent Facebook');
+
+    const agent = new FacebookAgent({ ...MOCK_CREDENTIALS, baseUrl: mockServer.baseUrl, dryRun: false });
+    const contentAgent = new ContentAnalysisAgent();
+
+    // Le bus de messages relie l'agent Facebook à l'agent d'analyse pour la modération
+    mcpMiddleware.registerAgent(agent.id, agent);
+    mcpMiddleware.registerAgent(contentAgent.id, contentAgent);
+    await contentAgent.start();
+    await agent.start();
+
+    // Page, posts sur deux pages, statistiques et commentaires
+    const page = await agent.callTool('get_facebook_page', {});
+    logger.info('Page:', { result: page.content[0].text });
+    assert(page.structuredContent.id === MOCK_CREDENTIALS.pageId && page.structuredContent.followersCount > 0, 'page Facebook');
+
+    const firstPage = await agent.callTool('get_facebook_posts', { count: 3 });
+    logger.info('Posts:', { result: firstPage.content[0].text });
+    assert(firstPage.structuredContent.posts.length === 3 && firstPage.structuredContent.nextCursor, 'première page de 3 posts avec un curseur');
+
+    const secondPage = await agent.callTool('get_facebook_posts', { count: 3, after: firstPage.structuredContent.nextCursor });
+    logger.info('Posts (page suivante):', { result: secondPage.content[0].text });
+    const firstIds = firstPage.structuredContent.posts.map(item => item.id);
+    assert(secondPage.structuredContent.posts.length > 0 && secondPage.structuredContent.posts.every(item => !firstIds.includes(item.id)),
+      'la page suivante doit commencer après la première');
+    assert(secondPage.structuredContent.nextCursor === null, 'la dernière page ne doit pas avoir de curseur');
+
+    const latestPostId = firstPage.structuredContent.posts[0].id;
+    const pageInsights = await agent.callTool('get_facebook_insights', { period: 'week' });
+    logger.info('Statistiques de la page:', { result: pageInsights.content[0].text });
+    assert(pageInsights.structuredContent.period === 'week' && pageInsights.structuredContent.metrics.page_impressions > 0, 'statistiques de la page sur la semaine');
+
+    const postInsights = await agent.callTool('get_facebook_insights', { postId: latestPostId });
+    logger.info('Statistiques du post:', { result: postInsights.content[0].text });
+    assert(postInsights.structuredContent.id === latestPostId && postInsights.structuredContent.metrics.post_impressions > 0, 'statistiques du post');
+
+    const comments = await agent.callTool('get_facebook_comments', { postId: latestPostId });
+    logger.info('Commentaires:', { result: comments.content[0].text });
+    assert(comments.structuredContent.postId === latestPostId && comments.structuredContent.comments.length > 0, 'commentaires du post');
+
+    // Publication : texte avec lien, photo, post programmé dans deux jours
+    agent.on('published', publication => logger.info(`Événement published: ${publication.id} (${publication.action})`));
+
+    const post = await agent.callTool('publish_facebook_post', {
+      message: 'Notre guide d\'entretien hivernal est en ligne !',
+      link: 'https://www.lafabriqueavelos.fr/guides/hiver'
+    });
+    logger.info('Post:', { result: post.content[0].text });
+    assert(post.structuredContent.action === 'post' && post.structuredContent.id && post.structuredContent.link === 'https://www.lafabriqueavelos.fr/guides/hiver' && !post.structuredContent.dryRun,
+      'post avec lien publié');
+
+    const photo = await agent.callTool('publish_facebook_post', {
+      message: 'L\'atelier fait peau neuve',
+      imageUrl: 'https://cdn.lafabriqueavelos.fr/atelier-2026.jpg'
+    });
+    logger.info('Photo:', { result: photo.content[0].text });
+    assert(photo.structuredContent.action === 'photo' && photo.structuredContent.url.includes('/photos/'), 'photo publiée');
+
+    const scheduledAt = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString();
+    const scheduled = await agent.callTool('publish_facebook_post', { message: 'Rappel : atelier réparation jeudi 18h', scheduledAt });
+    logger.info('Post programmé:', { result: scheduled.content[0].text });
+    assert(scheduled.structuredContent.scheduledAt && scheduled.structuredContent.url === null, 'post programmé, sans adresse avant sa publication');
+
+    const upcoming = await agent.callTool('get_facebook_scheduled_posts', {});
+    logger.info('Posts programmés:', { result: upcoming.content[0].text });
+    assertEqual(upcoming.structuredContent.posts.map(item => item.id), [scheduled.structuredContent.id], 'posts programmés');
+
+    // Une date trop proche est refusée avant tout envoi
+    const tooSoon = await agent.callTool('publish_facebook_post', { message: 'Trop tôt', scheduledAt: new Date(Date.now() + 60 * 1000).toISOString() });
+    logger.info('Programmation trop proche:', { isError: tooSoon.isError, result: tooSoon.content[0].text });
+    assert(tooSoon.isError, 'une date de programmation trop proche doit être refusée');
+
+    // Modération manuelle : masquage, réaffichage puis suppression
+    agent.on('comment-moderated', moderation => logger.info(`Événement comment-moderated: ${moderation.commentId} (${moderation.action}, ${moderation.source})`));
+
+    const commentId = comments.structuredContent.comments.find(comment => comment.author === 'Camille Durand').id;
+    const hidden = await agent.callTool('hide_facebook_comment', { commentId });
+    logger.info('Masquage:', { result: hidden.content[0].text });
+    assert(hidden.structuredContent.commentId === commentId && hidden.structuredContent.action === 'hide', 'commentaire masqué');
+
+    const shown = await agent.callTool('hide_facebook_comment', { commentId, hidden: false });
+    logger.info('Réaffichage:', { result: shown.content[0].text });
+    assert(shown.structuredContent.action === 'unhide', 'commentaire réaffiché');
+
+    // Aperçu puis modération des derniers posts par l'agent d'analyse de contenu
+    const preview = await agent.callTool('moderate_facebook_comments', { preview: true });
+    logger.info('Aperçu de la modération:', { result: preview.content[0].text });
+    assert(preview.structuredContent.preview && preview.structuredContent.flagged > 0 && preview.structuredContent.comments.every(item => item.action === null),
+      'l\'aperçu ne doit modérer aucun commentaire');
+
+    const moderated = await agent.callTool('moderate_facebook_comments', {});
+    logger.info('Modération:', { result: moderated.content[0].text });
+    assert(moderated.structuredContent.flagged === preview.structuredContent.flagged &&
+      moderated.structuredContent.comments.every(item => Boolean(item.action) === item.verdict.flagged), 'seuls les commentaires signalés doivent être modérés');
+
+    const afterModeration = await agent.callTool('get_facebook_comments', { postId: latestPostId });
+    logger.info('Commentaires après modération:', { result: afterModeration.content[0].text });
+    const flaggedIds = moderated.structuredContent.comments.filter(item => item.action === 'hide').map(item => item.commentId);
+    assert(afterModeration.structuredContent.comments.filter(item => flaggedIds.includes(item.id)).every(item => item.isHidden), 'les commentaires modérés doivent être masqués');
+
+    await agent.stop();
+    mcpMiddleware.unregisterAgent(agent.id);
+
+    // Modération automatique : seuls les nouveaux commentaires sont analysés
+    const autoAgent = new FacebookAgent({
+      ...MOCK_CREDENTIALS,
+      baseUrl: mockServer.baseUrl,
+      moderation: { autoModerate: true, interval: 1000, postsToScan: 2 }
+    });
+    mcpMiddleware.registerAgent(autoAgent.id, autoAgent);
+    autoAgent.on('comment-moderated', moderation => logger.info(`Modération automatique: ${moderation.commentId} (${moderation.action})`));
+    await autoAgent.start();
+    await wait(300);
+
+    // Nouveau commentaire sur la photo publiée plus haut, le post le plus récent de la page
+    mockServer.addComment(photo.structuredContent.id, {
+      message: 'Gagnez un vélo électrique, cliquez ici : https://win.example.org/velo',
+      from: { id: '3051000000000099', name: 'Concours Vélo' }
+    });
+    await wait(1500);
+
+    const moderation = await autoAgent.getModerations();
+    logger.info(`Modération automatique: ${moderation.content.total} commentaire(s) modéré(s), ${moderation.content.reviewedComments} examiné(s)`);
+    assert(moderation.content.total === 1 && moderation.content.moderations[0].source !== 'manual', 'seul le nouveau commentaire doit être modéré automatiquement');
+
+    await autoAgent.stop();
+    mcpMiddleware.unregisterAgent(autoAgent.id);
+
+    // Simulation : les requêtes de publication et de modération sont journalisées sans être envoyées
+    const dryRunAgent = new FacebookAgent({ ...MOCK_CREDENTIALS, baseUrl: mockServer.baseUrl, dryRun: true });
+    await dryRunAgent.start();
+    const simulated = await dryRunAgent.callTool('publish_facebook_post', { message: 'Simulation', scheduledAt });
+    logger.info('Post simulé:', { result: simulated.content[0].text });
+    assert(simulated.structuredContent.dryRun && simulated.structuredContent.id.startsWith('dry-run-'), 'le post simulé doit avoir un identifiant simulé');
+    const simulatedDeletion = await dryRunAgent.callTool('delete_facebook_comment', { commentId });
+    logger.info('Suppression simulée:', { result: simulatedDeletion.content[0].text });
+    assert(simulatedDeletion.structuredContent.dryRun && simulatedDeletion.structuredContent.action === 'delete', 'suppression simulée');
+    await dryRunAgent.stop();
+
+    await contentAgent.stop();
+    mcpMiddleware.unregisterAgent(contentAgent.id);
+    logger.info('Test terminé avec succès');
+  } finally {
+    await mockServer.close();
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Échec : ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  assert(JSON.stringify(actual) === JSON.stringify(expected), `${message} : ${JSON.stringify(actual)} au lieu de ${JSON.stringify(expected)}`);
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Exécuter le test
+testFacebookAgent().catch(error => {
+  logger.error('Erreur non gérée:', { error: error.message, stack: error.stack });
+  process.exit(1);
+});
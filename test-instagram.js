@@ -0,0 +1,128 @@
+/**
+ * Script de test pour l'agent Instagram, hors ligne, contre l'API Graph simulée
+ */
+
+import InstagramAgent from './src/agents/instagram-agent.js';
+import { startInstagramMockServer, MOCK_CREDENTIALS } from './src/mocks/instagram-api-server.js';
+import logger from './src/utils/logger.js';
+
+async function testInstagramAgent() {
+  const mockServer = await startInstagramMockServer();
+
+  try {
+    logger.info('Démarrage du test de l\'agent Instagram');
+
+    const agent = new InstagramAgent({
+      ...MOCK_CREDENTIALS,
+      baseUrl: mockServer.baseUrl,
+      dryRun: false,
+      containerPollInterval: 200
+    });
+    await agent.start();
+
+    // Médias sur deux pages
+    const firstPage = await agent.callTool('get_instagram_media', { count: 3 });
+    logger.info('Médias:', { result: firstPage.content[0].text });
+    assert(firstPage.structuredContent.media.length === 3 && firstPage.structuredContent.nextCursor, 'première page de 3 médias avec un curseur');
+
+    const secondPage = await agent.callTool('get_instagram_media', { count: 3, after: firstPage.structuredContent.nextCursor });
+    logger.info('Médias (page suivante):', { result: secondPage.content[0].text });
+    const firstIds = firstPage.structuredContent.media.map(media => media.id);
+    assert(secondPage.structuredContent.media.length > 0 && secondPage.structuredContent.media.every(media => !firstIds.includes(media.id)),
+      'la page suivante doit commencer après la première');
+    assert(secondPage.structuredContent.nextCursor === null, 'la dernière page ne doit pas avoir de curseur');
+
+    // Commentaires et statistiques
+    const reel = firstPage.structuredContent.media[0];
+    const comments = await agent.callTool('get_instagram_comments', { mediaId: reel.id });
+    logger.info('Commentaires:', { result: comments.content[0].text });
+    assert(comments.structuredContent.mediaId === reel.id && comments.structuredContent.comments.length === reel.commentsCount, 'commentaires du reel');
+    assert(comments.structuredContent.comments[0].replies.length === 1, 'les réponses doivent être rattachées à leur commentaire');
+
+    const mediaInsights = await agent.callTool('get_instagram_insights', { mediaId: reel.id });
+    logger.info('Statistiques du média:', { result: mediaInsights.content[0].text });
+    assert(mediaInsights.structuredContent.id === reel.id && mediaInsights.structuredContent.metrics.likes === reel.likeCount, 'statistiques du média');
+
+    const accountInsights = await agent.callTool('get_instagram_insights', { period: 'week' });
+    logger.info('Statistiques du compte:', { result: accountInsights.content[0].text });
+    assert(accountInsights.structuredContent.period === 'week' && accountInsights.structuredContent.metrics.reach > 0, 'statistiques du compte sur la semaine');
+
+    const invalidMetric = await agent.callTool('get_instagram_insights', { mediaId: reel.id, metrics: ['impressions'] });
+    logger.info('Métrique inconnue:', { isError: invalidMetric.isError, result: invalidMetric.content[0].text });
+    assert(invalidMetric.isError, 'une métrique inconnue doit être refusée');
+
+    // Publication : image, carrousel avec vidéo, reel puis réponse à un commentaire
+    agent.on('published', publication => logger.info(`Événement published: ${publication.id} (${publication.action})`));
+
+    const image = await agent.callTool('publish_instagram_image', {
+      imageUrl: 'https://cdn.example.com/visuels/campagne-automne.jpg',
+      caption: 'Nouvelle campagne d\'automne 🍂 #design #branding'
+    });
+    logger.info('Image:', { result: image.content[0].text });
+    assert(image.structuredContent.action === 'image' && image.structuredContent.id && image.structuredContent.containerId && !image.structuredContent.dryRun, 'image publiée');
+
+    const carousel = await agent.callTool('publish_instagram_carousel', {
+      items: [
+        { imageUrl: 'https://cdn.example.com/visuels/etape-1.jpg' },
+        { imageUrl: 'https://cdn.example.com/visuels/etape-2.jpg' },
+        { videoUrl: 'https://cdn.example.com/videos/etape-3.mp4' }
+      ],
+      caption: 'Notre processus en 3 étapes #processus'
+    });
+    logger.info('Carrousel:', { result: carousel.content[0].text });
+    assert(carousel.structuredContent.action === 'carousel' && carousel.structuredContent.mediaUrls.length === 3, 'carrousel de 3 éléments publié');
+
+    const reelPublication = await agent.callTool('publish_instagram_reel', {
+      videoUrl: 'https://cdn.example.com/videos/coulisses.mp4',
+      caption: 'Les coulisses du studio 🎬 #video'
+    });
+    logger.info('Reel:', { result: reelPublication.content[0].text });
+    assert(reelPublication.structuredContent.action === 'reel' && reelPublication.structuredContent.url.includes('/reel/'), 'reel publié');
+
+    const reply = await agent.callTool('reply_to_instagram_comment', {
+      commentId: comments.structuredContent.comments[1].id,
+      message: 'Un mélange d\'objectifs macro et de lumière naturelle !'
+    });
+    logger.info('Réponse:', { result: reply.content[0].text });
+    assert(reply.structuredContent.action === 'reply' && reply.structuredContent.inReplyTo === comments.structuredContent.comments[1].id, 'réponse au commentaire');
+
+    // L'API refuse les images qui ne sont pas au format JPEG
+    const png = await agent.callTool('publish_instagram_image', { imageUrl: 'https://cdn.example.com/visuels/logo.png' });
+    logger.info('Image PNG:', { isError: png.isError, result: png.content[0].text });
+    assert(png.isError, 'une image PNG doit être refusée');
+
+    const latest = await agent.callTool('get_instagram_media', { count: 2 });
+    logger.info('Derniers médias:', { result: latest.content[0].text });
+    assertEqual(latest.structuredContent.media.map(media => media.id), [reelPublication.structuredContent.id, carousel.structuredContent.id], 'derniers médias publiés');
+    logger.info('Limites de débit:', { rateLimits: agent.client.getRateLimits() });
+
+    // Simulation : les requêtes de publication sont journalisées sans être envoyées
+    const dryRunAgent = new InstagramAgent({ ...MOCK_CREDENTIALS, baseUrl: mockServer.baseUrl, dryRun: true });
+    await dryRunAgent.start();
+    const simulated = await dryRunAgent.callTool('publish_instagram_reel', { videoUrl: 'https://cdn.example.com/videos/simule.mp4' });
+    logger.info('Reel simulé:', { result: simulated.content[0].text });
+    assert(simulated.structuredContent.dryRun && simulated.structuredContent.id.startsWith('dry-run-'), 'le reel simulé doit avoir un identifiant simulé');
+    await dryRunAgent.stop();
+
+    await agent.stop();
+    logger.info('Test terminé avec succès');
+  } finally {
+    await mockServer.close();
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Échec : ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  assert(JSON.stringify(actual) === JSON.stringify(expected), `${message} : ${JSON.stringify(actual)} au lieu de ${JSON.stringify(expected)}`);
+}
+
+// Exécuter le test
+testInstagramAgent().catch(error => {
+  logger.error('Erreur non gérée:', { error: error.message, stack: error.stack });
+  process.exit(1);
+});
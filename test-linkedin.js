@@ -0,0 +1,149 @@
+/**
+ * Script de test pour l'agent LinkedIn, hors ligne, contre l'API simulée :
+ * autorisation OAuth 2.0, lecture de la page, publication et renouvellement du jeton
+ */
+
+import fetch from 'node-fetch';
+import LinkedInAgent from './src/agents/linkedin-agent.js';
+import { startLinkedInMockServer, MOCK_CREDENTIALS } from './src/mocks/linkedin-api-server.js';
+import logger from './src/utils/logger.js';
+
+// Plus petite image PNG valide (1x1 pixel transparent)
+const PIXEL_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+async function testLinkedInAgent() {
+  const mockServer = await startLinkedInMockServer();
+
+  try {
+    logger.info('Démarrage du test de l\'agent LinkedIn');
+
+    // Autorisation : sans jeton configuré, l'administrateur autorise l'application et LinkedIn renvoie un code
+    const agent = new LinkedInAgent({
+      apiKey: MOCK_CREDENTIALS.apiKey,
+      apiSecret: MOCK_CREDENTIALS.apiSecret,
+      organizationId: MOCK_CREDENTIALS.organizationId,
+      accessToken: undefined,
+      refreshToken: undefined,
+      redirectUri: 'http://localhost:3000/api/linkedin/auth/callback',
+      baseUrl: mockServer.baseUrl,
+      authBaseUrl: mockServer.authBaseUrl,
+      dryRun: false,
+      imagePollInterval: 200
+    });
+    await agent.start();
+
+    const { url } = agent.client.getAuthorizationUrl();
+    const redirect = await fetch(url, { redirect: 'manual' });
+    const callback = new URL(redirect.headers.get('location'));
+    const authStatus = await agent.client.exchangeAuthorizationCode(callback.searchParams.get('code'), callback.searchParams.get('state'));
+    logger.info('Autorisation:', { status: authStatus });
+
+    // Page, posts sur deux pages, statistiques et commentaires
+    const organization = await agent.callTool('get_linkedin_organization', {});
+    logger.info('Page entreprise:', { result: organization.content[0].text });
+    assert(organization.structuredContent.id === MOCK_CREDENTIALS.organizationId && organization.structuredContent.followerCount > 0, 'page entreprise');
+
+    const firstPage = await agent.callTool('get_linkedin_posts', { count: 3 });
+    logger.info('Posts:', { result: firstPage.content[0].text });
+    assert(firstPage.structuredContent.posts.length === 3 && firstPage.structuredContent.nextStart === 3, 'première page de 3 posts, suite à partir du 4e');
+
+    const secondPage = await agent.callTool('get_linkedin_posts', { count: 3, start: firstPage.structuredContent.nextStart });
+    logger.info('Posts (page suivante):', { result: secondPage.content[0].text });
+    const firstIds = firstPage.structuredContent.posts.map(item => item.id);
+    assert(secondPage.structuredContent.posts.length > 0 && secondPage.structuredContent.posts.every(item => !firstIds.includes(item.id)),
+      'la page suivante doit commencer après la première');
+
+    const postIds = firstPage.structuredContent.posts.map(post => post.id);
+    const statistics = await agent.callTool('get_linkedin_statistics', { postIds });
+    logger.info('Statistiques:', { result: statistics.content[0].text });
+    assertEqual(statistics.structuredContent.posts.map(item => item.id), postIds, 'statistiques de chaque post demandé');
+    assert(statistics.structuredContent.totals.impressions > 0, 'statistiques de la page');
+
+    const comments = await agent.callTool('get_linkedin_comments', { postId: postIds[0] });
+    logger.info('Commentaires:', { result: comments.content[0].text });
+    assert(comments.structuredContent.postId === postIds[0] && comments.structuredContent.comments.length > 0, 'commentaires du post');
+
+    // Publication : texte (hashtags et caractères réservés), image, article, commentaire puis suppression
+    agent.on('published', publication => logger.info(`Événement published: ${publication.id} (${publication.action})`));
+
+    const post = await agent.callTool('publish_linkedin_post', {
+      text: 'Nos 3 priorités (data, automatisation, formation) pour 2027 #Stratégie #PME'
+    });
+    logger.info('Post:', { result: post.content[0].text });
+    assert(post.structuredContent.action === 'post' && post.structuredContent.id.startsWith('urn:li:share:') && !post.structuredContent.dryRun, 'post publié');
+
+    const image = await agent.callTool('publish_linkedin_image', {
+      text: 'Retour en images sur notre séminaire #Équipe',
+      imageData: PIXEL_PNG,
+      altText: 'Photo de groupe'
+    });
+    logger.info('Image:', { result: image.content[0].text });
+    assert(image.structuredContent.action === 'image' && image.structuredContent.mediaId.startsWith('urn:li:image:'), 'image téléversée puis publiée');
+
+    const article = await agent.callTool('publish_linkedin_article', {
+      text: 'Notre nouveau livre blanc est disponible',
+      url: 'https://www.nexalia-conseil.fr/livres-blancs/automatisation',
+      title: 'Automatiser sans se tromper',
+      description: '12 étapes pour cadrer un projet d\'automatisation'
+    });
+    logger.info('Article:', { result: article.content[0].text });
+    assert(article.structuredContent.action === 'article' && article.structuredContent.link === 'https://www.nexalia-conseil.fr/livres-blancs/automatisation', 'article publié');
+
+    const comment = await agent.callTool('comment_on_linkedin_post', {
+      postId: postIds[0],
+      text: 'Merci pour vos retours ! La ventilation par secteur arrive la semaine prochaine.'
+    });
+    logger.info('Commentaire:', { result: comment.content[0].text });
+    assert(comment.structuredContent.action === 'comment' && comment.structuredContent.inReplyTo === postIds[0], 'commentaire publié sous le post');
+
+    const latest = await agent.callTool('get_linkedin_posts', { count: 3 });
+    logger.info('Derniers posts:', { result: latest.content[0].text });
+    assertEqual(latest.structuredContent.posts.map(item => item.id),
+      [article.structuredContent.id, image.structuredContent.id, post.structuredContent.id], 'derniers posts publiés');
+
+    const deleted = await agent.callTool('delete_linkedin_post', { postId: post.structuredContent.id });
+    logger.info('Suppression:', { result: deleted.content[0].text });
+    assert(deleted.structuredContent.deleted && deleted.structuredContent.id === post.structuredContent.id, 'post supprimé');
+
+    // Un contenu qui n'est pas une image acceptée est refusé avant tout envoi
+    const notImage = await agent.callTool('publish_linkedin_image', { imageData: Buffer.from('%PDF-1.7').toString('base64') });
+    logger.info('Contenu non image:', { isError: notImage.isError, result: notImage.content[0].text });
+    assert(notImage.isError, 'un contenu qui n\'est pas une image doit être refusé');
+
+    // Jeton expiré : la requête reçoit un 401, le jeton est renouvelé et la requête renvoyée
+    mockServer.expireAccessTokens();
+    const afterExpiry = await agent.callTool('get_linkedin_organization', {});
+    logger.info('Après expiration du jeton:', { isError: Boolean(afterExpiry.isError), followers: afterExpiry.structuredContent.followerCount });
+    assert(!afterExpiry.isError, 'le jeton expiré doit être renouvelé');
+
+    // Simulation : les requêtes de publication sont journalisées sans être envoyées
+    const dryRunAgent = new LinkedInAgent({ ...MOCK_CREDENTIALS, baseUrl: mockServer.baseUrl, authBaseUrl: mockServer.authBaseUrl, dryRun: true });
+    await dryRunAgent.start();
+    const simulated = await dryRunAgent.callTool('publish_linkedin_image', { text: 'Simulation', imageData: PIXEL_PNG });
+    logger.info('Post simulé:', { result: simulated.content[0].text });
+    assert(simulated.structuredContent.dryRun && simulated.structuredContent.id.includes('dry-run-') && simulated.structuredContent.mediaId.includes('dry-run-'),
+      'le post simulé doit avoir des identifiants simulés');
+    await dryRunAgent.stop();
+
+    await agent.stop();
+    logger.info('Test terminé avec succès');
+  } finally {
+    await mockServer.close();
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Échec : ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  assert(JSON.stringify(actual) === JSON.stringify(expected), `${message} : ${JSON.stringify(actual)} au lieu de ${JSON.stringify(expected)}`);
+}
+
+// Exécuter le test
+testLinkedInAgent().catch(error => {
+  logger.error('Erreur non gérée:', { error: error.message, stack: error.stack });
+  process.exit(1);
+});
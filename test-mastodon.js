@@ -0,0 +1,201 @@
+/**
+ * Script de test pour l'agent Mastodon, hors ligne, contre l'API simulée :
+ * recherche, fils de hashtags et de comptes, notifications, publication (médias,
+ * avertissement de contenu, visibilité), réponse, suppression et veille reliée
+ * à l'agent d'analyse de contenu (bus de messages)
+ */
+
+import MastodonAgent from './src/agents/mastodon-agent.js';
+import ContentAnalysisAgent from './src/agents/content-analysis-agent.js';
+import mcpMiddleware from './src/middleware/mcp-middleware.js';
+import { startMastodonMockServer, MOCK_CREDENTIALS } from './src/mocks/mastodon-api-server.js';
+import logger from './src/utils/logger.js';
+
+// Plus petite image PNG valide (1x1 pixel transparent)
+const PIXEL_PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+async function testMastodonAgent() {
+  const mockServer = await startMastodonMockServer();
+
+  try {
+    logger.info('Démarrage du test de l\'agent Mastodon');
+
+    const agent = new MastodonAgent({
+      ...MOCK_CREDENTIALS,
+      instanceUrl: mockServer.instanceUrl,
+      dryRun: false,
+      watch: { pollInterval: 500 }
+    });
+    const contentAgent = new ContentAnalysisAgent();
+
+    // Le bus de messages relie le sujet stream.post à l'agent d'analyse
+    mcpMiddleware.registerAgent(agent.id, agent);
+    mcpMiddleware.registerAgent(contentAgent.id, contentAgent);
+    await contentAgent.start();
+    await agent.start();
+
+    // Recherche de statuts, de hashtags et de comptes
+    const statuses = await agent.callTool('search_mastodon', { query: 'vélo', count: 5 });
+    logger.info('Statuts:', { result: statuses.content[0].text });
+    assert(statuses.structuredContent.type === 'statuses' && statuses.structuredContent.statuses.length > 0 && statuses.structuredContent.statuses.length <= 5, 'statuts trouvés');
+
+    const hashtags = await agent.callTool('search_mastodon', { query: 'velo', type: 'hashtags' });
+    logger.info('Hashtags:', { result: hashtags.content[0].text });
+    assert(hashtags.structuredContent.hashtags.some(tag => tag.name === 'velo'), 'hashtag #velo trouvé');
+
+    const accounts = await agent.callTool('search_mastodon', { query: 'velotaf', type: 'accounts', resolve: true });
+    logger.info('Comptes:', { result: accounts.content[0].text });
+    assertEqual(accounts.structuredContent.accounts.map(account => account.acct), ['velotaf@piaille.example'], 'compte distant résolu');
+
+    // Fil d'un hashtag sur deux pages, fil d'un compte distant et du compte de l'agent
+    const tagPage = await agent.callTool('get_mastodon_hashtag_timeline', { hashtag: '#velo', count: 2 });
+    logger.info('Fil #velo:', { result: tagPage.content[0].text });
+    assert(tagPage.structuredContent.statuses.length === 2 && tagPage.structuredContent.nextMaxId === tagPage.structuredContent.statuses[1].id,
+      'première page de 2 statuts, suite avant le dernier');
+
+    const nextTagPage = await agent.callTool('get_mastodon_hashtag_timeline', { hashtag: 'velo', count: 2, maxId: tagPage.structuredContent.nextMaxId });
+    logger.info('Fil #velo (page suivante):', { result: nextTagPage.content[0].text });
+    assert(nextTagPage.structuredContent.statuses.length > 0 &&
+      nextTagPage.structuredContent.statuses.every(status => BigInt(status.id) < BigInt(tagPage.structuredContent.nextMaxId)), 'la page suivante doit contenir des statuts plus anciens');
+
+    const remote = await agent.callTool('get_mastodon_account_timeline', { account: '@velotaf@piaille.example' });
+    logger.info('Fil de velotaf:', { result: remote.content[0].text });
+    assert(remote.structuredContent.account.acct === 'velotaf@piaille.example', 'fil du compte distant');
+
+    const own = await agent.callTool('get_mastodon_account_timeline', { excludeReplies: true });
+    logger.info('Fil du compte:', { result: own.content[0].text });
+    assert(own.structuredContent.account.acct.startsWith('fabriqueavelos@') && own.structuredContent.statuses.every(status => !status.inReplyToId),
+      'fil du compte de l\'agent sans les réponses');
+
+    const mentions = await agent.callTool('get_mastodon_notifications', { types: ['mention'] });
+    logger.info('Mentions:', { result: mentions.content[0].text });
+    assert(mentions.structuredContent.notifications.length > 0 && mentions.structuredContent.notifications.every(notification => notification.type === 'mention'),
+      'notifications filtrées sur les mentions');
+
+    // Publication : image avec texte alternatif, avertissement de contenu et visibilité restreinte
+    agent.on('published', publication => logger.info(`Événement published: ${publication.id} (${publication.action}, ${publication.visibility})`));
+
+    const photo = await agent.callTool('post_mastodon_status', {
+      text: 'L\'atelier fait peau neuve ! #velo https://www.lafabriqueavelos.fr/atelier',
+      media: [{ data: PIXEL_PNG, description: 'Vue de l\'atelier rénové' }]
+    });
+    logger.info('Statut avec image:', { result: photo.content[0].text });
+    assert(photo.structuredContent.action === 'status' && photo.structuredContent.mediaIds.length === 1 && !photo.structuredContent.dryRun, 'statut avec image publié');
+
+    const gif = await agent.callTool('post_mastodon_status', {
+      text: 'Tutoriel express : régler ses freins',
+      spoilerText: 'Mécanique',
+      visibility: 'unlisted',
+      media: [{ data: Buffer.from('GIF89a-tutoriel').toString('base64'), mimeType: 'image/gif', description: 'Animation du réglage' }]
+    });
+    logger.info('Statut avec GIF (traitement asynchrone):', { result: gif.content[0].text });
+    assert(gif.structuredContent.visibility === 'unlisted' && gif.structuredContent.spoilerText === 'Mécanique' && gif.structuredContent.sensitive,
+      'statut non listé avec avertissement de contenu');
+
+    const tooLong = await agent.callTool('post_mastodon_status', { text: 'Pédalons ! '.repeat(60) });
+    logger.info('Statut trop long:', { isError: tooLong.isError, result: tooLong.content[0].text });
+    assert(tooLong.isError, 'un statut trop long doit être refusé');
+
+    const pdf = await agent.callTool('post_mastodon_status', { text: 'Notre catalogue', media: [{ data: Buffer.from('%PDF-1.7').toString('base64'), mimeType: 'application/pdf' }] });
+    logger.info('Média refusé:', { isError: pdf.isError, result: pdf.content[0].text });
+    assert(pdf.isError, 'un média non supporté doit être refusé');
+
+    // Réponses : mention de l'auteur, avertissement repris, visibilité limitée à celle du statut d'origine
+    const mention = mentions.structuredContent.notifications.find(notification => notification.status.spoilerText === '' && notification.status.visibility === 'unlisted');
+    const reply = await agent.callTool('reply_to_mastodon_status', { statusId: mention.status.id, text: 'Merci, on s\'en occupe !', visibility: 'public' });
+    logger.info('Réponse:', { result: reply.content[0].text, text: reply.structuredContent.text });
+    assert(reply.structuredContent.inReplyTo === mention.status.id && reply.structuredContent.text.startsWith(`@${mention.status.user.screen_name} `) &&
+      reply.structuredContent.visibility === 'unlisted', 'réponse avec mention, visibilité limitée à celle du statut d\'origine');
+
+    const warned = statuses.structuredContent.statuses.find(status => status.spoilerText);
+    if (warned) {
+      const cwReply = await agent.callTool('reply_to_mastodon_status', { statusId: warned.id, text: 'Bon rétablissement !' });
+      logger.info('Réponse sous avertissement:', { result: cwReply.content[0].text });
+      assert(cwReply.structuredContent.spoilerText === warned.spoilerText, 'l\'avertissement du statut d\'origine doit être repris');
+    }
+
+    const thread = await agent.callTool('reply_to_mastodon_status', { statusId: photo.structuredContent.id, text: 'Horaires : du mardi au samedi, 10h-19h' });
+    logger.info('Suite du fil (sans mention):', { result: thread.content[0].text, text: thread.structuredContent.text });
+    assert(thread.structuredContent.text === 'Horaires : du mardi au samedi, 10h-19h', 'pas de mention en réponse à son propre statut');
+
+    // Suppression
+    agent.on('deleted', deletion => logger.info(`Événement deleted: ${deletion.id}`));
+    const deleted = await agent.callTool('delete_mastodon_status', { statusId: thread.structuredContent.id });
+    logger.info('Suppression:', { result: deleted.content[0].text });
+    assert(deleted.structuredContent.deleted && deleted.structuredContent.id === thread.structuredContent.id, 'statut supprimé');
+
+    const notOwn = await agent.callTool('delete_mastodon_status', { statusId: mention.status.id });
+    logger.info('Suppression d\'un statut d\'un autre compte:', { isError: notOwn.isError, result: notOwn.content[0].text });
+    assert(notOwn.isError, 'un statut d\'un autre compte ne doit pas pouvoir être supprimé');
+
+    const publications = await agent.getPublications();
+    logger.info(`Publications: ${publications.content.total}`);
+
+    // Veille : le premier passage sert de point de départ, les statuts suivants sont relayés et analysés
+    agent.on('stream-post', post => logger.info(`Statut relayé: ${post.id} @${post.user.screen_name} [${post.matchingRules.map(rule => rule.tag).join(', ')}]`));
+    const watch = await agent.callTool('start_mastodon_watch', { hashtags: ['velo', 'velotaf'] });
+    logger.info('Veille:', { result: watch.content[0].text });
+    assert(watch.structuredContent.running && watch.structuredContent.mentions, 'veille démarrée');
+    await wait(800);
+
+    mockServer.addStatus({ acct: 'camille', text: 'Qui vient à la vélorution samedi ? #velo #velotaf' });
+    mockServer.addStatus({ acct: 'lea@pouet.example', text: '@fabriqueavelos ma chaîne saute encore, une idée ?' });
+    mockServer.addStatus({ acct: 'camille', text: 'Réservé aux abonnés #velo', visibility: 'private' });
+    await wait(1500);
+
+    const stopped = await agent.callTool('stop_mastodon_watch', {});
+    logger.info('Veille arrêtée:', { status: stopped.structuredContent });
+    assert(!stopped.structuredContent.running && stopped.structuredContent.received === 2, 'la veille doit relayer les 2 statuts publics reçus');
+
+    // Laisser l'agent d'analyse vider sa file
+    await wait(1000);
+    const analyses = await contentAgent.getAnalysisResults({ type: 'post', tag: '#velo', limit: 3 });
+    logger.info(`Analyses des statuts #velo: ${analyses.content.total}`, {
+      results: analyses.content.results.map(({ id, input }) => ({ id, source: input.source.id, text: input.text }))
+    });
+
+    await agent.stop();
+    mcpMiddleware.unregisterAgent(agent.id);
+
+    // Simulation : les requêtes d'écriture sont journalisées sans être envoyées
+    const dryRunAgent = new MastodonAgent({ ...MOCK_CREDENTIALS, instanceUrl: mockServer.instanceUrl, dryRun: true });
+    await dryRunAgent.start();
+    const simulated = await dryRunAgent.callTool('post_mastodon_status', {
+      text: 'Simulation',
+      media: [{ data: Buffer.from('GIF89a-simulation').toString('base64'), mimeType: 'image/gif' }]
+    });
+    logger.info('Statut simulé:', { result: simulated.content[0].text });
+    assert(simulated.structuredContent.dryRun && simulated.structuredContent.id.startsWith('dry-run-') && simulated.structuredContent.mediaIds[0].startsWith('dry-run-'),
+      'le statut simulé doit avoir des identifiants simulés');
+    const simulatedDeletion = await dryRunAgent.callTool('delete_mastodon_status', { statusId: photo.structuredContent.id });
+    logger.info('Suppression simulée:', { result: simulatedDeletion.content[0].text });
+    assert(simulatedDeletion.structuredContent.dryRun && simulatedDeletion.structuredContent.deleted, 'suppression simulée');
+    await dryRunAgent.stop();
+
+    await contentAgent.stop();
+    mcpMiddleware.unregisterAgent(contentAgent.id);
+    logger.info('Test terminé avec succès');
+  } finally {
+    await mockServer.close();
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Échec : ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  assert(JSON.stringify(actual) === JSON.stringify(expected), `${message} : ${JSON.stringify(actual)} au lieu de ${JSON.stringify(expected)}`);
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Exécuter le test
+testMastodonAgent().catch(error => {
+  logger.error('Erreur non gérée:', { error: error.message, stack: error.stack });
+  process.exit(1);
+});
@@ -0,0 +1,125 @@
+/**
+ * Script de test pour l'agent de personnalisation, hors ligne : abonnés transmis par ingest_audience,
+ * interlocuteurs relevés par l'agent d'engagement (instance Mastodon simulée), segments par sujet et
+ * par langue, puis variantes d'un brouillon pour chaque segment
+ */
+
+import PersonalizationAgent from './src/agents/personalization-agent.js';
+import EngagementAgent from './src/agents/engagement-agent.js';
+import ContentAnalysisAgent from './src/agents/content-analysis-agent.js';
+import MastodonAgent from './src/agents/mastodon-agent.js';
+import mcpMiddleware from './src/middleware/mcp-middleware.js';
+import { startMastodonMockServer, MOCK_CREDENTIALS } from './src/mocks/mastodon-api-server.js';
+import logger from './src/utils/logger.js';
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Abonnés fictifs : chacun publie quelques messages sur un sujet, à une heure donnée
+ */
+function followers(prefix, count, { lang, hour, texts }) {
+  return Array.from({ length: count }, (value, index) => ({
+    platform: 'twitter',
+    id: `${prefix}-${index}`,
+    screen_name: `${prefix}${index}`,
+    followers_count: 100 * (index + 1),
+    posts: texts.map((text, position) => {
+      const createdAt = new Date(Date.now() - (position + 1) * 24 * HOUR);
+      createdAt.setUTCHours(hour, 0, 0, 0);
+      return { id: `${prefix}-${index}-${position}`, text, created_at: createdAt.toISOString(), lang };
+    })
+  }));
+}
+
+async function testPersonalizationAgent() {
+  const mockServer = await startMastodonMockServer();
+
+  try {
+    logger.info('Démarrage du test de l\'agent de personnalisation');
+
+    const agent = new PersonalizationAgent({ minSegmentSize: 2 });
+    const engagement = new EngagementAgent({ sources: ['mastodon'], pollInterval: 60000 });
+    const contentAgent = new ContentAnalysisAgent();
+    const mastodon = new MastodonAgent({ ...MOCK_CREDENTIALS, instanceUrl: mockServer.instanceUrl, dryRun: true });
+
+    [agent, engagement, contentAgent, mastodon].forEach(registered => mcpMiddleware.registerAgent(registered.id, registered));
+    await contentAgent.start();
+    await mastodon.start();
+    await engagement.start();
+    await agent.start();
+
+    // Abonnés : sportifs francophones le soir, passionnés de technologie anglophones le matin
+    const ingested = await agent.callTool('ingest_audience', {
+      members: [
+        ...followers('runner', 4, { lang: 'fr', hour: 18, texts: ['Le match de ce soir avec l\'équipe était génial #sport', 'Sortie vélo et championnat régional #cyclisme'] }),
+        ...followers('dev', 3, { hour: 7, texts: ['Our new smartphone application is ready #tech', 'Trying the AI tools for the app #opensource'] }),
+        ...followers('care', 1, { lang: 'fr', hour: 12, texts: ['Prendre soin de sa santé et de son bien-être'] })
+      ],
+      relation: 'follower'
+    });
+    logger.info('Abonnés:', { result: ingested.content[0].text });
+
+    // Mêmes messages transmis une deuxième fois : pas de double comptage
+    const again = await agent.callTool('ingest_audience', { members: followers('dev', 1, { hour: 7, texts: ['Our new smartphone application is ready #tech'] }) });
+    logger.info('Doublons:', { result: again.content[0].text });
+
+    // Interlocuteurs : mentions Mastodon relevées par l'agent d'engagement et transmises sur le bus
+    await engagement.callTool('list_engagement_inbox', { refresh: true });
+    await wait(300);
+
+    const segments = await agent.callTool('get_audience_segments', {});
+    logger.info('Segments:', { result: segments.content[0].text });
+    logger.info('Activité du premier segment:', { activity: segments.structuredContent.segments[0].activity });
+
+    // Variantes d'un brouillon pour chaque segment, sans sampling
+    const draft = 'Nouvelle boutique ouverte à Lyon : venez découvrir nos vélos et nos ateliers !';
+    const variants = await agent.callTool('generate_post_variants', { text: draft, platform: 'twitter' });
+    logger.info('Variantes:', { result: variants.content[0].text });
+    logger.info('Première variante:', { variant: variants.structuredContent.variants[0] });
+
+    // Segment précis et segment inconnu
+    const targeted = await agent.callTool('generate_post_variants', { text: draft, platform: 'bluesky', segmentIds: ['technologie-en'] });
+    logger.info('Variante ciblée:', { variant: targeted.structuredContent.variants[0] });
+
+    const unknown = await agent.callTool('generate_post_variants', { text: draft, segmentIds: ['inconnu'] });
+    logger.info('Segment inconnu:', { isError: unknown.isError, result: unknown.content[0].text });
+
+    const resource = await agent.getVariantsResource();
+    logger.info(`Ressource personalization://variants : ${resource.content.total} jeu(x) de variantes`);
+
+    await agent.stop();
+    await engagement.stop();
+    await mastodon.stop();
+    await contentAgent.stop();
+    [agent, engagement, contentAgent, mastodon].forEach(stopped => mcpMiddleware.unregisterAgent(stopped.id));
+
+    // Identifiants de messages déjà comptés : les plus anciens sont oubliés au-delà de la limite
+    const bounded = new PersonalizationAgent({ interactionIdsLimit: 3 });
+    mcpMiddleware.registerAgent(bounded.id, bounded);
+    await bounded.start();
+    await bounded.callTool('ingest_audience', { members: followers('bounded', 2, { lang: 'fr', hour: 9, texts: ['Premier message', 'Deuxième message'] }) });
+    logger.info('Identifiants gardés:', { ids: [...bounded.interactionIds] });
+    assert(bounded.interactionIds.size === 3 && !bounded.interactionIds.has('twitter:bounded-0-0'), 'seuls les 3 identifiants les plus récents doivent être gardés');
+    await bounded.stop();
+    mcpMiddleware.unregisterAgent(bounded.id);
+    logger.info('Test terminé avec succès');
+  } finally {
+    await mockServer.close();
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Échec : ${message}`);
+  }
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Exécuter le test
+testPersonalizationAgent().catch(error => {
+  logger.error('Erreur non gérée:', { error: error.message, stack: error.stack });
+  process.exit(1);
+});
@@ -0,0 +1,125 @@
+/**
+ * Script de test du sampling MCP pour l'agent d'analyse de contenu, hors ligne : un client du SDK
+ * relié en mémoire au middleware répond de façon déterministe aux requêtes sampling/createMessage ;
+ * un second client, sans la capacité sampling, vérifie le repli sur les heuristiques
+ * (analyze_text, summarize_text et rewrite_post)
+ */
+
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { CreateMessageRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import ContentAnalysisAgent from './src/agents/content-analysis-agent.js';
+import mcpMiddleware from './src/middleware/mcp-middleware.js';
+import logger from './src/utils/logger.js';
+
+const MODEL = 'faux-modele-1';
+const SUMMARY = 'Le modèle résume : nouvel atelier vélo ouvert à Lyon.';
+const REWRITE = 'Notre atelier vélo ouvre à Lyon ! Passez nous voir #velo';
+
+/**
+ * Réponse déterministe du faux LLM, choisie d'après le prompt système de la requête
+ * @param {object} params - Paramètres de sampling/createMessage
+ * @returns {string} Texte de la réponse
+ */
+function fakeCompletion(params) {
+  if (params.systemPrompt.includes('JSON')) {
+    return JSON.stringify({
+      sentiment: { score: -0.6, label: 'negative', confidence: 0.9 },
+      topics: [{ name: 'mobilité', confidence: 0.8 }]
+    });
+  }
+  if (params.systemPrompt.includes('résumes')) {
+    return SUMMARY;
+  }
+  return REWRITE;
+}
+
+/**
+ * Connecte un client du SDK à un nouveau serveur du middleware, en mémoire
+ * @param {boolean} sampling - Déclarer la capacité sampling et répondre aux requêtes
+ * @param {Array<object>} requests - Reçoit les requêtes de sampling
+ * @returns {Promise<Client>} Client connecté
+ */
+async function connectClient(sampling, requests = []) {
+  const client = new Client({ name: 'test-sampling', version: '1.0.0' }, { capabilities: sampling ? { sampling: {} } : {} });
+
+  if (sampling) {
+    client.setRequestHandler(CreateMessageRequestSchema, async (request) => {
+      requests.push(request.params);
+      return { role: 'assistant', model: MODEL, content: { type: 'text', text: fakeCompletion(request.params) } };
+    });
+  }
+
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await mcpMiddleware.createServer().connect(serverTransport);
+  await client.connect(clientTransport);
+  return client;
+}
+
+async function testSampling() {
+  logger.info('Démarrage du test du sampling');
+
+  const agent = new ContentAnalysisAgent();
+  mcpMiddleware.registerAgent(agent.id, agent);
+  await agent.start();
+
+  const text = 'Super, encore un vélo volé devant la gare... Merci la mairie.';
+  const draft = 'Nouvel   atelier vélo ouvert à Lyon.  Venez nombreux !';
+
+  // Client avec sampling : le LLM du client remplace les heuristiques
+  const requests = [];
+  const samplingClient = await connectClient(true, requests);
+
+  const analysis = (await samplingClient.callTool({ name: 'analyze_text', arguments: { text } })).structuredContent;
+  logger.info('Analyse avec sampling:', { engine: analysis.engine, sentiment: analysis.sentiment, topics: analysis.topics });
+  assert(analysis.engine === 'sampling', 'analyze_text doit utiliser le sampling');
+  assert(analysis.sentiment.label === 'negative' && analysis.sentiment.score === -0.6, 'le sentiment doit venir du modèle');
+  assert(analysis.topics.length === 1 && analysis.topics[0].name === 'mobilité', 'les sujets doivent venir du modèle');
+
+  const summary = (await samplingClient.callTool({ name: 'summarize_text', arguments: { text: draft, maxSentences: 1 } })).structuredContent;
+  logger.info('Résumé avec sampling:', summary);
+  assert(summary.engine === 'sampling' && summary.summary === SUMMARY && summary.model === MODEL, 'summarize_text doit utiliser le sampling');
+
+  const rewrite = (await samplingClient.callTool({ name: 'rewrite_post', arguments: { text: draft, platform: 'twitter' } })).structuredContent;
+  logger.info('Réécriture avec sampling:', rewrite);
+  assert(rewrite.engine === 'sampling' && rewrite.text === REWRITE && rewrite.model === MODEL, 'rewrite_post doit utiliser le sampling');
+
+  assert(requests.length === 3, `3 requêtes de sampling attendues, ${requests.length} reçues`);
+  assert(requests.every(request => request.includeContext === 'none' && request.maxTokens > 0), 'requêtes de sampling mal formées');
+
+  // Client sans sampling : repli sur les heuristiques
+  const plainClient = await connectClient(false);
+
+  const localAnalysis = (await plainClient.callTool({ name: 'analyze_text', arguments: { text } })).structuredContent;
+  logger.info('Analyse sans sampling:', { engine: localAnalysis.engine, sentiment: localAnalysis.sentiment });
+  assert(localAnalysis.engine === 'heuristic', 'analyze_text doit se rabattre sur les heuristiques');
+
+  const localSummary = (await plainClient.callTool({ name: 'summarize_text', arguments: { text: draft, maxSentences: 1 } })).structuredContent;
+  logger.info('Résumé sans sampling:', localSummary);
+  assert(localSummary.engine === 'heuristic' && !localSummary.model, 'summarize_text doit se rabattre sur les heuristiques');
+
+  const localRewrite = (await plainClient.callTool({ name: 'rewrite_post', arguments: { text: draft, platform: 'twitter' } })).structuredContent;
+  logger.info('Réécriture sans sampling:', localRewrite);
+  assert(localRewrite.engine === 'heuristic' && localRewrite.text === 'Nouvel atelier vélo ouvert à Lyon. Venez nombreux !',
+    'rewrite_post doit se rabattre sur la normalisation du texte');
+
+  assert(requests.length === 3, 'aucune requête de sampling ne doit partir du client sans sampling');
+
+  await samplingClient.close();
+  await plainClient.close();
+  await agent.stop();
+  mcpMiddleware.unregisterAgent(agent.id);
+  logger.info('Test terminé avec succès');
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Échec : ${message}`);
+  }
+}
+
+// Exécuter le test
+testSampling().catch(error => {
+  logger.error('Erreur non gérée:', { error: error.message, stack: error.stack });
+  process.exit(1);
+});
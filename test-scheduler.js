@@ -0,0 +1,72 @@
+/**
+ * Script de test du planificateur de requêtes, hors ligne, contre un serveur local qui répond 503 :
+ * une lecture (GET) est relancée, une publication (POST) n'est pas envoyée une deuxième fois
+ * sauf si l'appelant la déclare relançable ; un 429 est relancé quelle que soit la méthode
+ */
+
+import http from 'http';
+import { RequestScheduler } from './src/clients/request-scheduler.js';
+import logger from './src/utils/logger.js';
+
+async function testRequestScheduler() {
+  // Nombre de requêtes reçues par chemin ; les premières reçoivent le statut demandé dans l'URL
+  const received = {};
+  const server = http.createServer((req, res) => {
+    const [, status, failures] = req.url.split('/');
+    received[req.url] = (received[req.url] || 0) + 1;
+    res.writeHead(received[req.url] <= Number(failures) ? Number(status) : 200, { 'Content-Type': 'application/json', 'Retry-After': '0' });
+    res.end('{}');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const scheduler = new RequestScheduler({ maxRetries: 3, baseDelay: 10, maxDelay: 50, resetMargin: 0 });
+  const send = (method, path, options = {}) => scheduler.schedule(
+    { platform: 'test', endpoint: `${method} ${path}`, method, ...options },
+    () => fetch(`${baseUrl}${path}`, { method })
+  );
+
+  try {
+    logger.info('Démarrage du test du planificateur de requêtes');
+
+    const read = await send('GET', '/503/1/lecture');
+    assert(read.status === 200 && received['/503/1/lecture'] === 2, 'un GET en 503 doit être relancé');
+
+    const post = await send('POST', '/503/1/publication');
+    assert(post.status === 503 && received['/503/1/publication'] === 1, 'un POST en 503 ne doit pas être renvoyé');
+
+    const deletion = await send('DELETE', '/503/1/suppression');
+    assert(deletion.status === 503 && received['/503/1/suppression'] === 1, 'un DELETE en 503 ne doit pas être renvoyé');
+
+    const optIn = await send('POST', '/503/1/relancable', { retryable: true });
+    assert(optIn.status === 200 && received['/503/1/relancable'] === 2, 'un POST déclaré relançable doit être relancé');
+
+    const limited = await send('POST', '/429/1/limite');
+    assert(limited.status === 200 && received['/429/1/limite'] === 2, 'un POST en 429 doit être relancé');
+
+    // Erreur réseau : connexion refusée, le POST n'est pas renvoyé
+    let attempts = 0;
+    const refused = await scheduler.schedule({ platform: 'test', endpoint: 'POST /refus', method: 'POST' }, () => {
+      attempts++;
+      return fetch('http://127.0.0.1:1/refus', { method: 'POST' });
+    }).catch(error => error);
+    assert(refused instanceof Error && attempts === 1, 'un POST en erreur réseau ne doit pas être renvoyé');
+
+    logger.info('Requêtes reçues:', { received });
+    logger.info('Test terminé avec succès');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Échec : ${message}`);
+  }
+}
+
+// Exécuter le test
+testRequestScheduler().catch(error => {
+  logger.error('Erreur non gérée:', { error: error.message, stack: error.stack });
+  process.exit(1);
+});
@@ -0,0 +1,119 @@
+/**
+ * Script de test du flux filtré Twitter, hors ligne, contre l'API simulée :
+ * règles, connexion, coupure avec reconnexion et rattrapage, analyse des posts reçus, caractères
+ * multioctets coupés entre deux segments du flux
+ */
+
+import TwitterAgent from './src/agents/twitter-agent.js';
+import ContentAnalysisAgent from './src/agents/content-analysis-agent.js';
+import FilteredStream from './src/clients/twitter-stream.js';
+import mcpMiddleware from './src/middleware/mcp-middleware.js';
+import { startTwitterMockServer, MOCK_CREDENTIALS } from './src/mocks/twitter-api-server.js';
+import logger from './src/utils/logger.js';
+
+/**
+ * Emoji coupé entre deux segments du flux : le post doit arriver intact
+ */
+async function testSplitMultibyteCharacter() {
+  const line = Buffer.from(`${JSON.stringify({ data: { id: 'utf8-1', text: 'Bravo à l\'équipe 🚲 !' } })}\r\n`, 'utf8');
+  const cut = line.indexOf(Buffer.from('🚲', 'utf8')) + 2;
+  const client = {
+    connectStream: async ({ signal }) => ({
+      body: (async function* () {
+        yield line.subarray(0, cut);
+        yield line.subarray(cut);
+        await new Promise(resolve => signal.addEventListener('abort', resolve, { once: true }));
+      })()
+    })
+  };
+
+  const stream = new FilteredStream(client, { heartbeatTimeout: 5000, dedupeSize: 10, reconnectDelay: 500 });
+  const received = new Promise(resolve => stream.once('post', resolve));
+  stream.start();
+  const message = await received;
+  await stream.stop();
+
+  logger.info('Post avec un emoji coupé entre deux segments:', { text: message.data.text });
+  if (message.data.text !== 'Bravo à l\'équipe 🚲 !') {
+    throw new Error(`Texte corrompu : ${message.data.text}`);
+  }
+}
+
+async function testTwitterStream() {
+  await testSplitMultibyteCharacter();
+
+  // Un post toutes les 300 ms, heartbeat chaque seconde
+  const mockServer = await startTwitterMockServer({ streamInterval: 300, heartbeatInterval: 1000 });
+
+  try {
+    logger.info('Démarrage du test du flux filtré');
+
+    // Le flux filtré exige le bearer token d'application
+    const twitterAgent = new TwitterAgent({
+      bearerToken: MOCK_CREDENTIALS.bearerToken,
+      baseUrl: mockServer.baseUrl,
+      stream: { backfillMinutes: 1, heartbeatTimeout: 3000, reconnectDelay: 500 }
+    });
+    const contentAgent = new ContentAnalysisAgent();
+
+    // Le bus de messages relie le sujet stream.post à l'agent d'analyse
+    mcpMiddleware.registerAgent(twitterAgent.id, twitterAgent);
+    mcpMiddleware.registerAgent(contentAgent.id, contentAgent);
+    await twitterAgent.start();
+    await contentAgent.start();
+
+    const added = await twitterAgent.callTool('add_stream_rules', {
+      rules: [
+        { value: '#IA OR "intelligence artificielle"', tag: 'ia' },
+        { value: '#design', tag: 'design' }
+      ]
+    });
+    logger.info('Règles ajoutées:', { result: added.content[0].text });
+
+    const duplicate = await twitterAgent.callTool('add_stream_rules', { rules: [{ value: '#design' }, { value: '#video', tag: 'video' }] });
+    logger.info('Règle en double:', { result: duplicate.content[0].text });
+
+    const rules = await twitterAgent.callTool('list_stream_rules', {});
+    logger.info('Règles:', { result: rules.content[0].text });
+
+    twitterAgent.on('stream-post', post => logger.info(`Post reçu: ${post.id} [${post.matchingRules.map(rule => rule.tag).join(', ')}]`));
+    await twitterAgent.callTool('start_stream', {});
+    await wait(1500);
+
+    // Coupure : les posts émis pendant la reconnexion sont rattrapés
+    logger.info('Coupure de la connexion au flux');
+    mockServer.dropStreams();
+    await wait(2500);
+
+    const stopped = await twitterAgent.callTool('stop_stream', {});
+    logger.info('Flux fermé:', { status: stopped.structuredContent });
+
+    // Laisser l'agent d'analyse vider sa file
+    await wait(1000);
+    const analyses = await contentAgent.getAnalysisResults({ type: 'post', tag: 'ia', limit: 3 });
+    logger.info(`Analyses des posts #IA: ${analyses.content.total}`, {
+      results: analyses.content.results.map(({ id, input }) => ({ id, source: input.source.id, text: input.text }))
+    });
+
+    const deleted = await twitterAgent.callTool('delete_stream_rules', { ids: rules.structuredContent.rules.map(rule => rule.id) });
+    logger.info('Suppression des règles:', { result: deleted.content[0].text });
+
+    await contentAgent.stop();
+    await twitterAgent.stop();
+    mcpMiddleware.unregisterAgent(contentAgent.id);
+    mcpMiddleware.unregisterAgent(twitterAgent.id);
+    logger.info('Test terminé avec succès');
+  } finally {
+    await mockServer.close();
+  }
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Exécuter le test
+testTwitterStream().catch(error => {
+  logger.error('Erreur non gérée:', { error: error.message, stack: error.stack });
+  process.exit(1);
+});
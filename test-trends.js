@@ -0,0 +1,165 @@
+/**
+ * Script de test pour l'agent de tendances, hors ligne : historique de référence transmis par
+ * ingest_posts, pic de posts reçus de la veille Mastodon (instance simulée) sur le bus,
+ * actualisation périodique et utilisation des tendances par analyze_post
+ */
+
+import TrendsAgent from './src/agents/trends-agent.js';
+import MastodonAgent from './src/agents/mastodon-agent.js';
+import ContentAnalysisAgent from './src/agents/content-analysis-agent.js';
+import mcpMiddleware from './src/middleware/mcp-middleware.js';
+import { startMastodonMockServer, MOCK_CREDENTIALS } from './src/mocks/mastodon-api-server.js';
+import logger from './src/utils/logger.js';
+
+const HOUR = 60 * 60 * 1000;
+
+async function testTrendsAgent() {
+  const mockServer = await startMastodonMockServer();
+
+  try {
+    logger.info('Démarrage du test de l\'agent de tendances');
+
+    // Actualisation rapide pour observer les mises à jour publiées sur le bus
+    const agent = new TrendsAgent({ refreshInterval: 1000 });
+    const contentAgent = new ContentAnalysisAgent();
+    const mastodon = new MastodonAgent({ ...MOCK_CREDENTIALS, instanceUrl: mockServer.instanceUrl, dryRun: true, watch: { pollInterval: 300 } });
+
+    mcpMiddleware.registerAgent(agent.id, agent);
+    mcpMiddleware.registerAgent(contentAgent.id, contentAgent);
+    mcpMiddleware.registerAgent(mastodon.id, mastodon);
+    await agent.start();
+    await contentAgent.start();
+    await mastodon.start();
+
+    agent.on('trends-updated', update => {
+      if (update.emerging.length > 0) {
+        logger.info(`Événement trends-updated : nouvelles tendances ${update.emerging.join(', ')}`);
+      }
+    });
+
+    // Historique : #velo et « atelier » reviennent chaque heure, #velorution est rare
+    const authors = ['camille', 'lea', 'velotaf', 'cyclonews'];
+    const history = Array.from({ length: 20 }, (value, index) => ({
+      id: `history-${index}`,
+      text: index % 10 === 0 ? 'Rendez-vous à la #velorution' : `Atelier ouvert ce soir #velo (${index})`,
+      created_at: new Date(Date.now() - (2 + index) * HOUR).toISOString(),
+      user: { id: authors[index % authors.length], screen_name: authors[index % authors.length] }
+    }));
+    const ingested = await agent.callTool('ingest_posts', { posts: history, platform: 'twitter' });
+    logger.info('Historique:', { result: ingested.content[0].text });
+
+    const duplicates = await agent.callTool('ingest_posts', {
+      posts: [history[0], { id: 'ancien', text: 'Trop ancien #velo', created_at: new Date(Date.now() - 48 * HOUR).toISOString() }],
+      platform: 'twitter'
+    });
+    logger.info('Doublons et posts trop anciens:', { result: duplicates.content[0].text });
+
+    // Fenêtre courante sans tendance : activité habituelle (#velo, « atelier »), rafale d'un seul
+    // compte (#promo) et terme nouveau trop peu cité (#tandem)
+    const usual = await agent.callTool('ingest_posts', {
+      posts: [
+        { id: 'usual-1', text: 'Atelier ouvert ce soir #velo', user: { id: 'camille' } },
+        { id: 'usual-2', text: 'Passage à l\'atelier #velo', user: { id: 'lea' } },
+        { id: 'usual-3', text: 'Réglage des freins à l\'atelier #velo', user: { id: 'velotaf' } },
+        ...Array.from({ length: 4 }, (value, index) => ({ id: `promo-${index}`, text: `Soldes flash n°${index} #promo`, user: { id: 'boutique' } })),
+        { id: 'tandem-1', text: 'Balade en #tandem', user: { id: 'camille' } },
+        { id: 'tandem-2', text: 'Qui a un #tandem à prêter ?', user: { id: 'lea' } }
+      ],
+      platform: 'twitter'
+    });
+    logger.info('Activité habituelle:', { result: usual.content[0].text });
+
+    // Pic : la veille Mastodon relaie des statuts sur la vélorution et la grève des transports
+    const watch = await mastodon.callTool('start_mastodon_watch', { hashtags: ['velorution'], mentions: false });
+    logger.info('Veille:', { result: watch.content[0].text });
+    await wait(600);
+
+    mockServer.addStatus({ acct: 'camille', text: 'Grève des transports demain : tous à la #velorution !' });
+    mockServer.addStatus({ acct: 'lea@pouet.example', text: 'Avec la grève, la #velorution de samedi va être énorme' });
+    mockServer.addStatus({ acct: 'velotaf@piaille.example', text: 'Itinéraires vélo pour la grève : #velorution #velotaf' });
+    mockServer.addStatus({ acct: 'cyclonews', text: 'La grève pousse les Lyonnais vers la #velorution' });
+    await wait(1500);
+
+    const trends = await agent.callTool('get_trends', { refresh: true });
+    logger.info('Tendances:', { result: trends.content[0].text });
+    logger.info('Fréquences de la fenêtre courante:', { topTerms: trends.structuredContent.topTerms.slice(0, 5), topHashtags: trends.structuredContent.topHashtags });
+
+    const trendNames = trends.structuredContent.trends.map(trend => trend.name);
+    const currentCount = name => [...trends.structuredContent.topTerms, ...trends.structuredContent.topHashtags].find(item => item.name === name)?.count;
+    assertEqual(trendNames, ['grève', '#velorution'], 'tendances détectées');
+    assert(currentCount('#promo') === 4 && currentCount('soldes') === 4, 'la rafale d\'un seul compte doit être comptée sans être une tendance (minAuthors)');
+    assert(currentCount('#tandem') === 2, 'un terme nouveau cité 2 fois ne doit pas être une tendance (minCount)');
+    assert(currentCount('#velo') === 3 && currentCount('atelier') === 3, 'un terme habituel ne doit pas être une tendance (burstRatio)');
+
+    const [strike, velorution] = trends.structuredContent.trends;
+    assert(strike.status === 'emerging' && strike.baselineCount === 0 && strike.authors === 4, '« grève », absent de la référence, doit être émergente');
+    assert(velorution.status === 'rising' && velorution.baselineCount === 2 && velorution.ratio >= 3, '#velorution, rare dans la référence, doit être en hausse');
+
+    const hashtagsOnly = await agent.callTool('get_trends', { type: 'hashtag', limit: 1 });
+    logger.info('Tendance hashtag principale:', { trend: hashtagsOnly.structuredContent.trends[0] });
+    assertEqual(hashtagsOnly.structuredContent.trends.map(trend => trend.name), ['#velorution'], 'filtre par type et limite');
+
+    const frequency = await agent.callTool('get_term_frequency', { term: '#velorution' });
+    logger.info('Fréquence de #velorution:', {
+      result: frequency.content[0].text,
+      recent: frequency.structuredContent.buckets.slice(-3)
+    });
+    assert(frequency.structuredContent.buckets.at(-1).count === 4, '4 posts #velorution attendus dans la dernière tranche');
+
+    // analyze_post compare le texte aux tendances publiées sur le bus
+    await wait(1200);
+    const analysis = await contentAgent.callTool('analyze_post', { text: 'Qui vient pédaler avec nous malgré la grève ? #velorution', platform: 'mastodon' });
+    logger.info('Analyse d\'un post en tendance:', { trendDetection: analysis.structuredContent.trendDetection });
+    assertEqual(analysis.structuredContent.trendDetection.matchedTrends.map(match => match.trend), ['grève', '#velorution'], 'tendances du post');
+
+    const unrelated = await contentAgent.callTool('analyze_post', { text: 'Bonjour, jolie photo de montagne', platform: 'mastodon' });
+    logger.info('Analyse d\'un post hors tendance:', { trendDetection: unrelated.structuredContent.trendDetection });
+    assert(unrelated.structuredContent.trendDetection.trendingTopicCount === 0, 'un post hors sujet ne doit correspondre à aucune tendance');
+
+    // Mots entiers seulement : « grèves » et « velorutionnaires » ne correspondent pas aux tendances
+    const partial = await contentAgent.callTool('analyze_post', { text: 'Après les grèves, les velorutionnaires rentrent', platform: 'mastodon' });
+    logger.info('Analyse d\'un post aux mots proches:', { trendDetection: partial.structuredContent.trendDetection });
+    assert(partial.structuredContent.trendDetection.trendingTopicCount === 0, 'les tendances doivent correspondre à des mots entiers');
+
+    // Un agent d'analyse démarré après l'agent de tendances récupère la liste sans attendre
+    const lateAgent = new ContentAnalysisAgent();
+    mcpMiddleware.registerAgent('content-analysis-late', lateAgent);
+    await lateAgent.start();
+    await wait(100);
+    logger.info(`Tendances connues de l'agent démarré après coup : ${lateAgent.liveTrends.map(trend => trend.name).join(', ')}`);
+    assertEqual(lateAgent.liveTrends.map(trend => trend.name), ['grève', '#velorution'], 'tendances transmises à un agent démarré après coup');
+    await lateAgent.stop();
+    mcpMiddleware.unregisterAgent('content-analysis-late');
+
+    const resource = await agent.getCurrentTrends();
+    logger.info(`Ressource trends://current : ${resource.content.trends.length} tendance(s), ${resource.content.trackedPosts} post(s) suivis`);
+
+    await mastodon.stop();
+    await contentAgent.stop();
+    await agent.stop();
+    [mastodon, contentAgent, agent].forEach(stopped => mcpMiddleware.unregisterAgent(stopped.id));
+    logger.info('Test terminé avec succès');
+  } finally {
+    await mockServer.close();
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Échec : ${message}`);
+  }
+}
+
+function assertEqual(actual, expected, message) {
+  assert(JSON.stringify(actual) === JSON.stringify(expected), `${message} : ${JSON.stringify(actual)} au lieu de ${JSON.stringify(expected)}`);
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Exécuter le test
+testTrendsAgent().catch(error => {
+  logger.error('Erreur non gérée:', { error: error.message, stack: error.stack });
+  process.exit(1);
+});
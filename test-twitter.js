@@ -0,0 +1,88 @@
+/**
+ * Script de test pour l'agent Twitter, hors ligne, contre l'API simulée
+ */
+
+import TwitterAgent from './src/agents/twitter-agent.js';
+import { startTwitterMockServer, MOCK_CREDENTIALS } from './src/mocks/twitter-api-server.js';
+import logger from './src/utils/logger.js';
+
+async function testTwitterAgent() {
+  const mockServer = await startTwitterMockServer();
+
+  try {
+    logger.info('Démarrage du test de l\'agent Twitter');
+
+    // OAuth 1.0a : le serveur simulé vérifie la signature des requêtes
+    const { bearerToken, ...oauthCredentials } = MOCK_CREDENTIALS;
+    const agent = new TwitterAgent({
+      ...oauthCredentials,
+      bearerToken: undefined,
+      baseUrl: mockServer.baseUrl,
+      uploadBaseUrl: mockServer.uploadBaseUrl,
+      dryRun: false
+    });
+    await agent.start();
+
+    // Recherche sur deux pages
+    const search = await agent.callTool('search_tweets', { query: '#IA', count: 20 });
+    logger.info('Résultat de la recherche:', { result: search.content[0].text });
+
+    // Profil et timeline avec un bearer token
+    const bearerAgent = new TwitterAgent({ bearerToken, baseUrl: mockServer.baseUrl });
+    await bearerAgent.start();
+
+    const profile = await bearerAgent.callTool('get_user_profile', { username: '@clairemartin_ia' });
+    logger.info('Profil:', { result: profile.content[0].text });
+
+    const timeline = await bearerAgent.callTool('get_user_timeline', { username: 'clairemartin_ia', count: 3 });
+    logger.info('Timeline:', { result: timeline.content[0].text });
+
+    const unknown = await bearerAgent.callTool('get_user_profile', { username: 'inconnu' });
+    logger.info('Utilisateur inconnu:', { isError: unknown.isError, result: unknown.content[0].text });
+
+    logger.info('Limites de débit:', { rateLimits: bearerAgent.client.getRateLimits() });
+
+    // Publication : média, tweet, réponse, fil puis suppression
+    agent.on('published', publication => logger.info(`Événement published: ${publication.id} (${publication.action})`));
+
+    const video = Buffer.alloc(9 * 1024 * 1024, 1);
+    video.write('ftypmp42', 4);
+    const media = await agent.callTool('upload_media', { data: video.toString('base64'), mimeType: 'video/mp4', altText: 'Démonstration' });
+    logger.info('Média:', { result: media.content[0].text });
+
+    const tweet = await agent.callTool('post_tweet', { text: 'Nouvelle démo de notre agent #IA', mediaIds: [media.structuredContent.mediaId] });
+    logger.info('Tweet:', { result: tweet.content[0].text });
+
+    const reply = await agent.callTool('reply_to_tweet', { tweetId: tweet.structuredContent.id, text: 'Les détails arrivent !' });
+    logger.info('Réponse:', { result: reply.content[0].text });
+
+    const thread = await agent.callTool('post_thread', { tweets: [{ text: '1/ Pourquoi un agent ?' }, { text: '2/ Parce que.' }] });
+    logger.info('Fil:', { result: thread.content[0].text });
+
+    const deletion = await agent.callTool('delete_tweet', { tweetId: reply.structuredContent.id });
+    logger.info('Suppression:', { result: deletion.content[0].text });
+
+    // Le bearer token d'application ne permet pas de publier
+    const refused = await bearerAgent.callTool('post_tweet', { text: 'Refusé' });
+    logger.info('Publication avec bearer token:', { isError: refused.isError, result: refused.content[0].text });
+
+    // Simulation : les requêtes sont journalisées sans être envoyées
+    const dryRunAgent = new TwitterAgent({ baseUrl: mockServer.baseUrl, dryRun: true });
+    await dryRunAgent.start();
+    const simulated = await dryRunAgent.callTool('post_tweet', { text: 'Tweet simulé' });
+    logger.info('Tweet simulé:', { result: simulated.content[0].text });
+    await dryRunAgent.stop();
+
+    await agent.stop();
+    await bearerAgent.stop();
+    logger.info('Test terminé avec succès');
+  } finally {
+    await mockServer.close();
+  }
+}
+
+// Exécuter le test
+testTwitterAgent().catch(error => {
+  logger.error('Erreur non gérée:', { error: error.message, stack: error.stack });
+  process.exit(1);
+});